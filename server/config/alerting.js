@@ -307,6 +307,41 @@ async function sendToSlack(alert) {
   }
 }
 
+/**
+ * Send alert by email
+ * @param {Object} alert
+ * @returns {Promise<Object>}
+ */
+async function sendToEmail(alert) {
+  if (!config.email.enabled || !config.email.smtpHost || config.email.toAddresses.length === 0) {
+    return { skipped: true, reason: 'Email alerts not configured' };
+  }
+
+  const lines = [
+    alert.description,
+    '',
+    `Severity: ${alert.severity}`,
+    `Source: ${alert.source || 'API Server'}`,
+    `Environment: ${process.env.NODE_ENV || 'development'}`,
+    ...Object.entries(alert.metadata || {}).map(([key, value]) => `${key}: ${value}`)
+  ];
+
+  try {
+    // Loaded on demand: most deployments only alert through PagerDuty / Slack
+    const emailService = require('../services/emailService');
+    const result = await emailService.sendMail({
+      from: config.email.fromAddress,
+      to: config.email.toAddresses,
+      subject: `[${String(alert.severity).toUpperCase()}] ${alert.title}`,
+      text: lines.join('\n')
+    });
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('[Alerting] Email error:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Main alert function - sends to all configured channels
  * @param {Object} options Alert options
@@ -371,7 +406,13 @@ async function sendAlert(options) {
       sendToSlack(alert).then(r => results.slack = r)
     );
   }
-  
+
+  if (channels.includes('email')) {
+    promises.push(
+      sendToEmail(alert).then(r => results.email = r)
+    );
+  }
+
   await Promise.allSettled(promises);
   
   console.log('[Alerting] Alert sent:', {
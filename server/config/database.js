@@ -5,6 +5,8 @@
 
 const { Pool } = require('pg');
 const logger = require('../utils/logger');
+const { installDataScope } = require('../utils/dataScope');
+const { installFxConversion } = require('../utils/fxConversion');
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '../../.env') });
 
@@ -21,7 +23,7 @@ const databaseConfig = {
 };
 
 // Create main connection pool
-const pool = new Pool(databaseConfig);
+const pool = installFxConversion(installDataScope(new Pool(databaseConfig)));
 
 // Handle pool errors
 pool.on('error', (err) => {
@@ -17,6 +17,7 @@ const { applySecurityMiddleware, securityAuditMiddleware, rateLimitSecurityHeade
 const { metricsMiddleware } = require('../middleware/monitoring');
 const { errorTrackingMiddleware } = require('../services/errorTracking');
 const { correlationMiddleware, requestSummaryMiddleware } = require('../middleware/correlation');
+const { auditTrailMiddleware } = require('../middleware/auditTrail');
 
 /**
  * Configure Express application with all middleware
@@ -53,6 +54,9 @@ function configureExpress(app) {
   app.use(bodyParser.json({ limit: bodyLimit }));
   app.use(express.urlencoded({ limit: bodyLimit, extended: true }));
   
+  // Audit trail of mutating requests (needs the parsed body)
+  app.use(auditTrailMiddleware);
+  
   // CORS configuration (must support credentials for cookies)
   app.use(cors({
     ...CORS_CONFIG,
@@ -80,15 +84,28 @@ function mountRoutes(app) {
   // Import route modules
   const authRoutes = require('../routes/auth');
   const settingsRoutes = require('../routes/settings');
+  const fxRatesRoutes = require('../routes/fxRates');
+  const reportSchedulesRoutes = require('../routes/reportSchedules');
+  const varianceAlertsRoutes = require('../routes/varianceAlerts');
+  const notificationsRoutes = require('../routes/notifications');
+  const pivotRoutes = require('../routes/pivot');
+  const writeUpRoutes = require('../routes/writeUp');
+  const customerLifecycleRoutes = require('../routes/customerLifecycle');
+  const auditLogRoutes = require('../routes/auditLog');
+  const databaseBackupsRoutes = require('../routes/databaseBackups');
+  const jobsRoutes = require('../routes/jobs');
   const aebfRoutes = require('../routes/aebf');
   const budgetDraftRoutes = require('../routes/budget-draft');
   const divisionMergeRulesRoutes = require('../routes/divisionMergeRules');
+  const customerMasterRoutes = require('../routes/customerMaster');
+  const countryMasterRoutes = require('../routes/countryMaster');
   const globalConfigRoutes = require('../routes/globalConfig');
   const fpRoutes = require('../routes/fp');
-  const hcRoutes = require('../routes/hc');
+  const divisionMasterDataRoutes = require('../routes/divisionMasterData');
   const universalRoutes = require('../routes/universal');
   const excelRoutes = require('../routes/excel');
   const salesRepsRoutes = require('../routes/salesReps');
+  const salesRepHierarchyRoutes = require('../routes/salesRepHierarchy');
   const databaseRoutes = require('../routes/database');
   const adminRoutes = require('../routes/admin');
   const masterDataRoutes = require('../routes/masterData');
@@ -108,17 +125,31 @@ function mountRoutes(app) {
   // Mount existing routes
   app.use('/api/auth', authRoutes);
   app.use('/api/settings', settingsRoutes);
+  app.use('/api/fx-rates', fxRatesRoutes);
+  app.use('/api/report-schedules', reportSchedulesRoutes);
+  app.use('/api/variance-alerts', varianceAlertsRoutes);
+  app.use('/api/notifications', notificationsRoutes);
+  app.use('/api/pivot', pivotRoutes);
+  app.use('/api/write-up', writeUpRoutes);
+  app.use('/api/customer-lifecycle', customerLifecycleRoutes);
+  app.use('/api/audit-log', auditLogRoutes);
+  app.use('/api/database-backups', databaseBackupsRoutes);
+  app.use('/api/jobs', jobsRoutes);
   app.use('/api/aebf', aebfRoutes);
   app.use('/api/budget-draft', budgetDraftRoutes);
   app.use('/api/division-merge-rules', divisionMergeRulesRoutes);
+  app.use('/api/customer-master', customerMasterRoutes);
+  app.use('/api/country-master', countryMasterRoutes);
   
   // Mount new modular routes (Phase 2)
   app.use('/api/standard-config', globalConfigRoutes);
+  app.use('/api/divisions/:division/master-data', divisionMasterDataRoutes);
+  app.use('/api/:division/master-data', divisionMasterDataRoutes); // Old per-division paths (/api/fp/master-data, ...)
   app.use('/api/fp', fpRoutes);
-  app.use('/api/hc', hcRoutes);
   app.use('/api', universalRoutes);
   app.use('/api', excelRoutes);
   app.use('/api/sales-reps', salesRepsRoutes);
+  app.use('/api/sales-rep-hierarchy', salesRepHierarchyRoutes);
   app.use('/api', databaseRoutes);
   app.use('/api/admin', adminRoutes);
   app.use('/api/master-data', masterDataRoutes);
@@ -131,9 +162,9 @@ function mountRoutes(app) {
   
   logger.info('✅ API routes mounted', {
     routes: [
-      '/api/auth', '/api/settings', '/api/aebf', '/api/budget-draft', 
-      '/api/division-merge-rules', '/api/standard-config', '/api/fp', 
-      '/api/hc', '/api/universal', '/api/excel', '/api/sales-reps',
+      '/api/auth', '/api/settings', '/api/fx-rates', '/api/jobs', '/api/aebf', '/api/budget-draft', 
+      '/api/division-merge-rules', '/api/standard-config', '/api/divisions/:division/master-data', '/api/fp', 
+      '/api/universal', '/api/excel', '/api/sales-reps', '/api/sales-rep-hierarchy',
       '/api/database', '/api/admin', '/api/master-data', '/api/product-groups',
       '/api/confirmed-merges', '/api/customer-dashboard', '/api/sales-data'
     ]
@@ -0,0 +1,429 @@
+const { pool } = require('./config');
+const logger = require('../utils/logger');
+const { getDivisionPool } = require('../utils/divisionDatabaseManager');
+
+// Division codes become table prefixes ({code}_data_excel), so only plain identifiers are accepted
+const DIVISION_CODE_PATTERN = /^[A-Z][A-Z0-9]{0,9}$/;
+
+const DEFAULT_EXCLUDED_PRODUCT_GROUPS = ['Service Charges', 'Others', 'Other', 'Miscellaneous', 'Service', 'Charges'];
+
+const divisionDataError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Division code from "FP", "fp" or "FP-UAE"
+ * @throws {Error} 400 when the code cannot be a division
+ */
+function normalizeDivisionCode(division) {
+  const code = String(division || '').split('-')[0].trim().toUpperCase();
+  if (!DIVISION_CODE_PATTERN.test(code)) {
+    throw divisionDataError(`Invalid division code: ${division}`, 400);
+  }
+  return code;
+}
+
+/**
+ * Division Data Service
+ * Master data (product groups, pricing averages, material percentages, master config)
+ * of one division, read from that division's database:
+ * {code}_data_excel, {code}_material_percentages and {code}_master_config.
+ * Divisions created from Settings clone these tables from FP, so every division works the same way.
+ */
+class DivisionDataService {
+  constructor(division) {
+    this.divisionCode = normalizeDivisionCode(division);
+    const prefix = this.divisionCode.toLowerCase();
+    this.tables = {
+      data: `${prefix}_data_excel`,
+      materialPercentages: `${prefix}_material_percentages`,
+      masterConfig: `${prefix}_master_config`
+    };
+  }
+
+  /**
+   * FP keeps the main pool; other divisions use their own database
+   */
+  getPool() {
+    return this.divisionCode === 'FP' ? pool : getDivisionPool(this.divisionCode);
+  }
+
+  /**
+   * Test master data connection
+   */
+  async testMasterDataConnection() {
+    try {
+      const result = await this.getPool().query(`SELECT COUNT(*) as count FROM ${this.tables.data}`);
+      return { connected: true, division: this.divisionCode, recordCount: parseInt(result.rows[0].count) };
+    } catch (error) {
+      logger.error(`Error testing ${this.divisionCode} master data connection:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the master data tables if missing and seed the default exclusions
+   */
+  async initializeMasterDataTables() {
+    try {
+      await this.getPool().query(`
+        CREATE TABLE IF NOT EXISTS ${this.tables.materialPercentages} (
+          id SERIAL PRIMARY KEY,
+          product_group VARCHAR(255) NOT NULL UNIQUE,
+          pe_percentage DECIMAL(5,2) DEFAULT 0,
+          bopp_percentage DECIMAL(5,2) DEFAULT 0,
+          pet_percentage DECIMAL(5,2) DEFAULT 0,
+          alu_percentage DECIMAL(5,2) DEFAULT 0,
+          paper_percentage DECIMAL(5,2) DEFAULT 0,
+          pvc_pet_percentage DECIMAL(5,2) DEFAULT 0,
+          material VARCHAR(255) DEFAULT '',
+          process VARCHAR(255) DEFAULT '',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        ALTER TABLE ${this.tables.materialPercentages}
+          ADD COLUMN IF NOT EXISTS material VARCHAR(255) DEFAULT '',
+          ADD COLUMN IF NOT EXISTS process VARCHAR(255) DEFAULT '';
+
+        CREATE TABLE IF NOT EXISTS ${this.tables.masterConfig} (
+          id SERIAL PRIMARY KEY,
+          config_key VARCHAR(255) NOT NULL UNIQUE,
+          config_value JSONB NOT NULL,
+          description TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      await this.getPool().query(`
+        INSERT INTO ${this.tables.masterConfig} (config_key, config_value, description)
+        VALUES ('excluded_product_groups', $1::jsonb, 'Product groups to exclude from material percentage management')
+        ON CONFLICT (config_key) DO NOTHING
+      `, [JSON.stringify(DEFAULT_EXCLUDED_PRODUCT_GROUPS)]);
+
+      return this.initializeMaterialPercentages();
+    } catch (error) {
+      logger.error(`Error initializing ${this.divisionCode} master data tables:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get unique product groups from the division data, excluding the configured categories
+   */
+  async getProductGroupsForMasterData() {
+    try {
+      const excludedCategories = await this.getExcludedProductGroups();
+
+      const result = await this.getPool().query(`
+        SELECT DISTINCT productgroup
+        FROM ${this.tables.data}
+        WHERE productgroup IS NOT NULL
+          AND TRIM(productgroup) != ''
+          AND NOT (LOWER(TRIM(productgroup)) = ANY($1))
+        ORDER BY productgroup
+      `, [excludedCategories.map(category => String(category).trim().toLowerCase())]);
+
+      // Format product group names to proper case (the data may hold several casings)
+      return [...new Set(result.rows.map(row => this.formatProductGroupName(row.productgroup)))];
+    } catch (error) {
+      logger.error(`Error fetching ${this.divisionCode} product groups for master data:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get available years (descending) that contain Actual data
+   */
+  async getProductGroupPricingYears() {
+    try {
+      const result = await this.getPool().query(`
+        SELECT DISTINCT year
+        FROM ${this.tables.data}
+        WHERE year IS NOT NULL
+          AND UPPER(type) = 'ACTUAL'
+        ORDER BY year DESC
+      `);
+      return result.rows.map(row => row.year);
+    } catch (error) {
+      logger.error(`Error fetching ${this.divisionCode} product group pricing years:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get average ASP and MoRM/Kg per product group for a specific year (Actual only)
+   * Average is calculated only across months that have Actual data
+   */
+  async getProductGroupPricingAverages(year) {
+    if (!year) {
+      throw divisionDataError('Year is required to fetch product group pricing averages', 400);
+    }
+
+    try {
+      const query = `
+        WITH monthly_data AS (
+          SELECT
+            INITCAP(LOWER(productgroup)) AS product_group,
+            year,
+            month,
+            SUM(CASE WHEN UPPER(values_type) = 'KGS' THEN values ELSE 0 END) AS total_kgs,
+            SUM(CASE WHEN UPPER(values_type) = 'AMOUNT' THEN values ELSE 0 END) AS total_amount,
+            SUM(CASE WHEN UPPER(values_type) = 'MORM' THEN values ELSE 0 END) AS total_morm
+          FROM ${this.tables.data}
+          WHERE productgroup IS NOT NULL
+            AND TRIM(productgroup) != ''
+            AND UPPER(type) = 'ACTUAL'
+            AND year = $1
+            AND month IS NOT NULL
+          GROUP BY productgroup, year, month
+        )
+        SELECT
+          product_group,
+          SUM(total_kgs) AS total_kgs,
+          SUM(total_amount) AS total_amount,
+          SUM(total_morm) AS total_morm,
+          COUNT(*) FILTER (WHERE total_kgs > 0) AS months_with_data
+        FROM monthly_data
+        GROUP BY product_group
+        ORDER BY product_group
+      `;
+
+      const result = await this.getPool().query(query, [year]);
+
+      return result.rows.map(row => {
+        const totalKgs = parseFloat(row.total_kgs) || 0;
+        const totalAmount = parseFloat(row.total_amount) || 0;
+        const totalMorm = parseFloat(row.total_morm) || 0;
+        return {
+          productGroup: row.product_group,
+          avgSellingPrice: totalKgs > 0 ? totalAmount / totalKgs : 0,
+          avgMarginOverRM: totalKgs > 0 ? totalMorm / totalKgs : 0,
+          monthsWithData: parseInt(row.months_with_data, 10) || 0
+        };
+      });
+    } catch (error) {
+      logger.error(`Error fetching ${this.divisionCode} product group pricing averages:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format product group name to proper case
+   * Handles spaces, hyphens, and slashes consistently with other normalization
+   */
+  formatProductGroupName(name) {
+    if (!name) return name;
+
+    return name.toString().trim().toLowerCase()
+      .replace(/(?:^|\s|[-/])\w/g, (match) => match.toUpperCase());
+  }
+
+  /**
+   * Get excluded product groups from config (defaults when the config is missing)
+   */
+  async getExcludedProductGroups() {
+    try {
+      const excluded = await this.getMasterConfig('excluded_product_groups');
+      return Array.isArray(excluded) ? excluded : DEFAULT_EXCLUDED_PRODUCT_GROUPS;
+    } catch (error) {
+      return DEFAULT_EXCLUDED_PRODUCT_GROUPS;
+    }
+  }
+
+  /**
+   * Get all material percentages for all product groups
+   */
+  async getMaterialPercentages() {
+    try {
+      const result = await this.getPool().query(
+        `SELECT * FROM ${this.tables.materialPercentages} ORDER BY product_group`
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error fetching ${this.divisionCode} material percentages:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get material percentages for a specific product group
+   */
+  async getMaterialPercentage(productGroup) {
+    try {
+      const result = await this.getPool().query(
+        `SELECT * FROM ${this.tables.materialPercentages} WHERE product_group = $1`,
+        [productGroup]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error fetching ${this.divisionCode} material percentage:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update material percentages for a product group
+   */
+  async saveMaterialPercentage(productGroup, percentages, material = '', process = '') {
+    try {
+      // Handle both parameter formats (PE/pe, PP/bopp, etc.)
+      const pe = percentages.PE || percentages.pe || 0;
+      const bopp = percentages.PP || percentages.BOPP || percentages.bopp || 0;
+      const pet = percentages.PET || percentages.pet || 0;
+      const alu = percentages.Alu || percentages.alu || 0;
+      const paper = percentages.Paper || percentages.paper || 0;
+      const pvc_pet = percentages['PVC/PET'] || percentages.pvc_pet || 0;
+
+      const query = `
+        INSERT INTO ${this.tables.materialPercentages}
+        (product_group, pe_percentage, bopp_percentage, pet_percentage, alu_percentage, paper_percentage, pvc_pet_percentage, material, process)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (product_group)
+        DO UPDATE SET
+          pe_percentage = EXCLUDED.pe_percentage,
+          bopp_percentage = EXCLUDED.bopp_percentage,
+          pet_percentage = EXCLUDED.pet_percentage,
+          alu_percentage = EXCLUDED.alu_percentage,
+          paper_percentage = EXCLUDED.paper_percentage,
+          pvc_pet_percentage = EXCLUDED.pvc_pet_percentage,
+          material = EXCLUDED.material,
+          process = EXCLUDED.process,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+
+      const result = await this.getPool().query(query, [
+        this.formatProductGroupName(productGroup), pe, bopp, pet, alu, paper, pvc_pet, material || '', process || ''
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error saving ${this.divisionCode} material percentage:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save several product groups: [{ productGroup, percentages, material, process }]
+   */
+  async saveMaterialPercentages(entries) {
+    if (!Array.isArray(entries)) {
+      throw divisionDataError('Percentages must be a list of product groups', 400);
+    }
+    const saved = [];
+    for (const entry of entries) {
+      if (!entry || !entry.productGroup) {
+        throw divisionDataError('Each entry needs a product group', 400);
+      }
+      saved.push(await this.saveMaterialPercentage(entry.productGroup, entry.percentages || {}, entry.material, entry.process));
+    }
+    return saved;
+  }
+
+  /**
+   * Initialize material percentages for all product groups (set all to 0%)
+   */
+  async initializeMaterialPercentages() {
+    try {
+      const productGroups = await this.getProductGroupsForMasterData();
+
+      for (const productGroup of productGroups) {
+        const existing = await this.getMaterialPercentage(productGroup);
+        if (!existing) {
+          await this.saveMaterialPercentage(productGroup, {
+            pe: 0,
+            bopp: 0,
+            pet: 0,
+            alu: 0,
+            paper: 0,
+            pvc_pet: 0
+          });
+        }
+      }
+
+      return productGroups;
+    } catch (error) {
+      logger.error(`Error initializing ${this.divisionCode} material percentages:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete material percentage for a product group
+   */
+  async deleteMaterialPercentage(productGroup) {
+    try {
+      const result = await this.getPool().query(
+        `DELETE FROM ${this.tables.materialPercentages} WHERE product_group = $1 RETURNING *`,
+        [productGroup]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error deleting ${this.divisionCode} material percentage:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get master config value
+   */
+  async getMasterConfig(key) {
+    try {
+      const result = await this.getPool().query(
+        `SELECT config_value FROM ${this.tables.masterConfig} WHERE config_key = $1`,
+        [key]
+      );
+      return result.rows[0]?.config_value || null;
+    } catch (error) {
+      logger.error(`Error fetching ${this.divisionCode} master config:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set master config value
+   */
+  async setMasterConfig(key, value, description = null) {
+    try {
+      const query = `
+        INSERT INTO ${this.tables.masterConfig} (config_key, config_value, description)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (config_key)
+        DO UPDATE SET
+          config_value = EXCLUDED.config_value,
+          description = EXCLUDED.description,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+
+      const result = await this.getPool().query(query, [key, value, description]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`Error setting ${this.divisionCode} master config:`, error);
+      throw error;
+    }
+  }
+}
+
+const services = new Map();
+
+/**
+ * One service per division code
+ */
+function getDivisionDataService(division) {
+  const code = normalizeDivisionCode(division);
+  if (!services.has(code)) {
+    services.set(code, new DivisionDataService(code));
+  }
+  return services.get(code);
+}
+
+module.exports = {
+  DivisionDataService,
+  getDivisionDataService,
+  normalizeDivisionCode
+};
@@ -2,7 +2,7 @@ const { Pool } = require('pg');
 const logger = require('../utils/logger');
 const { getDivisionPool } = require('../utils/divisionDatabaseManager');
 const { pool } = require('./config');
-const WorldCountriesService = require('./WorldCountriesService');
+const countryMasterService = require('../services/countryMasterService');
 
 class GeographicDistributionService {
   constructor() {
@@ -100,7 +100,10 @@ class GeographicDistributionService {
       });
       logger.info('🔍 Query params:', { params, query: query.substring(0, 200) });
       
-      const result = await divisionPool.query(query, params);
+      const [result, countryIndex] = await Promise.all([
+        divisionPool.query(query, params),
+        countryMasterService.getCountryIndexSafe()
+      ]);
       
       logger.info(`✅ Retrieved ${result.rows.length} countries for geographic distribution`);
       
@@ -114,18 +117,15 @@ class GeographicDistributionService {
         logger.warn('⚠️ No country data found for the given parameters');
       }
       
-      // Process the data
-      const countrySales = result.rows.map(row => ({
-        name: row.countryname,
-        value: parseFloat(row.total_sales) || 0
-      }));
+      // Process the data (aliases added up under their master country)
+      const countrySales = this.toCountrySales(result.rows, countryIndex);
 
       // Calculate regional distribution
-      const regionalSales = this.calculateRegionalSales(countrySales);
+      const regionalSales = this.calculateRegionalSales(countrySales, countryIndex);
       
-      // Calculate local vs export
+      // Calculate local vs export (market type from the country master)
       const totalSales = countrySales.reduce((sum, country) => sum + country.value, 0);
-      const localSales = regionalSales['UAE'] || 0;
+      const localSales = this.calculateLocalSales(countrySales, countryIndex);
       const exportSales = totalSales - localSales;
       
       const localPercentage = totalSales > 0 ? (localSales / totalSales * 100) : 0;
@@ -159,12 +159,9 @@ class GeographicDistributionService {
         
         const previousResult = await divisionPool.query(query, previousParams);
         
-        const previousCountrySales = previousResult.rows.map(row => ({
-          name: row.countryname,
-          value: parseFloat(row.total_sales) || 0
-        }));
+        const previousCountrySales = this.toCountrySales(previousResult.rows, countryIndex);
 
-        const previousRegionalSales = this.calculateRegionalSales(previousCountrySales);
+        const previousRegionalSales = this.calculateRegionalSales(previousCountrySales, countryIndex);
         const previousTotalSales = previousCountrySales.reduce((sum, country) => sum + country.value, 0);
         
         // Calculate growth percentages for each region
@@ -182,9 +179,9 @@ class GeographicDistributionService {
           }
         });
 
-        // Calculate growth for Local (UAE) and Export totals
-        const currentLocal = regionalSales['UAE'] || 0;
-        const previousLocal = previousRegionalSales['UAE'] || 0;
+        // Calculate growth for Local and Export totals
+        const currentLocal = localSales;
+        const previousLocal = this.calculateLocalSales(previousCountrySales, countryIndex);
         let localGrowth = 0;
         if (previousLocal > 0) {
           localGrowth = ((currentLocal - previousLocal) / previousLocal) * 100;
@@ -264,35 +261,46 @@ class GeographicDistributionService {
     return uniqueResult;
   }
 
+  /**
+   * { name, value } per master country from countryname / total_sales rows
+   */
+  toCountrySales(rows, countryIndex) {
+    return countryMasterService.canonicalizeCountryTotals(
+      rows.map(row => ({ name: row.countryname, value: parseFloat(row.total_sales) || 0 })),
+      countryIndex,
+      { nameKey: 'name' }
+    );
+  }
+
   /**
    * Calculate regional sales from country data
+   * Every region in the country master gets a bucket; names it does not know go to Unassigned
    */
-  calculateRegionalSales(countrySales) {
-    const regionalSales = {
-      'UAE': 0,
-      'Arabian Peninsula': 0,
-      'West Asia': 0,
-      'Levant': 0,
-      'North Africa': 0,
-      'Southern Africa': 0,
-      'Europe': 0,
-      'Americas': 0,
-      'Asia-Pacific': 0,
-      'Unassigned': 0
-    };
+  calculateRegionalSales(countrySales, countryIndex = new Map()) {
+    const regionalSales = {};
+    countryIndex.forEach(country => {
+      regionalSales[country.region] = 0;
+    });
+    regionalSales[countryMasterService.UNASSIGNED] = 0;
 
     countrySales.forEach(country => {
-      const region = this.getRegionForCountry(country.name);
-      if (region && regionalSales[region] !== undefined) {
-        regionalSales[region] += country.value;
-      } else {
-        regionalSales['Unassigned'] += country.value;
-      }
+      const region = this.getRegionForCountry(country.name, countryIndex);
+      regionalSales[region] = (regionalSales[region] || 0) + country.value;
     });
 
     return regionalSales;
   }
 
+  /**
+   * Sales of countries whose market type is Local in the country master
+   */
+  calculateLocalSales(countrySales, countryIndex = new Map()) {
+    return countrySales.reduce((sum, country) => {
+      const master = countryMasterService.resolveCountry(country.name, countryIndex);
+      return master && master.marketType === 'Local' ? sum + country.value : sum;
+    }, 0);
+  }
+
   /**
    * Calculate regional percentages
    */
@@ -305,16 +313,11 @@ class GeographicDistributionService {
   }
 
   /**
-   * Enhanced getRegionForCountry with comprehensive world countries database
+   * Region of a country name from the country master (Unassigned when it does not resolve)
    */
-  getRegionForCountry(countryName) {
-    if (!countryName) return 'Unassigned';
-    
-    // Use WorldCountriesService for smart assignment
-    const worldCountriesService = new WorldCountriesService();
-    const assignment = worldCountriesService.smartCountryAssignment(countryName);
-    
-    return assignment.region;
+  getRegionForCountry(countryName, countryIndex = new Map()) {
+    const country = countryMasterService.resolveCountry(countryName, countryIndex);
+    return country ? country.region : countryMasterService.UNASSIGNED;
   }
 }
 
@@ -1,10 +1,13 @@
 const { getDivisionPool } = require('../utils/divisionDatabaseManager');
 const logger = require('../utils/logger');
+const salesRepHierarchyService = require('../services/salesRepHierarchyService');
+const { getDivisionDataService } = require('./DivisionDataService');
 
 class HCDataService {
   constructor() {
     this.divisionName = 'HC';
     this.pool = null;
+    this.masterData = getDivisionDataService(this.divisionName);
   }
 
   /**
@@ -97,47 +100,34 @@ class HCDataService {
   }
 
   /**
-   * Get sales data for a group of sales reps
+   * Get sales data for a sales rep group (members as of the requested month)
    */
-  async getSalesDataForGroup(groupMembers, productGroup, valueType, year, month, dataType = 'Actual') {
+  async getSalesDataForGroup(groupName, productGroup, valueType, year, month, dataType = 'Actual') {
     try {
       const pool = await this.getPool();
       // Handle "Estimate" or "FY Estimate" type - query both Actual and Estimate
       const normalizedDataType = dataType.toUpperCase();
       const isEstimateType = normalizedDataType.includes('ESTIMATE');
       
-      const placeholders = groupMembers.map((_, index) => `$${index + 1}`).join(', ');
+      const membership = await salesRepHierarchyService.membershipCondition('HC', groupName, 1);
       const typeCondition = isEstimateType 
         ? `AND UPPER(type) IN ('ACTUAL', 'ESTIMATE')`
-        : `AND UPPER(type) = UPPER($${groupMembers.length + 5})`;
+        : `AND UPPER(type) = UPPER($6)`;
       
       const query = `
         SELECT SUM(values) as total_value 
         FROM hc_data_excel 
-        WHERE TRIM(UPPER(salesrepname)) IN (${placeholders}) 
-        AND UPPER(TRIM(productgroup)) = UPPER(TRIM($${groupMembers.length + 1}))
-        AND UPPER(values_type) = UPPER($${groupMembers.length + 2})
-        AND year = $${groupMembers.length + 3}
-        AND month = $${groupMembers.length + 4}
+        WHERE ${membership.sql}
+        AND UPPER(TRIM(productgroup)) = UPPER(TRIM($2))
+        AND UPPER(values_type) = UPPER($3)
+        AND year = $4
+        AND month = $5
         ${typeCondition}
       `;
       
       const params = isEstimateType
-        ? [
-            ...groupMembers.map(n => String(n).trim().toUpperCase()),
-            productGroup,
-            valueType,
-            year,
-            month
-          ]
-        : [
-            ...groupMembers.map(n => String(n).trim().toUpperCase()),
-            productGroup,
-            valueType,
-            year,
-            month,
-            dataType
-          ];
+        ? [...membership.params, productGroup, valueType, year, month]
+        : [...membership.params, productGroup, valueType, year, month, dataType];
       
       const result = await pool.query(query, params);
       return parseFloat(result.rows[0]?.total_value || 0);
@@ -227,46 +217,33 @@ class HCDataService {
   }
 
   /**
-   * Get customer sales data for a group of sales reps
+   * Get customer sales data for a sales rep group (members as of the requested month)
    */
-  async getCustomerSalesDataForGroup(groupMembers, customer, valueType, year, month, dataType = 'Actual') {
+  async getCustomerSalesDataForGroup(groupName, customer, valueType, year, month, dataType = 'Actual') {
     try {
       const pool = await this.getPool();
       const normalizedDataType = dataType.toUpperCase();
       const isEstimateType = normalizedDataType.includes('ESTIMATE');
 
-      const placeholders = groupMembers.map((_, index) => `$${index + 1}`).join(', ');
+      const membership = await salesRepHierarchyService.membershipCondition('HC', groupName, 1);
       const typeCondition = isEstimateType
         ? `AND UPPER(type) IN ('ACTUAL', 'ESTIMATE')`
-        : `AND UPPER(type) = UPPER($${groupMembers.length + 5})`;
+        : `AND UPPER(type) = UPPER($6)`;
 
       const query = `
         SELECT SUM(values) as total_value
         FROM hc_data_excel
-        WHERE TRIM(UPPER(salesrepname)) IN (${placeholders})
-        AND customername = $${groupMembers.length + 1}
-        AND UPPER(values_type) = UPPER($${groupMembers.length + 2})
-        AND year = $${groupMembers.length + 3}
-        AND month = $${groupMembers.length + 4}
+        WHERE ${membership.sql}
+        AND customername = $2
+        AND UPPER(values_type) = UPPER($3)
+        AND year = $4
+        AND month = $5
         ${typeCondition}
       `;
 
       const params = isEstimateType
-        ? [
-            ...groupMembers.map(n => String(n).trim().toUpperCase()),
-            customer,
-            valueType,
-            year,
-            month
-          ]
-        : [
-            ...groupMembers.map(n => String(n).trim().toUpperCase()),
-            customer,
-            valueType,
-            year,
-            month,
-            dataType
-          ];
+        ? [...membership.params, customer, valueType, year, month]
+        : [...membership.params, customer, valueType, year, month, dataType];
 
       const result = await pool.query(query, params);
       return parseFloat(result.rows[0]?.total_value || 0);
@@ -276,332 +253,78 @@ class HCDataService {
     }
   }
 
-  /**
-   * Get unique product groups for master data (formatted)
-   */
-  async getProductGroupsForMasterData() {
-    try {
-      const pool = await this.getPool();
-      const result = await pool.query(`
-        SELECT DISTINCT INITCAP(LOWER(productgroup)) as productgroup 
-        FROM hc_data_excel 
-        WHERE productgroup IS NOT NULL 
-        AND TRIM(productgroup) != ''
-        ORDER BY productgroup
-      `);
-      return result.rows.map(row => this.formatProductGroupName(row.productgroup));
-    } catch (error) {
-      logger.error('Error fetching HC product groups for master data:', error);
-      throw error;
-    }
-  }
+  // Master data methods: shared with every division through DivisionDataService
 
-  /**
-   * Get available years for product pricing
-   */
-  async getProductGroupPricingYears() {
-    try {
-      const pool = await this.getPool();
-      const result = await pool.query(`
-        SELECT DISTINCT year 
-        FROM hc_data_excel 
-        WHERE year IS NOT NULL 
-        ORDER BY year DESC
-      `);
-      return result.rows.map(row => row.year);
-    } catch (error) {
-      logger.error('Error fetching HC product group pricing years:', error);
-      throw error;
-    }
+  getProductGroupsForMasterData() {
+    return this.masterData.getProductGroupsForMasterData();
   }
 
-  /**
-   * Get average ASP and MoRM/Kg per product group for a specific year (Actual only)
-   * Average is calculated only across months that have Actual data
-   */
-  async getProductGroupPricingAverages(year) {
-    if (!year) {
-      throw new Error('Year is required to fetch product group pricing averages');
-    }
-
-    try {
-      const pool = await this.getPool();
-      const query = `
-        WITH monthly_data AS (
-          SELECT 
-            INITCAP(LOWER(productgroup)) AS product_group,
-            year,
-            month,
-            SUM(CASE WHEN UPPER(values_type) = 'KGS' THEN values ELSE 0 END) AS total_kgs,
-            SUM(CASE WHEN UPPER(values_type) = 'AMOUNT' THEN values ELSE 0 END) AS total_amount,
-            SUM(CASE WHEN UPPER(values_type) = 'MORM' THEN values ELSE 0 END) AS total_morm
-          FROM hc_data_excel
-          WHERE productgroup IS NOT NULL
-            AND TRIM(productgroup) != ''
-            AND UPPER(type) = 'ACTUAL'
-            AND year = $1
-            AND month IS NOT NULL
-          GROUP BY productgroup, year, month
-        )
-        SELECT 
-          product_group,
-          SUM(total_kgs) AS total_kgs,
-          SUM(total_amount) AS total_amount,
-          SUM(total_morm) AS total_morm,
-          COUNT(*) FILTER (WHERE total_kgs > 0) AS months_with_data
-        FROM monthly_data
-        GROUP BY product_group
-        ORDER BY product_group
-      `;
+  getProductGroupPricingYears() {
+    return this.masterData.getProductGroupPricingYears();
+  }
 
-      const result = await pool.query(query, [year]);
-
-      return result.rows.map(row => {
-        const totalKgs = parseFloat(row.total_kgs) || 0;
-        const totalAmount = parseFloat(row.total_amount) || 0;
-        const totalMorm = parseFloat(row.total_morm) || 0;
-        return {
-          productGroup: row.product_group,
-          avgSellingPrice: totalKgs > 0 ? totalAmount / totalKgs : 0,
-          avgMarginOverRM: totalKgs > 0 ? totalMorm / totalKgs : 0,
-          monthsWithData: parseInt(row.months_with_data, 10) || 0
-        };
-      });
-    } catch (error) {
-      logger.error('Error fetching HC product group pricing averages:', error);
-      throw error;
-    }
+  getProductGroupPricingAverages(year) {
+    return this.masterData.getProductGroupPricingAverages(year);
   }
 
-  /**
-   * Format product group name to proper case
-   * Handles spaces, hyphens, and slashes consistently with other normalization
-   */
   formatProductGroupName(name) {
-    if (!name) return name;
-    
-    // Use regex to handle spaces, hyphens, and slashes (consistent with main toProperCase)
-    return name.toString().trim().toLowerCase()
-      .replace(/(?:^|\s|[-/])\w/g, (match) => match.toUpperCase());
+    return this.masterData.formatProductGroupName(name);
   }
 
-  /**
-   * Get excluded product groups from config
-   */
-  async getExcludedProductGroups() {
-    try {
-      const pool = await this.getPool();
-      const result = await pool.query(
-        'SELECT config_value FROM hc_master_config WHERE config_key = $1',
-        ['excluded_product_groups']
-      );
-      
-      if (result.rows.length > 0) {
-        return result.rows[0].config_value;
-      }
-      
-      // Default exclusions if config not found
-      return ['Service Charges', 'Others', 'Other', 'Miscellaneous', 'Service', 'Charges'];
-    } catch (error) {
-      logger.error('Error fetching HC excluded product groups:', error);
-      return ['Service Charges', 'Others', 'Other', 'Miscellaneous', 'Service', 'Charges'];
-    }
+  getExcludedProductGroups() {
+    return this.masterData.getExcludedProductGroups();
   }
 
-  /**
-   * Get all material percentages for all product groups
-   */
-  async getMaterialPercentages() {
-    try {
-      const pool = await this.getPool();
-      const result = await pool.query(
-        'SELECT * FROM hc_material_percentages ORDER BY product_group'
-      );
-      return result.rows;
-    } catch (error) {
-      logger.error('Error fetching HC material percentages:', error);
-      throw error;
-    }
+  getMaterialPercentages() {
+    return this.masterData.getMaterialPercentages();
   }
 
-  /**
-   * Get material percentages for a specific product group
-   */
-  async getMaterialPercentage(productGroup) {
-    try {
-      const pool = await this.getPool();
-      const result = await pool.query(
-        'SELECT * FROM hc_material_percentages WHERE product_group = $1',
-        [productGroup]
-      );
-      return result.rows[0] || null;
-    } catch (error) {
-      logger.error('Error fetching HC material percentage:', error);
-      throw error;
-    }
+  getMaterialPercentage(productGroup) {
+    return this.masterData.getMaterialPercentage(productGroup);
   }
 
-  /**
-   * Create or update material percentages for a product group
-   */
-  async saveMaterialPercentage(productGroup, percentages, material = '', process = '') {
-    try {
-      const pool = await this.getPool();
-      // Handle both parameter formats (PE/pe, PP/bopp, etc.)
-      const pe = percentages.PE || percentages.pe || 0;
-      const bopp = percentages.PP || percentages.BOPP || percentages.bopp || 0;
-      const pet = percentages.PET || percentages.pet || 0;
-      const alu = percentages.Alu || percentages.alu || 0;
-      const paper = percentages.Paper || percentages.paper || 0;
-      const pvc_pet = percentages['PVC/PET'] || percentages.pvc_pet || 0;
-      
-      // Format the product group name to proper case
-      const formattedProductGroup = this.formatProductGroupName(productGroup);
-      
-      const query = `
-        INSERT INTO hc_material_percentages 
-        (product_group, pe_percentage, bopp_percentage, pet_percentage, alu_percentage, paper_percentage, pvc_pet_percentage, material, process)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        ON CONFLICT (product_group) 
-        DO UPDATE SET 
-          pe_percentage = EXCLUDED.pe_percentage,
-          bopp_percentage = EXCLUDED.bopp_percentage,
-          pet_percentage = EXCLUDED.pet_percentage,
-          alu_percentage = EXCLUDED.alu_percentage,
-          paper_percentage = EXCLUDED.paper_percentage,
-          pvc_pet_percentage = EXCLUDED.pvc_pet_percentage,
-          material = EXCLUDED.material,
-          process = EXCLUDED.process,
-          updated_at = CURRENT_TIMESTAMP
-        RETURNING *
-      `;
-      
-      const result = await pool.query(query, [
-        formattedProductGroup, pe, bopp, pet, alu, paper, pvc_pet, material || '', process || ''
-      ]);
-      
-      return result.rows[0];
-    } catch (error) {
-      logger.error('Error saving HC material percentage:', error);
-      throw error;
-    }
+  saveMaterialPercentage(productGroup, percentages, material = '', process = '') {
+    return this.masterData.saveMaterialPercentage(productGroup, percentages, material, process);
   }
 
-  /**
-   * Initialize material percentages for all product groups (set all to 0%)
-   */
-  async initializeMaterialPercentages() {
-    try {
-      const productGroups = await this.getProductGroupsForMasterData();
-      
-      for (const productGroup of productGroups) {
-        // Check if already exists
-        const existing = await this.getMaterialPercentage(productGroup);
-        if (!existing) {
-          await this.saveMaterialPercentage(productGroup, {
-            pe: 0,
-            bopp: 0,
-            pet: 0,
-            alu: 0,
-            paper: 0,
-            pvc_pet: 0
-          });
-        }
-      }
-      
-      return productGroups;
-    } catch (error) {
-      logger.error('Error initializing HC material percentages:', error);
-      throw error;
-    }
+  initializeMaterialPercentages() {
+    return this.masterData.initializeMaterialPercentages();
   }
 
-  /**
-   * Delete material percentage for a product group
-   */
-  async deleteMaterialPercentage(productGroup) {
-    try {
-      const pool = await this.getPool();
-      const result = await pool.query(
-        'DELETE FROM hc_material_percentages WHERE product_group = $1 RETURNING *',
-        [productGroup]
-      );
-      return result.rows[0];
-    } catch (error) {
-      logger.error('Error deleting HC material percentage:', error);
-      throw error;
-    }
+  deleteMaterialPercentage(productGroup) {
+    return this.masterData.deleteMaterialPercentage(productGroup);
   }
 
-  /**
-   * Get master config value
-   */
-  async getMasterConfig(key) {
-    try {
-      const pool = await this.getPool();
-      const result = await pool.query(
-        'SELECT config_value FROM hc_master_config WHERE config_key = $1',
-        [key]
-      );
-      return result.rows[0]?.config_value || null;
-    } catch (error) {
-      logger.error('Error fetching HC master config:', error);
-      throw error;
-    }
+  getMasterConfig(key) {
+    return this.masterData.getMasterConfig(key);
   }
 
-  /**
-   * Set master config value
-   */
-  async setMasterConfig(key, value, description = null) {
-    try {
-      const pool = await this.getPool();
-      const query = `
-        INSERT INTO hc_master_config (config_key, config_value, description)
-        VALUES ($1, $2, $3)
-        ON CONFLICT (config_key) 
-        DO UPDATE SET 
-          config_value = EXCLUDED.config_value,
-          description = EXCLUDED.description,
-          updated_at = CURRENT_TIMESTAMP
-        RETURNING *
-      `;
-      
-      const result = await pool.query(query, [key, value, description]);
-      return result.rows[0];
-    } catch (error) {
-      logger.error('Error setting HC master config:', error);
-      throw error;
-    }
+  setMasterConfig(key, value, description = null) {
+    return this.masterData.setMasterConfig(key, value, description);
   }
 
   /**
    * Get yearly budget total for a specific sales rep and year
    */
-  async getYearlyBudget(salesRep, year, valuesType, groupMembers = null) {
+  async getYearlyBudget(salesRep, year, valuesType, isGroup = false) {
     try {
       const pool = await this.getPool();
       let query;
       let params;
 
-      if (groupMembers && Array.isArray(groupMembers)) {
-        // It's a group - get yearly budget for all members
-        const placeholders = groupMembers.map((_, index) => `$${index + 1}`).join(', ');
+      if (isGroup) {
+        // It's a group - each budget month counts the reps in the group that month
+        const membership = await salesRepHierarchyService.membershipCondition('HC', salesRep, 1);
         query = `
           SELECT SUM(values) as total_value 
           FROM hc_data_excel 
-          WHERE TRIM(UPPER(salesrepname)) IN (${placeholders}) 
-          AND year = $${groupMembers.length + 1}
-          AND UPPER(values_type) = UPPER($${groupMembers.length + 2})
-          AND UPPER(type) = UPPER($${groupMembers.length + 3})
+          WHERE ${membership.sql}
+          AND year = $2
+          AND UPPER(values_type) = UPPER($3)
+          AND UPPER(type) = UPPER($4)
           AND values IS NOT NULL
         `;
-        params = [
-          ...groupMembers.map(n => String(n).trim().toUpperCase()),
-          year,
-          valuesType,
-          'Budget'
-        ];
+        params = [...membership.params, year, valuesType, 'Budget'];
       } else {
         // It's an individual sales rep
         query = `
@@ -96,14 +96,8 @@ class ProductGroupDataService {
       `;
 
       const params = isEstimateType ? [year, ...monthsArray] : [year, type, ...monthsArray];
-      const client = await fpPool.connect();
-      
-      try {
-        const result = await client.query(query, params);
-        return result.rows;
-      } finally {
-        client.release();
-      }
+      const result = await fpPool.query(query, params);
+      return result.rows;
     } catch (error) {
       logger.error('Error getting product groups data:', error);
       throw error;
@@ -145,14 +139,8 @@ class ProductGroupDataService {
       `;
 
       const params = isEstimateType ? [year, ...monthsArray] : [year, type, ...monthsArray];
-      const client = await fpPool.connect();
-      
-      try {
-        const result = await client.query(query, params);
-        return result.rows;
-      } finally {
-        client.release();
-      }
+      const result = await fpPool.query(query, params);
+      return result.rows;
     } catch (error) {
       logger.error('Error getting material categories data:', error);
       throw error;
@@ -194,14 +182,8 @@ class ProductGroupDataService {
       `;
 
       const params = isEstimateType ? [year, ...monthsArray] : [year, type, ...monthsArray];
-      const client = await fpPool.connect();
-      
-      try {
-        const result = await client.query(query, params);
-        return result.rows;
-      } finally {
-        client.release();
-      }
+      const result = await fpPool.query(query, params);
+      return result.rows;
     } catch (error) {
       logger.error('Error getting process categories data:', error);
       throw error;
@@ -219,14 +201,8 @@ class ProductGroupDataService {
         ORDER BY productgroup
       `;
       
-      const client = await fpPool.connect();
-      
-      try {
-        const result = await client.query(query);
-        return result.rows.map(row => row.productgroup);
-      } finally {
-        client.release();
-      }
+      const result = await fpPool.query(query);
+      return result.rows.map(row => row.productgroup);
     } catch (error) {
       logger.error('Error getting all product groups:', error);
       throw error;
@@ -245,14 +221,8 @@ class ProductGroupDataService {
         ORDER BY material
       `;
       
-      const client = await fpPool.connect();
-      
-      try {
-        const result = await client.query(query);
-        return result.rows.map(row => row.material);
-      } finally {
-        client.release();
-      }
+      const result = await fpPool.query(query);
+      return result.rows.map(row => row.material);
     } catch (error) {
       logger.error('Error getting all materials:', error);
       throw error;
@@ -271,14 +241,8 @@ class ProductGroupDataService {
         ORDER BY process
       `;
       
-      const client = await fpPool.connect();
-      
-      try {
-        const result = await client.query(query);
-        return result.rows.map(row => row.process);
-      } finally {
-        client.release();
-      }
+      const result = await fpPool.query(query);
+      return result.rows.map(row => row.process);
     } catch (error) {
       logger.error('Error getting all processes:', error);
       throw error;
@@ -311,17 +275,11 @@ class ProductGroupDataService {
       `;
 
       const params = [productGroup, year, type, ...monthsArray];
-      const client = await fpPool.connect();
+      const result = await fpPool.query(query, params);
+      const row = result.rows[0];
       
-      try {
-        const result = await client.query(query, params);
-        const row = result.rows[0];
-        
-        // Check if we have all three value types and at least some non-zero values
-        return row.types_count >= 3 && (row.kgs > 0 || row.sales > 0 || row.morm > 0);
-      } finally {
-        client.release();
-      }
+      // Check if we have all three value types and at least some non-zero values
+      return row.types_count >= 3 && (row.kgs > 0 || row.sales > 0 || row.morm > 0);
     } catch (error) {
       logger.error('Error validating product group data:', error);
       return false;
@@ -1,6 +1,8 @@
 const { pool } = require('./config');
 const { getDivisionPool } = require('../utils/divisionDatabaseManager');
 const logger = require('../utils/logger');
+const salesRepHierarchyService = require('../services/salesRepHierarchyService');
+const countryMasterService = require('../services/countryMasterService');
 
 class UniversalSalesByCountryService {
   
@@ -594,11 +596,15 @@ class UniversalSalesByCountryService {
       }
       
       const divisionPool = this.getPool(division);
-        const result = await divisionPool.query(query, params);
-      return result.rows.map(row => ({
+      const [result, countryIndex] = await Promise.all([
+        divisionPool.query(query, params),
+        countryMasterService.getCountryIndexSafe()
+      ]);
+      // Aliases ("KSA", "Saudi Arabia") are added up under their master country
+      return countryMasterService.canonicalizeCountryTotals(result.rows.map(row => ({
         country: row.countryname,
         value: parseFloat(row.total_value || 0)
-      }));
+      })), countryIndex);
     } catch (error) {
       logger.error(`Error fetching sales by country for division ${division}:`, error);
       throw error;
@@ -621,8 +627,14 @@ class UniversalSalesByCountryService {
     `;
     const params = [year];
     const divisionPool = this.getPool(division);
-        const result = await divisionPool.query(query, params);
-    return result.rows.map(r => ({ country: r.countryname, value: parseFloat(r.total_value || 0) }));
+    const [result, countryIndex] = await Promise.all([
+      divisionPool.query(query, params),
+      countryMasterService.getCountryIndexSafe()
+    ]);
+    return countryMasterService.canonicalizeCountryTotals(
+      result.rows.map(r => ({ country: r.countryname, value: parseFloat(r.total_value || 0) })),
+      countryIndex
+    );
   }
 
   /**
@@ -659,10 +671,15 @@ class UniversalSalesByCountryService {
       }
       
       const divisionPool = this.getPool(division);
-        const result = await divisionPool.query(query, params);
-      return result.rows.map(row => ({
-        country: row.country
+      const [result, countryIndex] = await Promise.all([
+        divisionPool.query(query, params),
+        countryMasterService.getCountryIndexSafe()
+      ]);
+      const countries = new Set(result.rows.map(row => {
+        const country = countryMasterService.resolveCountry(row.country, countryIndex);
+        return country ? country.name : row.country;
       }));
+      return [...countries].sort().map(country => ({ country }));
     } catch (error) {
       logger.error(`Error fetching countries for sales rep in division ${division}:`, error);
       throw error;
@@ -687,7 +704,7 @@ class UniversalSalesByCountryService {
           process,
           SUM(values) as total_value
         FROM ${tableName}
-        WHERE countryname = $1
+        WHERE LOWER(TRIM(countryname)) = ANY($1)
         AND year = $2
         AND month IN (${monthPlaceholders})
         AND type = $3
@@ -696,7 +713,10 @@ class UniversalSalesByCountryService {
         ORDER BY total_value DESC
       `;
       
-      const params = [country, year, dataType, ...monthsArray, valueType];
+      // The country under any of its names in the data
+      const countryIndex = await countryMasterService.getCountryIndexSafe();
+      const names = countryMasterService.getCountryNames(country, countryIndex);
+      const params = [names, year, dataType, ...monthsArray, valueType];
       const divisionPool = this.getPool(division);
         const result = await divisionPool.query(query, params);
       
@@ -1052,13 +1072,13 @@ class UniversalSalesByCountryService {
   }
 
   /**
-   * Get customer sales data for a group of sales reps
+   * Get customer sales data for a sales rep group (members as of the requested month)
    */
-  static async getCustomerSalesDataForGroup(division, groupMembers, customer, valueType, year, month, dataType = 'Actual') {
+  static async getCustomerSalesDataForGroup(division, groupName, customer, valueType, year, month, dataType = 'Actual') {
     try {
       const tableName = this.getTableName(division);
       const monthNum = this.monthMapping[month] || parseInt(month) || 1;
-      const placeholders = groupMembers.map((_, index) => `$${index + 1}`).join(', ');
+      const membership = await salesRepHierarchyService.membershipCondition(division, groupName, 1);
 
       // Handle "Estimate" or "FY Estimate" type - query both Actual and Estimate
       const normalizedDataType = dataType.toUpperCase();
@@ -1066,35 +1086,22 @@ class UniversalSalesByCountryService {
 
       const typeCondition = isEstimateType
         ? `AND UPPER(type) IN ('ACTUAL', 'ESTIMATE')`
-        : `AND UPPER(type) = UPPER($${groupMembers.length + 4})`;
+        : `AND UPPER(type) = UPPER($6)`;
 
       const query = `
         SELECT SUM(values) as total_value
         FROM ${tableName}
-        WHERE TRIM(UPPER(salesrepname)) IN (${placeholders})
-        AND customername = $${groupMembers.length + 1}
-        AND year = $${groupMembers.length + 2}
-        AND month = $${groupMembers.length + 3}
+        WHERE ${membership.sql}
+        AND customername = $2
+        AND year = $3
+        AND month = $4
+        AND UPPER(values_type) = UPPER($5)
         ${typeCondition}
-        AND UPPER(values_type) = UPPER($${groupMembers.length + 5})
       `;
 
       const params = isEstimateType
-        ? [
-            ...groupMembers.map(n => String(n).trim().toUpperCase()),
-            customer,
-            parseInt(year),
-            monthNum,
-            valueType
-          ]
-        : [
-            ...groupMembers.map(n => String(n).trim().toUpperCase()),
-            customer,
-            parseInt(year),
-            monthNum,
-            dataType,
-            valueType
-          ];
+        ? [...membership.params, customer, parseInt(year), monthNum, valueType]
+        : [...membership.params, customer, parseInt(year), monthNum, valueType, dataType];
 
       const divisionPool = this.getPool(division);
         const result = await divisionPool.query(query, params);
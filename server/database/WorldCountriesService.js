@@ -2,6 +2,7 @@ const { Pool } = require('pg');
 const logger = require('../utils/logger');
 const { pool } = require('./config');
 const { getDivisionPool } = require('../utils/divisionDatabaseManager');
+const countryMasterService = require('../services/countryMasterService');
 
 class WorldCountriesService {
   constructor(division = 'FP') {
@@ -28,7 +29,9 @@ class WorldCountriesService {
   }
 
   /**
-   * Comprehensive world countries database with regional assignments
+   * Built-in world countries database with regional assignments
+   * Only seeds the country master (services/countryMasterService) on first use;
+   * edits are made in Master Data > Country Master, not here.
    */
   getWorldCountriesDatabase() {
     return {
@@ -454,73 +457,15 @@ class WorldCountriesService {
   }
 
   /**
-   * Smart country assignment with fuzzy matching
+   * Country, region and market type of a name as used in the division data,
+   * from the country master (Unassigned when no country or alias matches)
    */
-  smartCountryAssignment(countryName) {
-    if (!countryName) return { region: 'Unassigned', marketType: 'Unknown', coordinates: null };
-    
-    const worldDB = this.getWorldCountriesDatabase();
-    const normalizedName = countryName.toString().trim();
-    
-    // Direct exact match
-    if (worldDB[normalizedName]) {
-      return worldDB[normalizedName];
+  assignCountry(countryName, index) {
+    const country = countryMasterService.resolveCountry(countryName, index);
+    if (!country) {
+      return { country: countryName, region: countryMasterService.UNASSIGNED, marketType: 'Unknown', coordinates: null };
     }
-    
-    // Case-insensitive exact match
-    for (const [key, value] of Object.entries(worldDB)) {
-      if (key.toLowerCase() === normalizedName.toLowerCase()) {
-        return value;
-      }
-    }
-    
-    // Fuzzy matching patterns
-    const fuzzyPatterns = {
-      'uae': ['emirates', 'uae'],
-      'saudi': ['saudi', 'ksa', 'kingdom of saudi'],
-      'uk': ['united kingdom', 'uk', 'britain', 'great britain', 'england'],
-      'usa': ['united states', 'usa', 'america', 'us'],
-      'drc': ['democratic republic', 'congo', 'dr congo', 'd.r. congo'],
-      'ivory': ['ivory', 'cote d\'ivoire'],
-      'tanzania': ['tanzania', 'united republic of tanzania'],
-      'korea': ['korea', 'republic of korea'],
-      'czech': ['czech', 'czechia'],
-      'bosnia': ['bosnia', 'herzegovina'],
-      'myanmar': ['myanmar', 'burma'],
-      'eswatini': ['eswatini', 'swaziland'],
-      'taiwan': ['taiwan', 'republic of china', 'chinese taipei'],
-      'palestine': ['palestine', 'palestinian'],
-      'macedonia': ['macedonia', 'north macedonia', 'fyrom'],
-      'cape': ['cape verde', 'cabo verde']
-    };
-    
-    const countryLower = normalizedName.toLowerCase();
-    
-    // Check fuzzy patterns
-    for (const [key, patterns] of Object.entries(fuzzyPatterns)) {
-      if (patterns.some(pattern => countryLower.includes(pattern))) {
-        // Find matching entry in worldDB
-        for (const [dbKey, dbValue] of Object.entries(worldDB)) {
-          if (dbKey.toLowerCase().includes(key)) {
-            return dbValue;
-          }
-        }
-      }
-    }
-    
-    // Word-based matching
-    const countryWords = countryLower.split(/\s+/);
-    for (const [key, value] of Object.entries(worldDB)) {
-      const keyWords = key.toLowerCase().split(/\s+/);
-      if (countryWords.some(word => keyWords.some(keyWord => 
-        keyWord.includes(word) || word.includes(keyWord)
-      ))) {
-        return value;
-      }
-    }
-    
-    // Default to Unassigned
-    return { region: 'Unassigned', marketType: 'Unknown', coordinates: null };
+    return { country: country.name, region: country.region, marketType: country.marketType, coordinates: country.coordinates };
   }
 
   /**
@@ -528,48 +473,7 @@ class WorldCountriesService {
    */
   async getUnassignedCountries(division = 'FP') {
     try {
-      const divisionPool = await this.getPool(division);
-      const tableName = this.getTableName(division);
-      
-      const query = `
-        SELECT DISTINCT countryname
-        FROM ${tableName}
-        WHERE countryname IS NOT NULL
-          AND TRIM(countryname) != ''
-        ORDER BY countryname
-      `;
-      
-      const result = await divisionPool.query(query);
-      const countries = result.rows.map(row => row.countryname);
-      
-      const unassignedCountries = [];
-      const suggestions = [];
-      
-      for (const country of countries) {
-        const assignment = this.smartCountryAssignment(country);
-        if (assignment.region === 'Unassigned') {
-          unassignedCountries.push({
-            country,
-            currentRegion: 'Unassigned',
-            suggestion: this.generateAssignmentSuggestion(country)
-          });
-        } else {
-          suggestions.push({
-            country,
-            suggestedRegion: assignment.region,
-            suggestedMarketType: assignment.marketType,
-            confidence: this.calculateConfidence(country, assignment)
-          });
-        }
-      }
-      
-      return {
-        unassigned: unassignedCountries,
-        suggestions,
-        totalCountries: countries.length,
-        assignedCountries: countries.length - unassignedCountries.length
-      };
-      
+      return await countryMasterService.getUnassignedCountries(division || this.division);
     } catch (error) {
       logger.error('Error getting unassigned countries:', error);
       throw error;
@@ -577,95 +481,7 @@ class WorldCountriesService {
   }
 
   /**
-   * Generate assignment suggestion for unassigned country
-   */
-  generateAssignmentSuggestion(countryName) {
-    const countryLower = countryName.toLowerCase();
-    
-    // Geographic hints based on common patterns
-    if (countryLower.includes('island') || countryLower.includes('islands')) {
-      return { region: 'Asia-Pacific', marketType: 'Export', reason: 'Island nation pattern' };
-    }
-    
-    if (countryLower.includes('republic') || countryLower.includes('democratic')) {
-      return { region: 'Southern Africa', marketType: 'Export', reason: 'Republic pattern' };
-    }
-    
-    if (countryLower.includes('federal') || countryLower.includes('federation')) {
-      return { region: 'Europe', marketType: 'Export', reason: 'Federal state pattern' };
-    }
-    
-    // Default suggestion
-    return { region: 'Southern Africa', marketType: 'Export', reason: 'Default assignment for unknown countries' };
-  }
-
-  /**
-   * Calculate confidence score for assignment
-   */
-  calculateConfidence(countryName, assignment) {
-    const worldDB = this.getWorldCountriesDatabase();
-    const normalizedName = countryName.toString().trim();
-    
-    // High confidence for exact matches
-    if (worldDB[normalizedName]) {
-      return 'High';
-    }
-    
-    // Medium confidence for case-insensitive matches
-    for (const key of Object.keys(worldDB)) {
-      if (key.toLowerCase() === normalizedName.toLowerCase()) {
-        return 'Medium';
-      }
-    }
-    
-    // Low confidence for fuzzy matches
-    return 'Low';
-  }
-
-  /**
-   * Update GeographicDistributionService with comprehensive mapping
-   */
-  updateGeographicDistributionService() {
-    const worldDB = this.getWorldCountriesDatabase();
-    
-    // Generate the mapping code for GeographicDistributionService
-    let mappingCode = `
-  /**
-   * Enhanced getRegionForCountry with comprehensive world countries database
-   */
-  getRegionForCountry(countryName) {
-    if (!countryName) return 'Unassigned';
-    
-    const country = countryName.toString().trim().toLowerCase();
-    
-    // Comprehensive world countries database
-    const worldCountries = {`;
-    
-    for (const [country, data] of Object.entries(worldDB)) {
-      mappingCode += `
-      '${country.toLowerCase()}': '${data.region}',`;
-    }
-    
-    mappingCode += `
-    };
-    
-    // Direct lookup
-    let region = worldCountries[country];
-    
-    // If no direct match, try smart assignment
-    if (!region) {
-      const smartAssignment = this.smartCountryAssignment(countryName);
-      region = smartAssignment.region;
-    }
-    
-    return region || 'Unassigned';
-  }`;
-    
-    return mappingCode;
-  }
-
-  /**
-   * Get all distinct countries from division data
+   * Get all distinct countries from division data (aliases shown under their country)
    */
   async getCountries() {
     try {
@@ -680,17 +496,24 @@ class WorldCountriesService {
         ORDER BY country
       `;
       
-      const result = await divisionPool.query(query);
+      const [result, index] = await Promise.all([
+        divisionPool.query(query),
+        countryMasterService.getCountryIndexSafe()
+      ]);
       
       // Enrich with region information
-      return result.rows.map(row => {
-        const assignment = this.smartCountryAssignment(row.country);
-        return {
-          country: row.country,
-          region: assignment.region,
-          marketType: assignment.marketType
-        };
+      const countries = new Map();
+      result.rows.forEach(row => {
+        const assignment = this.assignCountry(row.country, index);
+        if (!countries.has(assignment.country)) {
+          countries.set(assignment.country, {
+            country: assignment.country,
+            region: assignment.region,
+            marketType: assignment.marketType
+          });
+        }
       });
+      return [...countries.values()].sort((a, b) => a.country.localeCompare(b.country));
     } catch (error) {
       logger.error('Error getting countries:', error);
       throw error;
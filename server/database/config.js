@@ -1,5 +1,7 @@
 const { Pool } = require('pg');
 const logger = require('../utils/logger');
+const { installDataScope } = require('../utils/dataScope');
+const { installFxConversion } = require('../utils/fxConversion');
 require('dotenv').config();
 
 // Environment detection
@@ -46,7 +48,7 @@ if (isDevelopment && !process.env.DB_PASSWORD) {
 }
 
 // Create connection pools
-const pool = new Pool(dbConfig);
+const pool = installFxConversion(installDataScope(new Pool(dbConfig)));
 const authPool = new Pool(authDbConfig);
 
 // Test database connections
@@ -78,7 +80,7 @@ const getDivisionPool = (divisionCode) => {
   const dbName = `${divisionCode.toLowerCase()}_database`;
   
   if (!divisionPools[dbName]) {
-    divisionPools[dbName] = new Pool({
+    divisionPools[dbName] = installFxConversion(installDataScope(new Pool({
       user: process.env.DB_USER || 'postgres',
       host: process.env.DB_HOST || 'localhost',
       database: dbName,
@@ -87,7 +89,7 @@ const getDivisionPool = (divisionCode) => {
       max: parseInt(process.env.DB_POOL_MAX) || 20,
       idleTimeoutMillis: 30000,
       connectionTimeoutMillis: 2000,
-    });
+    })));
     logger.info(`✅ Created pool for division database: ${dbName}`);
   }
   
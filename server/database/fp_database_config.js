@@ -5,6 +5,7 @@
 
 const { Pool } = require('pg');
 const logger = require('../utils/logger');
+const { installDataScope } = require('../utils/dataScope');
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '../../.env') });
 
@@ -20,8 +21,8 @@ const fpDatabaseConfig = {
     connectionTimeoutMillis: 2000, // Return an error after 2 seconds if connection could not be established
 };
 
-// Create connection pool for fp_database
-const fpPool = new Pool(fpDatabaseConfig);
+// Create connection pool for fp_database (honours the request's data scope, see utils/dataScope)
+const fpPool = installDataScope(new Pool(fpDatabaseConfig));
 
 // Test connection function
 const testFpConnection = async () => {
@@ -16,6 +16,9 @@ const { testConnection } = require('./config/database');
 const { syncAllTablesToAllDivisions } = require('./utils/divisionDatabaseManager');
 const { initRedis } = require('./middleware/cache');
 const { migrateUserSessions } = require('./migrations/add-last-activity-to-sessions');
+const reportScheduleService = require('./services/reportScheduleService');
+const jobService = require('./services/jobService');
+const databaseBackupService = require('./services/databaseBackupService');
 
 // Environment configuration
 const PORT = process.env.PORT || 3001;
@@ -90,6 +93,21 @@ const startServer = async () => {
       } catch (syncError) {
         logger.warn('Division sync warning', { error: syncError.message });
       }
+
+      // Scheduled report delivery (disable with REPORT_SCHEDULER_ENABLED=false)
+      if (process.env.REPORT_SCHEDULER_ENABLED !== 'false') {
+        reportScheduleService.startScheduler();
+      }
+
+      // Scheduled database backups (disable with BACKUP_SCHEDULER_ENABLED=false)
+      if (process.env.BACKUP_SCHEDULER_ENABLED !== 'false') {
+        databaseBackupService.startScheduler();
+      }
+
+      // Background jobs (merge scans, bulk imports, uploads, exports); disable with JOB_WORKER_ENABLED=false
+      if (process.env.JOB_WORKER_ENABLED !== 'false') {
+        jobService.startWorker();
+      }
     } else {
       logger.error('❌ Database connection failed - server will start but database features may not work');
       logger.warn('Please check your .env file and ensure PostgreSQL is running');
@@ -114,6 +132,7 @@ const startServer = async () => {
       logger.info('   - Sales Representatives: /api/sales-reps/*');
       logger.info('   - Database Operations: /api/countries-db, /api/customers-db, etc.');
       logger.info('   - Admin: /api/admin/*');
+      logger.info('   - Report Schedules: /api/report-schedules/*');
       logger.info('   - Master Data: /api/master-data/*');
       logger.info('   - Product Groups: /api/product-groups/*');
       logger.info('   - Confirmed Merges: /api/confirmed-merges/*');
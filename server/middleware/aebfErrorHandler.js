@@ -16,6 +16,7 @@ const ErrorTypes = {
   FORBIDDEN: 'FORBIDDEN',
   FILE_ERROR: 'FILE_ERROR',
   PROCESSING_ERROR: 'PROCESSING_ERROR',
+  PERIOD_CLOSED: 'PERIOD_CLOSED',
   INTERNAL_ERROR: 'INTERNAL_ERROR'
 };
 
@@ -62,6 +63,9 @@ const ErrorCreators = {
   processingError: (message, details = null) => 
     new ApiError(message, 422, ErrorTypes.PROCESSING_ERROR, details),
   
+  periodClosed: (message, details = null) => 
+    new ApiError(message, 423, ErrorTypes.PERIOD_CLOSED, details),
+  
   internalError: (message = 'Internal server error', details = null) => 
     new ApiError(message, 500, ErrorTypes.INTERNAL_ERROR, details)
 };
@@ -27,6 +27,10 @@ const validDivisions = ['FP', 'HC'];
 const validValuesTypes = ['AMOUNT', 'KGS', 'MORM'];
 const validTypes = ['ACTUAL', 'BUDGET', 'ESTIMATE', 'FORECAST'];
 const validUploadModes = ['upsert', 'replace'];
+const validForecastMethods = ['seasonal_naive', 'moving_average', 'holt_winters'];
+const validBudgetScopes = ['SALES_REP', 'DIVISIONAL'];
+const validDiffDimensions = ['salesrepname', 'customername', 'countryname', 'productgroup', 'month'];
+const validPlMeasures = ['AMOUNT', 'KGS', 'PERCENT'];
 
 /**
  * Division validation
@@ -87,6 +91,28 @@ const validateType = query('type')
   .customSanitizer(value => value ? value.toUpperCase() : value)
   .isIn(validTypes).withMessage(`Type must be one of: ${validTypes.join(', ')}`);
 
+/**
+ * P&L ledger fields shared by create and update (Settings chart of accounts editor)
+ */
+const plLedgerFieldRules = () => [
+  body('measure')
+    .optional()
+    .customSanitizer(value => value ? String(value).toUpperCase() : value)
+    .isIn(validPlMeasures).withMessage(`Measure must be one of: ${validPlMeasures.join(', ')}`),
+  body('formula')
+    .optional({ nullable: true })
+    .isString().withMessage('Formula must be text')
+    .isLength({ max: 1000 }).withMessage('Formula must be at most 1000 characters'),
+  body('statementOrder')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1000 }).withMessage('Statement position must be between 1 and 1000')
+    .toInt(),
+  body('isTotal')
+    .optional()
+    .isBoolean().withMessage('isTotal must be true or false')
+    .toBoolean()
+];
+
 /**
  * Search validation
  */
@@ -474,6 +500,317 @@ const validationRules = {
     handleValidationErrors
   ],
 
+  // Forecast runs
+  getForecast: [
+    validateDivision,
+    query('runId')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Run ID must be a positive integer')
+      .toInt(),
+    validateYear,
+    validateMonth,
+    handleValidationErrors
+  ],
+
+  getForecastRuns: [
+    validateDivision,
+    handleValidationErrors
+  ],
+
+  forecastRun: [
+    param('runId')
+      .isInt({ min: 1 }).withMessage('Run ID must be a positive integer')
+      .toInt(),
+    validateDivision,
+    handleValidationErrors
+  ],
+
+  createForecastRun: [
+    body('division')
+      .trim()
+      .notEmpty().withMessage('Division is required')
+      .isIn(validDivisions).withMessage(`Division must be one of: ${validDivisions.join(', ')}`),
+    body('method')
+      .trim()
+      .isIn(validForecastMethods).withMessage(`Method must be one of: ${validForecastMethods.join(', ')}`),
+    body('horizon')
+      .optional()
+      .isInt({ min: 1, max: 24 }).withMessage('Horizon must be between 1 and 24 months')
+      .toInt(),
+    body('historyMonths')
+      .optional()
+      .isInt({ min: 3, max: 120 }).withMessage('History must be between 3 and 120 months')
+      .toInt(),
+    body('backtestMonths')
+      .optional()
+      .isInt({ min: 0, max: 12 }).withMessage('Backtest window must be between 0 and 12 months')
+      .toInt(),
+    body('params')
+      .optional()
+      .isObject().withMessage('Params must be an object'),
+    handleValidationErrors
+  ],
+
+  publishForecastRun: [
+    param('runId')
+      .isInt({ min: 1 }).withMessage('Run ID must be a positive integer')
+      .toInt(),
+    body('division')
+      .trim()
+      .notEmpty().withMessage('Division is required')
+      .isIn(validDivisions).withMessage(`Division must be one of: ${validDivisions.join(', ')}`),
+    body('publishedBy')
+      .trim()
+      .notEmpty().withMessage('Published by is required'),
+    handleValidationErrors
+  ],
+
+  // Budget versions
+  getBudgetVersions: [
+    validateDivision,
+    query('budgetYear')
+      .optional()
+      .isInt({ min: 2000, max: 2100 }).withMessage('Budget year must be between 2000 and 2100')
+      .toInt(),
+    query('scope')
+      .optional()
+      .toUpperCase()
+      .isIn(validBudgetScopes).withMessage(`Scope must be one of: ${validBudgetScopes.join(', ')}`),
+    handleValidationErrors
+  ],
+
+  budgetVersion: [
+    param('versionId')
+      .isInt({ min: 1 }).withMessage('Version ID must be a positive integer')
+      .toInt(),
+    validateDivision,
+    handleValidationErrors
+  ],
+
+  createBudgetVersion: [
+    body('division')
+      .trim()
+      .notEmpty().withMessage('Division is required')
+      .isIn(validDivisions).withMessage(`Division must be one of: ${validDivisions.join(', ')}`),
+    body('budgetYear')
+      .isInt({ min: 2000, max: 2100 }).withMessage('Budget year must be between 2000 and 2100')
+      .toInt(),
+    body('scope')
+      .trim()
+      .toUpperCase()
+      .isIn(validBudgetScopes).withMessage(`Scope must be one of: ${validBudgetScopes.join(', ')}`),
+    body('versionName')
+      .trim()
+      .notEmpty().withMessage('Version name is required')
+      .isLength({ max: 100 }).withMessage('Version name must be at most 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 }).withMessage('Description must be at most 1000 characters'),
+    handleValidationErrors
+  ],
+
+  lockBudgetVersion: [
+    param('versionId')
+      .isInt({ min: 1 }).withMessage('Version ID must be a positive integer')
+      .toInt(),
+    body('division')
+      .trim()
+      .notEmpty().withMessage('Division is required')
+      .isIn(validDivisions).withMessage(`Division must be one of: ${validDivisions.join(', ')}`),
+    body('locked')
+      .isBoolean().withMessage('Locked must be true or false')
+      .toBoolean(),
+    handleValidationErrors
+  ],
+
+  diffBudgetVersions: [
+    validateDivision,
+    query('from')
+      .trim()
+      .matches(/^(current|\d+)$/).withMessage("From must be a version ID or 'current'"),
+    query('to')
+      .trim()
+      .matches(/^(current|\d+)$/).withMessage("To must be a version ID or 'current'"),
+    query('dimensions')
+      .optional()
+      .customSanitizer(value => String(value).split(',').map(dim => dim.trim().toLowerCase()).filter(Boolean))
+      .custom(value => value.every(dim => validDiffDimensions.includes(dim)))
+      .withMessage(`Dimensions must be from: ${validDiffDimensions.join(', ')}`),
+    validateValuesType,
+    query('salesRep')
+      .optional()
+      .trim(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 5000 }).withMessage('Limit must be between 1 and 5000')
+      .toInt(),
+    handleValidationErrors
+  ],
+
+  budgetVersionTotals: [
+    param('versionId')
+      .isInt({ min: 1 }).withMessage('Version ID must be a positive integer')
+      .toInt(),
+    body('division')
+      .trim()
+      .notEmpty().withMessage('Division is required')
+      .isIn(validDivisions).withMessage(`Division must be one of: ${validDivisions.join(', ')}`),
+    body('months')
+      .optional()
+      .isArray().withMessage('Months must be an array'),
+    body('months.*')
+      .isInt({ min: 1, max: 12 }).withMessage('Each month must be between 1 and 12')
+      .toInt(),
+    body('groupBy')
+      .optional()
+      .isIn(['salesrepname', 'customername', 'countryname', 'productgroup'])
+      .withMessage('groupBy must be salesrepname, customername, countryname or productgroup'),
+    handleValidationErrors
+  ],
+
+  // P&L data
+  getPlLedgers: [
+    validateDivision,
+    handleValidationErrors
+  ],
+
+  getPlData: [
+    validateDivision,
+    validateYear,
+    validateMonth,
+    validateType,
+    query('ledgers')
+      .optional()
+      .trim()
+      .matches(/^[A-Za-z0-9_,\s]+$/).withMessage('Ledgers must be a comma-separated list of ledger codes'),
+    handleValidationErrors
+  ],
+
+  createPlLedger: [
+    body('division')
+      .trim()
+      .notEmpty().withMessage('Division is required')
+      .isIn(validDivisions).withMessage(`Division must be one of: ${validDivisions.join(', ')}`),
+    body('code')
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z][A-Z0-9_]{1,49}$/).withMessage('Code must start with a letter and use only A-Z, 0-9 and _ (max 50 characters)'),
+    body('name')
+      .trim()
+      .notEmpty().withMessage('Name is required')
+      .isLength({ max: 255 }).withMessage('Name must be at most 255 characters'),
+    ...plLedgerFieldRules(),
+    body('sheetRow')
+      .optional({ nullable: true })
+      .isInt({ min: 3, max: 1000 }).withMessage('Sheet row must be between 3 and 1000')
+      .toInt(),
+    handleValidationErrors
+  ],
+
+  updatePlLedger: [
+    param('code')
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z][A-Z0-9_]{1,49}$/).withMessage('Invalid ledger code'),
+    body('division')
+      .trim()
+      .notEmpty().withMessage('Division is required')
+      .isIn(validDivisions).withMessage(`Division must be one of: ${validDivisions.join(', ')}`),
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty().withMessage('Name cannot be empty')
+      .isLength({ max: 255 }).withMessage('Name must be at most 255 characters'),
+    ...plLedgerFieldRules(),
+    body('isActive')
+      .optional()
+      .isBoolean().withMessage('isActive must be true or false')
+      .toBoolean(),
+    handleValidationErrors
+  ],
+
+  evaluatePl: [
+    body('division')
+      .trim()
+      .notEmpty().withMessage('Division is required')
+      .isIn(validDivisions).withMessage(`Division must be one of: ${validDivisions.join(', ')}`),
+    body('columns')
+      .isArray({ max: 100 }).withMessage('Columns must be an array of at most 100 periods'),
+    body('columns.*')
+      .isObject().withMessage('Each column must map ledger codes to amounts'),
+    handleValidationErrors
+  ],
+
+  checkPlFormula: [
+    body('division')
+      .trim()
+      .notEmpty().withMessage('Division is required')
+      .isIn(validDivisions).withMessage(`Division must be one of: ${validDivisions.join(', ')}`),
+    body('formula')
+      .isString().withMessage('Formula is required')
+      .isLength({ max: 1000 }).withMessage('Formula must be at most 1000 characters'),
+    body('code')
+      .optional()
+      .trim()
+      .toUpperCase(),
+    handleValidationErrors
+  ],
+
+  uploadPl: [
+    body('division')
+      .trim()
+      .notEmpty().withMessage('Division is required')
+      .isIn(validDivisions).withMessage(`Division must be one of: ${validDivisions.join(', ')}`),
+    body('uploadMode')
+      .trim()
+      .notEmpty().withMessage('Upload mode is required')
+      .isIn(validUploadModes).withMessage(`Upload mode must be one of: ${validUploadModes.join(', ')}`),
+    body('uploadedBy')
+      .trim()
+      .notEmpty().withMessage('Uploaded by is required')
+      .isLength({ min: 2, max: 100 }).withMessage('Uploaded by must be between 2 and 100 characters'),
+    handleValidationErrors
+  ],
+
+  getPeriodClose: [
+    validateDivision,
+    validateYearRequired,
+    handleValidationErrors
+  ],
+
+  getPeriodCloseAudit: [
+    validateDivision,
+    validateYear,
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000')
+      .toInt(),
+    handleValidationErrors
+  ],
+
+  setPeriodClose: [
+    body('division')
+      .trim()
+      .notEmpty().withMessage('Division is required')
+      .isIn(validDivisions).withMessage(`Division must be one of: ${validDivisions.join(', ')}`),
+    body('year')
+      .isInt({ min: 2000, max: 2100 }).withMessage('Year must be between 2000 and 2100')
+      .toInt(),
+    body('months')
+      .isArray({ min: 1, max: 12 }).withMessage('Months must be a list of 1 to 12 months'),
+    body('months.*')
+      .isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12')
+      .toInt(),
+    body('status')
+      .isIn(['open', 'soft_closed', 'hard_closed']).withMessage('Status must be open, soft_closed or hard_closed'),
+    body('reason')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters'),
+    handleValidationErrors
+  ],
+
   // Import HTML budget
   importHtmlBudget: [
     body('htmlContent')
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Audit Trail Middleware
+ * @module middleware/auditTrail
+ * @description Writes an audit_log entry (services/auditLogService) for every successful
+ * mutating API request that its route did not already record with before / after state
+ *
+ * Features:
+ * - PUT / PATCH / DELETE and POST requests, except POST endpoints that only read
+ *   (dashboards, reports, exports, previews) and the sign-in session endpoints
+ * - Request body as the "after" state, with passwords, tokens and codes redacted and
+ *   large bodies (budget grids, imports) reduced to an outline
+ * - Entity type, id and division derived from the path
+ */
+
+const auditLog = require('../services/auditLogService');
+const logger = require('../utils/logger');
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// POST endpoints that only read, or only open / close a session
+const READ_ONLY_POSTS = [
+  /^\/api\/auth\/(login|login\/two-factor|logout|refresh|verify|password-reset\/request)$/,
+  /^\/api\/aebf\/(calculate-estimate|budget-sales-rep-recap|html-budget-customers(-all)?|divisional-html-budget-data|actual-product-groups|budget-product-groups|analyze-file|pl\/formulas\/check|budget-versions\/[^/]+\/totals)$/,
+  /^\/api\/aebf\/export-[\w-]+$/,
+  /^\/api\/(pivot|write-up)\/?$/,
+  /^\/api\/division-merge-rules\/(rules\/preview|validate)$/,
+  /^\/api\/notifications(\/|$)/,
+  /^\/api\/customer-dashboard\//,
+  /^\/api\/sales-reps\/complete-data$/,
+  /(-db|ultra-fast|divisional-batch|dashboard[\w-]*|sales-by-country|yearly-budget|product-performance|geographic-distribution)$/
+];
+
+// Path segments that identify a record rather than a route
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f-]{27}|[0-9]{13}-[0-9a-f]{8}|[0-9a-f]{24,})$/i;
+
+/**
+ * Whether a request changes data and belongs in the trail
+ * @param {string} method - HTTP method
+ * @param {string} path - Path without query string
+ */
+function isAuditedRequest(method, path) {
+  if (!MUTATING_METHODS.has(method) || !path.startsWith('/api/')) return false;
+  if (method === 'POST' && READ_ONLY_POSTS.some(pattern => pattern.test(path))) return false;
+  return true;
+}
+
+/**
+ * Action, entity and division of a request from its path
+ * e.g. DELETE /api/report-schedules/12 → { action: 'DELETE /api/report-schedules/:id',
+ * entityType: 'report-schedules', entityId: '12' }
+ */
+function describeRequest(method, path) {
+  const segments = path.split('/').filter(Boolean).slice(1); // without 'api'
+  let entityId = null;
+  let division = null;
+
+  const normalized = segments.map(segment => {
+    if (ID_SEGMENT.test(segment)) {
+      entityId = decodeURIComponent(segment);
+      return ':id';
+    }
+    return segment;
+  });
+
+  // Division master data: /api/divisions/:division/master-data/... and /api/:division/master-data/...
+  let entityType = normalized[0] || 'api';
+  const masterDataIndex = normalized.indexOf('master-data');
+  if (masterDataIndex === 1 || (masterDataIndex === 2 && normalized[0] === 'divisions')) {
+    division = normalized[masterDataIndex - 1].toUpperCase();
+    normalized[masterDataIndex - 1] = ':division';
+    entityType = normalized[masterDataIndex + 1] ? `master-data/${normalized[masterDataIndex + 1]}` : 'master-data';
+  } else if (entityType === 'aebf' && normalized[1]) {
+    entityType = `aebf/${normalized[1]}`;
+  }
+
+  return {
+    action: `${method} /api/${normalized.join('/')}`,
+    entityType,
+    entityId,
+    division
+  };
+}
+
+/**
+ * "After" state of a generic entry: redacted body plus the uploaded file, if any
+ */
+function requestPayload(req, path) {
+  const body = req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0 ? req.body : null;
+  const extraKeys = path.startsWith('/api/auth/') ? ['code'] : [];
+  const payload = body ? auditLog.redact(body, extraKeys) : null;
+
+  const file = req.file
+    ? { originalName: req.file.originalname, size: req.file.size, mimeType: req.file.mimetype }
+    : null;
+  if (!file) return payload;
+  return { ...(payload || {}), file };
+}
+
+/**
+ * Audit trail middleware (mount before the API routes, after body parsing)
+ */
+function auditTrailMiddleware(req, res, next) {
+  const path = req.originalUrl.split('?')[0];
+  if (!isAuditedRequest(req.method, path)) return next();
+
+  res.on('finish', () => {
+    if (req.auditRecorded || res.statusCode >= 400) return;
+
+    const description = describeRequest(req.method, path);
+    const body = req.body || {};
+    const division = description.division || body.division || req.query.division || null;
+
+    auditLog.record(req, {
+      ...description,
+      division: typeof division === 'string' ? division : null,
+      statusCode: res.statusCode,
+      after: requestPayload(req, path)
+    }).catch(error => logger.error('Audit trail error', { path, error: error.message }));
+  });
+
+  next();
+}
+
+module.exports = {
+  auditTrailMiddleware,
+  isAuditedRequest,
+  describeRequest
+};
@@ -1,4 +1,6 @@
 const authService = require('../services/authService');
+const userService = require('../services/userService');
+const { canAccessDivision, runWithDataScope } = require('../utils/dataScope');
 const logger = require('../utils/logger');
 
 /**
@@ -85,6 +87,49 @@ function requireDivisionAccess(req, res, next) {
   next();
 }
 
+/**
+ * Middleware factory that resolves the user's row-level data scope
+ * (utils/dataScope) and runs the rest of the request inside it, so sales data
+ * queries only return sales reps the user may see.
+ * @param {object} [options]
+ * @param {string} [options.division] - Fixed division for division-specific routers (e.g. 'FP')
+ */
+function requireDataScope(options = {}) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    let scope;
+    try {
+      scope = await userService.getDataScope(req.user.id);
+    } catch (error) {
+      logger.error('Data scope error:', error);
+      return res.status(500).json({ error: 'Failed to resolve data access' });
+    }
+
+    if (!scope) {
+      return res.status(401).json({ error: 'User not found or inactive' });
+    }
+
+    const division = options.division
+      || req.params.division
+      || (req.query && req.query.division)
+      || (req.body && req.body.division);
+
+    if (division && !canAccessDivision(scope, division)) {
+      return res.status(403).json({
+        error: 'Access denied to this division',
+        requestedDivision: division,
+        allowedDivisions: scope.divisions
+      });
+    }
+
+    req.dataScope = scope;
+    runWithDataScope(scope, next);
+  };
+}
+
 /**
  * Optional authentication - attaches user if token present, but doesn't require it
  */
@@ -115,5 +160,6 @@ module.exports = {
   authenticate,
   requireRole,
   requireDivisionAccess,
+  requireDataScope,
   optionalAuthenticate
 };
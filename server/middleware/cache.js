@@ -64,7 +64,7 @@ async function initRedis() {
  * @returns {string} Cache key
  */
 function generateCacheKey(req) {
-  const { division, year, month, customer, salesRep, budgetYear } = req.query;
+  const { division, year, month, type, customer, salesRep, budgetYear, ledgers, includeInactive } = req.query;
   const body = req.body || {};
   
   // Include relevant parameters in cache key
@@ -73,12 +73,17 @@ function generateCacheKey(req) {
     division,
     year,
     month,
+    type,
     customer,
     salesRep,
     budgetYear,
+    ledgers,
+    includeInactive,
     bodyDivision: body.division,
     bodyYear: body.year,
-    bodyBudgetYear: body.budgetYear
+    bodyBudgetYear: body.budgetYear,
+    // Converted responses (middleware/reportCurrency) must not be shared across currencies
+    currency: (req.get && req.get('X-Report-Currency')) || req.query.reportCurrency
   };
   
   // Remove undefined values
@@ -0,0 +1,61 @@
+/**
+ * Period Lock Middleware
+ * Refuses writes to months closed in the period-close register (423 Locked)
+ */
+
+const { optionalAuthenticate } = require('./auth');
+const periodCloseService = require('../services/periodCloseService');
+const logger = require('../utils/logger');
+
+/**
+ * Response body for a refused write (same shape as AEBF error responses)
+ */
+const periodClosedResponse = (error) => ({
+  success: false,
+  error: error.message,
+  errorType: 'PERIOD_CLOSED',
+  details: error.details,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Check the months a request writes before the route runs
+ * The user is taken from the bearer token when there is one, so administrators can still
+ * post to soft-closed months on routes that do not require authentication.
+ *
+ * @param {function(object): ({division: string, periods: Array}|null|Promise)} resolveTarget -
+ *   Division and year-months the request writes (periods null = replaces all data), or null to skip
+ * @returns {Array<Function>} Middleware chain
+ *
+ * @example
+ * router.post('/save-estimate', requireOpenPeriods(req => ({
+ *   division: req.body.division,
+ *   periods: Object.keys(req.body.estimates).map(month => ({ year: req.body.year, month: Number(month) }))
+ * })), handler);
+ */
+function requireOpenPeriods(resolveTarget) {
+  const check = async (req, res, next) => {
+    try {
+      const target = await resolveTarget(req);
+      if (!target || !target.division) return next();
+
+      await periodCloseService.assertPeriodsOpen({ ...target, user: req.user });
+      next();
+    } catch (error) {
+      if (error.statusCode === 423) {
+        logger.warn(`🔒 Write refused: ${error.message}`, { url: req.originalUrl, user: req.user?.email });
+        return res.status(423).json(periodClosedResponse(error));
+      }
+      next(error);
+    }
+  };
+
+  // Routes behind authenticate already have req.user
+  const attachUser = (req, res, next) => (req.user ? next() : optionalAuthenticate(req, res, next));
+  return [attachUser, check];
+}
+
+module.exports = {
+  requireOpenPeriods,
+  periodClosedResponse
+};
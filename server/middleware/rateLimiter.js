@@ -9,6 +9,7 @@
  * - uploadLimiter: 10 requests per hour for file upload endpoints
  * - queryLimiter: 100 requests per 15 minutes for data query endpoints
  * - generalLimiter: 500 requests per 15 minutes for general API endpoints
+ * - authLimiter: 20 requests per 15 minutes for password reset and two-factor sign-in
  * 
  * @features
  * - IP-based tracking with standardHeaders (RateLimit headers)
@@ -145,9 +146,38 @@ const exportLimiter = rateLimit({
   }
 });
 
+/**
+ * Account Security Rate Limiter
+ * Tight limit for unauthenticated account endpoints to slow down guessing and mail flooding
+ * 
+ * @limit 20 requests per 15 minutes per IP
+ * @applies POST /api/auth/login/two-factor, POST /api/auth/password-reset/*
+ */
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Limit each IP to 20 account security requests per 15 minutes
+  message: {
+    success: false,
+    error: 'Too many attempts from this IP, please try again after 15 minutes.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      error: 'Too many attempts from this IP. Please try again after 15 minutes.',
+      retryAfter: '15 minutes',
+      limit: 20,
+      windowMs: 900000
+    });
+  }
+});
+
 module.exports = {
   uploadLimiter,
   queryLimiter,
   generalLimiter,
-  exportLimiter
+  exportLimiter,
+  authLimiter
 };
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Report Currency Middleware
+ * @module middleware/reportCurrency
+ * @description Serves Amount / MoRM in the currency chosen in the dashboard header.
+ *
+ * The client sends the currency in the X-Report-Currency header (or the
+ * reportCurrency query parameter). When it differs from the company currency
+ * the request runs with a conversion active (utils/fxConversion), so every
+ * value-table SELECT on the data pools returns converted values.
+ *
+ * Only mount on read routes: values read while a conversion is active must
+ * never be written back.
+ */
+
+const logger = require('../utils/logger');
+const fxRateService = require('../services/fxRateService');
+const { runWithConversion } = require('../utils/fxConversion');
+
+const REPORT_CURRENCY_HEADER = 'X-Report-Currency';
+
+/**
+ * Requested report currency code (upper case) or null
+ */
+function getRequestedCurrency(req) {
+  const requested = req.get(REPORT_CURRENCY_HEADER) || (req.query && req.query.reportCurrency);
+  return requested ? String(requested).trim().toUpperCase() : null;
+}
+
+async function reportCurrency(req, res, next) {
+  const currency = getRequestedCurrency(req);
+  if (!currency) {
+    return next();
+  }
+
+  let conversion;
+  try {
+    conversion = await fxRateService.getConversion(currency);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    logger.error('Report currency error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to load exchange rates' });
+  }
+
+  if (!conversion) {
+    return next();
+  }
+
+  req.reportCurrency = conversion.currency;
+  res.set(REPORT_CURRENCY_HEADER, conversion.currency);
+  runWithConversion(conversion, next);
+}
+
+module.exports = {
+  REPORT_CURRENCY_HEADER,
+  getRequestedCurrency,
+  reportCurrency
+};
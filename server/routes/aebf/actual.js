@@ -5,7 +5,7 @@
  * 
  * @requires express
  * @requires multer File upload middleware for Excel files
- * @requires child_process For PowerShell script execution
+ * @requires services/excelIngestionService Node Excel ingestion pipeline
  * 
  * @routes
  * - GET  /actual                 - Retrieve paginated actual data with comprehensive filters
@@ -15,13 +15,13 @@
  * - GET  /distinct/:field        - Get distinct values for specific field
  * - GET  /export                 - Export data to CSV (max 10,000 records)
  * - GET  /available-months       - Get available actual months for estimation
- * - POST /upload-actual          - Upload Excel file via PowerShell processing
+ * - POST /upload-actual          - Queue an Excel upload job (Node ingestion pipeline)
  * - POST /analyze-file           - Analyze Excel file to extract year/month combinations
  * 
  * @features
  * - Month name recognition (JANUARY/JAN → 1)
  * - Multi-field search with intelligent matching
- * - PowerShell integration for Excel processing
+ * - Cross-platform Excel ingestion with per-row error report
  * - Selective year/month upload support
  * - CSV export with comprehensive filtering
  * - Real-time file analysis
@@ -35,14 +35,18 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { spawn } = require('child_process');
 const logger = require('../../utils/logger');
 const { getPoolForDivision, getTableNames, extractDivisionCode } = require('./shared');
 const { asyncHandler, ErrorCreators, successResponse } = require('../../middleware/aebfErrorHandler');
+const { reportCurrency } = require('../../middleware/reportCurrency');
 const validationRules = require('../../middleware/aebfValidation');
 const { queryLimiter, uploadLimiter, exportLimiter } = require('../../middleware/rateLimiter');
 const { cacheMiddleware, CacheTTL, invalidateCache } = require('../../middleware/cache');
 const { paginationHelper, buildPaginationSQL, buildPaginationMeta } = require('../../middleware/pagination');
+const { ingestExcelFile } = require('../../services/excelIngestionService');
+const jobService = require('../../services/jobService');
+const varianceAlertService = require('../../services/varianceAlertService');
+const { authenticate } = require('../../middleware/auth');
 
 // Valid divisions
 const VALID_DIVISIONS = ['FP', 'HC'];
@@ -100,6 +104,7 @@ const upload = multer({
  */
 router.get('/actual', 
   queryLimiter, 
+  reportCurrency, 
   cacheMiddleware({ ttl: CacheTTL.MEDIUM }), 
   paginationHelper,
   validationRules.getActual, 
@@ -284,7 +289,7 @@ router.get('/actual',
  * @query {string} [type] - Filter by type
  * @returns {object} 200 - Summary statistics
  */
-router.get('/summary', queryLimiter, cacheMiddleware({ ttl: CacheTTL.MEDIUM }), validationRules.getSummary, asyncHandler(async (req, res) => {
+router.get('/summary', queryLimiter, reportCurrency, cacheMiddleware({ ttl: CacheTTL.MEDIUM }), validationRules.getSummary, asyncHandler(async (req, res) => {
   const { division, type } = req.query;
   
   const conditions = ['UPPER(division) = $1'];
@@ -330,7 +335,7 @@ router.get('/summary', queryLimiter, cacheMiddleware({ ttl: CacheTTL.MEDIUM }),
  * @query {string} [search] - Search term
  * @returns {object} 200 - Year-specific summary
  */
-router.get('/year-summary', queryLimiter, cacheMiddleware({ ttl: CacheTTL.MEDIUM }), validationRules.getYearSummary, asyncHandler(async (req, res) => {
+router.get('/year-summary', queryLimiter, reportCurrency, cacheMiddleware({ ttl: CacheTTL.MEDIUM }), validationRules.getYearSummary, asyncHandler(async (req, res) => {
   const { division, type, types, year, search } = req.query;
   
   let whereClause = `WHERE UPPER(division) = $1`;
@@ -657,9 +662,71 @@ router.get('/export', exportLimiter, validationRules.exportData, asyncHandler(as
     res.send(csv);
 }));
 
+/**
+ * Load an uploaded Actual workbook (runs as the 'actual-upload' job)
+ * Validation failures end the job as failed with the per-row report as its result.
+ * A completed load evaluates the division's variance alert rules in the background.
+ * The workbook travels in the job row (jobService input file), so any server instance can run it.
+ *
+ * @param {object} payload - originalName, division, uploadMode, uploadedBy, user, selectedYearMonths, dryRun
+ * @param {object} context - Job context (progress reports, cancellation, the uploaded file)
+ * @returns {Promise<object>} Ingestion report
+ */
+async function runActualUpload(payload, context) {
+  const { originalName, division, uploadMode, uploadedBy, user, selectedYearMonths, dryRun } = payload;
+
+  const file = await context.readInputFile();
+  if (!file) {
+    const error = new Error('The uploaded file is no longer available, please upload it again');
+    error.statusCode = 410;
+    throw error;
+  }
+
+  const report = await ingestExcelFile({
+    fileContent: file.content,
+    originalName,
+    division,
+    type: 'Actual',
+    mode: uploadMode,
+    uploadedBy,
+    user,
+    selectedYearMonths,
+    dryRun,
+    onProgress: context.progress
+  });
+  
+  if (!report.success) {
+    logger.warn('❌ Excel validation failed:', { errorCount: report.errorCount });
+    const error = new Error(`Excel validation failed with ${report.errorCount} error(s)`);
+    error.statusCode = 422;
+    error.result = { ...report, error: error.message };
+    throw error;
+  }
+  
+  if (!report.dryRun) {
+    invalidateCache('aebf:*').catch(err => 
+      logger.warn('Cache invalidation warning:', err.message)
+    );
+    varianceAlertService.evaluateDivision(division, { trigger: 'actual-upload' }).catch(err =>
+      logger.warn('Variance alert evaluation failed:', err.message)
+    );
+  }
+  
+  return {
+    ...report,
+    message: report.dryRun ? 'Validation passed - no data written' : 'Upload completed successfully',
+    uploadMode: report.mode,
+    uploadedBy,
+    recordsAffected: report.recordsInserted || 0
+  };
+}
+
+// The load runs in one transaction, so a failed attempt can safely run again
+jobService.registerHandler('actual-upload', runActualUpload, { maxAttempts: 2 });
+
 /**
  * POST /upload-actual
- * Upload actual data Excel file and process via PowerShell script
+ * Upload actual data Excel file and queue it for the Node ingestion pipeline
  * 
  * @route POST /api/aebf/upload-actual
  * @body {string} division - Division (FP or HC)
@@ -667,12 +734,13 @@ router.get('/export', exportLimiter, validationRules.exportData, asyncHandler(as
  * @body {string} uploadedBy - User performing the upload
  * @body {string} [selectiveMode] - Enable selective year/month upload
  * @body {string} [selectedYearMonths] - JSON array of selected year-month combinations
+ * @body {string} [dryRun] - 'true' to validate only without writing
  * @file {file} file - Excel file to upload
- * @returns {object} 200 - Upload success with processing details
+ * @returns {object} 202 - { jobId, job }; the job result has the processing details, or (failed job)
+ *   the per-row error report / the closed periods it touches
  */
-router.post('/upload-actual', uploadLimiter, upload.single('file'), validationRules.uploadActual, asyncHandler(async (req, res) => {
+router.post('/upload-actual', uploadLimiter, authenticate, upload.single('file'), validationRules.uploadActual, asyncHandler(async (req, res) => {
   const { division, uploadMode, uploadedBy } = req.body;
-  const filePath = req.file.path;
   
   logger.info('📤 Upload request received:', {
     division,
@@ -681,104 +749,36 @@ router.post('/upload-actual', uploadLimiter, upload.single('file'), validationRu
     fileName: req.file.originalname,
     fileSize: req.file.size
   });
-    
-    const scriptPath = path.join(__dirname, '../../../scripts/transform-actual-to-sql.ps1');
-    
-    if (!fs.existsSync(scriptPath)) {
-      return res.status(500).json({
-        success: false,
-        error: 'Transform script not found'
-      });
-    }
-    
-    logger.info('🔄 Executing PowerShell script...');
-    
-    const psArgs = [
-      '-ExecutionPolicy', 'Bypass',
-      '-File', scriptPath,
-      '-ExcelPath', filePath,
-      '-Division', division.toUpperCase(),
-      '-UploadMode', uploadMode.toLowerCase(),
-      '-UploadedBy', uploadedBy
-    ];
-    
-    if (req.body.selectiveMode === 'true' && req.body.selectedYearMonths) {
-      const selectedYearMonths = JSON.parse(req.body.selectedYearMonths);
-      psArgs.push('-SelectiveYearMonths', selectedYearMonths.join(','));
-      logger.info('📅 Selective mode enabled:', selectedYearMonths);
-    }
-    
-    const psProcess = spawn('powershell.exe', psArgs);
-    
-    let stdout = '';
-    let stderr = '';
-    
-    psProcess.stdout.on('data', (data) => {
-      const output = data.toString();
-      stdout += output;
-      logger.info(output);
-    });
-    
-    psProcess.stderr.on('data', (data) => {
-      const error = data.toString();
-      stderr += error;
-      logger.error(error);
-    });
-    
-    psProcess.on('close', (code) => {
-      logger.info(`PowerShell script exited with code ${code}`);
-      
-      try {
-        fs.unlinkSync(filePath);
-        logger.info('✅ Cleaned up uploaded file');
-      } catch (err) {
-        logger.error('⚠️  Failed to clean up file:', err);
-      }
-      
-      if (code === 0) {
-        const recordsMatch = stdout.match(/Total records processed: (\d+)/);
-        const recordsAffected = recordsMatch ? parseInt(recordsMatch[1]) : 0;
-        
-        // Invalidate cache after successful upload
-        invalidateCache('aebf:*').catch(err => 
-          logger.warn('Cache invalidation warning:', err.message)
-        );
-        
-        res.json({
-          success: true,
-          message: 'Upload completed successfully',
-          division: division.toUpperCase(),
-          uploadMode,
-          uploadedBy,
-          recordsAffected,
-          output: stdout,
-          logFile: stdout.match(/Log file: (.+)/)?.[1]
-        });
-      } else {
-        res.status(500).json({
-          success: false,
-          error: 'PowerShell script failed',
-          details: stderr || stdout,
-          exitCode: code
-        });
-      }
-    });
-    
-    psProcess.on('error', (error) => {
-      logger.error('❌ Failed to start PowerShell script:', error);
-      
-      try {
-        fs.unlinkSync(filePath);
-      } catch (err) {
-        logger.error('Failed to clean up file:', err);
-      }
-      
-      res.status(500).json({
-        success: false,
-        error: 'Failed to execute transform script',
-        details: error.message
-      });
+  
+  const selectedYearMonths = req.body.selectiveMode === 'true' ? req.body.selectedYearMonths : null;
+  if (selectedYearMonths) {
+    logger.info('📅 Selective mode enabled:', selectedYearMonths);
+  }
+  
+  // The workbook is queued with the job (not left on this server's disk) so any instance can run it
+  let job;
+  try {
+    const content = await fs.promises.readFile(req.file.path);
+    job = await jobService.enqueue({
+      type: 'actual-upload',
+      division,
+      file: { name: req.file.originalname, content },
+      payload: {
+        originalName: req.file.originalname,
+        division,
+        uploadMode,
+        uploadedBy,
+        user: { id: req.user.id, email: req.user.email, role: req.user.role },
+        selectedYearMonths,
+        dryRun: req.body.dryRun === 'true'
+      },
+      user: req.user
     });
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
+  
+  res.status(202).json({ success: true, jobId: job.id, job });
 }));
 
 /**
@@ -0,0 +1,190 @@
+/**
+ * @fileoverview AEBF Budget Version Routes
+ * @module routes/aebf/budget-versions
+ * @description Named budget versions (Original, Rev1, Board-approved...) for sales rep and divisional budgets
+ *
+ * @requires express
+ * @requires services/budgetVersionService Version snapshots and diffs
+ *
+ * @routes
+ * - GET    /budget-versions                           - List versions (filter by budget year / scope)
+ * - POST   /budget-versions                           - Snapshot the live budget as a named version
+ * - GET    /budget-versions/diff                      - Per customer / product group / month deltas between two versions
+ * - GET    /budget-versions/:versionId                - Version details
+ * - POST   /budget-versions/:versionId/lock           - Lock or unlock a version
+ * - POST   /budget-versions/:versionId/totals         - Version totals for period columns
+ * - DELETE /budget-versions/:versionId                - Delete an unlocked version
+ *
+ * @validation All routes use express-validator middleware
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../../utils/logger');
+const { asyncHandler, successResponse, ErrorCreators } = require('../../middleware/aebfErrorHandler');
+const { reportCurrency } = require('../../middleware/reportCurrency');
+const validationRules = require('../../middleware/aebfValidation');
+const { queryLimiter } = require('../../middleware/rateLimiter');
+const budgetVersionService = require('../../services/budgetVersionService');
+
+/**
+ * GET /budget-versions
+ * List named budget versions
+ *
+ * @route GET /api/aebf/budget-versions
+ * @query {string} division - Division (FP or HC)
+ * @query {number} [budgetYear] - Filter by budget year
+ * @query {string} [scope] - SALES_REP | DIVISIONAL
+ * @returns {object} 200 - Versions, newest first
+ */
+router.get('/budget-versions', queryLimiter, validationRules.getBudgetVersions, asyncHandler(async (req, res) => {
+  const { division, budgetYear, scope } = req.query;
+  const versions = await budgetVersionService.listBudgetVersions(division, { budgetYear, scope });
+  successResponse(res, { versions });
+}));
+
+/**
+ * POST /budget-versions
+ * Freeze the current sales rep or divisional budget as a named version
+ *
+ * @route POST /api/aebf/budget-versions
+ * @body {string} division - Division (FP or HC)
+ * @body {number} budgetYear - Budget year
+ * @body {string} scope - SALES_REP | DIVISIONAL
+ * @body {string} versionName - Unique name within the year and scope
+ * @body {string} [description] - Notes (e.g. reason for revision)
+ * @body {string} [createdBy] - User creating the version
+ * @returns {object} 201 - Created version
+ */
+router.post('/budget-versions', queryLimiter, validationRules.createBudgetVersion, asyncHandler(async (req, res) => {
+  const { division, budgetYear, scope, versionName, description, createdBy } = req.body;
+
+  logger.info('📸 Create budget version request:', { division, budgetYear, scope, versionName });
+
+  let version;
+  try {
+    version = await budgetVersionService.createBudgetVersion({
+      division, budgetYear, scope, versionName, description, createdBy
+    });
+  } catch (error) {
+    if (error.message.includes('already exists') || error.message.startsWith('No ')) {
+      throw ErrorCreators.validationError(error.message);
+    }
+    throw error;
+  }
+
+  successResponse(res, { version }, `Budget version "${version.version_name}" created`, 201);
+}));
+
+/**
+ * GET /budget-versions/diff
+ * Compare two versions, or a version with the live budget ('current')
+ *
+ * @route GET /api/aebf/budget-versions/diff
+ * @query {string} division - Division (FP or HC)
+ * @query {string} from - Base version ID or 'current'
+ * @query {string} to - Compared version ID or 'current'
+ * @query {string} [dimensions] - Comma separated: salesrepname,customername,countryname,productgroup,month
+ * @query {string} [values_type] - KGS | AMOUNT | MORM
+ * @query {string} [salesRep] - Restrict to one sales rep
+ * @query {number} [limit=500] - Max changed rows returned
+ * @returns {object} 200 - Summary per values type and changed rows sorted by absolute delta
+ */
+router.get('/budget-versions/diff', queryLimiter, reportCurrency, validationRules.diffBudgetVersions, asyncHandler(async (req, res) => {
+  const { division, from, to, dimensions, values_type, salesRep, limit } = req.query;
+
+  let diff;
+  try {
+    diff = await budgetVersionService.diffBudgetVersions(division, from, to, {
+      dimensions, valuesType: values_type, salesRep, limit
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      throw ErrorCreators.notFound('Budget version', error.message.match(/\d+/)?.[0]);
+    }
+    if (error.message.startsWith('Cannot compare') || error.message.startsWith('At least one')) {
+      throw ErrorCreators.validationError(error.message);
+    }
+    throw error;
+  }
+
+  successResponse(res, diff);
+}));
+
+/**
+ * GET /budget-versions/:versionId
+ * Version details
+ *
+ * @route GET /api/aebf/budget-versions/:versionId
+ * @param {number} versionId - Version ID
+ * @query {string} division - Division (FP or HC)
+ * @returns {object} 200 - Version
+ */
+router.get('/budget-versions/:versionId', queryLimiter, reportCurrency, validationRules.budgetVersion, asyncHandler(async (req, res) => {
+  const version = await budgetVersionService.getBudgetVersion(req.query.division, req.params.versionId);
+  if (!version) {
+    throw ErrorCreators.notFound('Budget version', req.params.versionId);
+  }
+  successResponse(res, { version });
+}));
+
+/**
+ * POST /budget-versions/:versionId/lock
+ * Lock (e.g. Board-approved) or unlock a version
+ *
+ * @route POST /api/aebf/budget-versions/:versionId/lock
+ * @param {number} versionId - Version ID
+ * @body {string} division - Division (FP or HC)
+ * @body {boolean} locked - New lock state
+ * @returns {object} 200 - Updated version
+ */
+router.post('/budget-versions/:versionId/lock', queryLimiter, validationRules.lockBudgetVersion, asyncHandler(async (req, res) => {
+  const { division, locked } = req.body;
+  const version = await budgetVersionService.setBudgetVersionLock(division, req.params.versionId, locked);
+  if (!version) {
+    throw ErrorCreators.notFound('Budget version', req.params.versionId);
+  }
+  successResponse(res, { version }, `Budget version "${version.version_name}" ${locked ? 'locked' : 'unlocked'}`);
+}));
+
+/**
+ * POST /budget-versions/:versionId/totals
+ * Version totals for a period column, optionally grouped by one dimension
+ *
+ * @route POST /api/aebf/budget-versions/:versionId/totals
+ * @param {number} versionId - Version ID
+ * @body {string} division - Division (FP or HC)
+ * @body {number[]} [months] - Months of the period column (default all)
+ * @body {string} [groupBy] - salesrepname | customername | countryname | productgroup
+ * @returns {object} 200 - Totals per group and values type
+ */
+router.post('/budget-versions/:versionId/totals', queryLimiter, validationRules.budgetVersionTotals, asyncHandler(async (req, res) => {
+  const { division, months, groupBy } = req.body;
+
+  const version = await budgetVersionService.getBudgetVersion(division, req.params.versionId);
+  if (!version) {
+    throw ErrorCreators.notFound('Budget version', req.params.versionId);
+  }
+
+  const totals = await budgetVersionService.getBudgetVersionTotals(division, version.id, { months, groupBy });
+  successResponse(res, { version, totals });
+}));
+
+/**
+ * DELETE /budget-versions/:versionId
+ * Delete an unlocked version
+ *
+ * @route DELETE /api/aebf/budget-versions/:versionId
+ * @param {number} versionId - Version ID
+ * @query {string} division - Division (FP or HC)
+ * @returns {object} 200 - Delete result
+ */
+router.delete('/budget-versions/:versionId', queryLimiter, validationRules.budgetVersion, asyncHandler(async (req, res) => {
+  const deleted = await budgetVersionService.deleteBudgetVersion(req.query.division, req.params.versionId);
+  if (!deleted) {
+    throw ErrorCreators.validationError('Budget version not found or locked');
+  }
+  successResponse(res, { deleted: true, versionId: req.params.versionId });
+}));
+
+module.exports = router;
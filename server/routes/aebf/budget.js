@@ -5,11 +5,11 @@
  * 
  * @requires express
  * @requires multer File upload middleware for Excel files
- * @requires child_process For PowerShell script execution
+ * @requires services/excelIngestionService Node Excel ingestion pipeline
  * 
  * @routes
  * - GET  /budget                   - Retrieve paginated budget data with search
- * - POST /upload-budget            - Upload budget Excel file via PowerShell
+ * - POST /upload-budget            - Upload budget Excel file via Node ingestion pipeline
  * - POST /calculate-estimate       - Calculate estimates from actual base period
  * - POST /save-estimate            - Save estimates with proportional distribution
  * - GET  /budget-years             - Get available budget years from sales_rep_budget table
@@ -23,7 +23,7 @@
  * @features
  * - Transaction handling for data consistency
  * - Batch inserts (500 records per batch)
- * - PowerShell integration for Excel processing
+ * - Cross-platform Excel ingestion with per-row error report
  * - Multi-dimensional estimate distribution
  * - Sales rep performance recaps
  * 
@@ -36,13 +36,16 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { spawn } = require('child_process');
 const logger = require('../../utils/logger');
-const { getPoolForDivision, getTableNames, extractDivisionCode } = require('./shared');
+const { getPoolForDivision, getTableNames, extractDivisionCode, assertPeriodsOpen } = require('./shared');
 const { asyncHandler, successResponse, ErrorCreators } = require('../../middleware/aebfErrorHandler');
+const { reportCurrency } = require('../../middleware/reportCurrency');
 const validationRules = require('../../middleware/aebfValidation');
 const { queryLimiter, uploadLimiter } = require('../../middleware/rateLimiter');
 const { cacheMiddleware, CacheTTL, invalidateCache } = require('../../middleware/cache');
+const { ingestExcelFile } = require('../../services/excelIngestionService');
+const { optionalAuthenticate } = require('../../middleware/auth');
+const { requireOpenPeriods } = require('../../middleware/periodLock');
 
 // Valid divisions
 const VALID_DIVISIONS = ['FP', 'HC'];
@@ -90,7 +93,7 @@ const upload = multer({
  * @query {number} [pageSize=50] - Records per page
  * @returns {object} 200 - Paginated budget data with summary
  */
-router.get('/budget', queryLimiter, cacheMiddleware({ ttl: CacheTTL.LONG }), validationRules.getBudget, asyncHandler(async (req, res) => {
+router.get('/budget', queryLimiter, reportCurrency, cacheMiddleware({ ttl: CacheTTL.LONG }), validationRules.getBudget, asyncHandler(async (req, res) => {
   const { division, year, month, search, page, pageSize } = req.query;
   
   logger.info('📊 Get budget data request:', { division, year, month, search, page, pageSize });
@@ -170,17 +173,19 @@ router.get('/budget', queryLimiter, cacheMiddleware({ ttl: CacheTTL.LONG }), val
 
 /**
  * POST /upload-budget
- * Upload budget Excel file and process via PowerShell script
+ * Upload budget Excel file and load it via the Node ingestion pipeline
  * 
  * @route POST /api/aebf/upload-budget
  * @body {string} division - Division (FP or HC)
  * @body {string} [uploadMode=replace] - Upload mode (upsert or replace)
  * @body {string} uploadedBy - User performing the upload
  * @body {string} [selectedYearMonths] - Selective year-month combinations
+ * @body {string} [dryRun] - 'true' to validate only without writing
  * @file {file} file - Excel file to upload
  * @returns {object} 200 - Upload success with processing details
+ * @returns {object} 422 - Validation failed, details contain the per-row error report (or the closed periods it touches)
  */
-router.post('/upload-budget', uploadLimiter, upload.single('file'), validationRules.uploadBudget, asyncHandler(async (req, res) => {
+router.post('/upload-budget', uploadLimiter, optionalAuthenticate, upload.single('file'), validationRules.uploadBudget, asyncHandler(async (req, res) => {
   const { division, uploadMode, uploadedBy, selectedYearMonths } = req.body;
   const filePath = req.file.path;
   
@@ -194,96 +199,48 @@ router.post('/upload-budget', uploadLimiter, upload.single('file'), validationRu
   });
   
   const mode = uploadMode ? uploadMode.toLowerCase() : 'replace';
-    
-    const scriptPath = path.join(__dirname, '../../../scripts/transform-budget-to-sql.ps1');
-    
-    if (!fs.existsSync(scriptPath)) {
-      return res.status(500).json({
-        success: false,
-        error: 'Budget transform script not found'
-      });
-    }
-    
-    logger.info('🔄 Executing Budget PowerShell script...');
-    
-    const psArgs = [
-      '-ExecutionPolicy', 'Bypass',
-      '-File', scriptPath,
-      '-ExcelPath', filePath,
-      '-Division', division.toUpperCase(),
-      '-UploadMode', mode,
-      '-UploadedBy', uploadedBy
-    ];
-    
-    if (selectedYearMonths) {
-      psArgs.push('-SelectiveYearMonths', selectedYearMonths);
-    }
-    
-    const psProcess = spawn('powershell.exe', psArgs);
-    
-    let stdout = '';
-    let stderr = '';
-    
-    psProcess.stdout.on('data', (data) => {
-      const output = data.toString();
-      stdout += output;
-      logger.info(output);
-    });
-    
-    psProcess.stderr.on('data', (data) => {
-      const output = data.toString();
-      stderr += output;
-      logger.error(output);
-    });
-    
-    psProcess.on('close', (code) => {
-      try {
-        fs.unlinkSync(filePath);
-        logger.info('🗑️ Cleaned up uploaded file');
-      } catch (err) {
-        logger.error('Failed to clean up file:', err);
-      }
-      
-      if (code === 0) {
-        logger.info('✅ Budget upload completed successfully');
-        
-        // Invalidate cache after successful upload
-        invalidateCache('aebf:*').catch(err => 
-          logger.warn('Cache invalidation warning:', err.message)
-        );
-        
-        res.json({
-          success: true,
-          message: 'Budget data uploaded successfully',
-          output: stdout,
-          mode: mode
-        });
-      } else {
-        logger.error('❌ Budget upload failed with exit code:', code);
-        res.status(500).json({
-          success: false,
-          error: 'Budget upload failed',
-          details: stderr || stdout,
-          exitCode: code
-        });
-      }
+  
+  let report;
+  try {
+    report = await ingestExcelFile({
+      filePath,
+      originalName: req.file.originalname,
+      division,
+      type: 'Budget',
+      mode,
+      uploadedBy,
+      user: req.user,
+      selectedYearMonths,
+      dryRun: req.body.dryRun === 'true'
     });
-    
-    psProcess.on('error', (error) => {
-      logger.error('❌ PowerShell process error:', error);
-      
-      try {
-        fs.unlinkSync(filePath);
-      } catch (err) {
-        logger.error('Failed to clean up file:', err);
-      }
-      
-      res.status(500).json({
-        success: false,
-        error: 'Failed to execute budget transform script',
-        details: error.message
-      });
+  } finally {
+    try {
+      fs.unlinkSync(filePath);
+      logger.info('🗑️ Cleaned up uploaded file');
+    } catch (err) {
+      logger.error('Failed to clean up file:', err);
+    }
+  }
+  
+  if (!report.success) {
+    logger.warn('❌ Budget validation failed:', { errorCount: report.errorCount });
+    return res.status(422).json({
+      ...report,
+      error: `Budget validation failed with ${report.errorCount} error(s)`
     });
+  }
+  
+  if (!report.dryRun) {
+    logger.info('✅ Budget upload completed successfully');
+    invalidateCache('aebf:*').catch(err => 
+      logger.warn('Cache invalidation warning:', err.message)
+    );
+  }
+  
+  res.json({
+    ...report,
+    message: report.dryRun ? 'Validation passed - no data written' : 'Budget data uploaded successfully'
+  });
 }));
 
 /**
@@ -294,8 +251,9 @@ router.post('/upload-budget', uploadLimiter, upload.single('file'), validationRu
  * @query {string} division - Division (FP or HC)
  * @query {number} year - Year to clear estimates for
  * @returns {object} 200 - Delete result with count
+ * @returns {object} 423 - A month holding estimates is closed
  */
-router.delete('/clear-estimates', queryLimiter, asyncHandler(async (req, res) => {
+router.delete('/clear-estimates', queryLimiter, optionalAuthenticate, asyncHandler(async (req, res) => {
   const { division, year } = req.query;
   
   if (!division || !year) {
@@ -326,6 +284,13 @@ router.delete('/clear-estimates', queryLimiter, asyncHandler(async (req, res) =>
     });
   }
   
+  const monthsResult = await divisionPool.query(`
+    SELECT DISTINCT month
+    FROM public.${tables.dataExcel}
+    WHERE UPPER(division) = $1 AND UPPER(type) = 'ESTIMATE' AND year = $2
+  `, [division.toUpperCase(), parseInt(year)]);
+  await assertPeriodsOpen(req, division, monthsResult.rows.map(row => ({ year: parseInt(year), month: row.month })));
+  
   // Delete all estimates for the year
   const deleteQuery = `
     DELETE FROM public.${tables.dataExcel}
@@ -448,8 +413,12 @@ router.post('/calculate-estimate', queryLimiter, validationRules.calculateEstima
  * @body {object} estimates - Estimates object with month keys
  * @body {string} approvedBy - User approving the estimates
  * @returns {object} 200 - Save success with record counts
+ * @returns {object} 423 - An estimated month is closed
  */
-router.post('/save-estimate', queryLimiter, validationRules.saveEstimate, asyncHandler(async (req, res) => {
+router.post('/save-estimate', queryLimiter, validationRules.saveEstimate, requireOpenPeriods(req => ({
+  division: req.body.division,
+  periods: Object.keys(req.body.estimates).map(month => ({ year: req.body.year, month: Number(month) }))
+})), asyncHandler(async (req, res) => {
   const { division, year, estimates, approvedBy } = req.body;
   
   logger.info('💾 Save estimate request:', { division, year, estimateMonths: Object.keys(estimates), approvedBy });
@@ -625,7 +594,7 @@ router.get('/budget-years', queryLimiter, cacheMiddleware({ ttl: CacheTTL.VERY_L
  * @body {string} salesRep - Sales rep name
  * @returns {object} 200 - Budget recap with Amount, KGS, and MoRM totals
  */
-router.post('/budget-sales-rep-recap', queryLimiter, validationRules.budgetSalesRepRecap, asyncHandler(async (req, res) => {
+router.post('/budget-sales-rep-recap', queryLimiter, reportCurrency, validationRules.budgetSalesRepRecap, asyncHandler(async (req, res) => {
   const { division, budgetYear, salesRep } = req.body;
     
     const divisionPool = getPoolForDivision(division);
@@ -7,7 +7,7 @@
  * @requires shared For database pool and table management
  * 
  * @routes
- * - POST   /bulk-import              - Create bulk import batch with unique batch_id
+ * - POST   /bulk-import              - Queue a bulk import job (creates a batch with unique batch_id)
  * - GET    /bulk-batches             - List all batches for division (limit 50, sorted by created_at DESC)
  * - GET    /bulk-batch/:batchId      - Get specific batch details with record count
  * - DELETE /bulk-batch/:batchId      - Delete batch and all associated records
@@ -30,33 +30,27 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../../utils/logger');
 const { getPoolForDivision, getTableNames } = require('./shared');
+const budgetApprovalService = require('../../services/budgetApprovalService');
+const { saveSalesRepBudgetDraft } = require('../../services/salesRepBudgetService');
+const periodCloseService = require('../../services/periodCloseService');
+const { authenticate } = require('../../middleware/auth');
+const jobService = require('../../services/jobService');
 const { asyncHandler, successResponse } = require('../../middleware/aebfErrorHandler');
 const validationRules = require('../../middleware/aebfValidation');
 const { queryLimiter, exportLimiter } = require('../../middleware/rateLimiter');
 
 /**
- * POST /bulk-import
- * Import multiple sales rep budget files at once
+ * Import multiple sales rep budget files as one batch (runs as the 'bulk-import' job)
  * 
- * @route POST /api/aebf/bulk-import
- * @body {string} division - Division (FP or HC)
- * @body {array} files - Array of file objects with htmlContent, salesRep, budgetYear, filename
- * @body {boolean} saveToFinal - Whether to save to final budget table
- * @returns {object} 200 - Import result with batch_id and counts
+ * @param {object} payload
+ * @param {string} payload.division - Division (FP or HC)
+ * @param {array} payload.files - Array of file objects with htmlContent, salesRep, budgetYear, filename
+ * @param {boolean} payload.saveToFinal - Whether to also save each sales rep's budget as their draft for approval
+ * @param {object} [payload.user] - Requester (closed-period checks)
+ * @param {object} context - Job context (progress reports, cancellation)
+ * @returns {Promise<object>} Import result with batch_id and counts
  */
-router.post('/bulk-import', queryLimiter, asyncHandler(async (req, res) => {
-  logger.info('📦 Bulk import request received');
-  
-  const { files, saveToFinal, division } = req.body;
-
-  if (!files || !Array.isArray(files) || files.length === 0) {
-    return res.status(400).json({ success: false, error: 'No files provided' });
-  }
-
-  if (!division) {
-    return res.status(400).json({ success: false, error: 'Division is required' });
-  }
-
+async function runBulkImport({ files, saveToFinal, division, user }, context) {
   const divisionPool = getPoolForDivision(division);
   const tables = getTableNames(division);
   const client = await divisionPool.connect();
@@ -81,7 +75,8 @@ router.post('/bulk-import', queryLimiter, asyncHandler(async (req, res) => {
     const importedSalesReps = [];
     const errors = [];
 
-    for (const file of files) {
+    for (const [index, file] of files.entries()) {
+      await context.progress((index / files.length) * 90, `Importing ${file.filename || `file ${index + 1}`} (${index + 1}/${files.length})`);
       try {
         const { htmlContent, salesRep: rawSalesRep, budgetYear, filename } = file;
 
@@ -93,6 +88,25 @@ router.post('/bulk-import', queryLimiter, asyncHandler(async (req, res) => {
           continue;
         }
 
+        // Submitted / approved budgets and closed periods are locked until reopened
+        if (saveToFinal) {
+          const approval = await budgetApprovalService.getApproval(division, salesRep, budgetYear);
+          if (!budgetApprovalService.isEditable(approval.status)) {
+            errors.push({ filename, error: `Budget for ${salesRep} ${budgetYear} is ${approval.status} and locked for editing` });
+            continue;
+          }
+
+          const closedPeriods = await periodCloseService.findBlockedPeriods({
+            division,
+            periods: periodCloseService.yearPeriods(budgetYear),
+            user
+          });
+          if (closedPeriods.length > 0) {
+            errors.push({ filename, error: periodCloseService.describeBlocked(division, closedPeriods) });
+            continue;
+          }
+        }
+
         // Extract budget data from HTML (handle newlines in the data)
         const budgetDataMatch = htmlContent.match(/const savedBudget\s*=\s*(\[[\s\S]*?\]);/);
         if (!budgetDataMatch) {
@@ -205,55 +219,54 @@ router.post('/bulk-import', queryLimiter, asyncHandler(async (req, res) => {
       }
     }
     
-    // If saving to final, also copy to the main budget table
+    // "Save to final" stores each sales rep's budget as their draft, ready to submit;
+    // {div}_sales_rep_budget is only written when a manager approves it
     if (saveToFinal && totalImported > 0) {
-      // Get all records from this batch
+      await context.progress(90, 'Saving sales rep drafts');
       const batchRecords = await client.query(
         `SELECT * FROM ${tables.budgetBulkImport} WHERE batch_id = $1`,
         [batchId]
       );
-      
+
+      const draftsByRep = new Map();
       for (const record of batchRecords.rows) {
-        // Delete existing budget for this sales rep/customer/country/product
-        await client.query(
-          `DELETE FROM ${tables.salesRepBudget} 
-           WHERE sales_rep = $1 AND customer = $2 AND country = $3 
-           AND product_group = $4 AND budget_year = $5`,
-          [record.sales_rep, record.customer, record.country, record.product_group, record.budget_year]
-        );
-        
-        // Insert into main budget table
-        await client.query(
-          `INSERT INTO ${tables.salesRepBudget}
-           (division, sales_rep, budget_year, customer, country, product_group,
-            month_1, month_2, month_3, month_4, month_5, month_6,
-            month_7, month_8, month_9, month_10, month_11, month_12,
-            total_amount, total_morm, imported_at)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)`,
-          [
-            record.division, record.sales_rep, record.budget_year, 
-            record.customer, record.country, record.product_group,
-            record.month_1, record.month_2, record.month_3, record.month_4,
-            record.month_5, record.month_6, record.month_7, record.month_8,
-            record.month_9, record.month_10, record.month_11, record.month_12,
-            record.total_amount, record.total_morm, record.imported_at
-          ]
-        );
+        const key = `${record.sales_rep}|${record.budget_year}`;
+        if (!draftsByRep.has(key)) {
+          draftsByRep.set(key, { salesRep: record.sales_rep, budgetYear: record.budget_year, records: [] });
+        }
+        for (let m = 1; m <= 12; m++) {
+          const value = parseFloat(record[`month_${m}`]) || 0;
+          if (value !== 0) {
+            draftsByRep.get(key).records.push({
+              customer: record.customer,
+              country: record.country,
+              productGroup: record.product_group,
+              month: m,
+              value
+            });
+          }
+        }
       }
-      
-      logger.info(`✅ Copied ${totalImported} records to main budget table`);
+
+      for (const draft of draftsByRep.values()) {
+        if (draft.records.length === 0) continue;
+        await saveSalesRepBudgetDraft(client, { division, ...draft });
+      }
+
+      logger.info(`✅ Saved ${draftsByRep.size} sales rep draft(s) from batch ${batchId}`);
     }
     
+    await context.throwIfCancelled();
     await client.query('COMMIT');
     
-    res.json({
+    return {
       success: true,
       batchId,
       importedCount: totalImported,
       salesReps: importedSalesReps,
       status,
       errors: errors.length > 0 ? errors : undefined
-    });
+    };
     
   } catch (error) {
     await client.query('ROLLBACK');
@@ -261,6 +274,47 @@ router.post('/bulk-import', queryLimiter, asyncHandler(async (req, res) => {
   } finally {
     client.release();
   }
+}
+
+// The batch is written in one transaction, so a failed attempt can safely run again
+jobService.registerHandler('bulk-import', runBulkImport, { maxAttempts: 2 });
+
+/**
+ * POST /bulk-import
+ * Queue an import of multiple sales rep budget files
+ * 
+ * @route POST /api/aebf/bulk-import
+ * @body {string} division - Division (FP or HC)
+ * @body {array} files - Array of file objects with htmlContent, salesRep, budgetYear, filename
+ * @body {boolean} saveToFinal - Whether to also save each sales rep's budget as their draft for approval
+ * @returns {object} 202 - { jobId, job }; the job result has batchId, importedCount, salesReps, errors
+ */
+router.post('/bulk-import', queryLimiter, authenticate, asyncHandler(async (req, res) => {
+  logger.info('📦 Bulk import request received');
+  
+  const { files, saveToFinal, division } = req.body;
+
+  if (!files || !Array.isArray(files) || files.length === 0) {
+    return res.status(400).json({ success: false, error: 'No files provided' });
+  }
+
+  if (!division) {
+    return res.status(400).json({ success: false, error: 'Division is required' });
+  }
+
+  const job = await jobService.enqueue({
+    type: 'bulk-import',
+    division,
+    payload: {
+      files,
+      saveToFinal: !!saveToFinal,
+      division,
+      user: { id: req.user.id, email: req.user.email, role: req.user.role }
+    },
+    user: req.user
+  });
+
+  res.status(202).json({ success: true, jobId: job.id, job });
 }));
 
 /**
@@ -8,7 +8,7 @@
  * 
  * @routes
  * - POST   /divisional-html-budget-data           - Get divisional budget via getDivisionalBudgetInfo
- * - POST   /export-divisional-html-budget-form    - Export divisional form (placeholder)
+ * - POST   /export-divisional-html-budget-form    - Queue a divisional HTML form export job
  * - POST   /import-divisional-budget-html         - Import divisional HTML (placeholder)
  * - POST   /save-divisional-budget                - Save via saveDivisionalBudget service
  * - DELETE /delete-divisional-budget/:division/:budgetYear - Delete divisional budget
@@ -26,12 +26,17 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../../utils/logger');
 const { cacheMiddleware, CacheTTL, invalidateCache } = require('../../middleware/cache');
-const { getPoolForDivision, getTableNames } = require('./shared');
-const { saveDivisionalBudget, getDivisionalBudgetInfo } = require('../../services/divisionalBudgetService');
+const { getPoolForDivision, getTableNames, assertPeriodsOpen } = require('./shared');
+const { saveDivisionalBudget, getDivisionalBudgetInfo, getDivisionalBudgetTotals } = require('../../services/divisionalBudgetService');
+const auditLog = require('../../services/auditLogService');
 const { asyncHandler, successResponse } = require('../../middleware/aebfErrorHandler');
 const validationRules = require('../../middleware/aebfValidation');
 const { queryLimiter } = require('../../middleware/rateLimiter');
 const { generateDivisionalBudgetHtml } = require('../../utils/divisionalHtmlExport');
+const { yearPeriods } = require('../../services/periodCloseService');
+const { authenticate, optionalAuthenticate } = require('../../middleware/auth');
+const { requireOpenPeriods } = require('../../middleware/periodLock');
+const jobService = require('../../services/jobService');
 
 /**
  * POST /divisional-html-budget-data
@@ -235,30 +240,20 @@ router.post('/divisional-html-budget-data', queryLimiter, cacheMiddleware({ ttl:
 }));
 
 /**
- * POST /export-divisional-html-budget-form
- * Export divisional budget HTML form with actual data and editable budget fields
- * Now generates a dynamic HTML with embedded JavaScript for live calculations
- * 
- * @route POST /api/aebf/export-divisional-html-budget-form
- * @body {string} division - Division (FP or HC)
- * @body {number} actualYear - Actual year for reference data
- * @body {array} tableData - Table data with product groups and actual values
- * @body {object} budgetData - Current budget values
- * @body {object} servicesChargesData - Services Charges actual data
- * @body {object} servicesChargesBudget - Services Charges budget data
- * @body {object} pricingData - Pricing data for Amount/MoRM calculations
- * @returns {html} - Dynamic HTML form file for download
+ * Generate the divisional budget HTML form (runs as the 'divisional-html-export' job)
+ * The form is the job's result file (GET /api/jobs/:id/download)
+ *
+ * @param {object} payload - division, actualYear, tableData, budgetData, servicesChargesData,
+ *   servicesChargesBudget, pricingData
+ * @param {object} context - Job context (progress reports, result file)
+ * @returns {Promise<object>} { filename, size }
  */
-router.post('/export-divisional-html-budget-form', asyncHandler(async (req, res) => {
-  const { division, actualYear, tableData, budgetData, servicesChargesData, servicesChargesBudget, pricingData } = req.body;
-  
-  if (!division || !actualYear) {
-    return res.status(400).json({ success: false, error: 'Division and actualYear are required' });
-  }
-  
+async function runDivisionalHtmlExport(payload, context) {
+  const { division, actualYear, tableData, budgetData, servicesChargesData, servicesChargesBudget, pricingData } = payload;
   const budgetYear = parseInt(actualYear) + 1;
   
   logger.info(`Generating dynamic divisional budget HTML for ${division}, budget year ${budgetYear}`);
+  await context.progress(10, 'Generating budget form');
   
   // Generate the dynamic HTML using the generator
   const htmlContent = generateDivisionalBudgetHtml({
@@ -278,9 +273,42 @@ router.post('/export-divisional-html-budget-form', asyncHandler(async (req, res)
   const timeStr = String(now.getHours()).padStart(2, '0') + String(now.getMinutes()).padStart(2, '0');
   const filename = `BUDGET_Divisional_${division}_${budgetYear}_${dateStr}_${timeStr}.html`;
   
-  res.setHeader('Content-Type', 'text/html');
-  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-  res.send(htmlContent);
+  context.setResultFile(filename, htmlContent, 'text/html');
+  return { filename, size: Buffer.byteLength(htmlContent) };
+}
+
+jobService.registerHandler('divisional-html-export', runDivisionalHtmlExport, { maxAttempts: 2 });
+
+/**
+ * POST /export-divisional-html-budget-form
+ * Queue an export of the divisional budget HTML form with actual data and editable budget fields
+ * The form is a dynamic HTML with embedded JavaScript for live calculations
+ * 
+ * @route POST /api/aebf/export-divisional-html-budget-form
+ * @body {string} division - Division (FP or HC)
+ * @body {number} actualYear - Actual year for reference data
+ * @body {array} tableData - Table data with product groups and actual values
+ * @body {object} budgetData - Current budget values
+ * @body {object} servicesChargesData - Services Charges actual data
+ * @body {object} servicesChargesBudget - Services Charges budget data
+ * @body {object} pricingData - Pricing data for Amount/MoRM calculations
+ * @returns {object} 202 - { jobId, job }; download the form from GET /api/jobs/:id/download
+ */
+router.post('/export-divisional-html-budget-form', authenticate, asyncHandler(async (req, res) => {
+  const { division, actualYear, tableData, budgetData, servicesChargesData, servicesChargesBudget, pricingData } = req.body;
+  
+  if (!division || !actualYear) {
+    return res.status(400).json({ success: false, error: 'Division and actualYear are required' });
+  }
+  
+  const job = await jobService.enqueue({
+    type: 'divisional-html-export',
+    division,
+    payload: { division, actualYear, tableData, budgetData, servicesChargesData, servicesChargesBudget, pricingData },
+    user: req.user
+  });
+  
+  res.status(202).json({ success: true, jobId: job.id, job });
 }));
 
 /**
@@ -293,7 +321,7 @@ router.post('/export-divisional-html-budget-form', asyncHandler(async (req, res)
  * @body {boolean} forceUpdate - If true, update existing records without confirmation
  * @returns {object} 200 - Import result with record counts
  */
-router.post('/import-divisional-budget-html', asyncHandler(async (req, res) => {
+router.post('/import-divisional-budget-html', optionalAuthenticate, asyncHandler(async (req, res) => {
   const { htmlContent, forceUpdate, confirmReplace } = req.body;
   const shouldForceUpdate = forceUpdate || confirmReplace;
   
@@ -453,6 +481,8 @@ router.post('/import-divisional-budget-html', asyncHandler(async (req, res) => {
     });
   }
   
+  await assertPeriodsOpen(req, division, yearPeriods(budgetYear));
+  
   // Proceed with import using the existing save function
   const result = await saveDivisionalBudget(divisionPool, {
     division,
@@ -533,12 +563,17 @@ router.post('/import-divisional-budget-html', asyncHandler(async (req, res) => {
  * @body {array} records - Array of budget records (regular product groups)
  * @body {array} servicesChargesRecords - Array of Services Charges records (optional)
  * @returns {object} 200 - Save result with record counts
+ * @returns {object} 423 - A month of the budget year is closed
  */
-router.post('/save-divisional-budget', validationRules.saveDivisionalBudget, asyncHandler(async (req, res) => {
+router.post('/save-divisional-budget', validationRules.saveDivisionalBudget, requireOpenPeriods(req => ({
+  division: req.body.division,
+  periods: yearPeriods(req.body.budgetYear)
+})), asyncHandler(async (req, res) => {
   const { division, budgetYear, records, servicesChargesRecords } = req.body;
   
   const divisionPool = getPoolForDivision(division);
   const tables = getTableNames(division);
+  const before = await getDivisionalBudgetTotals(divisionPool, division, parseInt(budgetYear));
   
   // Save regular product group budget records
   const result = await saveDivisionalBudget(divisionPool, {
@@ -589,6 +624,15 @@ router.post('/save-divisional-budget', validationRules.saveDivisionalBudget, asy
     
     logger.info(`Saved ${servicesChargesCount} Services Charges records for ${division} ${budgetYear}`);
   }
+
+  await auditLog.record(req, {
+    action: 'divisional-budget.save',
+    entityType: 'aebf/divisional-budget',
+    entityId: budgetYear,
+    division,
+    before,
+    after: await getDivisionalBudgetTotals(divisionPool, division, parseInt(budgetYear))
+  });
   
   // Invalidate cache after saving
   invalidateCache('aebf:*').catch(err => 
@@ -609,8 +653,12 @@ router.post('/save-divisional-budget', validationRules.saveDivisionalBudget, asy
  * @param {string} division - Division (FP or HC)
  * @param {number} budgetYear - Budget year
  * @returns {object} 200 - Deletion result with record count
+ * @returns {object} 423 - A month of the budget year is closed
  */
-router.delete('/delete-divisional-budget/:division/:budgetYear', validationRules.deleteDivisionalBudget, asyncHandler(async (req, res) => {
+router.delete('/delete-divisional-budget/:division/:budgetYear', validationRules.deleteDivisionalBudget, requireOpenPeriods(req => ({
+  division: req.params.division,
+  periods: yearPeriods(req.params.budgetYear)
+})), asyncHandler(async (req, res) => {
   const { division, budgetYear } = req.params;
   
   const divisionPool = getPoolForDivision(division);
@@ -621,7 +669,17 @@ router.delete('/delete-divisional-budget/:division/:budgetYear', validationRules
     WHERE UPPER(division) = UPPER($1) AND year = $2
   `;
   
+  const before = await getDivisionalBudgetTotals(divisionPool, division, parseInt(budgetYear));
   const result = await divisionPool.query(deleteQuery, [division, parseInt(budgetYear)]);
+
+  await auditLog.record(req, {
+    action: 'divisional-budget.delete',
+    entityType: 'aebf/divisional-budget',
+    entityId: budgetYear,
+    division,
+    before,
+    after: null
+  });
   
   // Invalidate cache after deletion
   invalidateCache('aebf:*').catch(err => 
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview AEBF Forecast Routes
+ * @module routes/aebf/forecast
+ * @description Forecast runs projected from Actual history, with versioning, backtest accuracy and publishing
+ *
+ * @requires express
+ * @requires services/forecastService Forecast run persistence and publishing
+ *
+ * @routes
+ * - GET    /forecast                        - Forecast values of a run (published run by default)
+ * - GET    /forecast/methods                - Available forecast methods and default parameters
+ * - GET    /forecast/runs                   - List forecast runs (all versions)
+ * - POST   /forecast/runs                   - Create a new forecast run
+ * - GET    /forecast/runs/:runId            - Run details
+ * - GET    /forecast/runs/:runId/accuracy   - Backtest MAPE per sales rep / customer / product group / country
+ * - GET    /forecast/runs/:runId/comparison - Monthly Forecast vs Actual vs Budget totals
+ * - POST   /forecast/runs/:runId/publish    - Publish run as type='Forecast' in data_excel
+ * - DELETE /forecast/runs/:runId            - Delete an unpublished run
+ *
+ * @algorithms
+ * - Seasonal Naive: Same month last year
+ * - Moving Average: Mean of last N months
+ * - Holt-Winters: Additive level/trend/seasonality smoothing
+ *
+ * @validation All routes use express-validator middleware
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../../utils/logger');
+const { asyncHandler, successResponse, ErrorCreators } = require('../../middleware/aebfErrorHandler');
+const { reportCurrency } = require('../../middleware/reportCurrency');
+const validationRules = require('../../middleware/aebfValidation');
+const { queryLimiter } = require('../../middleware/rateLimiter');
+const { invalidateCache } = require('../../middleware/cache');
+const { DEFAULT_PARAMS, addMonths } = require('../../services/forecastEngine');
+const forecastService = require('../../services/forecastService');
+const { assertPeriodsOpen } = require('./shared');
+const { optionalAuthenticate } = require('../../middleware/auth');
+
+/**
+ * GET /forecast
+ * Forecast values for a run - defaults to the currently published run
+ *
+ * @route GET /api/aebf/forecast
+ * @query {string} division - Division (FP or HC)
+ * @query {number} [runId] - Forecast run ID
+ * @query {number} [year] - Filter by year
+ * @query {number} [month] - Filter by month
+ * @query {string} [values_type] - Filter by values type
+ * @query {string} [search] - Search customer / sales rep / country / product group
+ * @query {number} [page=1] - Page number
+ * @query {number} [pageSize=100] - Records per page
+ * @returns {object} 200 - Paginated forecast values
+ */
+router.get('/forecast', queryLimiter, reportCurrency, validationRules.getForecast, asyncHandler(async (req, res) => {
+  const { division, year, month, values_type, search, page, pageSize } = req.query;
+
+  const runId = req.query.runId || await forecastService.getPublishedRunId(division);
+  if (!runId) {
+    return successResponse(res, {
+      run: null,
+      data: [],
+      pagination: { total: 0, page: 1, pageSize: 0 }
+    });
+  }
+
+  const run = await forecastService.getForecastRun(division, runId);
+  if (!run) {
+    throw ErrorCreators.notFound('Forecast run', runId);
+  }
+
+  const result = await forecastService.getForecastValues(division, runId, {
+    page, pageSize, year, month, valuesType: values_type, search
+  });
+
+  successResponse(res, { run, ...result });
+}));
+
+/**
+ * GET /forecast/methods
+ * Available forecast methods
+ *
+ * @route GET /api/aebf/forecast/methods
+ * @returns {object} 200 - Methods with labels and default parameters
+ */
+router.get('/forecast/methods', asyncHandler(async (req, res) => {
+  successResponse(res, {
+    methods: Object.entries(forecastService.METHODS).map(([key, meta]) => ({ key, ...meta })),
+    defaultParams: DEFAULT_PARAMS
+  });
+}));
+
+/**
+ * GET /forecast/runs
+ * List all forecast runs (versions) for a division
+ *
+ * @route GET /api/aebf/forecast/runs
+ * @query {string} division - Division (FP or HC)
+ * @returns {object} 200 - Runs, newest version first
+ */
+router.get('/forecast/runs', queryLimiter, validationRules.getForecastRuns, asyncHandler(async (req, res) => {
+  const runs = await forecastService.listForecastRuns(req.query.division);
+  successResponse(res, { runs });
+}));
+
+/**
+ * POST /forecast/runs
+ * Create a new forecast run from Actual history
+ *
+ * @route POST /api/aebf/forecast/runs
+ * @body {string} division - Division (FP or HC)
+ * @body {string} method - seasonal_naive | moving_average | holt_winters
+ * @body {number} [horizon=12] - Months to project
+ * @body {number} [historyMonths=36] - Months of history to fit on
+ * @body {number} [backtestMonths=6] - Holdout months for accuracy
+ * @body {object} [params] - Method parameters (window, alpha, beta, gamma)
+ * @body {string} [runName] - Display name
+ * @body {string} [createdBy] - User creating the run
+ * @returns {object} 201 - Created run
+ */
+router.post('/forecast/runs', queryLimiter, validationRules.createForecastRun, asyncHandler(async (req, res) => {
+  const { division, method, horizon, historyMonths, backtestMonths, params, runName, createdBy } = req.body;
+
+  logger.info('📈 Create forecast run request:', { division, method, horizon, historyMonths, backtestMonths });
+
+  let run;
+  try {
+    run = await forecastService.createForecastRun({
+      division, method, horizon, historyMonths, backtestMonths, params, runName, createdBy
+    });
+  } catch (error) {
+    if (error.message.startsWith('No Actual data') || error.message.startsWith('Horizon')) {
+      throw ErrorCreators.validationError(error.message);
+    }
+    throw error;
+  }
+
+  successResponse(res, { run }, `Forecast run v${run.version} created`, 201);
+}));
+
+/**
+ * GET /forecast/runs/:runId
+ * Forecast run details including backtest summary
+ *
+ * @route GET /api/aebf/forecast/runs/:runId
+ * @param {number} runId - Forecast run ID
+ * @query {string} division - Division (FP or HC)
+ * @returns {object} 200 - Run details
+ */
+router.get('/forecast/runs/:runId', queryLimiter, reportCurrency, validationRules.forecastRun, asyncHandler(async (req, res) => {
+  const run = await forecastService.getForecastRun(req.query.division, req.params.runId);
+  if (!run) {
+    throw ErrorCreators.notFound('Forecast run', req.params.runId);
+  }
+  successResponse(res, { run });
+}));
+
+/**
+ * GET /forecast/runs/:runId/accuracy
+ * Backtest accuracy (MAPE) per dimension member and values_type
+ *
+ * @route GET /api/aebf/forecast/runs/:runId/accuracy
+ * @param {number} runId - Forecast run ID
+ * @query {string} division - Division (FP or HC)
+ * @query {string} [dimension] - salesrepname | customername | productgroup | countryname
+ * @returns {object} 200 - Accuracy summary
+ */
+router.get('/forecast/runs/:runId/accuracy', queryLimiter, reportCurrency, validationRules.forecastRun, asyncHandler(async (req, res) => {
+  const { division, dimension } = req.query;
+  const run = await forecastService.getForecastRun(division, req.params.runId);
+  if (!run) {
+    throw ErrorCreators.notFound('Forecast run', req.params.runId);
+  }
+  if (!run.backtest) {
+    return successResponse(res, { runId: run.id, method: run.method, accuracy: null });
+  }
+
+  const accuracy = dimension
+    ? { holdoutMonths: run.backtest.holdoutMonths, overall: run.backtest.overall, byDimension: { [dimension]: run.backtest.byDimension[dimension] || {} } }
+    : run.backtest;
+
+  successResponse(res, { runId: run.id, method: run.method, accuracy });
+}));
+
+/**
+ * GET /forecast/runs/:runId/comparison
+ * Monthly totals of the run next to Actual and Budget
+ *
+ * @route GET /api/aebf/forecast/runs/:runId/comparison
+ * @param {number} runId - Forecast run ID
+ * @query {string} division - Division (FP or HC)
+ * @returns {object} 200 - Monthly comparison
+ */
+router.get('/forecast/runs/:runId/comparison', queryLimiter, reportCurrency, validationRules.forecastRun, asyncHandler(async (req, res) => {
+  const comparison = await forecastService.getForecastComparison(req.query.division, req.params.runId);
+  if (!comparison) {
+    throw ErrorCreators.notFound('Forecast run', req.params.runId);
+  }
+  successResponse(res, comparison);
+}));
+
+/**
+ * POST /forecast/runs/:runId/publish
+ * Publish a run into data_excel as type='Forecast' (supersedes the previous published run)
+ *
+ * @route POST /api/aebf/forecast/runs/:runId/publish
+ * @param {number} runId - Forecast run ID
+ * @body {string} division - Division (FP or HC)
+ * @body {string} publishedBy - User publishing the run
+ * @returns {object} 200 - Publish result
+ * @returns {object} 423 - A forecast month is closed
+ */
+router.post('/forecast/runs/:runId/publish', queryLimiter, optionalAuthenticate, validationRules.publishForecastRun, asyncHandler(async (req, res) => {
+  const { division, publishedBy } = req.body;
+
+  logger.info('📤 Publish forecast run request:', { division, runId: req.params.runId, publishedBy });
+
+  const existing = await forecastService.getForecastRun(division, req.params.runId);
+  if (!existing) {
+    throw ErrorCreators.notFound('Forecast run', req.params.runId);
+  }
+
+  // Publishing rewrites the Forecast (and clears Estimate) rows of the run's horizon
+  const horizon = Array.from({ length: existing.horizon }, (_, i) =>
+    addMonths(existing.history_to_year, existing.history_to_month, i + 1)
+  );
+  await assertPeriodsOpen(req, division, horizon);
+
+  const result = await forecastService.publishForecastRun(division, req.params.runId, publishedBy);
+
+  invalidateCache('aebf:*').catch(err =>
+    logger.warn('Cache invalidation warning:', err.message)
+  );
+
+  successResponse(res, result, `Forecast v${result.run.version} published`);
+}));
+
+/**
+ * DELETE /forecast/runs/:runId
+ * Delete a draft or superseded run (published runs cannot be deleted)
+ *
+ * @route DELETE /api/aebf/forecast/runs/:runId
+ * @param {number} runId - Forecast run ID
+ * @query {string} division - Division (FP or HC)
+ * @returns {object} 200 - Delete result
+ */
+router.delete('/forecast/runs/:runId', queryLimiter, validationRules.forecastRun, asyncHandler(async (req, res) => {
+  const deleted = await forecastService.deleteForecastRun(req.query.division, req.params.runId);
+  if (!deleted) {
+    throw ErrorCreators.validationError('Forecast run not found or currently published');
+  }
+  successResponse(res, { deleted: true, runId: req.params.runId });
+}));
+
+module.exports = router;
@@ -10,9 +10,9 @@
  * @routes
  * - POST /html-budget-customers-all  - Get aggregated customer data for all sales reps
  * - POST /html-budget-customers      - Get customer data for specific sales rep
- * - POST /save-html-budget           - Save HTML budget using saveLiveSalesRepBudget service
+ * - POST /save-html-budget           - Save HTML budget as the sales rep's draft (approval writes the final budget)
  * - POST /export-html-budget-form    - Export HTML budget form (placeholder)
- * - POST /import-budget-html         - Import HTML budget data (placeholder)
+ * - POST /import-budget-html         - Import a filled HTML budget form as the sales rep's draft
  * - GET  /html-budget-actual-years   - Get available actual years
  * 
  * @features
@@ -30,9 +30,15 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../../utils/logger');
 const { cacheMiddleware, CacheTTL, invalidateCache } = require('../../middleware/cache');
-const { getPoolForDivision, getTableNames } = require('./shared');
+const { getPoolForDivision, getTableNames, assertPeriodsOpen } = require('./shared');
 const DivisionMergeRulesService = require('../../database/DivisionMergeRulesService');
-const { saveLiveSalesRepBudget } = require('../../services/salesRepBudgetService');
+const { saveSalesRepBudgetDraft, getSalesRepDraftTotals } = require('../../services/salesRepBudgetService');
+const { loadBudgetPriceResolver } = require('../../services/priceListService');
+const auditLog = require('../../services/auditLogService');
+const budgetApprovalService = require('../../services/budgetApprovalService');
+const { yearPeriods } = require('../../services/periodCloseService');
+const salesRepHierarchyService = require('../../services/salesRepHierarchyService');
+const { authenticate } = require('../../middleware/auth');
 const { asyncHandler, successResponse, ErrorCreators } = require('../../middleware/aebfErrorHandler');
 const validationRules = require('../../middleware/aebfValidation');
 const { queryLimiter } = require('../../middleware/rateLimiter');
@@ -119,6 +125,16 @@ async function ensureHtmlBudgetIndexes(division = 'FP') {
   }
 }
 
+/**
+ * Refuse (403) saving another sales rep's budget: same rule as the budget-draft routes
+ * (admins, the rep, and managers mapped to the rep)
+ */
+async function assertBudgetAccess(user, division, salesRep) {
+  if (await budgetApprovalService.canAccessBudget(user, division, salesRep)) return;
+  logger.warn(`⚠️ Budget access denied: user ${user.id} → ${division} / ${salesRep}`);
+  throw ErrorCreators.forbidden(`You do not have access to the budget of ${salesRep}`);
+}
+
 /**
  * POST /html-budget-customers-all
  * Get aggregated customer actual sales data for all sales reps
@@ -386,28 +402,11 @@ router.post('/html-budget-customers', queryLimiter, validationRules.htmlBudgetCu
     return str.toLowerCase().replace(/(?:^|\s|[-/])\w/g, (match) => match.toUpperCase());
   };
   
-  // Check if salesRep is a group (load config)
-  const path = require('path');
-  const fs = require('fs');
-  const SALES_REP_CONFIG_FILE = path.join(__dirname, '..', '..', 'data', 'sales-reps-config.json');
-  let config = {};
-  try {
-    if (fs.existsSync(SALES_REP_CONFIG_FILE)) {
-      config = JSON.parse(fs.readFileSync(SALES_REP_CONFIG_FILE, 'utf8'));
-    }
-  } catch (err) {
-    logger.warn('Error loading sales rep config:', err.message);
-  }
-  
-  const divisionConfig = config[division] || { groups: {} };
-  const isGroup = divisionConfig.groups && divisionConfig.groups[salesRep];
-  const salesRepsToQuery = isGroup 
-    ? divisionConfig.groups[salesRep].map(r => r.toString().trim().toUpperCase())
-    : [salesRep.toString().trim().toUpperCase()];
-  
-  if (salesRepsToQuery.length === 0) {
-    return res.json({ success: true, data: [] });
-  }
+  // A group's actuals count each month's sales for the reps in the group that month
+  const isGroup = await salesRepHierarchyService.isGroup(division, salesRep);
+  const salesRepCondition = isGroup
+    ? await salesRepHierarchyService.membershipCondition(division, salesRep, 3)
+    : { sql: 'TRIM(UPPER(salesrepname)) = ANY($3::text[])', params: [[salesRep.toString().trim().toUpperCase()]] };
   
   // Fetch merge rules for the division
   const mergeRules = await DivisionMergeRulesService.listRules(division);
@@ -444,7 +443,7 @@ router.post('/html-budget-customers', queryLimiter, validationRules.htmlBudgetCu
     WHERE UPPER(division) = UPPER($1)
       AND year = $2
       AND UPPER(type) = 'ACTUAL'
-      AND TRIM(UPPER(salesrepname)) = ANY($3::text[])
+      AND ${salesRepCondition.sql}
       AND customername IS NOT NULL AND TRIM(customername) != ''
       AND countryname IS NOT NULL AND TRIM(countryname) != ''
       AND productgroup IS NOT NULL AND TRIM(productgroup) != ''
@@ -453,7 +452,7 @@ router.post('/html-budget-customers', queryLimiter, validationRules.htmlBudgetCu
     ORDER BY TRIM(customername), TRIM(countryname), TRIM(productgroup), month
   `;
   
-  const result = await divisionPool.query(query, [division, parseInt(actualYear), salesRepsToQuery]);
+  const result = await divisionPool.query(query, [division, parseInt(actualYear), ...salesRepCondition.params]);
   
   // Transform to table structure with monthlyActual
   const customerMap = {};
@@ -497,6 +496,9 @@ router.post('/html-budget-customers', queryLimiter, validationRules.htmlBudgetCu
   
   // Load budget data from sales_rep_budget table
   const budgetYear = parseInt(actualYear) + 1;
+  const budgetRepCondition = isGroup
+    ? await salesRepHierarchyService.membershipCondition(division, salesRep, 3, { yearColumn: 'budget_year' })
+    : salesRepCondition;
   const budgetQuery = `
     SELECT 
       TRIM(customername) as customer,
@@ -507,13 +509,13 @@ router.post('/html-budget-customers', queryLimiter, validationRules.htmlBudgetCu
     FROM ${tables.salesRepBudget}
     WHERE UPPER(division) = UPPER($1)
       AND budget_year = $2
-      AND UPPER(TRIM(salesrepname)) = ANY($3::text[])
+      AND ${budgetRepCondition.sql}
       AND UPPER(type) = 'BUDGET'
       AND UPPER(values_type) = 'KGS'
     ORDER BY TRIM(customername), TRIM(countryname), TRIM(productgroup), month
   `;
   
-  const budgetResult = await divisionPool.query(budgetQuery, [division, budgetYear, salesRepsToQuery]);
+  const budgetResult = await divisionPool.query(budgetQuery, [division, budgetYear, ...budgetRepCondition.params]);
   
   // Build budget map and track budget-only customers
   const budgetMap = {};
@@ -589,9 +591,28 @@ router.post('/html-budget-customers', queryLimiter, validationRules.htmlBudgetCu
   });
 }));
 
+/**
+ * Replace a sales rep's draft in one transaction. Budgets reach {div}_sales_rep_budget
+ * only through approval (POST /api/budget-draft/approve).
+ */
+async function saveDraft(divisionPool, payload) {
+  const client = await divisionPool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await saveSalesRepBudgetDraft(client, payload);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * POST /save-html-budget
- * Save HTML budget data using saveLiveSalesRepBudget service
+ * Save HTML budget data as the sales rep's draft, to be submitted for approval
  * 
  * @route POST /api/aebf/save-html-budget
  * @body {string} division - Division (FP or HC)
@@ -599,26 +620,45 @@ router.post('/html-budget-customers', queryLimiter, validationRules.htmlBudgetCu
  * @body {string} salesRep - Sales rep name
  * @body {array} budgetData - Array of budget records
  * @returns {object} 200 - Save result with record counts
+ * @returns {object} 403 - The sales rep's budget is outside the user's access
+ * @returns {object} 409 - The budget is submitted or approved
+ * @returns {object} 423 - A month of the budget year is closed
  */
-router.post('/save-html-budget', queryLimiter, validationRules.saveHtmlBudget, asyncHandler(async (req, res) => {
+router.post('/save-html-budget', queryLimiter, authenticate, validationRules.saveHtmlBudget, asyncHandler(async (req, res) => {
   const { division, budgetYear, salesRep, budgetData } = req.body;
   
+  await assertBudgetAccess(req.user, division, salesRep);
+  await budgetApprovalService.assertEditable(division, salesRep, budgetYear);
+  await assertPeriodsOpen(req, division, yearPeriods(budgetYear));
   await ensureSalesRepBudgetColumns(division);
   
   const divisionPool = getPoolForDivision(division);
-  const result = await saveLiveSalesRepBudget(divisionPool, {
+  const before = await getSalesRepDraftTotals(divisionPool, { division, salesRep, budgetYear });
+  const result = await saveDraft(divisionPool, {
     division,
     budgetYear,
     salesRep,
     records: budgetData
   });
+
+  await auditLog.record(req, {
+    action: 'sales-rep-budget.save',
+    entityType: 'aebf/sales-rep-budget',
+    entityId: `${salesRep}/${budgetYear}`,
+    division,
+    before,
+    after: await getSalesRepDraftTotals(divisionPool, { division, salesRep, budgetYear })
+  });
     
     // Invalidate cache after saving
     invalidateCache('aebf:*').catch(err => 
       logger.warn('Cache invalidation warning:', err.message)
     );
     
-    successResponse(res, result);
+    successResponse(res, {
+      ...result,
+      message: 'Budget saved as draft. Submit it for approval to publish it to the final budget.'
+    });
 }));
 
 /**
@@ -719,8 +759,9 @@ router.post('/export-html-budget-form', validationRules.htmlBudgetCustomers, asy
  * @body {string} currentDivision - Current selected division for validation
  * @body {string} currentSalesRep - Current selected sales rep for validation (optional)
  * @returns {object} 200 - Import result with record counts and totals
+ * @returns {object} 403 - The file's sales rep budget is outside the user's access
  */
-router.post('/import-budget-html', validationRules.importHtmlBudget, asyncHandler(async (req, res) => {
+router.post('/import-budget-html', authenticate, validationRules.importHtmlBudget, asyncHandler(async (req, res) => {
   const { htmlContent, currentDivision, currentSalesRep } = req.body;
   
   logger.info('[import-budget-html] Request received, HTML length: ' + htmlContent.length);
@@ -917,26 +958,20 @@ router.post('/import-budget-html', validationRules.importHtmlBudget, asyncHandle
   // ============================================================================
   // Save to Database
   // ============================================================================
+  await assertBudgetAccess(req.user, metadata.division, metadata.salesRep);
+  await budgetApprovalService.assertEditable(metadata.division, metadata.salesRep, metadata.budgetYear);
+  await assertPeriodsOpen(req, metadata.division, yearPeriods(metadata.budgetYear));
   await ensureSalesRepBudgetColumns(metadata.division);
   
   const divisionPool = getPoolForDivision(metadata.division);
   const tables = getTableNames(metadata.division);
   
-  // Check existing budget
-  const existingQuery = `
-    SELECT COUNT(*) as count, MAX(uploaded_at) as last_upload, MAX(uploaded_filename) as last_filename
-    FROM ${tables.salesRepBudget}
-    WHERE UPPER(division) = UPPER($1)
-      AND UPPER(salesrepname) = UPPER($2)
-      AND budget_year = $3
-      AND UPPER(type) = 'BUDGET'
-  `;
-  
-  const existingResult = await divisionPool.query(existingQuery, [metadata.division, metadata.salesRep, metadata.budgetYear]);
+  // Check existing draft
+  const existingDraft = await getSalesRepDraftTotals(divisionPool, metadata);
   const existingBudget = {
-    recordCount: parseInt(existingResult.rows[0]?.count || 0, 10),
-    lastUpload: existingResult.rows[0]?.last_upload,
-    lastFilename: existingResult.rows[0]?.last_filename
+    recordCount: existingDraft.records,
+    lastUpload: existingDraft.lastSaved,
+    lastFilename: null
   };
   
   // Values in savedBudget are already in KGS (MT * 1000 from export)
@@ -949,15 +984,25 @@ router.post('/import-budget-html', validationRules.importHtmlBudget, asyncHandle
     value: r.value  // Already in KGS - no conversion needed
   }));
   
-  // Save using the service
-  const result = await saveLiveSalesRepBudget(divisionPool, {
+  // Save as the sales rep's draft; approval publishes it to the final budget
+  const result = await saveDraft(divisionPool, {
     division: metadata.division,
     budgetYear: metadata.budgetYear,
     salesRep: metadata.salesRep,
     records: normalizedRecords
   });
   
-  // Calculate totals
+  await auditLog.record(req, {
+    action: 'sales-rep-budget.import',
+    entityType: 'aebf/sales-rep-budget',
+    entityId: `${metadata.salesRep}/${metadata.budgetYear}`,
+    division: metadata.division,
+    before: existingDraft,
+    after: await getSalesRepDraftTotals(divisionPool, metadata)
+  });
+  
+  // Calculate totals with the prices approval will write the final budget with:
+  // approved price list first, the previous year's rounded pricing as fallback
   const pricingYear = metadata.budgetYear - 1;
   const pricingQuery = `
     SELECT LOWER(TRIM(product_group)) as product_group, COALESCE(asp_round, 0) as selling_price, COALESCE(morm_round, 0) as morm
@@ -969,13 +1014,20 @@ router.post('/import-budget-html', validationRules.importHtmlBudget, asyncHandle
   pricingResult.rows.forEach(row => {
     pricingMap[row.product_group] = { sellingPrice: parseFloat(row.selling_price) || 0, morm: parseFloat(row.morm) || 0 };
   });
+  const priceList = await loadBudgetPriceResolver(divisionPool, metadata.division, metadata.budgetYear, pricingMap);
   
   let totalMT = 0, totalAmount = 0, totalMoRM = 0;
   normalizedRecords.forEach(record => {
     totalMT += record.value / 1000;  // Convert KGS to MT for display
-    const pricing = pricingMap[(record.productGroup || '').toLowerCase().trim()] || { sellingPrice: 0, morm: 0 };
-    totalAmount += record.value * pricing.sellingPrice;
-    totalMoRM += record.value * pricing.morm;
+    const pricing = priceList.resolve({
+      productGroup: record.productGroup,
+      customer: record.customer,
+      country: record.country,
+      year: metadata.budgetYear,
+      month: record.month
+    });
+    totalAmount += record.value * (pricing.sellingPrice || 0);
+    totalMoRM += record.value * (pricing.morm || 0);
   });
   
   // Invalidate cache
@@ -984,11 +1036,11 @@ router.post('/import-budget-html', validationRules.importHtmlBudget, asyncHandle
   // Return response directly (not wrapped in successResponse) to match frontend expectations
   res.json({
     success: true,
-    message: 'Budget imported successfully',
+    message: 'Budget imported as draft. Submit it for approval to publish it to the final budget.',
     metadata: { division: metadata.division, salesRep: metadata.salesRep, budgetYear: metadata.budgetYear },
     existingBudget,
-    recordsDeleted: existingBudget.recordCount,
-    recordsInserted: { total: normalizedRecords.length, kgs: result?.insertedKGS || normalizedRecords.length, amount: result?.insertedAmount || normalizedRecords.length, morm: result?.insertedMoRM || normalizedRecords.length },
+    recordsDeleted: result.recordsDeleted,
+    recordsInserted: { total: result.recordsSaved, kgs: result.recordsSaved },
     totals: { mt: totalMT, amount: totalAmount, morm: totalMoRM },
     pricingYear,
     skippedRecords: recordErrors.length,
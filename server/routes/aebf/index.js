@@ -2,7 +2,7 @@
  * @fileoverview AEBF Routes - Modular Index
  * @module routes/aebf
  * @description Consolidates all AEBF (Actual/Estimate/Budget/Forecast) routes
- * Provides 37 endpoints for comprehensive data management across 7 specialized modules
+ * Provides 53 endpoints for comprehensive data management across 9 specialized modules
  * 
  * @rateLimiting
  * - Upload endpoints: 10 requests/hour
@@ -28,6 +28,14 @@
  *     description: Budget and sales reports
  *   - name: AEBF-Bulk
  *     description: Bulk import/export operations
+ *   - name: AEBF-Forecast
+ *     description: Forecast runs, backtest accuracy and publishing
+ *   - name: AEBF-BudgetVersions
+ *     description: Named budget versions and version diffs
+ *   - name: AEBF-PL
+ *     description: Divisional P&L financials and workbook import
+ *   - name: AEBF-PeriodClose
+ *     description: Month-end close register and reopen audit trail
  * 
  * @swagger
  * components:
@@ -122,6 +130,10 @@ const htmlBudgetRoutes = require('./html-budget');
 const divisionalRoutes = require('./divisional');
 const reportsRoutes = require('./reports');
 const bulkRoutes = require('./bulk');
+const forecastRoutes = require('./forecast');
+const budgetVersionRoutes = require('./budget-versions');
+const plRoutes = require('./pl');
+const periodCloseRoutes = require('./period-close');
 
 // Mount all routes
 router.use('/', healthRoutes);      // 1 route: GET /health
@@ -131,6 +143,10 @@ router.use('/', htmlBudgetRoutes);  // 6 routes: HTML budget forms
 router.use('/', divisionalRoutes);  // 5 routes: Divisional budgets
 router.use('/', reportsRoutes);     // 3 routes: Analytical reports
 router.use('/', bulkRoutes);        // 6 routes: Bulk operations
+router.use('/', forecastRoutes);    // 9 routes: Forecast runs
+router.use('/', budgetVersionRoutes); // 7 routes: Budget versions
+router.use('/', plRoutes);          // 5 routes: P&L financials
+router.use('/', periodCloseRoutes); // 3 routes: Period close register
 
 // Export the consolidated router
 module.exports = router;
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview AEBF Period Close Routes
+ * @module routes/aebf/period-close
+ * @description Month-end close register per division. Closed months refuse Actual /
+ * Estimate / Forecast / P&L uploads and budget saves (see middleware/periodLock.js).
+ *
+ * @requires express
+ * @requires services/periodCloseService Close register and audit trail
+ *
+ * @routes
+ * - GET /period-close       - Status of the 12 months of a year
+ * - GET /period-close/audit - Close / reopen history
+ * - PUT /period-close       - Close or reopen months (admin, reopen needs a reason)
+ *
+ * @validation All routes use express-validator middleware
+ */
+
+const express = require('express');
+const router = express.Router();
+const { asyncHandler, successResponse, ErrorCreators } = require('../../middleware/aebfErrorHandler');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const userService = require('../../services/userService');
+const validationRules = require('../../middleware/aebfValidation');
+const { queryLimiter } = require('../../middleware/rateLimiter');
+const periodCloseService = require('../../services/periodCloseService');
+
+const getUserName = async (req) => {
+  const user = await userService.getUserById(req.user.id);
+  return user?.name || user?.email || 'Unknown';
+};
+
+/**
+ * GET /period-close
+ * Close register of a division for one year (months never closed are open)
+ *
+ * @route GET /api/aebf/period-close
+ * @query {string} division - Division (FP or HC)
+ * @query {number} year - Year
+ * @returns {object} 200 - { periods: [{ month, status, updated_by, updated_at }] }
+ */
+router.get('/period-close', queryLimiter, validationRules.getPeriodClose, asyncHandler(async (req, res) => {
+  const periods = await periodCloseService.getRegister(req.query.division, req.query.year);
+  successResponse(res, { periods });
+}));
+
+/**
+ * GET /period-close/audit
+ * Close and reopen history, newest first
+ *
+ * @route GET /api/aebf/period-close/audit
+ * @query {string} division - Division (FP or HC)
+ * @query {number} [year] - Only changes to this year's months
+ * @query {number} [limit=200]
+ * @returns {object} 200 - { audit: [{ month, action, from_status, to_status, reason, performed_by, performed_at }] }
+ */
+router.get('/period-close/audit', queryLimiter, validationRules.getPeriodCloseAudit, asyncHandler(async (req, res) => {
+  const audit = await periodCloseService.getAuditTrail(req.query.division, {
+    year: req.query.year,
+    limit: req.query.limit
+  });
+  successResponse(res, { audit });
+}));
+
+/**
+ * PUT /period-close
+ * Set the status of months. Lowering a status (hard-closed → soft-closed → open) is a
+ * reopen and is recorded in the audit trail with its reason.
+ *
+ * @route PUT /api/aebf/period-close
+ * @body {string} division - Division (FP or HC)
+ * @body {number} year - Year
+ * @body {number[]} months - Months to change
+ * @body {string} status - open, soft_closed or hard_closed
+ * @body {string} [reason] - Required when reopening
+ * @returns {object} 200 - Updated register and the audit rows written
+ * @returns {object} 400 - Reopen without a reason
+ */
+router.put('/period-close', authenticate, requireRole('admin'), validationRules.setPeriodClose, asyncHandler(async (req, res) => {
+  const { division, year, months, status, reason } = req.body;
+
+  let changes;
+  try {
+    changes = await periodCloseService.setStatus({
+      division,
+      year,
+      months,
+      status,
+      reason,
+      performedBy: await getUserName(req)
+    });
+  } catch (error) {
+    throw error.statusCode === 400 ? ErrorCreators.validationError(error.message) : error;
+  }
+
+  const periods = await periodCloseService.getRegister(division, year);
+  successResponse(
+    res,
+    { periods, changes },
+    changes.length > 0 ? `${changes.length} month(s) updated` : 'No months changed'
+  );
+}));
+
+module.exports = router;
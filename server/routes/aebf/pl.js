@@ -0,0 +1,337 @@
+/**
+ * @fileoverview AEBF P&L Routes
+ * @module routes/aebf/pl
+ * @description Divisional P&L financials stored in {div}_pl_data, replacing the
+ * server/data/financials -{div}.xlsx download
+ *
+ * @requires express
+ * @requires multer File upload middleware for Excel files
+ * @requires services/plDataService P&L storage, import and sheet layout
+ *
+ * @routes
+ * - GET  /pl/ledgers  - Chart of accounts (P&L ledger lines with formulas and statement layout)
+ * - POST /pl/ledgers  - Add a ledger line (admin)
+ * - PUT  /pl/ledgers/:code - Update a ledger line / its formula (admin)
+ * - POST /pl/formulas/check - Validate a formula against the chart of accounts
+ * - POST /pl/evaluate - Evaluate the chart of accounts for the P&L table's columns
+ * - GET  /pl/periods  - Loaded years / types with their months
+ * - GET  /pl/data     - P&L amounts filtered by year / month / type / ledger
+ * - GET  /pl/sheet    - P&L in the workbook layout used by the P&L and KPI views
+ * - POST /upload-pl   - Import the monthly P&L workbook
+ *
+ * @validation All routes use express-validator middleware
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const logger = require('../../utils/logger');
+const { asyncHandler, successResponse, ErrorCreators } = require('../../middleware/aebfErrorHandler');
+const { authenticate, requireRole, optionalAuthenticate } = require('../../middleware/auth');
+const userService = require('../../services/userService');
+const { reportCurrency } = require('../../middleware/reportCurrency');
+const validationRules = require('../../middleware/aebfValidation');
+const { queryLimiter, uploadLimiter } = require('../../middleware/rateLimiter');
+const { cacheMiddleware, CacheTTL, invalidateCache } = require('../../middleware/cache');
+const plDataService = require('../../services/plDataService');
+
+// Configure multer for file upload
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadDir = path.join(__dirname, '../../../uploads');
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+    cb(null, uploadDir);
+  },
+  filename: (req, file, cb) => {
+    const timestamp = Date.now();
+    const ext = path.extname(file.originalname);
+    cb(null, `pl-upload-${timestamp}${ext}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (ext !== '.xlsx' && ext !== '.xls') {
+      return cb(new Error('Only Excel files are allowed'));
+    }
+    cb(null, true);
+  },
+  limits: {
+    fileSize: 50 * 1024 * 1024 // 50MB max
+  }
+});
+
+/**
+ * Convert plDataService errors (statusCode 400 / 404) to API errors
+ */
+const toApiError = (error, code) => {
+  if (error.statusCode === 404) {
+    return ErrorCreators.notFound('P&L ledger', code);
+  }
+  if (error.statusCode === 400) {
+    return ErrorCreators.validationError(error.message, error.details);
+  }
+  return error;
+};
+
+const getUserName = async (req) => {
+  const user = await userService.getUserById(req.user.id);
+  return user?.name || user?.email || 'Unknown';
+};
+
+/**
+ * GET /pl/ledgers
+ * Chart of accounts for a division
+ *
+ * @route GET /api/aebf/pl/ledgers
+ * @query {string} division - Division (FP or HC)
+ * @query {string} [includeInactive] - 'true' to include deactivated lines
+ * @returns {object} 200 - Ledger lines with code, name, measure, sheet row, formula and statement position
+ */
+router.get('/pl/ledgers', queryLimiter, cacheMiddleware({ ttl: CacheTTL.LONG }), validationRules.getPlLedgers, asyncHandler(async (req, res) => {
+  const ledgers = await plDataService.getLedgers(req.query.division, {
+    includeInactive: req.query.includeInactive === 'true'
+  });
+  successResponse(res, { ledgers });
+}));
+
+/**
+ * POST /pl/ledgers
+ * Add a ledger line; posted lines get the next free sheet row, derived lines carry a formula
+ *
+ * @route POST /api/aebf/pl/ledgers
+ * @body {string} division - Division (FP or HC)
+ * @body {string} code - Ledger code used in formulas (A-Z, 0-9, _)
+ * @body {string} name - Ledger name as it appears in the P&L workbook
+ * @body {string} [measure=AMOUNT] - AMOUNT, KGS or PERCENT
+ * @body {string} [formula] - Expression over other ledger codes, e.g. "NET_PROFIT + BANK_INTEREST"
+ * @body {number} [statementOrder] - Position in the P&L statement (omit to hide)
+ * @body {boolean} [isTotal] - Show the line in bold
+ * @body {number} [sheetRow] - Row in the P&L workbook layout
+ * @returns {object} 201 - Created ledger line
+ * @returns {object} 400 - Invalid formula, unknown ledger reference or circular formula
+ */
+router.post('/pl/ledgers', authenticate, requireRole('admin'), validationRules.createPlLedger, asyncHandler(async (req, res) => {
+  const { division, ...fields } = req.body;
+
+  let ledger;
+  try {
+    ledger = await plDataService.createLedger(division, fields, await getUserName(req));
+  } catch (error) {
+    throw toApiError(error, fields.code);
+  }
+
+  invalidateCache('aebf:*').catch(err =>
+    logger.warn('Cache invalidation warning:', err.message)
+  );
+  successResponse(res, { ledger }, `Ledger ${ledger.code} added`, 201);
+}));
+
+/**
+ * PUT /pl/ledgers/:code
+ * Update a ledger line. The whole chart is re-validated so a formula change
+ * (or deactivating a line other formulas use) cannot leave a broken statement.
+ *
+ * @route PUT /api/aebf/pl/ledgers/:code
+ * @param {string} code - Ledger code
+ * @body {string} division - Division (FP or HC)
+ * @body {string} [name]
+ * @body {string} [measure]
+ * @body {string|null} [formula] - null / empty turns the line back into a posted line
+ * @body {number|null} [statementOrder] - null hides the line from the statement
+ * @body {boolean} [isTotal]
+ * @body {boolean} [isActive]
+ * @returns {object} 200 - Updated ledger line
+ * @returns {object} 400 - Invalid formula, unknown ledger reference or circular formula
+ * @returns {object} 404 - Ledger not found
+ */
+router.put('/pl/ledgers/:code', authenticate, requireRole('admin'), validationRules.updatePlLedger, asyncHandler(async (req, res) => {
+  const { division, ...fields } = req.body;
+
+  let ledger;
+  try {
+    ledger = await plDataService.updateLedger(division, req.params.code, fields, await getUserName(req));
+  } catch (error) {
+    throw toApiError(error, req.params.code);
+  }
+
+  invalidateCache('aebf:*').catch(err =>
+    logger.warn('Cache invalidation warning:', err.message)
+  );
+  successResponse(res, { ledger }, `Ledger ${ledger.code} updated`);
+}));
+
+/**
+ * POST /pl/formulas/check
+ * Validate a formula without saving it (Settings editor feedback)
+ *
+ * @route POST /api/aebf/pl/formulas/check
+ * @body {string} division - Division (FP or HC)
+ * @body {string} formula - Expression to check
+ * @body {string} [code] - Ledger the formula belongs to, for circular reference checks
+ * @returns {object} 200 - { valid, errors, references }
+ */
+router.post('/pl/formulas/check', queryLimiter, validationRules.checkPlFormula, asyncHandler(async (req, res) => {
+  const { division, formula, code } = req.body;
+  const result = await plDataService.checkFormula(division, formula, code);
+  successResponse(res, result);
+}));
+
+/**
+ * POST /pl/evaluate
+ * Evaluate every ledger line for the P&L table's period columns. The table sums the posted
+ * lines per column; formula lines are computed here so the formula engine lives in one place.
+ *
+ * @route POST /api/aebf/pl/evaluate
+ * @body {string} division - Division (FP or HC)
+ * @body {Array<object>} columns - Posted amount per ledger code, one object per column
+ * @returns {object} 200 - { values: [{ [ledgerCode]: value }] } in column order
+ * @returns {object} 422 - The chart of accounts has an invalid or circular formula
+ */
+router.post('/pl/evaluate', queryLimiter, validationRules.evaluatePl, asyncHandler(async (req, res) => {
+  const { division, columns } = req.body;
+  let values;
+  try {
+    values = await plDataService.evaluateColumns(division, columns);
+  } catch (error) {
+    if (error.statusCode === 422) {
+      throw ErrorCreators.processingError(error.message);
+    }
+    throw error;
+  }
+  successResponse(res, { values });
+}));
+
+/**
+ * GET /pl/periods
+ * Years and types loaded for a division, with their months
+ *
+ * @route GET /api/aebf/pl/periods
+ * @query {string} division - Division (FP or HC)
+ * @returns {object} 200 - [{ year, type, months }]
+ */
+router.get('/pl/periods', queryLimiter, cacheMiddleware({ ttl: CacheTTL.MEDIUM }), validationRules.getPlLedgers, asyncHandler(async (req, res) => {
+  const periods = await plDataService.getPeriods(req.query.division);
+  successResponse(res, { periods });
+}));
+
+/**
+ * GET /pl/data
+ * P&L amounts by ledger line
+ *
+ * @route GET /api/aebf/pl/data
+ * @query {string} division - Division (FP or HC)
+ * @query {number} [year] - Filter by year
+ * @query {number} [month] - Filter by month
+ * @query {string} [type] - Filter by type (ACTUAL, ESTIMATE, BUDGET, FORECAST)
+ * @query {string} [ledgers] - Comma-separated ledger codes
+ * @returns {object} 200 - [{ ledger_code, ledger_name, measure, year, month, type, amount }]
+ */
+router.get('/pl/data', queryLimiter, reportCurrency, cacheMiddleware({ ttl: CacheTTL.MEDIUM }), validationRules.getPlData, asyncHandler(async (req, res) => {
+  const { division, year, month, type, ledgers } = req.query;
+
+  const data = await plDataService.getData(division, {
+    year,
+    month,
+    type,
+    ledgers: ledgers ? ledgers.split(',').map(code => code.trim()).filter(Boolean) : []
+  });
+
+  successResponse(res, { data, filters: { division, year, month, type, ledgers } });
+}));
+
+/**
+ * GET /pl/sheet
+ * P&L in the workbook layout (row 0 years, row 1 months, row 2 types, ledgers at their sheet row)
+ *
+ * @route GET /api/aebf/pl/sheet
+ * @query {string} division - Division (FP or HC)
+ * @returns {object} 200 - { sheets: { FP: [[...], ...] } }
+ * @returns {object} 404 - No P&L data loaded for the division
+ */
+router.get('/pl/sheet', queryLimiter, reportCurrency, cacheMiddleware({ ttl: CacheTTL.MEDIUM }), validationRules.getPlLedgers, asyncHandler(async (req, res) => {
+  let sheets;
+  try {
+    sheets = await plDataService.buildSheet(req.query.division);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw ErrorCreators.notFound('P&L data', req.query.division);
+    }
+    throw error;
+  }
+
+  successResponse(res, { sheets });
+}));
+
+/**
+ * POST /upload-pl
+ * Import the monthly P&L workbook into {div}_pl_data
+ *
+ * @route POST /api/aebf/upload-pl
+ * @body {string} division - Division (FP or HC)
+ * @body {string} uploadMode - upsert (replace workbook periods) or replace (replace all P&L data)
+ * @body {string} uploadedBy - User performing the upload
+ * @body {string} [dryRun] - 'true' to validate only without writing
+ * @file {file} file - P&L workbook
+ * @returns {object} 200 - Import report
+ * @returns {object} 422 - Validation failed, errors list unknown ledgers / bad cells / closed periods
+ */
+router.post('/upload-pl', uploadLimiter, optionalAuthenticate, upload.single('file'), validationRules.uploadPl, asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw ErrorCreators.validationError('No file uploaded');
+  }
+
+  const { division, uploadMode, uploadedBy } = req.body;
+  logger.info('📤 P&L upload request received:', {
+    division,
+    uploadMode,
+    uploadedBy,
+    fileName: req.file.originalname
+  });
+
+  let report;
+  try {
+    report = await plDataService.importWorkbook({
+      filePath: req.file.path,
+      originalName: req.file.originalname,
+      division,
+      mode: uploadMode,
+      uploadedBy,
+      user: req.user,
+      dryRun: req.body.dryRun === 'true'
+    });
+  } finally {
+    try {
+      fs.unlinkSync(req.file.path);
+    } catch (err) {
+      logger.error('⚠️  Failed to clean up file:', err);
+    }
+  }
+
+  if (!report.success) {
+    logger.warn('❌ P&L workbook validation failed:', { errorCount: report.errorCount });
+    return res.status(422).json({
+      ...report,
+      error: `P&L workbook validation failed with ${report.errorCount} error(s)`
+    });
+  }
+
+  if (!report.dryRun) {
+    invalidateCache('aebf:*').catch(err =>
+      logger.warn('Cache invalidation warning:', err.message)
+    );
+  }
+
+  res.json({
+    ...report,
+    message: report.dryRun ? 'Validation passed - no data written' : 'P&L workbook imported successfully'
+  });
+}));
+
+module.exports = router;
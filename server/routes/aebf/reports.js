@@ -29,6 +29,7 @@ const logger = require('../../utils/logger');
 const { cacheMiddleware, CacheTTL } = require('../../middleware/cache');
 const { getPoolForDivision, getTableNames } = require('./shared');
 const { asyncHandler, successResponse } = require('../../middleware/aebfErrorHandler');
+const { reportCurrency } = require('../../middleware/reportCurrency');
 const validationRules = require('../../middleware/aebfValidation');
 const { queryLimiter } = require('../../middleware/rateLimiter');
 
@@ -75,7 +76,7 @@ router.get('/budget-sales-reps', queryLimiter, cacheMiddleware({ ttl: CacheTTL.L
  * @body {string} [salesRep] - Sales rep name (use __ALL__ for all reps)
  * @returns {object} 200 - Product groups with KGS, Amount, MoRM, RM, Material, Process
  */
-router.post('/budget-product-groups', cacheMiddleware({ ttl: CacheTTL.MEDIUM }), validationRules.budgetProductGroups, asyncHandler(async (req, res) => {
+router.post('/budget-product-groups', reportCurrency, cacheMiddleware({ ttl: CacheTTL.MEDIUM }), validationRules.budgetProductGroups, asyncHandler(async (req, res) => {
   const { division, budgetYear, salesRep } = req.body;
     
     const divisionPool = getPoolForDivision(division);
@@ -205,7 +206,7 @@ router.post('/budget-product-groups', cacheMiddleware({ ttl: CacheTTL.MEDIUM }),
  * @body {number} [toMonth] - End month for range
  * @returns {object} 200 - Product groups with KGS, Amount, MoRM, RM, Material, Process
  */
-router.post('/actual-product-groups', cacheMiddleware({ ttl: CacheTTL.SHORT }), validationRules.actualProductGroups, asyncHandler(async (req, res) => {
+router.post('/actual-product-groups', reportCurrency, cacheMiddleware({ ttl: CacheTTL.SHORT }), validationRules.actualProductGroups, asyncHandler(async (req, res) => {
   const { division, actualYear, salesRep, fromMonth, toMonth } = req.body;
     
     const divisionPool = getPoolForDivision(division);
@@ -4,6 +4,8 @@
  */
 
 const { getDivisionPool } = require('../../utils/divisionDatabaseManager');
+const periodCloseService = require('../../services/periodCloseService');
+const { ErrorCreators } = require('../../middleware/aebfErrorHandler');
 
 // Valid divisions list
 const VALID_DIVISIONS = ['FP', 'HC'];
@@ -149,6 +151,23 @@ function calculatePagination(total, page, pageSize) {
   };
 }
 
+/**
+ * Refuse a write to months closed in the period-close register
+ * For routes that only know the months after parsing the request (uploads, imports)
+ * @param {Object} req - Express request (req.user decides whether soft-closed months are writable)
+ * @param {string} division - Division name
+ * @param {Array<{year: number, month: number}>|null} periods - Months written (null = replaces all data)
+ * @throws {ApiError} 423 PERIOD_CLOSED
+ */
+async function assertPeriodsOpen(req, division, periods) {
+  try {
+    await periodCloseService.assertPeriodsOpen({ division, periods, user: req.user });
+  } catch (error) {
+    if (error.statusCode === 423) throw ErrorCreators.periodClosed(error.message, error.details);
+    throw error;
+  }
+}
+
 module.exports = {
   VALID_DIVISIONS,
   extractDivisionCode,
@@ -156,5 +175,6 @@ module.exports = {
   getTableNames,
   buildWhereClause,
   validatePagination,
-  calculatePagination
+  calculatePagination,
+  assertPeriodsOpen
 };
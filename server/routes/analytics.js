@@ -6,6 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
+const { authenticate, requireDataScope } = require('../middleware/auth');
+const { reportCurrency } = require('../middleware/reportCurrency');
 const { validateDivision } = require('../database/divisionDatabaseConfig');
 const GeographicDistributionService = require('../database/GeographicDistributionService');
 const CustomerInsightsService = require('../database/CustomerInsightsService');
@@ -13,8 +15,11 @@ const UniversalSalesByCountryService = require('../database/UniversalSalesByCoun
 
 const pool = require('../config/database');
 
+// Sales data is only served within the caller's data scope (utils/dataScope)
+const dataScoped = [authenticate, requireDataScope()];
+
 // POST /geographic-distribution - Get geographic distribution data
-router.post('/geographic-distribution', async (req, res) => {
+router.post('/geographic-distribution', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division = 'FP', year, months, type = 'Actual', includeComparison = false } = req.body;
     
@@ -79,7 +84,7 @@ router.post('/geographic-distribution', async (req, res) => {
 });
 
 // POST /customer-insights-db - Get customer insights with merge rules
-router.post('/customer-insights-db', async (req, res) => {
+router.post('/customer-insights-db', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division = 'FP', year, months, type = 'Actual' } = req.body;
     
@@ -124,7 +129,7 @@ router.post('/customer-insights-db', async (req, res) => {
 });
 
 // GET /all-countries - Get all countries from master data
-router.get('/all-countries', async (req, res) => {
+router.get('/all-countries', dataScoped, reportCurrency, async (req, res) => {
   const client = await pool.connect();
   try {
     logger.info('Fetching all countries from master data');
@@ -159,7 +164,7 @@ router.get('/all-countries', async (req, res) => {
 });
 
 // POST /country-sales-data-db - Get country sales data for specific period
-router.post('/country-sales-data-db', async (req, res) => {
+router.post('/country-sales-data-db', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division, country, year, months, dataType = 'Actual', valueType = 'KGS' } = req.body;
     
@@ -196,7 +201,7 @@ router.post('/country-sales-data-db', async (req, res) => {
 });
 
 // POST /customer-sales-data-db - Get customer sales data
-router.post('/customer-sales-data-db', async (req, res) => {
+router.post('/customer-sales-data-db', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division, customer, year, months, dataType = 'Actual', valueType = 'AMOUNT' } = req.body;
     
@@ -233,7 +238,7 @@ router.post('/customer-sales-data-db', async (req, res) => {
 });
 
 // GET /customer-sales-rep-mapping - Get customer to sales rep mapping
-router.get('/customer-sales-rep-mapping', async (req, res) => {
+router.get('/customer-sales-rep-mapping', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division, customer } = req.query;
     
@@ -0,0 +1,82 @@
+/**
+ * Audit Log Routes
+ * Read-only access to the hash-chained audit trail (services/auditLogService) for admins:
+ * filtered list, filter options, CSV export and chain verification
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const auditLogService = require('../services/auditLogService');
+
+const sendAuditLogError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error(fallbackMessage, error);
+  return res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+router.use(authenticate, requireRole('admin'));
+
+/**
+ * GET /api/audit-log
+ * Query: from, to, userId, user, entityType, entityId, action, division, correlationId, search,
+ * limit (max 500), offset. Newest first.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await auditLogService.listEntries(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendAuditLogError(res, error, 'Failed to load audit log');
+  }
+});
+
+/**
+ * GET /api/audit-log/options
+ * Entity types, users and divisions present in the log
+ */
+router.get('/options', async (req, res) => {
+  try {
+    const options = await auditLogService.getFilterOptions();
+    res.json({ success: true, data: options });
+  } catch (error) {
+    sendAuditLogError(res, error, 'Failed to load audit log filters');
+  }
+});
+
+/**
+ * GET /api/audit-log/export
+ * CSV of the entries matching the same filters as the list, oldest first
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const { csv, count, limited } = await auditLogService.exportCsv(req.query);
+    const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${dateStr}.csv"`);
+    res.setHeader('X-Audit-Entries', String(count));
+    if (limited) res.setHeader('X-Audit-Limited', 'true');
+    res.send(csv);
+  } catch (error) {
+    sendAuditLogError(res, error, 'Failed to export audit log');
+  }
+});
+
+/**
+ * GET /api/audit-log/verify
+ * Recompute the hash chain; reports the first edited or missing entry
+ */
+router.get('/verify', async (req, res) => {
+  try {
+    const result = await auditLogService.verifyChain();
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendAuditLogError(res, error, 'Failed to verify audit log');
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,23 @@ const logger = require('../utils/logger');
 const router = express.Router();
 const authService = require('../services/authService');
 const userService = require('../services/userService');
+const accountSecurity = require('../services/accountSecurityService');
+const auditLog = require('../services/auditLogService');
 const { authenticate, requireRole } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimiter');
+
+/**
+ * Refresh token in a secure httpOnly cookie (60 days), only sent to the refresh endpoint
+ */
+function setRefreshCookie(res, refreshToken) {
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production', // Only HTTPS in production
+    sameSite: 'strict',
+    maxAge: 60 * 24 * 60 * 60 * 1000, // 60 days
+    path: '/api/auth/refresh' // Only send to refresh endpoint
+  });
+}
 
 /**
  * @swagger
@@ -134,14 +150,17 @@ router.post('/login', async (req, res) => {
 
     const result = await authService.login(email, password, ipAddress, userAgent);
 
-    // Set refresh token in secure httpOnly cookie (60 days)
-    res.cookie('refreshToken', result.refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production', // Only HTTPS in production
-      sameSite: 'strict',
-      maxAge: 60 * 24 * 60 * 60 * 1000, // 60 days
-      path: '/api/auth/refresh' // Only send to refresh endpoint
-    });
+    // Password accepted, second factor still to come: no session or cookie yet
+    if (result.twoFactorRequired) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: result.challengeToken,
+        expiresIn: result.expiresIn
+      });
+    }
+
+    setRefreshCookie(res, result.refreshToken);
 
     // Return access token and user info (no refresh token in response body)
     res.json({
@@ -152,7 +171,164 @@ router.post('/login', async (req, res) => {
     });
   } catch (error) {
     logger.error('Login error:', error);
-    res.status(401).json({ error: error.message });
+    res.status(error.statusCode || 401).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/login/two-factor:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     description: Exchange the challenge token from /login and an authenticator or recovery code for a session
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       423:
+ *         description: Account locked after too many failed attempts
+ */
+router.post('/login/two-factor', authLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({ error: 'Challenge token and code are required' });
+    }
+
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.headers['user-agent'];
+
+    const result = await authService.completeTwoFactorLogin(challengeToken, String(code), ipAddress, userAgent);
+
+    setRefreshCookie(res, result.refreshToken);
+
+    res.json({
+      success: result.success,
+      accessToken: result.accessToken,
+      expiresIn: result.expiresIn,
+      user: result.user
+    });
+  } catch (error) {
+    logger.error('Two-factor login error:', error);
+    res.status(error.statusCode || 401).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/password-reset/request:
+ *   post:
+ *     summary: Request a password reset e-mail
+ *     description: Sends a one-hour reset link if the address belongs to an active user. The response is the same either way.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *       503:
+ *         description: E-mail is not configured on the server
+ */
+router.post('/password-reset/request', authLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    await accountSecurity.requestPasswordReset(email, req.ip || req.connection.remoteAddress);
+  } catch (error) {
+    // Only "e-mail is not configured" is reported: it is the same for every address. Any other
+    // failure (sending, database) gets the normal answer so it never reveals whether the account exists.
+    if (error.statusCode === 503) {
+      return res.status(503).json({ error: error.message });
+    }
+    logger.error('Password reset request error:', error);
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for that address, a reset link has been sent.'
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/password-reset/confirm:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password changed; all sessions are signed out
+ *       400:
+ *         description: Invalid or expired token, or password requirements not met
+ */
+router.post('/password-reset/confirm', authLimiter, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: 'Token and new password are required' });
+    }
+
+    await authService.resetPassword(token, newPassword);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Please login with your new password.'
+    });
+  } catch (error) {
+    logger.error('Password reset error:', error);
+    res.status(error.statusCode || 400).json({ error: error.message });
   }
 });
 
@@ -209,6 +385,14 @@ router.post('/register', authenticate, requireRole('admin'), async (req, res) =>
       salesReps: salesReps || []
     });
 
+    await auditLog.record(req, {
+      action: 'user.create',
+      entityType: 'users',
+      entityId: result.user.id,
+      before: null,
+      after: { ...result.user, divisions: divisions || [], salesReps: salesReps || [] }
+    });
+
     res.json(result);
   } catch (error) {
     logger.error('Registration error:', error);
@@ -466,7 +650,9 @@ router.put('/users/:id', authenticate, requireRole('admin'), async (req, res) =>
     const userId = parseInt(req.params.id);
     const updates = req.body;
 
+    const before = await userService.getUserById(userId).catch(() => null);
     const user = await userService.updateUser(userId, updates);
+    await auditLog.record(req, { action: 'user.update', entityType: 'users', entityId: userId, before, after: user });
     res.json({ success: true, user });
   } catch (error) {
     logger.error('Update user error:', error);
@@ -487,7 +673,9 @@ router.delete('/users/:id', authenticate, requireRole('admin'), async (req, res)
       return res.status(400).json({ error: 'Cannot delete your own account' });
     }
 
+    const before = await userService.getUserById(userId).catch(() => null);
     await userService.deleteUser(userId);
+    await auditLog.record(req, { action: 'user.delete', entityType: 'users', entityId: userId, before, after: null });
     res.json({ success: true, message: 'User deleted successfully' });
   } catch (error) {
     logger.error('Delete user error:', error);
@@ -495,6 +683,134 @@ router.delete('/users/:id', authenticate, requireRole('admin'), async (req, res)
   }
 });
 
+/**
+ * GET /api/auth/account-security
+ * Lockout and two-factor state of all users (Admin only)
+ */
+router.get('/account-security', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const users = await accountSecurity.listAccountSecurity();
+    res.json({ success: true, users });
+  } catch (error) {
+    logger.error('Get account security error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/users/:id/unlock
+ * Lift a failed-login lock (Admin only)
+ */
+router.post('/users/:id/unlock', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const user = await accountSecurity.unlockAccount(userId, req.user.email);
+    await auditLog.record(req, { action: 'user.unlock', entityType: 'users', entityId: userId, after: user });
+    res.json({ success: true, user });
+  } catch (error) {
+    logger.error('Unlock user error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/users/:id/two-factor
+ * Remove a user's second factor so they can sign in and enrol again (Admin only)
+ */
+router.delete('/users/:id/two-factor', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const user = await accountSecurity.resetTwoFactor(userId, req.user.email);
+    await auditLog.record(req, { action: 'user.two-factor-reset', entityType: 'users', entityId: userId, after: user });
+    res.json({ success: true, user });
+  } catch (error) {
+    logger.error('Reset two-factor error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/two-factor
+ * Current user's two-factor state
+ */
+router.get('/two-factor', authenticate, async (req, res) => {
+  try {
+    const twoFactor = await accountSecurity.getTwoFactorStatus(req.user.id);
+    res.json({ success: true, twoFactor });
+  } catch (error) {
+    logger.error('Get two-factor error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/two-factor/setup
+ * Start enrolment: returns the secret and otpauth:// URL for the authenticator app
+ */
+router.post('/two-factor/setup', authenticate, async (req, res) => {
+  try {
+    const setup = await accountSecurity.setupTwoFactor(req.user.id);
+    res.json({ success: true, ...setup });
+  } catch (error) {
+    logger.error('Two-factor setup error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/two-factor/enable
+ * Confirm enrolment with a first code; returns the recovery codes once
+ */
+router.post('/two-factor/enable', authenticate, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+    const result = await accountSecurity.enableTwoFactor(req.user.id, String(code));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Two-factor enable error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/two-factor/disable
+ * Turn two-factor off with the password and a current code
+ */
+router.post('/two-factor/disable', authenticate, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    if (!password || !code) {
+      return res.status(400).json({ error: 'Password and code are required' });
+    }
+    await accountSecurity.disableTwoFactor(req.user.id, password, String(code));
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    logger.error('Two-factor disable error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/two-factor/recovery-codes
+ * Replace the recovery codes; needs a current code
+ */
+router.post('/two-factor/recovery-codes', authenticate, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+    const result = await accountSecurity.regenerateRecoveryCodes(req.user.id, String(code));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Recovery codes error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
 /**
  * PUT /api/auth/profile
  * Update current user's profile
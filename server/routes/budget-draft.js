@@ -1,6 +1,7 @@
 /**
  * Budget Draft API Routes
- * Handles draft budget operations for live React version
+ * Handles draft budget operations for live React version and the
+ * DRAFT → SUBMITTED → APPROVED / REJECTED review workflow
  */
 
 const express = require('express');
@@ -8,6 +9,12 @@ const logger = require('../utils/logger');
 const router = express.Router();
 const { pool } = require('../database/config');
 const { getDivisionPool } = require('../utils/divisionDatabaseManager');
+const { authenticate } = require('../middleware/auth');
+const userService = require('../services/userService');
+const budgetApprovalService = require('../services/budgetApprovalService');
+const { yearPeriods } = require('../services/periodCloseService');
+const { requireOpenPeriods } = require('../middleware/periodLock');
+const { canAccessSalesRep } = require('../utils/dataScope');
 
 /**
  * Helper function to extract division code from full division name
@@ -34,17 +41,67 @@ function getTableNames(division) {
   const code = extractDivisionCode(division);
   return {
     salesRepBudget: `${code}_sales_rep_budget`,
-    salesRepBudgetDraft: `${code}_sales_rep_budget_draft`,
-    pricingRounding: `${code}_product_group_pricing_rounding`,
-    materialPercentages: `${code}_material_percentages`
+    salesRepBudgetDraft: `${code}_sales_rep_budget_draft`
   };
 }
 
+/**
+ * Acting user for approval history (token only carries id / email / role)
+ */
+async function resolveActor(req) {
+  const user = await userService.getUserById(req.user.id);
+  return { id: user.id, name: user.name || user.email, role: user.role };
+}
+
+/**
+ * Send workflow errors with their status (400 / 403 / 409), everything else as 500
+ */
+function sendApprovalError(res, error, context) {
+  const status = error.statusCode || 500;
+  if (status === 500) {
+    logger.error(`❌ Error ${context}:`, error);
+  } else {
+    logger.warn(`⚠️ Budget approval rejected while ${context}: ${error.message}`);
+  }
+  res.status(status).json({ success: false, error: error.message });
+}
+
+/**
+ * Refuse writes to a budget year with closed months (423), reading division / budgetYear
+ * from the body or the route params
+ */
+function budgetYearLock(source) {
+  return requireOpenPeriods(req => {
+    const { division, budgetYear } = req[source];
+    return division && budgetYear ? { division, periods: yearPeriods(budgetYear) } : null;
+  });
+}
+
+/**
+ * Refuse budgets of other sales reps (403), reading division / salesRep from the body
+ * or the route params. Missing fields are left to the handler's 400.
+ */
+function requireBudgetAccess(source) {
+  return async (req, res, next) => {
+    const { division, salesRep } = req[source];
+    if (!division || !salesRep) return next();
+    try {
+      if (await budgetApprovalService.canAccessBudget(req.user, division, salesRep)) return next();
+      logger.warn(`⚠️ Budget access denied: user ${req.user.id} → ${division} / ${salesRep}`);
+      return res.status(403).json({ success: false, error: `You do not have access to the budget of ${salesRep}` });
+    } catch (error) {
+      return sendApprovalError(res, error, 'checking budget access');
+    }
+  };
+}
+
+router.use(authenticate);
+
 // ============================================================================
 // SAVE DRAFT (Auto-save from live React version)
 // ============================================================================
 
-router.post('/save-draft', async (req, res) => {
+router.post('/save-draft', requireBudgetAccess('body'), budgetYearLock('body'), async (req, res) => {
   logger.info('💾 Save draft request received:', {
     division: req.body.division,
     salesRep: req.body.salesRep,
@@ -64,6 +121,15 @@ router.post('/save-draft', async (req, res) => {
       });
     }
     
+    const approval = await budgetApprovalService.getApproval(division, salesRep, budgetYear);
+    if (!budgetApprovalService.isEditable(approval.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Budget is ${approval.status} and locked for editing`,
+        status: approval.status
+      });
+    }
+    
     logger.info('📋 Sample budget data entries:', Object.entries(budgetData || {}).slice(0, 3));
     
     // Get division-specific pool and table names
@@ -234,7 +300,7 @@ router.post('/save-draft', async (req, res) => {
 // LOAD DRAFT
 // ============================================================================
 
-router.get('/load-draft/:division/:salesRep/:budgetYear', async (req, res) => {
+router.get('/load-draft/:division/:salesRep/:budgetYear', requireBudgetAccess('params'), async (req, res) => {
   try {
     const { division, salesRep, budgetYear } = req.params;
     
@@ -267,325 +333,177 @@ router.get('/load-draft/:division/:salesRep/:budgetYear', async (req, res) => {
 });
 
 // ============================================================================
-// SUBMIT FINAL BUDGET (Convert draft to final with calculations)
+// SUBMIT FOR APPROVAL
 // ============================================================================
 
-router.post('/submit-final', async (req, res) => {
-  logger.info('📤 Submit final budget request received:', req.body);
-  let client = null;
-  
+/**
+ * Submit the saved draft for sales manager review.
+ * The final budget table is only written when a manager approves.
+ */
+router.post('/submit-final', requireBudgetAccess('body'), budgetYearLock('body'), async (req, res) => {
+  logger.info('📤 Submit budget for approval request received:', req.body);
+
   try {
-    const { division, salesRep, budgetYear } = req.body;
-    
+    const { division, salesRep, budgetYear, comments } = req.body;
+
     if (!division || !salesRep || !budgetYear) {
-      logger.error('❌ Missing required fields');
       return res.status(400).json({
         success: false,
         error: 'division, salesRep, and budgetYear are required'
       });
     }
-    
-    logger.info('✅ Validating request:', { division, salesRep, budgetYear });
-    
-    // Get division-specific pool
-    const divisionPool = getPoolForDivision(division);
-    client = await divisionPool.connect();
-    
+
+    const actor = await resolveActor(req);
+    const managers = await userService.getManagersForSalesRep(salesRep, division);
+
+    const { approval } = await budgetApprovalService.transitionBudget(division, {
+      salesRep,
+      budgetYear,
+      action: 'submit',
+      actor,
+      managerIds: managers.map(m => m.id),
+      comments: comments || null
+    });
+
+    res.json({
+      success: true,
+      message: managers.length > 0
+        ? `Budget submitted for approval to ${managers.map(m => m.name).join(', ')}`
+        : 'Budget submitted for approval (no sales manager is assigned to this sales rep, an administrator must review it)',
+      approval,
+      assignedManagers: managers
+    });
+  } catch (error) {
+    sendApprovalError(res, error, 'submitting budget');
+  }
+});
+
+// ============================================================================
+// APPROVAL WORKFLOW
+// ============================================================================
+
+/**
+ * Build a transition route (withdraw / approve / reject / reopen)
+ */
+function transitionRoute(action) {
+  return async (req, res) => {
     try {
-      await client.query('BEGIN');
-      
-      // Get division code
-      const divisionCode = division.split('-')[0].toLowerCase();
-      logger.info('📋 Division code:', divisionCode);
-      
-      // Fetch material/process data
-      const materialTableName = `${divisionCode}_material_percentages`;
-      logger.info('📋 Material table:', materialTableName);
-      
-      let materialProcessResult;
-      try {
-        materialProcessResult = await client.query(`
-          SELECT product_group, material, process 
-          FROM ${materialTableName}
-        `);
-        logger.info(`✅ Found ${materialProcessResult.rows.length} material/process records`);
-      } catch (tableError) {
-        logger.error('❌ Error querying material table:', tableError);
-        throw new Error(`Material percentages table not found: ${materialTableName}. Please ensure the table exists for division ${division}.`);
-      }
-      
-      const materialProcessMap = {};
-      materialProcessResult.rows.forEach(row => {
-        materialProcessMap[row.product_group.toLowerCase()] = {
-          material: row.material || '',
-          process: row.process || ''
-        };
-      });
-      
-      // Fetch pricing data (previous year)
-      const pricingYear = budgetYear - 1;
-      logger.info(`📊 Fetching pricing data for division: ${divisionCode}, year: ${pricingYear}`);
-      
-      // Get division-specific table names
-      const tables = getTableNames(division);
-      
-      let pricingResult;
-      try {
-        pricingResult = await client.query(`
-          SELECT product_group, asp_round, morm_round
-          FROM ${tables.pricingRounding}
-          WHERE UPPER(division) = UPPER($1) AND year = $2
-        `, [divisionCode, pricingYear]);
-        logger.info(`✅ Found ${pricingResult.rows.length} pricing records`);
-      } catch (pricingError) {
-        logger.error('❌ Error querying pricing table:', pricingError);
-        throw new Error(`Pricing table query failed: ${pricingError.message}. Please ensure the ${tables.pricingRounding} table exists.`);
-      }
-      
-      const pricingMap = {};
-      pricingResult.rows.forEach(row => {
-        pricingMap[row.product_group.toLowerCase()] = {
-          sellingPrice: row.asp_round ? parseFloat(row.asp_round) : null,
-          morm: row.morm_round ? parseFloat(row.morm_round) : null
-        };
-      });
-      
-      // Check pricing data availability
-      const warnings = [];
-      if (Object.keys(pricingMap).length === 0) {
-        warnings.push(`No pricing data found for year ${pricingYear}. Only KGS records will be created.`);
-        logger.warn(`⚠️ No pricing data available for year ${pricingYear}`);
-      }
-      
-      // Get draft data
-      logger.info('🔍 Fetching draft data for:', { division, salesRep, budgetYear });
-      const draftResult = await client.query(`
-        SELECT * FROM ${tables.salesRepBudgetDraft}
-        WHERE UPPER(division) = UPPER($1) 
-        AND UPPER(salesrepname) = UPPER($2) 
-        AND budget_year = $3
-      `, [division, salesRep, budgetYear]);
-      
-      logger.info(`📊 Found ${draftResult.rows.length} draft records`);
-      
-      if (draftResult.rows.length === 0) {
-        logger.error('❌ No draft data found');
-        await client.query('ROLLBACK');
-        // Don't release here - let finally block handle it
+      const { division, salesRep, budgetYear, comments } = req.body;
+
+      if (!division || !salesRep || !budgetYear) {
         return res.status(400).json({
           success: false,
-          error: 'No draft data found to submit. Please enter budget values and wait for auto-save (every 30 seconds) before submitting.'
-        });
-      }
-      
-      // Delete existing final budget
-      await client.query(`
-        DELETE FROM ${tables.salesRepBudget}
-        WHERE UPPER(division) = UPPER($1) 
-        AND UPPER(salesrepname) = UPPER($2) 
-        AND budget_year = $3
-      `, [division, salesRep, budgetYear]);
-      
-      // Insert final budget (KGS, Amount, MoRM)
-      let insertedKGS = 0, insertedAmount = 0, insertedMoRM = 0;
-      let totalKGS = 0, totalAmount = 0, totalMoRM = 0;
-      
-      logger.info(`📝 Processing ${draftResult.rows.length} draft records...`);
-      
-      // Log first few rows for debugging
-      if (draftResult.rows.length > 0) {
-        logger.info('📋 Sample draft row:', {
-          division: draftResult.rows[0].division,
-          budget_year: draftResult.rows[0].budget_year,
-          month: draftResult.rows[0].month,
-          salesrepname: draftResult.rows[0].salesrepname,
-          customername: draftResult.rows[0].customername,
-          countryname: draftResult.rows[0].countryname,
-          productgroup: draftResult.rows[0].productgroup,
-          values: draftResult.rows[0].values,
-          values_type: draftResult.rows[0].values_type
+          error: 'division, salesRep, and budgetYear are required'
         });
       }
-      
-      for (let i = 0; i < draftResult.rows.length; i++) {
-        const draftRow = draftResult.rows[i];
-        
-        try {
-          const productGroupKey = (draftRow.productgroup || '').toLowerCase();
-          const materialProcess = materialProcessMap[productGroupKey] || { material: '', process: '' };
-          const pricing = pricingMap[productGroupKey] || { sellingPrice: null, morm: null };
-          
-          const kgsValue = parseFloat(draftRow.values) || 0;
-          
-          // Allow zero values - users may want to clear/reset budgets
-          // Only skip if value is NaN or missing required fields
-          if (isNaN(kgsValue)) {
-            logger.warn(`⚠️ Skipping record ${i + 1}: Invalid KGS value (${draftRow.values})`);
-            continue;
-          }
-          
-          if (!draftRow.customername || !draftRow.countryname || !draftRow.productgroup) {
-            logger.warn(`⚠️ Skipping record ${i + 1}: Missing required fields`, draftRow);
-            continue;
-          }
-          
-          // Insert KGS
-          try {
-            await client.query(`
-              INSERT INTO ${tables.salesRepBudget} (
-                division, budget_year, month, type, salesrepname,
-                customername, countryname, productgroup,
-                values_type, values, material, process
-              ) VALUES ($1, $2, $3, 'Budget', $4, $5, $6, $7, 'KGS', $8, $9, $10)
-            `, [division, budgetYear, draftRow.month, salesRep, draftRow.customername,
-                draftRow.countryname, draftRow.productgroup, kgsValue,
-                materialProcess.material, materialProcess.process]);
-            insertedKGS++;
-            totalKGS += kgsValue;
-          } catch (insertError) {
-            logger.error(`❌ Error inserting KGS record ${i + 1}:`, insertError);
-            logger.error('Insert parameters:', {
-              division, budgetYear, month: draftRow.month, salesRep,
-              customer: draftRow.customername, country: draftRow.countryname,
-              productGroup: draftRow.productgroup, kgsValue,
-              material: materialProcess.material, process: materialProcess.process
-            });
-            throw insertError; // Re-throw to be caught by outer catch
-          }
-        
-          // Insert Amount
-          if (pricing.sellingPrice !== null) {
-            const amountValue = kgsValue * pricing.sellingPrice;
-            await client.query(`
-              INSERT INTO ${tables.salesRepBudget} (
-                division, budget_year, month, type, salesrepname,
-                customername, countryname, productgroup,
-                values_type, values, material, process
-              ) VALUES ($1, $2, $3, 'Budget', $4, $5, $6, $7, 'Amount', $8, $9, $10)
-            `, [division, budgetYear, draftRow.month, salesRep, draftRow.customername,
-                draftRow.countryname, draftRow.productgroup, amountValue,
-                materialProcess.material, materialProcess.process]);
-            insertedAmount++;
-            totalAmount += amountValue;
-          }
-          
-          // Insert MoRM
-          if (pricing.morm !== null) {
-            const mormValue = kgsValue * pricing.morm;
-            await client.query(`
-              INSERT INTO ${tables.salesRepBudget} (
-                division, budget_year, month, type, salesrepname,
-                customername, countryname, productgroup,
-                values_type, values, material, process
-              ) VALUES ($1, $2, $3, 'Budget', $4, $5, $6, $7, 'MoRM', $8, $9, $10)
-            `, [division, budgetYear, draftRow.month, salesRep, draftRow.customername,
-                draftRow.countryname, draftRow.productgroup, mormValue,
-                materialProcess.material, materialProcess.process]);
-            insertedMoRM++;
-            totalMoRM += mormValue;
-          }
-        } catch (rowError) {
-          logger.error(`❌ Error processing draft row ${i + 1}:`, rowError);
-          logger.error('Row data:', draftRow);
-          // Continue with next row instead of failing completely
-        }
-      }
-      
-      logger.info(`✅ Processed all records: KGS=${insertedKGS}, Amount=${insertedAmount}, MoRM=${insertedMoRM}`);
-      
-      // Validate that at least some records were inserted
-      if (insertedKGS === 0) {
-        logger.error('❌ No records were inserted. All rows may have failed validation.');
-        await client.query('ROLLBACK');
-        // Don't release here - let finally block handle it
-        return res.status(400).json({
-          success: false,
-          error: 'No records were inserted. Please check that your budget data has valid customer, country, and product group values.'
-        });
+
+      const actor = await resolveActor(req);
+      let isReviewer = actor.role === 'admin';
+      if (!isReviewer && actor.role === 'sales_manager') {
+        const managers = await userService.getManagersForSalesRep(salesRep, division);
+        isReviewer = managers.some(m => m.id === actor.id);
       }
-      
-      await client.query('COMMIT');
-      
-      logger.info('✅ Budget submitted successfully:', {
-        kgs: insertedKGS,
-        amount: insertedAmount,
-        morm: insertedMoRM,
-        total: insertedKGS + insertedAmount + insertedMoRM,
-        totalKGS,
-        totalAmount,
-        totalMoRM
+
+      const { approval, finalBudget } = await budgetApprovalService.transitionBudget(division, {
+        salesRep,
+        budgetYear,
+        action,
+        actor,
+        isReviewer,
+        comments: comments || null
       });
-      
+
       res.json({
         success: true,
-        message: 'Budget submitted successfully',
-        recordsInserted: {
-          kgs: insertedKGS,
-          amount: insertedAmount,
-          morm: insertedMoRM,
-          total: insertedKGS + insertedAmount + insertedMoRM
-        },
-        valueTotals: {
-          kgs: totalKGS,
-          amount: totalAmount,
-          morm: totalMoRM
-        },
-        pricingYear,
-        warnings: warnings.length > 0 ? warnings : undefined
+        message: `Budget ${approval.status.toLowerCase()}`,
+        approval,
+        ...(finalBudget || {})
       });
-      
     } catch (error) {
-      logger.error('❌ Database error in submit-final:', error);
-      logger.error('Error stack:', error.stack);
-      try { await client.query('ROLLBACK'); } catch (rbErr) { logger.error('Rollback failed:', rbErr); }
-      throw error;
+      sendApprovalError(res, error, `running ${action}`);
     }
-    
-  } catch (error) {
-    logger.error('❌ Error submitting final budget:', error);
-    logger.error('Error details:', {
-      message: error.message,
-      stack: error.stack,
-      name: error.name,
-      code: error.code,
-      detail: error.detail,
-      constraint: error.constraint,
-      table: error.table,
-      column: error.column
+  };
+}
+
+router.post('/withdraw', requireBudgetAccess('body'), transitionRoute('withdraw'));
+router.post('/approve', budgetYearLock('body'), transitionRoute('approve'));
+router.post('/reject', transitionRoute('reject'));
+router.post('/reopen', transitionRoute('reopen'));
+
+/**
+ * Current state, assigned managers and transition history of one budget
+ */
+router.get('/approval-status/:division/:salesRep/:budgetYear', requireBudgetAccess('params'), async (req, res) => {
+  try {
+    const { division, salesRep, budgetYear } = req.params;
+
+    const approval = await budgetApprovalService.getApproval(division, salesRep, budgetYear);
+    const [history, managers] = await Promise.all([
+      budgetApprovalService.getApprovalHistory(division, approval.id),
+      userService.getManagersForSalesRep(salesRep, division)
+    ]);
+
+    res.json({
+      success: true,
+      approval,
+      editable: budgetApprovalService.isEditable(approval.status),
+      history,
+      managers
     });
-    
-    // Provide more detailed error message
-    let errorMessage = error.message || 'Failed to submit budget.';
-    
-    // Add SQL-specific error details if available
-    if (error.code) {
-      errorMessage += ` (Error Code: ${error.code})`;
-    }
-    if (error.detail) {
-      errorMessage += ` Details: ${error.detail}`;
+  } catch (error) {
+    sendApprovalError(res, error, 'loading approval status');
+  }
+});
+
+/**
+ * Approval records for a division, limited to the sales reps the user may see.
+ * Sales managers only see budgets routed to them unless they pass all=true.
+ */
+router.get('/approvals', async (req, res) => {
+  try {
+    const { division, budgetYear, status, all } = req.query;
+
+    if (!division) {
+      return res.status(400).json({ success: false, error: 'division is required' });
     }
-    if (error.constraint) {
-      errorMessage += ` Constraint: ${error.constraint}`;
+
+    const managerId = req.user.role === 'sales_manager' && all !== 'true' ? req.user.id : null;
+    let approvals = await budgetApprovalService.listApprovals(division, { budgetYear, status, managerId });
+
+    if (req.user.role !== 'admin') {
+      const scope = await userService.getDataScope(req.user.id);
+      approvals = scope ? approvals.filter(approval => canAccessSalesRep(scope, division, approval.salesrepname)) : [];
     }
-    
-    res.status(500).json({
-      success: false,
-      error: errorMessage,
-      errorCode: error.code,
-      errorDetail: error.detail,
-      errorConstraint: error.constraint,
-      errorTable: error.table,
-      errorColumn: error.column
-    });
+
+    res.json({ success: true, approvals });
+  } catch (error) {
+    sendApprovalError(res, error, 'listing approvals');
   }
-  finally {
-    try {
-      if (client && typeof client.release === 'function') {
-        client.release();
-      }
-    } catch (releaseErr) {
-      logger.error('Error releasing DB client in submit-final finally block:', releaseErr);
+});
+
+/**
+ * Transition history of one approval record
+ */
+router.get('/approvals/:approvalId/history', async (req, res) => {
+  try {
+    const { division } = req.query;
+
+    if (!division) {
+      return res.status(400).json({ success: false, error: 'division is required' });
+    }
+
+    const approval = await budgetApprovalService.getApprovalById(division, parseInt(req.params.approvalId, 10));
+    if (!approval) {
+      return res.status(404).json({ success: false, error: 'Approval not found' });
     }
+    if (!(await budgetApprovalService.canAccessBudget(req.user, division, approval.salesrepname))) {
+      return res.status(403).json({ success: false, error: `You do not have access to the budget of ${approval.salesrepname}` });
+    }
+
+    const history = await budgetApprovalService.getApprovalHistory(division, approval.id);
+    res.json({ success: true, history });
+  } catch (error) {
+    sendApprovalError(res, error, 'loading approval history');
   }
 });
 
@@ -593,10 +511,12 @@ router.post('/submit-final', async (req, res) => {
 // DELETE DRAFT
 // ============================================================================
 
-router.delete('/delete-draft/:division/:salesRep/:budgetYear', async (req, res) => {
+router.delete('/delete-draft/:division/:salesRep/:budgetYear', requireBudgetAccess('params'), budgetYearLock('params'), async (req, res) => {
   try {
     const { division, salesRep, budgetYear } = req.params;
     
+    await budgetApprovalService.assertEditable(division, salesRep, budgetYear);
+    
     // Get division-specific pool and table names
     const divisionPool = getPoolForDivision(division);
     const tables = getTableNames(division);
@@ -615,21 +535,19 @@ router.delete('/delete-draft/:division/:salesRep/:budgetYear', async (req, res)
     });
     
   } catch (error) {
-    logger.error('Error deleting draft:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendApprovalError(res, error, 'deleting draft');
   }
 });
 
-router.delete('/delete-final/:division/:salesRep/:budgetYear', async (req, res) => {
+router.delete('/delete-final/:division/:salesRep/:budgetYear', requireBudgetAccess('params'), budgetYearLock('params'), async (req, res) => {
   logger.info('🗑️ DELETE budget request received:', req.params);
   try {
     const { division, salesRep, budgetYear } = req.params;
     
     logger.info(`Deleting budget for: Division=${division}, SalesRep=${salesRep}, Year=${budgetYear}`);
     
+    await budgetApprovalService.assertEditable(division, salesRep, budgetYear);
+    
     // Get division-specific pool and table names
     const divisionPool = getPoolForDivision(division);
     const tables = getTableNames(division);
@@ -665,11 +583,7 @@ router.delete('/delete-final/:division/:salesRep/:budgetYear', async (req, res)
     });
     
   } catch (error) {
-    logger.error('❌ Error deleting final budget:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendApprovalError(res, error, 'deleting final budget');
   }
 });
 
@@ -0,0 +1,136 @@
+/**
+ * Country Master Routes
+ * Editable countries (region, market type, currency, coordinates) and the aliases
+ * the division data uses for them
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const userService = require('../services/userService');
+const countryMasterService = require('../services/countryMasterService');
+
+const sendCountryMasterError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error(fallbackMessage, error);
+  return res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+const userName = async (req) => {
+  const user = await userService.getUserById(req.user.id);
+  return user.name || user.email;
+};
+
+/**
+ * GET /api/country-master
+ * List countries with their aliases (optional ?search=&region=)
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { search, region } = req.query;
+    const countries = await countryMasterService.listCountries({ search, region });
+    res.json({ success: true, data: countries });
+  } catch (error) {
+    sendCountryMasterError(res, error, 'Failed to load country master');
+  }
+});
+
+/**
+ * GET /api/country-master/regions
+ * Regions in use, plus the allowed market types
+ */
+router.get('/regions', authenticate, async (req, res) => {
+  try {
+    const regions = await countryMasterService.getRegions();
+    res.json({ success: true, data: { regions, marketTypes: countryMasterService.MARKET_TYPES } });
+  } catch (error) {
+    sendCountryMasterError(res, error, 'Failed to load regions');
+  }
+});
+
+/**
+ * GET /api/country-master/unassigned?division=FP
+ * Country names in the division data that resolve to no country, with a suggestion each
+ */
+router.get('/unassigned', authenticate, async (req, res) => {
+  try {
+    const { division } = req.query;
+    if (!division) {
+      return res.status(400).json({ success: false, error: 'Division is required' });
+    }
+    const unassigned = await countryMasterService.getUnassignedCountries(division);
+    res.json({ success: true, data: unassigned });
+  } catch (error) {
+    sendCountryMasterError(res, error, 'Failed to load unassigned countries');
+  }
+});
+
+/**
+ * POST /api/country-master
+ * Create a country: { name, region, marketType, currencyCode, currencyName, currencySymbol, longitude, latitude }
+ */
+router.post('/', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const country = await countryMasterService.createCountry(req.body, await userName(req));
+    res.status(201).json({ success: true, data: country, message: `${country.name} created` });
+  } catch (error) {
+    sendCountryMasterError(res, error, 'Failed to create country');
+  }
+});
+
+/**
+ * PUT /api/country-master/:id
+ * Update attributes (only the fields sent)
+ */
+router.put('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const country = await countryMasterService.updateCountry(req.params.id, req.body, await userName(req));
+    res.json({ success: true, data: country, message: `${country.name} updated` });
+  } catch (error) {
+    sendCountryMasterError(res, error, 'Failed to update country');
+  }
+});
+
+/**
+ * DELETE /api/country-master/:id
+ * Delete a country and its aliases (its names become Unassigned)
+ */
+router.delete('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const country = await countryMasterService.deleteCountry(req.params.id);
+    res.json({ success: true, data: country, message: `${country.name} deleted` });
+  } catch (error) {
+    sendCountryMasterError(res, error, 'Failed to delete country');
+  }
+});
+
+/**
+ * POST /api/country-master/:id/aliases
+ * Map another spelling to the country: { alias }
+ */
+router.post('/:id/aliases', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const alias = await countryMasterService.addAlias(req.params.id, req.body.alias, await userName(req));
+    res.status(201).json({ success: true, data: alias, message: `"${alias.alias}" mapped` });
+  } catch (error) {
+    sendCountryMasterError(res, error, 'Failed to add alias');
+  }
+});
+
+/**
+ * DELETE /api/country-master/:id/aliases/:aliasId
+ * Remove one alias
+ */
+router.delete('/:id/aliases/:aliasId', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const alias = await countryMasterService.removeAlias(req.params.id, req.params.aliasId);
+    res.json({ success: true, data: alias, message: `"${alias.alias}" removed` });
+  } catch (error) {
+    sendCountryMasterError(res, error, 'Failed to remove alias');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * Customer Lifecycle Routes
+ * Monthly customer statuses (new, active, reactivated, declining, lost) and acquisition-cohort
+ * retention of a division (services/customerLifecycleService)
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const router = express.Router();
+const { authenticate, requireDataScope } = require('../middleware/auth');
+const { reportCurrency } = require('../middleware/reportCurrency');
+const customerLifecycleService = require('../services/customerLifecycleService');
+
+const sendLifecycleError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error(fallbackMessage, error);
+  return res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+/**
+ * GET /api/customer-lifecycle
+ * Query: division, year, month (end of the window, default the latest month with actuals),
+ * months (window length, default 12), measure (kgs | amount), segmentBy (salesrep | country | productgroup),
+ * cohortPeriod (month | quarter | year)
+ */
+router.get('/', authenticate, requireDataScope(), reportCurrency, async (req, res) => {
+  try {
+    const result = await customerLifecycleService.getCustomerLifecycle(req.query);
+    res.json({ success: true, data: { ...result, currency: req.reportCurrency || null } });
+  } catch (error) {
+    sendLifecycleError(res, error, 'Failed to load customer lifecycle');
+  }
+});
+
+module.exports = router;
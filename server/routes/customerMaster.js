@@ -0,0 +1,155 @@
+/**
+ * Customer Master Routes
+ * Group-wide customer records with stable IDs, linked from each division's customer names
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const userService = require('../services/userService');
+const customerMasterService = require('../services/customerMasterService');
+
+const sendCustomerMasterError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error(fallbackMessage, error);
+  return res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+const userName = async (req) => {
+  const user = await userService.getUserById(req.user.id);
+  return user.name || user.email;
+};
+
+/**
+ * GET /api/customer-master
+ * List masters (optional ?search=&country=&segment=&keyAccount=true&includeInactive=true)
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { search, country, segment, keyAccount, includeInactive } = req.query;
+    const customers = await customerMasterService.listMasters({
+      search,
+      country,
+      segment,
+      keyAccount,
+      includeInactive: includeInactive === 'true'
+    });
+    res.json({ success: true, data: customers });
+  } catch (error) {
+    sendCustomerMasterError(res, error, 'Failed to load customer master');
+  }
+});
+
+/**
+ * GET /api/customer-master/group-view?year=2025&type=ACTUAL
+ * Totals per master across all divisions, with the unlinked remainder per division
+ */
+router.get('/group-view', authenticate, async (req, res) => {
+  try {
+    const view = await customerMasterService.getGroupCustomerView({ year: req.query.year, type: req.query.type });
+    res.json({ success: true, data: view });
+  } catch (error) {
+    sendCustomerMasterError(res, error, 'Failed to load group customer view');
+  }
+});
+
+/**
+ * GET /api/customer-master/unlinked?division=FP&year=2025&type=ACTUAL
+ * Division customers not linked to a master yet, largest first
+ */
+router.get('/unlinked', authenticate, async (req, res) => {
+  try {
+    const { division, year, type } = req.query;
+    if (!division) {
+      return res.status(400).json({ success: false, error: 'Division is required' });
+    }
+    const names = await customerMasterService.getUnlinkedNames(division, { year, type });
+    res.json({ success: true, data: names });
+  } catch (error) {
+    sendCustomerMasterError(res, error, 'Failed to load unlinked customers');
+  }
+});
+
+/**
+ * GET /api/customer-master/:id
+ * One master with its linked division names
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const customer = await customerMasterService.getMaster(req.params.id);
+    res.json({ success: true, data: customer });
+  } catch (error) {
+    sendCustomerMasterError(res, error, 'Failed to load customer');
+  }
+});
+
+/**
+ * POST /api/customer-master
+ * Create a master: { name, country, segment, creditTerms, isKeyAccount, notes }
+ */
+router.post('/', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const customer = await customerMasterService.createMaster(req.body, await userName(req));
+    res.status(201).json({ success: true, data: customer, message: `Customer ${customer.customer_code} created` });
+  } catch (error) {
+    sendCustomerMasterError(res, error, 'Failed to create customer');
+  }
+});
+
+/**
+ * PUT /api/customer-master/:id
+ * Update attributes (only the fields sent), or reactivate with { isActive: true }
+ */
+router.put('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const customer = await customerMasterService.updateMaster(req.params.id, req.body, await userName(req));
+    res.json({ success: true, data: customer, message: `Customer ${customer.customer_code} updated` });
+  } catch (error) {
+    sendCustomerMasterError(res, error, 'Failed to update customer');
+  }
+});
+
+/**
+ * DELETE /api/customer-master/:id
+ * Deactivate a master (the ID and links are kept)
+ */
+router.delete('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const customer = await customerMasterService.deactivateMaster(req.params.id, await userName(req));
+    res.json({ success: true, data: customer, message: `Customer ${customer.customer_code} deactivated` });
+  } catch (error) {
+    sendCustomerMasterError(res, error, 'Failed to deactivate customer');
+  }
+});
+
+/**
+ * POST /api/customer-master/:id/links
+ * Link division customer names: { division, names: [...] }
+ */
+router.post('/:id/links', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { division, names } = req.body;
+    const result = await customerMasterService.linkNames(req.params.id, division, names, await userName(req));
+    res.status(201).json({ success: true, data: result, message: `${result.linked} name(s) linked` });
+  } catch (error) {
+    sendCustomerMasterError(res, error, 'Failed to link customer names');
+  }
+});
+
+/**
+ * DELETE /api/customer-master/:id/links/:linkId
+ * Remove one linked name
+ */
+router.delete('/:id/links/:linkId', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    await customerMasterService.unlinkName(req.params.id, req.params.linkId);
+    res.json({ success: true, message: 'Name unlinked' });
+  } catch (error) {
+    sendCustomerMasterError(res, error, 'Failed to unlink customer name');
+  }
+});
+
+module.exports = router;
@@ -5,41 +5,16 @@
 
 const express = require('express');
 const router = express.Router();
-const fs = require('fs');
-const path = require('path');
 const logger = require('../utils/logger');
+const { authenticate, requireDataScope } = require('../middleware/auth');
 const UniversalSalesByCountryService = require('../database/UniversalSalesByCountryService');
+const salesRepHierarchyService = require('../services/salesRepHierarchyService');
 
-const SALES_REP_CONFIG_PATH = path.join(__dirname, '..', 'data', 'sales-rep-config.json');
-
-// Helper functions for sales rep groups
-function loadSalesRepConfig() {
-  try {
-    if (fs.existsSync(SALES_REP_CONFIG_PATH)) {
-      const data = fs.readFileSync(SALES_REP_CONFIG_PATH, 'utf8');
-      return JSON.parse(data);
-    }
-    return {};
-  } catch (error) {
-    logger.error('Error loading sales rep config', { error: error.message });
-    return {};
-  }
-}
-
-function isSalesRepGroup(division, salesRepName) {
-  const config = loadSalesRepConfig();
-  const divisionConfig = config[division];
-  return divisionConfig && divisionConfig.groups && divisionConfig.groups[salesRepName] !== undefined;
-}
-
-function getGroupMembers(division, groupName) {
-  const config = loadSalesRepConfig();
-  const divisionConfig = config[division];
-  return divisionConfig?.groups?.[groupName] || [];
-}
+// Sales data is only served within the caller's data scope (utils/dataScope)
+const dataScoped = [authenticate, requireDataScope()];
 
 // POST /customer-universal - Get customer dashboard data (KGS)
-router.post('/customer-universal', async (req, res) => {
+router.post('/customer-universal', dataScoped, async (req, res) => {
   try {
     const { division, salesRep, periods = [] } = req.body;
     
@@ -54,10 +29,11 @@ router.post('/customer-universal', async (req, res) => {
     
     // Get customers for sales rep or group
     let customers;
-    const isGroup = isSalesRepGroup(division, salesRep);
+    const isGroup = await salesRepHierarchyService.isGroup(division, salesRep);
     
     if (isGroup) {
-      const groupMembers = getGroupMembers(division, salesRep);
+      // Everyone who was ever in the group; each month's figures use that month's members
+      const groupMembers = await salesRepHierarchyService.getGroupMembers(division, salesRep);
       logger.info('Fetching customers for group', { group: salesRep, members: groupMembers });
       customers = await UniversalSalesByCountryService.getCustomersBySalesRep(division, salesRep, groupMembers);
     } else {
@@ -75,9 +51,8 @@ router.post('/customer-universal', async (req, res) => {
         
         let salesData;
         if (isGroup) {
-          const groupMembers = getGroupMembers(division, salesRep);
           salesData = await UniversalSalesByCountryService.getCustomerSalesDataForGroup(
-            division, groupMembers, customer, 'KGS', year, month, type
+            division, salesRep, customer, 'KGS', year, month, type
           );
         } else {
           salesData = await UniversalSalesByCountryService.getCustomerSalesDataByValueType(
@@ -115,7 +90,7 @@ router.post('/customer-universal', async (req, res) => {
 });
 
 // POST /amount - Get customer dashboard data (AMOUNT for percentage calculations)
-router.post('/amount', async (req, res) => {
+router.post('/amount', dataScoped, async (req, res) => {
   try {
     const { division, salesRep, periods = [] } = req.body;
     
@@ -130,10 +105,11 @@ router.post('/amount', async (req, res) => {
     
     // Get customers for sales rep or group
     let customers;
-    const isGroup = isSalesRepGroup(division, salesRep);
+    const isGroup = await salesRepHierarchyService.isGroup(division, salesRep);
     
     if (isGroup) {
-      const groupMembers = getGroupMembers(division, salesRep);
+      // Everyone who was ever in the group; each month's figures use that month's members
+      const groupMembers = await salesRepHierarchyService.getGroupMembers(division, salesRep);
       logger.info('Fetching AMOUNT customers for group', { group: salesRep, members: groupMembers });
       customers = await UniversalSalesByCountryService.getCustomersBySalesRep(division, salesRep, groupMembers);
     } else {
@@ -151,9 +127,8 @@ router.post('/amount', async (req, res) => {
         
         let salesData;
         if (isGroup) {
-          const groupMembers = getGroupMembers(division, salesRep);
           salesData = await UniversalSalesByCountryService.getCustomerSalesDataForGroup(
-            division, groupMembers, customer, 'AMOUNT', year, month, type
+            division, salesRep, customer, 'AMOUNT', year, month, type
           );
         } else {
           salesData = await UniversalSalesByCountryService.getCustomerSalesDataByValueType(
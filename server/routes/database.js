@@ -5,46 +5,23 @@
 
 const express = require('express');
 const router = express.Router();
-const fs = require('fs');
-const path = require('path');
 const logger = require('../utils/logger');
+const { authenticate, requireDataScope } = require('../middleware/auth');
+const { reportCurrency } = require('../middleware/reportCurrency');
 const { pool } = require('../database/config');
-const { getDivisionPool } = require('../utils/divisionDatabaseManager');
+const { getDivisionPool, getActiveDivisions } = require('../utils/divisionDatabaseManager');
 const WorldCountriesService = require('../database/WorldCountriesService');
 const UniversalSalesByCountryService = require('../database/UniversalSalesByCountryService');
 const GeographicDistributionService = require('../database/GeographicDistributionService');
 const CustomerInsightsService = require('../database/CustomerInsightsService');
+const budgetVersionService = require('../services/budgetVersionService');
+const salesRepHierarchyService = require('../services/salesRepHierarchyService');
 
-// Path to sales rep config file
-const SALES_REP_CONFIG_PATH = path.join(__dirname, '..', 'data', 'sales-reps-config.json');
-
-// Helper to load sales rep config
-function loadSalesRepConfig() {
-  try {
-    if (fs.existsSync(SALES_REP_CONFIG_PATH)) {
-      const data = fs.readFileSync(SALES_REP_CONFIG_PATH, 'utf8');
-      return JSON.parse(data);
-    }
-    return {};
-  } catch (error) {
-    logger.error('Error loading sales rep config', { error: error.message });
-    return {};
-  }
-}
-
-// Helper to save sales rep config
-function saveSalesRepConfig(config) {
-  try {
-    fs.writeFileSync(SALES_REP_CONFIG_PATH, JSON.stringify(config, null, 2));
-    return true;
-  } catch (error) {
-    logger.error('Error saving sales rep config', { error: error.message });
-    return false;
-  }
-}
+// Sales data is only served within the caller's data scope (utils/dataScope)
+const dataScoped = [authenticate, requireDataScope()];
 
 // GET /countries-db - Get countries from database
-router.get('/countries-db', async (req, res) => {
+router.get('/countries-db', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division } = req.query;
     const worldCountriesService = new WorldCountriesService(division);
@@ -57,7 +34,7 @@ router.get('/countries-db', async (req, res) => {
 });
 
 // GET /sales-reps-defaults - Get sales rep defaults for a division
-router.get('/sales-reps-defaults', async (req, res) => {
+router.get('/sales-reps-defaults', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division } = req.query;
     const divPool = division ? getDivisionPool(division) : pool;
@@ -79,7 +56,7 @@ router.get('/sales-reps-defaults', async (req, res) => {
 });
 
 // GET /all-countries - Get all countries
-router.get('/all-countries', async (req, res) => {
+router.get('/all-countries', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division } = req.query;
     const pool = await getDivisionPool(division);
@@ -97,7 +74,7 @@ router.get('/all-countries', async (req, res) => {
 });
 
 // POST /sales-by-country-db - Get sales by country from database
-router.post('/sales-by-country-db', async (req, res) => {
+router.post('/sales-by-country-db', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division, filters } = req.body;
     const salesService = new UniversalSalesByCountryService(division);
@@ -110,7 +87,7 @@ router.post('/sales-by-country-db', async (req, res) => {
 });
 
 // GET /countries-by-sales-rep-db - Get countries by sales rep
-router.get('/countries-by-sales-rep-db', async (req, res) => {
+router.get('/countries-by-sales-rep-db', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division, salesRep } = req.query;
     const pool = await getDivisionPool(division);
@@ -131,7 +108,7 @@ router.get('/countries-by-sales-rep-db', async (req, res) => {
 });
 
 // GET /unassigned-countries - Get unassigned countries
-router.get('/unassigned-countries', async (req, res) => {
+router.get('/unassigned-countries', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division } = req.query;
     const worldCountriesService = new WorldCountriesService(division || 'FP');
@@ -147,7 +124,7 @@ router.get('/unassigned-countries', async (req, res) => {
 // with the correct API signature that the frontend expects
 
 // POST /country-sales-data-db - Get country sales data
-router.post('/country-sales-data-db', async (req, res) => {
+router.post('/country-sales-data-db', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division, country, filters } = req.body;
     const pool = await getDivisionPool(division);
@@ -166,7 +143,7 @@ router.post('/country-sales-data-db', async (req, res) => {
 });
 
 // GET /customers-db - Get customers from database
-router.get('/customers-db', async (req, res) => {
+router.get('/customers-db', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division } = req.query;
     const pool = await getDivisionPool(division);
@@ -186,7 +163,7 @@ router.get('/customers-db', async (req, res) => {
 });
 
 // POST /sales-by-customer-db - Get sales by customer
-router.post('/sales-by-customer-db', async (req, res) => {
+router.post('/sales-by-customer-db', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division, customer, filters } = req.body;
     const pool = await getDivisionPool(division);
@@ -205,7 +182,7 @@ router.post('/sales-by-customer-db', async (req, res) => {
 });
 
 // GET /customers-by-salesrep-db - Get customers by sales rep
-router.get('/customers-by-salesrep-db', async (req, res) => {
+router.get('/customers-by-salesrep-db', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division, salesRep } = req.query;
     const pool = await getDivisionPool(division);
@@ -226,7 +203,7 @@ router.get('/customers-by-salesrep-db', async (req, res) => {
 });
 
 // GET /customer-sales-rep-mapping - Get customer to sales rep mapping
-router.get('/customer-sales-rep-mapping', async (req, res) => {
+router.get('/customer-sales-rep-mapping', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division } = req.query;
     const pool = await getDivisionPool(division);
@@ -246,7 +223,7 @@ router.get('/customer-sales-rep-mapping', async (req, res) => {
 });
 
 // POST /customer-sales-data-db - Get customer sales data from database
-router.post('/customer-sales-data-db', async (req, res) => {
+router.post('/customer-sales-data-db', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division, customer, filters } = req.body;
     const pool = await getDivisionPool(division);
@@ -271,7 +248,7 @@ router.post('/customer-sales-data-db', async (req, res) => {
 });
 
 // POST /sales-rep-divisional-batch - Batch sales rep data by division
-router.post('/sales-rep-divisional-batch', async (req, res) => {
+router.post('/sales-rep-divisional-batch', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division, salesReps } = req.body;
     const pool = await getDivisionPool(division);
@@ -291,7 +268,7 @@ router.post('/sales-rep-divisional-batch', async (req, res) => {
 
 // POST /sales-rep-divisional-ultra-fast - Ultra-fast sales rep query
 // Returns aggregated sales data by sales rep for the requested columns (year/type)
-router.post('/sales-rep-divisional-ultra-fast', async (req, res) => {
+router.post('/sales-rep-divisional-ultra-fast', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division, salesReps, columns } = req.body;
     
@@ -307,7 +284,10 @@ router.post('/sales-rep-divisional-ultra-fast', async (req, res) => {
     const tableName = `${divCode}_data_excel`;
     
     // Build column queries - each column specifies year, type, months
-    const columnDefs = columns || [{ year: new Date().getFullYear(), type: 'Actual', columnKey: 'default' }];
+    // Columns carrying budgetVersionId read from a named budget version instead of data_excel
+    const allColumnDefs = columns || [{ year: new Date().getFullYear(), type: 'Actual', columnKey: 'default' }];
+    const columnDefs = allColumnDefs.filter(c => !c.budgetVersionId);
+    const versionColumnDefs = allColumnDefs.filter(c => c.budgetVersionId);
     
     // Query aggregated data per sales rep
     const query = `
@@ -327,7 +307,9 @@ router.post('/sales-rep-divisional-ultra-fast', async (req, res) => {
     const types = [...new Set(columnDefs.map(c => c.type.toUpperCase()))];
     const normalizedSalesReps = salesReps.map(sr => sr.toString().trim().toUpperCase());
     
-    const result = await pool.query(query, [normalizedSalesReps, years, types]);
+    const result = columnDefs.length > 0
+      ? await pool.query(query, [normalizedSalesReps, years, types])
+      : { rows: [] };
     
     // Build response keyed by sales rep with column values
     const data = {};
@@ -335,10 +317,25 @@ router.post('/sales-rep-divisional-ultra-fast', async (req, res) => {
     // Initialize all sales reps with zeros
     normalizedSalesReps.forEach(sr => {
       data[sr] = {};
-      columnDefs.forEach(col => {
+      allColumnDefs.forEach(col => {
         data[sr][col.columnKey || `${col.type.toLowerCase()}-${col.year}`] = 0;
       });
     });
+
+    // Budget version columns - KGS per sales rep from the version snapshot
+    for (const col of versionColumnDefs) {
+      const colKey = col.columnKey || `${col.type.toLowerCase()}-${col.year}-v${col.budgetVersionId}`;
+      const totals = await budgetVersionService.getBudgetVersionTotals(division, col.budgetVersionId, {
+        months: col.months ? UniversalSalesByCountryService.normalizeMonths(col.months) : undefined,
+        groupBy: 'salesrepname',
+        valuesType: 'KGS'
+      });
+      totals.forEach(row => {
+        if (data[row.salesrepname]) {
+          data[row.salesrepname][colKey] = row.total;
+        }
+      });
+    }
     
     // Fill in actual values from query results
     result.rows.forEach(row => {
@@ -361,7 +358,7 @@ router.post('/sales-rep-divisional-ultra-fast', async (req, res) => {
 });
 
 // POST /sales-by-customer-ultra-fast - Ultra-fast customer sales query
-router.post('/sales-by-customer-ultra-fast', async (req, res) => {
+router.post('/sales-by-customer-ultra-fast', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division, customer } = req.body;
     const pool = await getDivisionPool(division);
@@ -380,7 +377,7 @@ router.post('/sales-by-customer-ultra-fast', async (req, res) => {
 });
 
 // POST /sales-rep-reports-ultra-fast - Ultra-fast sales rep reports
-router.post('/sales-rep-reports-ultra-fast', async (req, res) => {
+router.post('/sales-rep-reports-ultra-fast', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division, salesRep, reportType } = req.body;
     const pool = await getDivisionPool(division);
@@ -398,86 +395,74 @@ router.post('/sales-rep-reports-ultra-fast', async (req, res) => {
   }
 });
 
-// GET /sales-rep-groups-universal - Get sales rep groups from JSON config
-router.get('/sales-rep-groups-universal', async (req, res) => {
+// GET /sales-rep-groups-universal - Get sales rep groups (as of today or ?asOf=YYYY-MM-DD)
+router.get('/sales-rep-groups-universal', dataScoped, reportCurrency, async (req, res) => {
   try {
-    const { division } = req.query;
-    const config = loadSalesRepConfig();
+    const { division, asOf } = req.query;
     
     if (division) {
-      const divisionConfig = config[division.toUpperCase()] || { groups: {} };
-      res.json({ success: true, data: divisionConfig.groups || {} });
+      const groups = await salesRepHierarchyService.getGroups(division.toUpperCase(), { asOf });
+      res.json({ success: true, data: groups });
     } else {
       // Return all divisions' groups
+      const divisions = ['FP', ...(await getActiveDivisions())];
       const allGroups = {};
-      Object.keys(config).forEach(div => {
-        allGroups[div] = config[div]?.groups || {};
-      });
+      for (const div of divisions) {
+        allGroups[div] = await salesRepHierarchyService.getGroups(div, { asOf });
+      }
       res.json({ success: true, data: allGroups });
     }
   } catch (error) {
     logger.error('Error fetching sales rep groups', { error: error.message });
-    res.status(500).json({ success: false, error: 'Failed to fetch sales rep groups' });
+    res.status(error.statusCode || 500).json({ success: false, error: error.statusCode ? error.message : 'Failed to fetch sales rep groups' });
   }
 });
 
 // POST /sales-rep-groups-universal - Save sales rep group
-router.post('/sales-rep-groups-universal', async (req, res) => {
+// Membership changes apply from effectiveFrom (default today); earlier months keep their groups
+router.post('/sales-rep-groups-universal', dataScoped, async (req, res) => {
   try {
-    const { division, groupName, members } = req.body;
+    const { division, groupName, members, effectiveFrom } = req.body;
     
     if (!division || !groupName) {
       return res.status(400).json({ success: false, error: 'Division and group name are required' });
     }
     
-    const config = loadSalesRepConfig();
     const divKey = division.toUpperCase();
+    await salesRepHierarchyService.setGroupMembers(divKey, groupName, members || [], {
+      effectiveFrom,
+      performedBy: req.user.email
+    });
     
-    if (!config[divKey]) {
-      config[divKey] = { defaults: [], groups: {} };
-    }
-    
-    config[divKey].groups[groupName] = members || [];
-    
-    if (saveSalesRepConfig(config)) {
-      logger.info('Sales rep group saved', { division: divKey, groupName });
-      res.json({ success: true, message: 'Group saved successfully' });
-    } else {
-      res.status(500).json({ success: false, error: 'Failed to save group' });
-    }
+    logger.info('Sales rep group saved', { division: divKey, groupName, effectiveFrom });
+    res.json({ success: true, message: 'Group saved successfully' });
   } catch (error) {
     logger.error('Error saving sales rep group', { error: error.message });
-    res.status(500).json({ success: false, error: 'Failed to save sales rep group' });
+    res.status(error.statusCode || 500).json({ success: false, error: error.statusCode ? error.message : 'Failed to save sales rep group' });
   }
 });
 
 // DELETE /sales-rep-groups-universal - Delete sales rep group
-router.delete('/sales-rep-groups-universal', async (req, res) => {
+// The group's members leave it from effectiveFrom (default today); its history is kept
+router.delete('/sales-rep-groups-universal', dataScoped, async (req, res) => {
   try {
-    const { division, groupName } = req.query;
+    const { division, groupName, effectiveFrom } = req.query;
     
     if (!division || !groupName) {
       return res.status(400).json({ success: false, error: 'Division and group name are required' });
     }
     
-    const config = loadSalesRepConfig();
     const divKey = division.toUpperCase();
+    await salesRepHierarchyService.setGroupMembers(divKey, groupName, [], {
+      effectiveFrom,
+      performedBy: req.user.email
+    });
     
-    if (config[divKey] && config[divKey].groups) {
-      delete config[divKey].groups[groupName];
-      
-      if (saveSalesRepConfig(config)) {
-        logger.info('Sales rep group deleted', { division: divKey, groupName });
-        res.json({ success: true, message: 'Group deleted successfully' });
-      } else {
-        res.status(500).json({ success: false, error: 'Failed to delete group' });
-      }
-    } else {
-      res.json({ success: true, message: 'Group not found, nothing to delete' });
-    }
+    logger.info('Sales rep group deleted', { division: divKey, groupName, effectiveFrom });
+    res.json({ success: true, message: 'Group deleted successfully' });
   } catch (error) {
     logger.error('Error deleting sales rep group', { error: error.message });
-    res.status(500).json({ success: false, error: 'Failed to delete sales rep group' });
+    res.status(error.statusCode || 500).json({ success: false, error: error.statusCode ? error.message : 'Failed to delete sales rep group' });
   }
 });
 
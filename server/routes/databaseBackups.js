@@ -0,0 +1,195 @@
+/**
+ * Database Backup Routes
+ * Backup status, retention policy, manual backups, verification and restores (admins).
+ * Backups and restores run as background jobs (GET /api/jobs/:id for progress).
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const jobService = require('../services/jobService');
+const auditLog = require('../services/auditLogService');
+const databaseBackupService = require('../services/databaseBackupService');
+
+const sendBackupError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error(fallbackMessage, error);
+  return res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+/**
+ * Background job: back up one database, or all of them (result: backups made)
+ */
+jobService.registerHandler('database-backup', async ({ targetKey, createdBy }, context) => {
+  const targets = targetKey
+    ? [await databaseBackupService.getTarget(targetKey)]
+    : await databaseBackupService.listTargets();
+
+  const backups = [];
+  for (const [index, target] of targets.entries()) {
+    const backup = await databaseBackupService.backupTarget(target, {
+      createdBy,
+      onProgress: (percent, message) => context.progress(
+        ((index + percent / 100) / targets.length) * 100,
+        `${target.label}: ${message}`
+      )
+    });
+    backups.push({ id: backup.id, database: backup.database, rows: backup.rowCount, bytes: backup.sizeBytes, verified: backup.verifyStatus });
+  }
+  return { backups };
+});
+
+/**
+ * Background job: restore a backup as a new division, or one of its tables
+ */
+jobService.registerHandler('database-restore', async ({ backupId, restore, newCode, newName, table, mode }, context) => (
+  restore === 'division'
+    ? databaseBackupService.restoreToNewDivision(backupId, { newCode, newName }, context.progress)
+    : databaseBackupService.restoreTable(backupId, { table, mode }, context.progress)
+));
+
+router.use(authenticate, requireRole('admin'));
+
+/**
+ * GET /api/database-backups
+ * Status per database (last success, size, age, last attempt), policy and next run
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = await databaseBackupService.getStatus();
+    res.json({ success: true, ...status });
+  } catch (error) {
+    sendBackupError(res, error, 'Failed to load backup status');
+  }
+});
+
+/**
+ * PUT /api/database-backups/policy
+ * Body: { enabled, runTime: 'HH:MM', keepDaily, keepWeekly, keepMonthly }
+ */
+router.put('/policy', async (req, res) => {
+  try {
+    const before = await databaseBackupService.getPolicy();
+    const policy = await databaseBackupService.updatePolicy(req.body, req.user.id);
+    await auditLog.record(req, { action: 'backup-policy.update', entityType: 'database-backups', before, after: policy });
+    res.json({ success: true, policy, message: 'Backup policy saved' });
+  } catch (error) {
+    sendBackupError(res, error, 'Failed to save backup policy');
+  }
+});
+
+/**
+ * POST /api/database-backups/run
+ * Body: { target } - a target key ('auth', 'division:FP'), or none for every database
+ * Returns 202 with the job
+ */
+router.post('/run', async (req, res) => {
+  try {
+    const targetKey = req.body.target || null;
+    if (targetKey) await databaseBackupService.getTarget(targetKey);
+
+    const job = await jobService.enqueue({
+      type: 'database-backup',
+      division: targetKey && targetKey.startsWith('division:') ? targetKey.split(':')[1] : null,
+      payload: { targetKey, createdBy: req.user.email },
+      user: req.user
+    });
+    res.status(202).json({ success: true, jobId: job.id, job });
+  } catch (error) {
+    sendBackupError(res, error, 'Failed to start backup');
+  }
+});
+
+/**
+ * GET /api/database-backups/backups?target=division:FP&includePruned=true&limit=50
+ */
+router.get('/backups', async (req, res) => {
+  try {
+    const backups = await databaseBackupService.listBackups({
+      targetKey: req.query.target || null,
+      includePruned: req.query.includePruned === 'true',
+      limit: req.query.limit
+    });
+    res.json({ success: true, backups });
+  } catch (error) {
+    sendBackupError(res, error, 'Failed to load backups');
+  }
+});
+
+/**
+ * GET /api/database-backups/backups/:id/tables
+ * Tables in a backup with their row counts
+ */
+router.get('/backups/:id/tables', async (req, res) => {
+  try {
+    const tables = await databaseBackupService.getBackupTables(parseInt(req.params.id, 10));
+    res.json({ success: true, tables });
+  } catch (error) {
+    sendBackupError(res, error, 'Failed to load backup tables');
+  }
+});
+
+/**
+ * POST /api/database-backups/backups/:id/verify
+ * Recompute the checksums of a backup's files
+ */
+router.post('/backups/:id/verify', async (req, res) => {
+  try {
+    const result = await databaseBackupService.verifyBackup(parseInt(req.params.id, 10));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendBackupError(res, error, 'Failed to verify backup');
+  }
+});
+
+const enqueueRestore = async (req, payload) => {
+  const backup = await databaseBackupService.getBackup(parseInt(req.params.id, 10));
+  return jobService.enqueue({
+    type: 'database-restore',
+    division: payload.restore === 'division' ? payload.newCode : backup.division,
+    payload: { backupId: backup.id, ...payload },
+    user: req.user
+  });
+};
+
+/**
+ * POST /api/database-backups/backups/:id/restore-division
+ * Body: { newCode, newName } - restore a division backup as a new division
+ */
+router.post('/backups/:id/restore-division', async (req, res) => {
+  try {
+    const { newCode, newName } = req.body;
+    if (!newCode || !/^[A-Z]{2,4}$/.test(newCode)) {
+      return res.status(400).json({ success: false, error: 'Invalid division code. Must be 2-4 uppercase letters.' });
+    }
+    const job = await enqueueRestore(req, { restore: 'division', newCode, newName: newName || null });
+    res.status(202).json({ success: true, jobId: job.id, job });
+  } catch (error) {
+    sendBackupError(res, error, 'Failed to start restore');
+  }
+});
+
+/**
+ * POST /api/database-backups/backups/:id/restore-table
+ * Body: { table, mode: 'copy' | 'replace' } - copy restores next to the live table
+ */
+router.post('/backups/:id/restore-table', async (req, res) => {
+  try {
+    const { table, mode = 'copy' } = req.body;
+    if (!table) {
+      return res.status(400).json({ success: false, error: 'Table is required' });
+    }
+    if (!['copy', 'replace'].includes(mode)) {
+      return res.status(400).json({ success: false, error: 'Mode must be copy or replace' });
+    }
+    const job = await enqueueRestore(req, { restore: 'table', table, mode });
+    res.status(202).json({ success: true, jobId: job.id, job });
+  } catch (error) {
+    sendBackupError(res, error, 'Failed to start restore');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,281 @@
+/**
+ * Division Master Data Routes
+ * Product groups, pricing, rounded prices, price lists and material percentages for any division
+ *
+ * Mounted at /api/divisions/:division/master-data and, for existing clients,
+ * at /api/:division/master-data (e.g. /api/fp/master-data, /api/hc/master-data).
+ * A division added from Settings gets these endpoints as soon as its database exists.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const logger = require('../utils/logger');
+const { authenticate, requireRole, requireDataScope } = require('../middleware/auth');
+const { divisionDatabaseExists } = require('../utils/divisionDatabaseManager');
+const { getDivisionDataService, normalizeDivisionCode } = require('../database/DivisionDataService');
+const productPricingRoundingService = require('../database/ProductPricingRoundingService');
+const priceListService = require('../services/priceListService');
+const userService = require('../services/userService');
+const auditLog = require('../services/auditLogService');
+
+// Divisions whose database was found (a division's database is not dropped while the server runs)
+const knownDivisions = new Set(['FP']);
+
+const sendMasterDataError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error(fallbackMessage, { division: res.locals.divisionCode, error: error.message });
+  return res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+/**
+ * Resolve :division to a division code with a database; the service is left on req
+ */
+async function resolveDivision(req, res, next) {
+  let code;
+  try {
+    code = normalizeDivisionCode(req.params.division);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (!knownDivisions.has(code)) {
+    if (!(await divisionDatabaseExists(code))) {
+      return res.status(404).json({ success: false, error: `Division ${code} not found` });
+    }
+    knownDivisions.add(code);
+  }
+
+  res.locals.divisionCode = code;
+  req.divisionData = getDivisionDataService(code);
+  next();
+}
+
+const userName = async (req) => {
+  const user = await userService.getUserById(req.user.id);
+  return user.name || user.email;
+};
+
+// Sales data is only served within the caller's data scope (utils/dataScope)
+const divisionScoped = [authenticate, resolveDivision, requireDataScope()];
+
+// GET /test - Test master data connection
+router.get('/test', divisionScoped, async (req, res) => {
+  try {
+    const result = await req.divisionData.testMasterDataConnection();
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendMasterDataError(res, error, 'Master data connection test failed');
+  }
+});
+
+// GET /product-groups - Get all product groups (excluded categories left out)
+router.get('/product-groups', divisionScoped, async (req, res) => {
+  try {
+    const productGroups = await req.divisionData.getProductGroupsForMasterData();
+    res.json({ success: true, data: productGroups });
+  } catch (error) {
+    sendMasterDataError(res, error, 'Failed to fetch product groups');
+  }
+});
+
+// GET /product-pricing-years - Get years with Actual data
+router.get('/product-pricing-years', divisionScoped, async (req, res) => {
+  try {
+    const years = await req.divisionData.getProductGroupPricingYears();
+    res.json({ success: true, data: years });
+  } catch (error) {
+    sendMasterDataError(res, error, 'Failed to fetch pricing years');
+  }
+});
+
+// GET /product-pricing?year= - Get average ASP and MoRM per product group
+router.get('/product-pricing', divisionScoped, async (req, res) => {
+  try {
+    const pricing = await req.divisionData.getProductGroupPricingAverages(req.query.year);
+    res.json({ success: true, data: pricing });
+  } catch (error) {
+    sendMasterDataError(res, error, 'Failed to fetch product pricing');
+  }
+});
+
+// GET /product-pricing-rounded?year= - Get rounded pricing data
+router.get('/product-pricing-rounded', divisionScoped, async (req, res) => {
+  try {
+    const roundedPricing = await productPricingRoundingService.getRoundedPrices(res.locals.divisionCode, req.query.year);
+    res.json({ success: true, data: roundedPricing });
+  } catch (error) {
+    sendMasterDataError(res, error, 'Failed to fetch rounded pricing');
+  }
+});
+
+// POST /product-pricing-rounded - Save rounded pricing data: { year, roundedValues }
+router.post('/product-pricing-rounded', divisionScoped, async (req, res) => {
+  try {
+    const { year } = req.body;
+    const roundedValues = req.body.roundedValues || req.body.roundedData;
+
+    if (!year || !Array.isArray(roundedValues)) {
+      return res.status(400).json({ success: false, error: 'Year and rounded values are required' });
+    }
+
+    const before = await productPricingRoundingService.getRoundedPrices(res.locals.divisionCode, year);
+    await productPricingRoundingService.saveRoundedPrices(res.locals.divisionCode, year, roundedValues);
+    logger.info('Rounded pricing saved', { division: res.locals.divisionCode, year });
+    await auditLog.record(req, {
+      action: 'pricing-rounding.update',
+      entityType: 'master-data/product-pricing-rounded',
+      entityId: year,
+      division: res.locals.divisionCode,
+      before,
+      after: roundedValues
+    });
+
+    res.json({ success: true, message: 'Rounded pricing saved successfully' });
+  } catch (error) {
+    sendMasterDataError(res, error, 'Failed to save rounded pricing');
+  }
+});
+
+// GET /price-list?productGroup=&status= - Prices with their effective dates and approval state
+router.get('/price-list', divisionScoped, async (req, res) => {
+  try {
+    const { productGroup, status } = req.query;
+    const prices = await priceListService.listPrices(res.locals.divisionCode, { productGroup, status });
+    res.json({ success: true, data: prices });
+  } catch (error) {
+    sendMasterDataError(res, error, 'Failed to fetch price list');
+  }
+});
+
+// GET /price-list/history?productGroup=&priceId= - Price-change history, newest first
+router.get('/price-list/history', divisionScoped, async (req, res) => {
+  try {
+    const { productGroup, priceId } = req.query;
+    const history = await priceListService.getPriceHistory(res.locals.divisionCode, { productGroup, priceId });
+    res.json({ success: true, data: history });
+  } catch (error) {
+    sendMasterDataError(res, error, 'Failed to fetch price history');
+  }
+});
+
+// POST /price-list - Propose a price: { productGroup, customer, country, sellingPrice, morm, effectiveFrom, notes }
+router.post('/price-list', divisionScoped, async (req, res) => {
+  try {
+    const price = await priceListService.proposePrice(res.locals.divisionCode, req.body, await userName(req));
+    logger.info('Price proposed', { division: res.locals.divisionCode, productGroup: price.productGroup, id: price.id });
+    res.status(201).json({ success: true, data: price, message: 'Price proposed for approval' });
+  } catch (error) {
+    sendMasterDataError(res, error, 'Failed to propose price');
+  }
+});
+
+// PUT /price-list/:id - Change a price that is still proposed
+router.put('/price-list/:id', divisionScoped, async (req, res) => {
+  try {
+    const price = await priceListService.updateProposal(res.locals.divisionCode, req.params.id, req.body, await userName(req));
+    res.json({ success: true, data: price, message: 'Proposed price updated' });
+  } catch (error) {
+    sendMasterDataError(res, error, 'Failed to update proposed price');
+  }
+});
+
+// DELETE /price-list/:id - Withdraw a price that is still proposed
+router.delete('/price-list/:id', divisionScoped, async (req, res) => {
+  try {
+    const price = await priceListService.withdrawProposal(res.locals.divisionCode, req.params.id, await userName(req));
+    res.json({ success: true, data: price, message: 'Proposed price withdrawn' });
+  } catch (error) {
+    sendMasterDataError(res, error, 'Failed to withdraw proposed price');
+  }
+});
+
+// POST /price-list/:id/approve | /reject - Review a proposal (admin): { comments }
+router.post('/price-list/:id/:action(approve|reject)', divisionScoped, requireRole('admin'), async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    const price = await priceListService.reviewPrice(res.locals.divisionCode, id, action, await userName(req), req.body.comments);
+    logger.info(`Price ${action}d`, { division: res.locals.divisionCode, id });
+    res.json({ success: true, data: price, message: `Price ${action === 'approve' ? 'approved' : 'rejected'}` });
+  } catch (error) {
+    sendMasterDataError(res, error, 'Failed to review price');
+  }
+});
+
+// GET /material-percentages - Get material percentages
+router.get('/material-percentages', divisionScoped, async (req, res) => {
+  try {
+    const percentages = await req.divisionData.getMaterialPercentages();
+    res.json({ success: true, data: percentages });
+  } catch (error) {
+    sendMasterDataError(res, error, 'Failed to fetch material percentages');
+  }
+});
+
+// POST /material-percentages - Save one product group { productGroup, percentages, material, process }
+// or several: { percentages: [{ productGroup, percentages, material, process }] }
+router.post('/material-percentages', divisionScoped, async (req, res) => {
+  try {
+    const { productGroup, percentages, material, process } = req.body;
+
+    if (!percentages) {
+      return res.status(400).json({ success: false, error: 'Percentages are required' });
+    }
+
+    const before = productGroup
+      ? await req.divisionData.getMaterialPercentage(productGroup)
+      : await req.divisionData.getMaterialPercentages();
+    const data = productGroup
+      ? await req.divisionData.saveMaterialPercentage(productGroup, percentages, material, process)
+      : await req.divisionData.saveMaterialPercentages(percentages);
+    logger.info('Material percentages saved', { division: res.locals.divisionCode, productGroup });
+    await auditLog.record(req, {
+      action: 'material-percentages.update',
+      entityType: 'master-data/material-percentages',
+      entityId: productGroup || null,
+      division: res.locals.divisionCode,
+      before,
+      after: data
+    });
+
+    res.json({ success: true, data, message: 'Material percentages saved successfully' });
+  } catch (error) {
+    sendMasterDataError(res, error, 'Failed to save material percentages');
+  }
+});
+
+// DELETE /material-percentages/:productGroup - Remove a product group's percentages
+router.delete('/material-percentages/:productGroup', divisionScoped, async (req, res) => {
+  try {
+    const deleted = await req.divisionData.deleteMaterialPercentage(req.params.productGroup);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Product group not found' });
+    }
+    await auditLog.record(req, {
+      action: 'material-percentages.delete',
+      entityType: 'master-data/material-percentages',
+      entityId: req.params.productGroup,
+      division: res.locals.divisionCode,
+      before: deleted,
+      after: null
+    });
+    res.json({ success: true, data: deleted, message: 'Material percentages deleted' });
+  } catch (error) {
+    sendMasterDataError(res, error, 'Failed to delete material percentages');
+  }
+});
+
+// POST /initialize - Create the master data tables and a 0% row per product group
+router.post('/initialize', divisionScoped, async (req, res) => {
+  try {
+    const productGroups = await req.divisionData.initializeMasterDataTables();
+    logger.info('Master data tables initialized', { division: res.locals.divisionCode });
+
+    res.json({ success: true, data: productGroups, message: 'Master data tables initialized successfully' });
+  } catch (error) {
+    sendMasterDataError(res, error, 'Failed to initialize master data tables');
+  }
+});
+
+module.exports = router;
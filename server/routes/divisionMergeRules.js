@@ -2,6 +2,7 @@
  * Division-Level Customer Merge Rules API Routes
  *
  * Endpoints for managing AI-powered customer merge rules
+ * and the per-division scoring model learned from review feedback
  */
 
 const express = require('express');
@@ -10,6 +11,11 @@ const router = express.Router();
 const { pool } = require('../database/config');
 const { getDivisionPool } = require('../utils/divisionDatabaseManager');
 const CustomerMergingAI = require('../services/CustomerMergingAI');
+const jobService = require('../services/jobService');
+const mergeModelService = require('../services/mergeModelService');
+const mergeImpactService = require('../services/mergeImpactService');
+const auditLog = require('../services/auditLogService');
+const { authenticate, optionalAuthenticate, requireRole } = require('../middleware/auth');
 
 /**
  * Helper function to extract division code from full division name
@@ -46,11 +52,28 @@ function getTableNames(division) {
 // AI SUGGESTIONS ENDPOINTS
 // ========================================================================
 
+/**
+ * Background job: AI scan of a division's customers (result: { count, modelVersion })
+ * The suggestions are saved to the suggestions table as before. Scans score pairs
+ * with the division's active learned model, or the fixed weights if none is trained
+ */
+jobService.registerHandler('merge-scan', async ({ division, minConfidence, maxGroupSize }, context) => {
+  const model = await mergeModelService.getActiveModel(division);
+  const suggestions = await CustomerMergingAI.scanAndSuggestMerges(division, {
+    minConfidence,
+    maxGroupSize,
+    model,
+    onProgress: context.progress
+  });
+  return { count: suggestions.length, modelVersion: model ? model.version : null };
+}, { maxAttempts: 2 });
+
 /**
  * POST /api/division-merge-rules/scan
- * Run AI scan to find duplicate customers
+ * Queue an AI scan to find duplicate customers
+ * Returns 202 with the job; poll GET /api/jobs/:id for progress and the suggestion count
  */
-router.post('/scan', async (req, res) => {
+router.post('/scan', authenticate, async (req, res) => {
   try {
     const { division, minConfidence, maxGroupSize } = req.body;
 
@@ -61,17 +84,23 @@ router.post('/scan', async (req, res) => {
       });
     }
 
-    logger.info(`🤖 Running AI scan for division: ${division}`);
+    logger.info(`🤖 Queueing AI scan for division: ${division}`);
 
-    const suggestions = await CustomerMergingAI.scanAndSuggestMerges(division, {
-      minConfidence: minConfidence || 0.75,
-      maxGroupSize: maxGroupSize || 5
+    const job = await jobService.enqueue({
+      type: 'merge-scan',
+      division,
+      payload: {
+        division,
+        minConfidence: minConfidence || 0.75,
+        maxGroupSize: maxGroupSize || 5
+      },
+      user: req.user
     });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      data: suggestions,
-      count: suggestions.length
+      jobId: job.id,
+      job
     });
 
   } catch (error) {
@@ -242,6 +271,19 @@ router.post('/suggestions/:id/approve', async (req, res) => {
       await client.query('COMMIT');
 
       logger.info(`✅ Suggestion #${id} approved, created rule #${createdRuleId}`);
+      await auditLog.record(req, {
+        action: 'merge-rule.approve',
+        entityType: 'division-merge-rules',
+        entityId: createdRuleId,
+        division: suggestion.division || division,
+        before: suggestion,
+        after: {
+          ruleId: createdRuleId,
+          mergedCustomerName: suggestion.suggested_merge_name,
+          originalCustomers: JSON.parse(originalCustomersJson),
+          approvedBy: approvedBy || 'Admin'
+        }
+      });
 
       res.json({
         success: true,
@@ -468,6 +510,19 @@ router.post('/suggestions/:id/edit-approve', async (req, res) => {
     await client.query('COMMIT');
 
     logger.info(`✏️ Suggestion #${id} edited and approved, created rule #${createdRuleId}`);
+    await auditLog.record(req, {
+      action: 'merge-rule.edit-approve',
+      entityType: 'division-merge-rules',
+      entityId: createdRuleId,
+      division: suggestion.division || division,
+      before: suggestion,
+      after: {
+        ruleId: createdRuleId,
+        mergedCustomerName: mergedName,
+        originalCustomers,
+        approvedBy: approvedBy || 'Admin'
+      }
+    });
 
     res.json({
       success: true,
@@ -951,9 +1006,9 @@ router.put('/rules/:id', async (req, res) => {
 
 /**
  * DELETE /api/division-merge-rules/rules/:id
- * Delete a merge rule
+ * Delete a merge rule (recorded in the rule history; prefer POST /rules/:id/unmerge)
  */
-router.delete('/rules/:id', async (req, res) => {
+router.delete('/rules/:id', optionalAuthenticate, async (req, res) => {
   try {
     const { id } = req.params;
     const { division } = req.query;
@@ -968,11 +1023,20 @@ router.delete('/rules/:id', async (req, res) => {
     const divisionPool = getPoolForDivision(division);
     const tables = getTableNames(division);
 
-    await divisionPool.query(
-      `UPDATE ${tables.divisionMergeRules} SET is_active = false WHERE id = $1`,
+    const result = await divisionPool.query(
+      `UPDATE ${tables.divisionMergeRules} SET is_active = false WHERE id = $1
+       RETURNING id, merged_customer_name, original_customers`,
       [id]
     );
 
+    if (result.rows.length > 0) {
+      await mergeImpactService.recordHistory(division, {
+        rule: result.rows[0],
+        action: 'DELETE',
+        performedBy: req.user?.email || 'Admin'
+      });
+    }
+
     logger.info(`🗑️ Rule #${id} deleted`);
 
     res.json({
@@ -989,6 +1053,111 @@ router.delete('/rules/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/division-merge-rules/rules/preview
+ * Dry-run of a rule change: revenue, KGS and rank of the customers involved
+ * per sales rep and year (Actual and Budget), before and after. Nothing is saved.
+ * Body: { division, action: 'create'|'update'|'delete', ruleId?, mergedName?, originalCustomers?, year? }
+ */
+router.post('/rules/preview', async (req, res) => {
+  try {
+    const { division, action, ruleId, mergedName, originalCustomers, year } = req.body;
+
+    if (!division) {
+      return res.status(400).json({
+        success: false,
+        error: 'Division is required'
+      });
+    }
+
+    const impact = await mergeImpactService.previewImpact(
+      division,
+      { action, ruleId, mergedName, originalCustomers },
+      { year }
+    );
+
+    res.json({
+      success: true,
+      data: impact
+    });
+
+  } catch (error) {
+    if (!error.statusCode) logger.error('Error previewing merge impact:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/division-merge-rules/rules/:id/unmerge
+ * Undo a merge: the original customers show again everywhere
+ * Records who unmerged, why and the impact
+ * Body: { division, reason }
+ */
+router.post('/rules/:id/unmerge', authenticate, async (req, res) => {
+  try {
+    const { division, reason } = req.body;
+
+    if (!division) {
+      return res.status(400).json({
+        success: false,
+        error: 'Division is required'
+      });
+    }
+
+    const { rule, impact } = await mergeImpactService.unmergeRule(division, parseInt(req.params.id, 10), {
+      reason,
+      performedBy: req.user.email
+    });
+
+    res.json({
+      success: true,
+      message: `"${rule.merged_customer_name}" unmerged into ${impact.rule.originalCustomers.length} customers`,
+      data: impact
+    });
+
+  } catch (error) {
+    if (!error.statusCode) logger.error('Error unmerging rule:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/division-merge-rules/rules/history?division=FP&ruleId=12
+ * Unmerges and deletions with who, when and why
+ */
+router.get('/rules/history', async (req, res) => {
+  try {
+    const { division, ruleId } = req.query;
+
+    if (!division) {
+      return res.status(400).json({
+        success: false,
+        error: 'Division is required'
+      });
+    }
+
+    const history = await mergeImpactService.listHistory(division, { ruleId });
+
+    res.json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    logger.error('Error fetching rule history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ========================================================================
 // VALIDATION ENDPOINTS
 // ========================================================================
@@ -1090,6 +1259,146 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// ========================================================================
+// LEARNED MODEL ENDPOINTS
+// ========================================================================
+
+/**
+ * GET /api/division-merge-rules/model?division=FP
+ * Active learned weights (null = fixed weights), trained versions and the fixed weights
+ */
+router.get('/model', async (req, res) => {
+  try {
+    const { division } = req.query;
+
+    if (!division) {
+      return res.status(400).json({
+        success: false,
+        error: 'Division is required'
+      });
+    }
+
+    const versions = await mergeModelService.listModels(division);
+
+    res.json({
+      success: true,
+      data: {
+        active: versions.find(version => version.isActive) || null,
+        versions,
+        defaultWeights: CustomerMergingAI.config.weights,
+        minTrainingPairs: mergeModelService.MIN_TRAINING_PAIRS
+      }
+    });
+
+  } catch (error) {
+    if (!error.statusCode) logger.error('Error fetching merge model:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/division-merge-rules/model/evaluate?division=FP&threshold=0.35
+ * Precision / recall of the active model and of the fixed weights on held-out feedback
+ */
+router.get('/model/evaluate', async (req, res) => {
+  try {
+    const { division, threshold } = req.query;
+
+    if (!division) {
+      return res.status(400).json({
+        success: false,
+        error: 'Division is required'
+      });
+    }
+
+    const evaluation = await mergeModelService.evaluateModel(division, { threshold });
+
+    res.json({
+      success: true,
+      data: evaluation
+    });
+
+  } catch (error) {
+    if (!error.statusCode) logger.error('Error evaluating merge model:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/division-merge-rules/model/train
+ * Train new weights from approved / edited / rejected suggestions and activate them
+ * Body: { division, threshold? }
+ */
+router.post('/model/train', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { division, threshold } = req.body;
+
+    if (!division) {
+      return res.status(400).json({
+        success: false,
+        error: 'Division is required'
+      });
+    }
+
+    const model = await mergeModelService.trainModel(division, {
+      trainedBy: req.user.email,
+      threshold
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Model v${model.version} trained on ${model.trainingPairs} reviewed pairs and activated`,
+      data: model
+    });
+
+  } catch (error) {
+    if (!error.statusCode) logger.error('Error training merge model:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/division-merge-rules/model/rollback
+ * Re-activate the previous weight set (the fixed weights when rolling back the first version)
+ * Body: { division }
+ */
+router.post('/model/rollback', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { division } = req.body;
+
+    if (!division) {
+      return res.status(400).json({
+        success: false,
+        error: 'Division is required'
+      });
+    }
+
+    const model = await mergeModelService.rollbackModel(division, { rolledBackBy: req.user.email });
+
+    res.json({
+      success: true,
+      message: model ? `Rolled back to model v${model.version}` : 'Rolled back to the default weights',
+      data: model
+    });
+
+  } catch (error) {
+    if (!error.statusCode) logger.error('Error rolling back merge model:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ========================================================================
 // CUSTOMER LIST ENDPOINTS
 // ========================================================================
@@ -1,6 +1,10 @@
 /**
  * Excel File Routes
  * Handles Excel file downloads for divisions
+ *
+ * The dashboard P&L no longer reads these files - it is served from {div}_pl_data
+ * (routes/aebf/pl.js). The workbooks remain downloadable and can be loaded with
+ * scripts/import-pl-workbooks.js.
  * 
  * File naming convention: "financials -DIVISION.xlsx" (space before hyphen)
  * Examples: "financials -fp.xlsx", "financials -hc.xlsx"
@@ -5,31 +5,18 @@
 
 const express = require('express');
 const router = express.Router();
-const fs = require('fs');
-const path = require('path');
 const logger = require('../utils/logger');
+const { authenticate, requireDataScope } = require('../middleware/auth');
 const fpDataService = require('../database/FPDataService');
 const productPerformanceService = require('../database/ProductPerformanceService');
 const UniversalSalesByCountryService = require('../database/UniversalSalesByCountryService');
+const salesRepHierarchyService = require('../services/salesRepHierarchyService');
 
-const SALES_REP_CONFIG_PATH = path.join(__dirname, '..', 'data', 'sales-rep-config.json');
-
-// Helper functions
-function loadSalesRepConfig() {
-  try {
-    if (fs.existsSync(SALES_REP_CONFIG_PATH)) {
-      const data = fs.readFileSync(SALES_REP_CONFIG_PATH, 'utf8');
-      return JSON.parse(data);
-    }
-    return {};
-  } catch (error) {
-    logger.error('Error loading sales rep config', { error: error.message });
-    return {};
-  }
-}
+// Sales data is only served within the caller's data scope (utils/dataScope)
+const dataScoped = [authenticate, requireDataScope({ division: 'FP' })];
 
 // POST /yearly-budget - Get yearly budget total
-router.post('/yearly-budget', async (req, res) => {
+router.post('/yearly-budget', dataScoped, async (req, res) => {
   try {
     const { salesRep, year, valuesType } = req.body;
     
@@ -42,17 +29,8 @@ router.post('/yearly-budget', async (req, res) => {
     
     logger.info('Getting yearly budget', { salesRep, year, valuesType });
     
-    const config = loadSalesRepConfig();
-    const fpConfig = config.FP || { groups: {} };
-    
-    let yearlyBudgetTotal;
-    
-    if (fpConfig.groups && fpConfig.groups[salesRep]) {
-      const groupMembers = fpConfig.groups[salesRep];
-      yearlyBudgetTotal = await fpDataService.getYearlyBudget(salesRep, year, valuesType, groupMembers);
-    } else {
-      yearlyBudgetTotal = await fpDataService.getYearlyBudget(salesRep, year, valuesType);
-    }
+    const isGroup = await salesRepHierarchyService.isGroup('FP', salesRep);
+    const yearlyBudgetTotal = await fpDataService.getYearlyBudget(salesRep, year, valuesType, isGroup);
     
     logger.info('Yearly budget retrieved', { total: yearlyBudgetTotal });
     
@@ -68,7 +46,7 @@ router.post('/yearly-budget', async (req, res) => {
 });
 
 // POST /sales-by-country - Get sales by country
-router.post('/sales-by-country', async (req, res) => {
+router.post('/sales-by-country', dataScoped, async (req, res) => {
   try {
     const { salesRep, year, months, dataType = 'Actual' } = req.body;
     
@@ -81,17 +59,8 @@ router.post('/sales-by-country', async (req, res) => {
     
     logger.info('Getting sales by country', { salesRep, year, months, dataType });
     
-    const config = loadSalesRepConfig();
-    const fpConfig = config.FP || { groups: {} };
-    
-    let countrySalesData;
-    
-    if (fpConfig.groups && fpConfig.groups[salesRep]) {
-      const groupMembers = fpConfig.groups[salesRep];
-      countrySalesData = await fpDataService.getSalesByCountry(salesRep, year, months, dataType, groupMembers);
-    } else {
-      countrySalesData = await fpDataService.getSalesByCountry(salesRep, year, months, dataType);
-    }
+    const isGroup = await salesRepHierarchyService.isGroup('FP', salesRep);
+    const countrySalesData = await fpDataService.getSalesByCountry(salesRep, year, months, dataType, isGroup);
     
     logger.info('Sales by country retrieved', { countries: countrySalesData.length });
     
@@ -107,7 +76,7 @@ router.post('/sales-by-country', async (req, res) => {
 });
 
 // GET /countries - Get countries from database
-router.get('/countries', async (req, res) => {
+router.get('/countries', dataScoped, async (req, res) => {
   try {
     logger.info('Getting countries from database');
     
@@ -127,7 +96,7 @@ router.get('/countries', async (req, res) => {
 });
 
 // GET /countries-by-sales-rep - Get countries by sales rep
-router.get('/countries-by-sales-rep', async (req, res) => {
+router.get('/countries-by-sales-rep', dataScoped, async (req, res) => {
   try {
     const { salesRep } = req.query;
     
@@ -140,13 +109,10 @@ router.get('/countries-by-sales-rep', async (req, res) => {
     
     logger.info('Getting countries by sales rep', { salesRep });
     
-    const config = loadSalesRepConfig();
-    const fpConfig = config.FP || { groups: {} };
-    
     let countries;
     
-    if (fpConfig.groups && fpConfig.groups[salesRep]) {
-      const groupMembers = fpConfig.groups[salesRep];
+    if (await salesRepHierarchyService.isGroup('FP', salesRep)) {
+      const groupMembers = await salesRepHierarchyService.getGroupMembers('FP', salesRep);
       countries = await fpDataService.getCountriesBySalesRep(salesRep, groupMembers);
     } else {
       countries = await fpDataService.getCountriesBySalesRep(salesRep);
@@ -166,7 +132,7 @@ router.get('/countries-by-sales-rep', async (req, res) => {
 });
 
 // POST /product-performance - Get comprehensive product performance data
-router.post('/product-performance', async (req, res) => {
+router.post('/product-performance', dataScoped, async (req, res) => {
   try {
     const { currentPeriod, comparisonPeriod } = req.body;
     
@@ -219,7 +185,7 @@ router.post('/product-performance', async (req, res) => {
 });
 
 // GET /all-customers - Get all customers for division
-router.get('/all-customers', async (req, res) => {
+router.get('/all-customers', dataScoped, async (req, res) => {
   try {
     const { division } = req.query;
     
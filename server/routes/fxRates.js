@@ -0,0 +1,95 @@
+/**
+ * FX Rate Routes
+ * Exchange rates maintained from Settings and used for report currency conversion
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const userService = require('../services/userService');
+const fxRateService = require('../services/fxRateService');
+
+const sendFxError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error(fallbackMessage, error);
+  return res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+/**
+ * GET /api/fx-rates
+ * List rates (optional ?currency=USD&year=2025)
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const [baseCurrency, rates] = await Promise.all([
+      fxRateService.getBaseCurrency(),
+      fxRateService.listRates({ currency: req.query.currency, year: req.query.year })
+    ]);
+
+    res.json({ success: true, baseCurrency, rates });
+  } catch (error) {
+    sendFxError(res, error, 'Failed to load exchange rates');
+  }
+});
+
+/**
+ * GET /api/fx-rates/currencies
+ * Company currency and the currencies reports can be converted into
+ */
+router.get('/currencies', authenticate, async (req, res) => {
+  try {
+    const [baseCurrency, currencies] = await Promise.all([
+      fxRateService.getBaseCurrency(),
+      fxRateService.listCurrencies()
+    ]);
+
+    res.json({ success: true, baseCurrency, currencies });
+  } catch (error) {
+    sendFxError(res, error, 'Failed to load currencies');
+  }
+});
+
+/**
+ * GET /api/fx-rates/conversion?currency=USD&rateType=average
+ * Period factors for converting company currency amounts on the client
+ */
+router.get('/conversion', authenticate, async (req, res) => {
+  try {
+    const conversion = await fxRateService.getConversion(req.query.currency, req.query.rateType || 'average');
+    res.json({ success: true, conversion });
+  } catch (error) {
+    sendFxError(res, error, 'Failed to load conversion');
+  }
+});
+
+/**
+ * PUT /api/fx-rates
+ * Insert or update rates: { rates: [{ currencyCode, year, month, averageRate, closingRate }] }
+ */
+router.put('/', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await userService.getUserById(req.user.id);
+    const saved = await fxRateService.saveRates(req.body.rates, user.name || user.email);
+
+    res.json({ success: true, saved, message: `${saved} exchange rate(s) saved` });
+  } catch (error) {
+    sendFxError(res, error, 'Failed to save exchange rates');
+  }
+});
+
+/**
+ * DELETE /api/fx-rates/:id
+ */
+router.delete('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    await fxRateService.deleteRate(parseInt(req.params.id, 10));
+    res.json({ success: true, message: 'Exchange rate deleted' });
+  } catch (error) {
+    sendFxError(res, error, 'Failed to delete exchange rate');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+/**
+ * Background Job Routes
+ * Status, progress, results and cancellation of queued work (see services/jobService)
+ * Users see the jobs they started; administrators see every job, including jobs without an owner
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const jobService = require('../services/jobService');
+
+const sendJobError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error(fallbackMessage, error);
+  return res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+/**
+ * Load a job the caller may see (their own; admins any job)
+ */
+const getVisibleJob = async (req) => {
+  const job = await jobService.getJob(parseInt(req.params.id, 10));
+  if (req.user.role !== 'admin' && job.created_by_id !== req.user.id) {
+    const error = new Error('Job not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return job;
+};
+
+/**
+ * GET /api/jobs
+ * Recent jobs (optional ?type=merge-scan&status=running&limit=50, admins: &all=true)
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const allUsers = req.user.role === 'admin' && req.query.all === 'true';
+    const jobs = await jobService.listJobs({
+      createdById: allUsers ? null : req.user.id,
+      type: req.query.type,
+      status: req.query.status,
+      limit: req.query.limit
+    });
+
+    res.json({ success: true, jobs });
+  } catch (error) {
+    sendJobError(res, error, 'Failed to load jobs');
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Status, progress and result of a job
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const job = await getVisibleJob(req);
+    res.json({ success: true, job });
+  } catch (error) {
+    sendJobError(res, error, 'Failed to load job');
+  }
+});
+
+/**
+ * GET /api/jobs/:id/download
+ * File produced by a job (e.g. an HTML export)
+ */
+router.get('/:id/download', authenticate, async (req, res) => {
+  try {
+    const job = await getVisibleJob(req);
+    const file = await jobService.getResultFile(job.id);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.name}"`);
+    res.send(file.content);
+  } catch (error) {
+    sendJobError(res, error, 'Failed to download job result');
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued job, or stop a running one at its next progress report
+ */
+router.post('/:id/cancel', authenticate, async (req, res) => {
+  try {
+    const job = await getVisibleJob(req);
+    const cancelled = await jobService.cancelJob(job.id);
+
+    res.json({
+      success: true,
+      job: cancelled,
+      message: cancelled.status === 'cancelled' ? 'Job cancelled' : 'Job will stop shortly'
+    });
+  } catch (error) {
+    sendJobError(res, error, 'Failed to cancel job');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+/**
+ * Notification Routes
+ * The signed-in user's in-app notifications
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+
+const sendNotificationError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error(fallbackMessage, error);
+  return res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+router.use(authenticate);
+
+/**
+ * GET /api/notifications?unread=true&limit=50
+ * Newest first, with the unread count
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { notifications, unreadCount } = await notificationService.listNotifications(req.user.id, {
+      unreadOnly: req.query.unread === 'true',
+      limit: req.query.limit
+    });
+    res.json({ success: true, notifications, unreadCount });
+  } catch (error) {
+    sendNotificationError(res, error, 'Failed to load notifications');
+  }
+});
+
+/**
+ * POST /api/notifications/read-all
+ */
+router.post('/read-all', async (req, res) => {
+  try {
+    const marked = await notificationService.markRead(req.user.id);
+    res.json({ success: true, marked });
+  } catch (error) {
+    sendNotificationError(res, error, 'Failed to mark notifications as read');
+  }
+});
+
+/**
+ * POST /api/notifications/:id/read
+ */
+router.post('/:id/read', async (req, res) => {
+  try {
+    await notificationService.markRead(req.user.id, parseInt(req.params.id, 10));
+    res.json({ success: true });
+  } catch (error) {
+    sendNotificationError(res, error, 'Failed to mark notification as read');
+  }
+});
+
+/**
+ * DELETE /api/notifications/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await notificationService.deleteNotification(req.user.id, parseInt(req.params.id, 10));
+    res.json({ success: true });
+  } catch (error) {
+    sendNotificationError(res, error, 'Failed to delete notification');
+  }
+});
+
+module.exports = router;
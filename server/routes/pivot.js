@@ -0,0 +1,44 @@
+/**
+ * Pivot Routes
+ * Generic dimensional queries over a division's sales data (services/pivotQueryService),
+ * so new reports do not need a route of their own
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const router = express.Router();
+const { authenticate, requireDataScope } = require('../middleware/auth');
+const { reportCurrency } = require('../middleware/reportCurrency');
+const pivotQueryService = require('../services/pivotQueryService');
+
+const sendPivotError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error(fallbackMessage, error);
+  return res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+/**
+ * GET /api/pivot/options
+ * Dimensions, measures and period types a pivot query can use
+ */
+router.get('/options', authenticate, (req, res) => {
+  res.json({ success: true, data: pivotQueryService.getOptions() });
+});
+
+/**
+ * POST /api/pivot
+ * Body: { division, dimensions, measures, filters, columns, sort, limit, mergeCustomers }
+ * Served within the caller's data scope and in the requested report currency
+ */
+router.post('/', authenticate, requireDataScope(), reportCurrency, async (req, res) => {
+  try {
+    const result = await pivotQueryService.runPivot(req.body);
+    res.json({ success: true, data: { ...result, currency: req.reportCurrency || null } });
+  } catch (error) {
+    sendPivotError(res, error, 'Failed to run pivot query');
+  }
+});
+
+module.exports = router;
@@ -6,10 +6,14 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
+const { authenticate, requireDataScope } = require('../middleware/auth');
 const ProductGroupDataService = require('../database/ProductGroupDataService');
 
+// Sales data is only served within the caller's data scope (utils/dataScope)
+const dataScoped = [authenticate, requireDataScope({ division: 'FP' })];
+
 // GET /fp - Get product group data for FP division
-router.get('/fp', async (req, res) => {
+router.get('/fp', dataScoped, async (req, res) => {
   try {
     const { year, months, type } = req.query;
     
@@ -69,7 +73,7 @@ router.get('/fp', async (req, res) => {
 });
 
 // GET /fp/list - Get all product groups for FP division
-router.get('/fp/list', async (req, res) => {
+router.get('/fp/list', dataScoped, async (req, res) => {
   try {
     const productGroups = await ProductGroupDataService.getAllProductGroups();
     const materials = await ProductGroupDataService.getAllMaterials();
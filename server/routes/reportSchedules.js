@@ -0,0 +1,139 @@
+/**
+ * Report Schedule Routes
+ * Recurring email delivery of reports, maintained by admins from Settings
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const userService = require('../services/userService');
+const emailService = require('../services/emailService');
+const reportRenderService = require('../services/reportRenderService');
+const reportScheduleService = require('../services/reportScheduleService');
+
+const sendScheduleError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error(fallbackMessage, error);
+  return res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+const getUserName = async (req) => {
+  const user = await userService.getUserById(req.user.id);
+  return user.name || user.email;
+};
+
+router.use(authenticate, requireRole('admin'));
+
+/**
+ * GET /api/report-schedules
+ * All schedules, and whether outgoing mail is configured
+ */
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await reportScheduleService.listSchedules();
+    res.json({ success: true, schedules, smtpConfigured: emailService.isConfigured() });
+  } catch (error) {
+    sendScheduleError(res, error, 'Failed to load report schedules');
+  }
+});
+
+/**
+ * GET /api/report-schedules/options
+ * Report types, periods, formats and frequencies for the schedule form
+ */
+router.get('/options', (req, res) => {
+  res.json({
+    success: true,
+    reportTypes: Object.entries(reportRenderService.REPORT_TYPES).map(([value, type]) => ({ value, label: type.label })),
+    periods: Object.entries(reportScheduleService.PERIODS).map(([value, label]) => ({ value, label })),
+    formats: reportRenderService.FORMATS,
+    frequencies: reportScheduleService.FREQUENCIES
+  });
+});
+
+/**
+ * POST /api/report-schedules
+ * Create a schedule
+ */
+router.post('/', async (req, res) => {
+  try {
+    const schedule = await reportScheduleService.createSchedule(req.body, await getUserName(req));
+    res.status(201).json({ success: true, schedule, message: `Schedule "${schedule.name}" created` });
+  } catch (error) {
+    sendScheduleError(res, error, 'Failed to create report schedule');
+  }
+});
+
+/**
+ * PUT /api/report-schedules/:id
+ * Replace a schedule's settings (next run is recomputed)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const schedule = await reportScheduleService.updateSchedule(parseInt(req.params.id, 10), req.body, await getUserName(req));
+    res.json({ success: true, schedule, message: `Schedule "${schedule.name}" saved` });
+  } catch (error) {
+    sendScheduleError(res, error, 'Failed to save report schedule');
+  }
+});
+
+/**
+ * DELETE /api/report-schedules/:id
+ * Delete a schedule and its run history
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const schedule = await reportScheduleService.deleteSchedule(parseInt(req.params.id, 10), await getUserName(req));
+    res.json({ success: true, message: `Schedule "${schedule.name}" deleted` });
+  } catch (error) {
+    sendScheduleError(res, error, 'Failed to delete report schedule');
+  }
+});
+
+/**
+ * POST /api/report-schedules/:id/run
+ * Render and send now (the run is recorded; failures are returned as the run status)
+ */
+router.post('/:id/run', async (req, res) => {
+  try {
+    const run = await reportScheduleService.runNow(parseInt(req.params.id, 10), await getUserName(req));
+    res.json({
+      success: true,
+      run,
+      message: run.status === 'success' ? `Report sent (${run.period_label})` : `Report ${run.status}: ${run.error}`
+    });
+  } catch (error) {
+    sendScheduleError(res, error, 'Failed to run report schedule');
+  }
+});
+
+/**
+ * GET /api/report-schedules/:id/runs?limit=50
+ * Run history, newest first
+ */
+router.get('/:id/runs', async (req, res) => {
+  try {
+    const runs = await reportScheduleService.listRuns(parseInt(req.params.id, 10), req.query.limit);
+    res.json({ success: true, runs });
+  } catch (error) {
+    sendScheduleError(res, error, 'Failed to load run history');
+  }
+});
+
+/**
+ * GET /api/report-schedules/:id/preview
+ * The report as it would be sent now (HTML)
+ */
+router.get('/:id/preview', async (req, res) => {
+  try {
+    const html = await reportScheduleService.previewSchedule(parseInt(req.params.id, 10));
+    res.type('html').send(html);
+  } catch (error) {
+    sendScheduleError(res, error, 'Failed to render report preview');
+  }
+});
+
+module.exports = router;
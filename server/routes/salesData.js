@@ -8,40 +8,18 @@ const router = express.Router();
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const { authenticate, requireDataScope } = require('../middleware/auth');
+const { reportCurrency } = require('../middleware/reportCurrency');
 const fpDataService = require('../database/FPDataService');
 const hcDataService = require('../database/HCDataService');
 const UniversalSalesByCountryService = require('../database/UniversalSalesByCountryService');
+const salesRepHierarchyService = require('../services/salesRepHierarchyService');
 
-const SALES_REP_CONFIG_PATH = path.join(__dirname, '..', 'data', 'sales-rep-config.json');
-
-// Helper functions for sales rep groups
-function loadSalesRepConfig() {
-  try {
-    if (fs.existsSync(SALES_REP_CONFIG_PATH)) {
-      const data = fs.readFileSync(SALES_REP_CONFIG_PATH, 'utf8');
-      return JSON.parse(data);
-    }
-    return {};
-  } catch (error) {
-    logger.error('Error loading sales rep config', { error: error.message });
-    return {};
-  }
-}
-
-function isSalesRepGroup(division, salesRepName) {
-  const config = loadSalesRepConfig();
-  const divisionConfig = config[division];
-  return divisionConfig && divisionConfig.groups && divisionConfig.groups[salesRepName] !== undefined;
-}
-
-function getGroupMembers(division, groupName) {
-  const config = loadSalesRepConfig();
-  const divisionConfig = config[division];
-  return divisionConfig?.groups?.[groupName] || [];
-}
+// Sales data is only served within the caller's data scope (utils/dataScope)
+const dataScoped = [authenticate, requireDataScope()];
 
 // GET /sales-data - Legacy endpoint for Sales.xlsx reference
-router.get('/sales-data', (req, res) => {
+router.get('/sales-data', dataScoped, reportCurrency, (req, res) => {
   try {
     const XLSX = require('xlsx');
     const salesFilePath = path.join(__dirname, '..', 'data', 'Sales.xlsx');
@@ -84,7 +62,7 @@ router.get('/sales-data', (req, res) => {
 });
 
 // GET /fp/sales-data - Get sales data for FP division (legacy endpoint)
-router.get('/fp/sales-data', async (req, res) => {
+router.get('/fp/sales-data', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { salesRep, productGroup, valueType, year, month, dataType = 'actual' } = req.query;
     
@@ -95,23 +73,14 @@ router.get('/fp/sales-data', async (req, res) => {
       });
     }
     
-    const config = loadSalesRepConfig();
-    const fpConfig = config.FP || { groups: {} };
-    
     let salesData;
     
-    if (fpConfig.groups && fpConfig.groups[salesRep]) {
-      // Group data
-      const groupMembers = fpConfig.groups[salesRep];
-      
+    if (await salesRepHierarchyService.isGroup('FP', salesRep)) {
+      // Group data (members as of the requested month)
       if (valueType) {
-        salesData = 0;
-        for (const member of groupMembers) {
-          const memberData = await fpDataService.getSalesDataByValueType(member, productGroup, valueType, year, month, dataType);
-          salesData += memberData;
-        }
+        salesData = await fpDataService.getSalesDataForGroup(salesRep, productGroup, valueType, year, month, dataType);
       } else {
-        salesData = await fpDataService.getSalesDataForGroup(groupMembers, productGroup, dataType, year, month);
+        salesData = await fpDataService.getSalesDataForGroup(salesRep, productGroup, dataType, year, month);
       }
     } else {
       // Individual sales rep data
@@ -130,7 +99,7 @@ router.get('/fp/sales-data', async (req, res) => {
 });
 
 // GET /fp/sales-reps-from-db - Get sales reps from database
-router.get('/fp/sales-reps-from-db', async (req, res) => {
+router.get('/fp/sales-reps-from-db', dataScoped, reportCurrency, async (req, res) => {
   try {
     logger.info('Getting sales reps from fp_data table');
     
@@ -160,7 +129,7 @@ router.get('/fp/sales-reps-from-db', async (req, res) => {
 });
 
 // POST /sales-rep-dashboard-universal - Universal sales rep dashboard
-router.post('/sales-rep-dashboard-universal', async (req, res) => {
+router.post('/sales-rep-dashboard-universal', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division, salesRep, valueTypes = ['KGS', 'Amount'], periods = [] } = req.body;
     
@@ -173,11 +142,12 @@ router.post('/sales-rep-dashboard-universal', async (req, res) => {
     
     logger.info('Getting dashboard data', { division, salesRep, valueTypes, periods: periods.length });
     
-    const isGroup = isSalesRepGroup(division, salesRep);
+    const isGroup = await salesRepHierarchyService.isGroup(division, salesRep);
     let productGroups;
     
     if (isGroup) {
-      const groupMembers = getGroupMembers(division, salesRep);
+      // Everyone who was ever in the group; each month's figures use that month's members
+      const groupMembers = await salesRepHierarchyService.getGroupMembers(division, salesRep);
       const allProductGroups = new Set();
       
       for (const member of groupMembers) {
@@ -207,21 +177,12 @@ router.post('/sales-rep-dashboard-universal', async (req, res) => {
           
           let salesData;
           if (isGroup) {
-            const groupMembers = getGroupMembers(division, salesRep);
-            salesData = 0;
-            for (const member of groupMembers) {
-              let memberData;
-              switch(division.toUpperCase()) {
-                case 'FP':
-                  memberData = await fpDataService.getSalesDataByValueType(member, productGroup, valueType, year, month, type);
-                  break;
-                case 'HC':
-                  memberData = await hcDataService.getSalesDataByValueType(member, productGroup, valueType, year, month, type);
-                  break;
-                default:
-                  memberData = await fpDataService.getSalesDataByValueType(member, productGroup, valueType, year, month, type);
-              }
-              salesData += memberData;
+            switch(division.toUpperCase()) {
+              case 'HC':
+                salesData = await hcDataService.getSalesDataForGroup(salesRep, productGroup, valueType, year, month, type);
+                break;
+              default:
+                salesData = await fpDataService.getSalesDataForGroup(salesRep, productGroup, valueType, year, month, type);
             }
           } else {
             switch(division.toUpperCase()) {
@@ -260,7 +221,7 @@ router.post('/sales-rep-dashboard-universal', async (req, res) => {
 });
 
 // POST /fp/sales-rep-dashboard - Legacy FP dashboard (backward compatibility)
-router.post('/fp/sales-rep-dashboard', async (req, res) => {
+router.post('/fp/sales-rep-dashboard', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { salesRep, valueTypes = ['KGS', 'Amount'], periods = [] } = req.body;
     
@@ -271,13 +232,11 @@ router.post('/fp/sales-rep-dashboard', async (req, res) => {
       });
     }
     
-    const config = loadSalesRepConfig();
-    const fpConfig = config.FP || { groups: {} };
-    
+    const isGroup = await salesRepHierarchyService.isGroup('FP', salesRep);
     let productGroups;
     
-    if (fpConfig.groups && fpConfig.groups[salesRep]) {
-      const groupMembers = fpConfig.groups[salesRep];
+    if (isGroup) {
+      const groupMembers = await salesRepHierarchyService.getGroupMembers('FP', salesRep);
       const allProductGroups = new Set();
       
       for (const member of groupMembers) {
@@ -305,9 +264,8 @@ router.post('/fp/sales-rep-dashboard', async (req, res) => {
           const { year, month, type = 'Actual' } = period;
           
           let salesData;
-          if (fpConfig.groups && fpConfig.groups[salesRep]) {
-            const groupMembers = fpConfig.groups[salesRep];
-            salesData = await fpDataService.getSalesDataForGroup(groupMembers, productGroup, valueType, year, month, type);
+          if (isGroup) {
+            salesData = await fpDataService.getSalesDataForGroup(salesRep, productGroup, valueType, year, month, type);
           } else {
             salesData = await fpDataService.getSalesDataByValueType(salesRep, productGroup, valueType, year, month, type);
           }
@@ -323,7 +281,7 @@ router.post('/fp/sales-rep-dashboard', async (req, res) => {
         salesRep,
         productGroups,
         dashboardData,
-        isGroup: !!(fpConfig.groups && fpConfig.groups[salesRep])
+        isGroup
       }
     });
     
@@ -334,7 +292,7 @@ router.post('/fp/sales-rep-dashboard', async (req, res) => {
 });
 
 // POST /fp/customer-dashboard - Legacy FP customer dashboard
-router.post('/fp/customer-dashboard', async (req, res) => {
+router.post('/fp/customer-dashboard', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { salesRep, periods = [] } = req.body;
     
@@ -345,13 +303,11 @@ router.post('/fp/customer-dashboard', async (req, res) => {
       });
     }
     
-    const config = loadSalesRepConfig();
-    const fpConfig = config.FP || { groups: {} };
-    
+    const isGroup = await salesRepHierarchyService.isGroup('FP', salesRep);
     let customers;
     
-    if (fpConfig.groups && fpConfig.groups[salesRep]) {
-      const groupMembers = fpConfig.groups[salesRep];
+    if (isGroup) {
+      const groupMembers = await salesRepHierarchyService.getGroupMembers('FP', salesRep);
       customers = await fpDataService.getCustomersForGroup(groupMembers);
     } else {
       customers = await fpDataService.getCustomersBySalesRep(salesRep);
@@ -366,9 +322,8 @@ router.post('/fp/customer-dashboard', async (req, res) => {
         const { year, month, type = 'Actual' } = period;
         
         let salesData;
-        if (fpConfig.groups && fpConfig.groups[salesRep]) {
-          const groupMembers = fpConfig.groups[salesRep];
-          salesData = await fpDataService.getCustomerSalesDataForGroup(groupMembers, customer, 'KGS', year, month, type);
+        if (isGroup) {
+          salesData = await fpDataService.getCustomerSalesDataForGroup(salesRep, customer, 'KGS', year, month, type);
         } else {
           salesData = await fpDataService.getCustomerSalesDataByValueType(salesRep, customer, 'KGS', year, month, type);
         }
@@ -383,7 +338,7 @@ router.post('/fp/customer-dashboard', async (req, res) => {
         salesRep,
         customers,
         dashboardData,
-        isGroup: !!(fpConfig.groups && fpConfig.groups[salesRep])
+        isGroup
       }
     });
     
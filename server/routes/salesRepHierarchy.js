@@ -0,0 +1,121 @@
+/**
+ * Sales Rep Hierarchy Routes
+ * Effective-dated rep → group → manager → region assignments per division
+ * (group aggregations resolve membership as of each transaction month)
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const userService = require('../services/userService');
+const salesRepHierarchyService = require('../services/salesRepHierarchyService');
+
+const sendHierarchyError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error(fallbackMessage, error);
+  return res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+const getUserName = async (req) => {
+  const user = await userService.getUserById(req.user.id);
+  return user?.name || user?.email || 'Unknown';
+};
+
+const requireDivision = (division) => {
+  if (!division) {
+    const error = new Error('Division is required');
+    error.statusCode = 400;
+    throw error;
+  }
+  return String(division).toUpperCase();
+};
+
+/**
+ * GET /api/sales-rep-hierarchy?division=FP
+ * Assignments of a division (optional &asOf=YYYY-MM-DD, &salesRep=, &groupName=)
+ * plus the group → members map as of asOf (default today)
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const division = requireDivision(req.query.division);
+    const { asOf, salesRep, groupName } = req.query;
+    const [assignments, groups] = await Promise.all([
+      salesRepHierarchyService.listAssignments(division, { asOf, salesRep, groupName }),
+      salesRepHierarchyService.getGroups(division, { asOf })
+    ]);
+
+    res.json({ success: true, assignments, groups });
+  } catch (error) {
+    sendHierarchyError(res, error, 'Failed to load the sales rep hierarchy');
+  }
+});
+
+/**
+ * POST /api/sales-rep-hierarchy
+ * Add an assignment: { division, salesRep, groupName, manager, region, validFrom, validTo }
+ */
+router.post('/', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const division = requireDivision(req.body.division);
+    const assignment = await salesRepHierarchyService.createAssignment(division, req.body, await getUserName(req));
+
+    res.status(201).json({ success: true, assignment, message: 'Assignment added' });
+  } catch (error) {
+    sendHierarchyError(res, error, 'Failed to add the assignment');
+  }
+});
+
+/**
+ * POST /api/sales-rep-hierarchy/move
+ * Move a rep to a group from a date: { division, salesRep, groupName, manager, region, validFrom }
+ * The rep's current assignment ends the day before, so earlier months keep their group
+ */
+router.post('/move', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const division = requireDivision(req.body.division);
+    const assignment = await salesRepHierarchyService.moveSalesRep(division, req.body, await getUserName(req));
+
+    res.json({ success: true, assignment, message: `${assignment.sales_rep} is in ${assignment.group_name} from ${assignment.valid_from || 'the beginning'}` });
+  } catch (error) {
+    sendHierarchyError(res, error, 'Failed to move the sales rep');
+  }
+});
+
+/**
+ * PUT /api/sales-rep-hierarchy/:id
+ * Correct an assignment: { division, salesRep, groupName, manager, region, validFrom, validTo }
+ */
+router.put('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const division = requireDivision(req.body.division);
+    const assignment = await salesRepHierarchyService.updateAssignment(
+      division,
+      parseInt(req.params.id, 10),
+      req.body,
+      await getUserName(req)
+    );
+
+    res.json({ success: true, assignment, message: 'Assignment updated' });
+  } catch (error) {
+    sendHierarchyError(res, error, 'Failed to update the assignment');
+  }
+});
+
+/**
+ * DELETE /api/sales-rep-hierarchy/:id?division=FP
+ */
+router.delete('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const division = requireDivision(req.query.division);
+    await salesRepHierarchyService.deleteAssignment(division, parseInt(req.params.id, 10));
+
+    res.json({ success: true, message: 'Assignment deleted' });
+  } catch (error) {
+    sendHierarchyError(res, error, 'Failed to delete the assignment');
+  }
+});
+
+module.exports = router;
@@ -6,10 +6,14 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
+const { authenticate, requireDataScope } = require('../middleware/auth');
 const { pool } = require('../database/config');
 
+// Sales data is only served within the caller's data scope (utils/dataScope)
+const dataScoped = [authenticate, requireDataScope()];
+
 // GET /defaults - Get sales rep defaults
-router.get('/defaults', async (req, res) => {
+router.get('/defaults', dataScoped, async (req, res) => {
   try {
     const result = await pool.query('SELECT * FROM sales_rep_defaults ORDER BY salesrepname');
     res.json({ success: true, data: result.rows });
@@ -20,7 +24,7 @@ router.get('/defaults', async (req, res) => {
 });
 
 // POST /defaults - Save sales rep defaults
-router.post('/defaults', async (req, res) => {
+router.post('/defaults', dataScoped, async (req, res) => {
   try {
     const { salesrepname, default_customer, default_country } = req.body;
     
@@ -42,7 +46,7 @@ router.post('/defaults', async (req, res) => {
 });
 
 // POST /groups - Create sales rep group
-router.post('/groups', async (req, res) => {
+router.post('/groups', dataScoped, async (req, res) => {
   try {
     const { division, group_name, members } = req.body;
     
@@ -62,7 +66,7 @@ router.post('/groups', async (req, res) => {
 });
 
 // DELETE /groups - Delete sales rep group
-router.delete('/groups', async (req, res) => {
+router.delete('/groups', dataScoped, async (req, res) => {
   try {
     const { division, group_name } = req.body;
     
@@ -80,7 +84,7 @@ router.delete('/groups', async (req, res) => {
 });
 
 // GET /groups-universal - Get universal sales rep groups
-router.get('/groups-universal', async (req, res) => {
+router.get('/groups-universal', dataScoped, async (req, res) => {
   try {
     const result = await pool.query('SELECT * FROM sales_rep_groups ORDER BY division, group_name');
     res.json({ success: true, data: result.rows });
@@ -91,7 +95,7 @@ router.get('/groups-universal', async (req, res) => {
 });
 
 // POST /groups-universal - Create universal sales rep group
-router.post('/groups-universal', async (req, res) => {
+router.post('/groups-universal', dataScoped, async (req, res) => {
   try {
     const { division, group_name, members } = req.body;
     
@@ -113,7 +117,7 @@ router.post('/groups-universal', async (req, res) => {
 });
 
 // DELETE /groups-universal - Delete universal sales rep group
-router.delete('/groups-universal', async (req, res) => {
+router.delete('/groups-universal', dataScoped, async (req, res) => {
   try {
     const { division, group_name } = req.body;
     
@@ -131,7 +135,7 @@ router.delete('/groups-universal', async (req, res) => {
 });
 
 // POST /complete-data - Get complete sales rep data
-router.post('/complete-data', async (req, res) => {
+router.post('/complete-data', dataScoped, async (req, res) => {
   try {
     const { division, salesRep, filters } = req.body;
     
@@ -6,6 +6,7 @@ const path = require('path');
 const fs = require('fs').promises;
 const { authenticate, requireRole } = require('../middleware/auth');
 const { authPool, pool } = require('../database/config');
+const auditLog = require('../services/auditLogService');
 const { 
   createDivisionDatabase, 
   deleteDivisionDatabase, 
@@ -93,6 +94,12 @@ router.get('/company', async (req, res) => {
 router.post('/company', authenticate, requireRole('admin'), upload.single('logo'), async (req, res) => {
   try {
     const { companyName, currency } = req.body;
+
+    const previousResult = await authPool.query(
+      `SELECT setting_key, setting_value FROM company_settings
+       WHERE setting_key IN ('company_name', 'company_currency', 'company_logo_url')`
+    );
+    const previousSettings = Object.fromEntries(previousResult.rows.map(row => [row.setting_key, row.setting_value]));
     
     // Update company name
     if (companyName) {
@@ -174,6 +181,17 @@ router.post('/company', authenticate, requireRole('admin'), upload.single('logo'
       }
     }
 
+    await auditLog.record(req, {
+      action: 'company-settings.update',
+      entityType: 'company-settings',
+      before: previousSettings,
+      after: {
+        company_name: settings.company_name,
+        company_currency: settings.company_currency,
+        company_logo_url: settings.company_logo_url
+      }
+    });
+
     res.json({
       success: true,
       message: 'Company settings updated successfully',
@@ -392,6 +410,35 @@ router.post('/divisions', authenticate, requireRole('admin'), async (req, res) =
 
     await client.query('COMMIT');
 
+    for (const code of deletedCodes) {
+      await auditLog.record(req, {
+        action: 'division.delete',
+        entityType: 'divisions',
+        entityId: code,
+        division: code,
+        before: currentDivisions.find(d => d.code === code),
+        after: { backup: backupResults.find(b => b.division === code) || null }
+      });
+    }
+    for (const newDiv of addedDivisions) {
+      await auditLog.record(req, {
+        action: 'division.create',
+        entityType: 'divisions',
+        entityId: newDiv.code,
+        division: newDiv.code,
+        before: null,
+        after: newDiv
+      });
+    }
+    if (deletedCodes.length === 0 && addedDivisions.length === 0) {
+      await auditLog.record(req, {
+        action: 'divisions.update',
+        entityType: 'divisions',
+        before: currentDivisions,
+        after: divisions
+      });
+    }
+
     // Build response with backup information
     const response = {
       success: true,
@@ -569,6 +616,15 @@ router.post('/restore-division', authenticate, requireRole('admin'), async (req,
     } finally {
       client.release();
     }
+
+    await auditLog.record(req, {
+      action: 'division.restore',
+      entityType: 'divisions',
+      entityId: result.divisionCode,
+      division: result.divisionCode,
+      before: null,
+      after: { code: result.divisionCode, name: result.divisionName, backupFolder }
+    });
     
     res.json({
       success: true,
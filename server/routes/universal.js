@@ -6,8 +6,13 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
+const { authenticate, requireDataScope } = require('../middleware/auth');
+const { reportCurrency } = require('../middleware/reportCurrency');
 const { getDivisionPool } = require('../utils/divisionDatabaseManager');
 
+// Sales data is only served within the caller's data scope (utils/dataScope)
+const dataScoped = [authenticate, requireDataScope()];
+
 // GET / - Home route
 router.get('/', (req, res) => {
   res.json({ message: 'IPDashboard API - v2.0' });
@@ -30,7 +35,7 @@ router.get('/db/test', async (req, res) => {
 });
 
 // GET /division-info - Get division information
-router.get('/division-info', async (req, res) => {
+router.get('/division-info', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division } = req.query;
     
@@ -55,7 +60,7 @@ router.get('/division-info', async (req, res) => {
 });
 
 // GET /product-groups-universal - Get product groups across divisions
-router.get('/product-groups-universal', async (req, res) => {
+router.get('/product-groups-universal', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division } = req.query;
     
@@ -81,7 +86,7 @@ router.get('/product-groups-universal', async (req, res) => {
 });
 
 // GET /sales-reps-universal - Get sales reps across divisions
-router.get('/sales-reps-universal', async (req, res) => {
+router.get('/sales-reps-universal', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division } = req.query;
     
@@ -109,7 +114,7 @@ router.get('/sales-reps-universal', async (req, res) => {
 });
 
 // POST /sales-rep-dashboard-universal - Get sales rep dashboard (universal)
-router.post('/sales-rep-dashboard-universal', async (req, res) => {
+router.post('/sales-rep-dashboard-universal', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division, salesRep, filters } = req.body;
     
@@ -134,7 +139,7 @@ router.post('/sales-rep-dashboard-universal', async (req, res) => {
 });
 
 // POST /customer-dashboard-universal - Get customer dashboard (universal)
-router.post('/customer-dashboard-universal', async (req, res) => {
+router.post('/customer-dashboard-universal', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division, customer, filters } = req.body;
     
@@ -158,7 +163,7 @@ router.post('/customer-dashboard-universal', async (req, res) => {
 });
 
 // POST /customer-dashboard-amount - Get customer dashboard with amount calculation
-router.post('/customer-dashboard-amount', async (req, res) => {
+router.post('/customer-dashboard-amount', dataScoped, reportCurrency, async (req, res) => {
   try {
     const { division, customer, filters } = req.body;
     
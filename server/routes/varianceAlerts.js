@@ -0,0 +1,116 @@
+/**
+ * Variance Alert Routes
+ * Business alert rules on Actual vs Budget / prior month, maintained by admins from Settings
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const userService = require('../services/userService');
+const varianceAlertService = require('../services/varianceAlertService');
+
+const sendAlertRuleError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error(fallbackMessage, error);
+  return res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+const getUserName = async (req) => {
+  const user = await userService.getUserById(req.user.id);
+  return user.name || user.email;
+};
+
+router.use(authenticate, requireRole('admin'));
+
+/**
+ * GET /api/variance-alerts/rules?division=FP
+ * Rules (all divisions without ?division) with their last evaluation
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await varianceAlertService.listRules(req.query.division || null);
+    res.json({ success: true, rules });
+  } catch (error) {
+    sendAlertRuleError(res, error, 'Failed to load alert rules');
+  }
+});
+
+/**
+ * GET /api/variance-alerts/options
+ * Rule types, dimensions, severities, channels and roles for the rule form
+ */
+router.get('/options', (req, res) => {
+  res.json({
+    success: true,
+    ruleTypes: Object.entries(varianceAlertService.RULE_TYPES).map(([value, type]) => ({ value, label: type.label, metrics: type.metrics })),
+    dimensions: Object.entries(varianceAlertService.DIMENSIONS).map(([value, dimension]) => ({ value, label: dimension.label })),
+    severities: varianceAlertService.SEVERITIES,
+    channels: varianceAlertService.CHANNELS,
+    roles: varianceAlertService.ROLES
+  });
+});
+
+/**
+ * POST /api/variance-alerts/rules
+ * Create a rule
+ */
+router.post('/rules', async (req, res) => {
+  try {
+    const rule = await varianceAlertService.createRule(req.body, await getUserName(req));
+    res.status(201).json({ success: true, rule, message: `Alert rule "${rule.name}" created` });
+  } catch (error) {
+    sendAlertRuleError(res, error, 'Failed to create alert rule');
+  }
+});
+
+/**
+ * PUT /api/variance-alerts/rules/:id
+ * Replace a rule's settings
+ */
+router.put('/rules/:id', async (req, res) => {
+  try {
+    const rule = await varianceAlertService.updateRule(parseInt(req.params.id, 10), req.body, await getUserName(req));
+    res.json({ success: true, rule, message: `Alert rule "${rule.name}" saved` });
+  } catch (error) {
+    sendAlertRuleError(res, error, 'Failed to save alert rule');
+  }
+});
+
+/**
+ * DELETE /api/variance-alerts/rules/:id
+ */
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    const rule = await varianceAlertService.deleteRule(parseInt(req.params.id, 10), await getUserName(req));
+    res.json({ success: true, message: `Alert rule "${rule.name}" deleted` });
+  } catch (error) {
+    sendAlertRuleError(res, error, 'Failed to delete alert rule');
+  }
+});
+
+/**
+ * POST /api/variance-alerts/evaluate
+ * Evaluate a division's rules (or one rule) for its latest Actual month:
+ * { division, ruleId, deliver } - deliver: false only reports the breaches
+ */
+router.post('/evaluate', async (req, res) => {
+  try {
+    const { division, ruleId, deliver = true } = req.body;
+    if (!division) {
+      return res.status(400).json({ success: false, error: 'Division is required' });
+    }
+    const evaluation = await varianceAlertService.evaluateDivision(division, {
+      ruleId: ruleId ? parseInt(ruleId, 10) : null,
+      deliver: deliver !== false,
+      trigger: `manual (${await getUserName(req)})`
+    });
+    res.json({ success: true, ...evaluation });
+  } catch (error) {
+    sendAlertRuleError(res, error, 'Failed to evaluate alert rules');
+  }
+});
+
+module.exports = router;
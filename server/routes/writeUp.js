@@ -0,0 +1,42 @@
+/**
+ * Write-Up Routes
+ * Narrative write-up of a division for a period pair, generated from the database
+ * (services/writeUpService)
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const router = express.Router();
+const { authenticate, requireDataScope } = require('../middleware/auth');
+const { reportCurrency } = require('../middleware/reportCurrency');
+const writeUpService = require('../services/writeUpService');
+
+const sendWriteUpError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error(fallbackMessage, error);
+  return res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+/**
+ * POST /api/write-up
+ * Body: { division, period: { year, month | months, type }, compareTo: { year, month | months, type } }
+ * Returns the markdown write-up, the ranked insights and the fact pack behind them
+ */
+router.post('/', authenticate, requireDataScope(), reportCurrency, async (req, res) => {
+  try {
+    const { division, period, compareTo } = req.body;
+    const writeUp = await writeUpService.generateWriteUp({
+      division,
+      period,
+      compareTo,
+      currency: req.reportCurrency || null
+    });
+    res.json({ success: true, data: writeUp });
+  } catch (error) {
+    sendWriteUpError(res, error, 'Failed to generate write-up');
+  }
+});
+
+module.exports = router;
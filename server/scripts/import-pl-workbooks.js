@@ -0,0 +1,60 @@
+/**
+ * One-off migration: load server/data/financials -{div}.xlsx into {div}_pl_data
+ *
+ * Usage: node scripts/import-pl-workbooks.js [FP HC ...]
+ * Without arguments every "financials -*.xlsx" file in server/data is imported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const plDataService = require('../services/plDataService');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+function findWorkbooks(divisions) {
+  const files = fs.readdirSync(DATA_DIR)
+    .map(file => ({ file, match: file.match(/^financials\s*-\s*([a-z0-9]+)\.xlsx$/i) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({ division: match[1].toUpperCase(), filePath: path.join(DATA_DIR, file) }));
+
+  if (divisions.length === 0) return files;
+  return files.filter(({ division }) => divisions.includes(division));
+}
+
+async function importWorkbooks() {
+  const divisions = process.argv.slice(2).map(code => code.toUpperCase());
+  const workbooks = findWorkbooks(divisions);
+
+  if (workbooks.length === 0) {
+    throw new Error(`No P&L workbooks found in ${DATA_DIR}`);
+  }
+
+  for (const { division, filePath } of workbooks) {
+    console.log(`📒 Importing ${path.basename(filePath)} into ${division.toLowerCase()}_pl_data...`);
+
+    const report = await plDataService.importWorkbook({
+      filePath,
+      division,
+      mode: 'replace',
+      uploadedBy: 'import-pl-workbooks'
+    });
+
+    report.warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+    if (!report.success) {
+      report.errors.forEach(error => console.error(`   ❌ ${error}`));
+      throw new Error(`${division}: workbook validation failed with ${report.errorCount} error(s)`);
+    }
+
+    console.log(`✅ ${division}: ${report.recordsInserted} amounts across ${report.periods.length} periods`);
+  }
+}
+
+importWorkbooks()
+  .then(() => {
+    console.log('🎉 P&L import completed successfully!');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('💥 P&L import failed:', error.message);
+    process.exit(1);
+  });
@@ -9,6 +9,7 @@
  * - Business name normalization (removes LLC, Ltd, Inc, etc.)
  * - Phonetic matching for name variations
  * - Configurable confidence thresholds
+ * - Per-division learned weights (see mergeModelService) replacing the fixed blend
  * - Caching for performance
  * - Database upload validation
  */
@@ -145,14 +146,22 @@ class CustomerMergingAI {
 
   /**
    * Main entry point: Scan division and suggest merges
+   * @param {string} division
+   * @param {Object} [options]
+   * @param {function(number, string): Promise} [options.onProgress] - (percent, message), awaited
+   *   between blocks; a background job uses it to report progress and stop when cancelled
+   * @param {Object} [options.model] - Learned weights of the division ({ version, weights, intercept });
+   *   without one the configured weights are used
    */
   async scanAndSuggestMerges(division, options = {}) {
     logger.info(`\n🤖 AI Scan: Finding customer duplicates in ${division}...`);
 
     const startTime = Date.now();
+    const onProgress = options.onProgress || (async () => {});
 
     try {
       // 1. Get all unique customers from database
+      await onProgress(0, 'Loading customers');
       const customers = await this.getAllCustomers(division);
       logger.info(`   📊 Found ${customers.length} unique customers`);
 
@@ -178,7 +187,11 @@ class CustomerMergingAI {
       }
 
       // 4. Find potential duplicates (pass rejected pairs)
-      const suggestions = await this.findPotentialDuplicates(customers, rejectedPairs, options);
+      await onProgress(10, `Comparing ${customers.length} customers`);
+      const suggestions = await this.findPotentialDuplicates(customers, rejectedPairs, {
+        ...options,
+        onProgress: (fraction) => onProgress(10 + fraction * 80, `Comparing ${customers.length} customers`)
+      });
       logger.info(`   🔍 Found ${suggestions.length} potential merge groups`);
 
       // 4. Filter by confidence threshold
@@ -201,8 +214,9 @@ class CustomerMergingAI {
       }
 
       // 6. Save to database
+      await onProgress(90, `Saving ${filtered.length} suggestions`);
       if (filtered.length > 0) {
-        await this.saveSuggestions(division, filtered);
+        await this.saveSuggestions(division, filtered, options.model);
         logger.info(`   💾 Saved ${filtered.length} new suggestions to database`);
       }
 
@@ -229,6 +243,8 @@ class CustomerMergingAI {
     // OPTIMIZATION: Block customers by first significant word
     // This reduces comparisons from O(n²) to O(n×k) where k is average block size
     const useBlocking = options.useBlocking !== false; // Default true
+    const onProgress = options.onProgress || (async () => {});
+    const model = options.model || null;
 
     if (useBlocking) {
       logger.info('   🚀 Using blocking optimization for faster scanning...');
@@ -236,7 +252,10 @@ class CustomerMergingAI {
       logger.info(`   📦 Created ${blocks.size} blocks (avg ${Math.round(customers.length / blocks.size)} customers per block)`);
 
       // Process each block independently
+      let blocksDone = 0;
       for (const [blockKey, blockCustomers] of blocks.entries()) {
+        await onProgress(blocksDone++ / blocks.size);
+
         // Only process blocks with 2+ customers
         if (blockCustomers.length < 2) continue;
 
@@ -255,7 +274,7 @@ class CustomerMergingAI {
             const pairKey = `${blockCustomers[i].toLowerCase()}||${blockCustomers[j].toLowerCase()}`;
             if (rejectedPairs.has(pairKey)) continue;
 
-            const similarity = this.calculateSimilarity(blockCustomers[i], blockCustomers[j]);
+            const similarity = this.calculateSimilarity(blockCustomers[i], blockCustomers[j], model);
 
             if (similarity.score >= this.config.minConfidenceThreshold) {
               group.push(blockCustomers[j]);
@@ -265,12 +284,12 @@ class CustomerMergingAI {
 
           if (group.length >= 2) {
             // Calculate group confidence and create proper suggestion object
-            const groupConfidence = this.calculateGroupConfidence(group);
+            const groupConfidence = this.calculateGroupConfidence(group, model);
             potentialGroups.push({
               customers: group,
               mergedName: this.suggestMergedName(group),
               confidence: groupConfidence,
-              matchDetails: this.getMatchDetails(group),
+              matchDetails: this.getMatchDetails(group, model),
               customerCount: group.length
             });
           }
@@ -281,6 +300,7 @@ class CustomerMergingAI {
       logger.info('   ⚠️  Using full O(n²) comparison (blocking disabled)');
 
       for (let i = 0; i < customers.length; i++) {
+        await onProgress(i / customers.length);
         if (processed.has(customers[i])) continue;
 
         const group = [customers[i]];
@@ -297,7 +317,7 @@ class CustomerMergingAI {
             continue; // Skip rejected pairs
           }
 
-          const similarity = this.calculateSimilarity(customers[i], customers[j]);
+          const similarity = this.calculateSimilarity(customers[i], customers[j], model);
 
           // Check if similar enough to group
           if (similarity.score >= this.config.minConfidenceThreshold) {
@@ -308,13 +328,13 @@ class CustomerMergingAI {
 
         // Only suggest groups with 2+ customers
         if (group.length >= 2) {
-          const groupConfidence = this.calculateGroupConfidence(group);
+          const groupConfidence = this.calculateGroupConfidence(group, model);
 
           potentialGroups.push({
             customers: group,
             mergedName: this.suggestMergedName(group),
             confidence: groupConfidence,
-            matchDetails: this.getMatchDetails(group),
+            matchDetails: this.getMatchDetails(group, model),
             customerCount: group.length
           });
         }
@@ -364,10 +384,66 @@ class CustomerMergingAI {
     return keyWords.join(' ');
   }
 
+  /**
+   * Feature scores of a pair of (raw) customer names, keyed like config.weights
+   * These feed the fixed weighted blend and the learned models
+   */
+  computeFeatures(
+    customer1,
+    customer2,
+    normalized1 = this.normalizeCustomerName(customer1),
+    normalized2 = this.normalizeCustomerName(customer2)
+  ) {
+    return {
+      // Algorithm 1: Levenshtein-based (Dice coefficient)
+      levenshtein: stringSimilarity.compareTwoStrings(normalized1, normalized2),
+      // Algorithm 2: Jaro-Winkler approximation (using library's best match)
+      jaroWinkler: this.jaroWinklerSimilarity(normalized1, normalized2),
+      // Algorithm 3: Token Set Ratio (word-level matching)
+      tokenSet: this.tokenSetSimilarity(normalized1, normalized2),
+      // Algorithm 4: Business suffix removal comparison
+      businessSuffix: this.compareWithoutBusinessSuffixes(customer1, customer2),
+      // Algorithm 5: N-Gram Prefix Matching (first 2 words)
+      nGramPrefix: this.nGramPrefixSimilarity(normalized1, normalized2, 2),
+      // Algorithm 6: Core Brand Similarity
+      coreBrand: this.coreBrandSimilarity(customer1, customer2),
+      // Algorithm 7: Phonetic Similarity (for typos/misspellings)
+      phonetic: this.phoneticSimilarity(customer1, customer2)
+    };
+  }
+
+  /**
+   * Combine feature scores into the score before edge case penalties
+   * - No model: weighted average with the configured weights, boosted for strong brand matches
+   * - Learned model: logistic regression, i.e. the probability that the pair is a duplicate
+   */
+  blendFeatures(features, model = null) {
+    if (model) {
+      const logit = Object.keys(model.weights).reduce(
+        (sum, name) => sum + (features[name] || 0) * model.weights[name],
+        model.intercept || 0
+      );
+      return 1 / (1 + Math.exp(-logit));
+    }
+
+    let score = Object.keys(this.config.weights).reduce(
+      (sum, name) => sum + features[name] * this.config.weights[name],
+      0
+    );
+
+    // Boost: If core brand matches highly (90%+), boost overall score slightly
+    if (features.coreBrand >= 0.90) {
+      score = Math.min(1.0, score * 1.08); // 8% boost for strong brand match
+    }
+
+    return score;
+  }
+
   /**
    * Calculate similarity between two customer names
+   * @param {Object} [model] - Learned weights of the division (default: configured weights)
    */
-  calculateSimilarity(customer1, customer2) {
+  calculateSimilarity(customer1, customer2, model = null) {
     const normalized1 = this.normalizeCustomerName(customer1);
     const normalized2 = this.normalizeCustomerName(customer2);
 
@@ -381,42 +457,8 @@ class CustomerMergingAI {
       };
     }
 
-    // Algorithm 1: Levenshtein-based (Dice coefficient)
-    const levenshtein = stringSimilarity.compareTwoStrings(normalized1, normalized2);
-
-    // Algorithm 2: Jaro-Winkler approximation (using library's best match)
-    const jaroWinkler = this.jaroWinklerSimilarity(normalized1, normalized2);
-
-    // Algorithm 3: Token Set Ratio (word-level matching)
-    const tokenSet = this.tokenSetSimilarity(normalized1, normalized2);
-
-    // Algorithm 4: Business suffix removal comparison
-    const withoutSuffix = this.compareWithoutBusinessSuffixes(customer1, customer2);
-
-    // Algorithm 5: N-Gram Prefix Matching (first 2 words)
-    const nGramPrefix = this.nGramPrefixSimilarity(normalized1, normalized2, 2);
-
-    // Algorithm 6: Core Brand Similarity
-    const coreBrand = this.coreBrandSimilarity(customer1, customer2);
-
-    // Algorithm 7: Phonetic Similarity (for typos/misspellings)
-    const phonetic = this.phoneticSimilarity(customer1, customer2);
-
-    // Weighted average
-    let score = (
-      levenshtein * this.config.weights.levenshtein +
-      jaroWinkler * this.config.weights.jaroWinkler +
-      tokenSet * this.config.weights.tokenSet +
-      withoutSuffix * this.config.weights.businessSuffix +
-      nGramPrefix * this.config.weights.nGramPrefix +
-      coreBrand * this.config.weights.coreBrand +
-      phonetic * this.config.weights.phonetic
-    );
-
-    // Boost: If core brand matches highly (90%+), boost overall score slightly
-    if (coreBrand >= 0.90) {
-      score = Math.min(1.0, score * 1.08); // 8% boost for strong brand match
-    }
+    const features = this.computeFeatures(customer1, customer2, normalized1, normalized2);
+    const score = this.blendFeatures(features, model);
 
     // Apply edge case penalties for better accuracy
     const penalties = this.detectEdgeCases(customer1, customer2, normalized1, normalized2);
@@ -444,13 +486,13 @@ class CustomerMergingAI {
       baseScore: score, // Score before penalties
       penalties: penalties,
       details: {
-        levenshtein: levenshtein.toFixed(3),
-        jaroWinkler: jaroWinkler.toFixed(3),
-        tokenSet: tokenSet.toFixed(3),
-        withoutSuffix: withoutSuffix.toFixed(3),
-        nGramPrefix: nGramPrefix.toFixed(3),
-        coreBrand: coreBrand.toFixed(3),
-        phonetic: phonetic.toFixed(3),
+        levenshtein: features.levenshtein.toFixed(3),
+        jaroWinkler: features.jaroWinkler.toFixed(3),
+        tokenSet: features.tokenSet.toFixed(3),
+        withoutSuffix: features.businessSuffix.toFixed(3),
+        nGramPrefix: features.nGramPrefix.toFixed(3),
+        coreBrand: features.coreBrand.toFixed(3),
+        phonetic: features.phonetic.toFixed(3),
         normalized1,
         normalized2
       }
@@ -818,10 +860,10 @@ class CustomerMergingAI {
   /**
    * Calculate overall confidence for a group of customers
    */
-  calculateGroupConfidence(customerGroup) {
+  calculateGroupConfidence(customerGroup, model = null) {
     if (customerGroup.length < 2) return 0;
     if (customerGroup.length === 2) {
-      return this.calculateSimilarity(customerGroup[0], customerGroup[1]).score;
+      return this.calculateSimilarity(customerGroup[0], customerGroup[1], model).score;
     }
 
     // For groups of 3+, calculate average pairwise similarity
@@ -830,7 +872,7 @@ class CustomerMergingAI {
 
     for (let i = 0; i < customerGroup.length; i++) {
       for (let j = i + 1; j < customerGroup.length; j++) {
-        const sim = this.calculateSimilarity(customerGroup[i], customerGroup[j]);
+        const sim = this.calculateSimilarity(customerGroup[i], customerGroup[j], model);
         totalSimilarity += sim.score;
         comparisons++;
       }
@@ -842,12 +884,12 @@ class CustomerMergingAI {
   /**
    * Get detailed match explanation
    */
-  getMatchDetails(customerGroup) {
+  getMatchDetails(customerGroup, model = null) {
     const details = [];
 
     for (let i = 0; i < customerGroup.length; i++) {
       for (let j = i + 1; j < customerGroup.length; j++) {
-        const sim = this.calculateSimilarity(customerGroup[i], customerGroup[j]);
+        const sim = this.calculateSimilarity(customerGroup[i], customerGroup[j], model);
         details.push({
           pair: [customerGroup[i], customerGroup[j]],
           similarity: (sim.score * 100).toFixed(1) + '%',
@@ -1122,8 +1164,9 @@ class CustomerMergingAI {
 
   /**
    * Save AI suggestions to database
+   * @param {Object} [model] - Learned model the scan used (recorded as the matching algorithm)
    */
-  async saveSuggestions(division, suggestions) {
+  async saveSuggestions(division, suggestions, model = null) {
     const divisionPool = getDivisionPool(extractDivisionCode(division).toUpperCase());
     const tables = getTableNames(division);
     
@@ -1144,7 +1187,7 @@ class CustomerMergingAI {
           suggestion.mergedName,
           JSON.stringify(suggestion.customers),
           suggestion.confidence,
-          'MULTI_ALGORITHM',
+          model ? `LEARNED_V${model.version}` : 'MULTI_ALGORITHM',
           JSON.stringify(suggestion.matchDetails)
         ]);
       } catch (error) {
@@ -0,0 +1,593 @@
+/**
+ * Account Security Service
+ * Failed sign-in lockout, password reset by e-mail and TOTP two-factor authentication
+ *
+ * LOCKOUT:
+ * LOGIN_MAX_ATTEMPTS (5) wrong passwords or second-factor codes in a row lock the account for
+ * LOGIN_LOCKOUT_MINUTES (15). The counter belongs to the account, not the client address, and
+ * starts over after a successful sign-in, a lock or an administrator unlock.
+ *
+ * PASSWORD RESET:
+ * A single-use token valid for RESET_TOKEN_MINUTES is mailed as a link to APP_URL/reset-password
+ * (services/emailService, any SMTP server including a local stand-in). Only its SHA-256 is stored,
+ * and requests for unknown addresses look exactly like the others.
+ *
+ * TWO-FACTOR (RFC 6238, 30 second steps, 6 digits, SHA-1, one step of clock drift):
+ * Optional, for the roles in TWO_FACTOR_ROLES. Enrolment confirms a first code before it takes effect
+ * and returns RECOVERY_CODE_COUNT single-use recovery codes; a used time step is never accepted twice.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { authPool } = require('../database/config');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+const TWO_FACTOR_ROLES = ['admin', 'sales_manager'];
+const RESET_TOKEN_MINUTES = 60;
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const securityError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Lockout policy from the environment
+ */
+function getLockoutPolicy() {
+  return {
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15
+  };
+}
+
+let tablesEnsured = false;
+
+async function ensureTables() {
+  if (tablesEnsured) return;
+
+  await authPool.query(`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false,
+      ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS totp_pending_secret VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      requested_ip VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+
+    CREATE TABLE IF NOT EXISTS user_recovery_codes (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id);
+  `);
+
+  tablesEnsured = true;
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const hashToken = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// ============================================================================
+// TOTP
+// ============================================================================
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw securityError('Invalid secret', 400);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * One-time code of a base32 secret for a time step (RFC 4226 dynamic truncation)
+ */
+function generateTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(code).padStart(TOTP_DIGITS, '0');
+}
+
+const timeStep = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Time step a code belongs to, within the allowed drift and after lastStep; null when it does not match
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code as typed
+ * @param {{timeMs?: number, lastStep?: number|null}} [options]
+ * @returns {number|null}
+ */
+function verifyTotp(secret, code, { timeMs = Date.now(), lastStep = null } = {}) {
+  const digits = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(digits) || digits.length !== TOTP_DIGITS) return null;
+
+  const current = timeStep(timeMs);
+  for (let step = current - TOTP_DRIFT_STEPS; step <= current + TOTP_DRIFT_STEPS; step++) {
+    if (lastStep !== null && step <= lastStep) continue;
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) return step;
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI an authenticator app reads from a QR code
+ */
+function otpauthUrl(accountName, secret, issuer = process.env.TOTP_ISSUER || 'IPDashboard') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/** Recovery codes are compared without case, spaces and dashes */
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[\s-]/g, '');
+
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const code = base32Encode(crypto.randomBytes(5));
+    return `${code.slice(0, 4)}-${code.slice(4, 8)}`;
+  });
+}
+
+// ============================================================================
+// LOCKOUT
+// ============================================================================
+
+/** Minutes left on a lock, computed by the database so its clock decides */
+const LOCK_MINUTES_LEFT_SQL = `CASE WHEN u.locked_until > NOW()
+  THEN CEIL(EXTRACT(EPOCH FROM (u.locked_until - NOW())) / 60)::int END`;
+
+/**
+ * Throw 423 while an account is locked
+ * @param {{lock_minutes_left: number|null}} user - Row selected with LOCK_MINUTES_LEFT_SQL
+ */
+function assertNotLocked(user) {
+  const minutes = user.lock_minutes_left;
+  if (!minutes || minutes <= 0) return;
+
+  throw securityError(
+    `Account locked after too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or ask an administrator to unlock it.`,
+    423
+  );
+}
+
+/**
+ * Count a failed password or second-factor code; locks the account at the policy limit
+ * @returns {Promise<{failedAttempts: number, lockMinutesLeft: number|null}>}
+ */
+async function recordFailedLogin(userId) {
+  await ensureTables();
+  const { maxAttempts, lockoutMinutes } = getLockoutPolicy();
+
+  // SET expressions see the old row, so both columns decide on the same count
+  const result = await authPool.query(`
+    UPDATE users u
+    SET failed_login_attempts = CASE WHEN failed_login_attempts + 1 >= $2 THEN 0 ELSE failed_login_attempts + 1 END,
+        locked_until = CASE WHEN failed_login_attempts + 1 >= $2 THEN NOW() + make_interval(mins => $3) ELSE locked_until END,
+        last_failed_login_at = NOW()
+    WHERE id = $1
+    RETURNING u.failed_login_attempts, ${LOCK_MINUTES_LEFT_SQL} AS lock_minutes_left
+  `, [userId, maxAttempts, lockoutMinutes]);
+
+  const row = result.rows[0] || {};
+  const lockMinutesLeft = row.lock_minutes_left || null;
+  if (lockMinutesLeft && row.failed_login_attempts === 0) {
+    logger.warn(`🔒 Account ${userId} locked for ${lockoutMinutes} minutes after ${maxAttempts} failed sign-in attempts`);
+  }
+  return { failedAttempts: row.failed_login_attempts || 0, lockMinutesLeft };
+}
+
+async function recordSuccessfulLogin(userId) {
+  await ensureTables();
+  await authPool.query(
+    'UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = $1',
+    [userId]
+  );
+}
+
+/**
+ * Lift a lock (administrators)
+ */
+async function unlockAccount(userId, actor) {
+  await ensureTables();
+  const result = await authPool.query(
+    `UPDATE users SET failed_login_attempts = 0, locked_until = NULL, updated_at = NOW()
+     WHERE id = $1 RETURNING id, email`,
+    [userId]
+  );
+  if (result.rows.length === 0) throw securityError('User not found', 404);
+  logger.info(`🔓 Account ${result.rows[0].email} unlocked by ${actor}`);
+  return { id: result.rows[0].id, email: result.rows[0].email };
+}
+
+/**
+ * Lock and two-factor state of every user (administrators)
+ */
+async function listAccountSecurity() {
+  await ensureTables();
+  const result = await authPool.query(`
+    SELECT u.id, u.email, u.name, u.role, u.is_active, u.failed_login_attempts, u.last_failed_login_at,
+           CASE WHEN u.locked_until > NOW() THEN u.locked_until END AS locked_until,
+           u.totp_enabled,
+           (SELECT COUNT(*)::int FROM user_recovery_codes c WHERE c.user_id = u.id AND c.used_at IS NULL) AS recovery_codes_left
+    FROM users u
+    ORDER BY (u.locked_until > NOW()) DESC NULLS LAST, u.email
+  `);
+  return result.rows.map(row => ({
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    isActive: row.is_active,
+    failedAttempts: row.failed_login_attempts,
+    lastFailedLoginAt: row.last_failed_login_at,
+    lockedUntil: row.locked_until,
+    twoFactorEnabled: row.totp_enabled,
+    twoFactorEligible: TWO_FACTOR_ROLES.includes(row.role),
+    recoveryCodesLeft: row.recovery_codes_left
+  }));
+}
+
+// ============================================================================
+// PASSWORD RESET
+// ============================================================================
+
+function getAppUrl() {
+  return (process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000').replace(/\/+$/, '');
+}
+
+/**
+ * Mail a reset link; unknown or deactivated addresses are ignored without telling the caller
+ * @returns {Promise<{sent: boolean}>}
+ */
+async function requestPasswordReset(email, ipAddress = null) {
+  if (!emailService.isConfigured()) {
+    throw securityError('Password reset by e-mail is not available. Please contact your administrator.', 503);
+  }
+  await ensureTables();
+
+  const userResult = await authPool.query(
+    'SELECT id, email, name, is_active FROM users WHERE email = $1',
+    [String(email || '').trim().toLowerCase()]
+  );
+  const user = userResult.rows[0];
+  if (!user || !user.is_active) {
+    logger.info('Password reset requested for an unknown or inactive account');
+    return { sent: false };
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await authPool.query(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+    [user.id]
+  );
+  await authPool.query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+     VALUES ($1, $2, NOW() + make_interval(mins => $3), $4)`,
+    [user.id, hashToken(token), RESET_TOKEN_MINUTES, ipAddress]
+  );
+
+  const link = `${getAppUrl()}/reset-password?token=${token}`;
+  try {
+    await emailService.sendMail({
+      to: user.email,
+      subject: 'Reset your IPDashboard password',
+      text: [
+        `Hello ${user.name},`,
+        '',
+        `Use this link within ${RESET_TOKEN_MINUTES} minutes to choose a new password:`,
+        link,
+        '',
+        'If you did not ask for a password reset you can ignore this e-mail; your password stays unchanged.'
+      ].join('\n'),
+      html: `<p>Hello ${escapeHtml(user.name)},</p>` +
+        `<p>Use this link within ${RESET_TOKEN_MINUTES} minutes to choose a new password:</p>` +
+        `<p><a href="${link}">Reset my password</a></p>` +
+        '<p>If you did not ask for a password reset you can ignore this e-mail; your password stays unchanged.</p>'
+    });
+  } catch (error) {
+    // The caller answers as for an unknown address, so a failed send must not tell the account exists
+    logger.error(`Password reset e-mail to ${user.email} could not be sent`, { error: error.message });
+    await authPool.query(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+    return { sent: false };
+  }
+
+  logger.info(`🔑 Password reset link sent to ${user.email}`);
+  return { sent: true };
+}
+
+/**
+ * Mark a reset token used and return its user; 400 for unknown, used or expired tokens
+ * @param {Object} [client] - Transaction client
+ * @returns {Promise<number>} User id
+ */
+async function consumeResetToken(token, client = authPool) {
+  await ensureTables();
+  const result = await client.query(`
+    UPDATE password_reset_tokens t
+    SET used_at = NOW()
+    FROM users u
+    WHERE t.token_hash = $1 AND t.used_at IS NULL AND t.expires_at > NOW()
+      AND u.id = t.user_id AND u.is_active = true
+    RETURNING t.user_id
+  `, [hashToken(token)]);
+
+  if (result.rows.length === 0) {
+    throw securityError('This reset link is invalid or has expired. Please request a new one.', 400);
+  }
+  return result.rows[0].user_id;
+}
+
+// ============================================================================
+// TWO-FACTOR ENROLMENT
+// ============================================================================
+
+async function getUserSecurityRow(userId) {
+  await ensureTables();
+  const result = await authPool.query(
+    `SELECT id, email, role, password_hash, totp_enabled, totp_secret, totp_pending_secret, totp_last_step
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  if (result.rows.length === 0) throw securityError('User not found', 404);
+  return result.rows[0];
+}
+
+async function replaceRecoveryCodes(userId, client = authPool) {
+  const codes = generateRecoveryCodes();
+  await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await client.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+  return codes;
+}
+
+/**
+ * Two-factor state of the signed-in user
+ */
+async function getTwoFactorStatus(userId) {
+  const user = await getUserSecurityRow(userId);
+  const codes = await authPool.query(
+    'SELECT COUNT(*)::int AS left FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return {
+    enabled: user.totp_enabled,
+    eligible: TWO_FACTOR_ROLES.includes(user.role),
+    recoveryCodesLeft: user.totp_enabled ? codes.rows[0].left : 0
+  };
+}
+
+/**
+ * Start enrolment: a new secret waits for its first code (enableTwoFactor)
+ * @returns {Promise<{secret: string, otpauthUrl: string}>}
+ */
+async function setupTwoFactor(userId) {
+  const user = await getUserSecurityRow(userId);
+  if (!TWO_FACTOR_ROLES.includes(user.role)) {
+    throw securityError('Two-factor authentication is available for administrators and managers', 403);
+  }
+  if (user.totp_enabled) throw securityError('Two-factor authentication is already enabled', 409);
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await authPool.query('UPDATE users SET totp_pending_secret = $1 WHERE id = $2', [secret, userId]);
+  return { secret, otpauthUrl: otpauthUrl(user.email, secret) };
+}
+
+/**
+ * Confirm enrolment with a code of the new secret
+ * @returns {Promise<{recoveryCodes: string[]}>} Shown once
+ */
+async function enableTwoFactor(userId, code) {
+  const user = await getUserSecurityRow(userId);
+  if (user.totp_enabled) throw securityError('Two-factor authentication is already enabled', 409);
+  if (!user.totp_pending_secret) throw securityError('Start the two-factor setup first', 400);
+
+  const step = verifyTotp(user.totp_pending_secret, code);
+  if (step === null) throw securityError('The code is not valid. Check the time on your device and try again.', 400);
+
+  const client = await authPool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `UPDATE users SET totp_enabled = true, totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+       totp_last_step = $2, updated_at = NOW() WHERE id = $1`,
+      [userId, step]
+    );
+    const recoveryCodes = await replaceRecoveryCodes(userId, client);
+    await client.query('COMMIT');
+    logger.info(`🔐 Two-factor authentication enabled for ${user.email}`);
+    return { recoveryCodes };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Check a second-factor code (authenticator code or unused recovery code) and use it up
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(userId, code) {
+  const user = await getUserSecurityRow(userId);
+  if (!user.totp_enabled || !user.totp_secret) return false;
+
+  const step = verifyTotp(user.totp_secret, code, {
+    lastStep: user.totp_last_step === null ? null : Number(user.totp_last_step)
+  });
+  if (step !== null) {
+    // Claim the step atomically: of two logins racing with the same code only one gets it
+    const claimed = await authPool.query(
+      `UPDATE users SET totp_last_step = $1
+       WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+       RETURNING id`,
+      [step, userId]
+    );
+    if (claimed.rows.length === 0) {
+      logger.warn(`🔐 Replayed authenticator code rejected for ${user.email}`);
+      return false;
+    }
+    return true;
+  }
+
+  const recovery = normalizeRecoveryCode(code);
+  if (!recovery) return false;
+  const used = await authPool.query(
+    `UPDATE user_recovery_codes SET used_at = NOW()
+     WHERE id = (SELECT id FROM user_recovery_codes WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL LIMIT 1)
+     RETURNING id`,
+    [userId, hashToken(recovery)]
+  );
+  if (used.rows.length > 0) {
+    logger.info(`🔐 Recovery code used by ${user.email}`);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Turn two-factor off; needs the password and a current code
+ */
+async function disableTwoFactor(userId, password, code) {
+  const user = await getUserSecurityRow(userId);
+  if (!user.totp_enabled) throw securityError('Two-factor authentication is not enabled', 400);
+  if (!password || !(await bcrypt.compare(password, user.password_hash))) {
+    throw securityError('Password is incorrect', 400);
+  }
+  if (!(await verifySecondFactor(userId, code))) {
+    throw securityError('The code is not valid', 400);
+  }
+  await clearTwoFactor(userId);
+  logger.info(`🔐 Two-factor authentication disabled by ${user.email}`);
+  return { success: true };
+}
+
+/**
+ * New set of recovery codes; needs a current code
+ */
+async function regenerateRecoveryCodes(userId, code) {
+  const user = await getUserSecurityRow(userId);
+  if (!user.totp_enabled) throw securityError('Two-factor authentication is not enabled', 400);
+  if (!(await verifySecondFactor(userId, code))) throw securityError('The code is not valid', 400);
+  return { recoveryCodes: await replaceRecoveryCodes(userId) };
+}
+
+async function clearTwoFactor(userId) {
+  await authPool.query(
+    `UPDATE users SET totp_enabled = false, totp_secret = NULL, totp_pending_secret = NULL,
+     totp_last_step = NULL, updated_at = NOW() WHERE id = $1`,
+    [userId]
+  );
+  await authPool.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+}
+
+/**
+ * Remove a user's second factor, e.g. after a lost phone without recovery codes (administrators)
+ */
+async function resetTwoFactor(userId, actor) {
+  const user = await getUserSecurityRow(userId);
+  await clearTwoFactor(userId);
+  logger.info(`🔐 Two-factor authentication of ${user.email} reset by ${actor}`);
+  return { id: user.id, email: user.email };
+}
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  LOCK_MINUTES_LEFT_SQL,
+  ensureTables,
+  getLockoutPolicy,
+  hashToken,
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  otpauthUrl,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  assertNotLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+  listAccountSecurity,
+  requestPasswordReset,
+  consumeResetToken,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  resetTwoFactor
+};
@@ -0,0 +1,516 @@
+/**
+ * Audit Log Service
+ * Central, append-only trail of data and configuration changes: who, when, which entity,
+ * the state before and after, and the correlation id of the request (middleware/correlation)
+ *
+ * STORAGE (auth database, company-wide):
+ * - audit_log: one row per change. UPDATE, DELETE and TRUNCATE are refused by triggers.
+ *
+ * HASH CHAIN:
+ * Every entry stores the hash of the entry before it (prev_hash) and its own hash:
+ * sha256(prev_hash + canonical JSON of the entry). Editing or removing a row breaks the
+ * chain from that row on, which verifyChain() reports. The head hash (last id + hash) can be
+ * noted down or exported to also detect entries cut off the end.
+ *
+ * WRITERS:
+ * - Routes with a known entity call record() with before / after state
+ *   (divisions, company settings, users, budgets, merge-rule approvals, rounded prices, material percentages).
+ * - middleware/auditTrail records every other successful mutating request with its
+ *   (redacted, size-capped) body, so no change goes unrecorded.
+ * Writing is best effort: a failing audit insert is logged and does not fail the change itself.
+ */
+
+const crypto = require('crypto');
+const { authPool } = require('../database/config');
+const { getCorrelationContext } = require('../middleware/correlation');
+const logger = require('../utils/logger');
+
+const GENESIS_HASH = '0'.repeat(64);
+const CHAIN_LOCK_KEY = 'audit_log:chain';
+const MAX_PAYLOAD_CHARS = 20000;
+const MAX_PAGE_SIZE = 500;
+const EXPORT_LIMIT = 50000;
+const VERIFY_BATCH_SIZE = 1000;
+const REDACTED = '[redacted]';
+
+// Body keys never written to the trail
+const SENSITIVE_KEY = /password|token|secret|otp|recovery/i;
+
+// Entry fields covered by the hash, in this order
+const HASHED_FIELDS = [
+  'occurredAt', 'userId', 'userEmail', 'action', 'entityType', 'entityId', 'division',
+  'before', 'after', 'method', 'path', 'statusCode', 'correlationId', 'requestId', 'ipAddress'
+];
+
+const CSV_COLUMNS = [
+  ['id', 'ID'],
+  ['occurredAt', 'Time (UTC)'],
+  ['userEmail', 'User'],
+  ['action', 'Action'],
+  ['entityType', 'Entity'],
+  ['entityId', 'Entity ID'],
+  ['division', 'Division'],
+  ['method', 'Method'],
+  ['path', 'Path'],
+  ['statusCode', 'Status'],
+  ['correlationId', 'Correlation ID'],
+  ['requestId', 'Request ID'],
+  ['ipAddress', 'IP'],
+  ['before', 'Before'],
+  ['after', 'After'],
+  ['hash', 'Hash'],
+  ['prevHash', 'Previous Hash']
+];
+
+const auditError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+let tablesEnsured = false;
+
+async function ensureTables() {
+  if (tablesEnsured) return;
+
+  await authPool.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      occurred_at TIMESTAMPTZ NOT NULL,
+      user_id INTEGER,
+      user_email VARCHAR(255),
+      action VARCHAR(200) NOT NULL,
+      entity_type VARCHAR(100) NOT NULL,
+      entity_id VARCHAR(255),
+      division VARCHAR(20),
+      before_data JSONB,
+      after_data JSONB,
+      method VARCHAR(10),
+      path TEXT,
+      status_code INTEGER,
+      correlation_id VARCHAR(100),
+      request_id VARCHAR(100),
+      ip_address VARCHAR(64),
+      prev_hash CHAR(64) NOT NULL,
+      hash CHAR(64) NOT NULL UNIQUE
+    )
+  `);
+  await authPool.query('CREATE INDEX IF NOT EXISTS idx_audit_log_occurred_at ON audit_log (occurred_at)');
+  await authPool.query('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id)');
+  await authPool.query('CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log (user_id)');
+  await authPool.query('CREATE INDEX IF NOT EXISTS idx_audit_log_correlation ON audit_log (correlation_id)');
+
+  await authPool.query(`
+    CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+  await authPool.query('DROP TRIGGER IF EXISTS audit_log_no_change ON audit_log');
+  await authPool.query(`
+    CREATE TRIGGER audit_log_no_change BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+  `);
+  await authPool.query('DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log');
+  await authPool.query(`
+    CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only()
+  `);
+
+  tablesEnsured = true;
+}
+
+// ============================================================================
+// PAYLOADS AND HASHING
+// ============================================================================
+
+/**
+ * JSON with object keys sorted at every level, so a JSONB round trip hashes the same
+ */
+function canonicalJson(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Copy of a payload with passwords, tokens and secrets (and extraKeys) replaced
+ * @param {*} value
+ * @param {string[]} [extraKeys] - More keys to hide, e.g. ['code'] for sign-in codes
+ */
+function redact(value, extraKeys = []) {
+  if (Array.isArray(value)) return value.map(item => redact(item, extraKeys));
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY.test(key) || extraKeys.includes(key) ? REDACTED : redact(item, extraKeys)
+    ]));
+  }
+  return value;
+}
+
+/**
+ * Plain JSON value for storage; payloads over maxChars are replaced by their outline
+ */
+function summarizePayload(value, maxChars = MAX_PAYLOAD_CHARS) {
+  if (value === undefined || value === null) return null;
+  const json = JSON.stringify(value);
+  if (json === undefined) return null;
+  if (json.length <= maxChars) return JSON.parse(json);
+
+  const outline = { truncated: true, size: json.length };
+  if (Array.isArray(value)) {
+    outline.items = value.length;
+  } else if (typeof value === 'object') {
+    outline.keys = Object.keys(value).slice(0, 50);
+    Object.entries(value).forEach(([key, item]) => {
+      if (Array.isArray(item)) outline[`${key}Count`] = item.length;
+      else if (item === null || typeof item !== 'object') outline[key] = item;
+    });
+    const outlineJson = JSON.stringify(outline);
+    if (outlineJson.length > maxChars) return { truncated: true, size: json.length };
+  }
+  return outline;
+}
+
+/**
+ * Hash of an entry chained to the hash before it
+ */
+function computeHash(prevHash, entry) {
+  const fields = Object.fromEntries(HASHED_FIELDS.map(field => [field, entry[field] ?? null]));
+  return crypto.createHash('sha256').update(`${prevHash}\n${canonicalJson(fields)}`).digest('hex');
+}
+
+const toEntry = (row) => ({
+  id: Number(row.id),
+  occurredAt: row.occurred_at instanceof Date ? row.occurred_at.toISOString() : row.occurred_at,
+  userId: row.user_id,
+  userEmail: row.user_email,
+  action: row.action,
+  entityType: row.entity_type,
+  entityId: row.entity_id,
+  division: row.division,
+  before: row.before_data,
+  after: row.after_data,
+  method: row.method,
+  path: row.path,
+  statusCode: row.status_code,
+  correlationId: row.correlation_id,
+  requestId: row.request_id,
+  ipAddress: row.ip_address,
+  prevHash: row.prev_hash,
+  hash: row.hash
+});
+
+/**
+ * Check consecutive entries against each other
+ * @param {object[]} entries - Entries in id order (toEntry shape)
+ * @param {string} expectedPrevHash - Hash of the entry before the first one
+ * @returns {{brokenAt: {id: number, reason: string}|null, lastHash: string}}
+ */
+function verifyEntries(entries, expectedPrevHash = GENESIS_HASH) {
+  let prevHash = expectedPrevHash;
+  for (const entry of entries) {
+    if (entry.prevHash !== prevHash) {
+      return { brokenAt: { id: entry.id, reason: 'Previous-hash link does not match the entry before it (entry removed or reordered)' }, lastHash: prevHash };
+    }
+    if (computeHash(entry.prevHash, entry) !== entry.hash) {
+      return { brokenAt: { id: entry.id, reason: 'Entry content does not match its hash (entry edited)' }, lastHash: prevHash };
+    }
+    prevHash = entry.hash;
+  }
+  return { brokenAt: null, lastHash: prevHash };
+}
+
+// ============================================================================
+// WRITING
+// ============================================================================
+
+/**
+ * Append one entry to the chain (serialized with an advisory lock)
+ * @returns {Promise<object>} Stored entry
+ */
+async function append(entry) {
+  await ensureTables();
+
+  const normalized = {
+    ...entry,
+    occurredAt: new Date().toISOString(),
+    before: summarizePayload(entry.before),
+    after: summarizePayload(entry.after)
+  };
+
+  const client = await authPool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [CHAIN_LOCK_KEY]);
+    const head = await client.query('SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1');
+    const prevHash = head.rows[0]?.hash || GENESIS_HASH;
+    const hash = computeHash(prevHash, normalized);
+
+    const result = await client.query(
+      `INSERT INTO audit_log (
+         occurred_at, user_id, user_email, action, entity_type, entity_id, division,
+         before_data, after_data, method, path, status_code, correlation_id, request_id, ip_address,
+         prev_hash, hash
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+       RETURNING *`,
+      [
+        normalized.occurredAt,
+        normalized.userId ?? null,
+        normalized.userEmail ?? null,
+        normalized.action,
+        normalized.entityType,
+        normalized.entityId ?? null,
+        normalized.division ?? null,
+        normalized.before === null ? null : JSON.stringify(normalized.before),
+        normalized.after === null ? null : JSON.stringify(normalized.after),
+        normalized.method ?? null,
+        normalized.path ?? null,
+        normalized.statusCode ?? null,
+        normalized.correlationId ?? null,
+        normalized.requestId ?? null,
+        normalized.ipAddress ?? null,
+        prevHash,
+        hash
+      ]
+    );
+    await client.query('COMMIT');
+    return toEntry(result.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Acting user: req.user, or the bearer token on routes that do not authenticate
+ */
+async function resolveActor(req) {
+  if (req?.user) return { userId: req.user.id ?? null, userEmail: req.user.email ?? null };
+
+  const header = req?.headers?.authorization;
+  if (!header || !header.startsWith('Bearer ')) return { userId: null, userEmail: null };
+  try {
+    // Required lazily: authService pulls in account security, which is not needed to read the log
+    const authService = require('./authService');
+    const decoded = await authService.verifyToken(header.substring(7));
+    return { userId: decoded.userId ?? null, userEmail: decoded.email ?? null };
+  } catch (error) {
+    return { userId: null, userEmail: null };
+  }
+}
+
+/**
+ * Request facts of an entry: correlation ids, method and path
+ */
+function requestContext(req) {
+  const correlation = req?.correlationContext || getCorrelationContext() || {};
+  return {
+    method: req?.method ?? null,
+    path: req?.originalUrl ? req.originalUrl.split('?')[0] : null,
+    correlationId: req?.correlationId || correlation.correlationId || null,
+    requestId: correlation.requestId || null,
+    ipAddress: req?.ip || correlation.ip || null
+  };
+}
+
+/**
+ * Record a change made by a request; the generic middleware then skips the request
+ * @param {object} req - Express request (actor and correlation come from it)
+ * @param {{action: string, entityType: string, entityId?: string|number, division?: string,
+ *          before?: *, after?: *, statusCode?: number}} change
+ * @returns {Promise<object|null>} Stored entry, null if it could not be written
+ */
+async function record(req, change) {
+  if (req) req.auditRecorded = true;
+  try {
+    return await append({
+      ...(await resolveActor(req)),
+      ...requestContext(req),
+      ...change,
+      entityId: change.entityId === undefined || change.entityId === null ? null : String(change.entityId),
+      division: change.division ? String(change.division).split('-')[0].toUpperCase() : null,
+      statusCode: change.statusCode ?? 200,
+      before: redact(change.before ?? null),
+      after: redact(change.after ?? null)
+    });
+  } catch (error) {
+    logger.error('Failed to write audit log entry', { action: change.action, error: error.message });
+    return null;
+  }
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+/**
+ * WHERE clause for the viewer filters
+ * @param {object} filters - from, to (dates), userId, user (email part), entityType, entityId,
+ *   action (part), division, correlationId, search (path, entity id or payload text)
+ */
+function buildFilter(filters = {}) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filters.from) {
+    const from = new Date(filters.from);
+    if (Number.isNaN(from.getTime())) throw auditError('Invalid from date', 400);
+    add('occurred_at >= ?', from.toISOString());
+  }
+  if (filters.to) {
+    const to = new Date(filters.to);
+    if (Number.isNaN(to.getTime())) throw auditError('Invalid to date', 400);
+    // A bare date includes the whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(filters.to))) to.setUTCDate(to.getUTCDate() + 1);
+    add('occurred_at < ?', to.toISOString());
+  }
+  if (filters.userId) add('user_id = ?', parseInt(filters.userId, 10));
+  if (filters.user) add('user_email ILIKE ?', `%${filters.user}%`);
+  if (filters.entityType) add('entity_type = ?', filters.entityType);
+  if (filters.entityId) add('entity_id = ?', String(filters.entityId));
+  if (filters.action) add('action ILIKE ?', `%${filters.action}%`);
+  if (filters.division) add('division = ?', String(filters.division).toUpperCase());
+  if (filters.correlationId) add('correlation_id = ?', filters.correlationId);
+  if (filters.search) {
+    params.push(`%${filters.search}%`);
+    const placeholder = `$${params.length}`;
+    conditions.push(`(path ILIKE ${placeholder} OR entity_id ILIKE ${placeholder}
+      OR before_data::text ILIKE ${placeholder} OR after_data::text ILIKE ${placeholder})`);
+  }
+
+  return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * Entries matching the filters, newest first
+ * @returns {Promise<{entries: object[], total: number, limit: number, offset: number}>}
+ */
+async function listEntries(filters = {}) {
+  await ensureTables();
+  const { where, params } = buildFilter(filters);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+  const [rows, count] = await Promise.all([
+    authPool.query(
+      `SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    authPool.query(`SELECT COUNT(*)::int AS total FROM audit_log ${where}`, params)
+  ]);
+
+  return { entries: rows.rows.map(toEntry), total: count.rows[0].total, limit, offset };
+}
+
+/**
+ * Values for the viewer's filter dropdowns
+ */
+async function getFilterOptions() {
+  await ensureTables();
+  const [entityTypes, users, divisions] = await Promise.all([
+    authPool.query('SELECT DISTINCT entity_type FROM audit_log ORDER BY entity_type'),
+    authPool.query('SELECT DISTINCT user_id, user_email FROM audit_log WHERE user_email IS NOT NULL ORDER BY user_email'),
+    authPool.query('SELECT DISTINCT division FROM audit_log WHERE division IS NOT NULL ORDER BY division')
+  ]);
+  return {
+    entityTypes: entityTypes.rows.map(row => row.entity_type),
+    users: users.rows.map(row => ({ id: row.user_id, email: row.user_email })),
+    divisions: divisions.rows.map(row => row.division)
+  };
+}
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV of entries (one line per entry, before / after as JSON)
+ */
+function toCsv(entries) {
+  const lines = [CSV_COLUMNS.map(([, label]) => label).join(',')];
+  entries.forEach(entry => {
+    lines.push(CSV_COLUMNS.map(([field]) => csvValue(entry[field])).join(','));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * CSV of all entries matching the filters (oldest first, up to EXPORT_LIMIT)
+ */
+async function exportCsv(filters = {}) {
+  await ensureTables();
+  const { where, params } = buildFilter(filters);
+  const result = await authPool.query(
+    `SELECT * FROM audit_log ${where} ORDER BY id LIMIT $${params.length + 1}`,
+    [...params, EXPORT_LIMIT]
+  );
+  return { csv: toCsv(result.rows.map(toEntry)), count: result.rows.length, limited: result.rows.length === EXPORT_LIMIT };
+}
+
+/**
+ * Walk the whole chain
+ * @returns {Promise<{valid: boolean, checked: number, headId: number|null, headHash: string, brokenAt: object|null}>}
+ */
+async function verifyChain() {
+  await ensureTables();
+  let lastId = 0;
+  let prevHash = GENESIS_HASH;
+  let checked = 0;
+
+  for (;;) {
+    const result = await authPool.query(
+      'SELECT * FROM audit_log WHERE id > $1 ORDER BY id LIMIT $2',
+      [lastId, VERIFY_BATCH_SIZE]
+    );
+    if (result.rows.length === 0) break;
+
+    const entries = result.rows.map(toEntry);
+    const { brokenAt } = verifyEntries(entries, prevHash);
+    if (brokenAt) {
+      const position = entries.findIndex(entry => entry.id === brokenAt.id);
+      logger.warn('Audit log chain broken', brokenAt);
+      return { valid: false, checked: checked + position, headId: lastId || null, headHash: prevHash, brokenAt };
+    }
+
+    checked += entries.length;
+    lastId = entries[entries.length - 1].id;
+    prevHash = entries[entries.length - 1].hash;
+  }
+
+  return { valid: true, checked, headId: lastId || null, headHash: prevHash, brokenAt: null };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  ensureTables,
+  canonicalJson,
+  redact,
+  summarizePayload,
+  computeHash,
+  verifyEntries,
+  resolveActor,
+  requestContext,
+  record,
+  append,
+  buildFilter,
+  listEntries,
+  getFilterOptions,
+  toCsv,
+  exportCsv,
+  verifyChain
+};
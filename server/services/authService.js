@@ -2,6 +2,7 @@ const bcrypt = require('bcryptjs');
 const logger = require('../utils/logger');
 const jwt = require('jsonwebtoken');
 const { authPool } = require('../database/config');
+const accountSecurity = require('./accountSecurityService');
 
 class AuthService {
   constructor() {
@@ -15,6 +16,9 @@ class AuthService {
     // Refresh token: 60 days (long-lived for persistent login)
     this.refreshTokenExpiry = process.env.JWT_REFRESH_EXPIRY || '60d';
     this.refreshTokenExpiryMs = 60 * 24 * 60 * 60 * 1000; // 60 days in milliseconds
+
+    // Two-factor challenge: 5 minutes between password and authenticator code
+    this.twoFactorChallengeExpiry = 300;
   }
 
   /**
@@ -134,101 +138,181 @@ class AuthService {
     }
   }
 
+  /**
+   * Sign-in row of a user, with lock state and whether a second factor is needed
+   */
+  async getLoginUser(where, value) {
+    await accountSecurity.ensureTables();
+    const userResult = await authPool.query(
+      `SELECT u.id, u.email, u.password_hash, u.name, u.role, u.photo_url, u.is_active, u.totp_enabled,
+              ${accountSecurity.LOCK_MINUTES_LEFT_SQL} AS lock_minutes_left
+       FROM users u
+       WHERE ${where} = $1`,
+      [value]
+    );
+    return userResult.rows[0] || null;
+  }
+
+  /**
+   * Count a failed attempt and throw the matching error (423 once the account locks)
+   */
+  async failLogin(userId, message) {
+    const { lockMinutesLeft } = await accountSecurity.recordFailedLogin(userId);
+    if (lockMinutesLeft) {
+      accountSecurity.assertNotLocked({ lock_minutes_left: lockMinutesLeft });
+    }
+    throw new Error(message);
+  }
+
   /**
    * Login user
+   * With two-factor enabled the password only earns a short-lived challenge token
+   * for completeTwoFactorLogin; no session exists until the code is checked.
    */
   async login(email, password, ipAddress, userAgent) {
     try {
       // Get user with password hash
-      const userResult = await authPool.query(
-        `SELECT u.id, u.email, u.password_hash, u.name, u.role, u.photo_url, u.is_active
-         FROM users u
-         WHERE u.email = $1`,
-        [email.toLowerCase()]
-      );
+      const user = await this.getLoginUser('u.email', email.toLowerCase());
 
-      if (userResult.rows.length === 0) {
+      if (!user) {
         throw new Error('Invalid email or password');
       }
 
-      const user = userResult.rows[0];
-
       // Check if user is active
       if (!user.is_active) {
         throw new Error('Account is deactivated. Please contact administrator.');
       }
 
+      // Locked accounts are refused before the password is even checked
+      accountSecurity.assertNotLocked(user);
+
       // Verify password
       const isPasswordValid = await bcrypt.compare(password, user.password_hash);
       if (!isPasswordValid) {
-        throw new Error('Invalid email or password');
+        await this.failLogin(user.id, 'Invalid email or password');
       }
 
-      // Get user divisions
-      const divisions = await this.getDivisionsForUser(user.id, user.role);
+      if (user.totp_enabled) {
+        const challengeToken = jwt.sign(
+          { userId: user.id, type: 'two_factor' },
+          this.jwtSecret,
+          { expiresIn: this.twoFactorChallengeExpiry }
+        );
+        return {
+          success: true,
+          twoFactorRequired: true,
+          challengeToken,
+          expiresIn: this.twoFactorChallengeExpiry
+        };
+      }
 
-      // Get user preferences
-      const prefsResult = await authPool.query(
-        'SELECT period_selection, base_period_index, theme, timezone FROM user_preferences WHERE user_id = $1',
-        [user.id]
-      );
-      const preferences = prefsResult.rows[0] || {};
+      await accountSecurity.recordSuccessfulLogin(user.id);
+      return await this.createSession(user, ipAddress, userAgent);
+    } catch (error) {
+      logger.error('Error logging in:', error);
+      throw error;
+    }
+  }
 
-      // Generate access token (short-lived, 15 minutes)
-      const accessToken = jwt.sign(
-        {
-          userId: user.id,
-          email: user.email,
-          role: user.role,
-          divisions: divisions,
-          type: 'access'
-        },
-        this.jwtSecret,
-        { expiresIn: this.accessTokenExpiry }
-      );
+  /**
+   * Second sign-in step: authenticator or recovery code for a challenge token from login()
+   */
+  async completeTwoFactorLogin(challengeToken, code, ipAddress, userAgent) {
+    try {
+      let decoded;
+      try {
+        decoded = jwt.verify(challengeToken, this.jwtSecret);
+      } catch (error) {
+        throw new Error('Sign-in expired. Please enter your password again.');
+      }
+      if (decoded.type !== 'two_factor') {
+        throw new Error('Invalid token type');
+      }
 
-      // Generate refresh token (long-lived, 60 days)
-      const refreshToken = jwt.sign(
-        {
-          userId: user.id,
-          email: user.email,
-          type: 'refresh'
-        },
-        this.refreshSecret,
-        { expiresIn: this.refreshTokenExpiry }
-      );
+      const user = await this.getLoginUser('u.id', decoded.userId);
+      if (!user || !user.is_active) {
+        throw new Error('Account is deactivated. Please contact administrator.');
+      }
+      accountSecurity.assertNotLocked(user);
 
-      // Store refresh token session (NO IDLE TIMEOUT - only expires after 60 days)
-      const expiresAt = new Date(Date.now() + this.refreshTokenExpiryMs);
-      const tokenHash = await bcrypt.hash(refreshToken, 10);
-      
-      await authPool.query(
-        `INSERT INTO user_sessions (user_id, token_hash, ip_address, user_agent, expires_at, last_activity)
-         VALUES ($1, $2, $3, $4, $5, NOW())`,
-        [user.id, tokenHash, ipAddress, userAgent, expiresAt]
-      );
+      const isCodeValid = await accountSecurity.verifySecondFactor(user.id, code);
+      if (!isCodeValid) {
+        await this.failLogin(user.id, 'Invalid authentication code');
+      }
 
-      return {
-        success: true,
-        accessToken,
-        refreshToken,
-        expiresIn: 900, // 15 minutes in seconds
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          role: user.role,
-          photoUrl: user.photo_url,
-          divisions: divisions,
-          preferences: preferences
-        }
-      };
+      await accountSecurity.recordSuccessfulLogin(user.id);
+      return await this.createSession(user, ipAddress, userAgent);
     } catch (error) {
-      logger.error('Error logging in:', error);
+      logger.error('Error completing two-factor login:', error);
       throw error;
     }
   }
 
+  /**
+   * Issue access and refresh tokens and store the session
+   */
+  async createSession(user, ipAddress, userAgent) {
+    // Get user divisions
+    const divisions = await this.getDivisionsForUser(user.id, user.role);
+
+    // Get user preferences
+    const prefsResult = await authPool.query(
+      'SELECT period_selection, base_period_index, theme, timezone FROM user_preferences WHERE user_id = $1',
+      [user.id]
+    );
+    const preferences = prefsResult.rows[0] || {};
+
+    // Generate access token (short-lived, 15 minutes)
+    const accessToken = jwt.sign(
+      {
+        userId: user.id,
+        email: user.email,
+        role: user.role,
+        divisions: divisions,
+        type: 'access'
+      },
+      this.jwtSecret,
+      { expiresIn: this.accessTokenExpiry }
+    );
+
+    // Generate refresh token (long-lived, 60 days)
+    const refreshToken = jwt.sign(
+      {
+        userId: user.id,
+        email: user.email,
+        type: 'refresh'
+      },
+      this.refreshSecret,
+      { expiresIn: this.refreshTokenExpiry }
+    );
+
+    // Store refresh token session (NO IDLE TIMEOUT - only expires after 60 days)
+    const expiresAt = new Date(Date.now() + this.refreshTokenExpiryMs);
+    const tokenHash = await bcrypt.hash(refreshToken, 10);
+
+    await authPool.query(
+      `INSERT INTO user_sessions (user_id, token_hash, ip_address, user_agent, expires_at, last_activity)
+       VALUES ($1, $2, $3, $4, $5, NOW())`,
+      [user.id, tokenHash, ipAddress, userAgent, expiresAt]
+    );
+
+    return {
+      success: true,
+      accessToken,
+      refreshToken,
+      expiresIn: 900, // 15 minutes in seconds
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        photoUrl: user.photo_url,
+        divisions: divisions,
+        preferences: preferences
+      }
+    };
+  }
+
   /**
    * Verify access token (used for API requests)
    */
@@ -410,6 +494,41 @@ class AuthService {
     }
   }
 
+  /**
+   * Set a new password with an e-mailed reset token; signs out everywhere and lifts a lock
+   */
+  async resetPassword(token, newPassword) {
+    try {
+      if (!this.validatePassword(newPassword)) {
+        throw new Error('New password must be at least 8 characters with uppercase, lowercase, and number');
+      }
+
+      const newPasswordHash = await bcrypt.hash(newPassword, 10);
+      const client = await authPool.connect();
+      try {
+        await client.query('BEGIN');
+        const userId = await accountSecurity.consumeResetToken(token, client);
+        await client.query(
+          `UPDATE users SET password_hash = $1, failed_login_attempts = 0, locked_until = NULL, updated_at = NOW()
+           WHERE id = $2`,
+          [newPasswordHash, userId]
+        );
+        await client.query('DELETE FROM user_sessions WHERE user_id = $1', [userId]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Error resetting password:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get user by ID with full details
    */
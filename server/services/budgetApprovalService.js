@@ -0,0 +1,499 @@
+/**
+ * Budget Approval Service
+ * Review workflow for sales-rep budgets: DRAFT → SUBMITTED → APPROVED / REJECTED
+ *
+ * STORAGE:
+ * - {div}_budget_approvals: Current state per division / sales rep / budget year
+ * - {div}_budget_approval_history: Every transition with actor and comments
+ *
+ * FLOW:
+ * - Sales rep budgets are edited in {div}_sales_rep_budget_draft while DRAFT or REJECTED
+ * - submit routes the budget to the managers mapped in user_sales_rep_access
+ * - approve writes the draft to {div}_sales_rep_budget (KGS / Amount / MoRM) and locks it
+ * - reject sends it back to the rep with comments; reopen (admin) unlocks an approved budget
+ *
+ * A budget without an approvals row is an untouched DRAFT.
+ */
+
+const { getDivisionPool } = require('../utils/divisionDatabaseManager');
+const logger = require('../utils/logger');
+const { loadBudgetPriceResolver } = require('./priceListService');
+const userService = require('./userService');
+const { canAccessSalesRep } = require('../utils/dataScope');
+
+const STATUSES = ['DRAFT', 'SUBMITTED', 'APPROVED', 'REJECTED'];
+const EDITABLE_STATUSES = ['DRAFT', 'REJECTED'];
+
+const TRANSITIONS = {
+  submit: { from: ['DRAFT', 'REJECTED'], to: 'SUBMITTED' },
+  withdraw: { from: ['SUBMITTED'], to: 'DRAFT' },
+  approve: { from: ['SUBMITTED'], to: 'APPROVED', reviewer: true },
+  reject: { from: ['SUBMITTED'], to: 'REJECTED', reviewer: true, commentsRequired: true },
+  reopen: { from: ['APPROVED'], to: 'DRAFT', adminOnly: true }
+};
+
+const extractDivisionCode = (division) => {
+  if (!division) return 'fp';
+  return division.split('-')[0].toLowerCase();
+};
+
+const getTableNames = (division) => {
+  const code = extractDivisionCode(division);
+  return {
+    salesRepBudget: `${code}_sales_rep_budget`,
+    salesRepBudgetDraft: `${code}_sales_rep_budget_draft`,
+    pricingRounding: `${code}_product_group_pricing_rounding`,
+    materialPercentages: `${code}_material_percentages`,
+    budgetApprovals: `${code}_budget_approvals`,
+    budgetApprovalHistory: `${code}_budget_approval_history`
+  };
+};
+
+const getPool = (division) => getDivisionPool(extractDivisionCode(division).toUpperCase());
+
+const approvalError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const tablesEnsuredForDivisions = new Set();
+
+async function ensureTables(division) {
+  const divisionCode = extractDivisionCode(division);
+  if (tablesEnsuredForDivisions.has(divisionCode)) return;
+
+  const tables = getTableNames(division);
+  await getPool(division).query(`
+    CREATE TABLE IF NOT EXISTS ${tables.budgetApprovals} (
+      id SERIAL PRIMARY KEY,
+      division VARCHAR(10) NOT NULL,
+      salesrepname VARCHAR(255) NOT NULL,
+      budget_year INTEGER NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'DRAFT'
+        CHECK (status IN ('DRAFT', 'SUBMITTED', 'APPROVED', 'REJECTED')),
+      submitted_by_id INTEGER,
+      submitted_by_name VARCHAR(255),
+      submitted_at TIMESTAMP,
+      assigned_manager_ids INTEGER[] DEFAULT '{}',
+      reviewed_by_id INTEGER,
+      reviewed_by_name VARCHAR(255),
+      reviewed_at TIMESTAMP,
+      review_comments TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS ${divisionCode}_budget_approvals_uniq
+      ON ${tables.budgetApprovals} (UPPER(division), UPPER(salesrepname), budget_year);
+
+    CREATE TABLE IF NOT EXISTS ${tables.budgetApprovalHistory} (
+      id SERIAL PRIMARY KEY,
+      approval_id INTEGER NOT NULL REFERENCES ${tables.budgetApprovals}(id) ON DELETE CASCADE,
+      action VARCHAR(20) NOT NULL,
+      from_status VARCHAR(20) NOT NULL,
+      to_status VARCHAR(20) NOT NULL,
+      actor_id INTEGER,
+      actor_name VARCHAR(255),
+      comments TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS ${divisionCode}_budget_approval_history_approval_idx
+      ON ${tables.budgetApprovalHistory} (approval_id, created_at);
+  `);
+
+  tablesEnsuredForDivisions.add(divisionCode);
+  logger.info(`✅ Budget approval tables ready for ${divisionCode.toUpperCase()}`);
+}
+
+/**
+ * Validate a transition and return the target status
+ * @param {string} status - Current status
+ * @param {string} action - submit | withdraw | approve | reject | reopen
+ * @param {object} [options]
+ * @param {string} [options.role] - Actor role
+ * @param {boolean} [options.isReviewer] - Actor is admin or an assigned manager
+ * @param {string} [options.comments] - Transition comments
+ * @returns {string} New status
+ */
+function assertTransition(status, action, { role, isReviewer = false, comments } = {}) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw approvalError(`Unknown approval action: ${action}`, 400);
+  }
+  if (!transition.from.includes(status)) {
+    throw approvalError(`Cannot ${action} a budget that is ${status}`, 409);
+  }
+  if (transition.adminOnly && role !== 'admin') {
+    throw approvalError(`Only administrators can ${action} an approved budget`, 403);
+  }
+  if (transition.reviewer && !isReviewer) {
+    throw approvalError('Only the assigned sales manager or an administrator can review this budget', 403);
+  }
+  if (transition.commentsRequired && !(comments && comments.trim())) {
+    throw approvalError(`Comments are required to ${action} a budget`, 400);
+  }
+  return transition.to;
+}
+
+/**
+ * Whether budget values may still be changed in this status
+ */
+const isEditable = (status) => EDITABLE_STATUSES.includes(status || 'DRAFT');
+
+/**
+ * Whether the user may work on a sales rep's budget: admins on every budget, sales reps
+ * on their own, managers (and reps) on the reps mapped to them in user_sales_rep_access
+ */
+async function canAccessBudget(user, division, salesRep) {
+  if (user.role === 'admin') return true;
+  const scope = await userService.getDataScope(user.id);
+  return !!scope && canAccessSalesRep(scope, division, salesRep);
+}
+
+/**
+ * Current approval record, or a virtual DRAFT record when none exists
+ */
+async function getApproval(division, salesRep, budgetYear, client = null) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const result = await (client || getPool(division)).query(`
+    SELECT * FROM ${tables.budgetApprovals}
+    WHERE UPPER(division) = UPPER($1) AND UPPER(salesrepname) = UPPER($2) AND budget_year = $3
+  `, [division, salesRep, parseInt(budgetYear, 10)]);
+
+  return result.rows[0] || {
+    id: null,
+    division,
+    salesrepname: salesRep,
+    budget_year: parseInt(budgetYear, 10),
+    status: 'DRAFT',
+    assigned_manager_ids: []
+  };
+}
+
+/**
+ * Approval record locked FOR UPDATE on the caller's transaction. A missing record is
+ * first created as DRAFT so concurrent transitions of one budget always queue on a row.
+ */
+async function lockApproval(client, division, salesRep, budgetYear) {
+  const tables = getTableNames(division);
+  await client.query(`
+    INSERT INTO ${tables.budgetApprovals} (division, salesrepname, budget_year, status)
+    VALUES ($1, $2, $3, 'DRAFT')
+    ON CONFLICT DO NOTHING
+  `, [division, salesRep, budgetYear]);
+
+  const result = await client.query(`
+    SELECT * FROM ${tables.budgetApprovals}
+    WHERE UPPER(division) = UPPER($1) AND UPPER(salesrepname) = UPPER($2) AND budget_year = $3
+    FOR UPDATE
+  `, [division, salesRep, budgetYear]);
+  return result.rows[0];
+}
+
+/**
+ * Approval record by id, or null
+ */
+async function getApprovalById(division, approvalId) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const result = await getPool(division).query(
+    `SELECT * FROM ${tables.budgetApprovals} WHERE id = $1 AND UPPER(division) = UPPER($2)`,
+    [approvalId, division]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Throw 409 when the budget is submitted or approved
+ */
+async function assertEditable(division, salesRep, budgetYear) {
+  const approval = await getApproval(division, salesRep, budgetYear);
+  if (!isEditable(approval.status)) {
+    throw approvalError(
+      `Budget for ${salesRep} ${budgetYear} is ${approval.status} and locked for editing`,
+      409
+    );
+  }
+  return approval;
+}
+
+async function getApprovalHistory(division, approvalId) {
+  if (!approvalId) return [];
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const result = await getPool(division).query(`
+    SELECT id, action, from_status, to_status, actor_id, actor_name, comments, created_at
+    FROM ${tables.budgetApprovalHistory}
+    WHERE approval_id = $1
+    ORDER BY created_at, id
+  `, [approvalId]);
+  return result.rows;
+}
+
+/**
+ * List approval records
+ * @param {string} division
+ * @param {object} [filters]
+ * @param {number} [filters.budgetYear]
+ * @param {string} [filters.status]
+ * @param {number} [filters.managerId] - Only budgets routed to this manager
+ */
+async function listApprovals(division, { budgetYear, status, managerId } = {}) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const conditions = ['UPPER(division) = UPPER($1)'];
+  const params = [division];
+
+  if (budgetYear) {
+    params.push(parseInt(budgetYear, 10));
+    conditions.push(`budget_year = $${params.length}`);
+  }
+  if (status) {
+    params.push(status.toUpperCase());
+    conditions.push(`status = $${params.length}`);
+  }
+  if (managerId) {
+    params.push(managerId);
+    conditions.push(`$${params.length} = ANY(assigned_manager_ids)`);
+  }
+
+  const result = await getPool(division).query(`
+    SELECT * FROM ${tables.budgetApprovals}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY updated_at DESC, salesrepname
+  `, params);
+  return result.rows;
+}
+
+/**
+ * Copy the draft into the final budget table with Amount / MoRM from the price list
+ * (approved price valid for each month, else previous-year rounded pricing)
+ * Runs on the caller's transaction client.
+ */
+async function writeFinalBudget(client, division, salesRep, budgetYear) {
+  const tables = getTableNames(division);
+  const divisionCode = extractDivisionCode(division);
+  const pricingYear = budgetYear - 1;
+
+  let materialProcessResult;
+  try {
+    materialProcessResult = await client.query(`
+      SELECT product_group, material, process FROM ${tables.materialPercentages}
+    `);
+  } catch (tableError) {
+    logger.error('❌ Error querying material table:', tableError);
+    throw new Error(`Material percentages table not found: ${tables.materialPercentages}. Please ensure the table exists for division ${division}.`);
+  }
+
+  const materialProcessMap = {};
+  materialProcessResult.rows.forEach(row => {
+    materialProcessMap[row.product_group.toLowerCase()] = {
+      material: row.material || '',
+      process: row.process || ''
+    };
+  });
+
+  const pricingResult = await client.query(`
+    SELECT product_group, asp_round, morm_round
+    FROM ${tables.pricingRounding}
+    WHERE UPPER(division) = UPPER($1) AND year = $2
+  `, [divisionCode, pricingYear]);
+
+  const pricingMap = {};
+  pricingResult.rows.forEach(row => {
+    pricingMap[row.product_group.toLowerCase()] = {
+      sellingPrice: row.asp_round ? parseFloat(row.asp_round) : null,
+      morm: row.morm_round ? parseFloat(row.morm_round) : null
+    };
+  });
+
+  const priceList = await loadBudgetPriceResolver(client, division, budgetYear, pricingMap);
+
+  const warnings = [];
+  if (Object.keys(pricingMap).length === 0 && priceList.approvedPrices === 0) {
+    warnings.push(`No pricing data found for year ${pricingYear}. Only KGS records will be created.`);
+  }
+
+  const draftResult = await client.query(`
+    SELECT * FROM ${tables.salesRepBudgetDraft}
+    WHERE UPPER(division) = UPPER($1) AND UPPER(salesrepname) = UPPER($2) AND budget_year = $3
+  `, [division, salesRep, budgetYear]);
+
+  if (draftResult.rows.length === 0) {
+    throw approvalError('No draft data found for this budget', 400);
+  }
+
+  await client.query(`
+    DELETE FROM ${tables.salesRepBudget}
+    WHERE UPPER(division) = UPPER($1) AND UPPER(salesrepname) = UPPER($2) AND budget_year = $3
+  `, [division, salesRep, budgetYear]);
+
+  const recordsInserted = { kgs: 0, amount: 0, morm: 0 };
+  const valueTotals = { kgs: 0, amount: 0, morm: 0 };
+
+  const insertRow = (draftRow, valuesType, value, materialProcess) => client.query(`
+    INSERT INTO ${tables.salesRepBudget} (
+      division, budget_year, month, type, salesrepname,
+      customername, countryname, productgroup,
+      values_type, values, material, process
+    ) VALUES ($1, $2, $3, 'Budget', $4, $5, $6, $7, $8, $9, $10, $11)
+  `, [division, budgetYear, draftRow.month, salesRep, draftRow.customername,
+      draftRow.countryname, draftRow.productgroup, valuesType, value,
+      materialProcess.material, materialProcess.process]);
+
+  for (const draftRow of draftResult.rows) {
+    const kgsValue = parseFloat(draftRow.values);
+    if (isNaN(kgsValue) || !draftRow.customername || !draftRow.countryname || !draftRow.productgroup) {
+      logger.warn('⚠️ Skipping invalid draft row:', draftRow);
+      continue;
+    }
+
+    const productGroupKey = draftRow.productgroup.toLowerCase();
+    const materialProcess = materialProcessMap[productGroupKey] || { material: '', process: '' };
+    const pricing = priceList.resolve({
+      productGroup: draftRow.productgroup,
+      customer: draftRow.customername,
+      country: draftRow.countryname,
+      year: budgetYear,
+      month: draftRow.month
+    });
+
+    await insertRow(draftRow, 'KGS', kgsValue, materialProcess);
+    recordsInserted.kgs++;
+    valueTotals.kgs += kgsValue;
+
+    if (pricing.sellingPrice !== null) {
+      const amountValue = kgsValue * pricing.sellingPrice;
+      await insertRow(draftRow, 'Amount', amountValue, materialProcess);
+      recordsInserted.amount++;
+      valueTotals.amount += amountValue;
+    }
+
+    if (pricing.morm !== null) {
+      const mormValue = kgsValue * pricing.morm;
+      await insertRow(draftRow, 'MoRM', mormValue, materialProcess);
+      recordsInserted.morm++;
+      valueTotals.morm += mormValue;
+    }
+  }
+
+  if (recordsInserted.kgs === 0) {
+    throw approvalError('No records were inserted. Please check that the budget has valid customer, country, and product group values.', 400);
+  }
+
+  await client.query(`
+    DELETE FROM ${tables.salesRepBudgetDraft}
+    WHERE UPPER(division) = UPPER($1) AND UPPER(salesrepname) = UPPER($2) AND budget_year = $3
+  `, [division, salesRep, budgetYear]);
+
+  return {
+    recordsInserted: { ...recordsInserted, total: recordsInserted.kgs + recordsInserted.amount + recordsInserted.morm },
+    valueTotals,
+    pricingYear,
+    warnings: warnings.length > 0 ? warnings : undefined
+  };
+}
+
+/**
+ * Move a budget through the workflow and record the history entry
+ * @param {string} division
+ * @param {object} params
+ * @param {string} params.salesRep
+ * @param {number} params.budgetYear
+ * @param {string} params.action - submit | withdraw | approve | reject | reopen
+ * @param {object} params.actor - { id, name, role }
+ * @param {boolean} [params.isReviewer] - Actor may approve / reject
+ * @param {number[]} [params.managerIds] - Managers to route a submission to
+ * @param {string} [params.comments]
+ * @returns {Promise<{approval: object, finalBudget: object|null}>}
+ */
+async function transitionBudget(division, { salesRep, budgetYear, action, actor, isReviewer = false, managerIds = [], comments = null }) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const year = parseInt(budgetYear, 10);
+  const client = await getPool(division).connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await lockApproval(client, division, salesRep, year);
+    const toStatus = assertTransition(current.status, action, { role: actor.role, isReviewer, comments });
+
+    if (action === 'submit') {
+      const draftCount = await client.query(`
+        SELECT COUNT(*) AS count FROM ${tables.salesRepBudgetDraft}
+        WHERE UPPER(division) = UPPER($1) AND UPPER(salesrepname) = UPPER($2) AND budget_year = $3
+      `, [division, salesRep, year]);
+      if (parseInt(draftCount.rows[0].count, 10) === 0) {
+        throw approvalError('No draft data found to submit. Please enter budget values and wait for auto-save before submitting.', 400);
+      }
+    }
+
+    const finalBudget = action === 'approve'
+      ? await writeFinalBudget(client, division, salesRep, year)
+      : null;
+
+    const approvalId = current.id;
+    const updates = ['status = $2', 'updated_at = CURRENT_TIMESTAMP'];
+    const params = [approvalId, toStatus];
+    const set = (column, value) => {
+      params.push(value);
+      updates.push(`${column} = $${params.length}`);
+    };
+
+    if (action === 'submit') {
+      set('submitted_by_id', actor.id);
+      set('submitted_by_name', actor.name);
+      set('submitted_at', new Date());
+      set('assigned_manager_ids', managerIds);
+      set('reviewed_by_id', null);
+      set('reviewed_by_name', null);
+      set('reviewed_at', null);
+      set('review_comments', null);
+    } else if (action === 'approve' || action === 'reject') {
+      set('reviewed_by_id', actor.id);
+      set('reviewed_by_name', actor.name);
+      set('reviewed_at', new Date());
+      set('review_comments', comments);
+    }
+
+    const updated = await client.query(`
+      UPDATE ${tables.budgetApprovals} SET ${updates.join(', ')}
+      WHERE id = $1
+      RETURNING *
+    `, params);
+
+    await client.query(`
+      INSERT INTO ${tables.budgetApprovalHistory}
+        (approval_id, action, from_status, to_status, actor_id, actor_name, comments)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [approvalId, action, current.status, toStatus, actor.id, actor.name, comments]);
+
+    await client.query('COMMIT');
+    logger.info(`✅ Budget ${action}: ${salesRep} ${year} ${current.status} → ${toStatus} by ${actor.name}`);
+
+    return { approval: updated.rows[0], finalBudget };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  assertTransition,
+  isEditable,
+  canAccessBudget,
+  getApproval,
+  getApprovalById,
+  assertEditable,
+  getApprovalHistory,
+  listApprovals,
+  transitionBudget
+};
@@ -0,0 +1,444 @@
+/**
+ * Budget Version Service
+ * Named, immutable snapshots of the sales-rep and divisional budgets with version-to-version diffs
+ *
+ * STORAGE:
+ * - {div}_budget_versions: One row per named version (Original, Rev1, Board-approved...)
+ * - {div}_budget_version_data: Snapshot rows at budget grain, normalized to the data_excel column names
+ *
+ * SCOPES:
+ * - SALES_REP: Snapshot of {div}_sales_rep_budget (type 'Budget') for a budget year
+ * - DIVISIONAL: Snapshot of {div}_divisional_budget for a budget year (no customer / sales rep breakdown)
+ *
+ * The live tables remain the single working copy; a version is a frozen copy taken on demand.
+ * Diffs accept 'current' on either side to compare a version with the live state.
+ */
+
+const { getDivisionPool } = require('../utils/divisionDatabaseManager');
+const logger = require('../utils/logger');
+
+const SCOPES = ['SALES_REP', 'DIVISIONAL'];
+const CURRENT = 'current';
+const DIFF_DIMENSIONS = ['salesrepname', 'customername', 'countryname', 'productgroup', 'month'];
+const DEFAULT_DIFF_DIMENSIONS = ['customername', 'productgroup', 'month'];
+const TOTAL_DIMENSIONS = ['salesrepname', 'customername', 'countryname', 'productgroup'];
+const DEFAULT_DIFF_LIMIT = 500;
+
+const extractDivisionCode = (division) => {
+  if (!division) return 'fp';
+  return division.split('-')[0].toLowerCase();
+};
+
+const getTableNames = (division) => {
+  const code = extractDivisionCode(division);
+  return {
+    salesRepBudget: `${code}_sales_rep_budget`,
+    divisionalBudget: `${code}_divisional_budget`,
+    budgetVersions: `${code}_budget_versions`,
+    budgetVersionData: `${code}_budget_version_data`
+  };
+};
+
+const getPool = (division) => getDivisionPool(extractDivisionCode(division).toUpperCase());
+
+const tablesEnsuredForDivisions = new Set();
+
+async function ensureTables(division) {
+  const divisionCode = extractDivisionCode(division);
+  if (tablesEnsuredForDivisions.has(divisionCode)) return;
+
+  const tables = getTableNames(division);
+  await getPool(division).query(`
+    CREATE TABLE IF NOT EXISTS ${tables.budgetVersions} (
+      id SERIAL PRIMARY KEY,
+      division VARCHAR(10) NOT NULL,
+      budget_year INTEGER NOT NULL,
+      scope VARCHAR(20) NOT NULL CHECK (scope IN ('SALES_REP', 'DIVISIONAL')),
+      version_name VARCHAR(100) NOT NULL,
+      description TEXT,
+      locked BOOLEAN NOT NULL DEFAULT FALSE,
+      record_count INTEGER DEFAULT 0,
+      totals JSONB DEFAULT '{}'::jsonb,
+      created_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT ${divisionCode}_budget_versions_name_uniq UNIQUE (division, budget_year, scope, version_name)
+    );
+
+    CREATE TABLE IF NOT EXISTS ${tables.budgetVersionData} (
+      id SERIAL PRIMARY KEY,
+      version_id INTEGER NOT NULL REFERENCES ${tables.budgetVersions}(id) ON DELETE CASCADE,
+      year INTEGER NOT NULL,
+      month INTEGER NOT NULL CHECK (month >= 1 AND month <= 12),
+      salesrepname VARCHAR(255),
+      customername VARCHAR(255),
+      countryname VARCHAR(255),
+      productgroup VARCHAR(255),
+      material VARCHAR(255),
+      process VARCHAR(255),
+      values_type VARCHAR(20) NOT NULL,
+      values NUMERIC(20, 4) NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_${tables.budgetVersionData}_version ON ${tables.budgetVersionData}(version_id, month);
+  `);
+
+  tablesEnsuredForDivisions.add(divisionCode);
+}
+
+/**
+ * SQL returning the live budget for a scope in the snapshot column layout
+ * Parameters: $1 = division, $2 = budget year
+ */
+function liveSourceQuery(tables, scope) {
+  if (scope === 'DIVISIONAL') {
+    return `
+      SELECT year, month,
+             NULL::varchar AS salesrepname, NULL::varchar AS customername, NULL::varchar AS countryname,
+             product_group AS productgroup, material, process,
+             UPPER(metric) AS values_type, value AS values
+      FROM public.${tables.divisionalBudget}
+      WHERE UPPER(division) = UPPER($1) AND year = $2
+    `;
+  }
+  return `
+    SELECT budget_year AS year, month,
+           salesrepname, customername, countryname,
+           productgroup, material, process,
+           UPPER(values_type) AS values_type, values
+    FROM public.${tables.salesRepBudget}
+    WHERE UPPER(division) = UPPER($1) AND budget_year = $2 AND UPPER(type) = 'BUDGET'
+  `;
+}
+
+/**
+ * Merge two aggregated row sets into per-key deltas
+ * Rows missing on one side count as zero, so added and removed lines show up as full deltas.
+ *
+ * @param {Object[]} fromRows - Aggregated rows of the base version ({...dimensions, values_type, total})
+ * @param {Object[]} toRows - Aggregated rows of the compared version
+ * @param {string[]} dimensions - Dimension columns making up the key
+ * @returns {{ rows: Object[], summary: Object }} Changed rows sorted by absolute delta, totals per values_type
+ */
+function diffAggregates(fromRows, toRows, dimensions) {
+  const keyOf = (row) => [...dimensions.map(dim => row[dim] ?? ''), row.values_type].join('|');
+  const merged = new Map();
+
+  const add = (rows, side) => {
+    rows.forEach(row => {
+      const key = keyOf(row);
+      if (!merged.has(key)) {
+        const entry = { values_type: row.values_type, from: 0, to: 0 };
+        dimensions.forEach(dim => { entry[dim] = row[dim] ?? null; });
+        merged.set(key, entry);
+      }
+      merged.get(key)[side] += parseFloat(row.total) || 0;
+    });
+  };
+  add(fromRows, 'from');
+  add(toRows, 'to');
+
+  const summary = {};
+  const rows = [];
+  merged.forEach(entry => {
+    const delta = entry.to - entry.from;
+    if (!summary[entry.values_type]) summary[entry.values_type] = { from: 0, to: 0, delta: 0 };
+    summary[entry.values_type].from += entry.from;
+    summary[entry.values_type].to += entry.to;
+    summary[entry.values_type].delta += delta;
+
+    if (Math.abs(delta) < 0.005) return;
+    rows.push({
+      ...entry,
+      delta,
+      deltaPct: entry.from !== 0 ? (delta / entry.from) * 100 : null,
+      change: entry.from === 0 ? 'ADDED' : entry.to === 0 ? 'REMOVED' : 'CHANGED'
+    });
+  });
+
+  rows.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  return { rows, summary };
+}
+
+async function getVersionRow(client, tables, division, versionId) {
+  const result = await client.query(
+    `SELECT * FROM ${tables.budgetVersions} WHERE division = $1 AND id = $2`,
+    [division.toUpperCase(), versionId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Freeze the current live budget of a scope/year as a named version
+ *
+ * @returns {Promise<Object>} Created version row
+ */
+async function createBudgetVersion({ division, budgetYear, scope, versionName, description, createdBy }) {
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`Unknown budget scope: ${scope}. Use one of: ${SCOPES.join(', ')}`);
+  }
+
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const client = await getPool(division).connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT id FROM ${tables.budgetVersions}
+       WHERE division = $1 AND budget_year = $2 AND scope = $3 AND LOWER(version_name) = LOWER($4)`,
+      [division.toUpperCase(), budgetYear, scope, versionName]
+    );
+    if (existing.rows.length > 0) {
+      throw new Error(`Version "${versionName}" already exists for ${scope} budget ${budgetYear}`);
+    }
+
+    const versionResult = await client.query(`
+      INSERT INTO ${tables.budgetVersions} (division, budget_year, scope, version_name, description, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [division.toUpperCase(), budgetYear, scope, versionName, description || null, createdBy || null]);
+    const version = versionResult.rows[0];
+
+    const insertResult = await client.query(`
+      INSERT INTO ${tables.budgetVersionData} (
+        version_id, year, month, salesrepname, customername, countryname,
+        productgroup, material, process, values_type, values
+      )
+      SELECT $3, year, month, salesrepname, customername, countryname,
+             productgroup, material, process, values_type, values
+      FROM (${liveSourceQuery(tables, scope)}) live
+    `, [division, budgetYear, version.id]);
+
+    if (insertResult.rowCount === 0) {
+      throw new Error(`No ${scope === 'DIVISIONAL' ? 'divisional' : 'sales rep'} budget found for ${budgetYear}`);
+    }
+
+    const totalsResult = await client.query(`
+      SELECT values_type, SUM(values) AS total
+      FROM ${tables.budgetVersionData}
+      WHERE version_id = $1
+      GROUP BY values_type
+    `, [version.id]);
+    const totals = totalsResult.rows.reduce((acc, row) => {
+      acc[row.values_type] = parseFloat(row.total) || 0;
+      return acc;
+    }, {});
+
+    const updated = await client.query(`
+      UPDATE ${tables.budgetVersions}
+      SET record_count = $2, totals = $3
+      WHERE id = $1
+      RETURNING *
+    `, [version.id, insertResult.rowCount, JSON.stringify(totals)]);
+
+    await client.query('COMMIT');
+
+    logger.info(`📸 Budget version "${versionName}" created for ${division.toUpperCase()} ${scope} ${budgetYear}: ${insertResult.rowCount} rows`);
+    return updated.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function listBudgetVersions(division, { budgetYear, scope } = {}) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+
+  const conditions = ['division = $1'];
+  const params = [division.toUpperCase()];
+  if (budgetYear) {
+    params.push(budgetYear);
+    conditions.push(`budget_year = $${params.length}`);
+  }
+  if (scope) {
+    params.push(scope);
+    conditions.push(`scope = $${params.length}`);
+  }
+
+  const result = await getPool(division).query(`
+    SELECT * FROM ${tables.budgetVersions}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY budget_year DESC, scope, created_at DESC
+  `, params);
+  return result.rows;
+}
+
+async function getBudgetVersion(division, versionId) {
+  await ensureTables(division);
+  return getVersionRow(getPool(division), getTableNames(division), division, versionId);
+}
+
+/**
+ * Lock or unlock a version - locked versions cannot be deleted
+ */
+async function setBudgetVersionLock(division, versionId, locked) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const result = await getPool(division).query(
+    `UPDATE ${tables.budgetVersions} SET locked = $3 WHERE division = $1 AND id = $2 RETURNING *`,
+    [division.toUpperCase(), versionId, locked]
+  );
+  return result.rows[0] || null;
+}
+
+async function deleteBudgetVersion(division, versionId) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const result = await getPool(division).query(
+    `DELETE FROM ${tables.budgetVersions} WHERE division = $1 AND id = $2 AND locked = FALSE RETURNING id`,
+    [division.toUpperCase(), versionId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Aggregate one side of a diff - a stored version or the live budget
+ */
+async function aggregateSide(pool, tables, division, side, dimensions, filters) {
+  const select = dimensions.map(dim => (dim === 'month' ? 'month' : `INITCAP(LOWER(TRIM(${dim}))) AS ${dim}`));
+  const groupBy = dimensions.map(dim => (dim === 'month' ? 'month' : `INITCAP(LOWER(TRIM(${dim})))`));
+
+  let source;
+  let params;
+  if (side.version) {
+    source = `SELECT * FROM ${tables.budgetVersionData} WHERE version_id = $1`;
+    params = [side.version.id];
+  } else {
+    source = liveSourceQuery(tables, side.scope);
+    params = [division, side.budgetYear];
+  }
+
+  const conditions = [];
+  if (filters.valuesType) {
+    params.push(filters.valuesType.toUpperCase());
+    conditions.push(`values_type = $${params.length}`);
+  }
+  if (filters.salesRep) {
+    params.push(filters.salesRep.trim().toUpperCase());
+    conditions.push(`UPPER(TRIM(salesrepname)) = $${params.length}`);
+  }
+
+  const result = await pool.query(`
+    SELECT ${[...select, 'values_type'].join(', ')}, SUM(values) AS total
+    FROM (${source}) src
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    GROUP BY ${[...groupBy, 'values_type'].join(', ')}
+  `, params);
+  return result.rows;
+}
+
+/**
+ * Compare two budget versions (or a version and the live budget)
+ *
+ * @param {string} division
+ * @param {number|string} fromId - Base version ID or 'current'
+ * @param {number|string} toId - Compared version ID or 'current'
+ * @param {Object} [options]
+ * @param {string[]} [options.dimensions] - Key dimensions (default customer, product group, month)
+ * @param {string} [options.valuesType] - KGS | AMOUNT | MORM
+ * @param {string} [options.salesRep] - Restrict to one sales rep
+ * @param {number} [options.limit] - Max changed rows returned
+ */
+async function diffBudgetVersions(division, fromId, toId, options = {}) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const pool = getPool(division);
+
+  const dimensions = (options.dimensions && options.dimensions.length > 0)
+    ? options.dimensions.filter(dim => DIFF_DIMENSIONS.includes(dim))
+    : DEFAULT_DIFF_DIMENSIONS;
+  const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_DIFF_LIMIT, 5000);
+
+  const fromVersion = fromId === CURRENT ? null : await getVersionRow(pool, tables, division, fromId);
+  const toVersion = toId === CURRENT ? null : await getVersionRow(pool, tables, division, toId);
+
+  if (fromId !== CURRENT && !fromVersion) throw new Error(`Budget version ${fromId} not found`);
+  if (toId !== CURRENT && !toVersion) throw new Error(`Budget version ${toId} not found`);
+  if (!fromVersion && !toVersion) throw new Error('At least one side of the diff must be a saved version');
+  if (fromVersion && toVersion && fromVersion.scope !== toVersion.scope) {
+    throw new Error('Cannot compare a sales rep budget version with a divisional budget version');
+  }
+
+  const anchor = fromVersion || toVersion;
+  const describe = (version) => (version
+    ? { id: version.id, name: version.version_name, budgetYear: version.budget_year, createdAt: version.created_at }
+    : { id: CURRENT, name: 'Current', budgetYear: anchor.budget_year });
+  const sideOf = (version) => ({ version, scope: anchor.scope, budgetYear: anchor.budget_year });
+
+  const [fromRows, toRows] = await Promise.all([
+    aggregateSide(pool, tables, division, sideOf(fromVersion), dimensions, options),
+    aggregateSide(pool, tables, division, sideOf(toVersion), dimensions, options)
+  ]);
+
+  const { rows, summary } = diffAggregates(fromRows, toRows, dimensions);
+
+  return {
+    scope: anchor.scope,
+    from: describe(fromVersion),
+    to: describe(toVersion),
+    dimensions,
+    summary,
+    changedRows: rows.length,
+    rows: rows.slice(0, limit)
+  };
+}
+
+/**
+ * Totals of a version for period columns, grouped by one dimension
+ *
+ * @param {string} division
+ * @param {number} versionId
+ * @param {Object} options
+ * @param {number[]} [options.months] - Months to include (default all)
+ * @param {string} [options.groupBy] - salesrepname | customername | countryname | productgroup
+ * @param {string} [options.valuesType] - Restrict to one values type
+ * @returns {Promise<Object[]>} Rows of { [groupBy], values_type, total }
+ */
+async function getBudgetVersionTotals(division, versionId, { months, groupBy, valuesType } = {}) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+
+  if (groupBy && !TOTAL_DIMENSIONS.includes(groupBy)) {
+    throw new Error(`Invalid groupBy: ${groupBy}`);
+  }
+
+  const params = [versionId];
+  const conditions = ['version_id = $1'];
+  if (Array.isArray(months) && months.length > 0) {
+    params.push(months.map(Number));
+    conditions.push(`month = ANY($${params.length}::int[])`);
+  }
+  if (valuesType) {
+    params.push(valuesType.toUpperCase());
+    conditions.push(`values_type = $${params.length}`);
+  }
+
+  const groupColumn = groupBy ? `UPPER(TRIM(${groupBy}))` : null;
+  const result = await getPool(division).query(`
+    SELECT ${groupColumn ? `${groupColumn} AS ${groupBy}, ` : ''}values_type, SUM(values) AS total
+    FROM ${tables.budgetVersionData}
+    WHERE ${conditions.join(' AND ')}
+    GROUP BY ${groupColumn ? `${groupColumn}, ` : ''}values_type
+  `, params);
+
+  return result.rows.map(row => ({ ...row, total: parseFloat(row.total) || 0 }));
+}
+
+module.exports = {
+  SCOPES,
+  CURRENT,
+  DIFF_DIMENSIONS,
+  ensureTables,
+  createBudgetVersion,
+  listBudgetVersions,
+  getBudgetVersion,
+  setBudgetVersionLock,
+  deleteBudgetVersion,
+  diffBudgetVersions,
+  getBudgetVersionTotals,
+  diffAggregates
+};
@@ -0,0 +1,538 @@
+/**
+ * Country Master Service
+ * Editable country reference data: region, market type, currency and map coordinates,
+ * plus the aliases the division data uses for each country ("KSA", "Kingdom Of Saudi Arabia")
+ *
+ * STORAGE (auth database, company-wide):
+ * - country_master: one row per country
+ * - country_aliases: other spellings of a country (one country per alias)
+ * Both tables are seeded once from WorldCountriesService.getWorldCountriesDatabase().
+ *
+ * RESOLVING A COUNTRY NAME:
+ * Exact match (case and spacing ignored) on the country name or one of its aliases.
+ * Names that do not resolve are "Unassigned" until an administrator adds them as an
+ * alias (or as a new country) from Master Data > Country Master.
+ *
+ * The lookup index is cached for INDEX_TTL_MS and dropped on every change.
+ */
+
+const { authPool } = require('../database/config');
+const { getDivisionPool } = require('../utils/divisionDatabaseManager');
+const logger = require('../utils/logger');
+
+const MARKET_TYPES = ['Local', 'Export'];
+const UNASSIGNED = 'Unassigned';
+const INDEX_TTL_MS = 60 * 1000;
+
+// Words that say nothing about which country a name means
+const GENERIC_WORDS = new Set(['the', 'of', 'and', 'republic', 'democratic', 'state', 'states', 'kingdom', 'islands', 'island', 'united', 'federal', 'people\'s']);
+
+const countryError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeCountryName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+let tablesEnsured = false;
+let indexCache = null;
+
+async function ensureTables() {
+  if (tablesEnsured) return;
+
+  await authPool.query(`
+    CREATE TABLE IF NOT EXISTS country_master (
+      id SERIAL PRIMARY KEY,
+      country_name VARCHAR(150) NOT NULL,
+      normalized_name VARCHAR(150) NOT NULL UNIQUE,
+      region VARCHAR(100) NOT NULL,
+      market_type VARCHAR(20) NOT NULL DEFAULT 'Export',
+      currency_code VARCHAR(3),
+      currency_name VARCHAR(100),
+      currency_symbol VARCHAR(20),
+      longitude NUMERIC(9, 4),
+      latitude NUMERIC(9, 4),
+      updated_by VARCHAR(255),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS country_aliases (
+      id SERIAL PRIMARY KEY,
+      country_id INTEGER NOT NULL REFERENCES country_master(id) ON DELETE CASCADE,
+      alias VARCHAR(150) NOT NULL,
+      normalized_alias VARCHAR(150) NOT NULL UNIQUE,
+      created_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_country_aliases_country ON country_aliases(country_id);
+  `);
+
+  const count = await authPool.query('SELECT COUNT(*)::int AS count FROM country_master');
+  if (count.rows[0].count === 0) {
+    await seedCountries();
+  }
+
+  tablesEnsured = true;
+}
+
+// ============================================================================
+// SEED & LOOKUP
+// ============================================================================
+
+/**
+ * Countries from the built-in database: keys with the same attributes are one country,
+ * the first key is its name and the others (apart from case variants) its aliases
+ *
+ * @param {Object} worldDB - { name: { region, marketType, coordinates, currency } }
+ * @returns {Array<{ name, region, marketType, currency, coordinates, aliases }>}
+ */
+function buildSeedCountries(worldDB) {
+  const groups = new Map();
+  Object.entries(worldDB).forEach(([name, data]) => {
+    const key = JSON.stringify(data);
+    if (!groups.has(key)) {
+      groups.set(key, { ...data, name, aliases: [], seen: new Set([normalizeCountryName(name)]) });
+      return;
+    }
+    const group = groups.get(key);
+    const normalized = normalizeCountryName(name);
+    if (!group.seen.has(normalized)) {
+      group.seen.add(normalized);
+      group.aliases.push(name);
+    }
+  });
+
+  return [...groups.values()].map(({ seen, ...country }) => country);
+}
+
+async function seedCountries() {
+  // Loaded here: WorldCountriesService reads the master through this module
+  const WorldCountriesService = require('../database/WorldCountriesService');
+  const countries = buildSeedCountries(new WorldCountriesService().getWorldCountriesDatabase());
+
+  const client = await authPool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const country of countries) {
+      const inserted = await client.query(`
+        INSERT INTO country_master
+          (country_name, normalized_name, region, market_type, currency_code, currency_name, currency_symbol, longitude, latitude, updated_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'system')
+        ON CONFLICT (normalized_name) DO NOTHING
+        RETURNING id
+      `, [
+        country.name,
+        normalizeCountryName(country.name),
+        country.region,
+        country.marketType,
+        country.currency?.code || null,
+        country.currency?.name || null,
+        country.currency?.symbol || null,
+        country.coordinates ? country.coordinates[0] : null,
+        country.coordinates ? country.coordinates[1] : null
+      ]);
+      if (inserted.rows.length === 0) continue;
+
+      for (const alias of country.aliases) {
+        await client.query(`
+          INSERT INTO country_aliases (country_id, alias, normalized_alias, created_by)
+          VALUES ($1, $2, $3, 'system')
+          ON CONFLICT (normalized_alias) DO NOTHING
+        `, [inserted.rows[0].id, alias, normalizeCountryName(alias)]);
+      }
+    }
+    await client.query('COMMIT');
+    logger.info(`🌍 Country master seeded with ${countries.length} countries`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * API shape of a country_master row (aliases as an array of { id, alias })
+ */
+const toCountry = (row) => ({
+  id: row.id,
+  name: row.country_name,
+  region: row.region,
+  marketType: row.market_type,
+  currency: row.currency_code
+    ? { code: row.currency_code, name: row.currency_name, symbol: row.currency_symbol }
+    : null,
+  coordinates: row.longitude !== null && row.latitude !== null && row.longitude !== undefined
+    ? [parseFloat(row.longitude), parseFloat(row.latitude)]
+    : null,
+  aliases: row.aliases || [],
+  updatedBy: row.updated_by || null,
+  updatedAt: row.updated_at || null
+});
+
+/**
+ * Normalized country name or alias → country
+ */
+function buildCountryIndex(countries) {
+  const index = new Map();
+  countries.forEach(country => {
+    index.set(normalizeCountryName(country.name), country);
+    (country.aliases || []).forEach(alias => {
+      index.set(normalizeCountryName(typeof alias === 'string' ? alias : alias.alias), country);
+    });
+  });
+  return index;
+}
+
+/**
+ * @returns {Object|null} country of a name as used in the division data
+ */
+function resolveCountry(name, index) {
+  return index.get(normalizeCountryName(name)) || null;
+}
+
+/**
+ * Normalized name and aliases of the country a name resolves to (just the name when it does not)
+ */
+function getCountryNames(name, index) {
+  const country = resolveCountry(name, index);
+  if (!country) return [normalizeCountryName(name)];
+  return [country.name, ...(country.aliases || []).map(alias => (typeof alias === 'string' ? alias : alias.alias))]
+    .map(normalizeCountryName);
+}
+
+/**
+ * Add up { country, value } rows per master country; unresolved names stay as they are
+ */
+function canonicalizeCountryTotals(rows, index, { nameKey = 'country', valueKey = 'value' } = {}) {
+  const totals = new Map();
+  rows.forEach(row => {
+    const country = resolveCountry(row[nameKey], index);
+    const name = country ? country.name : row[nameKey];
+    const key = normalizeCountryName(name);
+    const entry = totals.get(key) || { ...row, [nameKey]: name, [valueKey]: 0 };
+    entry[valueKey] += Number(row[valueKey]) || 0;
+    totals.set(key, entry);
+  });
+  return [...totals.values()].sort((a, b) => b[valueKey] - a[valueKey]);
+}
+
+/**
+ * Best guess for an unassigned name: the country sharing the most meaningful words with it
+ * @returns {Object|null} country
+ */
+function suggestCountry(name, countries) {
+  const words = (text) => normalizeCountryName(text)
+    .replace(/[^a-z'\s-]/g, ' ')
+    .split(/[\s-]+/)
+    .filter(word => word.length > 1 && !GENERIC_WORDS.has(word));
+  const nameWords = new Set(words(name));
+  if (nameWords.size === 0) return null;
+
+  let best = null;
+  let bestScore = 0;
+  countries.forEach(country => {
+    [country.name, ...(country.aliases || []).map(alias => (typeof alias === 'string' ? alias : alias.alias))].forEach(candidate => {
+      const candidateWords = words(candidate);
+      const shared = candidateWords.filter(word => nameWords.has(word)).length;
+      const score = shared / Math.max(nameWords.size, candidateWords.length);
+      if (score > bestScore) {
+        best = country;
+        bestScore = score;
+      }
+    });
+  });
+  return bestScore >= 0.5 ? best : null;
+}
+
+/**
+ * Clean country attributes from a request body
+ * @param {Object} input - { name, region, marketType, currencyCode, currencyName, currencySymbol, longitude, latitude }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Update: only the given fields
+ */
+function validateCountryInput(input = {}, { partial = false } = {}) {
+  const fields = {};
+  const text = (value, max) => {
+    const cleaned = value === null || value === undefined ? '' : String(value).trim();
+    return cleaned ? cleaned.slice(0, max) : null;
+  };
+  const coordinate = (value, limit, label) => {
+    if (value === null || value === undefined || value === '') return null;
+    const parsed = parseFloat(value);
+    if (!Number.isFinite(parsed) || Math.abs(parsed) > limit) throw countryError(`${label} must be between -${limit} and ${limit}`, 400);
+    return parsed;
+  };
+
+  if (!partial || input.name !== undefined) {
+    fields.country_name = text(input.name, 150);
+    if (!fields.country_name) throw countryError('Country name is required', 400);
+    fields.normalized_name = normalizeCountryName(fields.country_name);
+  }
+  if (!partial || input.region !== undefined) {
+    fields.region = text(input.region, 100);
+    if (!fields.region || fields.region === UNASSIGNED) throw countryError('Region is required', 400);
+  }
+  if (!partial || input.marketType !== undefined) {
+    fields.market_type = input.marketType || 'Export';
+    if (!MARKET_TYPES.includes(fields.market_type)) {
+      throw countryError(`Market type must be one of: ${MARKET_TYPES.join(', ')}`, 400);
+    }
+  }
+  if (!partial || input.currencyCode !== undefined) {
+    fields.currency_code = text(input.currencyCode, 3);
+    if (fields.currency_code) fields.currency_code = fields.currency_code.toUpperCase();
+  }
+  if (!partial || input.currencyName !== undefined) fields.currency_name = text(input.currencyName, 100);
+  if (!partial || input.currencySymbol !== undefined) fields.currency_symbol = text(input.currencySymbol, 20);
+  if (!partial || input.longitude !== undefined) fields.longitude = coordinate(input.longitude, 180, 'Longitude');
+  if (!partial || input.latitude !== undefined) fields.latitude = coordinate(input.latitude, 90, 'Latitude');
+
+  return fields;
+}
+
+// ============================================================================
+// COUNTRIES
+// ============================================================================
+
+/**
+ * All countries with their aliases
+ * @param {Object} [filters] - { search, region }
+ */
+async function listCountries({ search, region } = {}) {
+  await ensureTables();
+  const conditions = [];
+  const params = [];
+
+  if (search) {
+    params.push(`%${normalizeCountryName(search)}%`);
+    conditions.push(`(c.normalized_name LIKE $${params.length}
+      OR EXISTS (SELECT 1 FROM country_aliases a2 WHERE a2.country_id = c.id AND a2.normalized_alias LIKE $${params.length}))`);
+  }
+  if (region) {
+    params.push(String(region).trim());
+    conditions.push(`c.region = $${params.length}`);
+  }
+
+  const result = await authPool.query(`
+    SELECT c.*,
+      COALESCE(JSON_AGG(JSON_BUILD_OBJECT('id', a.id, 'alias', a.alias) ORDER BY a.alias)
+        FILTER (WHERE a.id IS NOT NULL), '[]') AS aliases
+    FROM country_master c
+    LEFT JOIN country_aliases a ON a.country_id = c.id
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    GROUP BY c.id
+    ORDER BY c.country_name
+  `, params);
+  return result.rows.map(toCountry);
+}
+
+/**
+ * Cached lookup index for the geographic services
+ * @returns {Promise<Map>} normalized name / alias → country
+ */
+async function getCountryIndex() {
+  if (indexCache && Date.now() - indexCache.loadedAt < INDEX_TTL_MS) {
+    return indexCache.index;
+  }
+  const index = buildCountryIndex(await listCountries());
+  indexCache = { index, loadedAt: Date.now() };
+  return index;
+}
+
+/**
+ * Lookup index, or an empty one when the country master cannot be read
+ * (reports then show every country as Unassigned instead of failing)
+ */
+async function getCountryIndexSafe() {
+  try {
+    return await getCountryIndex();
+  } catch (error) {
+    logger.error('Error loading country master:', error);
+    return new Map();
+  }
+}
+
+const invalidateIndex = () => {
+  indexCache = null;
+};
+
+async function getRegions() {
+  await ensureTables();
+  const result = await authPool.query('SELECT DISTINCT region FROM country_master ORDER BY region');
+  return result.rows.map(row => row.region);
+}
+
+/**
+ * Refuse a name or alias another country already uses
+ */
+async function assertNameFree(client, normalized, countryId = null) {
+  const taken = await client.query(`
+    SELECT c.country_name FROM country_master c WHERE c.normalized_name = $1 AND c.id IS DISTINCT FROM $2
+    UNION ALL
+    SELECT c.country_name FROM country_aliases a JOIN country_master c ON c.id = a.country_id
+    WHERE a.normalized_alias = $1 AND a.country_id IS DISTINCT FROM $2
+  `, [normalized, countryId]);
+  if (taken.rows.length > 0) {
+    throw countryError(`"${normalized}" is already used by ${taken.rows[0].country_name}`, 409);
+  }
+}
+
+async function createCountry(input, updatedBy) {
+  await ensureTables();
+  const fields = validateCountryInput(input);
+  await assertNameFree(authPool, fields.normalized_name);
+
+  const columns = Object.keys(fields);
+  const result = await authPool.query(`
+    INSERT INTO country_master (${columns.join(', ')}, updated_by)
+    VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')}, $${columns.length + 1})
+    RETURNING *
+  `, [...columns.map(column => fields[column]), updatedBy]);
+
+  invalidateIndex();
+  return toCountry(result.rows[0]);
+}
+
+async function updateCountry(id, input, updatedBy) {
+  await ensureTables();
+  const fields = validateCountryInput(input, { partial: true });
+  const columns = Object.keys(fields);
+  if (columns.length === 0) throw countryError('Nothing to update', 400);
+  if (fields.normalized_name) await assertNameFree(authPool, fields.normalized_name, parseInt(id, 10));
+
+  const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+  const result = await authPool.query(`
+    UPDATE country_master
+    SET ${assignments.join(', ')}, updated_by = $${columns.length + 2}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [id, ...columns.map(column => fields[column]), updatedBy]);
+
+  if (result.rows.length === 0) throw countryError('Country not found', 404);
+  invalidateIndex();
+  return toCountry(result.rows[0]);
+}
+
+async function deleteCountry(id) {
+  await ensureTables();
+  const result = await authPool.query('DELETE FROM country_master WHERE id = $1 RETURNING *', [id]);
+  if (result.rows.length === 0) throw countryError('Country not found', 404);
+  invalidateIndex();
+  return toCountry(result.rows[0]);
+}
+
+// ============================================================================
+// ALIASES
+// ============================================================================
+
+/**
+ * Map another spelling to a country (also how an unassigned name is resolved)
+ */
+async function addAlias(countryId, alias, createdBy) {
+  await ensureTables();
+  const cleaned = String(alias || '').trim();
+  if (!cleaned) throw countryError('Alias is required', 400);
+  const normalized = normalizeCountryName(cleaned);
+
+  const country = await authPool.query('SELECT id, normalized_name FROM country_master WHERE id = $1', [countryId]);
+  if (country.rows.length === 0) throw countryError('Country not found', 404);
+  if (country.rows[0].normalized_name === normalized) throw countryError('The alias is the country name itself', 400);
+  await assertNameFree(authPool, normalized);
+
+  const result = await authPool.query(`
+    INSERT INTO country_aliases (country_id, alias, normalized_alias, created_by)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id, alias
+  `, [countryId, cleaned.slice(0, 150), normalized, createdBy]);
+
+  invalidateIndex();
+  return result.rows[0];
+}
+
+async function removeAlias(countryId, aliasId) {
+  await ensureTables();
+  const result = await authPool.query(
+    'DELETE FROM country_aliases WHERE id = $1 AND country_id = $2 RETURNING id, alias',
+    [aliasId, countryId]
+  );
+  if (result.rows.length === 0) throw countryError('Alias not found', 404);
+  invalidateIndex();
+  return result.rows[0];
+}
+
+// ============================================================================
+// DIVISION DATA
+// ============================================================================
+
+/**
+ * Country names in {div}_data_excel that resolve to no country, largest first,
+ * with a suggested country to map them to
+ */
+async function getUnassignedCountries(division = 'FP') {
+  await ensureTables();
+  const divisionCode = String(division || 'FP').split('-')[0].toUpperCase();
+
+  const result = await getDivisionPool(divisionCode).query(`
+    SELECT
+      MIN(TRIM(countryname)) AS country,
+      SUM(CASE WHEN UPPER(values_type) = 'AMOUNT' THEN values ELSE 0 END) AS amount
+    FROM ${divisionCode.toLowerCase()}_data_excel
+    WHERE countryname IS NOT NULL
+      AND TRIM(countryname) != ''
+    GROUP BY LOWER(TRIM(countryname))
+    ORDER BY amount DESC
+  `);
+
+  const countries = await listCountries();
+  const index = buildCountryIndex(countries);
+  const unassigned = [];
+  let assignedCountries = 0;
+
+  result.rows.forEach(row => {
+    if (resolveCountry(row.country, index)) {
+      assignedCountries++;
+      return;
+    }
+    const suggestion = suggestCountry(row.country, countries);
+    unassigned.push({
+      country: row.country,
+      amount: parseFloat(row.amount) || 0,
+      currentRegion: UNASSIGNED,
+      suggestion: suggestion
+        ? { id: suggestion.id, name: suggestion.name, region: suggestion.region, marketType: suggestion.marketType }
+        : null
+    });
+  });
+
+  return {
+    unassigned,
+    totalCountries: result.rows.length,
+    assignedCountries
+  };
+}
+
+module.exports = {
+  MARKET_TYPES,
+  UNASSIGNED,
+  normalizeCountryName,
+  buildSeedCountries,
+  buildCountryIndex,
+  resolveCountry,
+  getCountryNames,
+  canonicalizeCountryTotals,
+  suggestCountry,
+  validateCountryInput,
+  listCountries,
+  getCountryIndex,
+  getCountryIndexSafe,
+  getRegions,
+  createCountry,
+  updateCountry,
+  deleteCountry,
+  addAlias,
+  removeAlias,
+  getUnassignedCountries
+};
@@ -0,0 +1,383 @@
+/**
+ * Customer Lifecycle Service
+ * Monthly lifecycle status of every customer of a division and acquisition-cohort retention
+ *
+ * STATUS (per customer and month, from Actual sales of the chosen measure):
+ * - new: first purchase ever in this month
+ * - reactivated: buys again after having been lost
+ * - lost: no purchase for LOST_AFTER_MONTHS (12) months or more
+ * - declining: last 12 months down 30-90% on the 12 months before, the same "at risk" band
+ *   as the customer key facts report
+ * - active: any other customer with a purchase in the last 12 months
+ *
+ * COHORTS:
+ * Customers grouped by the month / quarter / year of their first purchase, with the share of each
+ * cohort that bought again in every later period. With segmentBy (salesrep, country, productgroup)
+ * the unit is the customer within the segment: a customer acquired by one sales rep who later buys
+ * through another one is retained for the second rep only.
+ *
+ * Sales come from {div}_data_excel through the pivot SQL (services/pivotQueryService), so customers
+ * carry their merged names and the caller's data scope and report currency apply. The first month
+ * with data counts as the acquisition month of customers that were buying before it.
+ */
+
+const logger = require('../utils/logger');
+const { getDivisionPool } = require('../utils/divisionDatabaseManager');
+const { normalizeDivisionCode } = require('../database/DivisionDataService');
+const pivotQueryService = require('./pivotQueryService');
+const { normalizeName } = require('./customerMasterService');
+
+const STATUSES = ['new', 'active', 'reactivated', 'declining', 'lost'];
+const SEGMENTS = ['salesrep', 'country', 'productgroup'];
+const MEASURES = ['kgs', 'amount'];
+const COHORT_PERIODS = ['month', 'quarter', 'year'];
+
+const LOST_AFTER_MONTHS = 12;
+const TRAILING_MONTHS = 12;
+const DECLINE_MIN = 0.3;
+const DECLINE_MAX = 0.9;
+const DEFAULT_WINDOW = 12;
+const MAX_WINDOW = 60;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const lifecycleError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/** Months are counted as year * 12 + (month - 1) so that gaps are plain differences */
+const toIndex = (year, month) => year * 12 + (month - 1);
+const toYear = (index) => Math.floor(index / 12);
+const toMonth = (index) => (index % 12) + 1;
+const monthKey = (index) => `${toYear(index)}-${String(toMonth(index)).padStart(2, '0')}`;
+
+const round = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Validate a lifecycle request
+ * @param {Object} input - { division, year, month, months, measure, segmentBy, cohortPeriod }
+ * @returns {Object} Normalized request; year/month stay null when the latest data month is meant
+ */
+function validateLifecycleQuery(input = {}) {
+  const divisionCode = normalizeDivisionCode(input.division);
+
+  let year = null;
+  if (input.year !== undefined && input.year !== null && input.year !== '') {
+    year = parseInt(input.year, 10);
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+      throw lifecycleError(`Invalid year: ${input.year}`, 400);
+    }
+  }
+
+  let month = null;
+  if (input.month !== undefined && input.month !== null && input.month !== '') {
+    month = parseInt(input.month, 10);
+    if (!Number.isInteger(month) || month < 1 || month > 12) {
+      throw lifecycleError('Month must be between 1 and 12', 400);
+    }
+    if (year === null) throw lifecycleError('A month needs a year', 400);
+  }
+
+  const months = input.months === undefined || input.months === null || input.months === ''
+    ? DEFAULT_WINDOW
+    : parseInt(input.months, 10);
+  if (!Number.isInteger(months) || months < 1 || months > MAX_WINDOW) {
+    throw lifecycleError(`Months must be between 1 and ${MAX_WINDOW}`, 400);
+  }
+
+  const measure = String(input.measure || 'kgs').trim().toLowerCase();
+  if (!MEASURES.includes(measure)) throw lifecycleError('Measure must be kgs or amount', 400);
+
+  let segmentBy = null;
+  if (input.segmentBy) {
+    segmentBy = String(input.segmentBy).trim().toLowerCase();
+    if (!SEGMENTS.includes(segmentBy)) {
+      throw lifecycleError(`Segment must be one of ${SEGMENTS.join(', ')}`, 400);
+    }
+  }
+
+  const cohortPeriod = String(input.cohortPeriod || 'quarter').trim().toLowerCase();
+  if (!COHORT_PERIODS.includes(cohortPeriod)) {
+    throw lifecycleError(`Cohort period must be one of ${COHORT_PERIODS.join(', ')}`, 400);
+  }
+
+  return { divisionCode, year, month, months, measure, segmentBy, cohortPeriod };
+}
+
+/**
+ * Monthly purchases from the rows of a pivot over customer, year, month (and the segment)
+ * @param {Object[]} sqlRows - Rows of pivotQueryService.buildPivotSql (dim_0 customer, dim_1 year, dim_2 month, dim_3 segment)
+ * @param {string} measure - kgs | amount
+ * @returns {Array<{customer: string, segment: string|null, index: number, value: number}>}
+ */
+function collectActivity(sqlRows, measure) {
+  return sqlRows
+    .map(row => ({
+      customer: row.dim_0,
+      segment: row.dim_3 === undefined ? null : (row.dim_3 || 'Unassigned'),
+      index: toIndex(Number(row.dim_1), Number(row.dim_2)),
+      value: parseFloat(row[`p0_${measure}`]) || 0
+    }))
+    .filter(item => item.customer && item.value > 0);
+}
+
+/**
+ * Purchases by month index per unit (customer, or customer within a segment)
+ */
+function groupPurchases(activity, keyOf) {
+  const units = new Map();
+  activity.forEach(item => {
+    const key = keyOf(item);
+    if (!units.has(key)) units.set(key, { customer: item.customer, segment: item.segment, purchases: new Map() });
+    const { purchases } = units.get(key);
+    purchases.set(item.index, (purchases.get(item.index) || 0) + item.value);
+  });
+  units.forEach(unit => {
+    unit.months = [...unit.purchases.keys()].sort((a, b) => a - b);
+  });
+  return units;
+}
+
+const sumBetween = (purchases, from, to) => {
+  let total = 0;
+  purchases.forEach((value, index) => {
+    if (index >= from && index <= to) total += value;
+  });
+  return total;
+};
+
+/**
+ * Lifecycle status of a customer in a month (null before its first purchase)
+ * @param {{purchases: Map<number, number>, months: number[]}} customer
+ * @param {number} index - Month index
+ * @returns {string|null}
+ */
+function statusAt(customer, index) {
+  const { months, purchases } = customer;
+  if (months.length === 0 || months[0] > index) return null;
+
+  let last = null;
+  let previous = null;
+  for (const month of months) {
+    if (month > index) break;
+    if (month < index) previous = month;
+    last = month;
+  }
+
+  if (index - last >= LOST_AFTER_MONTHS) return 'lost';
+  if (last === index) {
+    if (months[0] === index) return 'new';
+    if (index - previous > LOST_AFTER_MONTHS) return 'reactivated';
+  }
+
+  const trailing = sumBetween(purchases, index - TRAILING_MONTHS + 1, index);
+  const prior = sumBetween(purchases, index - 2 * TRAILING_MONTHS + 1, index - TRAILING_MONTHS);
+  if (prior > 0) {
+    const change = (trailing - prior) / prior;
+    if (change < -DECLINE_MIN && change > -DECLINE_MAX) return 'declining';
+  }
+  return 'active';
+}
+
+const emptyCounts = () => STATUSES.reduce((counts, status) => ({ ...counts, [status]: 0 }), {});
+
+/**
+ * Monthly status counts and the status history of every customer over a window
+ * @param {Array} activity - From collectActivity
+ * @param {{start: number, end: number}} window - First and last month index
+ * @returns {{months: Object[], customers: Object[], summary: Object}}
+ */
+function classifyCustomers(activity, { start, end }) {
+  const customers = [...groupPurchases(activity, item => normalizeName(item.customer)).values()]
+    .filter(customer => customer.months[0] <= end);
+
+  const months = [];
+  const history = new Map(customers.map(customer => [customer, []]));
+  const startBase = customers.filter(customer => {
+    const status = statusAt(customer, start - 1);
+    return status !== null && status !== 'lost';
+  });
+
+  for (let index = start; index <= end; index++) {
+    const counts = emptyCounts();
+    let base = 0;
+    let newlyLost = 0;
+
+    customers.forEach(customer => {
+      const before = statusAt(customer, index - 1);
+      const status = statusAt(customer, index);
+      history.get(customer).push(status);
+      if (status) counts[status]++;
+      if (before !== null && before !== 'lost') {
+        base++;
+        if (status === 'lost') newlyLost++;
+      }
+    });
+
+    months.push({
+      key: monthKey(index),
+      year: toYear(index),
+      month: toMonth(index),
+      counts,
+      customerBase: base,
+      newlyLost,
+      churnRate: base > 0 ? round(newlyLost / base, 4) : null
+    });
+  }
+
+  const customerRows = customers.map(customer => {
+    const trailing = sumBetween(customer.purchases, end - TRAILING_MONTHS + 1, end);
+    const prior = sumBetween(customer.purchases, end - 2 * TRAILING_MONTHS + 1, end - TRAILING_MONTHS);
+    const statuses = history.get(customer);
+    return {
+      name: customer.customer,
+      status: statuses[statuses.length - 1],
+      firstPurchase: monthKey(customer.months[0]),
+      lastPurchase: monthKey([...customer.months].reverse().find(index => index <= end)),
+      trailing: round(trailing, 2),
+      prior: round(prior, 2),
+      change: prior > 0 ? round((trailing - prior) / prior, 4) : null,
+      history: statuses
+    };
+  }).sort((a, b) => b.trailing - a.trailing || a.name.localeCompare(b.name));
+
+  const stillActive = startBase.filter(customer => statusAt(customer, end) !== 'lost').length;
+  const gained = customerRows.reduce((counts, row) => {
+    row.history.forEach(status => {
+      if (status === 'new' || status === 'reactivated') counts[status]++;
+    });
+    return counts;
+  }, { new: 0, reactivated: 0 });
+
+  return {
+    months,
+    customers: customerRows,
+    summary: {
+      ...(months.length > 0 ? months[months.length - 1].counts : emptyCounts()),
+      acquired: gained.new,
+      reactivatedInWindow: gained.reactivated,
+      lostInWindow: months.reduce((total, month) => total + month.newlyLost, 0),
+      retentionRate: startBase.length > 0 ? round(stillActive / startBase.length, 4) : null
+    }
+  };
+}
+
+/** Cohort period number and label of a month index */
+const COHORT_PERIOD = {
+  month: { of: index => index, label: index => `${MONTH_NAMES[toMonth(index) - 1]} ${toYear(index)}` },
+  quarter: {
+    of: index => Math.floor(index / 3),
+    label: period => `${Math.floor(period / 4)} Q${(period % 4) + 1}`
+  },
+  year: { of: index => toYear(index), label: period => String(period) }
+};
+
+/**
+ * Acquisition-cohort retention matrices, one per segment (or one for all customers)
+ * @param {Array} activity - From collectActivity
+ * @param {{start: number, end: number}} window - Cohorts acquired from start to end are included
+ * @param {string} cohortPeriod - month | quarter | year
+ * @param {string|null} segmentBy - Segment the rows were grouped by
+ * @returns {Array<{segment: string, customers: number, cohorts: Object[]}>}
+ */
+function buildCohorts(activity, { start, end }, cohortPeriod, segmentBy) {
+  const { of, label } = COHORT_PERIOD[cohortPeriod];
+  const keyOf = segmentBy
+    ? item => `${normalizeName(item.segment)}\u0000${normalizeName(item.customer)}`
+    : item => normalizeName(item.customer);
+  const lastPeriod = of(end);
+
+  const groups = new Map();
+  groupPurchases(activity, keyOf).forEach(unit => {
+    const first = unit.months[0];
+    if (first < start || first > end) return;
+
+    const segment = segmentBy ? unit.segment : 'All customers';
+    if (!groups.has(segment)) groups.set(segment, new Map());
+    const cohorts = groups.get(segment);
+    const cohort = of(first);
+    if (!cohorts.has(cohort)) {
+      cohorts.set(cohort, { size: 0, retained: new Array(lastPeriod - cohort + 1).fill(0) });
+    }
+
+    const entry = cohorts.get(cohort);
+    entry.size++;
+    new Set(unit.months.filter(index => index <= end).map(of)).forEach(period => {
+      entry.retained[period - cohort]++;
+    });
+  });
+
+  return [...groups.entries()]
+    .map(([segment, cohorts]) => ({
+      segment,
+      customers: [...cohorts.values()].reduce((total, cohort) => total + cohort.size, 0),
+      cohorts: [...cohorts.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([period, { size, retained }]) => ({
+          key: label(period),
+          size,
+          retained,
+          rates: retained.map(count => round(count / size, 4))
+        }))
+    }))
+    .sort((a, b) => b.customers - a.customers || a.segment.localeCompare(b.segment));
+}
+
+/**
+ * Lifecycle statuses, monthly counts and cohort retention of a division
+ * @param {Object} input - See validateLifecycleQuery
+ * @returns {Promise<Object>} { division, measure, window, months, customers, summary, cohorts }
+ */
+async function getCustomerLifecycle(input) {
+  const request = validateLifecycleQuery(input);
+  const query = pivotQueryService.validateQuery({
+    division: request.divisionCode,
+    dimensions: ['customer', 'year', 'month', ...(request.segmentBy ? [request.segmentBy] : [])],
+    measures: MEASURES,
+    columns: [{ key: 'actual', type: 'Actual' }]
+  });
+  const mergeMap = await pivotQueryService.loadMergeMap(request.divisionCode);
+  const { text, params } = pivotQueryService.buildPivotSql(query, mergeMap);
+
+  const started = Date.now();
+  const result = await getDivisionPool(request.divisionCode).query(text, params);
+  const activity = collectActivity(result.rows, request.measure);
+
+  const latest = activity.reduce((max, item) => Math.max(max, item.index), -Infinity);
+  if (!Number.isFinite(latest)) {
+    throw lifecycleError(`No actual sales found for ${request.divisionCode}`, 404);
+  }
+  const requestedEnd = request.year !== null ? toIndex(request.year, request.month || 12) : latest;
+  const end = Math.min(requestedEnd, latest);
+  const start = end - request.months + 1;
+
+  const lifecycle = classifyCustomers(activity, { start, end });
+  const cohorts = buildCohorts(activity, { start, end }, request.cohortPeriod, request.segmentBy);
+
+  logger.info(`👥 Customer lifecycle ${request.divisionCode}: ${lifecycle.customers.length} customer(s), ` +
+    `${monthKey(start)} to ${monthKey(end)} in ${Date.now() - started}ms`);
+
+  return {
+    division: request.divisionCode,
+    measure: request.measure,
+    window: { from: monthKey(start), to: monthKey(end), months: request.months },
+    rules: { lostAfterMonths: LOST_AFTER_MONTHS, declineBand: [DECLINE_MIN, DECLINE_MAX] },
+    ...lifecycle,
+    cohorts: { period: request.cohortPeriod, segmentBy: request.segmentBy, groups: cohorts }
+  };
+}
+
+module.exports = {
+  STATUSES,
+  validateLifecycleQuery,
+  collectActivity,
+  statusAt,
+  classifyCustomers,
+  buildCohorts,
+  getCustomerLifecycle
+};
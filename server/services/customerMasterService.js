@@ -0,0 +1,583 @@
+/**
+ * Customer Master Service
+ * Group-wide ("golden") customer records shared by all divisions
+ *
+ * Every division keeps its own raw customer names and merge rules, so the same
+ * customer buying from FP and HC shows up as two unrelated names. The customer master
+ * gives it one stable ID (GC000123) with group attributes, and each division links its
+ * raw names to it. The group view then adds up actual / budget across divisions.
+ *
+ * STORAGE (auth database, company-wide):
+ * - customer_master: stable ID, code and attributes (country, segment, credit terms, key account)
+ * - customer_master_links: division + raw customer name → master (one master per name)
+ *
+ * RESOLVING A DIVISION CUSTOMER NAME:
+ * 1. a link on the raw name itself
+ * 2. a link on the merged name the division's merge rules map it to
+ * Linking a merged name therefore covers all the originals of that rule.
+ * Deactivated masters keep their links but no longer collect totals.
+ */
+
+const { authPool } = require('../database/config');
+const { getDivisionPool, getActiveDivisions } = require('../utils/divisionDatabaseManager');
+const logger = require('../utils/logger');
+
+const CODE_PREFIX = 'GC';
+const SOURCES = {
+  ACTUAL: { table: 'data_excel', yearColumn: 'year' },
+  BUDGET: { table: 'sales_rep_budget', yearColumn: 'budget_year' }
+};
+
+const masterError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeDivision = (division) => String(division || '').split('-')[0].trim().toUpperCase();
+
+const normalizeName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const formatCustomerCode = (id) => `${CODE_PREFIX}${String(id).padStart(6, '0')}`;
+
+const parseCustomers = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+let tablesEnsured = false;
+
+async function ensureTables() {
+  if (tablesEnsured) return;
+
+  await authPool.query(`
+    CREATE TABLE IF NOT EXISTS customer_master (
+      id SERIAL PRIMARY KEY,
+      customer_code VARCHAR(20) UNIQUE,
+      name VARCHAR(255) NOT NULL,
+      country VARCHAR(100),
+      segment VARCHAR(100),
+      credit_terms VARCHAR(100),
+      is_key_account BOOLEAN NOT NULL DEFAULT false,
+      notes TEXT,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      created_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_by VARCHAR(255),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS customer_master_links (
+      id SERIAL PRIMARY KEY,
+      customer_id INTEGER NOT NULL REFERENCES customer_master(id) ON DELETE CASCADE,
+      division VARCHAR(20) NOT NULL,
+      raw_name VARCHAR(500) NOT NULL,
+      normalized_name VARCHAR(500) NOT NULL,
+      linked_by VARCHAR(255),
+      linked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT customer_master_links_name_uniq UNIQUE (division, normalized_name)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_customer_master_links_customer ON customer_master_links(customer_id);
+    CREATE INDEX IF NOT EXISTS idx_customer_master_name ON customer_master(LOWER(name));
+  `);
+
+  tablesEnsured = true;
+}
+
+// ============================================================================
+// VALIDATION & RESOLUTION
+// ============================================================================
+
+/**
+ * Clean master attributes from a request body
+ * @param {Object} input - { name, country, segment, creditTerms, isKeyAccount, notes }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Update: only the given fields
+ */
+function validateMasterInput(input = {}, { partial = false } = {}) {
+  const fields = {};
+  const text = (value, max) => {
+    const cleaned = value === null || value === undefined ? '' : String(value).trim();
+    return cleaned ? cleaned.slice(0, max) : null;
+  };
+
+  if (!partial || input.name !== undefined) {
+    fields.name = text(input.name, 255);
+    if (!fields.name) throw masterError('Customer name is required', 400);
+  }
+  if (!partial || input.country !== undefined) fields.country = text(input.country, 100);
+  if (!partial || input.segment !== undefined) fields.segment = text(input.segment, 100);
+  if (!partial || input.creditTerms !== undefined) fields.credit_terms = text(input.creditTerms, 100);
+  if (!partial || input.notes !== undefined) fields.notes = text(input.notes, 2000);
+  if (!partial || input.isKeyAccount !== undefined) fields.is_key_account = input.isKeyAccount === true;
+
+  return fields;
+}
+
+/**
+ * "DIVISION|normalized name" → link, for the links of active masters
+ */
+function buildLinkIndex(links) {
+  const index = new Map();
+  links.forEach(link => {
+    index.set(`${normalizeDivision(link.division)}|${link.normalized_name}`, link);
+  });
+  return index;
+}
+
+/**
+ * Original customer (normalized) → merged name, from a division's active merge rules
+ */
+function buildMergeMap(rules) {
+  const mergeMap = new Map();
+  rules.forEach(rule => {
+    parseCustomers(rule.original_customers).forEach(original => {
+      mergeMap.set(normalizeName(original), rule.merged_customer_name);
+    });
+  });
+  return mergeMap;
+}
+
+/**
+ * Master link of a division customer name: the raw name first, then its merged name
+ * @returns {Object|null} link
+ */
+function resolveLink(division, rawName, linkIndex, mergeMap) {
+  const divisionCode = normalizeDivision(division);
+  const direct = linkIndex.get(`${divisionCode}|${normalizeName(rawName)}`);
+  if (direct) return direct;
+
+  const mergedName = mergeMap.get(normalizeName(rawName));
+  return mergedName ? linkIndex.get(`${divisionCode}|${normalizeName(mergedName)}`) || null : null;
+}
+
+/**
+ * Add up division customer totals per master
+ *
+ * @param {Array} masters - Active customer_master rows
+ * @param {Object} rowsByDivision - { FP: [{ customer, amount, kgs }] }
+ * @param {Map} linkIndex - From buildLinkIndex
+ * @param {Object} mergeMaps - { FP: Map } from buildMergeMap
+ * @returns {{ customers: Array, unlinked: Object, totals: Object }}
+ */
+function aggregateGroupView(masters, rowsByDivision, linkIndex, mergeMaps = {}) {
+  const byId = new Map(masters.map(master => [master.id, {
+    id: master.id,
+    customerCode: master.customer_code,
+    name: master.name,
+    country: master.country,
+    segment: master.segment,
+    creditTerms: master.credit_terms,
+    isKeyAccount: master.is_key_account,
+    amount: 0,
+    kgs: 0,
+    divisions: {}
+  }]));
+  const unlinked = {};
+  const totals = { amount: 0, kgs: 0, linkedAmount: 0, linkedKgs: 0 };
+
+  Object.entries(rowsByDivision).forEach(([division, rows]) => {
+    const mergeMap = mergeMaps[division] || new Map();
+    rows.forEach(row => {
+      const amount = Number(row.amount) || 0;
+      const kgs = Number(row.kgs) || 0;
+      totals.amount += amount;
+      totals.kgs += kgs;
+
+      const link = resolveLink(division, row.customer, linkIndex, mergeMap);
+      const customer = link ? byId.get(link.customer_id) : null;
+      if (!customer) {
+        const entry = unlinked[division] || (unlinked[division] = { customers: new Set(), amount: 0, kgs: 0 });
+        entry.customers.add(mergeMap.get(normalizeName(row.customer)) || row.customer);
+        entry.amount += amount;
+        entry.kgs += kgs;
+        return;
+      }
+
+      const divisionTotals = customer.divisions[division] || (customer.divisions[division] = { amount: 0, kgs: 0 });
+      divisionTotals.amount += amount;
+      divisionTotals.kgs += kgs;
+      customer.amount += amount;
+      customer.kgs += kgs;
+      totals.linkedAmount += amount;
+      totals.linkedKgs += kgs;
+    });
+  });
+
+  const customers = [...byId.values()]
+    .filter(customer => Object.keys(customer.divisions).length > 0)
+    .sort((a, b) => b.amount - a.amount || a.name.localeCompare(b.name));
+
+  Object.keys(unlinked).forEach(division => {
+    unlinked[division] = { ...unlinked[division], customers: unlinked[division].customers.size };
+  });
+
+  return { customers, unlinked, totals };
+}
+
+// ============================================================================
+// MASTERS
+// ============================================================================
+
+/**
+ * Masters with their number of linked names
+ * @param {Object} [filters] - { search, country, segment, keyAccount, includeInactive }
+ */
+async function listMasters({ search, country, segment, keyAccount, includeInactive } = {}) {
+  await ensureTables();
+  const conditions = [];
+  const params = [];
+
+  if (!includeInactive) conditions.push('m.is_active = true');
+  if (search) {
+    params.push(`%${String(search).trim().toLowerCase()}%`);
+    conditions.push(`(LOWER(m.name) LIKE $${params.length} OR LOWER(m.customer_code) LIKE $${params.length}
+      OR EXISTS (SELECT 1 FROM customer_master_links l2 WHERE l2.customer_id = m.id AND l2.normalized_name LIKE $${params.length}))`);
+  }
+  if (country) {
+    params.push(String(country).trim().toLowerCase());
+    conditions.push(`LOWER(m.country) = $${params.length}`);
+  }
+  if (segment) {
+    params.push(String(segment).trim().toLowerCase());
+    conditions.push(`LOWER(m.segment) = $${params.length}`);
+  }
+  if (keyAccount !== undefined && keyAccount !== '') {
+    params.push(keyAccount === true || keyAccount === 'true');
+    conditions.push(`m.is_key_account = $${params.length}`);
+  }
+
+  const result = await authPool.query(`
+    SELECT m.*,
+      COUNT(l.id)::int AS link_count,
+      COALESCE(ARRAY_AGG(DISTINCT l.division) FILTER (WHERE l.id IS NOT NULL), '{}') AS divisions
+    FROM customer_master m
+    LEFT JOIN customer_master_links l ON l.customer_id = m.id
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    GROUP BY m.id
+    ORDER BY m.name
+  `, params);
+  return result.rows;
+}
+
+/**
+ * One master with its linked names
+ */
+async function getMaster(id) {
+  await ensureTables();
+  const result = await authPool.query('SELECT * FROM customer_master WHERE id = $1', [id]);
+  if (result.rows.length === 0) throw masterError('Customer not found', 404);
+
+  const links = await authPool.query(`
+    SELECT id, division, raw_name, linked_by, linked_at
+    FROM customer_master_links WHERE customer_id = $1
+    ORDER BY division, raw_name
+  `, [id]);
+  return { ...result.rows[0], links: links.rows };
+}
+
+async function createMaster(input, createdBy) {
+  await ensureTables();
+  const fields = validateMasterInput(input);
+  const client = await authPool.connect();
+  try {
+    await client.query('BEGIN');
+    const inserted = await client.query(`
+      INSERT INTO customer_master (name, country, segment, credit_terms, is_key_account, notes, created_by, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
+      RETURNING id
+    `, [fields.name, fields.country, fields.segment, fields.credit_terms, fields.is_key_account, fields.notes, createdBy]);
+
+    const id = inserted.rows[0].id;
+    const result = await client.query(
+      'UPDATE customer_master SET customer_code = $2 WHERE id = $1 RETURNING *',
+      [id, formatCustomerCode(id)]
+    );
+    await client.query('COMMIT');
+
+    logger.info(`Customer master ${result.rows[0].customer_code} created`, { name: fields.name, createdBy });
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function updateMaster(id, input, updatedBy) {
+  await ensureTables();
+  const fields = validateMasterInput(input, { partial: true });
+  if (input.isActive !== undefined) fields.is_active = input.isActive === true;
+
+  const columns = Object.keys(fields);
+  if (columns.length === 0) throw masterError('Nothing to update', 400);
+
+  const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+  const result = await authPool.query(`
+    UPDATE customer_master
+    SET ${assignments.join(', ')}, updated_by = $${columns.length + 2}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [id, ...columns.map(column => fields[column]), updatedBy]);
+
+  if (result.rows.length === 0) throw masterError('Customer not found', 404);
+  return result.rows[0];
+}
+
+/**
+ * Deactivate a master; its ID and links are kept so it can be reactivated
+ */
+async function deactivateMaster(id, updatedBy) {
+  return updateMaster(id, { isActive: false }, updatedBy);
+}
+
+// ============================================================================
+// LINKS
+// ============================================================================
+
+/**
+ * Link division customer names (raw or merged) to a master
+ * Names already linked to this master are skipped; names linked to another one are refused.
+ *
+ * @param {number} id - Master ID
+ * @param {string} division
+ * @param {Array<string>} names
+ * @param {string} linkedBy
+ * @returns {Promise<{ linked: number, skipped: number }>}
+ */
+async function linkNames(id, division, names, linkedBy) {
+  await ensureTables();
+  const divisionCode = normalizeDivision(division);
+  if (!divisionCode) throw masterError('Division is required', 400);
+
+  const unique = new Map();
+  (Array.isArray(names) ? names : [names]).forEach(name => {
+    const normalized = normalizeName(name);
+    if (normalized) unique.set(normalized, String(name).trim());
+  });
+  if (unique.size === 0) throw masterError('At least one customer name is required', 400);
+
+  const client = await authPool.connect();
+  try {
+    await client.query('BEGIN');
+    const master = await client.query('SELECT id, is_active FROM customer_master WHERE id = $1', [id]);
+    if (master.rows.length === 0) throw masterError('Customer not found', 404);
+    if (!master.rows[0].is_active) throw masterError('Cannot link names to an inactive customer', 409);
+
+    const existing = await client.query(`
+      SELECT l.customer_id, l.raw_name, l.normalized_name, m.customer_code
+      FROM customer_master_links l
+      JOIN customer_master m ON m.id = l.customer_id
+      WHERE l.division = $1 AND l.normalized_name = ANY($2::text[])
+    `, [divisionCode, [...unique.keys()]]);
+
+    const conflicts = existing.rows.filter(row => row.customer_id !== Number(id));
+    if (conflicts.length > 0) {
+      throw masterError(
+        `Already linked to another customer: ${conflicts.map(row => `${row.raw_name} (${row.customer_code})`).join(', ')}`,
+        409
+      );
+    }
+
+    const alreadyLinked = new Set(existing.rows.map(row => row.normalized_name));
+    let linked = 0;
+    for (const [normalized, rawName] of unique) {
+      if (alreadyLinked.has(normalized)) continue;
+      await client.query(`
+        INSERT INTO customer_master_links (customer_id, division, raw_name, normalized_name, linked_by)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [id, divisionCode, rawName, normalized, linkedBy]);
+      linked++;
+    }
+
+    await client.query('COMMIT');
+    return { linked, skipped: unique.size - linked };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function unlinkName(id, linkId) {
+  await ensureTables();
+  const result = await authPool.query(
+    'DELETE FROM customer_master_links WHERE id = $1 AND customer_id = $2 RETURNING *',
+    [linkId, id]
+  );
+  if (result.rows.length === 0) throw masterError('Link not found', 404);
+  return result.rows[0];
+}
+
+// ============================================================================
+// DIVISION DATA
+// ============================================================================
+
+const parseYear = (year) => {
+  const parsed = parseInt(year, 10);
+  if (!Number.isInteger(parsed) || parsed < 2000 || parsed > 2100) throw masterError('A valid year is required', 400);
+  return parsed;
+};
+
+async function loadActiveLinks() {
+  const result = await authPool.query(`
+    SELECT l.id, l.customer_id, l.division, l.raw_name, l.normalized_name
+    FROM customer_master_links l
+    JOIN customer_master m ON m.id = l.customer_id
+    WHERE m.is_active = true
+  `);
+  return result.rows;
+}
+
+async function loadMergeMap(divisionCode) {
+  const code = divisionCode.toLowerCase();
+  try {
+    const result = await getDivisionPool(divisionCode).query(`
+      SELECT merged_customer_name, original_customers
+      FROM ${code}_division_customer_merge_rules
+      WHERE UPPER(division) = $1 AND status = 'ACTIVE' AND is_active = true
+    `, [divisionCode]);
+    return buildMergeMap(result.rows);
+  } catch (error) {
+    logger.warn(`⚠️ Could not load merge rules for ${divisionCode}:`, error.message);
+    return new Map();
+  }
+}
+
+/**
+ * Customer totals of one division and year
+ */
+async function loadCustomerTotals(divisionCode, year, type) {
+  const { table, yearColumn } = SOURCES[type];
+  const code = divisionCode.toLowerCase();
+  try {
+    const result = await getDivisionPool(divisionCode).query(`
+      SELECT
+        MIN(TRIM(customername)) AS customer,
+        SUM(CASE WHEN UPPER(values_type) = 'AMOUNT' THEN values ELSE 0 END) AS amount,
+        SUM(CASE WHEN UPPER(values_type) = 'KGS' THEN values ELSE 0 END) AS kgs
+      FROM ${code}_${table}
+      WHERE UPPER(division) = $1
+        AND UPPER(type) = $2
+        AND ${yearColumn} = $3
+        AND customername IS NOT NULL
+        AND TRIM(customername) != ''
+      GROUP BY LOWER(TRIM(customername))
+    `, [divisionCode, type, year]);
+    return result.rows.map(row => ({
+      customer: row.customer,
+      amount: parseFloat(row.amount) || 0,
+      kgs: parseFloat(row.kgs) || 0
+    }));
+  } catch (error) {
+    logger.warn(`⚠️ Could not load ${type} customers for ${divisionCode}:`, error.message);
+    return [];
+  }
+}
+
+const parseType = (type) => {
+  const upper = String(type || 'ACTUAL').toUpperCase();
+  if (!SOURCES[upper]) throw masterError('Type must be ACTUAL or BUDGET', 400);
+  return upper;
+};
+
+/**
+ * Customers of a division (merged names as dashboards show them) not linked to a master yet,
+ * largest first, with a suggested master when a master or one of its names matches exactly
+ */
+async function getUnlinkedNames(division, { year, type } = {}) {
+  await ensureTables();
+  const divisionCode = normalizeDivision(division);
+  const dataType = parseType(type);
+  const dataYear = parseYear(year);
+
+  const [rows, mergeMap, links, masters] = await Promise.all([
+    loadCustomerTotals(divisionCode, dataYear, dataType),
+    loadMergeMap(divisionCode),
+    loadActiveLinks(),
+    listMasters()
+  ]);
+  const linkIndex = buildLinkIndex(links);
+
+  // Exact name matches: master names and names linked from any division
+  const suggestions = new Map();
+  masters.forEach(master => suggestions.set(normalizeName(master.name), master));
+  const mastersById = new Map(masters.map(master => [master.id, master]));
+  links.forEach(link => {
+    if (!suggestions.has(link.normalized_name) && mastersById.has(link.customer_id)) {
+      suggestions.set(link.normalized_name, mastersById.get(link.customer_id));
+    }
+  });
+
+  const unlinked = new Map();
+  rows.forEach(row => {
+    if (resolveLink(divisionCode, row.customer, linkIndex, mergeMap)) return;
+    const name = mergeMap.get(normalizeName(row.customer)) || row.customer;
+    const key = normalizeName(name);
+    const entry = unlinked.get(key) || { name, amount: 0, kgs: 0 };
+    entry.amount += row.amount;
+    entry.kgs += row.kgs;
+    unlinked.set(key, entry);
+  });
+
+  return [...unlinked.entries()]
+    .map(([key, entry]) => {
+      const suggested = suggestions.get(key);
+      return {
+        ...entry,
+        suggestion: suggested ? { id: suggested.id, customerCode: suggested.customer_code, name: suggested.name } : null
+      };
+    })
+    .sort((a, b) => b.amount - a.amount);
+}
+
+/**
+ * Group-wide customer view: actual or budget of a year per master across all divisions
+ * @param {Object} options - { year, type: 'ACTUAL'|'BUDGET' }
+ */
+async function getGroupCustomerView({ year, type } = {}) {
+  await ensureTables();
+  const dataType = parseType(type);
+  const dataYear = parseYear(year);
+  const divisions = ['FP', ...(await getActiveDivisions())];
+
+  const rowsByDivision = {};
+  const mergeMaps = {};
+  for (const divisionCode of divisions) {
+    rowsByDivision[divisionCode] = await loadCustomerTotals(divisionCode, dataYear, dataType);
+    mergeMaps[divisionCode] = await loadMergeMap(divisionCode);
+  }
+
+  const [masters, links] = await Promise.all([listMasters(), loadActiveLinks()]);
+  const view = aggregateGroupView(masters, rowsByDivision, buildLinkIndex(links), mergeMaps);
+
+  return { year: dataYear, type: dataType, divisions, ...view };
+}
+
+module.exports = {
+  CODE_PREFIX,
+  normalizeName,
+  formatCustomerCode,
+  validateMasterInput,
+  buildLinkIndex,
+  buildMergeMap,
+  resolveLink,
+  aggregateGroupView,
+  listMasters,
+  getMaster,
+  createMaster,
+  updateMaster,
+  deactivateMaster,
+  linkNames,
+  unlinkName,
+  getUnlinkedNames,
+  getGroupCustomerView
+};
@@ -0,0 +1,407 @@
+/**
+ * Dashboard Report Service
+ * Scheduled e-mail versions of the dashboard exports (report types of services/reportRenderService)
+ *
+ * REPORTS:
+ * - divisional-dashboard: KPI summary, P&L highlights and sales by product group, customer,
+ *   sales rep and country (the divisional dashboard export, MultiChartHTMLExport)
+ * - sales-rep-report: every sales rep against budget and prior year, with their product groups
+ *   and top customers (SalesRepHTMLExport)
+ *
+ * Sales come from {div}_data_excel through the pivot query (services/pivotQueryService) in three
+ * columns: Actual of the period, Budget of the period and Actual of the same months a year earlier.
+ * Charts are inline bars so the layout survives mail clients and the PDF print.
+ */
+
+const pivotQueryService = require('./pivotQueryService');
+const plDataService = require('./plDataService');
+const fxRateService = require('./fxRateService');
+const reportRenderService = require('./reportRenderService');
+
+const TOP_ITEMS = 10;
+const TOP_ITEMS_PER_REP = 5;
+
+/** P&L lines shown in the dashboard's P&L highlights when the period's P&L is loaded */
+const PL_HIGHLIGHTS = ['SALES', 'MATERIAL', 'GROSS_PROFIT_AFTER_DEPN', 'EBITDA', 'EBIT', 'NET_PROFIT'];
+
+const escape = reportRenderService.escapeHtml;
+const pctChange = (current, base) => (base ? ((current - base) / Math.abs(base)) * 100 : null);
+const perKg = (value, kgs) => (kgs ? value / kgs : null);
+
+/**
+ * Pivot columns of a scheduled period: Actual, Budget and the same months a year earlier
+ * @param {{year: number, months: number[], label: string}} period
+ */
+function comparisonColumns(period) {
+  return [
+    { key: 'actual', label: `${period.label} Actual`, year: period.year, months: period.months, type: 'Actual' },
+    { key: 'budget', label: `${period.label} Budget`, year: period.year, months: period.months, type: 'Budget' },
+    { key: 'prior', label: `${period.year - 1} Actual`, year: period.year - 1, months: period.months, type: 'Actual' }
+  ];
+}
+
+/**
+ * Sales, volume and MoRM of a pivot row (or the totals) for the three comparison columns
+ */
+function figuresOf(values) {
+  const figures = {};
+  ['actual', 'budget', 'prior'].forEach(column => {
+    figures[column] = {
+      sales: values[`${column}.amount`] || 0,
+      kgs: values[`${column}.kgs`] || 0,
+      morm: values[`${column}.morm`] || 0
+    };
+  });
+  return figures;
+}
+
+/**
+ * Rows of a pivot result as report items, largest Actual sales first
+ */
+function itemsOf(result, dimension) {
+  if (!result) return [];
+  return result.rows
+    .map(row => ({ name: row[dimension] || '(blank)', ...figuresOf(row) }))
+    .sort((a, b) => b.actual.sales - a.actual.sales);
+}
+
+/**
+ * KPI summary: Actual against Budget and prior year for sales, volume, MoRM and the per-kg ratios
+ * @param {object} figures - figuresOf(pivot totals)
+ */
+function buildKpis({ actual, budget, prior }) {
+  const kpi = (label, unit, pick) => {
+    const values = { actual: pick(actual), budget: pick(budget), prior: pick(prior) };
+    return {
+      label,
+      unit,
+      ...values,
+      vsBudget: values.actual !== null && values.budget !== null ? pctChange(values.actual, values.budget) : null,
+      vsPrior: values.actual !== null && values.prior !== null ? pctChange(values.actual, values.prior) : null
+    };
+  };
+
+  return [
+    kpi('Sales', 'amount', figures => figures.sales),
+    kpi('Volume (MT)', 'mt', figures => figures.kgs / 1000),
+    kpi('MoRM', 'amount', figures => figures.morm),
+    kpi('Sales per kg', 'per-kg', figures => perKg(figures.sales, figures.kgs)),
+    kpi('MoRM per kg', 'per-kg', figures => perKg(figures.morm, figures.kgs)),
+    kpi('MoRM %', 'percent', figures => (figures.sales ? (figures.morm / figures.sales) * 100 : null))
+  ];
+}
+
+/**
+ * Sales reps with their own product groups and top customers
+ * @param {object} results - Pivot results: salesReps (salesrep), productGroups and customers
+ *   (salesrep × productgroup / customer)
+ */
+function buildSalesRepSections({ salesReps, productGroups, customers }) {
+  const byRep = (result, dimension, limit) => {
+    const grouped = new Map();
+    (result ? result.rows : []).forEach(row => {
+      const rep = row.salesrep || '(blank)';
+      if (!grouped.has(rep)) grouped.set(rep, []);
+      grouped.get(rep).push({ name: row[dimension] || '(blank)', ...figuresOf(row) });
+    });
+    grouped.forEach((items, rep) => {
+      grouped.set(rep, items.sort((a, b) => b.actual.sales - a.actual.sales).slice(0, limit));
+    });
+    return grouped;
+  };
+
+  const groupsByRep = byRep(productGroups, 'productgroup', Infinity);
+  const customersByRep = byRep(customers, 'customer', TOP_ITEMS_PER_REP);
+
+  return itemsOf(salesReps, 'salesrep')
+    .filter(rep => rep.actual.sales || rep.budget.sales || rep.prior.sales)
+    .map(rep => ({
+      ...rep,
+      productGroups: groupsByRep.get(rep.name) || [],
+      customers: customersByRep.get(rep.name) || []
+    }));
+}
+
+const formatAmount = (value) => reportRenderService.formatNumber(value, 'AMOUNT');
+
+const formatKpi = (value, unit) => {
+  if (value === null || value === undefined) return '';
+  if (unit === 'percent') return reportRenderService.formatPct(value);
+  if (unit === 'per-kg') return value.toFixed(2);
+  return formatAmount(value);
+};
+
+const formatChange = (value) => (value === null || value === undefined ? '' : `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`);
+
+const CELL = 'padding:4px 8px;border-bottom:1px solid #e8e8e8;text-align:right;white-space:nowrap;';
+const HEAD = 'padding:6px 8px;background:#1f4e79;color:#fff;text-align:right;white-space:nowrap;';
+const changeStyle = (value) => (value !== null && value < 0 ? 'color:#c0392b;' : '');
+
+/**
+ * Bar in a table cell, as wide as the value's share of the largest value
+ */
+const bar = (value, max) => {
+  const width = max > 0 ? Math.max(0, Math.round((value / max) * 100)) : 0;
+  return `<div style="background:#e8eef5;width:140px;height:10px;"><div style="background:#1f4e79;width:${width}%;height:10px;"></div></div>`;
+};
+
+function renderKpiTable(kpis) {
+  const rows = kpis.map(kpi => `
+      <tr>
+        <td style="${CELL}text-align:left;">${escape(kpi.label)}</td>
+        <td style="${CELL}font-weight:bold;">${formatKpi(kpi.actual, kpi.unit)}</td>
+        <td style="${CELL}">${formatKpi(kpi.budget, kpi.unit)}</td>
+        <td style="${CELL}${changeStyle(kpi.vsBudget)}">${formatChange(kpi.vsBudget)}</td>
+        <td style="${CELL}">${formatKpi(kpi.prior, kpi.unit)}</td>
+        <td style="${CELL}${changeStyle(kpi.vsPrior)}">${formatChange(kpi.vsPrior)}</td>
+      </tr>`).join('');
+
+  return `
+  <table style="border-collapse:collapse;min-width:640px;">
+    <thead>
+      <tr>
+        <th style="${HEAD}text-align:left;">KPI</th>
+        <th style="${HEAD}">Actual</th>
+        <th style="${HEAD}">Budget</th>
+        <th style="${HEAD}">vs Budget</th>
+        <th style="${HEAD}">Prior Year</th>
+        <th style="${HEAD}">vs Prior Year</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>`;
+}
+
+/**
+ * Sales table with a bar per row: Actual, Budget, vs Budget, Prior Year, vs Prior Year, volume
+ */
+function renderItemTable(title, items, { nameLabel = 'Name', totalSales = null } = {}) {
+  if (items.length === 0) {
+    return `<h3 style="margin:20px 0 6px;">${escape(title)}</h3><p style="color:#888;">No sales in this period.</p>`;
+  }
+
+  const max = Math.max(...items.map(item => item.actual.sales));
+  const rows = items.map(item => {
+    const vsBudget = pctChange(item.actual.sales, item.budget.sales);
+    const vsPrior = pctChange(item.actual.sales, item.prior.sales);
+    const share = totalSales ? (item.actual.sales / totalSales) * 100 : null;
+    return `
+      <tr>
+        <td style="${CELL}text-align:left;">${escape(item.name)}</td>
+        <td style="${CELL}">${bar(item.actual.sales, max)}</td>
+        <td style="${CELL}font-weight:bold;">${formatAmount(item.actual.sales)}</td>
+        <td style="${CELL}">${share === null ? '' : reportRenderService.formatPct(share)}</td>
+        <td style="${CELL}">${formatAmount(item.budget.sales)}</td>
+        <td style="${CELL}${changeStyle(vsBudget)}">${formatChange(vsBudget)}</td>
+        <td style="${CELL}">${formatAmount(item.prior.sales)}</td>
+        <td style="${CELL}${changeStyle(vsPrior)}">${formatChange(vsPrior)}</td>
+        <td style="${CELL}">${formatAmount(item.actual.kgs / 1000)}</td>
+      </tr>`;
+  }).join('');
+
+  return `
+  <h3 style="margin:20px 0 6px;">${escape(title)}</h3>
+  <table style="border-collapse:collapse;min-width:640px;">
+    <thead>
+      <tr>
+        <th style="${HEAD}text-align:left;">${escape(nameLabel)}</th>
+        <th style="${HEAD}text-align:left;"></th>
+        <th style="${HEAD}">Sales</th>
+        <th style="${HEAD}">Share</th>
+        <th style="${HEAD}">Budget</th>
+        <th style="${HEAD}">vs Budget</th>
+        <th style="${HEAD}">Prior Year</th>
+        <th style="${HEAD}">vs Prior Year</th>
+        <th style="${HEAD}">MT</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>`;
+}
+
+function renderPlHighlights(statement) {
+  if (!statement || !statement.columns.actual) return '';
+  const lines = statement.lines.filter(line => PL_HIGHLIGHTS.includes(line.code));
+  if (lines.length === 0) return '';
+
+  const rows = lines.map(line => `
+      <tr>
+        <td style="${CELL}text-align:left;">${escape(line.name)}</td>
+        <td style="${CELL}font-weight:bold;">${reportRenderService.formatNumber(line.actual, line.measure)}</td>
+        <td style="${CELL}">${reportRenderService.formatNumber(line.budget, line.measure)}</td>
+        <td style="${CELL}${changeStyle(line.variancePct)}">${formatChange(line.variancePct)}</td>
+        <td style="${CELL}">${reportRenderService.formatNumber(line.priorYear, line.measure)}</td>
+        <td style="${CELL}">${reportRenderService.formatPct(line.pctOfSales)}</td>
+      </tr>`).join('');
+
+  return `
+  <h3 style="margin:20px 0 6px;">P&amp;L Highlights</h3>
+  <table style="border-collapse:collapse;min-width:640px;">
+    <thead>
+      <tr>
+        <th style="${HEAD}text-align:left;">Line</th>
+        <th style="${HEAD}">Actual</th>
+        <th style="${HEAD}">Budget</th>
+        <th style="${HEAD}">vs Budget</th>
+        <th style="${HEAD}">Prior Year</th>
+        <th style="${HEAD}">% of Sales</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>`;
+}
+
+const renderDocument = ({ title, heading, subtitle, body, generatedAt = new Date() }) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escape(title)}</title>
+</head>
+<body style="font-family:Arial,Helvetica,sans-serif;font-size:13px;color:#222;margin:16px;">
+  <h2 style="margin:0 0 4px;">${escape(heading)}</h2>
+  <div style="margin-bottom:12px;color:#555;">${escape(subtitle)}</div>
+  ${body}
+  <p style="margin-top:16px;color:#888;font-size:11px;">Generated ${escape(generatedAt.toISOString().replace('T', ' ').slice(0, 16))} UTC</p>
+</body>
+</html>`;
+
+/**
+ * Self-contained HTML of the divisional dashboard
+ * @param {object} report - { companyName, divisionName, division, currency, period, kpis,
+ *   statement (buildPlStatement or null), productGroups, customers, salesReps, countries }
+ */
+function renderDivisionalDashboardHtml(report) {
+  const { companyName, divisionName, division, currency, period, kpis, statement, generatedAt } = report;
+  const totalSales = kpis.find(kpi => kpi.label === 'Sales').actual;
+
+  return renderDocument({
+    title: `${division} Divisional Dashboard - ${period.label}`,
+    heading: `${companyName} - ${divisionName}`,
+    subtitle: `Divisional dashboard, ${period.label} (${currency}), compared with budget and ${period.year - 1}`,
+    generatedAt,
+    body: [
+      renderKpiTable(kpis),
+      renderPlHighlights(statement),
+      renderItemTable('Sales by Product Group', report.productGroups, { nameLabel: 'Product Group', totalSales }),
+      renderItemTable(`Top ${TOP_ITEMS} Customers`, report.customers.slice(0, TOP_ITEMS), { nameLabel: 'Customer', totalSales }),
+      renderItemTable('Sales by Sales Rep', report.salesReps, { nameLabel: 'Sales Rep', totalSales }),
+      renderItemTable(`Top ${TOP_ITEMS} Countries`, report.countries.slice(0, TOP_ITEMS), { nameLabel: 'Country', totalSales })
+    ].join('\n')
+  });
+}
+
+/**
+ * Self-contained HTML of the sales rep report: a summary of every rep, then one section per rep
+ * @param {object} report - { companyName, divisionName, division, currency, period, salesReps }
+ *   with salesReps from buildSalesRepSections
+ */
+function renderSalesRepReportHtml(report) {
+  const { companyName, divisionName, division, currency, period, salesReps, generatedAt } = report;
+  const totalSales = salesReps.reduce((sum, rep) => sum + rep.actual.sales, 0);
+
+  const sections = salesReps.map(rep => {
+    const kpis = buildKpis(rep).filter(kpi => ['Sales', 'Volume (MT)', 'MoRM'].includes(kpi.label));
+    return `
+  <h2 style="margin:28px 0 6px;border-bottom:2px solid #1f4e79;padding-bottom:4px;">${escape(rep.name)}</h2>
+  ${renderKpiTable(kpis)}
+  ${renderItemTable('Product Groups', rep.productGroups, { nameLabel: 'Product Group', totalSales: rep.actual.sales })}
+  ${renderItemTable(`Top ${TOP_ITEMS_PER_REP} Customers`, rep.customers, { nameLabel: 'Customer', totalSales: rep.actual.sales })}`;
+  }).join('\n');
+
+  return renderDocument({
+    title: `${division} Sales Rep Report - ${period.label}`,
+    heading: `${companyName} - ${divisionName}`,
+    subtitle: `Sales rep report, ${period.label} (${currency}), compared with budget and ${period.year - 1}`,
+    generatedAt,
+    body: salesReps.length === 0
+      ? '<p style="color:#888;">No sales rep sales in this period.</p>'
+      : `${renderItemTable('Sales Rep Summary', salesReps, { nameLabel: 'Sales Rep', totalSales })}\n${sections}`
+  });
+}
+
+async function loadHeader(division) {
+  const [companyName, divisionName, currency] = await Promise.all([
+    reportRenderService.getCompanyName(),
+    reportRenderService.getDivisionName(division),
+    fxRateService.getBaseCurrency()
+  ]);
+  return { companyName, divisionName, currency };
+}
+
+const runComparison = (division, period, dimensions) => pivotQueryService.runPivot({
+  division,
+  dimensions,
+  measures: ['kgs', 'amount', 'morm'],
+  columns: comparisonColumns(period),
+  limit: 10000
+});
+
+/**
+ * Scheduled divisional dashboard (report type divisional-dashboard)
+ * @param {object} options
+ * @param {string} options.division
+ * @param {{year: number, months: number[], label: string}} options.period
+ * @returns {Promise<string>} Self-contained HTML document
+ */
+async function renderDivisionalDashboard({ division, period }) {
+  const [header, productGroups, customers, salesReps, countries, ledgers, currentRows, priorRows] = await Promise.all([
+    loadHeader(division),
+    runComparison(division, period, ['productgroup']),
+    runComparison(division, period, ['customer']),
+    runComparison(division, period, ['salesrep']),
+    runComparison(division, period, ['country']),
+    plDataService.getLedgers(division),
+    plDataService.getData(division, { year: period.year }),
+    plDataService.getData(division, { year: period.year - 1 })
+  ]);
+
+  return renderDivisionalDashboardHtml({
+    ...header,
+    division,
+    period,
+    kpis: buildKpis(figuresOf(productGroups.totals)),
+    statement: reportRenderService.buildPlStatement(ledgers, [...currentRows, ...priorRows], period),
+    productGroups: itemsOf(productGroups, 'productgroup'),
+    customers: itemsOf(customers, 'customer'),
+    salesReps: itemsOf(salesReps, 'salesrep'),
+    countries: itemsOf(countries, 'country')
+  });
+}
+
+/**
+ * Scheduled sales rep report (report type sales-rep-report)
+ * @param {object} options
+ * @param {string} options.division
+ * @param {{year: number, months: number[], label: string}} options.period
+ * @returns {Promise<string>} Self-contained HTML document
+ */
+async function renderSalesRepReport({ division, period }) {
+  const [header, salesReps, productGroups, customers] = await Promise.all([
+    loadHeader(division),
+    runComparison(division, period, ['salesrep']),
+    runComparison(division, period, ['salesrep', 'productgroup']),
+    runComparison(division, period, ['salesrep', 'customer'])
+  ]);
+
+  return renderSalesRepReportHtml({
+    ...header,
+    division,
+    period,
+    salesReps: buildSalesRepSections({ salesReps, productGroups, customers })
+  });
+}
+
+module.exports = {
+  comparisonColumns,
+  figuresOf,
+  itemsOf,
+  buildKpis,
+  buildSalesRepSections,
+  renderDivisionalDashboardHtml,
+  renderSalesRepReportHtml,
+  renderDivisionalDashboard,
+  renderSalesRepReport
+};
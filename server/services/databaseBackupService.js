@@ -0,0 +1,996 @@
+/**
+ * Database Backup Service
+ * Scheduled backups of every division database and the auth database, with retention,
+ * checksum verification and restore to a new division or of a single table
+ *
+ * STORAGE:
+ * - Files under BACKUP_DIR (default backups/scheduled), one folder per backup:
+ *   <target>/<timestamp>/manifest.json and tables/<table>.jsonl.gz (one JSON array per row)
+ * - database_backups (auth database): one row per backup with status, size, row count,
+ *   manifest checksum and the result of the last verification
+ * - company_settings 'backup_policy': schedule and retention (see DEFAULT_POLICY)
+ *
+ * SNAPSHOT:
+ * All tables of a database are read in one REPEATABLE READ transaction, so a backup is the
+ * state of the whole database at a single point in time (snapshot_at). Values are kept in
+ * PostgreSQL's text form, so timestamps, numerics, arrays and JSON restore unchanged.
+ *
+ * CHECKSUMS:
+ * The manifest lists the SHA-256 and size of every table file; the SHA-256 of the manifest
+ * itself is stored in database_backups. A backup is verified right after it is written and
+ * again before every restore.
+ *
+ * RETENTION (grandfather-father-son):
+ * The newest successful backup of each of the last keepDaily days, keepWeekly ISO weeks and
+ * keepMonthly months is kept, and always the newest one. Others are pruned: their files are
+ * removed and the row stays with status 'pruned'. Failed backups are pruned after keepDaily days.
+ *
+ * SCHEDULING:
+ * startScheduler() checks every 10 minutes. Once a day's run time has passed (server local
+ * time), each target is claimed through a unique (target, day) row, so several server
+ * instances never back up the same database twice; a run missed while the server was down
+ * is made when it starts. Failed backups are alerted through config/alerting.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const { authPool } = require('../database/config');
+const {
+  getDivisionPool,
+  createDivisionDatabase,
+  deleteDivisionDatabase,
+  divisionDatabaseExists
+} = require('../utils/divisionDatabaseManager');
+const { alert } = require('../config/alerting');
+const logger = require('../utils/logger');
+
+const BACKUP_ROOT = path.resolve(process.env.BACKUP_DIR || path.join(__dirname, '../../backups/scheduled'));
+const AUTH_DATABASE = process.env.AUTH_DB_NAME || 'ip_auth_database';
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_FORMAT = 1;
+const FETCH_ROWS = 2000;
+const MAX_INSERT_PARAMS = 60000;
+const POLL_INTERVAL_MS = 10 * 60 * 1000;
+const STALE_AFTER_HOURS = 26;
+const INTERRUPTED_AFTER_HOURS = 6;
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  runTime: '02:00',
+  keepDaily: 7,
+  keepWeekly: 4,
+  keepMonthly: 12
+};
+
+// Column values exactly as PostgreSQL prints them
+const RAW_TYPES = { getTypeParser: () => value => value };
+
+const backupError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+let tablesEnsured = false;
+
+async function ensureTables() {
+  if (tablesEnsured) return;
+
+  await authPool.query(`
+    CREATE TABLE IF NOT EXISTS database_backups (
+      id SERIAL PRIMARY KEY,
+      target_key VARCHAR(50) NOT NULL,
+      database_name VARCHAR(100) NOT NULL,
+      division VARCHAR(20),
+      trigger VARCHAR(20) NOT NULL,
+      scheduled_for DATE,
+      status VARCHAR(20) NOT NULL DEFAULT 'running'
+        CHECK (status IN ('running', 'success', 'failed', 'pruned')),
+      folder VARCHAR(255),
+      snapshot_at TIMESTAMPTZ,
+      table_count INTEGER,
+      row_count BIGINT,
+      size_bytes BIGINT,
+      manifest_checksum CHAR(64),
+      verify_status VARCHAR(20),
+      verify_error TEXT,
+      verified_at TIMESTAMPTZ,
+      error TEXT,
+      created_by VARCHAR(255),
+      started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      finished_at TIMESTAMPTZ,
+      pruned_at TIMESTAMPTZ
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_database_backups_scheduled
+      ON database_backups(target_key, scheduled_for) WHERE trigger = 'schedule';
+    CREATE INDEX IF NOT EXISTS idx_database_backups_target ON database_backups(target_key, started_at DESC);
+  `);
+
+  tablesEnsured = true;
+}
+
+// ============================================================================
+// POLICY AND RETENTION
+// ============================================================================
+
+/**
+ * Normalized policy from admin input
+ * @throws {Error} 400 on invalid values
+ */
+function validatePolicy(input = {}) {
+  const policy = { ...DEFAULT_POLICY, ...input };
+  const integer = (key, min, max) => {
+    const value = Number(policy[key]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw backupError(`${key} must be a whole number from ${min} to ${max}`, 400);
+    }
+    return value;
+  };
+
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(String(policy.runTime))) {
+    throw backupError('Run time must be HH:MM (24-hour)', 400);
+  }
+
+  return {
+    enabled: policy.enabled === true || policy.enabled === 'true',
+    runTime: String(policy.runTime),
+    keepDaily: integer('keepDaily', 1, 90),
+    keepWeekly: integer('keepWeekly', 0, 52),
+    keepMonthly: integer('keepMonthly', 0, 120)
+  };
+}
+
+async function getPolicy() {
+  const result = await authPool.query(
+    "SELECT setting_value FROM company_settings WHERE setting_key = 'backup_policy'"
+  );
+  return { ...DEFAULT_POLICY, ...(result.rows[0]?.setting_value || {}) };
+}
+
+async function updatePolicy(input, updatedBy) {
+  const policy = validatePolicy(input);
+  await authPool.query(
+    `INSERT INTO company_settings (setting_key, setting_value, updated_by)
+     VALUES ('backup_policy', $1, $2)
+     ON CONFLICT (setting_key)
+     DO UPDATE SET setting_value = $1, updated_by = $2, updated_at = NOW()`,
+    [JSON.stringify(policy), updatedBy || null]
+  );
+  return policy;
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const dayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const monthKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+
+// ISO 8601 week (weeks start on Monday; week 1 holds the year's first Thursday)
+const weekKey = (date) => {
+  const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - ((date.getDay() + 6) % 7));
+  const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+  const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+  return `${thursday.getFullYear()}-W${pad(week)}`;
+};
+
+/**
+ * Backups that fall outside the retention policy
+ * @param {Array<{id: number, status: string, startedAt: Date|string}>} backups - One target's backups
+ * @param {object} policy - keepDaily, keepWeekly, keepMonthly
+ * @param {Date} [now]
+ * @returns {number[]} Ids to prune
+ */
+function selectBackupsToPrune(backups, policy, now = new Date()) {
+  const successful = backups
+    .filter(backup => backup.status === 'success')
+    .map(backup => ({ ...backup, startedAt: new Date(backup.startedAt) }))
+    .sort((a, b) => b.startedAt - a.startedAt);
+
+  const keep = new Set(successful.slice(0, 1).map(backup => backup.id));
+  [[dayKey, policy.keepDaily], [weekKey, policy.keepWeekly], [monthKey, policy.keepMonthly]].forEach(([bucketOf, count]) => {
+    const buckets = new Set();
+    for (const backup of successful) {
+      if (buckets.size >= count) break;
+      const bucket = bucketOf(backup.startedAt);
+      if (!buckets.has(bucket)) {
+        buckets.add(bucket);
+        keep.add(backup.id);
+      }
+    }
+  });
+
+  const failedBefore = new Date(now.getTime() - policy.keepDaily * 86400000);
+  return backups
+    .filter(backup => (backup.status === 'success' && !keep.has(backup.id))
+      || (backup.status === 'failed' && new Date(backup.startedAt) < failedBefore))
+    .map(backup => backup.id);
+}
+
+/**
+ * Next scheduled run (server local time) after the day's run was made or not
+ */
+function nextRunAt(policy, lastScheduledDay, now = new Date()) {
+  const [hours, minutes] = policy.runTime.split(':').map(Number);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes);
+  return lastScheduledDay === dayKey(now) ? new Date(today.getTime() + 86400000) : today;
+}
+
+// ============================================================================
+// TARGETS
+// ============================================================================
+
+/**
+ * Databases to back up: the auth database and every division with a database
+ * @returns {Promise<Array<{key: string, kind: string, divisionCode: string|null, database: string, label: string}>>}
+ */
+async function listTargets() {
+  const targets = [{ key: 'auth', kind: 'auth', divisionCode: null, database: AUTH_DATABASE, label: 'Auth database' }];
+
+  const settings = await authPool.query("SELECT setting_value FROM company_settings WHERE setting_key = 'divisions'");
+  const divisions = Array.isArray(settings.rows[0]?.setting_value) ? settings.rows[0].setting_value : [];
+  for (const division of divisions) {
+    if (!division?.code || !(await divisionDatabaseExists(division.code))) continue;
+    targets.push({
+      key: `division:${division.code}`,
+      kind: 'division',
+      divisionCode: division.code,
+      database: `${division.code.toLowerCase()}_database`,
+      label: `${division.code} - ${division.name || division.code}`
+    });
+  }
+  return targets;
+}
+
+async function getTarget(key) {
+  const target = (await listTargets()).find(candidate => candidate.key === key);
+  if (!target) throw backupError(`Unknown backup target: ${key}`, 404);
+  return target;
+}
+
+const connectTo = (target) => (target.kind === 'auth' ? authPool : getDivisionPool(target.divisionCode)).connect();
+
+// ============================================================================
+// FILES
+// ============================================================================
+
+/**
+ * Folder of a backup, refusing anything outside BACKUP_ROOT
+ */
+function backupFolderPath(folder) {
+  const resolved = path.resolve(BACKUP_ROOT, folder || '');
+  if (!folder || !resolved.startsWith(BACKUP_ROOT + path.sep)) {
+    throw backupError('Invalid backup folder', 400);
+  }
+  return resolved;
+}
+
+async function fileChecksum(file) {
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+  for await (const chunk of fs.createReadStream(file)) {
+    hash.update(chunk);
+    bytes += chunk.length;
+  }
+  return { sha256: hash.digest('hex'), bytes };
+}
+
+/**
+ * Write gzipped JSON lines; writeRows receives an async write(line) that respects backpressure
+ */
+async function writeGzipLines(file, writeRows) {
+  const gzip = zlib.createGzip();
+  const done = pipeline(gzip, fs.createWriteStream(file));
+  try {
+    await writeRows(async (line) => {
+      if (!gzip.write(`${line}\n`)) await once(gzip, 'drain');
+    });
+    gzip.end();
+  } catch (error) {
+    gzip.destroy(error);
+    await done.catch(() => {});
+    throw error;
+  }
+  await done;
+}
+
+/**
+ * Read a table file in batches of parsed rows
+ */
+async function readTableRows(file, batchSize, onBatch) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity
+  });
+  let batch = [];
+  for await (const line of lines) {
+    if (!line) continue;
+    batch.push(JSON.parse(line));
+    if (batch.length >= batchSize) {
+      await onBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) await onBatch(batch);
+}
+
+async function readManifest(folderPath) {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(folderPath, MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    throw backupError(`Backup manifest cannot be read: ${error.message}`, 422);
+  }
+}
+
+// ============================================================================
+// BACKUP
+// ============================================================================
+
+/**
+ * Tables of the connected database with their columns (generated columns are left out)
+ */
+async function describeTables(client) {
+  const result = await client.query(`
+    SELECT c.relname AS table_name, a.attname AS column_name,
+           format_type(a.atttypid, a.atttypmod) AS column_type
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+    WHERE n.nspname = 'public' AND c.relkind = 'r' AND a.attgenerated = ''
+    ORDER BY c.relname, a.attnum
+  `);
+
+  const tables = new Map();
+  result.rows.forEach(row => {
+    if (!tables.has(row.table_name)) tables.set(row.table_name, []);
+    tables.get(row.table_name).push({ name: row.column_name, type: row.column_type });
+  });
+  return [...tables.entries()].map(([name, columns]) => ({ name, columns }));
+}
+
+/**
+ * Dump every table of a database as one consistent snapshot
+ * @returns {Promise<object>} Manifest (also written to the folder)
+ */
+async function dumpDatabase(target, folderPath, onProgress) {
+  await fs.promises.mkdir(path.join(folderPath, 'tables'), { recursive: true });
+  const client = await connectTo(target);
+  try {
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    const snapshot = await client.query('SELECT NOW() AS snapshot_at, version() AS server_version');
+    const tables = await describeTables(client);
+
+    const manifest = {
+      format: MANIFEST_FORMAT,
+      target: target.key,
+      kind: target.kind,
+      divisionCode: target.divisionCode,
+      database: target.database,
+      serverVersion: snapshot.rows[0].server_version,
+      snapshotAt: snapshot.rows[0].snapshot_at.toISOString(),
+      tables: []
+    };
+
+    for (const [index, table] of tables.entries()) {
+      const file = `tables/${table.name}.jsonl.gz`;
+      const filePath = path.join(folderPath, file);
+      let rows = 0;
+
+      await client.query(
+        `DECLARE backup_rows NO SCROLL CURSOR FOR SELECT ${table.columns.map(column => quoteIdent(column.name)).join(', ')} FROM ${quoteIdent(table.name)}`
+      );
+      await writeGzipLines(filePath, async (write) => {
+        for (;;) {
+          const batch = await client.query({ text: `FETCH ${FETCH_ROWS} FROM backup_rows`, rowMode: 'array', types: RAW_TYPES });
+          if (batch.rows.length === 0) break;
+          for (const row of batch.rows) await write(JSON.stringify(row));
+          rows += batch.rows.length;
+        }
+      });
+      await client.query('CLOSE backup_rows');
+
+      const { sha256, bytes } = await fileChecksum(filePath);
+      manifest.tables.push({ name: table.name, columns: table.columns, rows, file, bytes, sha256 });
+      if (onProgress) await onProgress(((index + 1) / tables.length) * 90, `${table.name}: ${rows} rows`);
+    }
+
+    await client.query('COMMIT');
+
+    manifest.totalRows = manifest.tables.reduce((sum, table) => sum + table.rows, 0);
+    manifest.totalBytes = manifest.tables.reduce((sum, table) => sum + table.bytes, 0);
+    manifest.completedAt = new Date().toISOString();
+    await fs.promises.writeFile(path.join(folderPath, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    return manifest;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Back up one database
+ * @param {object} target - From listTargets()
+ * @param {object} [options]
+ * @param {string} [options.trigger='manual'] - 'schedule' or 'manual'
+ * @param {string} [options.scheduledFor] - Day (YYYY-MM-DD) a scheduled backup is claimed for
+ * @param {string} [options.createdBy]
+ * @param {function(number, string): Promise<void>} [options.onProgress]
+ * @returns {Promise<object|null>} Backup row; null when another instance claimed the scheduled run
+ */
+async function backupTarget(target, { trigger = 'manual', scheduledFor = null, createdBy = null, onProgress = null } = {}) {
+  await ensureTables();
+
+  const startedAt = new Date();
+  const folder = `${target.key.replace(':', '-').toLowerCase()}/${startedAt.toISOString().replace(/[:.]/g, '-').slice(0, 19)}`;
+  const claimed = await authPool.query(
+    `INSERT INTO database_backups (target_key, database_name, division, trigger, scheduled_for, folder, created_by, started_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (target_key, scheduled_for) WHERE trigger = 'schedule' DO NOTHING
+     RETURNING id`,
+    [target.key, target.database, target.divisionCode, trigger, scheduledFor, folder, createdBy, startedAt]
+  );
+  if (claimed.rows.length === 0) return null;
+  const id = claimed.rows[0].id;
+  const folderPath = backupFolderPath(folder);
+
+  try {
+    const manifest = await dumpDatabase(target, folderPath, onProgress);
+    const { sha256 } = await fileChecksum(path.join(folderPath, MANIFEST_FILE));
+    await authPool.query(
+      `UPDATE database_backups
+       SET status = 'success', snapshot_at = $2, table_count = $3, row_count = $4, size_bytes = $5,
+           manifest_checksum = $6, finished_at = NOW()
+       WHERE id = $1`,
+      [id, manifest.snapshotAt, manifest.tables.length, manifest.totalRows, manifest.totalBytes, sha256]
+    );
+    if (onProgress) await onProgress(95, 'Verifying checksums');
+    const verification = await verifyBackup(id);
+    logger.info(`💾 Backup of ${target.database} complete`, {
+      backupId: id, tables: manifest.tables.length, rows: manifest.totalRows, bytes: manifest.totalBytes, verified: verification.valid
+    });
+    return getBackup(id);
+  } catch (error) {
+    await authPool.query(
+      "UPDATE database_backups SET status = 'failed', error = $2, finished_at = NOW() WHERE id = $1",
+      [id, error.message]
+    );
+    logger.error(`Backup of ${target.database} failed`, { backupId: id, error: error.message });
+    alert.error(
+      `Database backup failed: ${target.label}`,
+      error.message,
+      {
+        source: 'Backup scheduler',
+        dedupKey: `database-backup-${target.key}`,
+        metadata: { backupId: id, database: target.database, trigger },
+        channels: ['slack', 'email']
+      }
+    ).catch(alertError => logger.error('Failed to send backup alert', { error: alertError.message }));
+    throw error;
+  }
+}
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+const toBackup = (row) => ({
+  id: row.id,
+  targetKey: row.target_key,
+  database: row.database_name,
+  division: row.division,
+  trigger: row.trigger,
+  scheduledFor: row.scheduled_for,
+  status: row.status,
+  folder: row.folder,
+  snapshotAt: row.snapshot_at,
+  tableCount: row.table_count,
+  rowCount: row.row_count === null ? null : Number(row.row_count),
+  sizeBytes: row.size_bytes === null ? null : Number(row.size_bytes),
+  manifestChecksum: row.manifest_checksum,
+  verifyStatus: row.verify_status,
+  verifyError: row.verify_error,
+  verifiedAt: row.verified_at,
+  error: row.error,
+  createdBy: row.created_by,
+  startedAt: row.started_at,
+  finishedAt: row.finished_at
+});
+
+async function getBackup(id) {
+  await ensureTables();
+  const result = await authPool.query('SELECT * FROM database_backups WHERE id = $1', [id]);
+  if (result.rows.length === 0) throw backupError('Backup not found', 404);
+  return toBackup(result.rows[0]);
+}
+
+/**
+ * Check a backup's files against its manifest and the manifest against the stored checksum
+ * @param {object} backup - toBackup() shape
+ * @param {string[]} [tableNames] - Only these table files (all by default)
+ * @returns {Promise<{valid: boolean, checkedFiles: number, problems: Array<{file: string, reason: string}>, manifest: object|null}>}
+ */
+async function checkBackupFiles(backup, tableNames = null) {
+  const folderPath = backupFolderPath(backup.folder);
+  const problems = [];
+
+  let manifestChecksum;
+  try {
+    manifestChecksum = (await fileChecksum(path.join(folderPath, MANIFEST_FILE))).sha256;
+  } catch (error) {
+    return { valid: false, checkedFiles: 0, problems: [{ file: MANIFEST_FILE, reason: 'missing' }], manifest: null };
+  }
+  if (manifestChecksum !== backup.manifestChecksum) {
+    return { valid: false, checkedFiles: 1, problems: [{ file: MANIFEST_FILE, reason: 'checksum mismatch' }], manifest: null };
+  }
+
+  const manifest = await readManifest(folderPath);
+  const tables = tableNames ? manifest.tables.filter(table => tableNames.includes(table.name)) : manifest.tables;
+  for (const table of tables) {
+    try {
+      const { sha256, bytes } = await fileChecksum(path.join(folderPath, table.file));
+      if (bytes !== table.bytes) problems.push({ file: table.file, reason: `size ${bytes} instead of ${table.bytes}` });
+      else if (sha256 !== table.sha256) problems.push({ file: table.file, reason: 'checksum mismatch' });
+    } catch (error) {
+      problems.push({ file: table.file, reason: 'missing' });
+    }
+  }
+
+  return { valid: problems.length === 0, checkedFiles: tables.length + 1, problems, manifest };
+}
+
+/**
+ * Verify all files of a backup and record the result
+ */
+async function verifyBackup(id) {
+  const backup = await getBackup(id);
+  if (backup.status !== 'success') throw backupError(`A ${backup.status} backup cannot be verified`, 409);
+
+  const { valid, checkedFiles, problems } = await checkBackupFiles(backup);
+  const verifyError = valid ? null : problems.map(problem => `${problem.file}: ${problem.reason}`).join('; ');
+  await authPool.query(
+    'UPDATE database_backups SET verify_status = $2, verify_error = $3, verified_at = NOW() WHERE id = $1',
+    [id, valid ? 'valid' : 'corrupt', verifyError]
+  );
+  if (!valid) logger.warn('Backup failed verification', { backupId: id, problems });
+  return { valid, checkedFiles, problems };
+}
+
+// ============================================================================
+// RESTORE
+// ============================================================================
+
+async function currentColumns(client, table) {
+  const result = await client.query(
+    `SELECT a.attname AS name, pg_get_serial_sequence($1, a.attname) AS sequence_name
+     FROM pg_attribute a
+     WHERE a.attrelid = to_regclass($1) AND a.attnum > 0 AND NOT a.attisdropped AND a.attgenerated = ''`,
+    [quoteIdent(table)]
+  );
+  return result.rows;
+}
+
+/**
+ * Insert a table file into an existing table
+ * @param {object} options
+ * @param {object} options.table - Manifest entry
+ * @param {string} options.targetTable - Table to insert into (same columns, or a subset)
+ * @param {function(string): string} [options.mapDivision] - Rewrites the division column
+ * @returns {Promise<{rows: number, skippedColumns: string[]}>}
+ */
+async function loadTable(client, folderPath, { table, targetTable, mapDivision = null }) {
+  const existing = new Set((await currentColumns(client, targetTable)).map(column => column.name));
+  const indexes = table.columns.map((column, index) => (existing.has(column.name) ? index : -1)).filter(index => index >= 0);
+  const columns = indexes.map(index => table.columns[index].name);
+  if (columns.length === 0) return { rows: 0, skippedColumns: table.columns.map(column => column.name) };
+  const divisionIndex = mapDivision ? columns.indexOf('division') : -1;
+  const batchSize = Math.max(1, Math.min(500, Math.floor(MAX_INSERT_PARAMS / Math.max(columns.length, 1))));
+  let rows = 0;
+
+  await readTableRows(path.join(folderPath, table.file), batchSize, async (batch) => {
+    const values = [];
+    const tuples = batch.map((row) => {
+      const projected = indexes.map(index => row[index]);
+      if (divisionIndex >= 0 && typeof projected[divisionIndex] === 'string') {
+        projected[divisionIndex] = mapDivision(projected[divisionIndex]);
+      }
+      const placeholders = projected.map((value) => {
+        values.push(value);
+        return `$${values.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+    await client.query(
+      `INSERT INTO ${quoteIdent(targetTable)} (${columns.map(quoteIdent).join(', ')})
+       OVERRIDING SYSTEM VALUE VALUES ${tuples.join(', ')}`,
+      values
+    );
+    rows += batch.length;
+  });
+
+  return { rows, skippedColumns: table.columns.filter(column => !existing.has(column.name)).map(column => column.name) };
+}
+
+/**
+ * Create a table from the column definitions in a backup manifest
+ */
+async function createTableFromManifest(client, targetTable, table) {
+  await client.query(
+    `CREATE TABLE ${quoteIdent(targetTable)} (${table.columns.map(column => `${quoteIdent(column.name)} ${column.type}`).join(', ')})`
+  );
+}
+
+/**
+ * Move serial / identity sequences past the restored ids
+ */
+async function resetSequences(client, table) {
+  for (const column of await currentColumns(client, table)) {
+    if (!column.sequence_name) continue;
+    await client.query(
+      `SELECT setval($1, COALESCE((SELECT MAX(${quoteIdent(column.name)}) FROM ${quoteIdent(table)}), 0) + 1, false)`,
+      [column.sequence_name]
+    );
+  }
+}
+
+async function assertRestorable(backup, tableNames = null) {
+  if (backup.status !== 'success') throw backupError(`A ${backup.status} backup cannot be restored`, 409);
+  const check = await checkBackupFiles(backup, tableNames);
+  if (!check.valid) {
+    throw backupError(`Backup failed checksum verification: ${check.problems.map(problem => `${problem.file} (${problem.reason})`).join(', ')}`, 422);
+  }
+  return check.manifest;
+}
+
+/**
+ * Restore a division backup as a new division (new database, registered in company settings)
+ * Tables are renamed to the new code's prefix and the division column rewritten to the new code.
+ * Tables the new division's schema does not have are created from the backup's column definitions.
+ * If anything fails, the new database is dropped again.
+ * @returns {Promise<{divisionCode: string, divisionName: string, tablesRestored: number, tablesCreated: string[],
+ *   rowsRestored: number, skipped: object[]}>}
+ */
+async function restoreToNewDivision(id, { newCode, newName }, onProgress = null) {
+  const backup = await getBackup(id);
+  if (!backup.division) throw backupError('Only division backups can be restored as a division', 400);
+  const code = String(newCode || '').toUpperCase();
+  if (!/^[A-Z]{2,4}$/.test(code)) throw backupError('Invalid division code. Must be 2-4 uppercase letters.', 400);
+  if (await divisionDatabaseExists(code)) throw backupError(`Division ${code} already exists`, 409);
+
+  const manifest = await assertRestorable(backup);
+  const name = newName || `${backup.division} restored ${String(manifest.snapshotAt).slice(0, 10)}`;
+  const oldPrefix = `${backup.division.toLowerCase()}_`;
+  const newPrefix = `${code.toLowerCase()}_`;
+
+  if (onProgress) await onProgress(5, `Creating division ${code}`);
+  let result;
+  try {
+    await createDivisionDatabase(code, name);
+    result = await loadDivisionBackup(backup, manifest, { code, name, oldPrefix, newPrefix }, onProgress);
+    await registerDivision(code, name);
+  } catch (error) {
+    logger.error(`Restoring backup ${id} as division ${code} failed, dropping the new database`, { error: error.message });
+    try {
+      await deleteDivisionDatabase(code);
+    } catch (dropError) {
+      logger.error(`Could not drop database of division ${code}`, { error: dropError.message });
+    }
+    throw error;
+  }
+
+  logger.info(`💾 Backup ${id} restored as division ${code}`, { tables: result.tablesRestored, rows: result.rowsRestored });
+  return result;
+}
+
+/**
+ * Load every table of a division backup into the freshly created division database (one transaction)
+ */
+async function loadDivisionBackup(backup, manifest, { code, name, oldPrefix, newPrefix }, onProgress) {
+  const folderPath = backupFolderPath(backup.folder);
+  const result = { divisionCode: code, divisionName: name, tablesRestored: 0, tablesCreated: [], rowsRestored: 0, skipped: [] };
+  const client = await getDivisionPool(code).connect();
+  try {
+    await client.query('BEGIN');
+    for (const [index, table] of manifest.tables.entries()) {
+      const targetTable = table.name.startsWith(oldPrefix) ? newPrefix + table.name.slice(oldPrefix.length) : table.name;
+      const exists = await client.query('SELECT to_regclass($1) AS oid', [quoteIdent(targetTable)]);
+      if (exists.rows[0].oid) {
+        await client.query(`DELETE FROM ${quoteIdent(targetTable)}`);
+      } else {
+        await createTableFromManifest(client, targetTable, table);
+        result.tablesCreated.push(targetTable);
+      }
+
+      const loaded = await loadTable(client, folderPath, {
+        table,
+        targetTable,
+        mapDivision: value => (value.toUpperCase() === backup.division.toUpperCase() ? code : value)
+      });
+      await resetSequences(client, targetTable);
+      if (loaded.skippedColumns.length > 0) {
+        result.skipped.push({ table: table.name, reason: `columns not restored: ${loaded.skippedColumns.join(', ')}` });
+      }
+      result.tablesRestored++;
+      result.rowsRestored += loaded.rows;
+      if (onProgress) await onProgress(10 + ((index + 1) / manifest.tables.length) * 85, `${targetTable}: ${loaded.rows} rows`);
+    }
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Add a division to the company settings' division list (if not listed yet)
+ */
+async function registerDivision(code, name) {
+  const settings = await authPool.query("SELECT setting_value FROM company_settings WHERE setting_key = 'divisions'");
+  const divisions = Array.isArray(settings.rows[0]?.setting_value) ? settings.rows[0].setting_value : [];
+  if (!divisions.some(division => division.code === code)) {
+    await authPool.query(
+      `INSERT INTO company_settings (setting_key, setting_value)
+       VALUES ('divisions', $1)
+       ON CONFLICT (setting_key) DO UPDATE SET setting_value = $1, updated_at = NOW()`,
+      [JSON.stringify([...divisions, { code, name }])]
+    );
+  }
+}
+
+const restoredTableName = (table, snapshotAt) => {
+  const date = new Date(snapshotAt);
+  const suffix = `_restored_${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}_${pad(date.getHours())}${pad(date.getMinutes())}`;
+  return table.slice(0, 63 - suffix.length) + suffix;
+};
+
+/**
+ * Restore one table of a backup into its database
+ * - mode 'copy' (default): into a new table <table>_restored_<snapshot time> next to the live one
+ * - mode 'replace': the live table's rows are replaced in one transaction
+ * @returns {Promise<{table: string, targetTable: string, mode: string, rows: number, skippedColumns: string[]}>}
+ */
+async function restoreTable(id, { table: tableName, mode = 'copy' }, onProgress = null) {
+  if (!['copy', 'replace'].includes(mode)) throw backupError('Mode must be copy or replace', 400);
+  const backup = await getBackup(id);
+  const manifest = await assertRestorable(backup, [tableName]);
+  const table = manifest.tables.find(candidate => candidate.name === tableName);
+  if (!table) throw backupError(`Table ${tableName} is not in this backup`, 404);
+
+  const target = await getTarget(backup.targetKey);
+  const folderPath = backupFolderPath(backup.folder);
+  const targetTable = mode === 'copy' ? restoredTableName(table.name, manifest.snapshotAt) : table.name;
+
+  const client = await connectTo(target);
+  try {
+    await client.query('BEGIN');
+    const exists = await client.query('SELECT to_regclass($1) AS oid', [quoteIdent(targetTable)]);
+    if (mode === 'copy') {
+      if (exists.rows[0].oid) throw backupError(`Table ${targetTable} already exists`, 409);
+      await createTableFromManifest(client, targetTable, table);
+    } else {
+      if (!exists.rows[0].oid) throw backupError(`Table ${targetTable} no longer exists; restore it as a copy`, 409);
+      await client.query(`LOCK TABLE ${quoteIdent(targetTable)} IN ACCESS EXCLUSIVE MODE`);
+      await client.query(`DELETE FROM ${quoteIdent(targetTable)}`);
+    }
+
+    if (onProgress) await onProgress(20, `Loading ${table.rows} rows into ${targetTable}`);
+    const loaded = await loadTable(client, folderPath, { table, targetTable });
+    if (mode === 'replace') await resetSequences(client, targetTable);
+    await client.query('COMMIT');
+
+    logger.info(`💾 Table ${table.name} restored from backup ${id}`, { targetTable, mode, rows: loaded.rows });
+    return { table: table.name, targetTable, mode, rows: loaded.rows, skippedColumns: loaded.skippedColumns };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================================================
+// LISTING AND STATUS
+// ============================================================================
+
+/**
+ * Backups of a target (or all), newest first; pruned ones only on request
+ */
+async function listBackups({ targetKey = null, includePruned = false, limit = 50 } = {}) {
+  await ensureTables();
+  const conditions = [];
+  const params = [];
+  if (targetKey) {
+    params.push(targetKey);
+    conditions.push(`target_key = $${params.length}`);
+  }
+  if (!includePruned) conditions.push("status <> 'pruned'");
+  params.push(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500));
+
+  const result = await authPool.query(
+    `SELECT * FROM database_backups
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY started_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows.map(toBackup);
+}
+
+/**
+ * Table list of a backup (from its manifest)
+ */
+async function getBackupTables(id) {
+  const backup = await getBackup(id);
+  if (backup.status !== 'success') return [];
+  const manifest = await readManifest(backupFolderPath(backup.folder));
+  return manifest.tables.map(table => ({ name: table.name, rows: table.rows, bytes: table.bytes }));
+}
+
+/**
+ * Backup status per target: last success with size and age, last attempt, retained backups
+ */
+async function getStatus(now = new Date()) {
+  await ensureTables();
+  const [targets, policy] = await Promise.all([listTargets(), getPolicy()]);
+
+  const [lastSuccess, lastAttempt, retained, lastScheduled] = await Promise.all([
+    authPool.query(`SELECT DISTINCT ON (target_key) * FROM database_backups
+                    WHERE status = 'success' ORDER BY target_key, started_at DESC`),
+    authPool.query('SELECT DISTINCT ON (target_key) * FROM database_backups ORDER BY target_key, started_at DESC'),
+    authPool.query(`SELECT target_key, COUNT(*)::int AS count, COALESCE(SUM(size_bytes), 0)::bigint AS bytes
+                    FROM database_backups WHERE status = 'success' GROUP BY target_key`),
+    authPool.query("SELECT MAX(scheduled_for)::text AS day FROM database_backups WHERE trigger = 'schedule'")
+  ]);
+  const byTarget = (result) => new Map(result.rows.map(row => [row.target_key, row]));
+  const successes = byTarget(lastSuccess);
+  const attempts = byTarget(lastAttempt);
+  const retainedByTarget = byTarget(retained);
+
+  return {
+    policy,
+    schedulerRunning: Boolean(schedulerTimer),
+    nextRunAt: policy.enabled ? nextRunAt(policy, lastScheduled.rows[0]?.day, now) : null,
+    backupDir: BACKUP_ROOT,
+    targets: targets.map(target => {
+      const success = successes.get(target.key);
+      const ageHours = success ? Math.round(((now - new Date(success.finished_at)) / 3600000) * 10) / 10 : null;
+      return {
+        ...target,
+        lastSuccess: success ? toBackup(success) : null,
+        lastAttempt: attempts.has(target.key) ? toBackup(attempts.get(target.key)) : null,
+        ageHours,
+        stale: ageHours === null || ageHours > STALE_AFTER_HOURS,
+        retainedCount: retainedByTarget.get(target.key)?.count || 0,
+        retainedBytes: Number(retainedByTarget.get(target.key)?.bytes || 0)
+      };
+    })
+  };
+}
+
+// ============================================================================
+// PRUNING AND SCHEDULING
+// ============================================================================
+
+/**
+ * Remove the backups of a target that the retention policy no longer keeps
+ * @returns {Promise<number>} Backups pruned
+ */
+async function pruneBackups(targetKey, policy, now = new Date()) {
+  const result = await authPool.query(
+    "SELECT id, status, started_at, folder FROM database_backups WHERE target_key = $1 AND status IN ('success', 'failed')",
+    [targetKey]
+  );
+  const backups = result.rows.map(row => ({ id: row.id, status: row.status, startedAt: row.started_at, folder: row.folder }));
+  const ids = selectBackupsToPrune(backups, policy, now);
+
+  for (const id of ids) {
+    const backup = backups.find(candidate => candidate.id === id);
+    try {
+      if (backup.folder) await fs.promises.rm(backupFolderPath(backup.folder), { recursive: true, force: true });
+      await authPool.query("UPDATE database_backups SET status = 'pruned', pruned_at = NOW() WHERE id = $1", [id]);
+    } catch (error) {
+      logger.warn('Could not prune backup', { backupId: id, error: error.message });
+    }
+  }
+  if (ids.length > 0) logger.info(`💾 Pruned ${ids.length} backup(s) of ${targetKey}`);
+  return ids.length;
+}
+
+let schedulerTimer = null;
+let tickRunning = false;
+
+/**
+ * One scheduler pass: once the day's run time has passed, back up every target not yet
+ * backed up for the day, then apply the retention policy
+ * @returns {Promise<number>} Backups made by this instance
+ */
+async function runDueBackups(now = new Date()) {
+  if (tickRunning) return 0;
+  tickRunning = true;
+  let made = 0;
+  try {
+    await ensureTables();
+    await authPool.query(
+      `UPDATE database_backups SET status = 'failed', error = 'Interrupted (server stopped during the backup)', finished_at = NOW()
+       WHERE status = 'running' AND started_at < NOW() - ($1 || ' hours')::interval`,
+      [String(INTERRUPTED_AFTER_HOURS)]
+    );
+
+    const policy = await getPolicy();
+    const [hours, minutes] = policy.runTime.split(':').map(Number);
+    if (!policy.enabled || now < new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes)) return 0;
+
+    for (const target of await listTargets()) {
+      try {
+        const backup = await backupTarget(target, { trigger: 'schedule', scheduledFor: dayKey(now) });
+        if (!backup) continue;
+        made++;
+        await pruneBackups(target.key, policy, now);
+      } catch (error) {
+        // Recorded and alerted by backupTarget; go on with the next database
+      }
+    }
+    return made;
+  } catch (error) {
+    logger.error('Backup scheduler pass failed', { error: error.message });
+    return made;
+  } finally {
+    tickRunning = false;
+  }
+}
+
+/**
+ * Start checking for the daily backup run
+ */
+function startScheduler({ intervalMs = POLL_INTERVAL_MS } = {}) {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(runDueBackups, intervalMs);
+  schedulerTimer.unref();
+  setImmediate(runDueBackups);
+  logger.info('💾 Backup scheduler started', { intervalMs, backupDir: BACKUP_ROOT });
+}
+
+function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  validatePolicy,
+  getPolicy,
+  updatePolicy,
+  dayKey,
+  weekKey,
+  monthKey,
+  selectBackupsToPrune,
+  nextRunAt,
+  restoredTableName,
+  listTargets,
+  getTarget,
+  backupTarget,
+  getBackup,
+  verifyBackup,
+  restoreToNewDivision,
+  restoreTable,
+  listBackups,
+  getBackupTables,
+  getStatus,
+  pruneBackups,
+  runDueBackups,
+  startScheduler,
+  stopScheduler
+};
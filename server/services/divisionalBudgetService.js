@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const { loadBudgetPriceResolver } = require('./priceListService');
 
 const MAX_KGS_VALUE = 1_000_000_000;
 
@@ -156,6 +157,28 @@ const getDivisionalBudgetInfo = async (client, division, budgetYear) => {
   };
 };
 
+/**
+ * Record count and totals per metric (KGS, AMOUNT, MORM) of a divisional budget year,
+ * the before / after state of a save or delete in the audit log
+ */
+const getDivisionalBudgetTotals = async (client, division, budgetYear) => {
+  const tableName = getDivisionalBudgetTable(division);
+  const result = await client.query(`
+    SELECT UPPER(metric) AS metric, COUNT(*)::int AS record_count, COALESCE(SUM(value), 0) AS total
+    FROM public.${tableName}
+    WHERE UPPER(division) = UPPER($1)
+      AND year = $2
+    GROUP BY UPPER(metric)
+  `, [division, budgetYear]);
+
+  const totals = { records: 0 };
+  result.rows.forEach(row => {
+    totals.records += row.record_count;
+    totals[row.metric] = parseFloat(row.total) || 0;
+  });
+  return totals;
+};
+
 const fetchMaterialProcessMap = async (client, divisionCode) => {
   if (!divisionCode) {
     return {};
@@ -254,6 +277,7 @@ const saveDivisionalBudget = async (client, options) => {
 
   const materialProcessMap = await fetchMaterialProcessMap(client, divisionCode);
   const pricingMap = await fetchPricingMap(client, division, divisionCode, pricingYear);
+  const priceList = await loadBudgetPriceResolver(client, division, Number(budgetYear), pricingMap);
   const missingPricingProducts = new Set();
   let warnings = [];
   
@@ -269,7 +293,11 @@ const saveDivisionalBudget = async (client, options) => {
   for (const record of validRecords) {
     const productGroupKey = normalizeProductGroupKey(record.productGroup);
     const materialProcess = materialProcessMap[productGroupKey] || { material: '', process: '' };
-    const pricing = pricingMap[productGroupKey] || { sellingPrice: null, morm: null };
+    const pricing = priceList.resolve({
+      productGroup: record.productGroup,
+      year: Number(budgetYear),
+      month: record.month
+    });
 
     // 1. KGS Record (Always add)
     rowsToUpsert.push([
@@ -410,11 +438,13 @@ const saveDivisionalBudget = async (client, options) => {
     },
     pricingYear,
     pricingDataAvailable: Object.keys(pricingMap).length,
+    approvedPricesAvailable: priceList.approvedPrices,
     warnings: warnings.length > 0 ? warnings : undefined
   };
 };
 
 module.exports = {
   getDivisionalBudgetInfo,
+  getDivisionalBudgetTotals,
   saveDivisionalBudget
 };
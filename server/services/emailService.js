@@ -0,0 +1,98 @@
+/**
+ * Email Service
+ * Outgoing mail over SMTP (scheduled reports, alert emails)
+ *
+ * CONFIGURATION (environment, read on every send so a changed .env only needs a restart):
+ * - SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ('true' for implicit TLS, port 465)
+ * - SMTP_USER, SMTP_PASS (optional, no authentication when empty)
+ * - REPORT_FROM_EMAIL, falling back to ALERT_FROM_EMAIL
+ *
+ * Any SMTP server works, including a local stand-in for development and tests.
+ */
+
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+const emailError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const EMAIL_PATTERN = /^[^\s@,;<>]+@[^\s@,;<>]+\.[^\s@,;<>]+$/;
+
+const isValidEmail = (value) => EMAIL_PATTERN.test(String(value || '').trim());
+
+/**
+ * SMTP settings from the environment
+ */
+function getSmtpConfig() {
+  return {
+    host: process.env.SMTP_HOST || null,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+    from: process.env.REPORT_FROM_EMAIL || process.env.ALERT_FROM_EMAIL || null
+  };
+}
+
+/**
+ * Whether outgoing mail can be sent at all
+ */
+function isConfigured() {
+  const smtp = getSmtpConfig();
+  return Boolean(smtp.host && smtp.from);
+}
+
+/**
+ * Send one message
+ * @param {object} message
+ * @param {string|string[]} message.to
+ * @param {string} message.subject
+ * @param {string} [message.html]
+ * @param {string} [message.text]
+ * @param {string} [message.from] - Defaults to REPORT_FROM_EMAIL / ALERT_FROM_EMAIL
+ * @param {Array<{filename: string, content: Buffer|string, contentType?: string}>} [message.attachments]
+ * @returns {Promise<{messageId: string, accepted: string[], rejected: string[]}>}
+ */
+async function sendMail({ to, subject, html, text, from, attachments = [] }) {
+  const smtp = getSmtpConfig();
+  const sender = from || smtp.from;
+  const recipients = (Array.isArray(to) ? to : [to]).filter(Boolean);
+
+  if (!smtp.host) {
+    throw emailError('SMTP is not configured (SMTP_HOST)', 503);
+  }
+  if (!sender) {
+    throw emailError('No sender address configured (REPORT_FROM_EMAIL)', 503);
+  }
+  if (recipients.length === 0) {
+    throw emailError('No recipients', 400);
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+    connectionTimeout: 30000,
+    greetingTimeout: 30000,
+    socketTimeout: 120000
+  });
+
+  try {
+    const info = await transporter.sendMail({ from: sender, to: recipients, subject, html, text, attachments });
+    logger.info(`📧 Email sent: ${subject}`, { recipients: recipients.length, messageId: info.messageId });
+    return { messageId: info.messageId, accepted: info.accepted || [], rejected: info.rejected || [] };
+  } finally {
+    transporter.close();
+  }
+}
+
+module.exports = {
+  isValidEmail,
+  getSmtpConfig,
+  isConfigured,
+  sendMail
+};
@@ -0,0 +1,560 @@
+/**
+ * Excel Ingestion Service
+ * Pure Node replacement for scripts/transform-actual-to-sql.ps1 and
+ * scripts/transform-budget-to-sql.ps1 (which required powershell.exe + psql.exe)
+ *
+ * PIPELINE: parse (xlsx) -> normalize (utils/normalization) -> validate -> load
+ *
+ * MODES (same semantics as the PowerShell transforms):
+ * - UPSERT: Deletes rows matching the uploaded dimension keys, then inserts Excel rows
+ * - REPLACE: Backs up and deletes ALL rows of the division/type, then inserts Excel rows
+ *
+ * The whole load runs inside a single transaction - any failure rolls back everything.
+ *
+ * PERIOD CLOSE: uploads touching closed months (period-close register) fail validation.
+ * REPLACE deletes every month of the division/type, so any closed month blocks it.
+ */
+
+const path = require('path');
+const XLSX = require('xlsx');
+const { getDivisionPool } = require('../utils/divisionDatabaseManager');
+const { normalize, toProperCase, validateYear, validateMonth } = require('../utils/normalization');
+const periodCloseService = require('./periodCloseService');
+const logger = require('../utils/logger');
+
+const MIN_YEAR = 2019;
+const MAX_YEAR = 2050;
+const BATCH_SIZE = 1000;
+const MAX_REPORTED_ERRORS = 200;
+
+const VALID_TYPES = ['Actual', 'Budget'];
+const VALID_MODES = ['upsert', 'replace'];
+const VALID_VALUES_TYPES = ['AMOUNT', 'KGS', 'MORM'];
+
+/**
+ * Excel header -> database column mapping
+ * Headers are matched case-insensitively (Excel uses COUNTRYNAME, PGCombine, Total...)
+ */
+const COLUMN_MAP = {
+  year: 'year',
+  month: 'month',
+  salesrepname: 'salesrepname',
+  customername: 'customername',
+  countryname: 'countryname',
+  pgcombine: 'productgroup',
+  productgroup: 'productgroup',
+  material: 'material',
+  process: 'process',
+  values_type: 'values_type',
+  total: 'values',
+  values: 'values'
+};
+
+const REQUIRED_COLUMNS = [
+  'year', 'month', 'salesrepname', 'customername', 'countryname',
+  'productgroup', 'material', 'process', 'values_type', 'values'
+];
+
+// Columns provided by the upload itself - must not be in the file
+const FORBIDDEN_COLUMNS = ['type', 'division'];
+
+// Dimension key used by UPSERT to find rows to replace
+const KEY_COLUMNS = [
+  'division', 'year', 'month', 'type', 'salesrepname', 'customername',
+  'countryname', 'productgroup', 'material', 'process', 'values_type'
+];
+
+const INSERT_COLUMNS = [
+  'division', 'year', 'month', 'type', 'salesrepname', 'customername', 'countryname',
+  'productgroup', 'material', 'process', 'values_type', 'values', 'sourcesheet', 'uploaded_by'
+];
+
+const extractDivisionCode = (division) => {
+  if (!division) return 'fp';
+  return division.split('-')[0].toLowerCase();
+};
+
+const getTableNames = (division) => {
+  const code = extractDivisionCode(division);
+  return {
+    dataExcel: `${code}_data_excel`,
+    dataExcelBackup: `${code}_data_excel_backup`
+  };
+};
+
+/**
+ * Proper Case + collapse internal whitespace (matches the PowerShell Convert-ToProperCase)
+ */
+const cleanText = (value) => {
+  if (value === null || value === undefined) return null;
+  const collapsed = value.toString().trim().replace(/\s+/g, ' ');
+  return collapsed ? toProperCase(collapsed) : null;
+};
+
+const parseNumber = (value) => {
+  if (value === null || value === undefined || value === '') return NaN;
+  if (typeof value === 'number') return value;
+  return Number(value.toString().replace(/,/g, '').trim());
+};
+
+/**
+ * Accepts the three shapes the UI sends for selective uploads:
+ * array ["2025-1"], JSON string '["2025-1"]' or comma string "2025-1,2025-2"
+ * @returns {Set<string>|null} Set of "year-month" keys, or null for no filter
+ */
+const parseSelectedYearMonths = (value) => {
+  if (!value) return null;
+
+  let list = value;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      list = JSON.parse(trimmed);
+    } else {
+      list = trimmed.split(',');
+    }
+  }
+
+  const keys = list
+    .map(item => item.toString().trim())
+    .filter(Boolean)
+    .map(item => {
+      const [year, month] = item.split('-').map(Number);
+      return `${year}-${month}`;
+    });
+
+  return keys.length > 0 ? new Set(keys) : null;
+};
+
+/**
+ * Read the first sheet of a workbook into row objects
+ * @param {string|Buffer} source - Path to .xlsx/.xls file, or the file's bytes
+ * @returns {{ rows: Object[], headers: string[], sheetName: string }}
+ */
+const readWorkbook = (source) => {
+  const workbook = Buffer.isBuffer(source) ? XLSX.read(source, { type: 'buffer' }) : XLSX.readFile(source);
+  const sheetName = workbook.SheetNames[0];
+  const sheet = workbook.Sheets[sheetName];
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: null });
+  const headerRow = XLSX.utils.sheet_to_json(sheet, { header: 1, range: 0 })[0] || [];
+  return { rows, headers: headerRow.map(h => (h === null || h === undefined ? '' : h.toString())), sheetName };
+};
+
+/**
+ * Validate header row structure
+ * @returns {string[]} Structural errors (empty when OK)
+ */
+const validateHeaders = (headers) => {
+  const errors = [];
+  const lower = headers.map(h => h.trim().toLowerCase());
+  const mapped = new Set(lower.map(h => COLUMN_MAP[h]).filter(Boolean));
+
+  FORBIDDEN_COLUMNS.forEach(col => {
+    if (lower.includes(col)) {
+      errors.push(`Remove '${col}' column from Excel - it is provided by the upload`);
+    }
+  });
+
+  REQUIRED_COLUMNS.forEach(col => {
+    if (!mapped.has(col)) {
+      errors.push(`Missing required column: ${col}`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Map a raw Excel row onto database column names (case-insensitive headers)
+ */
+const mapRow = (raw) => {
+  const mapped = {};
+  Object.keys(raw).forEach(key => {
+    const column = COLUMN_MAP[key.trim().toLowerCase()];
+    if (column && mapped[column] === undefined) {
+      mapped[column] = raw[key];
+    }
+  });
+  return mapped;
+};
+
+/**
+ * Normalize and validate raw Excel rows
+ * Blank rows (no year or no customer) are skipped silently, like the PowerShell filter.
+ *
+ * @param {Object[]} rawRows - Rows from readWorkbook
+ * @param {Object} options
+ * @param {string} options.division - Division code
+ * @param {string} options.type - 'Actual' or 'Budget'
+ * @param {string} options.uploadedBy - Uploader name
+ * @param {string} [options.sourceSheet] - Original filename for traceability
+ * @param {Set<string>|null} [options.selectedYearMonths] - Optional "year-month" filter
+ * @returns {{ records: Object[], errors: Object[], blankRows: number, filteredRows: number }}
+ */
+const transformRows = (rawRows, options) => {
+  const { division, type, uploadedBy, sourceSheet = null, selectedYearMonths = null } = options;
+  const records = [];
+  const errors = [];
+  let blankRows = 0;
+  let filteredRows = 0;
+
+  rawRows.forEach((raw, index) => {
+    const rowNumber = index + 2; // Excel row number (row 1 = header)
+    const row = mapRow(raw);
+
+    if (!row.year || !cleanText(row.customername)) {
+      blankRows++;
+      return;
+    }
+
+    const rowErrors = [];
+    const addError = (field, reason, value) => rowErrors.push({ row: rowNumber, field, reason, value });
+
+    let year;
+    let month;
+    try {
+      year = validateYear(row.year, MIN_YEAR, MAX_YEAR);
+    } catch (err) {
+      addError('year', err.message, row.year);
+    }
+    try {
+      month = validateMonth(row.month);
+    } catch (err) {
+      addError('month', err.message, row.month);
+    }
+
+    if (year && month && selectedYearMonths && !selectedYearMonths.has(`${year}-${month}`)) {
+      filteredRows++;
+      return;
+    }
+
+    const valuesType = row.values_type ? normalize(row.values_type) : 'AMOUNT';
+    if (!VALID_VALUES_TYPES.includes(valuesType)) {
+      addError('values_type', `Invalid values_type '${row.values_type}' (must be AMOUNT, KGS, or MORM)`, row.values_type);
+    }
+
+    const value = parseNumber(row.values);
+    if (Number.isNaN(value)) {
+      addError('values', row.values === null || row.values === undefined || row.values === ''
+        ? 'Total value is missing'
+        : `Total must be numeric, found: ${row.values}`, row.values);
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      return;
+    }
+
+    records.push({
+      division: division.toUpperCase(),
+      year,
+      month,
+      type,
+      salesrepname: cleanText(row.salesrepname),
+      customername: cleanText(row.customername),
+      countryname: cleanText(row.countryname),
+      productgroup: cleanText(row.productgroup),
+      material: cleanText(row.material),
+      process: cleanText(row.process),
+      values_type: valuesType,
+      values: value,
+      sourcesheet: sourceSheet,
+      uploaded_by: uploadedBy
+    });
+  });
+
+  return { records, errors, blankRows, filteredRows };
+};
+
+/**
+ * QC summary - periods covered and totals per values_type
+ */
+const buildQcSummary = (records) => {
+  const years = new Set();
+  const periods = new Set();
+  const totals = { AMOUNT: 0, KGS: 0, MORM: 0 };
+
+  records.forEach(record => {
+    years.add(record.year);
+    periods.add(`${record.year}-${record.month}`);
+    totals[record.values_type] += record.values;
+  });
+
+  return {
+    totalRecords: records.length,
+    years: Array.from(years).sort((a, b) => a - b),
+    periods: Array.from(periods).sort((a, b) => {
+      const [ya, ma] = a.split('-').map(Number);
+      const [yb, mb] = b.split('-').map(Number);
+      return ya - yb || ma - mb;
+    }),
+    totalAmount: totals.AMOUNT,
+    totalKgs: totals.KGS,
+    totalMorm: totals.MORM
+  };
+};
+
+/**
+ * Copy all division/type rows into the backup table before a REPLACE.
+ * Runs in a savepoint so a missing backup table does not abort the load.
+ */
+const backupExistingData = async (client, tables, division, type) => {
+  await client.query('SAVEPOINT ingestion_backup');
+  try {
+    await client.query(
+      `DELETE FROM public.${tables.dataExcelBackup} WHERE UPPER(division) = $1 AND UPPER(type) = $2`,
+      [division, type.toUpperCase()]
+    );
+    const result = await client.query(
+      `INSERT INTO public.${tables.dataExcelBackup}
+       SELECT *, NOW() AS backup_timestamp, 'REPLACE mode - full backup before delete all' AS backup_reason
+       FROM public.${tables.dataExcel}
+       WHERE UPPER(division) = $1 AND UPPER(type) = $2`,
+      [division, type.toUpperCase()]
+    );
+    await client.query('RELEASE SAVEPOINT ingestion_backup');
+    return result.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK TO SAVEPOINT ingestion_backup');
+    logger.warn(`⚠️ Backup before REPLACE skipped for ${tables.dataExcel}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Stage records in a temp table (batched multi-row INSERTs)
+ */
+const stageRecords = async (client, records) => {
+  await client.query(`
+    CREATE TEMP TABLE ingestion_stage (
+      division VARCHAR(50), year INTEGER, month INTEGER, type VARCHAR(20),
+      salesrepname TEXT, customername TEXT, countryname TEXT, productgroup TEXT,
+      material TEXT, process TEXT, values_type VARCHAR(20), values NUMERIC,
+      sourcesheet TEXT, uploaded_by TEXT
+    ) ON COMMIT DROP
+  `);
+
+  const width = INSERT_COLUMNS.length;
+  for (let i = 0; i < records.length; i += BATCH_SIZE) {
+    const batch = records.slice(i, i + BATCH_SIZE);
+    const placeholders = batch.map((_, idx) => {
+      const base = idx * width;
+      return `(${INSERT_COLUMNS.map((__, col) => `$${base + col + 1}`).join(', ')})`;
+    }).join(', ');
+    const params = batch.flatMap(record => INSERT_COLUMNS.map(col => record[col]));
+
+    await client.query(
+      `INSERT INTO ingestion_stage (${INSERT_COLUMNS.join(', ')}) VALUES ${placeholders}`,
+      params
+    );
+  }
+};
+
+/**
+ * Load transformed records into {div}_data_excel using an existing client/transaction
+ * @returns {Object} Load statistics
+ */
+const loadRecords = async (client, { division, type, mode, records }) => {
+  const tables = getTableNames(division);
+  const divisionUpper = division.toUpperCase();
+  let backedUp = null;
+  let deleted = 0;
+
+  await stageRecords(client, records);
+
+  if (mode === 'replace') {
+    backedUp = await backupExistingData(client, tables, divisionUpper, type);
+    const deleteResult = await client.query(
+      `DELETE FROM public.${tables.dataExcel} WHERE UPPER(division) = $1 AND UPPER(type) = $2`,
+      [divisionUpper, type.toUpperCase()]
+    );
+    deleted = deleteResult.rowCount;
+  } else {
+    const matchClause = KEY_COLUMNS
+      .map(col => `t.${col} IS NOT DISTINCT FROM s.${col}`)
+      .join(' AND ');
+    const deleteResult = await client.query(`
+      DELETE FROM public.${tables.dataExcel} t
+      USING (SELECT DISTINCT ${KEY_COLUMNS.join(', ')} FROM ingestion_stage) s
+      WHERE ${matchClause}
+    `);
+    deleted = deleteResult.rowCount;
+  }
+
+  const insertResult = await client.query(`
+    INSERT INTO public.${tables.dataExcel} (${INSERT_COLUMNS.join(', ')}, updated_at)
+    SELECT ${INSERT_COLUMNS.join(', ')}, NOW() FROM ingestion_stage
+  `);
+
+  return { backedUp, deleted, inserted: insertResult.rowCount };
+};
+
+/**
+ * Best-effort upload audit row (aebf_upload_audit may not exist in every division)
+ */
+const writeAuditLog = async (pool, { division, mode, uploadedBy, recordsProcessed, success, errorMessage = null }) => {
+  try {
+    await pool.query(
+      `INSERT INTO public.aebf_upload_audit
+       (division, upload_mode, uploaded_by, records_processed, success, error_message)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [division.toUpperCase(), mode, uploadedBy, recordsProcessed, success, errorMessage]
+    );
+  } catch (error) {
+    logger.warn('⚠️ Failed to write upload audit log:', error.message);
+  }
+};
+
+/**
+ * Full pipeline: read, normalize, validate and load an Actual/Budget workbook
+ *
+ * @param {Object} options
+ * @param {string} [options.filePath] - Uploaded file path
+ * @param {Buffer} [options.fileContent] - Uploaded file bytes (instead of filePath)
+ * @param {string} [options.originalName] - Original filename (stored as sourcesheet)
+ * @param {string} options.division - Division code (FP, HC...)
+ * @param {string} options.type - 'Actual' or 'Budget'
+ * @param {string} options.mode - 'upsert' or 'replace'
+ * @param {string} options.uploadedBy - Uploader name
+ * @param {*} [options.selectedYearMonths] - Optional selective periods
+ * @param {boolean} [options.dryRun=false] - Validate only, no database writes
+ * @param {Object} [options.user] - Uploading user (administrators may still post to soft-closed months)
+ * @param {function(number, string): Promise} [options.onProgress] - (percent, stage), awaited
+ *   between stages (background jobs report progress and stop here when cancelled)
+ * @returns {Promise<Object>} Ingestion report. `success` is false when validation failed.
+ */
+const ingestExcelFile = async (options) => {
+  const {
+    filePath,
+    fileContent,
+    originalName,
+    division,
+    type,
+    uploadedBy,
+    user,
+    dryRun = false,
+    onProgress = async () => {}
+  } = options;
+  const mode = (options.mode || 'upsert').toLowerCase();
+
+  if (!VALID_TYPES.includes(type)) {
+    throw new Error(`Invalid upload type: ${type}`);
+  }
+  if (!VALID_MODES.includes(mode)) {
+    throw new Error(`Invalid upload mode: ${mode}`);
+  }
+
+  const sourceSheet = originalName || (filePath ? path.basename(filePath) : 'upload');
+  const selectedYearMonths = parseSelectedYearMonths(options.selectedYearMonths);
+  await onProgress(0, 'Reading workbook');
+  const { rows, headers } = readWorkbook(fileContent || filePath);
+
+  const report = {
+    success: false,
+    division: division.toUpperCase(),
+    type,
+    mode,
+    dryRun,
+    totalRows: rows.length,
+    recordsProcessed: 0,
+    structureErrors: validateHeaders(headers),
+    rowErrors: [],
+    errorCount: 0
+  };
+
+  if (rows.length === 0) {
+    report.structureErrors.push('Excel file is empty');
+  }
+  if (report.structureErrors.length > 0) {
+    report.errorCount = report.structureErrors.length;
+    return report;
+  }
+
+  await onProgress(20, `Validating ${rows.length} rows`);
+  const { records, errors, blankRows, filteredRows } = transformRows(rows, {
+    division, type, uploadedBy, sourceSheet, selectedYearMonths
+  });
+
+  report.blankRows = blankRows;
+  report.filteredRows = filteredRows;
+  report.errorCount = errors.length;
+  report.rowErrors = errors.slice(0, MAX_REPORTED_ERRORS);
+  report.errorsTruncated = errors.length > MAX_REPORTED_ERRORS;
+  report.qcSummary = buildQcSummary(records);
+
+  if (errors.length > 0) {
+    return report;
+  }
+  if (records.length === 0) {
+    report.structureErrors.push(selectedYearMonths
+      ? 'No data found for the selected year/month periods'
+      : 'No valid data rows found. Check that year and customername are filled.');
+    report.errorCount = report.structureErrors.length;
+    return report;
+  }
+
+  report.recordsProcessed = records.length;
+
+  const closedPeriods = await periodCloseService.findBlockedPeriods({
+    division,
+    periods: mode === 'replace' ? null : records.map(record => ({ year: record.year, month: record.month })),
+    user
+  });
+  if (closedPeriods.length > 0) {
+    report.closedPeriods = closedPeriods;
+    report.structureErrors.push(periodCloseService.describeBlocked(division, closedPeriods));
+    report.errorCount = report.structureErrors.length;
+    return report;
+  }
+
+  if (dryRun) {
+    report.success = true;
+    return report;
+  }
+
+  await onProgress(50, `Loading ${records.length} records`);
+  const pool = getDivisionPool(extractDivisionCode(division).toUpperCase());
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const stats = await loadRecords(client, { division, type, mode, records });
+    await client.query('COMMIT');
+
+    report.success = true;
+    report.recordsDeleted = stats.deleted;
+    report.recordsInserted = stats.inserted;
+    report.recordsBackedUp = stats.backedUp;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    await writeAuditLog(pool, {
+      division, mode, uploadedBy, recordsProcessed: 0, success: false, errorMessage: error.message
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await writeAuditLog(pool, {
+    division, mode, uploadedBy, recordsProcessed: records.length, success: true
+  });
+
+  logger.info(`✅ ${type} ingestion complete`, {
+    division: report.division,
+    mode,
+    inserted: report.recordsInserted,
+    deleted: report.recordsDeleted
+  });
+
+  return report;
+};
+
+module.exports = {
+  ingestExcelFile,
+  readWorkbook,
+  validateHeaders,
+  transformRows,
+  buildQcSummary,
+  loadRecords,
+  parseSelectedYearMonths
+};
@@ -0,0 +1,191 @@
+/**
+ * Forecast Engine
+ * Pure time-series projection functions used by the forecast subsystem
+ *
+ * All series are arrays of monthly values, oldest first, with no gaps
+ * (missing months must be filled with 0 by the caller).
+ *
+ * METHODS:
+ * - seasonal_naive: Value of the same month one season (12 months) earlier
+ * - moving_average: Mean of the last `window` months, flat over the horizon
+ * - holt_winters: Additive Holt-Winters (level + trend + seasonality)
+ */
+
+const SEASON_LENGTH = 12;
+
+const METHODS = {
+  seasonal_naive: {
+    label: 'Seasonal Naive',
+    description: 'Repeats the value of the same month last year',
+    minHistory: SEASON_LENGTH
+  },
+  moving_average: {
+    label: 'Moving Average',
+    description: 'Average of the last N months projected flat',
+    minHistory: 1
+  },
+  holt_winters: {
+    label: 'Holt-Winters',
+    description: 'Additive triple exponential smoothing (level, trend, seasonality)',
+    minHistory: SEASON_LENGTH * 2
+  }
+};
+
+const DEFAULT_PARAMS = {
+  window: 3,
+  alpha: 0.3,
+  beta: 0.1,
+  gamma: 0.2
+};
+
+const clampNonNegative = (value) => (Number.isFinite(value) && value > 0 ? value : 0);
+
+/**
+ * Seasonal naive - falls back to the last value when history is shorter than a season
+ */
+const seasonalNaive = (series, horizon, season = SEASON_LENGTH) => {
+  const result = [];
+  if (series.length === 0) return new Array(horizon).fill(0);
+
+  for (let h = 0; h < horizon; h++) {
+    if (series.length >= season) {
+      const index = series.length - season + (h % season);
+      result.push(series[index]);
+    } else {
+      result.push(series[series.length - 1]);
+    }
+  }
+  return result;
+};
+
+/**
+ * Moving average of the last `window` observations
+ */
+const movingAverage = (series, horizon, window = DEFAULT_PARAMS.window) => {
+  if (series.length === 0) return new Array(horizon).fill(0);
+  const tail = series.slice(-Math.max(1, window));
+  const mean = tail.reduce((sum, v) => sum + v, 0) / tail.length;
+  return new Array(horizon).fill(mean);
+};
+
+/**
+ * Additive Holt-Winters
+ * Initial level/trend from the first two seasons, initial seasonal indices from season one.
+ * Falls back to seasonal naive when there are fewer than two full seasons.
+ */
+const holtWinters = (series, horizon, params = {}) => {
+  const {
+    alpha = DEFAULT_PARAMS.alpha,
+    beta = DEFAULT_PARAMS.beta,
+    gamma = DEFAULT_PARAMS.gamma,
+    season = SEASON_LENGTH
+  } = params;
+
+  if (series.length < season * 2) {
+    return seasonalNaive(series, horizon, season);
+  }
+
+  const firstSeason = series.slice(0, season);
+  const secondSeason = series.slice(season, season * 2);
+  const mean1 = firstSeason.reduce((s, v) => s + v, 0) / season;
+  const mean2 = secondSeason.reduce((s, v) => s + v, 0) / season;
+
+  let level = mean1;
+  let trend = (mean2 - mean1) / season;
+  const seasonals = firstSeason.map(v => v - mean1);
+
+  for (let t = 0; t < series.length; t++) {
+    const value = series[t];
+    const seasonIndex = t % season;
+    const lastLevel = level;
+
+    level = alpha * (value - seasonals[seasonIndex]) + (1 - alpha) * (level + trend);
+    trend = beta * (level - lastLevel) + (1 - beta) * trend;
+    seasonals[seasonIndex] = gamma * (value - level) + (1 - gamma) * seasonals[seasonIndex];
+  }
+
+  const result = [];
+  for (let h = 1; h <= horizon; h++) {
+    const seasonIndex = (series.length + h - 1) % season;
+    result.push(level + h * trend + seasonals[seasonIndex]);
+  }
+  return result;
+};
+
+/**
+ * Project a series with the chosen method
+ * Sales quantities cannot be negative, so projections are floored at zero.
+ *
+ * @param {number[]} series - Monthly history, oldest first
+ * @param {number} horizon - Months to project
+ * @param {string} method - One of METHODS keys
+ * @param {Object} [params] - Method parameters (window, alpha, beta, gamma)
+ * @returns {number[]} Projected values
+ */
+const forecastSeries = (series, horizon, method, params = {}) => {
+  let projected;
+  switch (method) {
+    case 'seasonal_naive':
+      projected = seasonalNaive(series, horizon);
+      break;
+    case 'moving_average':
+      projected = movingAverage(series, horizon, params.window);
+      break;
+    case 'holt_winters':
+      projected = holtWinters(series, horizon, params);
+      break;
+    default:
+      throw new Error(`Unknown forecast method: ${method}`);
+  }
+  return projected.map(clampNonNegative);
+};
+
+/**
+ * Mean Absolute Percentage Error (in %)
+ * Months where the actual is zero are skipped; returns null when nothing is comparable.
+ */
+const mape = (actual, predicted) => {
+  let sum = 0;
+  let count = 0;
+  for (let i = 0; i < actual.length; i++) {
+    if (actual[i] === 0 || !Number.isFinite(actual[i])) continue;
+    sum += Math.abs((actual[i] - predicted[i]) / actual[i]);
+    count++;
+  }
+  return count > 0 ? (sum / count) * 100 : null;
+};
+
+/**
+ * Split a series for backtesting: fit on all but the last `holdout` months,
+ * forecast the holdout window and return both so callers can aggregate.
+ *
+ * @returns {{ actual: number[], predicted: number[] }|null} null when history is too short
+ */
+const backtestSeries = (series, holdout, method, params = {}) => {
+  if (holdout <= 0 || series.length <= holdout) return null;
+  const training = series.slice(0, series.length - holdout);
+  const actual = series.slice(series.length - holdout);
+  const predicted = forecastSeries(training, holdout, method, params);
+  return { actual, predicted };
+};
+
+/**
+ * Step a year/month pair forward by `offset` months
+ */
+const addMonths = (year, month, offset) => {
+  const zeroBased = year * 12 + (month - 1) + offset;
+  return { year: Math.floor(zeroBased / 12), month: (zeroBased % 12) + 1 };
+};
+
+module.exports = {
+  SEASON_LENGTH,
+  METHODS,
+  DEFAULT_PARAMS,
+  seasonalNaive,
+  movingAverage,
+  holtWinters,
+  forecastSeries,
+  mape,
+  backtestSeries,
+  addMonths
+};
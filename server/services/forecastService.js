@@ -0,0 +1,571 @@
+/**
+ * Forecast Service
+ * Builds, versions, backtests and publishes forecast runs from {div}_data_excel history
+ *
+ * STORAGE:
+ * - {div}_forecast_runs: One row per run (method, params, version, status, backtest accuracy)
+ * - {div}_forecast_values: Projected values per run at full data grain
+ *
+ * PUBLISHING:
+ * Publishing a run copies its values into {div}_data_excel as type='Forecast', replacing any
+ * previously published forecast for the same months. Existing period columns of type
+ * 'Forecast' (Actual + Estimate + Forecast) then pick it up with no further changes.
+ */
+
+const { getDivisionPool } = require('../utils/divisionDatabaseManager');
+const logger = require('../utils/logger');
+const {
+  SEASON_LENGTH,
+  METHODS,
+  forecastSeries,
+  backtestSeries,
+  mape,
+  addMonths
+} = require('./forecastEngine');
+
+const VALUES_TYPES = ['KGS', 'AMOUNT', 'MORM'];
+const GRAIN_COLUMNS = ['salesrepname', 'customername', 'countryname', 'productgroup', 'material', 'process'];
+const ACCURACY_DIMENSIONS = ['salesrepname', 'customername', 'productgroup', 'countryname'];
+const INSERT_BATCH_SIZE = 500;
+const MAX_HORIZON = 24;
+
+const extractDivisionCode = (division) => {
+  if (!division) return 'fp';
+  return division.split('-')[0].toLowerCase();
+};
+
+const getTableNames = (division) => {
+  const code = extractDivisionCode(division);
+  return {
+    dataExcel: `${code}_data_excel`,
+    forecastRuns: `${code}_forecast_runs`,
+    forecastValues: `${code}_forecast_values`
+  };
+};
+
+const getPool = (division) => getDivisionPool(extractDivisionCode(division).toUpperCase());
+
+const tablesEnsuredForDivisions = new Set();
+
+async function ensureTables(division) {
+  const divisionCode = extractDivisionCode(division);
+  if (tablesEnsuredForDivisions.has(divisionCode)) return;
+
+  const tables = getTableNames(division);
+  await getPool(division).query(`
+    CREATE TABLE IF NOT EXISTS ${tables.forecastRuns} (
+      id SERIAL PRIMARY KEY,
+      division VARCHAR(10) NOT NULL,
+      run_name VARCHAR(255),
+      method VARCHAR(50) NOT NULL,
+      params JSONB DEFAULT '{}'::jsonb,
+      version INTEGER NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'DRAFT' CHECK (status IN ('DRAFT', 'PUBLISHED', 'SUPERSEDED')),
+      history_from_year INTEGER NOT NULL,
+      history_from_month INTEGER NOT NULL,
+      history_to_year INTEGER NOT NULL,
+      history_to_month INTEGER NOT NULL,
+      horizon INTEGER NOT NULL,
+      series_count INTEGER DEFAULT 0,
+      totals JSONB DEFAULT '{}'::jsonb,
+      backtest JSONB,
+      created_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      published_by VARCHAR(255),
+      published_at TIMESTAMP,
+      CONSTRAINT ${divisionCode}_forecast_runs_version_uniq UNIQUE (division, version)
+    );
+
+    CREATE TABLE IF NOT EXISTS ${tables.forecastValues} (
+      id SERIAL PRIMARY KEY,
+      run_id INTEGER NOT NULL REFERENCES ${tables.forecastRuns}(id) ON DELETE CASCADE,
+      year INTEGER NOT NULL,
+      month INTEGER NOT NULL CHECK (month >= 1 AND month <= 12),
+      salesrepname VARCHAR(255),
+      customername VARCHAR(255),
+      countryname VARCHAR(255),
+      productgroup VARCHAR(255),
+      material VARCHAR(255),
+      process VARCHAR(255),
+      values_type VARCHAR(20) NOT NULL,
+      values NUMERIC(20, 4) NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_${tables.forecastValues}_run ON ${tables.forecastValues}(run_id, year, month);
+  `);
+
+  tablesEnsuredForDivisions.add(divisionCode);
+}
+
+/**
+ * Last month with Actual data for a division
+ * @returns {Promise<{year: number, month: number}|null>}
+ */
+async function getLastActualPeriod(client, division) {
+  const tables = getTableNames(division);
+  const result = await client.query(`
+    SELECT year, month
+    FROM public.${tables.dataExcel}
+    WHERE UPPER(division) = $1 AND UPPER(type) = 'ACTUAL'
+    ORDER BY year DESC, month DESC
+    LIMIT 1
+  `, [division.toUpperCase()]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Aggregate Actual history into dense monthly series per grain + values_type
+ * @returns {Map<string, {dims: Object, valuesType: string, series: number[]}>}
+ */
+async function loadHistorySeries(client, division, from, length) {
+  const tables = getTableNames(division);
+  const fromIndex = from.year * 12 + from.month;
+  const toIndex = fromIndex + length - 1;
+
+  const result = await client.query(`
+    SELECT year, month, ${GRAIN_COLUMNS.join(', ')},
+           UPPER(values_type) AS values_type, SUM(values) AS total
+    FROM public.${tables.dataExcel}
+    WHERE UPPER(division) = $1
+      AND UPPER(type) = 'ACTUAL'
+      AND (year * 12 + month) BETWEEN $2 AND $3
+    GROUP BY year, month, ${GRAIN_COLUMNS.join(', ')}, UPPER(values_type)
+  `, [division.toUpperCase(), fromIndex, toIndex]);
+
+  const seriesMap = new Map();
+  result.rows.forEach(row => {
+    if (!VALUES_TYPES.includes(row.values_type)) return;
+    const dims = {};
+    GRAIN_COLUMNS.forEach(col => { dims[col] = row[col]; });
+    const key = [...GRAIN_COLUMNS.map(col => row[col] || ''), row.values_type].join('|');
+
+    if (!seriesMap.has(key)) {
+      seriesMap.set(key, { dims, valuesType: row.values_type, series: new Array(length).fill(0) });
+    }
+    const offset = (row.year * 12 + row.month) - fromIndex;
+    seriesMap.get(key).series[offset] += parseFloat(row.total) || 0;
+  });
+
+  return seriesMap;
+}
+
+/**
+ * Aggregate per-series backtests into MAPE per dimension member and values_type
+ */
+function summarizeBacktest(backtests, holdout) {
+  const overall = {};
+  const byDimension = {};
+  ACCURACY_DIMENSIONS.forEach(dim => { byDimension[dim] = {}; });
+
+  const accumulate = (bucket, key, actual, predicted) => {
+    if (!bucket[key]) {
+      bucket[key] = { actual: new Array(holdout).fill(0), predicted: new Array(holdout).fill(0) };
+    }
+    for (let i = 0; i < holdout; i++) {
+      bucket[key].actual[i] += actual[i];
+      bucket[key].predicted[i] += predicted[i];
+    }
+  };
+
+  backtests.forEach(({ dims, valuesType, actual, predicted }) => {
+    accumulate(overall, valuesType, actual, predicted);
+    ACCURACY_DIMENSIONS.forEach(dim => {
+      if (!byDimension[dim][valuesType]) byDimension[dim][valuesType] = {};
+      accumulate(byDimension[dim][valuesType], dims[dim] || '(blank)', actual, predicted);
+    });
+  });
+
+  const toScore = ({ actual, predicted }) => ({
+    mape: mape(actual, predicted),
+    actualTotal: actual.reduce((s, v) => s + v, 0),
+    forecastTotal: predicted.reduce((s, v) => s + v, 0)
+  });
+
+  const summary = { holdoutMonths: holdout, overall: {}, byDimension: {} };
+  Object.entries(overall).forEach(([valuesType, data]) => {
+    summary.overall[valuesType] = toScore(data);
+  });
+  ACCURACY_DIMENSIONS.forEach(dim => {
+    summary.byDimension[dim] = {};
+    Object.entries(byDimension[dim]).forEach(([valuesType, members]) => {
+      summary.byDimension[dim][valuesType] = Object.entries(members)
+        .map(([member, data]) => ({ member, ...toScore(data) }))
+        .sort((a, b) => b.actualTotal - a.actualTotal);
+    });
+  });
+
+  return summary;
+}
+
+async function insertForecastValues(client, tables, runId, rows) {
+  const columns = ['run_id', 'year', 'month', ...GRAIN_COLUMNS, 'values_type', 'values'];
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const batch = rows.slice(i, i + INSERT_BATCH_SIZE);
+    const placeholders = batch.map((_, idx) => {
+      const base = idx * columns.length;
+      return `(${columns.map((__, c) => `$${base + c + 1}`).join(', ')})`;
+    }).join(', ');
+    const params = batch.flatMap(row => [
+      runId, row.year, row.month, ...GRAIN_COLUMNS.map(col => row[col]), row.values_type, row.values
+    ]);
+    await client.query(
+      `INSERT INTO ${tables.forecastValues} (${columns.join(', ')}) VALUES ${placeholders}`,
+      params
+    );
+  }
+}
+
+/**
+ * Create a forecast run
+ *
+ * @param {Object} options
+ * @param {string} options.division - Division code
+ * @param {string} options.method - seasonal_naive | moving_average | holt_winters
+ * @param {number} [options.horizon=12] - Months to project after the last Actual month
+ * @param {number} [options.historyMonths=36] - Months of Actual history to fit on
+ * @param {number} [options.backtestMonths=6] - Holdout months for accuracy scoring
+ * @param {Object} [options.params] - Method parameters
+ * @param {string} [options.runName] - Display name
+ * @param {string} [options.createdBy] - User creating the run
+ * @returns {Promise<Object>} Created run
+ */
+async function createForecastRun(options) {
+  const {
+    division,
+    method,
+    horizon = 12,
+    historyMonths = 36,
+    backtestMonths = 6,
+    params = {},
+    runName = null,
+    createdBy = null
+  } = options;
+
+  if (!METHODS[method]) {
+    throw new Error(`Unknown forecast method: ${method}. Use one of: ${Object.keys(METHODS).join(', ')}`);
+  }
+  if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_HORIZON) {
+    throw new Error(`Horizon must be between 1 and ${MAX_HORIZON} months`);
+  }
+
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const client = await getPool(division).connect();
+
+  try {
+    const lastActual = await getLastActualPeriod(client, division);
+    if (!lastActual) {
+      throw new Error(`No Actual data found for division ${division.toUpperCase()}`);
+    }
+
+    const from = addMonths(lastActual.year, lastActual.month, -(historyMonths - 1));
+    const seriesMap = await loadHistorySeries(client, division, from, historyMonths);
+    const forecastRows = [];
+    const backtests = [];
+    const totals = {};
+
+    seriesMap.forEach(({ dims, valuesType, series }) => {
+      // Skip series with no activity in the last season (lost customers, retired products)
+      const recent = series.slice(-SEASON_LENGTH);
+      if (!recent.some(v => v !== 0)) return;
+
+      const projected = forecastSeries(series, horizon, method, params);
+      projected.forEach((value, h) => {
+        if (value === 0) return;
+        const period = addMonths(lastActual.year, lastActual.month, h + 1);
+        forecastRows.push({ ...dims, ...period, values_type: valuesType, values: value });
+        totals[valuesType] = (totals[valuesType] || 0) + value;
+      });
+
+      const backtest = backtestSeries(series, backtestMonths, method, params);
+      if (backtest) {
+        backtests.push({ dims, valuesType, ...backtest });
+      }
+    });
+
+    const backtest = backtestMonths > 0 ? summarizeBacktest(backtests, backtestMonths) : null;
+    const to = addMonths(lastActual.year, lastActual.month, 0);
+
+    await client.query('BEGIN');
+
+    // Serialize version numbering per division
+    await client.query(`LOCK TABLE ${tables.forecastRuns} IN SHARE ROW EXCLUSIVE MODE`);
+    const versionResult = await client.query(
+      `SELECT COALESCE(MAX(version), 0) + 1 AS next_version FROM ${tables.forecastRuns} WHERE division = $1`,
+      [division.toUpperCase()]
+    );
+    const version = versionResult.rows[0].next_version;
+
+    const runResult = await client.query(`
+      INSERT INTO ${tables.forecastRuns} (
+        division, run_name, method, params, version, status,
+        history_from_year, history_from_month, history_to_year, history_to_month,
+        horizon, series_count, totals, backtest, created_by
+      ) VALUES ($1, $2, $3, $4, $5, 'DRAFT', $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING *
+    `, [
+      division.toUpperCase(),
+      runName || `${METHODS[method].label} v${version}`,
+      method,
+      JSON.stringify(params),
+      version,
+      from.year, from.month, to.year, to.month,
+      horizon,
+      seriesMap.size,
+      JSON.stringify(totals),
+      backtest ? JSON.stringify(backtest) : null,
+      createdBy
+    ]);
+    const run = runResult.rows[0];
+
+    await insertForecastValues(client, tables, run.id, forecastRows);
+    await client.query('COMMIT');
+
+    logger.info(`✅ Forecast run v${version} created`, {
+      division: division.toUpperCase(), method, horizon, rows: forecastRows.length
+    });
+
+    return { ...run, valueCount: forecastRows.length };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function listForecastRuns(division) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const result = await getPool(division).query(`
+    SELECT id, division, run_name, method, params, version, status,
+           history_from_year, history_from_month, history_to_year, history_to_month,
+           horizon, series_count, totals, created_by, created_at, published_by, published_at,
+           backtest->'overall' AS accuracy
+    FROM ${tables.forecastRuns}
+    WHERE division = $1
+    ORDER BY version DESC
+  `, [division.toUpperCase()]);
+  return result.rows;
+}
+
+async function getForecastRun(division, runId) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const result = await getPool(division).query(
+    `SELECT * FROM ${tables.forecastRuns} WHERE division = $1 AND id = $2`,
+    [division.toUpperCase(), runId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getPublishedRunId(division) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const result = await getPool(division).query(
+    `SELECT id FROM ${tables.forecastRuns} WHERE division = $1 AND status = 'PUBLISHED' ORDER BY version DESC LIMIT 1`,
+    [division.toUpperCase()]
+  );
+  return result.rows[0] ? result.rows[0].id : null;
+}
+
+/**
+ * Paginated forecast values of a run
+ */
+async function getForecastValues(division, runId, { page = 1, pageSize = 100, year, month, valuesType, search } = {}) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const conditions = ['run_id = $1'];
+  const params = [runId];
+
+  if (year) {
+    params.push(year);
+    conditions.push(`year = $${params.length}`);
+  }
+  if (month) {
+    params.push(month);
+    conditions.push(`month = $${params.length}`);
+  }
+  if (valuesType) {
+    params.push(valuesType.toUpperCase());
+    conditions.push(`values_type = $${params.length}`);
+  }
+  if (search) {
+    params.push(`%${search.toUpperCase()}%`);
+    conditions.push(`(
+      UPPER(customername) LIKE $${params.length} OR
+      UPPER(salesrepname) LIKE $${params.length} OR
+      UPPER(countryname) LIKE $${params.length} OR
+      UPPER(productgroup) LIKE $${params.length}
+    )`);
+  }
+
+  const whereClause = conditions.join(' AND ');
+  const pool = getPool(division);
+  const countResult = await pool.query(
+    `SELECT COUNT(*) AS total FROM ${tables.forecastValues} WHERE ${whereClause}`,
+    params
+  );
+  const limit = Math.min(parseInt(pageSize, 10) || 100, 1000);
+  const offset = (Math.max(parseInt(page, 10) || 1, 1) - 1) * limit;
+
+  const dataResult = await pool.query(`
+    SELECT id, year, month, ${GRAIN_COLUMNS.join(', ')}, values_type, values
+    FROM ${tables.forecastValues}
+    WHERE ${whereClause}
+    ORDER BY year, month, customername, productgroup, values_type
+    LIMIT ${limit} OFFSET ${offset}
+  `, params);
+
+  return {
+    data: dataResult.rows,
+    pagination: {
+      total: parseInt(countResult.rows[0].total, 10),
+      page: parseInt(page, 10) || 1,
+      pageSize: limit
+    }
+  };
+}
+
+/**
+ * Publish a run: replace type='Forecast' rows in {div}_data_excel for the run's horizon
+ */
+async function publishForecastRun(division, runId, publishedBy) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const client = await getPool(division).connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const runResult = await client.query(
+      `SELECT * FROM ${tables.forecastRuns} WHERE division = $1 AND id = $2 FOR UPDATE`,
+      [division.toUpperCase(), runId]
+    );
+    const run = runResult.rows[0];
+    if (!run) {
+      throw new Error(`Forecast run ${runId} not found`);
+    }
+
+    const first = addMonths(run.history_to_year, run.history_to_month, 1);
+    const last = addMonths(run.history_to_year, run.history_to_month, run.horizon);
+    const fromIndex = first.year * 12 + first.month;
+    const toIndex = last.year * 12 + last.month;
+
+    const deleteResult = await client.query(`
+      DELETE FROM public.${tables.dataExcel}
+      WHERE UPPER(division) = $1 AND UPPER(type) = 'FORECAST'
+        AND (year * 12 + month) BETWEEN $2 AND $3
+    `, [division.toUpperCase(), fromIndex, toIndex]);
+
+    const insertResult = await client.query(`
+      INSERT INTO public.${tables.dataExcel} (
+        division, year, month, type, ${GRAIN_COLUMNS.join(', ')},
+        values_type, values, sourcesheet, uploaded_by, updated_at
+      )
+      SELECT $1, year, month, 'Forecast', ${GRAIN_COLUMNS.join(', ')},
+             values_type, values, $2, $3, NOW()
+      FROM ${tables.forecastValues}
+      WHERE run_id = $4
+    `, [division.toUpperCase(), `Forecast v${run.version}`, publishedBy, runId]);
+
+    await client.query(
+      `UPDATE ${tables.forecastRuns} SET status = 'SUPERSEDED' WHERE division = $1 AND status = 'PUBLISHED' AND id <> $2`,
+      [division.toUpperCase(), runId]
+    );
+    const updated = await client.query(
+      `UPDATE ${tables.forecastRuns}
+       SET status = 'PUBLISHED', published_by = $2, published_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [runId, publishedBy]
+    );
+
+    // Estimates for the same months would be double counted by Forecast period columns
+    const overlapResult = await client.query(`
+      SELECT COUNT(*) AS count FROM public.${tables.dataExcel}
+      WHERE UPPER(division) = $1 AND UPPER(type) = 'ESTIMATE'
+        AND (year * 12 + month) BETWEEN $2 AND $3
+    `, [division.toUpperCase(), fromIndex, toIndex]);
+
+    await client.query('COMMIT');
+
+    const overlappingEstimates = parseInt(overlapResult.rows[0].count, 10);
+    return {
+      run: updated.rows[0],
+      recordsReplaced: deleteResult.rowCount,
+      recordsPublished: insertResult.rowCount,
+      period: { from: first, to: last },
+      warnings: overlappingEstimates > 0
+        ? [`${overlappingEstimates} Estimate rows exist in the forecast horizon and will be added to Forecast columns`]
+        : undefined
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function deleteForecastRun(division, runId) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const result = await getPool(division).query(
+    `DELETE FROM ${tables.forecastRuns} WHERE division = $1 AND id = $2 AND status <> 'PUBLISHED' RETURNING id`,
+    [division.toUpperCase(), runId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Monthly totals of a run next to Actual and Budget for the same months
+ */
+async function getForecastComparison(division, runId) {
+  const run = await getForecastRun(division, runId);
+  if (!run) return null;
+
+  const tables = getTableNames(division);
+  const first = addMonths(run.history_to_year, run.history_to_month, 1);
+  const fromIndex = first.year * 12 + first.month;
+  const toIndex = fromIndex + run.horizon - 1;
+
+  const result = await getPool(division).query(`
+    SELECT year, month, 'FORECAST' AS source, values_type, SUM(values) AS total
+    FROM ${tables.forecastValues}
+    WHERE run_id = $1
+    GROUP BY year, month, values_type
+    UNION ALL
+    SELECT year, month, UPPER(type) AS source, UPPER(values_type) AS values_type, SUM(values) AS total
+    FROM public.${tables.dataExcel}
+    WHERE UPPER(division) = $2 AND UPPER(type) IN ('ACTUAL', 'BUDGET')
+      AND (year * 12 + month) BETWEEN $3 AND $4
+    GROUP BY year, month, UPPER(type), UPPER(values_type)
+  `, [runId, division.toUpperCase(), fromIndex, toIndex]);
+
+  const months = [];
+  for (let i = 0; i < run.horizon; i++) {
+    const period = addMonths(first.year, first.month, i);
+    months.push({ ...period, forecast: {}, actual: {}, budget: {} });
+  }
+  result.rows.forEach(row => {
+    const entry = months[(row.year * 12 + row.month) - fromIndex];
+    if (!entry) return;
+    entry[row.source.toLowerCase()][row.values_type] = parseFloat(row.total) || 0;
+  });
+
+  return { run, months };
+}
+
+module.exports = {
+  METHODS,
+  ensureTables,
+  createForecastRun,
+  listForecastRuns,
+  getForecastRun,
+  getPublishedRunId,
+  getForecastValues,
+  publishForecastRun,
+  deleteForecastRun,
+  getForecastComparison,
+  summarizeBacktest
+};
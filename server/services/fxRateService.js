@@ -0,0 +1,309 @@
+/**
+ * FX Rate Service
+ * Exchange rates for reporting in a currency other than the company currency
+ *
+ * STORAGE:
+ * - fx_rates (auth database, next to company_settings): one row per currency / year / month
+ *   with the monthly average rate and the month-end closing rate
+ *
+ * CONVENTION:
+ * - A rate is the number of company (base) currency units for 1 unit of the currency,
+ *   e.g. base AED, USD average 3.6725 → 1 USD = 3.6725 AED
+ * - Converting a base amount: amount / rate
+ * - Flow measures (Amount, MoRM) use the average rate; closing rates are kept for
+ *   period-end balances
+ * - A month without a rate uses the latest earlier month, or the earliest month
+ *   when the period is older than every stored rate
+ */
+
+const { authPool } = require('../database/config');
+const logger = require('../utils/logger');
+
+const RATE_TYPES = ['average', 'closing'];
+const DEFAULT_BASE_CURRENCY = 'AED';
+
+const fxError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeCurrency = (code) => String(code || '').trim().toUpperCase();
+
+let tableEnsured = false;
+
+async function ensureTable() {
+  if (tableEnsured) return;
+
+  await authPool.query(`
+    CREATE TABLE IF NOT EXISTS fx_rates (
+      id SERIAL PRIMARY KEY,
+      currency_code VARCHAR(3) NOT NULL,
+      year INTEGER NOT NULL,
+      month INTEGER NOT NULL CHECK (month >= 1 AND month <= 12),
+      average_rate NUMERIC(18, 8) NOT NULL CHECK (average_rate > 0),
+      closing_rate NUMERIC(18, 8) CHECK (closing_rate > 0),
+      updated_by VARCHAR(255),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fx_rates_currency_period_uniq UNIQUE (currency_code, year, month)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_fx_rates_currency ON fx_rates(currency_code, year, month);
+  `);
+
+  tableEnsured = true;
+}
+
+// Conversions are read on every converted request; cleared whenever rates change
+const conversionCache = new Map();
+
+/**
+ * Company (base) currency code from company_settings
+ */
+async function getBaseCurrency() {
+  const result = await authPool.query(
+    `SELECT setting_value FROM company_settings WHERE setting_key = 'company_currency'`
+  );
+
+  let currency = result.rows[0]?.setting_value;
+  if (currency && typeof currency === 'string') {
+    try {
+      currency = JSON.parse(currency);
+    } catch (e) {
+      currency = null;
+    }
+  }
+
+  return normalizeCurrency(currency?.code) || DEFAULT_BASE_CURRENCY;
+}
+
+/**
+ * List stored rates
+ * @param {object} [filters]
+ * @param {string} [filters.currency]
+ * @param {number} [filters.year]
+ */
+async function listRates({ currency, year } = {}) {
+  await ensureTable();
+
+  const conditions = [];
+  const params = [];
+
+  if (currency) {
+    params.push(normalizeCurrency(currency));
+    conditions.push(`currency_code = $${params.length}`);
+  }
+  if (year) {
+    params.push(parseInt(year, 10));
+    conditions.push(`year = $${params.length}`);
+  }
+
+  const result = await authPool.query(
+    `SELECT id, currency_code, year, month, average_rate::float AS average_rate,
+            closing_rate::float AS closing_rate, updated_by, updated_at
+     FROM fx_rates
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY currency_code, year DESC, month DESC`,
+    params
+  );
+
+  return result.rows;
+}
+
+/**
+ * Currencies that have at least one rate
+ */
+async function listCurrencies() {
+  await ensureTable();
+
+  const result = await authPool.query(
+    `SELECT currency_code, COUNT(*)::int AS months,
+            MIN(year * 100 + month) AS first_period, MAX(year * 100 + month) AS last_period
+     FROM fx_rates
+     GROUP BY currency_code
+     ORDER BY currency_code`
+  );
+
+  return result.rows;
+}
+
+/**
+ * Validate one rate row from the Settings grid
+ */
+function validateRate(rate) {
+  const currencyCode = normalizeCurrency(rate.currencyCode || rate.currency_code);
+  const year = parseInt(rate.year, 10);
+  const month = parseInt(rate.month, 10);
+  const averageRate = Number(rate.averageRate ?? rate.average_rate);
+  const closingRateRaw = rate.closingRate ?? rate.closing_rate;
+  const closingRate = closingRateRaw === null || closingRateRaw === undefined || closingRateRaw === ''
+    ? null
+    : Number(closingRateRaw);
+
+  if (!/^[A-Z]{3}$/.test(currencyCode)) {
+    throw fxError(`Invalid currency code: ${rate.currencyCode || rate.currency_code}`, 400);
+  }
+  if (!year || year < 1900 || year > 2200) {
+    throw fxError(`Invalid year for ${currencyCode}: ${rate.year}`, 400);
+  }
+  if (!month || month < 1 || month > 12) {
+    throw fxError(`Invalid month for ${currencyCode} ${year}: ${rate.month}`, 400);
+  }
+  if (!(averageRate > 0)) {
+    throw fxError(`Average rate for ${currencyCode} ${year}-${month} must be greater than zero`, 400);
+  }
+  if (closingRate !== null && !(closingRate > 0)) {
+    throw fxError(`Closing rate for ${currencyCode} ${year}-${month} must be greater than zero`, 400);
+  }
+
+  return { currencyCode, year, month, averageRate, closingRate };
+}
+
+/**
+ * Insert or update rates (one transaction)
+ * @param {Array<object>} rates - { currencyCode, year, month, averageRate, closingRate }
+ * @param {string} updatedBy
+ * @returns {Promise<number>} Rows saved
+ */
+async function saveRates(rates, updatedBy) {
+  if (!Array.isArray(rates) || rates.length === 0) {
+    throw fxError('No rates provided', 400);
+  }
+
+  const baseCurrency = await getBaseCurrency();
+  const validated = rates.map(validateRate);
+  if (validated.some(rate => rate.currencyCode === baseCurrency)) {
+    throw fxError(`${baseCurrency} is the company currency and does not need rates`, 400);
+  }
+
+  await ensureTable();
+
+  const client = await authPool.connect();
+  try {
+    await client.query('BEGIN');
+
+    for (const rate of validated) {
+      await client.query(
+        `INSERT INTO fx_rates (currency_code, year, month, average_rate, closing_rate, updated_by, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         ON CONFLICT (currency_code, year, month)
+         DO UPDATE SET average_rate = EXCLUDED.average_rate, closing_rate = EXCLUDED.closing_rate,
+                       updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+        [rate.currencyCode, rate.year, rate.month, rate.averageRate, rate.closingRate, updatedBy]
+      );
+    }
+
+    await client.query('COMMIT');
+    conversionCache.clear();
+
+    logger.info(`💱 Saved ${validated.length} FX rate(s)`, { updatedBy });
+    return validated.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function deleteRate(id) {
+  await ensureTable();
+
+  const result = await authPool.query('DELETE FROM fx_rates WHERE id = $1 RETURNING id', [id]);
+  if (result.rowCount === 0) {
+    throw fxError('FX rate not found', 404);
+  }
+
+  conversionCache.clear();
+  return true;
+}
+
+/**
+ * Build a conversion from rate rows (sorted by period)
+ * @param {object} params
+ * @param {string} params.base - Company currency
+ * @param {string} params.currency - Target currency
+ * @param {string} params.rateType - average | closing
+ * @param {Array<{year: number, month: number, rate: number}>} params.rates
+ */
+function buildConversion({ base, currency, rateType, rates }) {
+  const usable = rates
+    .filter(rate => Number(rate.rate) > 0)
+    .map(rate => ({ period: rate.year * 100 + rate.month, factor: 1 / Number(rate.rate) }))
+    .sort((a, b) => a.period - b.period);
+
+  return {
+    base,
+    currency,
+    rateType,
+    periods: usable.map(rate => rate.period),
+    factors: usable.map(rate => rate.factor)
+  };
+}
+
+/**
+ * Factor converting a base amount of year / month into the conversion's currency
+ */
+function factorFor(conversion, year, month) {
+  if (!conversion || conversion.factors.length === 0) return 1;
+
+  const period = Number(year) * 100 + Number(month);
+  let factor = conversion.factors[0];
+  for (let i = 0; i < conversion.periods.length && conversion.periods[i] <= period; i++) {
+    factor = conversion.factors[i];
+  }
+  return factor;
+}
+
+/**
+ * Conversion from the company currency into a reporting currency
+ * @param {string} currency - Target currency code
+ * @param {string} [rateType='average']
+ * @returns {Promise<object|null>} null when the currency is the company currency
+ */
+async function getConversion(currency, rateType = 'average') {
+  const code = normalizeCurrency(currency);
+  if (!RATE_TYPES.includes(rateType)) {
+    throw fxError(`Invalid rate type: ${rateType}`, 400);
+  }
+
+  const base = await getBaseCurrency();
+  if (!code || code === base) return null;
+
+  const cacheKey = `${base}:${code}:${rateType}`;
+  if (conversionCache.has(cacheKey)) {
+    return conversionCache.get(cacheKey);
+  }
+
+  await ensureTable();
+
+  const rateColumn = rateType === 'closing' ? 'COALESCE(closing_rate, average_rate)' : 'average_rate';
+  const result = await authPool.query(
+    `SELECT year, month, ${rateColumn}::float AS rate
+     FROM fx_rates
+     WHERE currency_code = $1
+     ORDER BY year, month`,
+    [code]
+  );
+
+  if (result.rows.length === 0) {
+    throw fxError(`No exchange rates maintained for ${code}`, 400);
+  }
+
+  const conversion = buildConversion({ base, currency: code, rateType, rates: result.rows });
+  conversionCache.set(cacheKey, conversion);
+  return conversion;
+}
+
+module.exports = {
+  RATE_TYPES,
+  getBaseCurrency,
+  listRates,
+  listCurrencies,
+  validateRate,
+  saveRates,
+  deleteRate,
+  buildConversion,
+  factorFor,
+  getConversion
+};
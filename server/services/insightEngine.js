@@ -0,0 +1,160 @@
+/**
+ * Insight Engine
+ * Pure functions that turn a write-up fact pack into ranked insights (services/writeUpService)
+ *
+ * SCORING:
+ * impact ~ |deltaAbs| weighted by |deltaPct|, penalized by volatility, scaled by confidence,
+ * so the write-up leads with what matters. This is the scoring the dashboard write-up
+ * always used; it moved here so scheduled write-ups rank the same way.
+ *
+ * PVM:
+ * Price-Volume-Mix decomposition of the revenue change between two periods,
+ * from per product group vectors (unit price and quantity, same order in both periods).
+ */
+
+const DEFAULT_VOLATILITY = 0.1;
+const MOVERS_PER_DIMENSION = 3;
+
+/**
+ * Score of one insight
+ * @param {object} insight - { deltaAbs, deltaPct, volatility, confidence }
+ * @returns {number}
+ */
+function scoreInsight({ deltaAbs = 0, deltaPct = 0, volatility = 0, confidence = 0.8 }) {
+  const impact = Math.abs(deltaAbs) * (0.5 + Math.min(Math.abs(deltaPct), 1));
+  const penalty = 1 + Math.max(0, Math.min(10, volatility)); // cap penalty growth
+  return (impact * Math.max(0, Math.min(1, confidence))) / penalty;
+}
+
+function rankInsights(insights = []) {
+  return insights
+    .map(insight => ({ ...insight, score: scoreInsight(insight) }))
+    .sort((a, b) => (b.score || 0) - (a.score || 0));
+}
+
+/**
+ * Price, volume and mix effects of a revenue change
+ * @param {object} vectors - { basePriceVec, baseQtyVec, curPriceVec, curQtyVec }
+ * @returns {{price: number, volume: number, mix: number, revBase: number, revCur: number}}
+ */
+function pvmRevenue({ basePriceVec = [], baseQtyVec = [], curPriceVec = [], curQtyVec = [] }) {
+  const sum = (values) => values.reduce((total, value) => total + (Number(value) || 0), 0);
+  const dot = (a, b) => a.reduce((total, value, i) => total + (Number(value) || 0) * (Number(b[i]) || 0), 0);
+
+  const baseQty = sum(baseQtyVec);
+  const curQty = sum(curQtyVec);
+
+  // Mixes normalized to 1 (no division by zero)
+  const normalize = (values) => {
+    const total = Math.max(1e-9, sum(values));
+    return values.map(value => (Number(value) || 0) / total);
+  };
+  const baseMix = normalize(baseQtyVec);
+  const curMix = normalize(curQtyVec);
+
+  const revBase = dot(basePriceVec, baseQtyVec);
+  const revCur = dot(curPriceVec, curQtyVec);
+
+  // Price effect at current quantities
+  const price = dot(curPriceVec.map((p, i) => p - (basePriceVec[i] || 0)), curQtyVec);
+
+  // Volume effect at base price and base mix
+  const volume = (curQty - baseQty) * (revBase / Math.max(1e-9, baseQty));
+
+  // Mix effect: current quantity redistributed from base to current mix, at base prices
+  const mix = dot(curMix.map((m, i) => m - baseMix[i]), basePriceVec) * curQty;
+
+  return { price, volume, mix, revBase, revCur };
+}
+
+/**
+ * Largest movers of a dimension as insights ("Acme Foods grew")
+ * @param {string} metric - Customer, Product Group, Sales Rep, Country
+ * @param {Array<{name: string, sales: number, comp_sales: number, kgs: number, comp_kgs: number}>} items
+ */
+function moverInsights(metric, items = [], volatility = DEFAULT_VOLATILITY) {
+  return [...items]
+    .map(item => ({ ...item, delta: (item.sales || 0) - (item.comp_sales || 0) }))
+    .filter(item => item.delta !== 0)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    .slice(0, MOVERS_PER_DIMENSION)
+    .map(item => ({
+      metric,
+      title: `${item.name} ${item.delta > 0 ? 'grew' : 'declined'}`,
+      deltaAbs: item.delta,
+      deltaPct: item.comp_sales ? item.delta / Math.abs(item.comp_sales) : 1,
+      drivers: [
+        { key: 'Volume (kg)', v: (item.kgs || 0) - (item.comp_kgs || 0) },
+        { key: 'Sales', v: item.delta }
+      ],
+      confidence: 0.75,
+      volatility
+    }));
+}
+
+/**
+ * Normalized, ranked insight list from a fact pack
+ * @param {object} factPack - From writeUpService.buildFactPack
+ * @returns {Array} Insights, highest score first
+ */
+function buildInsights(factPack = {}) {
+  const insights = [];
+  const {
+    kpi = {},
+    targets = {},
+    revenue_pvm: revenuePvm = {},
+    cogs_drivers: cogsDrivers = {},
+    anomalies = [],
+    volatility_hints: volatilityHints = []
+  } = factPack;
+  const volatility = (name) => (volatilityHints.find(hint => hint.metric === name)?.volatility ?? DEFAULT_VOLATILITY);
+
+  if (revenuePvm.total) {
+    const { price = 0, volume = 0, mix = 0 } = revenuePvm.total;
+    const deltaAbs = price + volume + mix;
+    insights.push({
+      metric: 'Revenue',
+      title: 'Revenue moved',
+      deltaAbs,
+      deltaPct: kpi.sales ? deltaAbs / Math.max(1, kpi.sales) : 0,
+      drivers: [{ key: 'Price', v: price }, { key: 'Volume', v: volume }, { key: 'Mix', v: mix }],
+      confidence: 0.85,
+      volatility: volatility('sales')
+    });
+  }
+
+  if (typeof kpi.gp_pct === 'number' && typeof targets.gp_pct === 'number') {
+    const diff = kpi.gp_pct - targets.gp_pct;
+    insights.push({
+      metric: 'GP% vs Target',
+      title: 'Gross margin vs target',
+      deltaAbs: diff,
+      deltaPct: diff / Math.max(1, targets.gp_pct),
+      drivers: Object.entries(cogsDrivers).map(([key, v]) => ({ key, v })),
+      confidence: 0.8,
+      volatility: volatility('gp_pct')
+    });
+  }
+
+  insights.push(...moverInsights('Customer', factPack.top_customers, volatility('sales')));
+  insights.push(...moverInsights('Product Group', factPack.product_mix, volatility('sales')));
+
+  anomalies.forEach(anomaly => insights.push({
+    metric: 'Anomaly',
+    title: anomaly.signal,
+    deltaAbs: 0,
+    deltaPct: 0,
+    drivers: [],
+    confidence: 0.7,
+    volatility: 0.2
+  }));
+
+  return rankInsights(insights);
+}
+
+module.exports = {
+  scoreInsight,
+  rankInsights,
+  pvmRevenue,
+  buildInsights
+};
@@ -0,0 +1,505 @@
+/**
+ * Job Service
+ * Persistent background jobs for work that outlives an HTTP request
+ * (customer merge scans, bulk budget imports, Actual uploads, HTML exports)
+ *
+ * STORAGE (auth database, company-wide):
+ * - background_jobs: type, payload, status, progress, result (JSON and / or a file), error,
+ *   attempts and the worker that holds the job. An uploaded file the job works on is kept
+ *   in the row (input_file) rather than on the receiving server's disk, so any instance
+ *   can run the job; it is cleared once the job is final
+ *
+ * LIFECYCLE:
+ *   queued → running → succeeded | failed | cancelled
+ * - A handler is registered per job type with registerHandler(); startWorker() polls for
+ *   queued jobs of the registered types. A job is claimed with FOR UPDATE SKIP LOCKED, so
+ *   several server instances never run the same job twice
+ * - A failed attempt is retried with a growing delay until max_attempts. Errors with a 4xx
+ *   statusCode (bad input, closed period, ...) are not retried
+ * - Running jobs send a heartbeat; a job whose worker stopped (server restart) is queued
+ *   again once its heartbeat is older than STALE_AFTER_MS
+ *
+ * CANCELLATION:
+ * A queued job is cancelled at once. A running job is flagged and stops at its next
+ * progress report (context.progress / context.throwIfCancelled).
+ */
+
+const os = require('os');
+const { authPool } = require('../database/config');
+const logger = require('../utils/logger');
+
+const STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+const POLL_INTERVAL_MS = 2000;
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const STALE_AFTER_MS = 5 * 60 * 1000;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const PROGRESS_WRITE_INTERVAL_MS = 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Columns returned to clients (the result file itself is only sent by download)
+const JOB_COLUMNS = `id, type, division, status, progress, progress_message, result, error,
+  attempts, max_attempts, cancel_requested, result_file_name,
+  created_by, created_by_id, created_at, started_at, finished_at`;
+
+const jobError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Thrown inside a handler when the job was cancelled
+ */
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+let tablesEnsured = false;
+
+async function ensureTables() {
+  if (tablesEnsured) return;
+
+  await authPool.query(`
+    CREATE TABLE IF NOT EXISTS background_jobs (
+      id SERIAL PRIMARY KEY,
+      type VARCHAR(100) NOT NULL,
+      division VARCHAR(20),
+      status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+      payload JSONB NOT NULL DEFAULT '{}',
+      progress INTEGER NOT NULL DEFAULT 0 CHECK (progress BETWEEN 0 AND 100),
+      progress_message TEXT,
+      result JSONB,
+      result_file BYTEA,
+      result_file_name VARCHAR(255),
+      result_content_type VARCHAR(100),
+      input_file BYTEA,
+      input_file_name VARCHAR(255),
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 1,
+      run_after TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      cancel_requested BOOLEAN NOT NULL DEFAULT false,
+      locked_by VARCHAR(255),
+      heartbeat_at TIMESTAMP,
+      created_by VARCHAR(255),
+      created_by_id INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      started_at TIMESTAMP,
+      finished_at TIMESTAMP
+    );
+
+    ALTER TABLE background_jobs
+      ADD COLUMN IF NOT EXISTS input_file BYTEA,
+      ADD COLUMN IF NOT EXISTS input_file_name VARCHAR(255);
+
+    CREATE INDEX IF NOT EXISTS idx_background_jobs_queue ON background_jobs(run_after) WHERE status = 'queued';
+    CREATE INDEX IF NOT EXISTS idx_background_jobs_creator ON background_jobs(created_by_id, created_at DESC);
+  `);
+
+  tablesEnsured = true;
+}
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+const handlers = new Map();
+
+/**
+ * Register the function that runs a job type
+ *
+ * @param {string} type - e.g. 'merge-scan'
+ * @param {function(object, object): Promise<*>} run - (payload, context) → result
+ *   context: { job, attempt, isLastAttempt, progress(percent, message), throwIfCancelled(), readInputFile(),
+ *   setResultFile(name, content, contentType) }
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts=1] - Attempts before the job fails
+ * @param {function(object): Promise<void>} [options.cleanup] - Runs once the job is final
+ *   (e.g. remove an uploaded file), including when it is cancelled before it started
+ */
+function registerHandler(type, run, { maxAttempts = 1, cleanup = null } = {}) {
+  handlers.set(type, { run, maxAttempts, cleanup });
+}
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+
+/**
+ * Queue a job
+ * @param {Object} job
+ * @param {string} job.type - A registered type
+ * @param {string} [job.division]
+ * @param {Object} [job.payload] - Handler input (JSON)
+ * @param {Object} [job.user] - req.user of the requester
+ * @param {Object} [job.file] - Uploaded file the handler reads with context.readInputFile()
+ * @param {string} job.file.name
+ * @param {Buffer} job.file.content
+ * @returns {Promise<Object>} The queued job
+ */
+async function enqueue({ type, division = null, payload = {}, user = null, file = null }) {
+  const handler = handlers.get(type);
+  if (!handler) {
+    throw jobError(`Unknown job type: ${type}`, 400);
+  }
+  await ensureTables();
+
+  const result = await authPool.query(
+    `INSERT INTO background_jobs
+       (type, division, payload, max_attempts, created_by, created_by_id, input_file, input_file_name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING ${JOB_COLUMNS}`,
+    [type, division ? String(division).toUpperCase() : null, payload, handler.maxAttempts, user?.email || null, user?.id || null,
+      file?.content || null, file?.name || null]
+  );
+
+  logger.info(`🧰 Job ${result.rows[0].id} queued`, { type, division, user: user?.email });
+  return result.rows[0];
+}
+
+async function getJob(id) {
+  await ensureTables();
+  const result = await authPool.query(`SELECT ${JOB_COLUMNS} FROM background_jobs WHERE id = $1`, [id]);
+  if (result.rows.length === 0) throw jobError('Job not found', 404);
+  return result.rows[0];
+}
+
+/**
+ * Recent jobs, newest first
+ * @param {Object} [filters]
+ * @param {number} [filters.createdById] - Only this user's jobs
+ * @param {string} [filters.type]
+ * @param {string} [filters.status]
+ * @param {number} [filters.limit=50]
+ */
+async function listJobs({ createdById, type, status, limit = 50 } = {}) {
+  await ensureTables();
+
+  const conditions = [];
+  const params = [];
+  if (createdById) {
+    params.push(createdById);
+    conditions.push(`created_by_id = $${params.length}`);
+  }
+  if (type) {
+    params.push(type);
+    conditions.push(`type = $${params.length}`);
+  }
+  if (status) {
+    if (!STATUSES.includes(status)) throw jobError(`Status must be one of ${STATUSES.join(', ')}`, 400);
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  params.push(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200));
+
+  const result = await authPool.query(
+    `SELECT ${JOB_COLUMNS} FROM background_jobs
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY created_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * File produced by a job (e.g. an HTML export)
+ * @returns {Promise<{name: string, contentType: string, content: Buffer}>}
+ */
+async function getResultFile(id) {
+  await ensureTables();
+  const result = await authPool.query(
+    `SELECT status, result_file, result_file_name, result_content_type FROM background_jobs WHERE id = $1`,
+    [id]
+  );
+  const row = result.rows[0];
+  if (!row) throw jobError('Job not found', 404);
+  if (!row.result_file) {
+    throw jobError(row.status === 'succeeded' ? 'This job has no file' : `Job is ${row.status}`, 409);
+  }
+  return { name: row.result_file_name, contentType: row.result_content_type, content: row.result_file };
+}
+
+/**
+ * Cancel a job: a queued job is cancelled at once, a running job at its next progress report
+ * @returns {Promise<Object>} The job
+ */
+async function cancelJob(id) {
+  await ensureTables();
+  const result = await authPool.query(
+    `UPDATE background_jobs
+     SET status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+         finished_at = CASE WHEN status = 'queued' THEN NOW() ELSE finished_at END,
+         input_file = CASE WHEN status = 'queued' THEN NULL ELSE input_file END,
+         cancel_requested = true
+     WHERE id = $1 AND status IN ('queued', 'running')
+     RETURNING ${JOB_COLUMNS}`,
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    const job = await getJob(id);
+    throw jobError(`Job is already ${job.status}`, 409);
+  }
+
+  const job = result.rows[0];
+  logger.info(`🧰 Job ${id} cancel requested`, { status: job.status });
+  if (job.status === 'cancelled') {
+    await runCleanup(job);
+  }
+  return job;
+}
+
+/**
+ * Delay before the next attempt (30s, 60s, 120s, ...)
+ */
+const retryDelayMs = (attempt) => RETRY_BASE_DELAY_MS * 2 ** Math.max(attempt - 1, 0);
+
+/**
+ * Whether a failed attempt should be tried again
+ */
+const shouldRetry = (error, attempt, maxAttempts) =>
+  attempt < maxAttempts &&
+  !(error instanceof JobCancelledError) &&
+  !(error.statusCode >= 400 && error.statusCode < 500);
+
+// ============================================================================
+// WORKER
+// ============================================================================
+
+/**
+ * Claim the next due job of a registered type
+ * @returns {Promise<Object|null>} The job (with payload) or null
+ */
+async function claimNextJob() {
+  await ensureTables();
+  const types = [...handlers.keys()];
+  if (types.length === 0) return null;
+
+  const client = await authPool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Jobs whose worker stopped without finishing go back to the queue
+    await client.query(
+      `UPDATE background_jobs
+       SET status = 'queued', locked_by = NULL, run_after = NOW()
+       WHERE status = 'running' AND heartbeat_at < NOW() - ($1 || ' milliseconds')::interval`,
+      [String(STALE_AFTER_MS)]
+    );
+
+    const due = await client.query(
+      `SELECT id FROM background_jobs
+       WHERE status = 'queued' AND run_after <= NOW() AND type = ANY($1)
+       ORDER BY run_after, id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED`,
+      [types]
+    );
+
+    if (due.rows.length === 0) {
+      await client.query('COMMIT');
+      return null;
+    }
+
+    const claimed = await client.query(
+      `UPDATE background_jobs
+       SET status = 'running', attempts = attempts + 1, locked_by = $2, heartbeat_at = NOW(),
+           started_at = COALESCE(started_at, NOW()), error = NULL
+       WHERE id = $1
+       RETURNING ${JOB_COLUMNS}, payload`,
+      [due.rows[0].id, WORKER_ID]
+    );
+
+    await client.query('COMMIT');
+    return claimed.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function runCleanup(job) {
+  const handler = handlers.get(job.type);
+  if (!handler?.cleanup) return;
+  try {
+    const payload = job.payload || (await authPool.query('SELECT payload FROM background_jobs WHERE id = $1', [job.id])).rows[0]?.payload;
+    await handler.cleanup(payload || {});
+  } catch (error) {
+    logger.warn(`Job ${job.id} cleanup failed`, { error: error.message });
+  }
+}
+
+/**
+ * Run a claimed job to its next state
+ */
+async function executeJob(job) {
+  const handler = handlers.get(job.type);
+  const startedAt = Date.now();
+  let lastProgressWrite = 0;
+  let resultFile = null;
+
+  const throwIfCancelled = async () => {
+    const current = await authPool.query('SELECT cancel_requested FROM background_jobs WHERE id = $1', [job.id]);
+    if (current.rows[0]?.cancel_requested) throw new JobCancelledError();
+  };
+
+  const context = {
+    job,
+    attempt: job.attempts,
+    isLastAttempt: job.attempts >= job.max_attempts,
+    throwIfCancelled,
+    /**
+     * The file queued with the job, or null
+     * @returns {Promise<{name: string, content: Buffer}|null>}
+     */
+    readInputFile: async () => {
+      const current = await authPool.query('SELECT input_file, input_file_name FROM background_jobs WHERE id = $1', [job.id]);
+      const row = current.rows[0];
+      return row?.input_file ? { name: row.input_file_name, content: row.input_file } : null;
+    },
+    /**
+     * Report progress (0-100). Writes are throttled; also stops the job when it was cancelled
+     */
+    progress: async (percent, message = null) => {
+      const now = Date.now();
+      if (now - lastProgressWrite < PROGRESS_WRITE_INTERVAL_MS && percent < 100) return;
+      lastProgressWrite = now;
+      const updated = await authPool.query(
+        `UPDATE background_jobs SET progress = $2, progress_message = $3, heartbeat_at = NOW()
+         WHERE id = $1
+         RETURNING cancel_requested`,
+        [job.id, Math.max(0, Math.min(100, Math.round(percent))), message]
+      );
+      if (updated.rows[0]?.cancel_requested) throw new JobCancelledError();
+    },
+    setResultFile: (name, content, contentType = 'application/octet-stream') => {
+      resultFile = { name, content: Buffer.isBuffer(content) ? content : Buffer.from(String(content)), contentType };
+    }
+  };
+
+  // Keep the job claimed while a long step runs without reporting progress
+  const heartbeat = setInterval(() => {
+    authPool.query('UPDATE background_jobs SET heartbeat_at = NOW() WHERE id = $1', [job.id])
+      .catch(error => logger.warn(`Job ${job.id} heartbeat failed`, { error: error.message }));
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  try {
+    const result = await handler.run(job.payload || {}, context);
+    await authPool.query(
+      `UPDATE background_jobs
+       SET status = 'succeeded', progress = 100, result = $2, result_file = $3, result_file_name = $4,
+           result_content_type = $5, input_file = NULL, finished_at = NOW(), locked_by = NULL
+       WHERE id = $1`,
+      [job.id, result === undefined ? null : JSON.stringify(result), resultFile?.content || null, resultFile?.name || null, resultFile?.contentType || null]
+    );
+    logger.info(`🧰 Job ${job.id} succeeded`, { type: job.type, seconds: ((Date.now() - startedAt) / 1000).toFixed(1) });
+    await runCleanup(job);
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      await authPool.query(
+        `UPDATE background_jobs SET status = 'cancelled', input_file = NULL, finished_at = NOW(), locked_by = NULL WHERE id = $1`,
+        [job.id]
+      );
+      logger.info(`🧰 Job ${job.id} cancelled`, { type: job.type });
+      await runCleanup(job);
+      return;
+    }
+
+    if (shouldRetry(error, job.attempts, job.max_attempts)) {
+      await authPool.query(
+        `UPDATE background_jobs
+         SET status = 'queued', error = $2, locked_by = NULL,
+             run_after = NOW() + ($3 || ' milliseconds')::interval
+         WHERE id = $1`,
+        [job.id, error.message, String(retryDelayMs(job.attempts))]
+      );
+      logger.warn(`🧰 Job ${job.id} attempt ${job.attempts} failed, retrying`, { type: job.type, error: error.message });
+      return;
+    }
+
+    await authPool.query(
+      `UPDATE background_jobs
+       SET status = 'failed', error = $2, result = $3, input_file = NULL, finished_at = NOW(), locked_by = NULL
+       WHERE id = $1`,
+      [job.id, error.message, error.result === undefined ? null : JSON.stringify(error.result)]
+    );
+    if (error.statusCode && error.statusCode < 500) {
+      logger.warn(`🧰 Job ${job.id} failed`, { type: job.type, error: error.message });
+    } else {
+      logger.error(`🧰 Job ${job.id} failed`, { type: job.type, error: error.message, stack: error.stack });
+    }
+    await runCleanup(job);
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+let workerTimer = null;
+let tickRunning = false;
+
+/**
+ * One worker pass: run due jobs one after another until the queue is empty
+ * @returns {Promise<number>} Jobs run
+ */
+async function runQueuedJobs() {
+  if (tickRunning) return 0;
+  tickRunning = true;
+  let count = 0;
+  try {
+    let job = await claimNextJob();
+    while (job) {
+      await executeJob(job);
+      count++;
+      job = await claimNextJob();
+    }
+  } catch (error) {
+    logger.error('Job worker pass failed', { error: error.message });
+  } finally {
+    tickRunning = false;
+  }
+  return count;
+}
+
+/**
+ * Start polling for queued jobs
+ */
+function startWorker({ intervalMs = POLL_INTERVAL_MS } = {}) {
+  if (workerTimer) return;
+  workerTimer = setInterval(runQueuedJobs, intervalMs);
+  workerTimer.unref();
+  logger.info('🧰 Job worker started', { intervalMs, workerId: WORKER_ID, types: [...handlers.keys()] });
+}
+
+function stopWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+module.exports = {
+  STATUSES,
+  FINAL_STATUSES,
+  JobCancelledError,
+  registerHandler,
+  enqueue,
+  getJob,
+  listJobs,
+  getResultFile,
+  cancelJob,
+  retryDelayMs,
+  shouldRetry,
+  runQueuedJobs,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,465 @@
+/**
+ * Merge Impact Service
+ * Dry-run of a customer merge rule change and the audited unmerge
+ *
+ * Merge rules are applied when data is read, so creating, editing or removing a rule
+ * changes every customer total in dashboards and budgets. previewImpact() replays the
+ * change on the stored data and reports, per sales rep and year, the revenue / KGS
+ * and rank of the customers involved before and after.
+ *
+ * DATA COMPARED:
+ * - Actual:  {div}_data_excel, type ACTUAL, by year
+ * - Budget:  {div}_sales_rep_budget, type BUDGET, by budget_year
+ * Only the sales rep / year combinations that contain a customer of the rule are loaded.
+ *
+ * STORAGE (division database): {div}_merge_rule_history
+ * One row per unmerge / deletion with who, why and the impact at that moment.
+ * Unmerging deactivates the rule, so the original customer names show again
+ * everywhere; budget rows that were saved under the merged name stay as they are.
+ */
+
+const { getDivisionPool } = require('../utils/divisionDatabaseManager');
+const logger = require('../utils/logger');
+
+const ACTIONS = ['create', 'update', 'delete'];
+
+// Unaffected customers are listed when they move inside the top N of a sales rep
+const TOP_RANK_LIMIT = 20;
+
+const extractDivisionCode = (division) => {
+  if (!division) return 'fp';
+  return division.split('-')[0].toLowerCase();
+};
+
+const getTableNames = (division) => {
+  const code = extractDivisionCode(division);
+  return {
+    divisionMergeRules: `${code}_division_customer_merge_rules`,
+    mergeRuleHistory: `${code}_merge_rule_history`,
+    dataExcel: `${code}_data_excel`,
+    salesRepBudget: `${code}_sales_rep_budget`
+  };
+};
+
+const getPool = (division) => getDivisionPool(extractDivisionCode(division).toUpperCase());
+
+const impactError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const norm = (name) => String(name || '').trim().toLowerCase();
+
+const parseCustomers = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// ============================================================================
+// IMPACT CALCULATION
+// ============================================================================
+
+/**
+ * Original customer (normalized) → merged name, as dashboards apply it
+ */
+function buildMergeMap(rules) {
+  const mergeMap = new Map();
+  rules.forEach(rule => {
+    parseCustomers(rule.original_customers).forEach(original => {
+      mergeMap.set(norm(original), rule.merged_customer_name);
+    });
+  });
+  return mergeMap;
+}
+
+/**
+ * Validate a proposed change and return the rule set after it
+ *
+ * @param {Array<Object>} rules - Active rules { id, merged_customer_name, original_customers }
+ * @param {Object} proposal - { action: 'create'|'update'|'delete', ruleId, mergedName, originalCustomers }
+ * @returns {{ rulesAfter: Array<Object>, target: Object, previous: Object|null }}
+ */
+function applyProposal(rules, proposal) {
+  const action = proposal.action;
+  if (!ACTIONS.includes(action)) {
+    throw impactError(`Action must be one of: ${ACTIONS.join(', ')}`, 400);
+  }
+
+  let previous = null;
+  if (action !== 'create') {
+    previous = rules.find(rule => String(rule.id) === String(proposal.ruleId));
+    if (!previous) throw impactError('Rule not found', 404);
+  }
+
+  if (action === 'delete') {
+    return {
+      rulesAfter: rules.filter(rule => rule !== previous),
+      target: previous,
+      previous
+    };
+  }
+
+  const mergedName = String(proposal.mergedName || '').trim();
+  const originalCustomers = parseCustomers(proposal.originalCustomers)
+    .map(customer => String(customer || '').trim())
+    .filter(Boolean);
+  if (!mergedName || originalCustomers.length < 2) {
+    throw impactError('A merged name and at least 2 customers are required', 400);
+  }
+
+  const target = { id: previous ? previous.id : null, merged_customer_name: mergedName, original_customers: originalCustomers };
+  return {
+    rulesAfter: [...rules.filter(rule => rule !== previous), target],
+    target,
+    previous
+  };
+}
+
+/**
+ * Customers a change touches: the originals and merged names before and after
+ */
+function affectedCustomers(target, previous) {
+  const names = new Set();
+  [target, previous].filter(Boolean).forEach(rule => {
+    names.add(norm(rule.merged_customer_name));
+    parseCustomers(rule.original_customers).forEach(customer => names.add(norm(customer)));
+  });
+  names.delete('');
+  return names;
+}
+
+/**
+ * Customers of one sales rep / year after merging, ranked by revenue
+ *
+ * @param {Array<{ customer: string, amount: number, kgs: number }>} rows
+ * @param {Map} mergeMap
+ * @returns {Array<{ key: string, customer: string, amount: number, kgs: number, rank: number }>}
+ */
+function rankCustomers(rows, mergeMap) {
+  const customers = new Map();
+  rows.forEach(row => {
+    const name = mergeMap.get(norm(row.customer)) || row.customer;
+    const key = norm(name);
+    const entry = customers.get(key) || { key, customer: name, amount: 0, kgs: 0 };
+    entry.amount += Number(row.amount) || 0;
+    entry.kgs += Number(row.kgs) || 0;
+    customers.set(key, entry);
+  });
+
+  return [...customers.values()]
+    .sort((a, b) => b.amount - a.amount || b.kgs - a.kgs || a.customer.localeCompare(b.customer))
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toEntry = ({ customer, amount, kgs, rank }) => ({ customer, amount: round(amount), kgs: round(kgs), rank });
+
+/**
+ * Before / after of a rule change per source, sales rep and year
+ *
+ * @param {Array<{ source: string, salesRep: string, year: number, customer: string, amount: number, kgs: number }>} rows
+ * @param {Array<Object>} rulesBefore
+ * @param {Array<Object>} rulesAfter
+ * @param {Set<string>} affected - Normalized names from affectedCustomers()
+ */
+function computeMergeImpact(rows, rulesBefore, rulesAfter, affected) {
+  const mapBefore = buildMergeMap(rulesBefore);
+  const mapAfter = buildMergeMap(rulesAfter);
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = `${row.source}|${norm(row.salesRep)}|${row.year}`;
+    if (!groups.has(key)) groups.set(key, { source: row.source, salesRep: row.salesRep, year: Number(row.year), rows: [] });
+    groups.get(key).rows.push(row);
+  });
+
+  const changes = [];
+  groups.forEach(group => {
+    const before = rankCustomers(group.rows, mapBefore);
+    const after = rankCustomers(group.rows, mapAfter);
+    const beforeByKey = new Map(before.map(entry => [entry.key, entry]));
+    const afterByKey = new Map(after.map(entry => [entry.key, entry]));
+
+    const customersBefore = before.filter(entry => affected.has(entry.key)).map(toEntry);
+    const customersAfter = after.filter(entry => affected.has(entry.key)).map(toEntry);
+
+    const rankChanges = after
+      .filter(entry => !affected.has(entry.key) && beforeByKey.has(entry.key))
+      .map(entry => ({ customer: entry.customer, rankBefore: beforeByKey.get(entry.key).rank, rankAfter: entry.rank }))
+      .filter(change => change.rankBefore !== change.rankAfter &&
+        Math.min(change.rankBefore, change.rankAfter) <= TOP_RANK_LIMIT);
+
+    const unchanged = customersBefore.length === customersAfter.length &&
+      customersBefore.every(entry => {
+        const match = afterByKey.get(norm(entry.customer));
+        return match && match.rank === entry.rank && round(match.amount) === entry.amount;
+      });
+    if (unchanged && rankChanges.length === 0) return;
+
+    changes.push({
+      source: group.source,
+      salesRep: group.salesRep,
+      year: group.year,
+      customerCountBefore: before.length,
+      customerCountAfter: after.length,
+      before: customersBefore,
+      after: customersAfter,
+      rankChanges
+    });
+  });
+
+  changes.sort((a, b) => a.source.localeCompare(b.source) || b.year - a.year || a.salesRep.localeCompare(b.salesRep));
+
+  const total = (source, side, field) => round(changes
+    .filter(change => change.source === source)
+    .reduce((sum, change) => sum + change[side].reduce((inner, entry) => inner + entry[field], 0), 0));
+
+  return {
+    summary: {
+      salesRepYears: changes.length,
+      salesReps: new Set(changes.map(change => norm(change.salesRep))).size,
+      years: [...new Set(changes.map(change => change.year))].sort((a, b) => b - a),
+      actualAmount: total('Actual', 'before', 'amount'),
+      actualKgs: total('Actual', 'before', 'kgs'),
+      budgetAmount: total('Budget', 'before', 'amount'),
+      budgetKgs: total('Budget', 'before', 'kgs')
+    },
+    changes
+  };
+}
+
+// ============================================================================
+// DATABASE
+// ============================================================================
+
+const tablesEnsuredForDivisions = new Set();
+
+async function ensureTable(division) {
+  const divisionCode = extractDivisionCode(division);
+  if (tablesEnsuredForDivisions.has(divisionCode)) return;
+
+  const { mergeRuleHistory } = getTableNames(division);
+  await getPool(division).query(`
+    CREATE TABLE IF NOT EXISTS ${mergeRuleHistory} (
+      id SERIAL PRIMARY KEY,
+      division VARCHAR(50) NOT NULL,
+      rule_id INTEGER,
+      action VARCHAR(20) NOT NULL,
+      merged_customer_name VARCHAR(500),
+      original_customers JSONB,
+      reason TEXT,
+      impact_summary JSONB,
+      performed_by VARCHAR(255),
+      performed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_${mergeRuleHistory}_rule ON ${mergeRuleHistory} (rule_id);
+  `);
+
+  tablesEnsuredForDivisions.add(divisionCode);
+}
+
+async function loadActiveRules(division) {
+  const { divisionMergeRules } = getTableNames(division);
+  const result = await getPool(division).query(`
+    SELECT id, merged_customer_name, original_customers
+    FROM ${divisionMergeRules}
+    WHERE division = $1 AND status = 'ACTIVE' AND is_active = true
+  `, [division]);
+  return result.rows;
+}
+
+/**
+ * Customer totals of every sales rep / year that has one of the names
+ */
+async function loadImpactRows(division, names, { year } = {}) {
+  const pool = getPool(division);
+  const tables = getTableNames(division);
+  const upperNames = [...names].map(name => name.toUpperCase());
+  const yearFilter = year ? parseInt(year, 10) : null;
+
+  const sources = [
+    { source: 'Actual', table: tables.dataExcel, yearColumn: 'year', type: 'ACTUAL' },
+    { source: 'Budget', table: tables.salesRepBudget, yearColumn: 'budget_year', type: 'BUDGET' }
+  ];
+
+  const rows = [];
+  for (const { source, table, yearColumn, type } of sources) {
+    try {
+      const result = await pool.query(`
+        WITH affected AS (
+          SELECT DISTINCT UPPER(TRIM(salesrepname)) AS sales_rep, ${yearColumn} AS year
+          FROM ${table}
+          WHERE UPPER(division) = UPPER($1)
+            AND UPPER(type) = '${type}'
+            AND UPPER(TRIM(customername)) = ANY($2::text[])
+            AND ($3::int IS NULL OR ${yearColumn} = $3)
+        )
+        SELECT
+          MIN(TRIM(d.salesrepname)) AS sales_rep,
+          d.${yearColumn} AS year,
+          MIN(TRIM(d.customername)) AS customer,
+          SUM(CASE WHEN UPPER(d.values_type) = 'AMOUNT' THEN d.values ELSE 0 END) AS amount,
+          SUM(CASE WHEN UPPER(d.values_type) = 'KGS' THEN d.values ELSE 0 END) AS kgs
+        FROM ${table} d
+        JOIN affected a ON a.sales_rep = UPPER(TRIM(d.salesrepname)) AND a.year = d.${yearColumn}
+        WHERE UPPER(d.division) = UPPER($1)
+          AND UPPER(d.type) = '${type}'
+          AND d.customername IS NOT NULL
+          AND TRIM(d.customername) != ''
+        GROUP BY UPPER(TRIM(d.salesrepname)), d.${yearColumn}, LOWER(TRIM(d.customername))
+      `, [division, upperNames, yearFilter]);
+
+      result.rows.forEach(row => rows.push({
+        source,
+        salesRep: row.sales_rep,
+        year: Number(row.year),
+        customer: row.customer,
+        amount: parseFloat(row.amount) || 0,
+        kgs: parseFloat(row.kgs) || 0
+      }));
+    } catch (error) {
+      logger.warn(`⚠️ Could not load ${source} data for the merge impact:`, error.message);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Dry-run a rule change (nothing is written)
+ *
+ * @param {string} division
+ * @param {Object} proposal - { action: 'create'|'update'|'delete', ruleId, mergedName, originalCustomers }
+ * @param {Object} [options]
+ * @param {number} [options.year] - Only this (budget) year
+ */
+async function previewImpact(division, proposal, { year } = {}) {
+  const rulesBefore = await loadActiveRules(division);
+  const { rulesAfter, target, previous } = applyProposal(rulesBefore, proposal);
+  const affected = affectedCustomers(target, previous);
+  const rows = await loadImpactRows(division, affected, { year });
+
+  return {
+    action: proposal.action,
+    rule: {
+      id: target.id,
+      mergedName: target.merged_customer_name,
+      originalCustomers: parseCustomers(target.original_customers)
+    },
+    ...computeMergeImpact(rows, rulesBefore, rulesAfter, affected)
+  };
+}
+
+/**
+ * Record an unmerge / deletion in the rule history
+ */
+async function recordHistory(division, { rule, action, reason = null, impactSummary = null, performedBy = null }, client = null) {
+  await ensureTable(division);
+  const { mergeRuleHistory } = getTableNames(division);
+  await (client || getPool(division)).query(`
+    INSERT INTO ${mergeRuleHistory}
+      (division, rule_id, action, merged_customer_name, original_customers, reason, impact_summary, performed_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  `, [
+    division,
+    rule.id,
+    action,
+    rule.merged_customer_name,
+    JSON.stringify(parseCustomers(rule.original_customers)),
+    reason,
+    impactSummary ? JSON.stringify(impactSummary) : null,
+    performedBy
+  ]);
+}
+
+/**
+ * Undo a merge: deactivate the rule so the original customers show again,
+ * recording who did it, why and what it changed
+ *
+ * @returns {Promise<Object>} { rule, impact }
+ */
+async function unmergeRule(division, ruleId, { reason, performedBy }) {
+  const trimmedReason = String(reason || '').trim();
+  if (!trimmedReason) {
+    throw impactError('A reason is required to unmerge', 400);
+  }
+
+  const impact = await previewImpact(division, { action: 'delete', ruleId });
+  await ensureTable(division);
+
+  const { divisionMergeRules } = getTableNames(division);
+  const client = await getPool(division).connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(`
+      UPDATE ${divisionMergeRules}
+      SET is_active = false, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND division = $2 AND is_active = true
+      RETURNING id, merged_customer_name, original_customers
+    `, [ruleId, division]);
+
+    if (result.rows.length === 0) {
+      throw impactError('Rule is no longer active', 409);
+    }
+
+    await recordHistory(division, {
+      rule: result.rows[0],
+      action: 'UNMERGE',
+      reason: trimmedReason,
+      impactSummary: impact.summary,
+      performedBy
+    }, client);
+    await client.query('COMMIT');
+
+    logger.info(`↩️ Rule #${ruleId} unmerged`, { division, by: performedBy, reason: trimmedReason });
+    return { rule: result.rows[0], impact };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Unmerges and deletions, newest first
+ */
+async function listHistory(division, { ruleId } = {}) {
+  await ensureTable(division);
+  const { mergeRuleHistory } = getTableNames(division);
+  const params = [division];
+  let condition = '';
+  if (ruleId) {
+    params.push(ruleId);
+    condition = 'AND rule_id = $2';
+  }
+
+  const result = await getPool(division).query(`
+    SELECT * FROM ${mergeRuleHistory}
+    WHERE division = $1 ${condition}
+    ORDER BY performed_at DESC, id DESC
+    LIMIT 200
+  `, params);
+  return result.rows;
+}
+
+module.exports = {
+  ACTIONS,
+  TOP_RANK_LIMIT,
+  buildMergeMap,
+  applyProposal,
+  affectedCustomers,
+  rankCustomers,
+  computeMergeImpact,
+  previewImpact,
+  recordHistory,
+  unmergeRule,
+  listHistory
+};
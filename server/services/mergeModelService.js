@@ -0,0 +1,470 @@
+/**
+ * Merge Model Service
+ * Learns the customer-merge scoring weights of a division from the admins' decisions
+ * on AI suggestions, so scans improve with every accept / reject
+ *
+ * STORAGE (division database): {div}_merge_model_weights
+ * One row per trained version: the weight per feature, the intercept and the
+ * held-out metrics at training time. At most one version is active; no active
+ * version means the fixed weights of CustomerMergingAI.config.weights.
+ *
+ * TRAINING DATA (customer pairs):
+ * - APPROVED suggestion: every pair in the group is a duplicate
+ * - MODIFIED suggestion: pairs that both ended up in the created rule are duplicates,
+ *   pairs split apart by the admin are not
+ * - REJECTED suggestion and {div}_merge_rule_rejections: not duplicates
+ * The latest decision on a pair wins.
+ *
+ * MODEL:
+ * Logistic regression over the CustomerMergingAI feature scores (class-balanced,
+ * L2-regularized, batch gradient descent). A pair is held out of training when its
+ * key hashes into the evaluation bucket, so the held-out set stays the same across
+ * retrains and metrics of different versions are comparable.
+ */
+
+const { getDivisionPool } = require('../utils/divisionDatabaseManager');
+const CustomerMergingAI = require('./CustomerMergingAI');
+const logger = require('../utils/logger');
+
+const FEATURE_NAMES = Object.keys(CustomerMergingAI.config.weights);
+const HELD_OUT_PERCENT = 20;
+const MIN_TRAINING_PAIRS = 20;
+
+const extractDivisionCode = (division) => {
+  if (!division) return 'fp';
+  return division.split('-')[0].toLowerCase();
+};
+
+const getTableName = (division) => `${extractDivisionCode(division)}_merge_model_weights`;
+
+const getSuggestionsTable = (division) => `${extractDivisionCode(division)}_merge_rule_suggestions`;
+
+const getRulesTable = (division) => `${extractDivisionCode(division)}_division_customer_merge_rules`;
+
+const getRejectionsTable = (division) => `${extractDivisionCode(division)}_merge_rule_rejections`;
+
+const getPool = (division) => getDivisionPool(extractDivisionCode(division).toUpperCase());
+
+const modelError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// ============================================================================
+// FEEDBACK → LABELLED PAIRS
+// ============================================================================
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Order-independent key of a customer pair
+ */
+const pairKey = (customer1, customer2) => [normalizeName(customer1), normalizeName(customer2)].sort().join('||');
+
+/**
+ * Whether a pair belongs to the held-out evaluation set (stable per pair)
+ */
+function isHeldOut(key) {
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = (hash * 31 + key.charCodeAt(i)) >>> 0;
+  }
+  return hash % 100 < HELD_OUT_PERCENT;
+}
+
+const parseList = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Labelled customer pairs from reviewed suggestions and the rejection table
+ *
+ * @param {Array<Object>} suggestions - { admin_action, customer_group, rule_customers }, newest decision first
+ * @param {Array<Object>} rejections - { customer1, customer2 }
+ * @returns {Array<{ key: string, customer1: string, customer2: string, label: number }>}
+ */
+function buildTrainingPairs(suggestions, rejections = []) {
+  const pairs = new Map();
+
+  const addPair = (customer1, customer2, label) => {
+    const key = pairKey(customer1, customer2);
+    if (!normalizeName(customer1) || !normalizeName(customer2) || pairs.has(key)) return;
+    pairs.set(key, { key, customer1, customer2, label });
+  };
+
+  suggestions.forEach(suggestion => {
+    const customers = parseList(suggestion.customer_group).filter(Boolean);
+    const kept = new Set(parseList(suggestion.rule_customers).map(normalizeName));
+
+    for (let i = 0; i < customers.length; i++) {
+      for (let j = i + 1; j < customers.length; j++) {
+        let label;
+        if (suggestion.admin_action === 'APPROVED') {
+          label = 1;
+        } else if (suggestion.admin_action === 'MODIFIED') {
+          label = kept.has(normalizeName(customers[i])) && kept.has(normalizeName(customers[j])) ? 1 : 0;
+        } else {
+          label = 0;
+        }
+        addPair(customers[i], customers[j], label);
+      }
+    }
+  });
+
+  rejections.forEach(rejection => addPair(rejection.customer1, rejection.customer2, 0));
+
+  return [...pairs.values()];
+}
+
+// ============================================================================
+// LOGISTIC REGRESSION
+// ============================================================================
+
+const sigmoid = (value) => 1 / (1 + Math.exp(-value));
+
+/**
+ * Fit a logistic regression
+ *
+ * @param {Array<{ features: number[], label: number }>} samples
+ * @param {Object} [options]
+ * @param {number} [options.iterations=3000]
+ * @param {number} [options.learningRate=0.5]
+ * @param {number} [options.l2=0.001] - Regularization of the weights (not the intercept)
+ * @returns {{ weights: number[], intercept: number }}
+ */
+function trainLogisticRegression(samples, { iterations = 3000, learningRate = 0.5, l2 = 0.001 } = {}) {
+  const featureCount = samples[0].features.length;
+  const weights = new Array(featureCount).fill(0);
+  let intercept = 0;
+
+  // Balance the classes: feedback is usually mostly approvals or mostly rejections
+  const positives = samples.filter(sample => sample.label === 1).length;
+  const negatives = samples.length - positives;
+  const classWeight = {
+    1: positives > 0 ? samples.length / (2 * positives) : 0,
+    0: negatives > 0 ? samples.length / (2 * negatives) : 0
+  };
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const gradient = new Array(featureCount).fill(0);
+    let interceptGradient = 0;
+
+    samples.forEach(({ features, label }) => {
+      const logit = features.reduce((sum, value, index) => sum + value * weights[index], intercept);
+      const error = (sigmoid(logit) - label) * classWeight[label];
+      features.forEach((value, index) => {
+        gradient[index] += error * value;
+      });
+      interceptGradient += error;
+    });
+
+    for (let index = 0; index < featureCount; index++) {
+      weights[index] -= learningRate * (gradient[index] / samples.length + l2 * weights[index]);
+    }
+    intercept -= learningRate * (interceptGradient / samples.length);
+  }
+
+  return { weights, intercept };
+}
+
+/**
+ * Precision / recall of predictions at a threshold
+ *
+ * @param {Array<{ score: number, label: number }>} predictions
+ * @param {number} threshold - Scores at or above it count as "duplicate"
+ */
+function evaluatePredictions(predictions, threshold) {
+  const counts = { truePositives: 0, falsePositives: 0, falseNegatives: 0, trueNegatives: 0 };
+
+  predictions.forEach(({ score, label }) => {
+    const predicted = score >= threshold;
+    if (predicted && label === 1) counts.truePositives++;
+    else if (predicted) counts.falsePositives++;
+    else if (label === 1) counts.falseNegatives++;
+    else counts.trueNegatives++;
+  });
+
+  const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+  const precision = ratio(counts.truePositives, counts.truePositives + counts.falsePositives);
+  const recall = ratio(counts.truePositives, counts.truePositives + counts.falseNegatives);
+
+  return {
+    threshold,
+    pairs: predictions.length,
+    ...counts,
+    precision,
+    recall,
+    f1: precision !== null && recall !== null && precision + recall > 0
+      ? (2 * precision * recall) / (precision + recall)
+      : null,
+    accuracy: ratio(counts.truePositives + counts.trueNegatives, predictions.length)
+  };
+}
+
+const scorePairs = (pairs, model) => pairs.map(pair => ({
+  score: CustomerMergingAI.calculateSimilarity(pair.customer1, pair.customer2, model).score,
+  label: pair.label
+}));
+
+const resolveThreshold = (threshold) => {
+  if (threshold === undefined || threshold === null || threshold === '') {
+    return CustomerMergingAI.config.minConfidenceThreshold;
+  }
+  const value = Number(threshold);
+  if (!Number.isFinite(value) || value <= 0 || value >= 1) {
+    throw modelError('Threshold must be between 0 and 1', 400);
+  }
+  return value;
+};
+
+// ============================================================================
+// TABLE
+// ============================================================================
+
+const tablesEnsuredForDivisions = new Set();
+
+async function ensureTable(division) {
+  const divisionCode = extractDivisionCode(division);
+  if (tablesEnsuredForDivisions.has(divisionCode)) return;
+
+  const table = getTableName(division);
+  await getPool(division).query(`
+    CREATE TABLE IF NOT EXISTS ${table} (
+      id SERIAL PRIMARY KEY,
+      version INTEGER NOT NULL UNIQUE,
+      weights JSONB NOT NULL,
+      intercept DOUBLE PRECISION NOT NULL DEFAULT 0,
+      metrics JSONB,
+      training_pairs INTEGER NOT NULL DEFAULT 0,
+      held_out_pairs INTEGER NOT NULL DEFAULT 0,
+      is_active BOOLEAN NOT NULL DEFAULT false,
+      trained_by VARCHAR(255),
+      trained_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      rolled_back_by VARCHAR(255),
+      rolled_back_at TIMESTAMP
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_active ON ${table} (is_active) WHERE is_active;
+  `);
+
+  tablesEnsuredForDivisions.add(divisionCode);
+}
+
+const toModel = (row) => (row ? {
+  id: row.id,
+  version: row.version,
+  weights: row.weights,
+  intercept: Number(row.intercept),
+  metrics: row.metrics,
+  trainingPairs: row.training_pairs,
+  heldOutPairs: row.held_out_pairs,
+  isActive: row.is_active,
+  trainedBy: row.trained_by,
+  trainedAt: row.trained_at,
+  rolledBackBy: row.rolled_back_by,
+  rolledBackAt: row.rolled_back_at
+} : null);
+
+/**
+ * Active learned model of a division, or null for the fixed weights
+ */
+async function getActiveModel(division) {
+  await ensureTable(division);
+  const result = await getPool(division).query(
+    `SELECT * FROM ${getTableName(division)} WHERE is_active`
+  );
+  return toModel(result.rows[0]);
+}
+
+/**
+ * All trained versions, newest first
+ */
+async function listModels(division) {
+  await ensureTable(division);
+  const result = await getPool(division).query(
+    `SELECT * FROM ${getTableName(division)} ORDER BY version DESC`
+  );
+  return result.rows.map(toModel);
+}
+
+/**
+ * Reviewed suggestions (with the customers of the rule they produced) and rejected pairs
+ */
+async function loadLabelledPairs(division) {
+  const pool = getPool(division);
+  const suggestions = await pool.query(`
+    SELECT s.admin_action, s.customer_group, r.original_customers AS rule_customers
+    FROM ${getSuggestionsTable(division)} s
+    LEFT JOIN ${getRulesTable(division)} r ON r.id = s.created_rule_id
+    WHERE s.division = $1 AND s.admin_action IN ('APPROVED', 'MODIFIED', 'REJECTED')
+    ORDER BY s.reviewed_at DESC NULLS LAST, s.id DESC
+  `, [division]);
+
+  let rejections = [];
+  try {
+    const result = await pool.query(
+      `SELECT customer1, customer2 FROM ${getRejectionsTable(division)} WHERE division = $1`,
+      [division]
+    );
+    rejections = result.rows;
+  } catch (error) {
+    logger.warn('⚠️ Could not load rejected pairs for model training:', error.message);
+  }
+
+  return buildTrainingPairs(suggestions.rows, rejections);
+}
+
+const splitPairs = (pairs) => ({
+  training: pairs.filter(pair => !isHeldOut(pair.key)),
+  heldOut: pairs.filter(pair => isHeldOut(pair.key))
+});
+
+/**
+ * Train a new version from the division's feedback and make it active
+ * The previous version stays available for rollback
+ *
+ * @param {string} division
+ * @param {Object} [options]
+ * @param {string} [options.trainedBy]
+ * @param {number} [options.threshold] - Score threshold for the reported metrics
+ *   (default: the scan's minimum confidence)
+ */
+async function trainModel(division, { trainedBy = null, threshold } = {}) {
+  const evaluationThreshold = resolveThreshold(threshold);
+  await ensureTable(division);
+
+  const pairs = await loadLabelledPairs(division);
+  const { training, heldOut } = splitPairs(pairs);
+  const positives = training.filter(pair => pair.label === 1).length;
+
+  if (training.length < MIN_TRAINING_PAIRS || positives === 0 || positives === training.length) {
+    throw modelError(
+      `Not enough feedback to train: need at least ${MIN_TRAINING_PAIRS} reviewed customer pairs ` +
+      `with both accepted and rejected examples (have ${training.length}, ${positives} accepted)`,
+      400
+    );
+  }
+
+  const samples = training.map(pair => {
+    const features = CustomerMergingAI.computeFeatures(pair.customer1, pair.customer2);
+    return { features: FEATURE_NAMES.map(name => features[name]), label: pair.label };
+  });
+  const fitted = trainLogisticRegression(samples);
+  const weights = Object.fromEntries(FEATURE_NAMES.map((name, index) => [name, fitted.weights[index]]));
+
+  const previous = await getActiveModel(division);
+  const metrics = {
+    heldOut: evaluatePredictions(scorePairs(heldOut, { weights, intercept: fitted.intercept }), evaluationThreshold),
+    previous: evaluatePredictions(scorePairs(heldOut, previous), evaluationThreshold),
+    previousVersion: previous ? previous.version : null,
+    training: evaluatePredictions(scorePairs(training, { weights, intercept: fitted.intercept }), evaluationThreshold)
+  };
+
+  const client = await getPool(division).connect();
+  const table = getTableName(division);
+  try {
+    await client.query('BEGIN');
+    await client.query(`LOCK TABLE ${table} IN EXCLUSIVE MODE`);
+    await client.query(`UPDATE ${table} SET is_active = false WHERE is_active`);
+    const result = await client.query(`
+      INSERT INTO ${table} (version, weights, intercept, metrics, training_pairs, held_out_pairs, is_active, trained_by)
+      VALUES ((SELECT COALESCE(MAX(version), 0) + 1 FROM ${table}), $1, $2, $3, $4, $5, true, $6)
+      RETURNING *
+    `, [JSON.stringify(weights), fitted.intercept, JSON.stringify(metrics), training.length, heldOut.length, trainedBy]);
+    await client.query('COMMIT');
+
+    const model = toModel(result.rows[0]);
+    logger.info(`🧠 Merge model v${model.version} trained for ${division}`, {
+      trainingPairs: training.length,
+      heldOutPairs: heldOut.length,
+      precision: metrics.heldOut.precision,
+      recall: metrics.heldOut.recall
+    });
+    return model;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Precision / recall of the active model and of the fixed weights on the held-out feedback
+ */
+async function evaluateModel(division, { threshold } = {}) {
+  const evaluationThreshold = resolveThreshold(threshold);
+  const active = await getActiveModel(division);
+  const { heldOut } = splitPairs(await loadLabelledPairs(division));
+
+  return {
+    activeVersion: active ? active.version : null,
+    active: evaluatePredictions(scorePairs(heldOut, active), evaluationThreshold),
+    defaultWeights: evaluatePredictions(scorePairs(heldOut, null), evaluationThreshold)
+  };
+}
+
+/**
+ * Switch back to the version trained before the active one (or to the fixed weights)
+ * @returns {Promise<Object|null>} The now active model, null for the fixed weights
+ */
+async function rollbackModel(division, { rolledBackBy = null } = {}) {
+  await ensureTable(division);
+  const table = getTableName(division);
+  const client = await getPool(division).connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(`LOCK TABLE ${table} IN EXCLUSIVE MODE`);
+
+    const active = await client.query(`SELECT * FROM ${table} WHERE is_active`);
+    if (active.rows.length === 0) {
+      throw modelError('Nothing to roll back: the default weights are in use', 409);
+    }
+
+    await client.query(
+      `UPDATE ${table} SET is_active = false, rolled_back_by = $2, rolled_back_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [active.rows[0].id, rolledBackBy]
+    );
+    const restored = await client.query(`
+      UPDATE ${table} SET is_active = true
+      WHERE id = (SELECT id FROM ${table} WHERE version < $1 ORDER BY version DESC LIMIT 1)
+      RETURNING *
+    `, [active.rows[0].version]);
+    await client.query('COMMIT');
+
+    const model = toModel(restored.rows[0]);
+    logger.info(`🧠 Merge model v${active.rows[0].version} rolled back for ${division}`, {
+      nowActive: model ? `v${model.version}` : 'default weights',
+      by: rolledBackBy
+    });
+    return model;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  FEATURE_NAMES,
+  MIN_TRAINING_PAIRS,
+  pairKey,
+  isHeldOut,
+  buildTrainingPairs,
+  trainLogisticRegression,
+  evaluatePredictions,
+  getActiveModel,
+  listModels,
+  trainModel,
+  evaluateModel,
+  rollbackModel
+};
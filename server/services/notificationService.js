@@ -0,0 +1,158 @@
+/**
+ * Notification Service
+ * In-app notifications per user (the bell in the header)
+ *
+ * STORAGE (auth database, company-wide):
+ * - user_notifications: one row per user and notification, read_at set once read
+ *
+ * Recipients are resolved from roles and division access: admins see every division,
+ * other users only the divisions in user_divisions.
+ */
+
+const { authPool } = require('../database/config');
+const logger = require('../utils/logger');
+
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+const MAX_LIST = 200;
+
+const notificationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+let tablesEnsured = false;
+
+async function ensureTables() {
+  if (tablesEnsured) return;
+
+  await authPool.query(`
+    CREATE TABLE IF NOT EXISTS user_notifications (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      category VARCHAR(50) NOT NULL,
+      severity VARCHAR(20) NOT NULL DEFAULT 'info',
+      title VARCHAR(300) NOT NULL,
+      message TEXT,
+      division VARCHAR(20),
+      metadata JSONB,
+      read_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_notifications_user ON user_notifications(user_id, created_at DESC);
+  `);
+
+  tablesEnsured = true;
+}
+
+/**
+ * Active users in any of the roles with access to a division
+ * @param {string[]} roles
+ * @param {string} division
+ * @returns {Promise<number[]>} User ids
+ */
+async function findRecipients(roles, division) {
+  if (!roles || roles.length === 0) return [];
+  const result = await authPool.query(`
+    SELECT DISTINCT u.id
+    FROM users u
+    LEFT JOIN user_divisions ud ON ud.user_id = u.id
+    WHERE u.is_active = true
+      AND u.role = ANY($1)
+      AND (u.role = 'admin' OR UPPER(ud.division) = UPPER($2))
+  `, [roles, division]);
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Store one notification for each user
+ * @param {number[]} userIds
+ * @param {object} notification - { category, severity, title, message, division, metadata }
+ * @returns {Promise<number>} Notifications created
+ */
+async function notifyUsers(userIds, { category, severity = 'info', title, message = null, division = null, metadata = null }) {
+  const ids = [...new Set(userIds)];
+  if (ids.length === 0) return 0;
+  if (!SEVERITIES.includes(severity)) {
+    throw notificationError(`Severity must be one of ${SEVERITIES.join(', ')}`, 400);
+  }
+  await ensureTables();
+
+  const result = await authPool.query(`
+    INSERT INTO user_notifications (user_id, category, severity, title, message, division, metadata)
+    SELECT user_id, $2, $3, $4, $5, $6, $7 FROM UNNEST($1::int[]) AS user_id
+  `, [ids, category, severity, title, message, division, metadata ? JSON.stringify(metadata) : null]);
+
+  logger.info(`🔔 ${result.rowCount} notification(s) created: ${title}`, { category, division });
+  return result.rowCount;
+}
+
+/**
+ * A user's notifications, newest first
+ * @param {number} userId
+ * @param {object} [options] - { unreadOnly, limit }
+ * @returns {Promise<{ notifications: object[], unreadCount: number }>}
+ */
+async function listNotifications(userId, { unreadOnly = false, limit = 50 } = {}) {
+  await ensureTables();
+  const rowLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_LIST);
+
+  const [list, unread] = await Promise.all([
+    authPool.query(`
+      SELECT id, category, severity, title, message, division, metadata, read_at, created_at
+      FROM user_notifications
+      WHERE user_id = $1 ${unreadOnly ? 'AND read_at IS NULL' : ''}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2
+    `, [userId, rowLimit]),
+    authPool.query(
+      'SELECT COUNT(*)::int AS count FROM user_notifications WHERE user_id = $1 AND read_at IS NULL',
+      [userId]
+    )
+  ]);
+
+  return { notifications: list.rows, unreadCount: unread.rows[0].count };
+}
+
+/**
+ * Mark one of the user's notifications (or all of them when id is null) as read
+ * @returns {Promise<number>} Notifications marked
+ */
+async function markRead(userId, id = null) {
+  await ensureTables();
+  const result = id === null
+    ? await authPool.query(
+      'UPDATE user_notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL',
+      [userId]
+    )
+    : await authPool.query(
+      'UPDATE user_notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) WHERE user_id = $1 AND id = $2',
+      [userId, id]
+    );
+
+  if (id !== null && result.rowCount === 0) {
+    throw notificationError('Notification not found', 404);
+  }
+  return result.rowCount;
+}
+
+/**
+ * Delete one of the user's notifications
+ */
+async function deleteNotification(userId, id) {
+  await ensureTables();
+  const result = await authPool.query('DELETE FROM user_notifications WHERE user_id = $1 AND id = $2', [userId, id]);
+  if (result.rowCount === 0) {
+    throw notificationError('Notification not found', 404);
+  }
+}
+
+module.exports = {
+  SEVERITIES,
+  findRecipients,
+  notifyUsers,
+  listNotifications,
+  markRead,
+  deleteNotification
+};
@@ -0,0 +1,317 @@
+/**
+ * Period Close Service
+ * Month-end close register per division: once numbers are reported, the month is closed
+ * and data writes for it are refused until an administrator reopens it
+ *
+ * STORAGE (auth database, company-wide):
+ * - period_closes: status per division / year / month (no row = open)
+ * - period_close_audit: every status change with who, when and why (reopens need a reason)
+ *
+ * STATUSES:
+ * - open:        all writes allowed
+ * - soft_closed: only administrators may still post (late adjustments)
+ * - hard_closed: nobody may write; an administrator has to reopen the month first
+ *
+ * WHAT A WRITE TOUCHES:
+ * - Actual / Estimate / Forecast / P&L data: the year-months it writes
+ * - Budgets (sales rep, divisional, drafts): all 12 months of the budget year, so a
+ *   budget is frozen once the first month of its year is closed
+ */
+
+const { authPool } = require('../database/config');
+const logger = require('../utils/logger');
+
+const STATUSES = ['open', 'soft_closed', 'hard_closed'];
+const STATUS_RANK = { open: 0, soft_closed: 1, hard_closed: 2 };
+const STATUS_LABELS = { open: 'open', soft_closed: 'soft-closed', hard_closed: 'hard-closed' };
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const periodError = (message, statusCode, details = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+const normalizeDivision = (division) => String(division || '').split('-')[0].trim().toUpperCase();
+
+const periodLabel = ({ year, month }) => `${MONTH_NAMES[month - 1]} ${year}`;
+
+let tablesEnsured = false;
+
+async function ensureTables() {
+  if (tablesEnsured) return;
+
+  await authPool.query(`
+    CREATE TABLE IF NOT EXISTS period_closes (
+      id SERIAL PRIMARY KEY,
+      division VARCHAR(20) NOT NULL,
+      year INTEGER NOT NULL,
+      month INTEGER NOT NULL CHECK (month >= 1 AND month <= 12),
+      status VARCHAR(20) NOT NULL CHECK (status IN ('open', 'soft_closed', 'hard_closed')),
+      updated_by VARCHAR(255),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT period_closes_division_period_uniq UNIQUE (division, year, month)
+    );
+
+    CREATE TABLE IF NOT EXISTS period_close_audit (
+      id SERIAL PRIMARY KEY,
+      division VARCHAR(20) NOT NULL,
+      year INTEGER NOT NULL,
+      month INTEGER NOT NULL,
+      action VARCHAR(20) NOT NULL,
+      from_status VARCHAR(20) NOT NULL,
+      to_status VARCHAR(20) NOT NULL,
+      reason TEXT,
+      performed_by VARCHAR(255),
+      performed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_period_close_audit_period ON period_close_audit(division, year, month);
+  `);
+
+  tablesEnsured = true;
+}
+
+/**
+ * The 12 months of a (budget) year
+ */
+const yearPeriods = (year) => Array.from({ length: 12 }, (_, i) => ({ year: parseInt(year, 10), month: i + 1 }));
+
+/**
+ * Year-months from "YYYY-M" strings or {year, month} objects, without duplicates
+ */
+function toPeriods(values) {
+  const seen = new Map();
+  (values || []).forEach(value => {
+    const [year, month] = typeof value === 'string'
+      ? value.split('-').map(Number)
+      : [Number(value.year), Number(value.month)];
+    if (Number.isInteger(year) && month >= 1 && month <= 12) {
+      seen.set(`${year}-${month}`, { year, month });
+    }
+  });
+  return [...seen.values()];
+}
+
+/**
+ * Register of a division for one year (months without a row are open)
+ */
+async function getRegister(division, year) {
+  await ensureTables();
+  const divisionCode = normalizeDivision(division);
+  const result = await authPool.query(
+    `SELECT month, status, updated_by, updated_at
+     FROM period_closes WHERE division = $1 AND year = $2`,
+    [divisionCode, parseInt(year, 10)]
+  );
+  const byMonth = new Map(result.rows.map(row => [row.month, row]));
+
+  return yearPeriods(year).map(({ month }) => ({
+    division: divisionCode,
+    year: parseInt(year, 10),
+    month,
+    status: byMonth.get(month)?.status || 'open',
+    updated_by: byMonth.get(month)?.updated_by || null,
+    updated_at: byMonth.get(month)?.updated_at || null
+  }));
+}
+
+/**
+ * Status changes, newest first
+ * @param {string} division
+ * @param {object} [filters]
+ * @param {number} [filters.year]
+ * @param {number} [filters.limit=200]
+ */
+async function getAuditTrail(division, { year, limit = 200 } = {}) {
+  await ensureTables();
+  const params = [normalizeDivision(division)];
+  let yearCondition = '';
+  if (year) {
+    params.push(parseInt(year, 10));
+    yearCondition = `AND year = $${params.length}`;
+  }
+  params.push(Math.min(Math.max(parseInt(limit, 10) || 200, 1), 1000));
+
+  const result = await authPool.query(
+    `SELECT id, division, year, month, action, from_status, to_status, reason, performed_by, performed_at
+     FROM period_close_audit
+     WHERE division = $1 ${yearCondition}
+     ORDER BY performed_at DESC, id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Close or reopen months (one transaction, one audit row per changed month)
+ * Lowering the status (hard → soft → open) is a reopen and needs a reason.
+ *
+ * @param {object} options
+ * @param {string} options.division
+ * @param {number} options.year
+ * @param {number[]} options.months
+ * @param {string} options.status - open | soft_closed | hard_closed
+ * @param {string} [options.reason]
+ * @param {string} options.performedBy
+ * @returns {Promise<Array>} Audit rows of the changed months
+ */
+async function setStatus({ division, year, months, status, reason, performedBy }) {
+  const divisionCode = normalizeDivision(division);
+  const periodYear = parseInt(year, 10);
+  const monthList = [...new Set((months || []).map(Number))].sort((a, b) => a - b);
+  const trimmedReason = String(reason || '').trim() || null;
+
+  if (!divisionCode) throw periodError('Division is required', 400);
+  if (!periodYear) throw periodError('Year is required', 400);
+  if (monthList.length === 0 || monthList.some(month => !(month >= 1 && month <= 12))) {
+    throw periodError('Months must be between 1 and 12', 400);
+  }
+  if (!STATUSES.includes(status)) {
+    throw periodError(`Status must be one of ${STATUSES.join(', ')}`, 400);
+  }
+
+  await ensureTables();
+  const current = new Map((await getRegister(divisionCode, periodYear)).map(row => [row.month, row.status]));
+  const changes = monthList
+    .filter(month => current.get(month) !== status)
+    .map(month => ({
+      month,
+      fromStatus: current.get(month),
+      action: STATUS_RANK[status] < STATUS_RANK[current.get(month)] ? 'reopen' : 'close'
+    }));
+
+  if (changes.some(change => change.action === 'reopen') && !trimmedReason) {
+    throw periodError('A reason is required to reopen a closed period', 400);
+  }
+
+  const client = await authPool.connect();
+  try {
+    await client.query('BEGIN');
+    const audit = [];
+
+    for (const change of changes) {
+      await client.query(
+        `INSERT INTO period_closes (division, year, month, status, updated_by, updated_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         ON CONFLICT (division, year, month)
+         DO UPDATE SET status = EXCLUDED.status, updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+        [divisionCode, periodYear, change.month, status, performedBy]
+      );
+      const auditResult = await client.query(
+        `INSERT INTO period_close_audit (division, year, month, action, from_status, to_status, reason, performed_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [divisionCode, periodYear, change.month, change.action, change.fromStatus, status, trimmedReason, performedBy]
+      );
+      audit.push(auditResult.rows[0]);
+    }
+
+    await client.query('COMMIT');
+
+    if (changes.length > 0) {
+      const reopened = changes.filter(change => change.action === 'reopen').length;
+      logger.info(`🔒 ${divisionCode} ${periodYear}: ${changes.length} month(s) set to ${status}`, {
+        months: changes.map(change => change.month),
+        reopened,
+        performedBy,
+        reason: trimmedReason
+      });
+    }
+    return audit;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Closed months among the given ones (all closed months of the division when periods is null)
+ * @returns {Promise<Array<{year: number, month: number, status: string}>>}
+ */
+async function getClosedPeriods(division, periods = null) {
+  await ensureTables();
+  const divisionCode = normalizeDivision(division);
+
+  if (periods !== null && periods.length === 0) return [];
+
+  const params = [divisionCode];
+  let periodCondition = '';
+  if (periods !== null) {
+    params.push(periods.map(p => p.year * 100 + p.month));
+    periodCondition = `AND (year * 100 + month) = ANY($2::int[])`;
+  }
+
+  const result = await authPool.query(
+    `SELECT year, month, status FROM period_closes
+     WHERE division = $1 AND status <> 'open' ${periodCondition}
+     ORDER BY year, month`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Whether a closed month blocks a write by this user
+ * (soft-closed months stay writable for administrators)
+ */
+const blocksUser = (status, user) => status === 'hard_closed' || (status === 'soft_closed' && user?.role !== 'admin');
+
+/**
+ * Closed months a write would touch and this user may not change
+ * @param {object} options
+ * @param {string} options.division
+ * @param {Array<{year: number, month: number}>|null} options.periods - null for a write that replaces all data
+ * @param {object} [options.user] - req.user (role)
+ */
+async function findBlockedPeriods({ division, periods, user }) {
+  const closed = await getClosedPeriods(division, periods === null ? null : toPeriods(periods));
+  return closed.filter(period => blocksUser(period.status, user));
+}
+
+/**
+ * Explain blocked months: "FP September 2025 is hard-closed"
+ */
+function describeBlocked(division, blocked) {
+  const divisionCode = normalizeDivision(division);
+  const subject = blocked.length === 1
+    ? `${divisionCode} ${periodLabel(blocked[0])} is ${STATUS_LABELS[blocked[0].status]}`
+    : `${divisionCode} periods are closed: ${blocked.map(period => `${periodLabel(period)} (${STATUS_LABELS[period.status]})`).join(', ')}`;
+  return `${subject}. An administrator must reopen the period before its data can change.`;
+}
+
+/**
+ * Throw 423 when a write touches a closed month the user may not change
+ * @param {object} options - See findBlockedPeriods
+ */
+async function assertPeriodsOpen({ division, periods, user }) {
+  const blocked = await findBlockedPeriods({ division, periods, user });
+  if (blocked.length > 0) {
+    throw periodError(describeBlocked(division, blocked), 423, {
+      division: normalizeDivision(division),
+      closedPeriods: blocked
+    });
+  }
+}
+
+module.exports = {
+  STATUSES,
+  yearPeriods,
+  toPeriods,
+  blocksUser,
+  describeBlocked,
+  getRegister,
+  getAuditTrail,
+  setStatus,
+  getClosedPeriods,
+  findBlockedPeriods,
+  assertPeriodsOpen
+};
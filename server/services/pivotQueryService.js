@@ -0,0 +1,444 @@
+/**
+ * Pivot Query Service
+ * One dimensional query over {div}_data_excel for reports that would otherwise need a route of their own
+ *
+ * A query names:
+ * - dimensions: row grouping (salesrep, customer, country, productgroup, material, process, year, month)
+ * - measures: KGS, Amount, MoRM and the derived Price/kg and MoRM/kg
+ * - filters: dimension → value or values
+ * - columns: period columns ({ year, month: 'Q1' | 'HY1' | 'FY' | 'January', months, type }),
+ *   the same column format as the sales reports (database/UniversalSalesByCountryService)
+ *
+ * Customers are grouped and filtered under their merged name (the division's active merge rules),
+ * so a merged customer is one row in every report. Data scope and report currency need nothing
+ * here: the division pools apply both to every SELECT (utils/dataScope, utils/fxConversion).
+ */
+
+const logger = require('../utils/logger');
+const { getDivisionPool } = require('../utils/divisionDatabaseManager');
+const { normalizeDivisionCode } = require('../database/DivisionDataService');
+const UniversalSalesByCountryService = require('../database/UniversalSalesByCountryService');
+const { normalizeName, buildMergeMap } = require('./customerMasterService');
+
+const DIMENSIONS = {
+  salesrep: { column: 'salesrepname', label: 'Sales Rep', type: 'string' },
+  customer: { column: 'customername', label: 'Customer', type: 'string' },
+  country: { column: 'countryname', label: 'Country', type: 'string' },
+  productgroup: { column: 'productgroup', label: 'Product Group', type: 'string' },
+  material: { column: 'material', label: 'Material', type: 'string' },
+  process: { column: 'process', label: 'Process', type: 'string' },
+  year: { column: 'year', label: 'Year', type: 'integer' },
+  month: { column: 'month', label: 'Month', type: 'integer' }
+};
+
+/** Base measures are summed from values_type rows, derived ones are ratios of base measures */
+const MEASURES = {
+  kgs: { label: 'KGS', type: 'number', valuesType: 'KGS' },
+  amount: { label: 'Amount', type: 'currency', valuesType: 'AMOUNT' },
+  morm: { label: 'MoRM', type: 'currency', valuesType: 'MORM' },
+  price_per_kg: { label: 'Price/kg', type: 'currency', numerator: 'amount', denominator: 'kgs' },
+  morm_per_kg: { label: 'MoRM/kg', type: 'currency', numerator: 'morm', denominator: 'kgs' }
+};
+
+const TYPES = ['ACTUAL', 'BUDGET', 'ESTIMATE', 'FORECAST'];
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 10000;
+const MAX_DIMENSIONS = 4;
+const MAX_COLUMNS = 24;
+
+const pivotError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+const round = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Months (1-12) of a period column; an explicit months array wins over month
+ */
+function resolveColumnMonths(column) {
+  const requested = Array.isArray(column.months) && column.months.length > 0
+    ? column.months
+    : column.month;
+  if (requested === undefined || requested === null || requested === '') {
+    return UniversalSalesByCountryService.fullYearMonths;
+  }
+
+  const months = UniversalSalesByCountryService.normalizeMonths(requested);
+  if (months.length === 0) {
+    throw pivotError(`Unknown period: ${toList(requested).join(', ')}`, 400);
+  }
+  return months;
+}
+
+/**
+ * Normalize a period column; Estimate / Forecast columns read Actual + Estimate like the sales reports
+ */
+function validateColumn(column = {}, index) {
+  const type = String(column.type || 'Actual').trim().toUpperCase();
+  if (!TYPES.includes(type)) {
+    throw pivotError('Column type must be one of Actual, Budget, Estimate, Forecast', 400);
+  }
+
+  let year = null;
+  if (column.year !== undefined && column.year !== null && column.year !== '') {
+    year = parseInt(column.year, 10);
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+      throw pivotError(`Invalid year in column ${index + 1}: ${column.year}`, 400);
+    }
+  }
+
+  const months = resolveColumnMonths(column);
+  const monthLabel = Array.isArray(column.months) && column.months.length > 0
+    ? column.months.join('-')
+    : (column.month || 'FY');
+  const key = column.columnKey || column.key
+    || [year, monthLabel, type.charAt(0) + type.slice(1).toLowerCase()].filter(Boolean).join('-');
+
+  return {
+    key: String(key),
+    label: column.label || String(key).replace(/-/g, ' '),
+    year,
+    months,
+    types: type === 'ESTIMATE' || type === 'FORECAST' ? ['ACTUAL', 'ESTIMATE'] : [type]
+  };
+}
+
+/**
+ * Validate and normalize a pivot query
+ * @param {Object} input - { division, dimensions, measures, filters, columns, sort, limit, mergeCustomers }
+ * @returns {Object} Normalized query
+ */
+function validateQuery(input = {}) {
+  const divisionCode = normalizeDivisionCode(input.division);
+
+  const dimensions = [...new Set(toList(input.dimensions || []).map(d => String(d).trim().toLowerCase()))];
+  dimensions.forEach(dimension => {
+    if (!DIMENSIONS[dimension]) throw pivotError(`Unknown dimension: ${dimension}`, 400);
+  });
+  if (dimensions.length > MAX_DIMENSIONS) {
+    throw pivotError(`At most ${MAX_DIMENSIONS} dimensions are allowed`, 400);
+  }
+
+  const measures = [...new Set(toList(input.measures || ['kgs', 'amount']).map(m => String(m).trim().toLowerCase()))];
+  if (measures.length === 0) throw pivotError('At least one measure is required', 400);
+  measures.forEach(measure => {
+    if (!MEASURES[measure]) throw pivotError(`Unknown measure: ${measure}`, 400);
+  });
+
+  const filters = {};
+  Object.entries(input.filters || {}).forEach(([dimension, value]) => {
+    const key = dimension.toLowerCase();
+    if (!DIMENSIONS[key]) throw pivotError(`Unknown filter: ${dimension}`, 400);
+    const values = toList(value).filter(v => v !== undefined && v !== null && String(v).trim() !== '');
+    if (values.length === 0) return;
+
+    if (DIMENSIONS[key].type === 'integer') {
+      filters[key] = values.map(v => {
+        const parsed = parseInt(v, 10);
+        if (!Number.isInteger(parsed)) throw pivotError(`Invalid ${key} filter: ${v}`, 400);
+        return parsed;
+      });
+    } else {
+      filters[key] = values.map(v => normalizeName(v).toUpperCase());
+    }
+  });
+
+  const columnInputs = Array.isArray(input.columns) && input.columns.length > 0
+    ? input.columns
+    : [{ key: 'total', label: 'Total', type: 'Actual' }];
+  if (columnInputs.length > MAX_COLUMNS) {
+    throw pivotError(`At most ${MAX_COLUMNS} period columns are allowed`, 400);
+  }
+  const columns = columnInputs.map(validateColumn);
+  const columnKeys = new Set(columns.map(column => column.key));
+  if (columnKeys.size !== columns.length) throw pivotError('Period column keys must be unique', 400);
+
+  const limit = Math.min(Math.max(parseInt(input.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  let sort = null;
+  if (input.sort && input.sort.by) {
+    sort = {
+      by: String(input.sort.by),
+      direction: String(input.sort.direction || 'desc').toLowerCase() === 'asc' ? 'asc' : 'desc'
+    };
+  }
+
+  return {
+    divisionCode,
+    dimensions,
+    measures,
+    filters,
+    columns,
+    sort,
+    limit,
+    mergeCustomers: input.mergeCustomers !== false
+  };
+}
+
+/**
+ * Base measures the query has to sum (requested ones plus those derived measures need)
+ */
+function baseMeasuresFor(measures) {
+  const base = new Set();
+  measures.forEach(measure => {
+    const definition = MEASURES[measure];
+    if (definition.valuesType) {
+      base.add(measure);
+    } else {
+      base.add(definition.numerator);
+      base.add(definition.denominator);
+    }
+  });
+  return Object.keys(MEASURES).filter(measure => base.has(measure));
+}
+
+/**
+ * Parameterized SQL for a validated query
+ * @param {Object} query - From validateQuery
+ * @param {Map} [mergeMap] - Normalized original customer → merged name (customerMasterService.buildMergeMap)
+ * @returns {{ text: string, params: Array, baseMeasures: string[] }}
+ */
+function buildPivotSql(query, mergeMap = new Map()) {
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const useMerge = query.mergeCustomers && mergeMap.size > 0
+    && (query.dimensions.includes('customer') || Boolean(query.filters.customer));
+  const normalized = (column) => `UPPER(REGEXP_REPLACE(TRIM(d.${column}), '\\s+', ' ', 'g'))`;
+  const customerExpression = useMerge
+    ? `COALESCE(mm.merged_name, TRIM(d.customername))`
+    : 'TRIM(d.customername)';
+
+  // Display value, grouping key and filter key of a dimension
+  const expressions = (dimension) => {
+    const { column, type } = DIMENSIONS[dimension];
+    if (type === 'integer') {
+      return { select: `d.${column}`, group: `d.${column}`, filter: `d.${column}` };
+    }
+    if (dimension === 'customer') {
+      const key = `UPPER(REGEXP_REPLACE(${customerExpression}, '\\s+', ' ', 'g'))`;
+      return { select: `MIN(${customerExpression})`, group: key, filter: key };
+    }
+    return { select: `MIN(TRIM(d.${column}))`, group: normalized(column), filter: normalized(column) };
+  };
+
+  const where = [];
+  Object.entries(query.filters).forEach(([dimension, values]) => {
+    const cast = DIMENSIONS[dimension].type === 'integer' ? 'int[]' : 'text[]';
+    where.push(`${expressions(dimension).filter} = ANY(${param(values)}::${cast})`);
+  });
+
+  const periodConditions = query.columns.map(column => {
+    const conditions = [
+      `d.month = ANY(${param(column.months)}::int[])`,
+      `UPPER(d.type) = ANY(${param(column.types)}::text[])`
+    ];
+    if (column.year !== null) conditions.unshift(`d.year = ${param(column.year)}`);
+    return `(${conditions.join(' AND ')})`;
+  });
+  where.push(`(${periodConditions.join(' OR ')})`);
+
+  const baseMeasures = baseMeasuresFor(query.measures);
+  const selects = query.dimensions.map((dimension, index) => `${expressions(dimension).select} AS dim_${index}`);
+  query.columns.forEach((column, columnIndex) => {
+    baseMeasures.forEach(measure => {
+      selects.push(
+        `SUM(CASE WHEN ${periodConditions[columnIndex]} AND UPPER(d.values_type) = '${MEASURES[measure].valuesType}' ` +
+        `THEN d.values ELSE 0 END) AS p${columnIndex}_${measure}`
+      );
+    });
+  });
+
+  let mergeJoin = '';
+  if (useMerge) {
+    const originals = [...mergeMap.keys()].map(name => name.toUpperCase());
+    const mergedNames = [...mergeMap.values()];
+    mergeJoin = `
+      LEFT JOIN (SELECT UNNEST(${param(originals)}::text[]) AS original, UNNEST(${param(mergedNames)}::text[]) AS merged_name) mm
+        ON mm.original = ${normalized('customername')}`;
+  }
+
+  const groupBy = query.dimensions.length > 0
+    ? `GROUP BY ${query.dimensions.map(dimension => expressions(dimension).group).join(', ')}`
+    : '';
+
+  const text = `
+    SELECT
+      ${selects.join(',\n      ')}
+    FROM ${query.divisionCode.toLowerCase()}_data_excel d${mergeJoin}
+    WHERE ${where.join('\n      AND ')}
+    ${groupBy}
+  `;
+
+  return { text, params, baseMeasures };
+}
+
+/**
+ * Measure values of one period from its base sums; derived measures are null without KGS
+ */
+function computeMeasures(measures, sums) {
+  const values = {};
+  measures.forEach(measure => {
+    const definition = MEASURES[measure];
+    if (definition.valuesType) {
+      values[measure] = round(sums[measure] || 0, 2);
+    } else {
+      const denominator = sums[definition.denominator] || 0;
+      values[measure] = denominator === 0 ? null : round((sums[definition.numerator] || 0) / denominator, 4);
+    }
+  });
+  return values;
+}
+
+/**
+ * Typed result set from the aggregated SQL rows
+ * @param {Object} query - From validateQuery
+ * @param {Object[]} sqlRows - Rows of buildPivotSql
+ * @param {string[]} baseMeasures - From buildPivotSql
+ * @returns {{ columns: Object[], rows: Object[], totals: Object, rowCount: number, truncated: boolean }}
+ */
+function shapeResult(query, sqlRows, baseMeasures) {
+  const columns = [
+    ...query.dimensions.map(dimension => ({
+      key: dimension,
+      label: DIMENSIONS[dimension].label,
+      type: DIMENSIONS[dimension].type,
+      role: 'dimension'
+    })),
+    ...query.columns.flatMap(column => query.measures.map(measure => ({
+      key: `${column.key}.${measure}`,
+      label: query.columns.length > 1 ? `${column.label} ${MEASURES[measure].label}` : MEASURES[measure].label,
+      type: MEASURES[measure].type,
+      role: 'measure',
+      period: column.key,
+      measure
+    })))
+  ];
+
+  const totalSums = query.columns.map(() => ({}));
+  let rows = sqlRows.map(sqlRow => {
+    const row = {};
+    query.dimensions.forEach((dimension, index) => {
+      const value = sqlRow[`dim_${index}`];
+      row[dimension] = DIMENSIONS[dimension].type === 'integer' && value !== null ? Number(value) : value;
+    });
+    query.columns.forEach((column, columnIndex) => {
+      const sums = {};
+      baseMeasures.forEach(measure => {
+        sums[measure] = parseFloat(sqlRow[`p${columnIndex}_${measure}`]) || 0;
+        totalSums[columnIndex][measure] = (totalSums[columnIndex][measure] || 0) + sums[measure];
+      });
+      Object.entries(computeMeasures(query.measures, sums)).forEach(([measure, value]) => {
+        row[`${column.key}.${measure}`] = value;
+      });
+    });
+    return row;
+  });
+
+  const totals = {};
+  query.columns.forEach((column, columnIndex) => {
+    Object.entries(computeMeasures(query.measures, totalSums[columnIndex])).forEach(([measure, value]) => {
+      totals[`${column.key}.${measure}`] = value;
+    });
+  });
+
+  // Default order: first measure column, largest first
+  const sortKey = query.sort ? query.sort.by : columns.find(column => column.role === 'measure').key;
+  if (!columns.some(column => column.key === sortKey)) {
+    throw pivotError(`Unknown sort column: ${sortKey}`, 400);
+  }
+  const direction = query.sort && query.sort.direction === 'asc' ? 1 : -1;
+  rows.sort((a, b) => {
+    const left = a[sortKey];
+    const right = b[sortKey];
+    if (left === right) return 0;
+    if (left === null || left === undefined) return 1;
+    if (right === null || right === undefined) return -1;
+    return (typeof left === 'string' ? left.localeCompare(right) : left - right) * direction;
+  });
+
+  const rowCount = rows.length;
+  rows = rows.slice(0, query.limit);
+
+  return { columns, rows, totals, rowCount, truncated: rowCount > rows.length };
+}
+
+/**
+ * Merge map of a division's active merge rules (empty without a rules table)
+ */
+async function loadMergeMap(divisionCode) {
+  const code = divisionCode.toLowerCase();
+  const pool = getDivisionPool(divisionCode);
+  const exists = await pool.query('SELECT to_regclass($1) AS name', [`${code}_division_customer_merge_rules`]);
+  if (!exists.rows[0].name) return new Map();
+
+  const result = await pool.query(`
+    SELECT merged_customer_name, original_customers
+    FROM ${code}_division_customer_merge_rules
+    WHERE UPPER(division) = $1 AND status = 'ACTIVE' AND is_active = true
+  `, [divisionCode]);
+  return buildMergeMap(result.rows);
+}
+
+/**
+ * Run a pivot query
+ * @param {Object} input - See validateQuery
+ * @returns {Promise<Object>} { division, dimensions, measures, periods, columns, rows, totals, rowCount, truncated }
+ */
+async function runPivot(input) {
+  const query = validateQuery(input);
+  const mergeMap = query.mergeCustomers ? await loadMergeMap(query.divisionCode) : new Map();
+  const { text, params, baseMeasures } = buildPivotSql(query, mergeMap);
+
+  const started = Date.now();
+  const result = await getDivisionPool(query.divisionCode).query(text, params);
+  logger.info(`📊 Pivot ${query.divisionCode}: ${result.rows.length} row(s) in ${Date.now() - started}ms`, {
+    dimensions: query.dimensions,
+    measures: query.measures,
+    columns: query.columns.length
+  });
+
+  return {
+    division: query.divisionCode,
+    dimensions: query.dimensions,
+    measures: query.measures,
+    periods: query.columns.map(({ key, label, year, months, types }) => ({ key, label, year, months, types })),
+    ...shapeResult(query, result.rows, baseMeasures)
+  };
+}
+
+/**
+ * Dimensions and measures a client can pick from
+ */
+function getOptions() {
+  return {
+    dimensions: Object.entries(DIMENSIONS).map(([key, { label, type }]) => ({ key, label, type })),
+    measures: Object.entries(MEASURES).map(([key, { label, type, valuesType }]) => ({
+      key, label, type, derived: !valuesType
+    })),
+    types: ['Actual', 'Budget', 'Estimate', 'Forecast'],
+    limits: { dimensions: MAX_DIMENSIONS, columns: MAX_COLUMNS, rows: MAX_LIMIT }
+  };
+}
+
+module.exports = {
+  DIMENSIONS,
+  MEASURES,
+  validateColumn,
+  validateQuery,
+  buildPivotSql,
+  shapeResult,
+  loadMergeMap,
+  runPivot,
+  getOptions
+};
@@ -0,0 +1,866 @@
+/**
+ * P&L Data Service
+ * Divisional P&L financials stored in the division database instead of
+ * server/data/financials -{div}.xlsx
+ *
+ * STORAGE:
+ * - {div}_pl_ledgers: Chart of accounts - one row per P&L ledger line (code, name, measure).
+ *   Derived lines carry a formula over other ledger codes (utils/plFormula.js) and
+ *   statement_order places a line in the P&L statement; both are maintained from Settings.
+ * - {div}_pl_data: One amount per ledger line / year / month / type (Actual, Estimate, Budget, Forecast)
+ *
+ * IMPORT:
+ * The monthly P&L workbook keeps its familiar layout (row 1 years, row 2 month names,
+ * row 3 types, ledger names in column A). Lines are matched to the chart of accounts by
+ * name or code, not by row position, so a workbook with lines in a different order or
+ * without optional lines still imports.
+ *
+ * SHEET:
+ * buildSheet() rebuilds the workbook matrix from the database with every ledger at its
+ * sheet_row, so P&L / KPI components keep using FINANCIAL_ROWS unchanged.
+ */
+
+const path = require('path');
+const XLSX = require('xlsx');
+const { getDivisionPool } = require('../utils/divisionDatabaseManager');
+const { parseFormula, getReferences, validateFormulas, evaluateLedgers, FormulaError } = require('../utils/plFormula');
+const periodCloseService = require('./periodCloseService');
+const logger = require('../utils/logger');
+
+const MIN_YEAR = 2000;
+const MAX_YEAR = 2100;
+const MAX_REPORTED_ERRORS = 200;
+
+const PL_TYPES = ['Actual', 'Estimate', 'Budget', 'Forecast'];
+const VALID_MODES = ['upsert', 'replace'];
+
+/** AMOUNT lines follow the report currency, KGS and PERCENT lines never do */
+const MEASURES = ['AMOUNT', 'KGS', 'PERCENT'];
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Header rows of the workbook layout, ledger lines start below them
+const HEADER_ROWS = { YEAR: 0, MONTH: 1, TYPE: 2 };
+const FIRST_LEDGER_ROW = 3;
+
+/**
+ * Default chart of accounts, seeded into {div}_pl_ledgers for every division.
+ * sheet_row is the line's position in the legacy workbook (FINANCIAL_ROWS),
+ * statementOrder / isTotal the P&L statement layout the dashboard table always had.
+ */
+const DEFAULT_CHART_OF_ACCOUNTS = [
+  { code: 'SALES', name: 'Sales', measure: 'AMOUNT', sheetRow: 3, statementOrder: 1, isTotal: true },
+  { code: 'COST_OF_SALES', name: 'Cost of Sales', measure: 'AMOUNT', sheetRow: 4, statementOrder: 4 },
+  { code: 'MATERIAL', name: 'Material', measure: 'AMOUNT', sheetRow: 5, statementOrder: 5, isTotal: true },
+  { code: 'MARGIN_OVER_MATERIAL', name: 'Margin over Material', measure: 'AMOUNT', sheetRow: null, formula: 'SALES - MATERIAL', statementOrder: 6 },
+  { code: 'MATERIAL_PCT_OF_SALES', name: 'Material cost as % of Sales', measure: 'PERCENT', sheetRow: 6 },
+  { code: 'SALES_VOLUME', name: 'Sales volume (kg)', measure: 'KGS', sheetRow: 7, statementOrder: 2 },
+  { code: 'PRODUCTION_VOLUME', name: 'Production volume (kg)', measure: 'KGS', sheetRow: 8, statementOrder: 3 },
+  { code: 'LABOUR', name: 'Labour', measure: 'AMOUNT', sheetRow: 9, statementOrder: 7 },
+  { code: 'DEPRECIATION', name: 'Depreciation', measure: 'AMOUNT', sheetRow: 10, statementOrder: 8 },
+  { code: 'ELECTRICITY', name: 'Electricity', measure: 'AMOUNT', sheetRow: 12, statementOrder: 9 },
+  { code: 'OTHER_MFG_OVERHEADS', name: 'Others Mfg. overheads', measure: 'AMOUNT', sheetRow: 13, statementOrder: 10 },
+  { code: 'ACTUAL_DIRECT_COST', name: 'Actual Direct Cost Spent', measure: 'AMOUNT', sheetRow: 14, formula: 'LABOUR + DEPRECIATION + ELECTRICITY + OTHER_MFG_OVERHEADS', statementOrder: 11 },
+  { code: 'DIRECT_COST_STOCK_ADJ', name: 'Dir.Cost in Stock/Stock Adj.', measure: 'AMOUNT', sheetRow: 15, statementOrder: 12 },
+  { code: 'DIRECT_COST_OF_GOODS_SOLD', name: 'Dir.Cost of goods sold', measure: 'AMOUNT', sheetRow: 16, formula: 'ACTUAL_DIRECT_COST + DIRECT_COST_STOCK_ADJ', statementOrder: 13, isTotal: true },
+  { code: 'DIRECT_COST_DISPUTED', name: 'Dir.Cost of goods sold (SEWA disputed amt)', measure: 'AMOUNT', sheetRow: 17 },
+  { code: 'DIRECT_COST_PCT_OF_COGS', name: 'Direct cost as % of C.O.G.S', measure: 'PERCENT', sheetRow: 18, formula: 'PCT(DIRECT_COST_OF_GOODS_SOLD, COST_OF_SALES)', statementOrder: 14 },
+  { code: 'GROSS_PROFIT_AFTER_DEPN', name: 'Gross profit (after Depn.)', measure: 'AMOUNT', sheetRow: 19, formula: 'SALES - COST_OF_SALES', statementOrder: 15, isTotal: true },
+  { code: 'GROSS_PROFIT_AFTER_DEPN_PCT', name: 'Gross profit (after Depn.) %', measure: 'PERCENT', sheetRow: 20 },
+  { code: 'GROSS_PROFIT_BEFORE_DEPN', name: 'Gross profit (before Depn.)', measure: 'AMOUNT', sheetRow: 21, formula: 'GROSS_PROFIT_AFTER_DEPN + DEPRECIATION', statementOrder: 16 },
+  { code: 'GROSS_PROFIT_BEFORE_DEPN_PCT', name: 'Gross profit (before Depn.) %', measure: 'PERCENT', sheetRow: 22 },
+  { code: 'SALES_MANPOWER', name: 'Sales ManpowerCost', measure: 'AMOUNT', sheetRow: 24 },
+  { code: 'SALES_INCENTIVE', name: 'Sales Man Incentive', measure: 'AMOUNT', sheetRow: 25 },
+  { code: 'SALES_OFFICE_RENT', name: 'Sales Office Rent', measure: 'AMOUNT', sheetRow: 26 },
+  { code: 'SALES_TRAVEL', name: 'Sales Travel and AirFare', measure: 'AMOUNT', sheetRow: 27 },
+  { code: 'ADVERTISING', name: 'Advt / Exbn / Other Promotion', measure: 'AMOUNT', sheetRow: 28 },
+  { code: 'OTHER_SELLING', name: 'Other Selling Expenses', measure: 'AMOUNT', sheetRow: 29 },
+  { code: 'SELLING_EXPENSES', name: 'Selling expenses', measure: 'AMOUNT', sheetRow: 31, statementOrder: 17 },
+  { code: 'TRANSPORTATION', name: 'Transportation', measure: 'AMOUNT', sheetRow: 32, statementOrder: 18 },
+  { code: 'ADMIN_MANPOWER', name: 'Administration Man Power Cost', measure: 'AMOUNT', sheetRow: 34 },
+  { code: 'TELEPHONE_FAX', name: 'Telephone / Fax', measure: 'AMOUNT', sheetRow: 35 },
+  { code: 'OTHER_ADMINISTRATION', name: 'Other Administration Cost', measure: 'AMOUNT', sheetRow: 37 },
+  { code: 'ADMINISTRATION', name: 'Administration', measure: 'AMOUNT', sheetRow: 38 },
+  { code: 'ADMIN_MANAGEMENT_FEE', name: 'Administration & Management Fee', measure: 'AMOUNT', sheetRow: 40, statementOrder: 19 },
+  { code: 'BANK_INTEREST', name: 'Bank interest', measure: 'AMOUNT', sheetRow: 42, statementOrder: 20 },
+  { code: 'BANK_CHARGES', name: 'Bank charges', measure: 'AMOUNT', sheetRow: 43, statementOrder: 21 },
+  { code: 'RND_PREPRODUCTION', name: 'R & D, pre-production w/o', measure: 'AMOUNT', sheetRow: 44, statementOrder: 22 },
+  { code: 'FINANCE_COST_AMORTIZATION', name: 'Total FinanceCost & Amortization', measure: 'AMOUNT', sheetRow: 46 },
+  { code: 'STOCK_PROVISION_ADJ', name: 'Adj to Stock Prov.-Divn/Stock Valuation', measure: 'AMOUNT', sheetRow: 48 },
+  { code: 'BAD_DEBTS', name: 'Bad debts', measure: 'AMOUNT', sheetRow: 49, statementOrder: 23 },
+  { code: 'OTHER_INCOME', name: 'Other Income', measure: 'AMOUNT', sheetRow: 50, statementOrder: 24 },
+  { code: 'OTHER_PROVISION', name: 'Other Provision', measure: 'AMOUNT', sheetRow: 51, statementOrder: 25 },
+  { code: 'TOTAL_BELOW_GP_EXPENSES', name: 'Total Below GP Expenses', measure: 'AMOUNT', sheetRow: 52, formula: 'SUM(SELLING_EXPENSES, TRANSPORTATION, ADMIN_MANAGEMENT_FEE, BANK_INTEREST, BANK_CHARGES, RND_PREPRODUCTION, BAD_DEBTS, OTHER_INCOME, OTHER_PROVISION)', statementOrder: 26, isTotal: true },
+  { code: 'NET_PROFIT', name: 'Net Profit', measure: 'AMOUNT', sheetRow: 54, formula: 'GROSS_PROFIT_AFTER_DEPN - TOTAL_BELOW_GP_EXPENSES', statementOrder: 28, isTotal: true },
+  { code: 'NET_PROFIT_PCT', name: 'Net Profit %', measure: 'PERCENT', sheetRow: 55 },
+  { code: 'EBIT', name: 'EBIT', measure: 'AMOUNT', sheetRow: null, formula: 'NET_PROFIT + BANK_INTEREST', statementOrder: 29, isTotal: true },
+  { code: 'EBITDA', name: 'EBITDA', measure: 'AMOUNT', sheetRow: 56, formula: 'EBIT + DEPRECIATION + RND_PREPRODUCTION', statementOrder: 30, isTotal: true },
+  { code: 'EBITDA_PCT', name: 'EBITDA %', measure: 'PERCENT', sheetRow: 57 },
+  { code: 'TOTAL_EXPENSES', name: 'Total Expenses', measure: 'AMOUNT', sheetRow: 59, formula: 'ACTUAL_DIRECT_COST + TOTAL_BELOW_GP_EXPENSES', statementOrder: 27, isTotal: true },
+  { code: 'TOTAL_EXPENSES_PER_KG', name: 'Total Expenses /Kg', measure: 'AMOUNT', sheetRow: 60 }
+];
+
+const extractDivisionCode = (division) => {
+  if (!division) return 'fp';
+  return division.split('-')[0].toLowerCase();
+};
+
+const getTableNames = (division) => {
+  const code = extractDivisionCode(division);
+  return {
+    plLedgers: `${code}_pl_ledgers`,
+    plData: `${code}_pl_data`
+  };
+};
+
+const getPool = (division) => getDivisionPool(extractDivisionCode(division).toUpperCase());
+
+const plError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Ledger matching key: case, spacing and punctuation do not matter
+ * ("Sales volume  (kg)" and "SALES VOLUME (KG)" match)
+ */
+const ledgerKey = (label) => String(label || '').toLowerCase().replace(/[^a-z0-9%]/g, '');
+
+const tablesEnsuredForDivisions = new Set();
+
+async function ensureTables(division) {
+  const divisionCode = extractDivisionCode(division);
+  if (tablesEnsuredForDivisions.has(divisionCode)) return;
+
+  const tables = getTableNames(division);
+  const pool = getPool(division);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ${tables.plLedgers} (
+      id SERIAL PRIMARY KEY,
+      code VARCHAR(50) NOT NULL UNIQUE,
+      name VARCHAR(255) NOT NULL,
+      measure VARCHAR(10) NOT NULL DEFAULT 'AMOUNT' CHECK (measure IN ('AMOUNT', 'KGS', 'PERCENT')),
+      sheet_row INTEGER,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      formula TEXT,
+      statement_order INTEGER,
+      is_total BOOLEAN NOT NULL DEFAULT false,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_by VARCHAR(255),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    ALTER TABLE ${tables.plLedgers} ADD COLUMN IF NOT EXISTS formula TEXT;
+    ALTER TABLE ${tables.plLedgers} ADD COLUMN IF NOT EXISTS statement_order INTEGER;
+    ALTER TABLE ${tables.plLedgers} ADD COLUMN IF NOT EXISTS is_total BOOLEAN NOT NULL DEFAULT false;
+    ALTER TABLE ${tables.plLedgers} ADD COLUMN IF NOT EXISTS updated_by VARCHAR(255);
+    ALTER TABLE ${tables.plLedgers} ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+    CREATE TABLE IF NOT EXISTS ${tables.plData} (
+      id SERIAL PRIMARY KEY,
+      ledger_code VARCHAR(50) NOT NULL REFERENCES ${tables.plLedgers}(code) ON UPDATE CASCADE,
+      year INTEGER NOT NULL,
+      month INTEGER NOT NULL CHECK (month >= 1 AND month <= 12),
+      type VARCHAR(20) NOT NULL,
+      measure VARCHAR(10) NOT NULL DEFAULT 'AMOUNT',
+      amount NUMERIC(20, 6) NOT NULL,
+      source_file VARCHAR(255),
+      uploaded_by VARCHAR(255),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT ${divisionCode}_pl_data_line_period_uniq UNIQUE (ledger_code, year, month, type)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_${tables.plData}_period ON ${tables.plData}(year, month, type);
+  `);
+
+  // Charts seeded before formulas existed get the default statement layout once;
+  // after that the layout is whatever was maintained in Settings
+  await pool.query(
+    `UPDATE ${tables.plLedgers} l
+     SET formula = d.formula, statement_order = d.statement_order, is_total = d.is_total
+     FROM unnest($1::text[], $2::text[], $3::int[], $4::boolean[]) AS d(code, formula, statement_order, is_total)
+     WHERE l.code = d.code
+       AND NOT EXISTS (SELECT 1 FROM ${tables.plLedgers} WHERE statement_order IS NOT NULL)`,
+    [
+      DEFAULT_CHART_OF_ACCOUNTS.map(ledger => ledger.code),
+      DEFAULT_CHART_OF_ACCOUNTS.map(ledger => ledger.formula || null),
+      DEFAULT_CHART_OF_ACCOUNTS.map(ledger => ledger.statementOrder || null),
+      DEFAULT_CHART_OF_ACCOUNTS.map(ledger => Boolean(ledger.isTotal))
+    ]
+  );
+
+  // Seed the default chart of accounts; existing lines are left as maintained
+  const values = [];
+  const params = [];
+  DEFAULT_CHART_OF_ACCOUNTS.forEach((ledger, index) => {
+    const base = params.length;
+    params.push(
+      ledger.code, ledger.name, ledger.measure, ledger.sheetRow, index + 1,
+      ledger.formula || null, ledger.statementOrder || null, Boolean(ledger.isTotal)
+    );
+    values.push(`(${Array.from({ length: 8 }, (_, i) => `$${base + i + 1}`).join(', ')})`);
+  });
+  await pool.query(
+    `INSERT INTO ${tables.plLedgers} (code, name, measure, sheet_row, sort_order, formula, statement_order, is_total)
+     VALUES ${values.join(', ')}
+     ON CONFLICT (code) DO NOTHING`,
+    params
+  );
+
+  tablesEnsuredForDivisions.add(divisionCode);
+}
+
+/**
+ * Chart of accounts for a division (ordered)
+ * @param {string} division
+ * @param {object} [options]
+ * @param {boolean} [options.includeInactive=false] - Also return deactivated lines (Settings editor)
+ */
+async function getLedgers(division, { includeInactive = false } = {}) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+
+  const result = await getPool(division).query(
+    `SELECT code, name, measure, sheet_row, sort_order, formula, statement_order, is_total, is_active
+     FROM ${tables.plLedgers}
+     ${includeInactive ? '' : 'WHERE is_active = true'}
+     ORDER BY sort_order, code`
+  );
+  return result.rows;
+}
+
+/**
+ * Check a formula against the active chart of accounts of a division
+ * @param {string} division
+ * @param {string} formula
+ * @param {string} [code] - Ledger the formula is for (checks cycles through it)
+ * @returns {Promise<{valid: boolean, errors: string[], references: string[]}>}
+ */
+async function checkFormula(division, formula, code = null) {
+  let references = [];
+  try {
+    references = getReferences(parseFormula(formula));
+  } catch (error) {
+    return { valid: false, errors: [error.message], references };
+  }
+
+  const target = code ? String(code).toUpperCase() : '__NEW__';
+  const ledgers = (await getLedgers(division)).filter(ledger => ledger.code !== target);
+  ledgers.push({ code: target, formula, is_active: true });
+
+  // Errors of other lines are not this formula's problem
+  const prefix = `${target}: `;
+  const errors = validateFormulas(ledgers)
+    .filter(error => error.startsWith(prefix) || (error.startsWith('Circular') && error.includes(target)))
+    .map(error => (error.startsWith(prefix) ? error.slice(prefix.length) : error));
+
+  return { valid: errors.length === 0, errors, references };
+}
+
+/**
+ * Evaluate the active chart of accounts for several period columns (P&L table)
+ * @param {string} division
+ * @param {Array<Object<string, number>>} columns - Posted amount per ledger code, one object per column
+ * @returns {Promise<Array<Object<string, number>>>} Value of every line (posted and formula) per column
+ * @throws {Error} 422 when the chart has an invalid or circular formula
+ */
+async function evaluateColumns(division, columns) {
+  const ledgers = await getLedgers(division);
+  try {
+    return columns.map(posted => evaluateLedgers(ledgers, ledger => posted?.[ledger.code]));
+  } catch (error) {
+    if (error instanceof FormulaError) throw plError(error.message, 422);
+    throw error;
+  }
+}
+
+const LEDGER_FIELDS = {
+  name: 'name',
+  measure: 'measure',
+  formula: 'formula',
+  statementOrder: 'statement_order',
+  isTotal: 'is_total',
+  isActive: 'is_active',
+  sheetRow: 'sheet_row'
+};
+
+/**
+ * Normalise ledger fields from the Settings editor (camelCase) to column values
+ */
+const toLedgerColumns = (fields) => {
+  const columns = {};
+  Object.entries(LEDGER_FIELDS).forEach(([field, column]) => {
+    if (fields[field] === undefined) return;
+    let value = fields[field];
+    if (field === 'name') value = String(value).trim();
+    if (field === 'measure') value = String(value).toUpperCase();
+    if (field === 'formula') value = value == null || String(value).trim() === '' ? null : String(value).trim();
+    if (field === 'statementOrder' || field === 'sheetRow') value = value == null || value === '' ? null : parseInt(value, 10);
+    if (field === 'isTotal' || field === 'isActive') value = Boolean(value);
+    columns[column] = value;
+  });
+
+  if (columns.name === '') throw plError('Ledger name is required', 400);
+  if (columns.measure !== undefined && !MEASURES.includes(columns.measure)) {
+    throw plError(`Measure must be one of: ${MEASURES.join(', ')}`, 400);
+  }
+  if (columns.sheet_row != null && columns.sheet_row < FIRST_LEDGER_ROW) {
+    throw plError(`Sheet row must be ${FIRST_LEDGER_ROW} or later (rows above are the period headers)`, 400);
+  }
+  return columns;
+};
+
+/**
+ * First sheet row below every ledger line of the chart
+ */
+const nextSheetRow = (ledgers) =>
+  Math.max(FIRST_LEDGER_ROW - 1, ...ledgers.map(ledger => ledger.sheet_row || 0)) + 1;
+
+/**
+ * Reject a chart whose formulas do not parse, use unknown lines or depend on themselves
+ */
+const assertValidChart = (ledgers) => {
+  const errors = validateFormulas(ledgers);
+  if (errors.length > 0) {
+    const error = plError(errors[0], 400);
+    error.details = { errors };
+    throw error;
+  }
+};
+
+/**
+ * Add a ledger line to the chart of accounts
+ * Lines without a sheet row get the next free one so the workbook import and
+ * the P&L sheet pick them up.
+ * @param {string} division
+ * @param {object} fields - { code, name, measure, formula, statementOrder, isTotal, sheetRow }
+ * @param {string} updatedBy
+ */
+async function createLedger(division, fields, updatedBy) {
+  const code = String(fields.code || '').trim().toUpperCase();
+  if (!/^[A-Z][A-Z0-9_]{1,49}$/.test(code)) {
+    throw plError('Code must start with a letter and use only A-Z, 0-9 and _ (max 50 characters)', 400);
+  }
+  const columns = toLedgerColumns({ measure: 'AMOUNT', ...fields, isActive: true });
+  if (!columns.name) throw plError('Ledger name is required', 400);
+
+  const ledgers = await getLedgers(division, { includeInactive: true });
+  if (ledgers.some(ledger => ledger.code === code)) {
+    throw plError(`Ledger ${code} already exists`, 400);
+  }
+  if (ledgers.some(ledger => ledgerKey(ledger.name) === ledgerKey(columns.name))) {
+    throw plError(`A ledger named "${columns.name}" already exists`, 400);
+  }
+  if (columns.sheet_row != null && ledgers.some(ledger => ledger.sheet_row === columns.sheet_row)) {
+    throw plError(`Sheet row ${columns.sheet_row} is already used`, 400);
+  }
+  assertValidChart([...ledgers, { code, ...columns }]);
+
+  if (columns.sheet_row == null && !columns.formula) {
+    columns.sheet_row = nextSheetRow(ledgers);
+  }
+  columns.sort_order = Math.max(0, ...ledgers.map(ledger => ledger.sort_order || 0)) + 1;
+
+  const names = ['code', ...Object.keys(columns), 'updated_by'];
+  const params = [code, ...Object.values(columns), updatedBy];
+  const tables = getTableNames(division);
+  const result = await getPool(division).query(
+    `INSERT INTO ${tables.plLedgers} (${names.join(', ')})
+     VALUES (${params.map((_, i) => `$${i + 1}`).join(', ')})
+     RETURNING code, name, measure, sheet_row, sort_order, formula, statement_order, is_total, is_active`,
+    params
+  );
+
+  logger.info(`📒 P&L ledger ${code} added to ${extractDivisionCode(division).toUpperCase()}`, { updatedBy });
+  return result.rows[0];
+}
+
+/**
+ * Update a ledger line (name, measure, formula, statement position, active flag)
+ * A measure change is applied to the line's stored amounts as well, which decides
+ * whether report currency conversion applies to them.
+ * @param {string} division
+ * @param {string} code
+ * @param {object} fields
+ * @param {string} updatedBy
+ */
+async function updateLedger(division, code, fields, updatedBy) {
+  const ledgerCode = String(code).toUpperCase();
+  // The sheet row is fixed once amounts are stored against it
+  const columns = toLedgerColumns({ ...fields, sheetRow: undefined });
+  if (Object.keys(columns).length === 0) {
+    throw plError('Nothing to update', 400);
+  }
+
+  const ledgers = await getLedgers(division, { includeInactive: true });
+  const current = ledgers.find(ledger => ledger.code === ledgerCode);
+  if (!current) {
+    throw plError(`Ledger ${ledgerCode} not found`, 404);
+  }
+  if (columns.name && ledgers.some(ledger => ledger.code !== ledgerCode && ledgerKey(ledger.name) === ledgerKey(columns.name))) {
+    throw plError(`A ledger named "${columns.name}" already exists`, 400);
+  }
+  assertValidChart(ledgers.map(ledger => (ledger.code === ledgerCode ? { ...ledger, ...columns } : ledger)));
+
+  // A formula-only line turned into a posted line needs a row for its amounts
+  if (columns.formula === null && current.sheet_row == null) {
+    columns.sheet_row = nextSheetRow(ledgers);
+  }
+
+  const tables = getTableNames(division);
+  const client = await getPool(division).connect();
+  try {
+    await client.query('BEGIN');
+
+    const assignments = Object.keys(columns).map((column, i) => `${column} = $${i + 2}`);
+    const result = await client.query(
+      `UPDATE ${tables.plLedgers}
+       SET ${assignments.join(', ')}, updated_by = $${assignments.length + 2}, updated_at = NOW()
+       WHERE code = $1
+       RETURNING code, name, measure, sheet_row, sort_order, formula, statement_order, is_total, is_active`,
+      [ledgerCode, ...Object.values(columns), updatedBy]
+    );
+
+    if (columns.measure && columns.measure !== current.measure) {
+      await client.query(
+        `UPDATE ${tables.plData} SET measure = $2 WHERE ledger_code = $1`,
+        [ledgerCode, columns.measure]
+      );
+    }
+
+    await client.query('COMMIT');
+    logger.info(`📒 P&L ledger ${ledgerCode} updated`, { fields: Object.keys(columns), updatedBy });
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Year / type combinations with the months loaded
+ */
+async function getPeriods(division) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+
+  const result = await getPool(division).query(
+    `SELECT year, type, ARRAY_AGG(DISTINCT month ORDER BY month) AS months
+     FROM ${tables.plData}
+     GROUP BY year, type
+     ORDER BY year DESC, type`
+  );
+  return result.rows;
+}
+
+/**
+ * P&L amounts by ledger line
+ * @param {string} division
+ * @param {object} [filters]
+ * @param {number} [filters.year]
+ * @param {number} [filters.month]
+ * @param {string} [filters.type] - Actual, Estimate, Budget, Forecast
+ * @param {string[]} [filters.ledgers] - Ledger codes
+ */
+async function getData(division, { year, month, type, ledgers } = {}) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+
+  const conditions = [];
+  const params = [];
+
+  if (year) {
+    params.push(parseInt(year, 10));
+    conditions.push(`d.year = $${params.length}`);
+  }
+  if (month) {
+    params.push(parseInt(month, 10));
+    conditions.push(`d.month = $${params.length}`);
+  }
+  if (type) {
+    params.push(String(type).toUpperCase());
+    conditions.push(`UPPER(d.type) = $${params.length}`);
+  }
+  if (ledgers && ledgers.length > 0) {
+    params.push(ledgers.map(code => String(code).toUpperCase()));
+    conditions.push(`d.ledger_code = ANY($${params.length}::text[])`);
+  }
+
+  const result = await getPool(division).query(
+    `SELECT d.ledger_code, l.name AS ledger_name, d.measure, d.year, d.month, d.type,
+            d.amount::float AS amount
+     FROM ${tables.plData} d
+     JOIN ${tables.plLedgers} l ON l.code = d.ledger_code
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY d.year, d.month, d.type, l.sort_order`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Arrange ledgers and amounts as the legacy workbook matrix
+ * (row 0 years, row 1 month names, row 2 types, ledger lines at their sheet_row)
+ * @param {Array} ledgers - From getLedgers()
+ * @param {Array} rows - From getData()
+ * @returns {Array<Array>}
+ */
+function toSheet(ledgers, rows) {
+  const periods = new Map();
+  rows.forEach(row => {
+    const key = `${row.year}|${row.type}|${row.month}`;
+    if (!periods.has(key)) {
+      periods.set(key, { year: row.year, month: row.month, type: row.type });
+    }
+  });
+
+  // Same column order as the workbook: by year, then type, then month
+  const typeOrder = (type) => {
+    const index = PL_TYPES.indexOf(type);
+    return index === -1 ? PL_TYPES.length : index;
+  };
+  const columns = [...periods.values()].sort((a, b) =>
+    a.year - b.year || typeOrder(a.type) - typeOrder(b.type) || a.month - b.month
+  );
+  const columnIndex = new Map(columns.map((column, index) => [`${column.year}|${column.type}|${column.month}`, index + 1]));
+
+  const ledgerRows = ledgers.filter(ledger => Number.isInteger(ledger.sheet_row) && ledger.sheet_row >= FIRST_LEDGER_ROW);
+  const height = Math.max(FIRST_LEDGER_ROW, ...ledgerRows.map(ledger => ledger.sheet_row + 1));
+  const width = columns.length + 1;
+
+  const sheet = Array.from({ length: height }, () => new Array(width).fill(null));
+  sheet[HEADER_ROWS.YEAR][0] = null;
+  sheet[HEADER_ROWS.MONTH][0] = null;
+  sheet[HEADER_ROWS.TYPE][0] = 'Ledgers';
+  columns.forEach((column, index) => {
+    sheet[HEADER_ROWS.YEAR][index + 1] = column.year;
+    sheet[HEADER_ROWS.MONTH][index + 1] = MONTH_NAMES[column.month - 1];
+    sheet[HEADER_ROWS.TYPE][index + 1] = column.type;
+  });
+
+  const rowByLedger = new Map();
+  ledgerRows.forEach(ledger => {
+    sheet[ledger.sheet_row][0] = ledger.name;
+    rowByLedger.set(ledger.code, ledger.sheet_row);
+  });
+
+  rows.forEach(row => {
+    const r = rowByLedger.get(row.ledger_code);
+    const c = columnIndex.get(`${row.year}|${row.type}|${row.month}`);
+    if (r !== undefined && c !== undefined) {
+      sheet[r][c] = row.amount;
+    }
+  });
+
+  return sheet;
+}
+
+/**
+ * Workbook matrix for the dashboard, keyed by division code like the parsed Excel file
+ */
+async function buildSheet(division) {
+  const [ledgers, rows] = await Promise.all([getLedgers(division), getData(division)]);
+  const code = extractDivisionCode(division).toUpperCase();
+
+  if (rows.length === 0) {
+    throw plError(`No P&L data loaded for division ${code}`, 404);
+  }
+
+  return { [code]: toSheet(ledgers, rows) };
+}
+
+const normalizeType = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  return PL_TYPES.find(type => type.toLowerCase() === text) || null;
+};
+
+const normalizeMonth = (value) => {
+  if (typeof value === 'number') return value >= 1 && value <= 12 ? value : null;
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) {
+    const month = parseInt(text, 10);
+    return month >= 1 && month <= 12 ? month : null;
+  }
+  const index = MONTH_NAMES.findIndex(name => name.toLowerCase() === text || name.toLowerCase().slice(0, 3) === text);
+  return index === -1 ? null : index + 1;
+};
+
+/**
+ * Parse P&L workbook rows (XLSX sheet_to_json header:1) against a chart of accounts
+ * @param {Array<Array>} sheetRows
+ * @param {Array<{code: string, name: string, measure: string}>} ledgers
+ * @returns {{records: Array, periods: Array, errors: Array, warnings: Array}}
+ */
+function parseSheet(sheetRows, ledgers) {
+  const errors = [];
+  const warnings = [];
+  const addError = (message) => {
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push(message);
+  };
+
+  if (!Array.isArray(sheetRows) || sheetRows.length <= FIRST_LEDGER_ROW) {
+    return { records: [], periods: [], errors: ['Sheet has no ledger lines below the year / month / type header rows'], warnings };
+  }
+
+  const ledgerByKey = new Map();
+  ledgers.forEach(ledger => {
+    ledgerByKey.set(ledgerKey(ledger.name), ledger);
+    ledgerByKey.set(ledgerKey(ledger.code), ledger);
+  });
+
+  // Period columns
+  const width = Math.max(...sheetRows.slice(0, FIRST_LEDGER_ROW).map(row => (row || []).length));
+  const columns = [];
+  for (let c = 1; c < width; c++) {
+    const rawYear = sheetRows[HEADER_ROWS.YEAR]?.[c];
+    const rawMonth = sheetRows[HEADER_ROWS.MONTH]?.[c];
+    const rawType = sheetRows[HEADER_ROWS.TYPE]?.[c];
+    if (rawYear == null && rawMonth == null && rawType == null) continue;
+
+    const cell = XLSX.utils.encode_col(c);
+    const year = parseInt(rawYear, 10);
+    const month = normalizeMonth(rawMonth);
+    const type = normalizeType(rawType);
+
+    if (!rawType) {
+      warnings.push(`Column ${cell} skipped: no type in row ${HEADER_ROWS.TYPE + 1}`);
+      continue;
+    }
+    if (!year || year < MIN_YEAR || year > MAX_YEAR) {
+      addError(`Column ${cell}: invalid year "${rawYear}"`);
+      continue;
+    }
+    if (!month) {
+      addError(`Column ${cell}: invalid month "${rawMonth}"`);
+      continue;
+    }
+    if (!type) {
+      addError(`Column ${cell}: invalid type "${rawType}" (expected ${PL_TYPES.join(', ')})`);
+      continue;
+    }
+    columns.push({ index: c, cell, year, month, type });
+  }
+
+  const seenPeriods = new Map();
+  columns.forEach(column => {
+    const key = `${column.year}|${column.month}|${column.type}`;
+    if (seenPeriods.has(key)) {
+      addError(`Columns ${seenPeriods.get(key)} and ${column.cell} are both ${column.type} ${MONTH_NAMES[column.month - 1]} ${column.year}`);
+    } else {
+      seenPeriods.set(key, column.cell);
+    }
+  });
+
+  // Ledger lines
+  const records = [];
+  const seenLedgers = new Map();
+  for (let r = FIRST_LEDGER_ROW; r < sheetRows.length; r++) {
+    const row = sheetRows[r] || [];
+    const label = row[0] == null ? '' : String(row[0]).trim();
+    const hasValues = columns.some(column => row[column.index] !== null && row[column.index] !== undefined && row[column.index] !== '');
+    if (!label) {
+      if (hasValues) warnings.push(`Row ${r + 1} skipped: values without a ledger name`);
+      continue;
+    }
+
+    const ledger = ledgerByKey.get(ledgerKey(label));
+    if (!ledger) {
+      if (hasValues) {
+        addError(`Row ${r + 1}: "${label}" is not in the chart of accounts`);
+      } else {
+        warnings.push(`Row ${r + 1} skipped: "${label}" is not in the chart of accounts`);
+      }
+      continue;
+    }
+    if (seenLedgers.has(ledger.code)) {
+      addError(`Rows ${seenLedgers.get(ledger.code)} and ${r + 1} are both "${ledger.name}"`);
+      continue;
+    }
+    seenLedgers.set(ledger.code, r + 1);
+
+    columns.forEach(column => {
+      const raw = row[column.index];
+      if (raw === null || raw === undefined || raw === '') return;
+      const amount = typeof raw === 'number' ? raw : parseFloat(String(raw).replace(/,/g, ''));
+      if (!Number.isFinite(amount)) {
+        addError(`Cell ${column.cell}${r + 1}: "${raw}" is not a number`);
+        return;
+      }
+      records.push({
+        ledgerCode: ledger.code,
+        measure: ledger.measure,
+        year: column.year,
+        month: column.month,
+        type: column.type,
+        amount
+      });
+    });
+  }
+
+  const periods = [...seenPeriods.keys()].map(key => {
+    const [year, month, type] = key.split('|');
+    return { year: parseInt(year, 10), month: parseInt(month, 10), type };
+  });
+
+  return { records, periods, errors, warnings };
+}
+
+/**
+ * Import a P&L workbook into {div}_pl_data (single transaction)
+ *
+ * MODES:
+ * - upsert: Replaces the periods (year / month / type) present in the workbook
+ * - replace: Deletes all P&L data of the division first
+ * Months closed in the period-close register fail validation (any closed month for replace).
+ *
+ * @param {object} options
+ * @param {string} options.filePath
+ * @param {string} [options.originalName]
+ * @param {string} options.division
+ * @param {string} [options.mode='upsert']
+ * @param {string} options.uploadedBy
+ * @param {object} [options.user] - Uploading user (administrators may still post to soft-closed months)
+ * @param {boolean} [options.dryRun=false] - Validate only
+ * @returns {Promise<object>} Import report
+ */
+async function importWorkbook({ filePath, originalName, division, mode = 'upsert', uploadedBy, user, dryRun = false }) {
+  if (!VALID_MODES.includes(mode)) {
+    throw plError(`Invalid upload mode: ${mode}`, 400);
+  }
+
+  const code = extractDivisionCode(division).toUpperCase();
+  const sourceFile = originalName || path.basename(filePath);
+  const ledgers = await getLedgers(division);
+
+  const workbook = XLSX.readFile(filePath);
+  // Prefer a sheet named after the division (financials -fp.xlsx has sheet "FP")
+  const sheetName = workbook.SheetNames.find(name => name.trim().toUpperCase() === code) || workbook.SheetNames[0];
+  if (!sheetName) {
+    throw plError('No sheets found in Excel file', 400);
+  }
+
+  const sheetRows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: null });
+  const parsed = parseSheet(sheetRows, ledgers);
+
+  const report = {
+    success: parsed.errors.length === 0,
+    division: code,
+    sheetName,
+    sourceFile,
+    mode,
+    dryRun,
+    periods: parsed.periods,
+    recordCount: parsed.records.length,
+    errorCount: parsed.errors.length,
+    errors: parsed.errors,
+    warnings: parsed.warnings
+  };
+
+  if (!report.success) {
+    return report;
+  }
+
+  const closedPeriods = await periodCloseService.findBlockedPeriods({
+    division,
+    periods: mode === 'replace' ? null : parsed.periods,
+    user
+  });
+  if (closedPeriods.length > 0) {
+    return {
+      ...report,
+      success: false,
+      errorCount: 1,
+      errors: [periodCloseService.describeBlocked(division, closedPeriods)],
+      closedPeriods
+    };
+  }
+
+  if (dryRun) {
+    return report;
+  }
+  if (parsed.records.length === 0) {
+    return { ...report, success: false, errorCount: 1, errors: ['Workbook contains no P&L amounts'] };
+  }
+
+  const tables = getTableNames(division);
+  const client = await getPool(division).connect();
+  try {
+    await client.query('BEGIN');
+
+    if (mode === 'replace') {
+      const deleted = await client.query(`DELETE FROM ${tables.plData}`);
+      report.recordsDeleted = deleted.rowCount;
+    } else {
+      const deleted = await client.query(
+        `DELETE FROM ${tables.plData} d
+         USING unnest($1::int[], $2::int[], $3::text[]) AS p(year, month, type)
+         WHERE d.year = p.year AND d.month = p.month AND d.type = p.type`,
+        [
+          parsed.periods.map(p => p.year),
+          parsed.periods.map(p => p.month),
+          parsed.periods.map(p => p.type)
+        ]
+      );
+      report.recordsDeleted = deleted.rowCount;
+    }
+
+    const result = await client.query(
+      `INSERT INTO ${tables.plData} (ledger_code, measure, year, month, type, amount, source_file, uploaded_by, updated_at)
+       SELECT r.ledger_code, r.measure, r.year, r.month, r.type, r.amount, $7, $8, NOW()
+       FROM unnest($1::text[], $2::text[], $3::int[], $4::int[], $5::text[], $6::numeric[])
+         AS r(ledger_code, measure, year, month, type, amount)`,
+      [
+        parsed.records.map(rec => rec.ledgerCode),
+        parsed.records.map(rec => rec.measure),
+        parsed.records.map(rec => rec.year),
+        parsed.records.map(rec => rec.month),
+        parsed.records.map(rec => rec.type),
+        parsed.records.map(rec => rec.amount),
+        sourceFile,
+        uploadedBy
+      ]
+    );
+    report.recordsInserted = result.rowCount;
+
+    await client.query('COMMIT');
+    logger.info(`📒 Imported ${result.rowCount} P&L amounts for ${code}`, {
+      mode,
+      periods: parsed.periods.length,
+      uploadedBy
+    });
+    return report;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  PL_TYPES,
+  MEASURES,
+  DEFAULT_CHART_OF_ACCOUNTS,
+  getTableNames,
+  ensureTables,
+  getLedgers,
+  checkFormula,
+  evaluateColumns,
+  createLedger,
+  updateLedger,
+  getPeriods,
+  getData,
+  toSheet,
+  buildSheet,
+  parseSheet,
+  importWorkbook
+};
@@ -0,0 +1,522 @@
+/**
+ * Price List Service
+ * Selling price and MoRM per kg per product group, optionally for one customer or country,
+ * each valid from an effective date: PROPOSED → APPROVED / REJECTED
+ *
+ * STORAGE (division database):
+ * - {div}_product_group_price_list: One row per proposed price
+ * - {div}_product_group_price_history: Every change (propose, update, approve, reject,
+ *   supersede, withdraw) with the values at that point and the actor
+ *
+ * PRICE VALID FOR A BUDGET MONTH:
+ * The approved price in force on the first day of the month, the most specific scope first
+ * (customer + country, customer, country, product group), the latest effective date next.
+ * Product groups without an approved price fall back to the rounded previous-year averages
+ * in {div}_product_group_pricing_rounding (Master Data > Product Pricing).
+ *
+ * Approved prices are not edited: a price change is a new proposal with a later effective
+ * date. Approving a price for the same scope and effective date supersedes the old one.
+ */
+
+const { getDivisionPool } = require('../utils/divisionDatabaseManager');
+const logger = require('../utils/logger');
+
+const STATUSES = ['PROPOSED', 'APPROVED', 'REJECTED', 'SUPERSEDED'];
+const MAX_PRICE_PER_KG = 1000;
+
+const extractDivisionCode = (division) => {
+  if (!division) return 'fp';
+  return division.split('-')[0].toLowerCase();
+};
+
+const getTableNames = (division) => {
+  const code = extractDivisionCode(division);
+  return {
+    priceList: `${code}_product_group_price_list`,
+    priceHistory: `${code}_product_group_price_history`
+  };
+};
+
+const getPool = (division) => getDivisionPool(extractDivisionCode(division).toUpperCase());
+
+const priceListError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeKey = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const tablesEnsuredForDivisions = new Set();
+
+async function ensureTables(division) {
+  const divisionCode = extractDivisionCode(division);
+  if (tablesEnsuredForDivisions.has(divisionCode)) return;
+
+  const tables = getTableNames(division);
+  await getPool(division).query(`
+    CREATE TABLE IF NOT EXISTS ${tables.priceList} (
+      id SERIAL PRIMARY KEY,
+      product_group VARCHAR(255) NOT NULL,
+      customer_name VARCHAR(255),
+      country_name VARCHAR(255),
+      selling_price NUMERIC(18,4) NOT NULL CHECK (selling_price >= 0 AND selling_price <= ${MAX_PRICE_PER_KG}),
+      morm NUMERIC(18,4) NOT NULL CHECK (morm >= 0 AND morm <= ${MAX_PRICE_PER_KG}),
+      effective_from DATE NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'PROPOSED'
+        CHECK (status IN ('PROPOSED', 'APPROVED', 'REJECTED', 'SUPERSEDED')),
+      notes TEXT,
+      proposed_by VARCHAR(255),
+      proposed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      reviewed_by VARCHAR(255),
+      reviewed_at TIMESTAMP,
+      review_comments TEXT,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS ${divisionCode}_price_list_lookup_idx
+      ON ${tables.priceList} (LOWER(product_group), status, effective_from);
+
+    CREATE TABLE IF NOT EXISTS ${tables.priceHistory} (
+      id SERIAL PRIMARY KEY,
+      price_id INTEGER NOT NULL,
+      product_group VARCHAR(255) NOT NULL,
+      customer_name VARCHAR(255),
+      country_name VARCHAR(255),
+      action VARCHAR(20) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      selling_price NUMERIC(18,4),
+      morm NUMERIC(18,4),
+      effective_from DATE,
+      actor_name VARCHAR(255),
+      comments TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS ${divisionCode}_price_history_group_idx
+      ON ${tables.priceHistory} (LOWER(product_group), created_at);
+  `);
+
+  tablesEnsuredForDivisions.add(divisionCode);
+  logger.info(`✅ Price list tables ready for ${divisionCode.toUpperCase()}`);
+}
+
+// ============================================================================
+// VALIDATION & RESOLUTION
+// ============================================================================
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value)
+  && !Number.isNaN(Date.parse(`${value}T00:00:00Z`))
+  && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+/**
+ * Validate a proposed price
+ * @param {object} input - { productGroup, customer, country, sellingPrice, morm, effectiveFrom, notes }
+ * @returns {object} Cleaned price (customer / country null when not given)
+ */
+function validatePriceInput(input = {}) {
+  const productGroup = String(input.productGroup || '').trim();
+  if (!productGroup) {
+    throw priceListError('Product group is required', 400);
+  }
+
+  const sellingPrice = Number(input.sellingPrice);
+  const morm = Number(input.morm);
+  if (input.sellingPrice === null || input.sellingPrice === undefined || input.sellingPrice === ''
+    || !Number.isFinite(sellingPrice) || sellingPrice < 0 || sellingPrice > MAX_PRICE_PER_KG) {
+    throw priceListError(`Selling price per kg must be between 0 and ${MAX_PRICE_PER_KG}`, 400);
+  }
+  if (input.morm === null || input.morm === undefined || input.morm === ''
+    || !Number.isFinite(morm) || morm < 0 || morm > MAX_PRICE_PER_KG) {
+    throw priceListError(`MoRM per kg must be between 0 and ${MAX_PRICE_PER_KG}`, 400);
+  }
+  if (morm > sellingPrice) {
+    throw priceListError('MoRM per kg cannot be higher than the selling price per kg', 400);
+  }
+
+  const effectiveFrom = String(input.effectiveFrom || '').slice(0, 10);
+  if (!isValidDate(effectiveFrom)) {
+    throw priceListError('Effective from must be a date (YYYY-MM-DD)', 400);
+  }
+
+  return {
+    productGroup,
+    customer: String(input.customer || '').trim() || null,
+    country: String(input.country || '').trim() || null,
+    sellingPrice,
+    morm,
+    effectiveFrom,
+    notes: String(input.notes || '').trim() || null
+  };
+}
+
+// Customer + country > customer > country > product group
+const scopeRank = (price) => (price.customer ? 2 : 0) + (price.country ? 1 : 0);
+
+/**
+ * Build the lookup the budget services price each record with
+ * @param {Array<object>} prices - Approved prices { id, productGroup, customer, country, sellingPrice, morm, effectiveFrom }
+ * @param {object} [fallbackMap] - Rounded pricing by lower-case product group { sellingPrice, morm }
+ * @returns {function({ productGroup, customer, country, year, month }): { sellingPrice, morm, source, priceId }}
+ */
+function buildPriceResolver(prices = [], fallbackMap = {}) {
+  const byProductGroup = new Map();
+  prices.forEach(price => {
+    const key = normalizeKey(price.productGroup);
+    if (!byProductGroup.has(key)) byProductGroup.set(key, []);
+    byProductGroup.get(key).push(price);
+  });
+
+  return ({ productGroup, customer, country, year, month }) => {
+    const key = normalizeKey(productGroup);
+    const monthStart = `${year}-${String(month).padStart(2, '0')}-01`;
+    const customerKey = normalizeKey(customer);
+    const countryKey = normalizeKey(country);
+
+    let best = null;
+    (byProductGroup.get(key) || []).forEach(price => {
+      if (price.effectiveFrom > monthStart) return;
+      if (price.customer && normalizeKey(price.customer) !== customerKey) return;
+      if (price.country && normalizeKey(price.country) !== countryKey) return;
+      if (!best
+        || scopeRank(price) > scopeRank(best)
+        || (scopeRank(price) === scopeRank(best) && price.effectiveFrom > best.effectiveFrom)) {
+        best = price;
+      }
+    });
+
+    if (best) {
+      return { sellingPrice: best.sellingPrice, morm: best.morm, source: 'price-list', priceId: best.id };
+    }
+
+    const fallback = fallbackMap[key];
+    if (fallback) {
+      return { sellingPrice: fallback.sellingPrice, morm: fallback.morm, source: 'rounded-pricing', priceId: null };
+    }
+    return { sellingPrice: null, morm: null, source: null, priceId: null };
+  };
+}
+
+const toPrice = (row) => ({
+  id: row.id,
+  productGroup: row.product_group,
+  customer: row.customer_name,
+  country: row.country_name,
+  sellingPrice: row.selling_price !== null ? parseFloat(row.selling_price) : null,
+  morm: row.morm !== null ? parseFloat(row.morm) : null,
+  effectiveFrom: row.effective_from,
+  status: row.status,
+  notes: row.notes,
+  proposedBy: row.proposed_by,
+  proposedAt: row.proposed_at,
+  reviewedBy: row.reviewed_by,
+  reviewedAt: row.reviewed_at,
+  reviewComments: row.review_comments
+});
+
+const PRICE_COLUMNS = `
+  id, product_group, customer_name, country_name, selling_price, morm,
+  TO_CHAR(effective_from, 'YYYY-MM-DD') AS effective_from, status, notes,
+  proposed_by, proposed_at, reviewed_by, reviewed_at, review_comments
+`;
+
+/**
+ * Approved prices in force during a budget year, as a resolver for its records
+ * Runs on the caller's client; a division without a price list uses the fallback only.
+ *
+ * @param {object} client - Division pool or transaction client
+ * @param {string} division
+ * @param {number} budgetYear
+ * @param {object} [fallbackMap] - Rounded pricing by lower-case product group
+ * @returns {Promise<{ resolve: function, approvedPrices: number }>}
+ */
+async function loadBudgetPriceResolver(client, division, budgetYear, fallbackMap = {}) {
+  const tables = getTableNames(division);
+  // Checked first: a failed query would abort the caller's transaction
+  const exists = await client.query('SELECT to_regclass($1) AS name', [tables.priceList]);
+  let prices = [];
+  if (exists.rows[0].name) {
+    const result = await client.query(`
+      SELECT ${PRICE_COLUMNS}
+      FROM ${tables.priceList}
+      WHERE status = 'APPROVED' AND effective_from <= $1
+    `, [`${budgetYear}-12-01`]);
+    prices = result.rows.map(toPrice);
+  }
+
+  return {
+    resolve: buildPriceResolver(prices, fallbackMap),
+    approvedPrices: prices.length
+  };
+}
+
+// ============================================================================
+// PRICE LIST
+// ============================================================================
+
+async function recordHistory(client, division, price, action, actorName, comments = null) {
+  const tables = getTableNames(division);
+  await client.query(`
+    INSERT INTO ${tables.priceHistory} (
+      price_id, product_group, customer_name, country_name, action, status,
+      selling_price, morm, effective_from, actor_name, comments
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+  `, [price.id, price.product_group, price.customer_name, price.country_name, action, price.status,
+      price.selling_price, price.morm, price.effective_from, actorName, comments]);
+}
+
+async function getPriceRow(client, division, id) {
+  const tables = getTableNames(division);
+  const result = await client.query(`SELECT ${PRICE_COLUMNS} FROM ${tables.priceList} WHERE id = $1`, [id]);
+  if (result.rows.length === 0) {
+    throw priceListError('Price not found', 404);
+  }
+  return result.rows[0];
+}
+
+/**
+ * List prices (optional filters), newest effective date first
+ * @param {string} division
+ * @param {object} [filters] - { productGroup, status }
+ */
+async function listPrices(division, { productGroup, status } = {}) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const conditions = [];
+  const params = [];
+
+  if (productGroup) {
+    params.push(normalizeKey(productGroup));
+    conditions.push(`LOWER(product_group) = $${params.length}`);
+  }
+  if (status) {
+    const upper = String(status).toUpperCase();
+    if (!STATUSES.includes(upper)) {
+      throw priceListError(`Status must be one of ${STATUSES.join(', ')}`, 400);
+    }
+    params.push(upper);
+    conditions.push(`status = $${params.length}`);
+  }
+
+  const result = await getPool(division).query(`
+    SELECT ${PRICE_COLUMNS}
+    FROM ${tables.priceList}
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY product_group, effective_from DESC, id DESC
+  `, params);
+  return result.rows.map(toPrice);
+}
+
+/**
+ * Price-change history, newest first (one product group or the whole division)
+ */
+async function getPriceHistory(division, { productGroup, priceId } = {}) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const conditions = [];
+  const params = [];
+
+  if (productGroup) {
+    params.push(normalizeKey(productGroup));
+    conditions.push(`LOWER(product_group) = $${params.length}`);
+  }
+  if (priceId) {
+    params.push(parseInt(priceId, 10));
+    conditions.push(`price_id = $${params.length}`);
+  }
+
+  const result = await getPool(division).query(`
+    SELECT id, price_id, product_group, customer_name, country_name, action, status,
+           selling_price, morm, TO_CHAR(effective_from, 'YYYY-MM-DD') AS effective_from,
+           actor_name, comments, created_at
+    FROM ${tables.priceHistory}
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY created_at DESC, id DESC
+    LIMIT 500
+  `, params);
+
+  return result.rows.map(row => ({
+    id: row.id,
+    priceId: row.price_id,
+    productGroup: row.product_group,
+    customer: row.customer_name,
+    country: row.country_name,
+    action: row.action,
+    status: row.status,
+    sellingPrice: row.selling_price !== null ? parseFloat(row.selling_price) : null,
+    morm: row.morm !== null ? parseFloat(row.morm) : null,
+    effectiveFrom: row.effective_from,
+    actorName: row.actor_name,
+    comments: row.comments,
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * Propose a price; it is used for budgets once approved
+ */
+async function proposePrice(division, input, actorName) {
+  await ensureTables(division);
+  const price = validatePriceInput(input);
+  const tables = getTableNames(division);
+  const client = await getPool(division).connect();
+
+  try {
+    await client.query('BEGIN');
+    const inserted = await client.query(`
+      INSERT INTO ${tables.priceList} (
+        product_group, customer_name, country_name, selling_price, morm, effective_from, notes, proposed_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING ${PRICE_COLUMNS}
+    `, [price.productGroup, price.customer, price.country, price.sellingPrice, price.morm,
+        price.effectiveFrom, price.notes, actorName]);
+
+    await recordHistory(client, division, inserted.rows[0], 'propose', actorName, price.notes);
+    await client.query('COMMIT');
+    return toPrice(inserted.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Change a proposal (approved and rejected prices are final)
+ */
+async function updateProposal(division, id, input, actorName) {
+  await ensureTables(division);
+  const price = validatePriceInput(input);
+  const tables = getTableNames(division);
+  const client = await getPool(division).connect();
+
+  try {
+    await client.query('BEGIN');
+    const current = await getPriceRow(client, division, id);
+    if (current.status !== 'PROPOSED') {
+      throw priceListError(`Cannot change a price that is ${current.status}; propose a new price instead`, 409);
+    }
+
+    const updated = await client.query(`
+      UPDATE ${tables.priceList}
+      SET product_group = $2, customer_name = $3, country_name = $4, selling_price = $5, morm = $6,
+          effective_from = $7, notes = $8, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${PRICE_COLUMNS}
+    `, [id, price.productGroup, price.customer, price.country, price.sellingPrice, price.morm,
+        price.effectiveFrom, price.notes]);
+
+    await recordHistory(client, division, updated.rows[0], 'update', actorName, price.notes);
+    await client.query('COMMIT');
+    return toPrice(updated.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Withdraw (delete) a proposal; the history keeps a record of it
+ */
+async function withdrawProposal(division, id, actorName) {
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const client = await getPool(division).connect();
+
+  try {
+    await client.query('BEGIN');
+    const current = await getPriceRow(client, division, id);
+    if (current.status !== 'PROPOSED') {
+      throw priceListError(`Cannot withdraw a price that is ${current.status}`, 409);
+    }
+
+    await client.query(`DELETE FROM ${tables.priceList} WHERE id = $1`, [id]);
+    await recordHistory(client, division, current, 'withdraw', actorName);
+    await client.query('COMMIT');
+    return toPrice(current);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Approve or reject a proposal
+ * @param {string} division
+ * @param {number} id
+ * @param {string} action - approve | reject
+ * @param {string} actorName
+ * @param {string} [comments] - Required to reject
+ */
+async function reviewPrice(division, id, action, actorName, comments = null) {
+  if (!['approve', 'reject'].includes(action)) {
+    throw priceListError(`Unknown review action: ${action}`, 400);
+  }
+  if (action === 'reject' && !(comments && comments.trim())) {
+    throw priceListError('Comments are required to reject a price', 400);
+  }
+
+  await ensureTables(division);
+  const tables = getTableNames(division);
+  const client = await getPool(division).connect();
+
+  try {
+    await client.query('BEGIN');
+    const current = await getPriceRow(client, division, id);
+    if (current.status !== 'PROPOSED') {
+      throw priceListError(`Cannot ${action} a price that is ${current.status}`, 409);
+    }
+
+    if (action === 'approve') {
+      const superseded = await client.query(`
+        UPDATE ${tables.priceList}
+        SET status = 'SUPERSEDED', updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'APPROVED' AND id <> $1
+          AND LOWER(product_group) = LOWER($2)
+          AND COALESCE(LOWER(customer_name), '') = COALESCE(LOWER($3), '')
+          AND COALESCE(LOWER(country_name), '') = COALESCE(LOWER($4), '')
+          AND effective_from = $5
+        RETURNING ${PRICE_COLUMNS}
+      `, [id, current.product_group, current.customer_name, current.country_name, current.effective_from]);
+
+      for (const row of superseded.rows) {
+        await recordHistory(client, division, row, 'supersede', actorName, `Replaced by price #${id}`);
+      }
+    }
+
+    const reviewed = await client.query(`
+      UPDATE ${tables.priceList}
+      SET status = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP, review_comments = $4,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${PRICE_COLUMNS}
+    `, [id, action === 'approve' ? 'APPROVED' : 'REJECTED', actorName, comments]);
+
+    await recordHistory(client, division, reviewed.rows[0], action, actorName, comments);
+    await client.query('COMMIT');
+    return toPrice(reviewed.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  STATUSES,
+  validatePriceInput,
+  buildPriceResolver,
+  loadBudgetPriceResolver,
+  listPrices,
+  getPriceHistory,
+  proposePrice,
+  updateProposal,
+  withdrawProposal,
+  reviewPrice
+};
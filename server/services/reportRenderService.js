@@ -0,0 +1,319 @@
+/**
+ * Report Render Service
+ * Server-side rendering of the reports that can be scheduled for email delivery
+ *
+ * REPORT TYPES:
+ * - divisional-pl: Divisional P&L statement (lines and formulas from the division's chart of
+ *   accounts) with Actual, Budget, variance, prior year and % of sales for the period
+ * - divisional-writeup: Narrative write-up of the period against the same months a year
+ *   earlier (services/writeUpService)
+ * - divisional-dashboard: KPI summary, P&L highlights and sales by product group, customer,
+ *   sales rep and country against budget and prior year (services/dashboardReportService)
+ * - sales-rep-report: Each sales rep against budget and prior year with their product groups
+ *   and top customers (services/dashboardReportService)
+ *
+ * FORMATS:
+ * - html: Self-contained HTML document (inline styles, shown in the email body and attached)
+ * - pdf:  The same document printed by headless Chromium (playwright-core). Needs a browser:
+ *         REPORT_BROWSER_PATH, or one installed with `npx playwright-core install chromium`
+ */
+
+const { authPool } = require('../database/config');
+const plDataService = require('./plDataService');
+const fxRateService = require('./fxRateService');
+const { evaluateLedgers } = require('../utils/plFormula');
+const logger = require('../utils/logger');
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const FORMATS = ['html', 'pdf'];
+
+const renderError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Values of the chart of accounts for one column (type + year + months)
+ * Posted amounts and volumes are summed over the months, posted percentages averaged;
+ * formula lines are computed from the totals so ratios stay correct for multi-month periods.
+ */
+function evaluateColumn(ledgers, rows, { type, year, months }) {
+  const totals = {};
+  const counts = {};
+  rows
+    .filter(row => row.type.toUpperCase() === type.toUpperCase() && row.year === year && months.includes(row.month))
+    .forEach(row => {
+      totals[row.ledger_code] = (totals[row.ledger_code] || 0) + row.amount;
+      counts[row.ledger_code] = (counts[row.ledger_code] || 0) + 1;
+    });
+
+  const hasData = Object.keys(totals).length > 0;
+  const values = evaluateLedgers(ledgers, ledger => {
+    const total = totals[ledger.code] || 0;
+    return ledger.measure === 'PERCENT' && counts[ledger.code] ? total / counts[ledger.code] : total;
+  });
+  return { hasData, values };
+}
+
+/**
+ * P&L statement lines for a period
+ * @param {Array} ledgers - Chart of accounts (getLedgers)
+ * @param {Array} rows - P&L amounts of the period year and the prior year (getData)
+ * @param {{year: number, months: number[]}} period
+ * @returns {{lines: Array, columns: {actual: boolean, budget: boolean, priorYear: boolean}}}
+ */
+function buildPlStatement(ledgers, rows, period) {
+  const actual = evaluateColumn(ledgers, rows, { type: 'Actual', year: period.year, months: period.months });
+  const budget = evaluateColumn(ledgers, rows, { type: 'Budget', year: period.year, months: period.months });
+  const priorYear = evaluateColumn(ledgers, rows, { type: 'Actual', year: period.year - 1, months: period.months });
+  const sales = actual.values.SALES || 0;
+
+  const lines = ledgers
+    .filter(ledger => ledger.statement_order !== null && ledger.statement_order !== undefined)
+    .sort((a, b) => a.statement_order - b.statement_order || a.sort_order - b.sort_order)
+    .map(ledger => {
+      const actualValue = actual.values[ledger.code] || 0;
+      const budgetValue = budget.values[ledger.code] || 0;
+      const isAmount = ledger.measure === 'AMOUNT';
+      return {
+        code: ledger.code,
+        name: ledger.name,
+        measure: ledger.measure,
+        isTotal: Boolean(ledger.is_total),
+        actual: actualValue,
+        budget: budgetValue,
+        variance: actualValue - budgetValue,
+        variancePct: budgetValue !== 0 && ledger.measure !== 'PERCENT'
+          ? ((actualValue - budgetValue) / Math.abs(budgetValue)) * 100
+          : null,
+        priorYear: priorYear.values[ledger.code] || 0,
+        pctOfSales: isAmount && sales !== 0 ? (actualValue / sales) * 100 : null
+      };
+    });
+
+  return {
+    lines,
+    columns: { actual: actual.hasData, budget: budget.hasData, priorYear: priorYear.hasData }
+  };
+}
+
+const formatNumber = (value, measure) => {
+  if (value === null || value === undefined) return '';
+  if (measure === 'PERCENT') return `${value.toFixed(1)}%`;
+  return Math.round(value).toLocaleString('en-US');
+};
+
+const formatPct = (value) => (value === null || value === undefined ? '' : `${value.toFixed(1)}%`);
+
+/**
+ * Self-contained HTML for a P&L statement (inline styles so mail clients keep the layout)
+ */
+function renderPlStatementHtml({ companyName, division, currency, period, statement, generatedAt = new Date() }) {
+  const cell = 'padding:4px 8px;border-bottom:1px solid #e8e8e8;text-align:right;white-space:nowrap;';
+  const head = 'padding:6px 8px;background:#1f4e79;color:#fff;text-align:right;white-space:nowrap;';
+  const varianceStyle = (value) => (value < 0 ? 'color:#c0392b;' : '');
+
+  const body = statement.lines.map(line => {
+    const weight = line.isTotal ? 'font-weight:bold;background:#f5f8fc;' : '';
+    return `
+      <tr style="${weight}">
+        <td style="${cell}text-align:left;">${escapeHtml(line.name)}</td>
+        <td style="${cell}">${formatNumber(line.actual, line.measure)}</td>
+        <td style="${cell}">${formatNumber(line.budget, line.measure)}</td>
+        <td style="${cell}${varianceStyle(line.variance)}">${formatNumber(line.variance, line.measure)}</td>
+        <td style="${cell}${varianceStyle(line.variancePct)}">${formatPct(line.variancePct)}</td>
+        <td style="${cell}">${formatNumber(line.priorYear, line.measure)}</td>
+        <td style="${cell}">${formatPct(line.pctOfSales)}</td>
+      </tr>`;
+  }).join('');
+
+  const missing = [
+    !statement.columns.actual && 'actual',
+    !statement.columns.budget && 'budget',
+    !statement.columns.priorYear && 'prior year'
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(division)} P&amp;L - ${escapeHtml(period.label)}</title>
+</head>
+<body style="font-family:Arial,Helvetica,sans-serif;font-size:13px;color:#222;margin:16px;">
+  <h2 style="margin:0 0 4px;">${escapeHtml(companyName)} - ${escapeHtml(division)} Division</h2>
+  <div style="margin-bottom:12px;color:#555;">
+    Profit &amp; Loss, ${escapeHtml(period.label)} (${escapeHtml(currency)})
+  </div>
+  ${missing.length ? `<p style="color:#b36b00;">No ${missing.join(', ')} figures loaded for this period.</p>` : ''}
+  <table style="border-collapse:collapse;min-width:640px;">
+    <thead>
+      <tr>
+        <th style="${head}text-align:left;">Line</th>
+        <th style="${head}">Actual</th>
+        <th style="${head}">Budget</th>
+        <th style="${head}">Variance</th>
+        <th style="${head}">Var %</th>
+        <th style="${head}">Prior Year</th>
+        <th style="${head}">% of Sales</th>
+      </tr>
+    </thead>
+    <tbody>${body}
+    </tbody>
+  </table>
+  <p style="margin-top:16px;color:#888;font-size:11px;">Generated ${escapeHtml(generatedAt.toISOString().replace('T', ' ').slice(0, 16))} UTC</p>
+</body>
+</html>`;
+}
+
+/**
+ * Company name from company_settings
+ */
+async function getCompanyName() {
+  const result = await authPool.query(
+    `SELECT setting_value FROM company_settings WHERE setting_key = 'company_name'`
+  );
+  let name = result.rows[0]?.setting_value;
+  if (typeof name === 'string') {
+    try {
+      name = JSON.parse(name);
+    } catch (e) {
+      // Stored as plain text
+    }
+  }
+  return typeof name === 'string' && name ? name : 'Company';
+}
+
+/**
+ * Division name from company_settings, e.g. "Flexible Packaging"
+ */
+async function getDivisionName(divisionCode) {
+  const result = await authPool.query(
+    `SELECT setting_value FROM company_settings WHERE setting_key = 'divisions'`
+  );
+  const divisions = Array.isArray(result.rows[0]?.setting_value) ? result.rows[0].setting_value : [];
+  const division = divisions.find(entry => String(entry.code).toUpperCase() === divisionCode);
+  return division?.name || `${divisionCode} Division`;
+}
+
+async function renderDivisionalPl({ division, period }) {
+  const [companyName, currency, ledgers, currentRows, priorRows] = await Promise.all([
+    getCompanyName(),
+    fxRateService.getBaseCurrency(),
+    plDataService.getLedgers(division),
+    plDataService.getData(division, { year: period.year }),
+    plDataService.getData(division, { year: period.year - 1 })
+  ]);
+
+  const statement = buildPlStatement(ledgers, [...currentRows, ...priorRows], period);
+  return renderPlStatementHtml({ companyName, division, currency, period, statement });
+}
+
+const REPORT_TYPES = {
+  'divisional-pl': {
+    label: 'Divisional P&L',
+    render: renderDivisionalPl
+  },
+  'divisional-writeup': {
+    label: 'Divisional Write-Up',
+    // Required on use: writeUpService builds on this module
+    render: (options) => require('./writeUpService').renderWriteUpHtml(options)
+  },
+  'divisional-dashboard': {
+    label: 'Divisional Dashboard',
+    // Required on use like the write-up: dashboardReportService builds on this module
+    render: (options) => require('./dashboardReportService').renderDivisionalDashboard(options)
+  },
+  'sales-rep-report': {
+    label: 'Sales Rep Report',
+    render: (options) => require('./dashboardReportService').renderSalesRepReport(options)
+  }
+};
+
+/**
+ * Print HTML to PDF with headless Chromium
+ * @param {string} html
+ * @returns {Promise<Buffer>}
+ */
+async function htmlToPdf(html) {
+  const { chromium } = require('playwright-core');
+
+  let browser;
+  try {
+    browser = await chromium.launch({
+      headless: true,
+      executablePath: process.env.REPORT_BROWSER_PATH || undefined
+    });
+  } catch (error) {
+    logger.error('Headless browser launch failed', { error: error.message });
+    throw renderError(
+      'PDF rendering needs Chromium: set REPORT_BROWSER_PATH or run "npx playwright-core install chromium"',
+      503
+    );
+  }
+
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: 'load' });
+    return await page.pdf({
+      format: 'A4',
+      landscape: true,
+      printBackground: true,
+      margin: { top: '10mm', bottom: '10mm', left: '10mm', right: '10mm' }
+    });
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Render a report
+ * @param {object} options
+ * @param {string} options.reportType - Key of REPORT_TYPES
+ * @param {string} options.division
+ * @param {{year: number, months: number[], label: string}} options.period
+ * @param {string} [options.format] - html | pdf
+ * @returns {Promise<{title: string, html: string, attachment: {filename: string, content: Buffer, contentType: string}}>}
+ */
+async function renderReport({ reportType, division, period, format = 'html' }) {
+  const definition = REPORT_TYPES[reportType];
+  if (!definition) throw renderError(`Unknown report type: ${reportType}`, 400);
+  if (!FORMATS.includes(format)) throw renderError(`Unknown format: ${format}`, 400);
+
+  const divisionCode = String(division).toUpperCase();
+  const html = await definition.render({ division: divisionCode, period });
+  const title = `${divisionCode} ${definition.label} - ${period.label}`;
+  const baseName = title.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+  const attachment = format === 'pdf'
+    ? { filename: `${baseName}.pdf`, content: await htmlToPdf(html), contentType: 'application/pdf' }
+    : { filename: `${baseName}.html`, content: Buffer.from(html, 'utf8'), contentType: 'text/html' };
+
+  return { title, html, attachment };
+}
+
+module.exports = {
+  MONTH_NAMES,
+  FORMATS,
+  REPORT_TYPES,
+  evaluateColumn,
+  buildPlStatement,
+  renderPlStatementHtml,
+  escapeHtml,
+  formatNumber,
+  formatPct,
+  getCompanyName,
+  getDivisionName,
+  htmlToPdf,
+  renderReport
+};
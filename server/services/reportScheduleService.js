@@ -0,0 +1,553 @@
+/**
+ * Report Schedule Service
+ * Recurring email delivery of server-rendered reports
+ * ("FP divisional P&L, last closed month, every 3rd business day, to the management list")
+ *
+ * STORAGE (auth database, company-wide):
+ * - report_schedules: what to render (type, division, period, format), for whom (recipients)
+ *   and when (frequency + time, next_run_at)
+ * - report_schedule_runs: run history (scheduled or manual), status, error, message id
+ *
+ * SCHEDULING:
+ * - daily at HH:MM, weekly on a day of the week, monthly on a day of the month or on the
+ *   Nth business day (Monday - Friday; a month with fewer business days uses the last one)
+ * - Times are server local time
+ * - startScheduler() polls for due schedules every minute. A due schedule is claimed with
+ *   FOR UPDATE SKIP LOCKED and moved to its next run before it is rendered, so several
+ *   server instances never send the same report twice
+ *
+ * PERIODS (relative to the scheduled run time):
+ * - last_closed_month: the calendar month before the run
+ * - year_to_date: January up to the last closed month
+ *
+ * Failed runs are recorded and alerted through config/alerting (Slack and email channels).
+ */
+
+const { authPool } = require('../database/config');
+const emailService = require('./emailService');
+const reportRenderService = require('./reportRenderService');
+const { alert } = require('../config/alerting');
+const logger = require('../utils/logger');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const PERIODS = {
+  last_closed_month: 'Last closed month',
+  year_to_date: 'Year to date (last closed month)'
+};
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const MAX_RECIPIENTS = 50;
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const scheduleError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+let tablesEnsured = false;
+
+async function ensureTables() {
+  if (tablesEnsured) return;
+
+  await authPool.query(`
+    CREATE TABLE IF NOT EXISTS report_schedules (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      report_type VARCHAR(50) NOT NULL,
+      division VARCHAR(20) NOT NULL,
+      period VARCHAR(30) NOT NULL,
+      format VARCHAR(10) NOT NULL DEFAULT 'html',
+      recipients TEXT[] NOT NULL,
+      frequency VARCHAR(10) NOT NULL,
+      day_of_week INTEGER CHECK (day_of_week BETWEEN 1 AND 7),
+      day_of_month INTEGER CHECK (day_of_month BETWEEN 1 AND 31),
+      business_day INTEGER CHECK (business_day BETWEEN 1 AND 23),
+      run_time VARCHAR(5) NOT NULL DEFAULT '07:00',
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      next_run_at TIMESTAMP,
+      last_run_at TIMESTAMP,
+      last_status VARCHAR(20),
+      created_by VARCHAR(255),
+      updated_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_report_schedules_due ON report_schedules(next_run_at) WHERE is_active;
+
+    CREATE TABLE IF NOT EXISTS report_schedule_runs (
+      id SERIAL PRIMARY KEY,
+      schedule_id INTEGER NOT NULL REFERENCES report_schedules(id) ON DELETE CASCADE,
+      trigger VARCHAR(20) NOT NULL,
+      period_label VARCHAR(100),
+      status VARCHAR(20) NOT NULL DEFAULT 'running',
+      recipients TEXT[],
+      message_id VARCHAR(255),
+      attachment_bytes INTEGER,
+      error TEXT,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      finished_at TIMESTAMP,
+      triggered_by VARCHAR(255)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_report_schedule_runs_schedule ON report_schedule_runs(schedule_id, started_at DESC);
+  `);
+
+  tablesEnsured = true;
+}
+
+const WEEKEND_DAYS = [0, 6]; // Date#getDay(): Sunday, Saturday
+
+const isBusinessDay = (date) => !WEEKEND_DAYS.includes(date.getDay());
+
+/**
+ * Date of the Nth business day of a month (the last one when the month has fewer)
+ */
+function nthBusinessDay(year, monthIndex, n) {
+  let found = null;
+  let count = 0;
+  const days = new Date(year, monthIndex + 1, 0).getDate();
+  for (let day = 1; day <= days && count < n; day++) {
+    const date = new Date(year, monthIndex, day);
+    if (isBusinessDay(date)) {
+      count++;
+      found = day;
+    }
+  }
+  return found;
+}
+
+/**
+ * Whether a schedule runs on a calendar day
+ */
+function runsOn(schedule, date) {
+  if (schedule.frequency === 'daily') return true;
+  if (schedule.frequency === 'weekly') {
+    // day_of_week: 1 = Monday ... 7 = Sunday
+    return ((date.getDay() + 6) % 7) + 1 === schedule.day_of_week;
+  }
+  if (schedule.business_day) {
+    return date.getDate() === nthBusinessDay(date.getFullYear(), date.getMonth(), schedule.business_day);
+  }
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  return date.getDate() === Math.min(schedule.day_of_month, lastDay);
+}
+
+/**
+ * First run time strictly after a moment
+ * @param {object} schedule - frequency, day_of_week, day_of_month, business_day, run_time
+ * @param {Date} [after]
+ * @returns {Date}
+ */
+function computeNextRun(schedule, after = new Date()) {
+  const [hours, minutes] = schedule.run_time.split(':').map(Number);
+
+  // Two years covers every monthly rule; the loop only ends early through the return
+  for (let offset = 0; offset <= 731; offset++) {
+    const day = new Date(after.getFullYear(), after.getMonth(), after.getDate() + offset);
+    if (!runsOn(schedule, day)) continue;
+    const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+    if (candidate > after) return candidate;
+  }
+  throw scheduleError('Schedule never runs', 400);
+}
+
+/**
+ * Reporting period of a run
+ * @param {string} period - Key of PERIODS
+ * @param {Date} runAt
+ * @returns {{year: number, months: number[], label: string}}
+ */
+function resolvePeriod(period, runAt) {
+  const lastClosed = new Date(runAt.getFullYear(), runAt.getMonth() - 1, 1);
+  const year = lastClosed.getFullYear();
+  const month = lastClosed.getMonth() + 1;
+  const monthName = reportRenderService.MONTH_NAMES[month - 1];
+
+  if (period === 'year_to_date') {
+    return {
+      year,
+      months: Array.from({ length: month }, (_, i) => i + 1),
+      label: month === 1 ? `January ${year}` : `January - ${monthName} ${year}`
+    };
+  }
+  if (period === 'last_closed_month') {
+    return { year, months: [month], label: `${monthName} ${year}` };
+  }
+  throw scheduleError(`Unknown period: ${period}`, 400);
+}
+
+/**
+ * Human-readable schedule rule ("3rd business day of the month at 07:00")
+ */
+function describeSchedule(schedule) {
+  const ordinal = (n) => {
+    const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+  };
+
+  if (schedule.frequency === 'daily') return `Daily at ${schedule.run_time}`;
+  if (schedule.frequency === 'weekly') return `Every ${WEEKDAY_NAMES[schedule.day_of_week - 1]} at ${schedule.run_time}`;
+  if (schedule.business_day) return `${ordinal(schedule.business_day)} business day of the month at ${schedule.run_time}`;
+  return `Day ${schedule.day_of_month} of the month at ${schedule.run_time}`;
+}
+
+const optionalInt = (value) => (value === null || value === undefined || value === '' ? null : parseInt(value, 10));
+
+/**
+ * Validate a schedule from the Settings form
+ * @returns {object} Column values
+ */
+function validateSchedule(input) {
+  const name = String(input.name || '').trim();
+  const reportType = input.reportType ?? input.report_type;
+  const division = String(input.division || '').trim().toUpperCase();
+  const period = input.period;
+  const format = input.format || 'html';
+  const frequency = input.frequency;
+  const runTime = String(input.runTime ?? input.run_time ?? '07:00').trim();
+  const recipients = [...new Set((Array.isArray(input.recipients) ? input.recipients : String(input.recipients || '').split(/[,;\s]+/))
+    .map(email => String(email).trim().toLowerCase())
+    .filter(Boolean))];
+
+  if (!name || name.length > 200) throw scheduleError('Name is required (max 200 characters)', 400);
+  if (!reportRenderService.REPORT_TYPES[reportType]) throw scheduleError(`Unknown report type: ${reportType}`, 400);
+  if (!/^[A-Z]{2,10}$/.test(division)) throw scheduleError(`Invalid division: ${input.division}`, 400);
+  if (!PERIODS[period]) throw scheduleError(`Unknown period: ${period}`, 400);
+  if (!reportRenderService.FORMATS.includes(format)) throw scheduleError(`Unknown format: ${format}`, 400);
+  if (!FREQUENCIES.includes(frequency)) {
+    throw scheduleError(`Frequency must be one of ${FREQUENCIES.join(', ')}`, 400);
+  }
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(runTime)) throw scheduleError(`Invalid time: ${runTime} (expected HH:MM)`, 400);
+  if (recipients.length === 0) throw scheduleError('At least one recipient is required', 400);
+  if (recipients.length > MAX_RECIPIENTS) throw scheduleError(`At most ${MAX_RECIPIENTS} recipients`, 400);
+  const invalid = recipients.filter(email => !emailService.isValidEmail(email));
+  if (invalid.length > 0) throw scheduleError(`Invalid email address: ${invalid.join(', ')}`, 400);
+
+  let dayOfWeek = null;
+  let dayOfMonth = null;
+  let businessDay = null;
+
+  if (frequency === 'weekly') {
+    dayOfWeek = optionalInt(input.dayOfWeek ?? input.day_of_week);
+    if (!(dayOfWeek >= 1 && dayOfWeek <= 7)) throw scheduleError('Weekly schedules need a day of the week (1 = Monday ... 7 = Sunday)', 400);
+  }
+  if (frequency === 'monthly') {
+    businessDay = optionalInt(input.businessDay ?? input.business_day);
+    dayOfMonth = optionalInt(input.dayOfMonth ?? input.day_of_month);
+    if ((businessDay === null) === (dayOfMonth === null)) {
+      throw scheduleError('Monthly schedules need either a business day or a day of the month', 400);
+    }
+    if (businessDay !== null && !(businessDay >= 1 && businessDay <= 23)) throw scheduleError('Business day must be between 1 and 23', 400);
+    if (dayOfMonth !== null && !(dayOfMonth >= 1 && dayOfMonth <= 31)) throw scheduleError('Day of month must be between 1 and 31', 400);
+  }
+
+  return {
+    name,
+    report_type: reportType,
+    division,
+    period,
+    format,
+    recipients,
+    frequency,
+    day_of_week: dayOfWeek,
+    day_of_month: dayOfMonth,
+    business_day: businessDay,
+    run_time: runTime,
+    is_active: input.isActive ?? input.is_active ?? true
+  };
+}
+
+const withDescription = (schedule) => schedule && { ...schedule, description: describeSchedule(schedule) };
+
+/**
+ * All schedules with their rule in words
+ */
+async function listSchedules() {
+  await ensureTables();
+  const result = await authPool.query('SELECT * FROM report_schedules ORDER BY name, id');
+  return result.rows.map(withDescription);
+}
+
+async function getSchedule(id) {
+  await ensureTables();
+  const result = await authPool.query('SELECT * FROM report_schedules WHERE id = $1', [id]);
+  if (result.rows.length === 0) throw scheduleError(`Report schedule ${id} not found`, 404);
+  return withDescription(result.rows[0]);
+}
+
+/**
+ * Create a schedule
+ * @param {object} input - name, reportType, division, period, format, recipients, frequency,
+ *   dayOfWeek | dayOfMonth | businessDay, runTime, isActive
+ * @param {string} createdBy
+ */
+async function createSchedule(input, createdBy) {
+  const columns = validateSchedule(input);
+  await ensureTables();
+
+  const nextRunAt = columns.is_active ? computeNextRun(columns) : null;
+  const result = await authPool.query(
+    `INSERT INTO report_schedules (name, report_type, division, period, format, recipients, frequency,
+       day_of_week, day_of_month, business_day, run_time, is_active, next_run_at, created_by, updated_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $14)
+     RETURNING *`,
+    [columns.name, columns.report_type, columns.division, columns.period, columns.format, columns.recipients,
+      columns.frequency, columns.day_of_week, columns.day_of_month, columns.business_day, columns.run_time,
+      columns.is_active, nextRunAt, createdBy]
+  );
+
+  logger.info(`📅 Report schedule created: ${columns.name}`, { createdBy, nextRunAt });
+  return withDescription(result.rows[0]);
+}
+
+/**
+ * Update a schedule (full replacement of the editable fields, next run recomputed)
+ */
+async function updateSchedule(id, input, updatedBy) {
+  await getSchedule(id);
+  const columns = validateSchedule(input);
+
+  const nextRunAt = columns.is_active ? computeNextRun(columns) : null;
+  const result = await authPool.query(
+    `UPDATE report_schedules
+     SET name = $2, report_type = $3, division = $4, period = $5, format = $6, recipients = $7,
+         frequency = $8, day_of_week = $9, day_of_month = $10, business_day = $11, run_time = $12,
+         is_active = $13, next_run_at = $14, updated_by = $15, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, columns.name, columns.report_type, columns.division, columns.period, columns.format, columns.recipients,
+      columns.frequency, columns.day_of_week, columns.day_of_month, columns.business_day, columns.run_time,
+      columns.is_active, nextRunAt, updatedBy]
+  );
+
+  logger.info(`📅 Report schedule updated: ${columns.name}`, { updatedBy, nextRunAt });
+  return withDescription(result.rows[0]);
+}
+
+async function deleteSchedule(id, deletedBy) {
+  const existing = await getSchedule(id);
+  await authPool.query('DELETE FROM report_schedules WHERE id = $1', [id]);
+  logger.info(`📅 Report schedule deleted: ${existing.name}`, { deletedBy });
+  return existing;
+}
+
+/**
+ * Run history of a schedule, newest first
+ */
+async function listRuns(scheduleId, limit = 50) {
+  await getSchedule(scheduleId);
+  const result = await authPool.query(
+    `SELECT * FROM report_schedule_runs WHERE schedule_id = $1 ORDER BY started_at DESC, id DESC LIMIT $2`,
+    [scheduleId, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)]
+  );
+  return result.rows;
+}
+
+/**
+ * Render a schedule's report without sending it
+ * @returns {Promise<string>} HTML
+ */
+async function previewSchedule(id, runAt = new Date()) {
+  const schedule = await getSchedule(id);
+  const { html } = await reportRenderService.renderReport({
+    reportType: schedule.report_type,
+    division: schedule.division,
+    period: resolvePeriod(schedule.period, runAt),
+    format: 'html'
+  });
+  return html;
+}
+
+/**
+ * Render and send one schedule, recording the run
+ * @param {object} schedule - Row of report_schedules
+ * @param {object} [options]
+ * @param {string} [options.trigger] - schedule | manual
+ * @param {Date} [options.runAt] - Scheduled time the period is resolved from
+ * @param {string} [options.triggeredBy]
+ * @returns {Promise<object>} The run row
+ */
+async function executeSchedule(schedule, { trigger = 'manual', runAt = new Date(), triggeredBy = null } = {}) {
+  const runResult = await authPool.query(
+    `INSERT INTO report_schedule_runs (schedule_id, trigger, recipients, triggered_by)
+     VALUES ($1, $2, $3, $4) RETURNING id`,
+    [schedule.id, trigger, schedule.recipients, triggeredBy]
+  );
+  const runId = runResult.rows[0].id;
+
+  let status = 'success';
+  let periodLabel = null;
+  let messageId = null;
+  let attachmentBytes = null;
+  let errorMessage = null;
+
+  try {
+    const period = resolvePeriod(schedule.period, runAt);
+    periodLabel = period.label;
+
+    const report = await reportRenderService.renderReport({
+      reportType: schedule.report_type,
+      division: schedule.division,
+      period,
+      format: schedule.format
+    });
+    attachmentBytes = report.attachment.content.length;
+
+    const sent = await emailService.sendMail({
+      to: schedule.recipients,
+      subject: `${schedule.name} - ${period.label}`,
+      html: schedule.format === 'html'
+        ? report.html
+        : `<p>${report.title} is attached.</p><p style="color:#888;font-size:11px;">Scheduled report "${schedule.name}"</p>`,
+      text: `${report.title}\n\nScheduled report "${schedule.name}" (${describeSchedule(schedule)}).`,
+      attachments: [report.attachment]
+    });
+    messageId = sent.messageId;
+
+    if (sent.rejected.length > 0) {
+      status = 'partial';
+      errorMessage = `Rejected by the mail server: ${sent.rejected.join(', ')}`;
+    }
+  } catch (error) {
+    status = 'failed';
+    errorMessage = error.message;
+    logger.error(`❌ Scheduled report failed: ${schedule.name}`, { scheduleId: schedule.id, runId, error: error.message });
+  }
+
+  const finished = await authPool.query(
+    `UPDATE report_schedule_runs
+     SET status = $2, period_label = $3, message_id = $4, attachment_bytes = $5, error = $6, finished_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [runId, status, periodLabel, messageId, attachmentBytes, errorMessage]
+  );
+  await authPool.query(
+    'UPDATE report_schedules SET last_run_at = NOW(), last_status = $2 WHERE id = $1',
+    [schedule.id, status]
+  );
+
+  if (status === 'success') {
+    logger.info(`📧 Scheduled report sent: ${schedule.name} (${periodLabel})`, { scheduleId: schedule.id, runId });
+  } else {
+    alert.error(
+      `Scheduled report ${status === 'failed' ? 'failed' : 'partially delivered'}: ${schedule.name}`,
+      errorMessage,
+      {
+        source: 'Report scheduler',
+        dedupKey: `report-schedule-${schedule.id}`,
+        metadata: { scheduleId: schedule.id, runId, division: schedule.division, period: periodLabel, trigger },
+        channels: ['slack', 'email']
+      }
+    ).catch(alertError => logger.error('Failed to send report alert', { error: alertError.message }));
+  }
+
+  return finished.rows[0];
+}
+
+/**
+ * Send a schedule now, outside its rule (next_run_at is not changed)
+ */
+async function runNow(id, triggeredBy) {
+  const schedule = await getSchedule(id);
+  return executeSchedule(schedule, { trigger: 'manual', triggeredBy });
+}
+
+/**
+ * Claim the schedules that are due and move each to its next run (one transaction)
+ * @returns {Promise<Array<{schedule: object, runAt: Date}>>}
+ */
+async function claimDueSchedules(now = new Date()) {
+  await ensureTables();
+
+  const client = await authPool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const due = await client.query(
+      `SELECT * FROM report_schedules
+       WHERE is_active AND next_run_at <= $1
+       ORDER BY next_run_at
+       LIMIT 20
+       FOR UPDATE SKIP LOCKED`,
+      [now]
+    );
+
+    const claimed = [];
+    for (const schedule of due.rows) {
+      await client.query('UPDATE report_schedules SET next_run_at = $2 WHERE id = $1', [schedule.id, computeNextRun(schedule, now)]);
+      claimed.push({ schedule, runAt: new Date(schedule.next_run_at) });
+    }
+
+    await client.query('COMMIT');
+    return claimed;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+let schedulerTimer = null;
+let tickRunning = false;
+
+/**
+ * One scheduler pass: send every due report (a run that was missed while the server was
+ * down is sent once, for the period of its scheduled time)
+ */
+async function runDueSchedules() {
+  if (tickRunning) return 0;
+  tickRunning = true;
+  try {
+    const claimed = await claimDueSchedules();
+    for (const { schedule, runAt } of claimed) {
+      await executeSchedule(schedule, { trigger: 'schedule', runAt });
+    }
+    return claimed.length;
+  } catch (error) {
+    logger.error('Report scheduler pass failed', { error: error.message });
+    return 0;
+  } finally {
+    tickRunning = false;
+  }
+}
+
+/**
+ * Start polling for due schedules
+ */
+function startScheduler({ intervalMs = POLL_INTERVAL_MS } = {}) {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(runDueSchedules, intervalMs);
+  schedulerTimer.unref();
+  logger.info('📅 Report scheduler started', { intervalMs, smtpConfigured: emailService.isConfigured() });
+}
+
+function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  FREQUENCIES,
+  PERIODS,
+  nthBusinessDay,
+  computeNextRun,
+  resolvePeriod,
+  describeSchedule,
+  validateSchedule,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  listRuns,
+  previewSchedule,
+  executeSchedule,
+  runNow,
+  runDueSchedules,
+  startScheduler,
+  stopScheduler
+};
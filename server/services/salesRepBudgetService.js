@@ -1,5 +1,6 @@
 const { getDivisionPool } = require('../utils/divisionDatabaseManager');
 const logger = require('../utils/logger');
+const { loadBudgetPriceResolver } = require('./priceListService');
 
 const MAX_KGS_VALUE = 1_000_000_000; // 1 billion KGS limit per record
 const UNIQUE_CONFLICT_FIELDS = 'division, budget_year, month, type, salesrepname, customername, countryname, productgroup, values_type';
@@ -278,6 +279,7 @@ const saveLiveSalesRepBudget = async (client, payload) => {
 
   const materialProcessMap = await fetchMaterialProcessMap(client, divisionCode);
   const pricingMap = await fetchPricingMap(client, metadata.division, divisionCode, pricingYear);
+  const priceList = await loadBudgetPriceResolver(client, metadata.division, metadata.budgetYear, pricingMap);
   const warnings = [];
   const missingPricingProducts = new Set();
   let insertedKGS = 0;
@@ -322,7 +324,13 @@ const saveLiveSalesRepBudget = async (client, payload) => {
     
     const productGroupKey = normalizeProductGroupKey(record.productGroup);
     const materialProcess = materialProcessMap[productGroupKey] || { material: '', process: '' };
-    const pricing = pricingMap[productGroupKey] || { sellingPrice: null, morm: null };
+    const pricing = priceList.resolve({
+      productGroup: record.productGroup,
+      customer: record.customer,
+      country: record.country,
+      year: metadata.budgetYear,
+      month: record.month
+    });
 
     await insertRecord(client, insertQuery, [
       metadata.division,
@@ -403,10 +411,135 @@ const saveLiveSalesRepBudget = async (client, payload) => {
     },
     pricingYear,
     pricingDataAvailable: Object.keys(pricingMap).length,
+    approvedPricesAvailable: priceList.approvedPrices,
     warnings: warnings.length > 0 ? warnings : undefined
   };
 };
 
+/**
+ * Replace a sales rep's draft ({div}_sales_rep_budget_draft) with KGS records.
+ * Imports land here like the live entry auto-save; the final budget table is only
+ * written when the budget is approved (budgetApprovalService.transitionBudget).
+ * Runs on the caller's client, inside the caller's transaction.
+ */
+const saveSalesRepBudgetDraft = async (client, payload) => {
+  const { division, budgetYear, salesRep, records } = payload;
+
+  if (!Array.isArray(records)) {
+    throw new Error('records array is required');
+  }
+
+  const metadata = {
+    division: safeTrim(division),
+    budgetYear: parseInt(budgetYear, 10),
+    salesRep: toProperCase(salesRep),
+    savedAt: new Date().toISOString()
+  };
+
+  if (!metadata.division || !metadata.salesRep || Number.isNaN(metadata.budgetYear)) {
+    const invalidMetadataError = new Error('division, salesRep, and budgetYear are required');
+    invalidMetadataError.details = { division, budgetYear, salesRep };
+    throw invalidMetadataError;
+  }
+
+  const { validRecords, skippedRecords, errors } = sanitizeRecords(records);
+  if (validRecords.length === 0) {
+    const validationError = new Error(skippedRecords > 0
+      ? 'All records were invalid. Please review the data and try again.'
+      : 'No budget records to save.');
+    validationError.details = errors;
+    throw validationError;
+  }
+
+  const tables = getTableNames(metadata.division);
+  const deleteResult = await client.query(`
+    DELETE FROM ${tables.salesRepBudgetDraft}
+    WHERE UPPER(division) = UPPER($1)
+      AND UPPER(salesrepname) = UPPER($2)
+      AND budget_year = $3
+  `, [metadata.division, metadata.salesRep, metadata.budgetYear]);
+
+  let totalKgs = 0;
+  for (const record of validRecords) {
+    await client.query(`
+      INSERT INTO ${tables.salesRepBudgetDraft} (
+        division, budget_year, month, salesrepname,
+        customername, countryname, productgroup, values, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
+      ON CONFLICT (division, budget_year, month, salesrepname, customername, countryname, productgroup)
+      DO UPDATE SET values = EXCLUDED.values, updated_at = CURRENT_TIMESTAMP
+    `, [
+      metadata.division,
+      metadata.budgetYear,
+      record.month,
+      metadata.salesRep,
+      toProperCase(record.customer),
+      toProperCase(record.country),
+      toProperCase(record.productGroup),
+      record.value
+    ]);
+    totalKgs += record.value;
+  }
+
+  return {
+    metadata,
+    recordsDeleted: deleteResult.rowCount,
+    recordsProcessed: validRecords.length,
+    recordsSaved: validRecords.length,
+    skippedRecords,
+    validationErrors: errors.slice(0, 10),
+    totalKgs
+  };
+};
+
+/**
+ * Record count, KGS total and last save of a sales rep's draft
+ */
+const getSalesRepDraftTotals = async (db, { division, salesRep, budgetYear }) => {
+  const tables = getTableNames(division);
+  const result = await db.query(`
+    SELECT COUNT(*)::int AS record_count, COALESCE(SUM(values), 0) AS total, MAX(updated_at) AS last_saved
+    FROM ${tables.salesRepBudgetDraft}
+    WHERE UPPER(division) = UPPER($1)
+      AND UPPER(salesrepname) = UPPER($2)
+      AND budget_year = $3
+  `, [division, salesRep, budgetYear]);
+
+  const row = result.rows[0] || {};
+  return {
+    records: row.record_count || 0,
+    KGS: parseFloat(row.total) || 0,
+    lastSaved: row.last_saved || null
+  };
+};
+
+/**
+ * Record count and totals per values_type (KGS, Amount, MoRM) of a sales rep's live budget,
+ * the before / after state of a budget save in the audit log
+ */
+const getSalesRepBudgetTotals = async (divisionPool, { division, salesRep, budgetYear }) => {
+  const tables = getTableNames(division);
+  const result = await divisionPool.query(`
+    SELECT values_type, COUNT(*)::int AS record_count, COALESCE(SUM(values), 0) AS total
+    FROM ${tables.salesRepBudget}
+    WHERE UPPER(division) = UPPER($1)
+      AND UPPER(salesrepname) = UPPER($2)
+      AND budget_year = $3
+      AND UPPER(type) = 'BUDGET'
+    GROUP BY values_type
+  `, [division, salesRep, budgetYear]);
+
+  const totals = { records: 0 };
+  result.rows.forEach(row => {
+    totals.records += row.record_count;
+    totals[row.values_type] = parseFloat(row.total) || 0;
+  });
+  return totals;
+};
+
 module.exports = {
-  saveLiveSalesRepBudget
+  saveLiveSalesRepBudget,
+  saveSalesRepBudgetDraft,
+  getSalesRepBudgetTotals,
+  getSalesRepDraftTotals
 };
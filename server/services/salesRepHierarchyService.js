@@ -0,0 +1,566 @@
+/**
+ * Sales Rep Hierarchy Service
+ * Effective-dated org hierarchy (sales rep → group → manager → region) per division,
+ * replacing the static groups in server/data/sales-reps-config.json
+ *
+ * STORAGE (division database): {div}_sales_rep_hierarchy
+ * One row per assignment of a sales rep to a group for a validity window
+ * (valid_from / valid_to inclusive, NULL = open-ended). A rep has at most one
+ * assignment on any day, so moving a rep closes the old row and opens a new one
+ * instead of rewriting the group's history.
+ *
+ * MEMBERSHIP BY MONTH:
+ * A transaction month belongs to the assignment in effect on the first day of that
+ * month. Group aggregations use membershipCondition() so every data row is matched
+ * against the group as of its own year / month.
+ *
+ * SEEDING:
+ * An empty table is seeded once from sales-reps-config.json with open-ended
+ * assignments; from then on the database is the source of truth.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDivisionPool } = require('../utils/divisionDatabaseManager');
+const logger = require('../utils/logger');
+
+const SEED_CONFIG_PATH = path.join(__dirname, '..', 'data', 'sales-reps-config.json');
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const extractDivisionCode = (division) => {
+  if (!division) return 'fp';
+  return division.split('-')[0].toLowerCase();
+};
+
+const getTableName = (division) => `${extractDivisionCode(division)}_sales_rep_hierarchy`;
+
+const getPool = (division) => getDivisionPool(extractDivisionCode(division).toUpperCase());
+
+const hierarchyError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const repKey = (name) => String(name || '').trim().toUpperCase();
+
+// ============================================================================
+// DATES (YYYY-MM-DD strings, compared lexically)
+// ============================================================================
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDate = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+/**
+ * First day of a transaction month - the day its group membership is decided on
+ */
+const monthStart = (year, month) => `${year}-${pad(month)}-01`;
+
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return formatDate(new Date(Date.UTC(year, month - 1, day + days)));
+};
+
+/**
+ * Validate an optional date (YYYY-MM-DD); empty means open-ended
+ */
+function parseDate(value, label) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).slice(0, 10);
+  const [year, month, day] = text.split('-').map(Number);
+  if (!DATE_PATTERN.test(text) || formatDate(new Date(Date.UTC(year, month - 1, day))) !== text) {
+    throw hierarchyError(`${label} must be a date (YYYY-MM-DD)`, 400);
+  }
+  return text;
+}
+
+/**
+ * Whether an assignment is in effect on a date
+ */
+const isEffective = (assignment, date) =>
+  (!assignment.valid_from || assignment.valid_from <= date) &&
+  (!assignment.valid_to || assignment.valid_to >= date);
+
+/**
+ * Whether two validity windows share a day (null bounds are open-ended)
+ */
+const windowsOverlap = (a, b) =>
+  (!a.valid_from || !b.valid_to || a.valid_from <= b.valid_to) &&
+  (!b.valid_from || !a.valid_to || b.valid_from <= a.valid_to);
+
+/**
+ * Group → members map as of a date (the shape sales-reps-config.json used)
+ */
+function resolveGroups(assignments, date) {
+  const groups = {};
+  assignments
+    .filter(assignment => isEffective(assignment, date))
+    .forEach(assignment => {
+      (groups[assignment.group_name] = groups[assignment.group_name] || []).push(assignment.sales_rep);
+    });
+  return groups;
+}
+
+/**
+ * Normalize and validate an assignment from the editor
+ * @returns {Object} Column values
+ */
+function validateAssignment(input) {
+  const salesRep = String(input.salesRep || '').trim();
+  const groupName = String(input.groupName || '').trim();
+
+  if (!salesRep) throw hierarchyError('Sales rep is required', 400);
+  if (!groupName) throw hierarchyError('Group is required', 400);
+
+  const validFrom = parseDate(input.validFrom, 'Valid from');
+  const validTo = parseDate(input.validTo, 'Valid to');
+  if (validFrom && validTo && validTo < validFrom) {
+    throw hierarchyError('Valid to must not be before valid from', 400);
+  }
+
+  return {
+    sales_rep: salesRep,
+    group_name: groupName,
+    manager: String(input.manager || '').trim() || null,
+    region: String(input.region || '').trim() || null,
+    valid_from: validFrom,
+    valid_to: validTo
+  };
+}
+
+/**
+ * Refuse a window that overlaps another assignment of the same rep (409)
+ */
+function assertNoOverlap(assignments, candidate, ignoreId = null) {
+  const clash = assignments.find(assignment =>
+    assignment.id !== ignoreId &&
+    repKey(assignment.sales_rep) === repKey(candidate.sales_rep) &&
+    windowsOverlap(assignment, candidate)
+  );
+  if (clash) {
+    const window = `${clash.valid_from || 'the beginning'} to ${clash.valid_to || 'open-ended'}`;
+    throw hierarchyError(
+      `${candidate.sales_rep} is already assigned to ${clash.group_name} from ${window}`,
+      409
+    );
+  }
+}
+
+// ============================================================================
+// TABLE
+// ============================================================================
+
+const tablesEnsuredForDivisions = new Set();
+
+async function ensureTable(division) {
+  const divisionCode = extractDivisionCode(division);
+  if (tablesEnsuredForDivisions.has(divisionCode)) return;
+
+  const table = getTableName(division);
+  const pool = getPool(division);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ${table} (
+      id SERIAL PRIMARY KEY,
+      sales_rep VARCHAR(255) NOT NULL,
+      group_name VARCHAR(255) NOT NULL,
+      manager VARCHAR(255),
+      region VARCHAR(255),
+      valid_from DATE,
+      valid_to DATE,
+      updated_by VARCHAR(255),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT ${table}_window_check CHECK (valid_from IS NULL OR valid_to IS NULL OR valid_to >= valid_from)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_${table}_rep ON ${table} (UPPER(TRIM(sales_rep)));
+    CREATE INDEX IF NOT EXISTS idx_${table}_group ON ${table} (group_name);
+  `);
+
+  await seedFromConfig(division, pool, table);
+  tablesEnsuredForDivisions.add(divisionCode);
+}
+
+/**
+ * One-time import of the JSON groups into an empty table
+ */
+async function seedFromConfig(division, pool, table) {
+  const existing = await pool.query(`SELECT 1 FROM ${table} LIMIT 1`);
+  if (existing.rows.length > 0 || !fs.existsSync(SEED_CONFIG_PATH)) return;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(SEED_CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    logger.warn('⚠️ Could not read sales-reps-config.json for the hierarchy seed:', error.message);
+    return;
+  }
+
+  const groups = config[extractDivisionCode(division).toUpperCase()]?.groups || {};
+  const seen = new Set();
+  const reps = [];
+  const groupNames = [];
+  Object.entries(groups).forEach(([groupName, members]) => {
+    (members || []).forEach(member => {
+      // A rep listed in two groups keeps the first one (one assignment per day)
+      if (!member || seen.has(repKey(member))) return;
+      seen.add(repKey(member));
+      reps.push(String(member).trim());
+      groupNames.push(groupName);
+    });
+  });
+  if (reps.length === 0) return;
+
+  await pool.query(
+    `INSERT INTO ${table} (sales_rep, group_name, updated_by)
+     SELECT r.sales_rep, r.group_name, 'sales-reps-config.json'
+     FROM unnest($1::text[], $2::text[]) AS r(sales_rep, group_name)`,
+    [reps, groupNames]
+  );
+  logger.info(`🧑‍💼 Seeded ${reps.length} sales rep assignments for ${extractDivisionCode(division).toUpperCase()} from sales-reps-config.json`);
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+const SELECT_COLUMNS = `id, sales_rep, group_name, manager, region,
+  to_char(valid_from, 'YYYY-MM-DD') AS valid_from,
+  to_char(valid_to, 'YYYY-MM-DD') AS valid_to,
+  updated_by, updated_at`;
+
+/**
+ * Assignments of a division, optionally only those in effect on a date
+ * @param {string} division
+ * @param {Object} [filters]
+ * @param {string} [filters.asOf] - YYYY-MM-DD
+ * @param {string} [filters.salesRep]
+ * @param {string} [filters.groupName]
+ */
+async function listAssignments(division, { asOf, salesRep, groupName } = {}) {
+  await ensureTable(division);
+  const table = getTableName(division);
+
+  const conditions = [];
+  const params = [];
+  const date = parseDate(asOf, 'As of');
+  if (date) {
+    params.push(date);
+    conditions.push(`(valid_from IS NULL OR valid_from <= $${params.length}) AND (valid_to IS NULL OR valid_to >= $${params.length})`);
+  }
+  if (salesRep) {
+    params.push(repKey(salesRep));
+    conditions.push(`UPPER(TRIM(sales_rep)) = $${params.length}`);
+  }
+  if (groupName) {
+    params.push(groupName);
+    conditions.push(`group_name = $${params.length}`);
+  }
+
+  const result = await getPool(division).query(
+    `SELECT ${SELECT_COLUMNS} FROM ${table}
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY group_name, sales_rep, valid_from NULLS FIRST`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Group → members as of a date (default today)
+ */
+async function getGroups(division, { asOf } = {}) {
+  const date = parseDate(asOf, 'As of') || today();
+  return resolveGroups(await listAssignments(division, { asOf: date }), date);
+}
+
+/**
+ * Whether a name is a sales rep group (at any point in time)
+ */
+async function isGroup(division, name) {
+  if (!name) return false;
+  await ensureTable(division);
+  const result = await getPool(division).query(
+    `SELECT 1 FROM ${getTableName(division)} WHERE group_name = $1 LIMIT 1`,
+    [String(name).trim()]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Members of a group
+ * @param {string} division
+ * @param {string} groupName
+ * @param {{year: number, month: number}} [period] - Members in that transaction month;
+ *   omitted = every rep that was ever in the group (for customer / country lists)
+ * @returns {Promise<string[]>}
+ */
+async function getGroupMembers(division, groupName, period = null) {
+  const assignments = await listAssignments(division, { groupName });
+  const date = period ? monthStart(period.year, period.month) : null;
+  const members = new Map();
+  assignments
+    .filter(assignment => !date || isEffective(assignment, date))
+    .forEach(assignment => members.set(repKey(assignment.sales_rep), assignment.sales_rep));
+  return [...members.values()];
+}
+
+/**
+ * SQL condition matching data rows whose sales rep belonged to the group in the
+ * row's own year / month. Column names refer to the outer data table.
+ *
+ * @param {string} division
+ * @param {string} groupName
+ * @param {number} paramIndex - Placeholder number to use for the group name
+ * @param {Object} [columns]
+ * @returns {Promise<{sql: string, params: Array}>}
+ *
+ * @example
+ * const membership = await membershipCondition('FP', 'Riad & Nidal', 3);
+ * pool.query(`SELECT SUM(values) FROM fp_data_excel WHERE year = $1 AND month = $2 AND ${membership.sql}`,
+ *   [2025, 9, ...membership.params]);
+ */
+async function membershipCondition(division, groupName, paramIndex, {
+  salesRepColumn = 'salesrepname',
+  yearColumn = 'year',
+  monthColumn = 'month'
+} = {}) {
+  await ensureTable(division);
+  const monthStartSql = `make_date(${yearColumn}::int, ${monthColumn}::int, 1)`;
+  return {
+    sql: `EXISTS (
+      SELECT 1 FROM ${getTableName(division)} h
+      WHERE h.group_name = $${paramIndex}
+        AND UPPER(TRIM(h.sales_rep)) = UPPER(TRIM(${salesRepColumn}))
+        AND (h.valid_from IS NULL OR h.valid_from <= ${monthStartSql})
+        AND (h.valid_to IS NULL OR h.valid_to >= ${monthStartSql})
+    )`,
+    params: [String(groupName).trim()]
+  };
+}
+
+// ============================================================================
+// CHANGES
+// ============================================================================
+
+async function withRepLock(division, salesRep, work) {
+  const client = await getPool(division).connect();
+  try {
+    await client.query('BEGIN');
+    // Serialize changes to one rep so two edits cannot create overlapping windows
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`${getTableName(division)}:${repKey(salesRep)}`]);
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+const repAssignments = async (client, table, salesRep) => (await client.query(
+  `SELECT ${SELECT_COLUMNS} FROM ${table} WHERE UPPER(TRIM(sales_rep)) = $1`,
+  [repKey(salesRep)]
+)).rows;
+
+/**
+ * Add an assignment (its window must not overlap the rep's other assignments)
+ */
+async function createAssignment(division, input, performedBy) {
+  await ensureTable(division);
+  const table = getTableName(division);
+  const values = validateAssignment(input);
+
+  return withRepLock(division, values.sales_rep, async (client) => {
+    assertNoOverlap(await repAssignments(client, table, values.sales_rep), values);
+    const result = await client.query(
+      `INSERT INTO ${table} (sales_rep, group_name, manager, region, valid_from, valid_to, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${SELECT_COLUMNS}`,
+      [values.sales_rep, values.group_name, values.manager, values.region, values.valid_from, values.valid_to, performedBy]
+    );
+    return result.rows[0];
+  });
+}
+
+/**
+ * Correct an assignment (full replace of its fields)
+ */
+async function updateAssignment(division, id, input, performedBy) {
+  await ensureTable(division);
+  const table = getTableName(division);
+  const values = validateAssignment(input);
+
+  return withRepLock(division, values.sales_rep, async (client) => {
+    assertNoOverlap(await repAssignments(client, table, values.sales_rep), values, Number(id));
+    const result = await client.query(
+      `UPDATE ${table}
+       SET sales_rep = $2, group_name = $3, manager = $4, region = $5, valid_from = $6, valid_to = $7,
+           updated_by = $8, updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${SELECT_COLUMNS}`,
+      [id, values.sales_rep, values.group_name, values.manager, values.region, values.valid_from, values.valid_to, performedBy]
+    );
+    if (result.rows.length === 0) throw hierarchyError('Assignment not found', 404);
+    return result.rows[0];
+  });
+}
+
+/**
+ * Remove an assignment entered by mistake (moves are recorded with moveSalesRep)
+ */
+async function deleteAssignment(division, id) {
+  await ensureTable(division);
+  const result = await getPool(division).query(
+    `DELETE FROM ${getTableName(division)} WHERE id = $1 RETURNING id`,
+    [id]
+  );
+  if (result.rows.length === 0) throw hierarchyError('Assignment not found', 404);
+}
+
+/**
+ * Move a rep to a group from a date: the assignment in effect that day ends the day
+ * before, and a new open-ended assignment starts. Earlier months keep their group.
+ *
+ * @param {string} division
+ * @param {Object} input - { salesRep, groupName, manager, region, validFrom }
+ * @param {string} performedBy
+ * @returns {Promise<Object>} The new assignment
+ */
+async function moveSalesRep(division, input, performedBy) {
+  await ensureTable(division);
+  const table = getTableName(division);
+  const values = validateAssignment({ ...input, validTo: null });
+  const validFrom = values.valid_from || today();
+
+  return withRepLock(division, values.sales_rep, async (client) => {
+    const assignments = await repAssignments(client, table, values.sales_rep);
+    const current = assignments.find(assignment => isEffective(assignment, validFrom));
+
+    if (current) {
+      if (current.group_name === values.group_name && current.manager === values.manager && current.region === values.region) {
+        return current;
+      }
+      if (current.valid_from === validFrom) {
+        // Moved again on the day the assignment starts - correct it in place
+        const result = await client.query(
+          `UPDATE ${table} SET group_name = $2, manager = $3, region = $4, updated_by = $5, updated_at = NOW()
+           WHERE id = $1
+           RETURNING ${SELECT_COLUMNS}`,
+          [current.id, values.group_name, values.manager, values.region, performedBy]
+        );
+        return result.rows[0];
+      }
+      await client.query(
+        `UPDATE ${table} SET valid_to = $2, updated_by = $3, updated_at = NOW() WHERE id = $1`,
+        [current.id, addDays(validFrom, -1), performedBy]
+      );
+      current.valid_to = addDays(validFrom, -1);
+    }
+
+    // A later assignment already planned for this rep limits the new one
+    const next = assignments
+      .filter(assignment => assignment.valid_from && assignment.valid_from > validFrom)
+      .sort((a, b) => a.valid_from.localeCompare(b.valid_from))[0];
+    const candidate = { ...values, valid_from: validFrom, valid_to: next ? addDays(next.valid_from, -1) : null };
+    assertNoOverlap(assignments, candidate);
+
+    const result = await client.query(
+      `INSERT INTO ${table} (sales_rep, group_name, manager, region, valid_from, valid_to, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${SELECT_COLUMNS}`,
+      [candidate.sales_rep, candidate.group_name, candidate.manager, candidate.region, candidate.valid_from, candidate.valid_to, performedBy]
+    );
+    logger.info(`🧑‍💼 ${candidate.sales_rep} moved to ${candidate.group_name} from ${validFrom}`, {
+      division: extractDivisionCode(division).toUpperCase(),
+      previousGroup: current?.group_name || null,
+      performedBy
+    });
+    return result.rows[0];
+  });
+}
+
+/**
+ * Take a rep out of their group from a date (e.g. left the company): the assignment
+ * in effect that day ends the day before, or is removed if it only starts that day
+ */
+async function endAssignment(division, salesRep, effectiveFrom, performedBy) {
+  await ensureTable(division);
+  const table = getTableName(division);
+  const date = parseDate(effectiveFrom, 'Effective from') || today();
+
+  return withRepLock(division, salesRep, async (client) => {
+    const current = (await repAssignments(client, table, salesRep)).find(assignment => isEffective(assignment, date));
+    if (!current) return null;
+    if (current.valid_from === date) {
+      await client.query(`DELETE FROM ${table} WHERE id = $1`, [current.id]);
+      return null;
+    }
+    await client.query(
+      `UPDATE ${table} SET valid_to = $2, updated_by = $3, updated_at = NOW() WHERE id = $1`,
+      [current.id, addDays(date, -1), performedBy]
+    );
+    return { ...current, valid_to: addDays(date, -1) };
+  });
+}
+
+/**
+ * Set the members of a group from a date (Sales Rep Groups editor): reps added are
+ * moved into the group, reps removed leave it the day before. History is kept.
+ *
+ * @param {string} division
+ * @param {string} groupName
+ * @param {string[]} members
+ * @param {Object} [options]
+ * @param {string} [options.effectiveFrom] - YYYY-MM-DD (default today)
+ * @param {string} [options.performedBy]
+ */
+async function setGroupMembers(division, groupName, members, { effectiveFrom, performedBy } = {}) {
+  const date = parseDate(effectiveFrom, 'Effective from') || today();
+  const current = (await listAssignments(division, { asOf: date })).filter(a => a.group_name === groupName);
+  const wanted = new Map((members || []).filter(Boolean).map(member => [repKey(member), String(member).trim()]));
+  const currentKeys = new Set(current.map(assignment => repKey(assignment.sales_rep)));
+  // New members inherit the group's manager / region
+  const { manager = null, region = null } = current[0] || {};
+
+  for (const assignment of current) {
+    if (!wanted.has(repKey(assignment.sales_rep))) {
+      await endAssignment(division, assignment.sales_rep, date, performedBy);
+    }
+  }
+  for (const [key, salesRep] of wanted) {
+    if (!currentKeys.has(key)) {
+      await moveSalesRep(division, { salesRep, groupName, manager, region, validFrom: date }, performedBy);
+    }
+  }
+}
+
+module.exports = {
+  getTableName,
+  monthStart,
+  isEffective,
+  windowsOverlap,
+  resolveGroups,
+  validateAssignment,
+  assertNoOverlap,
+  ensureTable,
+  listAssignments,
+  getGroups,
+  isGroup,
+  getGroupMembers,
+  membershipCondition,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  moveSalesRep,
+  endAssignment,
+  setGroupMembers
+};
@@ -1,5 +1,6 @@
 const { authPool } = require('../database/config');
 const logger = require('../utils/logger');
+const { buildDataScope } = require('../utils/dataScope');
 
 class UserService {
   /**
@@ -304,6 +305,66 @@ class UserService {
     }
   }
 
+  /**
+   * Get active sales managers responsible for a sales rep
+   */
+  async getManagersForSalesRep(salesRepName, division) {
+    try {
+      const result = await authPool.query(
+        `SELECT DISTINCT u.id, u.name, u.email
+         FROM user_sales_rep_access a
+         JOIN users u ON u.id = a.manager_id
+         WHERE UPPER(a.sales_rep_name) = UPPER($1)
+           AND UPPER(a.division) = UPPER($2)
+           AND u.is_active = true
+         ORDER BY u.name`,
+        [salesRepName, division]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting managers for sales rep:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the row-level data scope (divisions and visible sales reps) for a user
+   */
+  async getDataScope(userId) {
+    try {
+      const userResult = await authPool.query(
+        'SELECT id, name, role FROM users WHERE id = $1 AND is_active = true',
+        [userId]
+      );
+
+      if (userResult.rows.length === 0) {
+        return null;
+      }
+
+      const user = userResult.rows[0];
+      if (user.role === 'admin') {
+        return buildDataScope({ userId: user.id, role: user.role });
+      }
+
+      const [divisionsResult, accessResult] = await Promise.all([
+        authPool.query('SELECT division FROM user_divisions WHERE user_id = $1', [userId]),
+        authPool.query('SELECT sales_rep_name, division FROM user_sales_rep_access WHERE manager_id = $1', [userId])
+      ]);
+
+      return buildDataScope({
+        userId: user.id,
+        role: user.role,
+        name: user.name,
+        divisions: divisionsResult.rows.map(row => row.division),
+        salesRepAccess: accessResult.rows.map(row => ({ name: row.sales_rep_name, division: row.division }))
+      });
+    } catch (error) {
+      logger.error('Error loading data scope:', error);
+      throw error;
+    }
+  }
+
   /**
    * Check if user has access to division
    */
@@ -0,0 +1,518 @@
+/**
+ * Variance Alert Service
+ * Business alerts on Actual data, e.g. "customer KGS below 80% of budget YTD" or
+ * "product group MoRM/kg dropped more than 10% vs prior month"
+ *
+ * STORAGE (auth database, company-wide):
+ * - variance_alert_rules: what to check (type, division, dimension, metric, threshold),
+ *   who is told (roles) and through which alert channels
+ *
+ * RULE TYPES (evaluated for the latest month with Actual data):
+ * - budget_attainment: YTD Actual ({div}_data_excel) as % of YTD Budget ({div}_sales_rep_budget)
+ *   per dimension value; breached below threshold_pct. Budgets under min_base are ignored.
+ * - per_kg_change: Amount/kg or MoRM/kg vs the prior month per dimension value; breached when
+ *   it dropped more than threshold_pct. Months under min_base KGS are ignored.
+ *
+ * DELIVERY:
+ * Rules are evaluated after every Actual upload (and on demand from Settings). Breaches go to
+ * config/alerting (Slack / email / PagerDuty, per rule) and to the in-app notifications of the
+ * users in the rule's roles with access to the division. The same breaches for the same month
+ * are delivered once: re-uploading a month only alerts when the list of breaches changes.
+ */
+
+const crypto = require('crypto');
+const { authPool } = require('../database/config');
+const { getDivisionPool } = require('../utils/divisionDatabaseManager');
+const { sendAlert } = require('../config/alerting');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+const RULE_TYPES = {
+  budget_attainment: { label: 'Actual below % of budget YTD', metrics: ['KGS', 'AMOUNT', 'MORM'] },
+  per_kg_change: { label: 'Per-kg value dropped vs prior month', metrics: ['AMOUNT', 'MORM'] }
+};
+
+// Dimension → column in {div}_data_excel and {div}_sales_rep_budget
+const DIMENSIONS = {
+  customer: { label: 'Customer', column: 'customername' },
+  country: { label: 'Country', column: 'countryname' },
+  productgroup: { label: 'Product group', column: 'productgroup' },
+  salesrep: { label: 'Sales rep', column: 'salesrepname' }
+};
+
+const METRIC_LABELS = { KGS: 'KGS', AMOUNT: 'Amount', MORM: 'MoRM' };
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+const CHANNELS = ['slack', 'email', 'pagerduty'];
+const ROLES = ['admin', 'sales_manager', 'sales_rep'];
+const MAX_BREACHES_IN_ALERT = 10;
+
+const alertRuleError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeSubject = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const formatNumber = (value, digits = 0) => Number(value).toLocaleString('en-US', {
+  minimumFractionDigits: digits,
+  maximumFractionDigits: digits
+});
+
+let tablesEnsured = false;
+
+async function ensureTables() {
+  if (tablesEnsured) return;
+
+  await authPool.query(`
+    CREATE TABLE IF NOT EXISTS variance_alert_rules (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      division VARCHAR(20) NOT NULL,
+      rule_type VARCHAR(30) NOT NULL,
+      dimension VARCHAR(20) NOT NULL,
+      metric VARCHAR(10) NOT NULL,
+      threshold_pct NUMERIC(7,2) NOT NULL,
+      min_base NUMERIC(18,2) NOT NULL DEFAULT 0,
+      severity VARCHAR(20) NOT NULL DEFAULT 'warning',
+      channels TEXT[] NOT NULL DEFAULT '{}',
+      notify_roles TEXT[] NOT NULL DEFAULT '{admin}',
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      last_evaluated_at TIMESTAMP,
+      last_period VARCHAR(7),
+      last_breach_count INTEGER,
+      last_alert_key VARCHAR(100),
+      created_by VARCHAR(255),
+      updated_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_variance_alert_rules_division ON variance_alert_rules(UPPER(division)) WHERE is_active;
+  `);
+
+  tablesEnsured = true;
+}
+
+// ============================================================================
+// VALIDATION & EVALUATION
+// ============================================================================
+
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+/**
+ * Validate a rule from the Settings form
+ * @returns {object} Column values
+ */
+function validateRule(input = {}) {
+  const name = String(input.name || '').trim();
+  const division = String(input.division || '').split('-')[0].trim().toUpperCase();
+  const ruleType = input.ruleType ?? input.rule_type;
+  const dimension = input.dimension;
+  const metric = String(input.metric || '').toUpperCase();
+  const thresholdPct = Number(input.thresholdPct ?? input.threshold_pct);
+  const minBase = Number(input.minBase ?? input.min_base ?? 0);
+  const severity = input.severity || 'warning';
+  const channels = [...new Set(toList(input.channels).map(channel => channel.toLowerCase()))];
+  const notifyRoles = [...new Set(toList(input.notifyRoles ?? input.notify_roles ?? ['admin']))];
+
+  if (!name || name.length > 200) throw alertRuleError('Name is required (max 200 characters)', 400);
+  if (!/^[A-Z]{2,10}$/.test(division)) throw alertRuleError(`Invalid division: ${input.division}`, 400);
+  if (!RULE_TYPES[ruleType]) throw alertRuleError(`Unknown rule type: ${ruleType}`, 400);
+  if (!DIMENSIONS[dimension]) throw alertRuleError(`Unknown dimension: ${dimension}`, 400);
+  if (!RULE_TYPES[ruleType].metrics.includes(metric)) {
+    throw alertRuleError(`Metric for ${ruleType} must be one of ${RULE_TYPES[ruleType].metrics.join(', ')}`, 400);
+  }
+  if (!Number.isFinite(thresholdPct) || thresholdPct <= 0 || thresholdPct > 1000) {
+    throw alertRuleError('Threshold must be a percentage between 0 and 1000', 400);
+  }
+  if (!Number.isFinite(minBase) || minBase < 0) throw alertRuleError('Minimum base cannot be negative', 400);
+  if (!SEVERITIES.includes(severity)) throw alertRuleError(`Severity must be one of ${SEVERITIES.join(', ')}`, 400);
+  const unknownChannels = channels.filter(channel => !CHANNELS.includes(channel));
+  if (unknownChannels.length > 0) throw alertRuleError(`Unknown alert channel: ${unknownChannels.join(', ')}`, 400);
+  const unknownRoles = notifyRoles.filter(role => !ROLES.includes(role));
+  if (unknownRoles.length > 0) throw alertRuleError(`Unknown role: ${unknownRoles.join(', ')}`, 400);
+  if (channels.length === 0 && notifyRoles.length === 0) {
+    throw alertRuleError('Choose at least one alert channel or role to notify', 400);
+  }
+
+  return {
+    name,
+    division,
+    rule_type: ruleType,
+    dimension,
+    metric,
+    threshold_pct: thresholdPct,
+    min_base: minBase,
+    severity,
+    channels,
+    notify_roles: notifyRoles,
+    is_active: input.isActive ?? input.is_active ?? true
+  };
+}
+
+/**
+ * Human-readable rule ("Customer KGS below 80% of budget YTD")
+ */
+function describeRule(rule) {
+  const dimension = DIMENSIONS[rule.dimension]?.label || rule.dimension;
+  const metric = METRIC_LABELS[rule.metric] || rule.metric;
+  const threshold = Number(rule.threshold_pct);
+  if (rule.rule_type === 'per_kg_change') {
+    return `${dimension} ${metric}/kg dropped more than ${threshold}% vs prior month`;
+  }
+  return `${dimension} ${metric} below ${threshold}% of budget YTD`;
+}
+
+const sumBySubject = (rows) => {
+  const totals = new Map();
+  rows.forEach(row => {
+    const key = normalizeSubject(row.subject);
+    if (!key) return;
+    const entry = totals.get(key) || { subject: row.subject, value: 0, kgs: 0 };
+    entry.value += Number(row.value) || 0;
+    entry.kgs += Number(row.kgs) || 0;
+    totals.set(key, entry);
+  });
+  return totals;
+};
+
+/**
+ * YTD Actual vs YTD Budget per subject
+ * @param {object} rule - threshold_pct, min_base, metric
+ * @param {Array<{subject, value}>} actualRows
+ * @param {Array<{subject, value}>} budgetRows
+ * @returns {Array<object>} Breaches, lowest attainment first
+ */
+function evaluateBudgetAttainment(rule, actualRows, budgetRows) {
+  const threshold = Number(rule.threshold_pct);
+  const minBase = Number(rule.min_base) || 0;
+  const actuals = sumBySubject(actualRows);
+  const breaches = [];
+
+  sumBySubject(budgetRows).forEach((budget, key) => {
+    if (budget.value <= 0 || budget.value < minBase) return;
+    const actual = actuals.get(key)?.value || 0;
+    const attainmentPct = (actual / budget.value) * 100;
+    if (attainmentPct >= threshold) return;
+
+    breaches.push({
+      subject: budget.subject,
+      actual,
+      budget: budget.value,
+      attainmentPct: Math.round(attainmentPct * 10) / 10,
+      message: `${budget.subject}: ${formatNumber(actual)} ${METRIC_LABELS[rule.metric]} is `
+        + `${formatNumber(attainmentPct, 1)}% of the ${formatNumber(budget.value)} budget YTD`
+    });
+  });
+
+  return breaches.sort((a, b) => a.attainmentPct - b.attainmentPct);
+}
+
+/**
+ * Value per kg this month vs the prior month per subject
+ * @param {object} rule - threshold_pct, min_base, metric
+ * @param {Array<{subject, value, kgs}>} currentRows
+ * @param {Array<{subject, value, kgs}>} previousRows
+ * @returns {Array<object>} Breaches, largest drop first
+ */
+function evaluatePerKgChange(rule, currentRows, previousRows) {
+  const threshold = Number(rule.threshold_pct);
+  const minBase = Number(rule.min_base) || 0;
+  const previous = sumBySubject(previousRows);
+  const breaches = [];
+
+  sumBySubject(currentRows).forEach((current, key) => {
+    const prior = previous.get(key);
+    if (!prior || current.kgs <= 0 || prior.kgs <= 0) return;
+    if (current.kgs < minBase || prior.kgs < minBase) return;
+
+    const currentPerKg = current.value / current.kgs;
+    const previousPerKg = prior.value / prior.kgs;
+    if (previousPerKg <= 0) return;
+
+    const changePct = ((currentPerKg - previousPerKg) / previousPerKg) * 100;
+    if (changePct > -threshold) return;
+
+    breaches.push({
+      subject: current.subject,
+      currentPerKg: Math.round(currentPerKg * 100) / 100,
+      previousPerKg: Math.round(previousPerKg * 100) / 100,
+      changePct: Math.round(changePct * 10) / 10,
+      message: `${current.subject}: ${METRIC_LABELS[rule.metric]}/kg ${formatNumber(previousPerKg, 2)} → `
+        + `${formatNumber(currentPerKg, 2)} (${formatNumber(changePct, 1)}%)`
+    });
+  });
+
+  return breaches.sort((a, b) => a.changePct - b.changePct);
+}
+
+/**
+ * Key of a rule's result: unchanged breaches for the same month are not delivered again
+ */
+function buildAlertKey(ruleId, period, breaches) {
+  const subjects = breaches.map(breach => normalizeSubject(breach.subject)).sort().join('|');
+  const hash = crypto.createHash('sha1').update(subjects).digest('hex').slice(0, 16);
+  return `${ruleId}:${period}:${hash}`;
+}
+
+const previousMonth = (year, month) => (month === 1 ? { year: year - 1, month: 12 } : { year, month: month - 1 });
+
+// ============================================================================
+// DATA
+// ============================================================================
+
+/**
+ * Latest year / month with Actual data in a division (null when there is none)
+ */
+async function getLatestActualPeriod(pool, division) {
+  const code = division.toLowerCase();
+  const result = await pool.query(`
+    SELECT year, MAX(month) AS month
+    FROM public.${code}_data_excel
+    WHERE UPPER(type) = 'ACTUAL'
+      AND year = (SELECT MAX(year) FROM public.${code}_data_excel WHERE UPPER(type) = 'ACTUAL')
+    GROUP BY year
+  `);
+  if (result.rows.length === 0) return null;
+  return { year: parseInt(result.rows[0].year, 10), month: parseInt(result.rows[0].month, 10) };
+}
+
+async function fetchBudgetAttainmentRows(pool, rule, period) {
+  const code = rule.division.toLowerCase();
+  const column = DIMENSIONS[rule.dimension].column;
+
+  const [actual, budget] = await Promise.all([
+    pool.query(`
+      SELECT ${column} AS subject, SUM(values) AS value
+      FROM public.${code}_data_excel
+      WHERE UPPER(type) = 'ACTUAL' AND year = $1 AND month <= $2 AND UPPER(values_type) = $3
+      GROUP BY ${column}
+    `, [period.year, period.month, rule.metric]),
+    pool.query(`
+      SELECT ${column} AS subject, SUM(values) AS value
+      FROM public.${code}_sales_rep_budget
+      WHERE UPPER(type) = 'BUDGET' AND budget_year = $1 AND month <= $2 AND UPPER(values_type) = $3
+      GROUP BY ${column}
+    `, [period.year, period.month, rule.metric])
+  ]);
+
+  return { actualRows: actual.rows, budgetRows: budget.rows };
+}
+
+async function fetchPerKgRows(pool, rule, period) {
+  const code = rule.division.toLowerCase();
+  const column = DIMENSIONS[rule.dimension].column;
+  const prior = previousMonth(period.year, period.month);
+
+  const result = await pool.query(`
+    SELECT ${column} AS subject, year, month,
+           SUM(CASE WHEN UPPER(values_type) = $5 THEN values ELSE 0 END) AS value,
+           SUM(CASE WHEN UPPER(values_type) = 'KGS' THEN values ELSE 0 END) AS kgs
+    FROM public.${code}_data_excel
+    WHERE UPPER(type) = 'ACTUAL'
+      AND ((year = $1 AND month = $2) OR (year = $3 AND month = $4))
+      AND UPPER(values_type) IN ('KGS', $5)
+    GROUP BY ${column}, year, month
+  `, [period.year, period.month, prior.year, prior.month, rule.metric]);
+
+  const inMonth = (row, target) => parseInt(row.year, 10) === target.year && parseInt(row.month, 10) === target.month;
+  return {
+    currentRows: result.rows.filter(row => inMonth(row, period)),
+    previousRows: result.rows.filter(row => inMonth(row, prior))
+  };
+}
+
+/**
+ * Breaches of one rule for a period
+ */
+async function evaluateRule(pool, rule, period) {
+  if (rule.rule_type === 'budget_attainment') {
+    const { actualRows, budgetRows } = await fetchBudgetAttainmentRows(pool, rule, period);
+    return evaluateBudgetAttainment(rule, actualRows, budgetRows);
+  }
+  const { currentRows, previousRows } = await fetchPerKgRows(pool, rule, period);
+  return evaluatePerKgChange(rule, currentRows, previousRows);
+}
+
+async function deliver(rule, period, periodKey, breaches) {
+  const title = `${rule.division}: ${rule.name} (${breaches.length})`;
+  const lines = breaches.slice(0, MAX_BREACHES_IN_ALERT).map(breach => `• ${breach.message}`);
+  if (breaches.length > MAX_BREACHES_IN_ALERT) {
+    lines.push(`…and ${breaches.length - MAX_BREACHES_IN_ALERT} more`);
+  }
+  const description = `${describeRule(rule)} - ${periodKey}\n${lines.join('\n')}`;
+
+  const recipients = await notificationService.findRecipients(rule.notify_roles, rule.division);
+  await notificationService.notifyUsers(recipients, {
+    category: 'variance_alert',
+    severity: rule.severity,
+    title,
+    message: description,
+    division: rule.division,
+    metadata: { ruleId: rule.id, period, breaches: breaches.slice(0, 50) }
+  });
+
+  if (rule.channels.length > 0) {
+    await sendAlert({
+      title,
+      description,
+      severity: rule.severity,
+      source: 'Variance alerts',
+      dedupKey: `variance-alert-${rule.id}-${periodKey}`,
+      metadata: { division: rule.division, rule: describeRule(rule), period: periodKey, breaches: breaches.length },
+      channels: rule.channels
+    });
+  }
+
+  return recipients.length;
+}
+
+/**
+ * Evaluate the active rules of a division for its latest Actual month and deliver new breaches
+ * @param {string} division
+ * @param {object} [options]
+ * @param {number} [options.ruleId] - Only this rule (active or not)
+ * @param {boolean} [options.deliver=true] - false to only report the breaches
+ * @param {string} [options.trigger] - What started the evaluation (logged)
+ * @returns {Promise<{ period: object|null, results: object[] }>}
+ */
+async function evaluateDivision(division, { ruleId = null, deliver: shouldDeliver = true, trigger = 'manual' } = {}) {
+  await ensureTables();
+  const code = String(division || '').split('-')[0].trim().toUpperCase();
+
+  const rules = await authPool.query(`
+    SELECT * FROM variance_alert_rules
+    WHERE UPPER(division) = $1 AND ${ruleId ? 'id = $2' : 'is_active'}
+    ORDER BY id
+  `, ruleId ? [code, ruleId] : [code]);
+
+  if (rules.rows.length === 0) {
+    if (ruleId) throw alertRuleError(`Alert rule ${ruleId} not found for division ${code}`, 404);
+    return { period: null, results: [] };
+  }
+
+  const pool = getDivisionPool(code);
+  const period = await getLatestActualPeriod(pool, code);
+  if (!period) {
+    return { period: null, results: [] };
+  }
+  const periodKey = `${period.year}-${String(period.month).padStart(2, '0')}`;
+
+  const results = [];
+  for (const rule of rules.rows) {
+    try {
+      const breaches = await evaluateRule(pool, rule, period);
+      const alertKey = breaches.length > 0 ? buildAlertKey(rule.id, periodKey, breaches) : null;
+      const isNew = alertKey !== null && alertKey !== rule.last_alert_key;
+      let notified = 0;
+
+      if (shouldDeliver) {
+        if (isNew) {
+          notified = await deliver(rule, period, periodKey, breaches);
+        }
+        await authPool.query(`
+          UPDATE variance_alert_rules
+          SET last_evaluated_at = CURRENT_TIMESTAMP, last_period = $2, last_breach_count = $3,
+              last_alert_key = COALESCE($4, last_alert_key)
+          WHERE id = $1
+        `, [rule.id, periodKey, breaches.length, alertKey]);
+      }
+
+      results.push({ ruleId: rule.id, name: rule.name, description: describeRule(rule), breaches, delivered: shouldDeliver && isNew, notified });
+    } catch (error) {
+      logger.error(`Variance alert rule ${rule.id} failed`, { division: code, error: error.message });
+      results.push({ ruleId: rule.id, name: rule.name, description: describeRule(rule), error: error.message, breaches: [] });
+    }
+  }
+
+  logger.info(`📣 Variance alerts evaluated for ${code} ${periodKey}`, {
+    trigger,
+    rules: results.length,
+    breached: results.filter(result => result.breaches.length > 0).length
+  });
+  return { period: { ...period, key: periodKey }, results };
+}
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+const withDescription = (rule) => rule && { ...rule, description: describeRule(rule) };
+
+/**
+ * Rules, optionally of one division
+ */
+async function listRules(division = null) {
+  await ensureTables();
+  const result = division
+    ? await authPool.query('SELECT * FROM variance_alert_rules WHERE UPPER(division) = UPPER($1) ORDER BY name, id', [division])
+    : await authPool.query('SELECT * FROM variance_alert_rules ORDER BY division, name, id');
+  return result.rows.map(withDescription);
+}
+
+async function createRule(input, createdBy) {
+  const columns = validateRule(input);
+  await ensureTables();
+
+  const result = await authPool.query(
+    `INSERT INTO variance_alert_rules (name, division, rule_type, dimension, metric, threshold_pct, min_base,
+       severity, channels, notify_roles, is_active, created_by, updated_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $12)
+     RETURNING *`,
+    [columns.name, columns.division, columns.rule_type, columns.dimension, columns.metric, columns.threshold_pct,
+      columns.min_base, columns.severity, columns.channels, columns.notify_roles, columns.is_active, createdBy]
+  );
+
+  logger.info(`📣 Variance alert rule created: ${columns.name}`, { createdBy, division: columns.division });
+  return withDescription(result.rows[0]);
+}
+
+/**
+ * Replace a rule's settings; its delivery memory is reset so the next evaluation alerts again
+ */
+async function updateRule(id, input, updatedBy) {
+  const columns = validateRule(input);
+  await ensureTables();
+
+  const result = await authPool.query(
+    `UPDATE variance_alert_rules
+     SET name = $2, division = $3, rule_type = $4, dimension = $5, metric = $6, threshold_pct = $7, min_base = $8,
+         severity = $9, channels = $10, notify_roles = $11, is_active = $12, updated_by = $13,
+         last_alert_key = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [id, columns.name, columns.division, columns.rule_type, columns.dimension, columns.metric, columns.threshold_pct,
+      columns.min_base, columns.severity, columns.channels, columns.notify_roles, columns.is_active, updatedBy]
+  );
+  if (result.rows.length === 0) throw alertRuleError(`Alert rule ${id} not found`, 404);
+  return withDescription(result.rows[0]);
+}
+
+async function deleteRule(id, deletedBy) {
+  await ensureTables();
+  const result = await authPool.query('DELETE FROM variance_alert_rules WHERE id = $1 RETURNING *', [id]);
+  if (result.rows.length === 0) throw alertRuleError(`Alert rule ${id} not found`, 404);
+  logger.info(`📣 Variance alert rule deleted: ${result.rows[0].name}`, { deletedBy });
+  return result.rows[0];
+}
+
+module.exports = {
+  RULE_TYPES,
+  DIMENSIONS,
+  SEVERITIES,
+  CHANNELS,
+  ROLES,
+  validateRule,
+  describeRule,
+  evaluateBudgetAttainment,
+  evaluatePerKgChange,
+  buildAlertKey,
+  evaluateDivision,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule
+};
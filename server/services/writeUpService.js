@@ -0,0 +1,596 @@
+/**
+ * Write-Up Service
+ * Narrative write-up of a division for a period pair ("2025 Q2 Actual compared with 2024 Q2 Actual")
+ *
+ * FACT PACK:
+ * Assembled from the database, not from what the dashboard happens to show:
+ * - {div}_data_excel through the pivot query (services/pivotQueryService): sales, volume and MoRM
+ *   by product group, customer (merged names), sales rep and country for both periods,
+ *   the budget of the reported period and the monthly sales of its year
+ * - {div}_pl_data: P&L lines of both periods and the budget (services/plDataService)
+ *
+ * Insights are ranked by services/insightEngine. The result is markdown plus the fact pack and
+ * insights, used by the dashboard write-up and by scheduled e-mails (report type divisional-writeup).
+ * Sales figures follow the caller's data scope and report currency like every other sales query.
+ */
+
+const pivotQueryService = require('./pivotQueryService');
+const plDataService = require('./plDataService');
+const fxRateService = require('./fxRateService');
+const reportRenderService = require('./reportRenderService');
+const { pvmRevenue, buildInsights } = require('./insightEngine');
+const { normalizeDivisionCode } = require('../database/DivisionDataService');
+const logger = require('../utils/logger');
+
+const TOP_ITEMS = 10;
+const LOST_CUSTOMER_RANK = 20;
+const PRICE_SHIFT_PCT = 10;
+const MIN_SHARE_PCT = 1;
+const INSIGHTS_IN_SUMMARY = 6;
+
+/** P&L cost lines whose share of sales explains a gross margin change */
+const COST_LINES = ['MATERIAL', 'LABOUR', 'DEPRECIATION', 'ELECTRICITY', 'OTHER_MFG_OVERHEADS', 'DIRECT_COST_STOCK_ADJ'];
+
+const writeUpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const pctChange = (current, previous) => (previous ? ((current - previous) / Math.abs(previous)) * 100 : null);
+const ratio = (numerator, denominator) => (denominator ? numerator / denominator : null);
+
+/**
+ * Validate the reported period and the period it is compared with
+ * @param {object} period - { year, month | months, type }, the dashboard column format
+ * @param {object} compareTo - Same format
+ * @returns {{period: object, compareTo: object}} Normalized columns (pivotQueryService.validateColumn)
+ */
+function validatePeriods(period, compareTo) {
+  if (!period || !compareTo) throw writeUpError('Both a period and a comparison period are required', 400);
+
+  const normalized = [period, compareTo].map((column, index) => {
+    if (column.year === undefined || column.year === null || column.year === '') {
+      throw writeUpError(`${index === 0 ? 'Period' : 'Comparison period'} needs a year`, 400);
+    }
+    return { ...pivotQueryService.validateColumn(column, index), input: column };
+  });
+
+  const [current, previous] = normalized;
+  if (current.year === previous.year
+    && current.months.join() === previous.months.join()
+    && current.types.join() === previous.types.join()) {
+    throw writeUpError('Choose two different periods to compare', 400);
+  }
+  return { period: current, compareTo: previous };
+}
+
+/**
+ * Pivot column input for a normalized period under a fixed key
+ */
+const pivotColumn = (column, key, type = column.input.type) => ({
+  key,
+  label: column.label,
+  year: column.year,
+  months: column.months,
+  type
+});
+
+/**
+ * Rows of a pivot result (period / comp columns) as comparable items
+ */
+function itemsOf(result, dimension) {
+  if (!result) return [];
+  return result.rows.map(row => ({
+    name: row[dimension] || '(blank)',
+    sales: row['period.amount'] || 0,
+    comp_sales: row['comp.amount'] || 0,
+    kgs: row['period.kgs'] || 0,
+    comp_kgs: row['comp.kgs'] || 0,
+    morm: row['period.morm'] || 0,
+    comp_morm: row['comp.morm'] || 0
+  }));
+}
+
+const topBySales = (items) => [...items].sort((a, b) => b.sales - a.sales).slice(0, TOP_ITEMS);
+
+/**
+ * KPIs of a period: P&L lines when loaded, otherwise sales figures only
+ */
+function buildKpi(plColumn, salesTotals, prefix) {
+  const sales = salesTotals[`${prefix}.amount`] || 0;
+  const kgs = salesTotals[`${prefix}.kgs`] || 0;
+  const morm = salesTotals[`${prefix}.morm`] || 0;
+
+  if (plColumn && plColumn.hasData) {
+    const values = plColumn.values;
+    const plSales = values.SALES || 0;
+    const gp = values.GROSS_PROFIT_AFTER_DEPN || 0;
+    return {
+      source: 'pl',
+      sales: plSales,
+      sales_kg: kgs,
+      morm,
+      material: values.MATERIAL || 0,
+      gp,
+      gp_pct: plSales ? (gp / plSales) * 100 : null,
+      ebit: values.EBIT || 0,
+      ebitda: values.EBITDA || 0,
+      np: values.NET_PROFIT || 0
+    };
+  }
+
+  return {
+    source: 'sales',
+    sales,
+    sales_kg: kgs,
+    morm,
+    material: sales - morm,
+    gp: null,
+    gp_pct: null,
+    ebit: null,
+    ebitda: null,
+    np: null
+  };
+}
+
+/**
+ * Revenue change by product group split into price, volume and mix.
+ * A product group sold in one period only is priced at its price of the other period,
+ * so new and dropped groups show as volume / mix instead of price.
+ */
+function buildRevenuePvm(productGroups) {
+  const vectors = { basePriceVec: [], baseQtyVec: [], curPriceVec: [], curQtyVec: [] };
+  const byProductGroup = productGroups.map(item => {
+    const currentPrice = ratio(item.sales, item.kgs);
+    const basePrice = ratio(item.comp_sales, item.comp_kgs);
+    const cur = currentPrice ?? basePrice ?? 0;
+    const base = basePrice ?? currentPrice ?? 0;
+    vectors.basePriceVec.push(base);
+    vectors.baseQtyVec.push(item.comp_kgs);
+    vectors.curPriceVec.push(cur);
+    vectors.curQtyVec.push(item.kgs);
+    return { name: item.name, price_effect: (cur - base) * item.kgs, volume_kg: item.kgs - item.comp_kgs };
+  });
+
+  return {
+    total: pvmRevenue(vectors),
+    by_product_group: byProductGroup
+      .filter(item => item.price_effect !== 0 || item.volume_kg !== 0)
+      .sort((a, b) => Math.abs(b.price_effect) - Math.abs(a.price_effect))
+      .slice(0, TOP_ITEMS)
+  };
+}
+
+/**
+ * GP% impact (pp) of each cost line's share of sales moving between the periods
+ */
+function buildCogsDrivers(ledgers, plPeriod, plComp) {
+  if (!plPeriod || !plComp || !plPeriod.hasData || !plComp.hasData) return {};
+  const salesNow = plPeriod.values.SALES || 0;
+  const salesBefore = plComp.values.SALES || 0;
+  if (!salesNow || !salesBefore) return {};
+
+  const drivers = {};
+  COST_LINES.forEach(code => {
+    const ledger = ledgers.find(line => line.code === code);
+    if (!ledger) return;
+    const shareNow = ((plPeriod.values[code] || 0) / salesNow) * 100;
+    const shareBefore = ((plComp.values[code] || 0) / salesBefore) * 100;
+    const impact = -(shareNow - shareBefore);
+    if (Math.abs(impact) >= 0.05) drivers[ledger.name] = Math.round(impact * 100) / 100;
+  });
+  return drivers;
+}
+
+/**
+ * Coefficient of variation of the monthly sales (months with sales only)
+ */
+function salesVolatility(monthly) {
+  const values = (monthly ? monthly.rows : [])
+    .map(row => row['year.amount'] || 0)
+    .filter(value => value > 0);
+  if (values.length < 3) return null;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return Math.round((Math.sqrt(variance) / mean) * 1000) / 1000;
+}
+
+const formatMoney = (value, currency) => {
+  if (value === null || value === undefined) return '-';
+  const abs = Math.abs(value);
+  const sign = value < 0 ? '-' : '';
+  if (abs >= 1_000_000) return `${sign}${currency} ${(abs / 1_000_000).toFixed(2)}M`;
+  if (abs >= 1_000) return `${sign}${currency} ${(abs / 1_000).toFixed(1)}k`;
+  return `${sign}${currency} ${abs.toFixed(0)}`;
+};
+
+const formatKg = (value) => {
+  const abs = Math.abs(value || 0);
+  if (abs >= 1_000_000) return `${((value || 0) / 1_000_000).toFixed(2)}M kg`;
+  if (abs >= 1_000) return `${((value || 0) / 1_000).toFixed(1)}k kg`;
+  return `${(value || 0).toFixed(0)} kg`;
+};
+
+const formatChange = (value) => (value === null || value === undefined ? 'n/a' : `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`);
+
+const signed = (text, value) => (value > 0 ? `+${text}` : text);
+
+/**
+ * Fact pack from query results (no database access)
+ * @param {object} input
+ * @param {string} input.division - Division code
+ * @param {string} input.divisionName
+ * @param {string} input.currency
+ * @param {object} input.period - Normalized period (validatePeriods)
+ * @param {object} input.compareTo - Normalized comparison period
+ * @param {object} input.sales - Pivot results: { productGroups, customers, salesReps, countries, monthly }
+ * @param {object} [input.pl] - { ledgers, period, comp, budget } evaluated P&L columns
+ * @returns {object} Fact pack
+ */
+function buildFactPack({ division, divisionName, currency, period, compareTo, sales, pl = {} }) {
+  const productGroups = itemsOf(sales.productGroups, 'productgroup');
+  const customers = itemsOf(sales.customers, 'customer');
+  const salesReps = itemsOf(sales.salesReps, 'salesrep');
+  const countries = itemsOf(sales.countries, 'country');
+  const totals = sales.productGroups ? sales.productGroups.totals : {};
+
+  const kpi = buildKpi(pl.period, totals, 'period');
+  const kpiComp = buildKpi(pl.comp, totals, 'comp');
+
+  const targets = {};
+  if (totals['budget.amount'] !== undefined) {
+    targets.sales = totals['budget.amount'] || 0;
+    targets.sales_kg = totals['budget.kgs'] || 0;
+  }
+  if (pl.budget && pl.budget.hasData && pl.budget.values.SALES) {
+    targets.gp_pct = ((pl.budget.values.GROSS_PROFIT_AFTER_DEPN || 0) / pl.budget.values.SALES) * 100;
+  }
+
+  const totalKgs = productGroups.reduce((sum, item) => sum + item.kgs, 0);
+  const totalCompKgs = productGroups.reduce((sum, item) => sum + item.comp_kgs, 0);
+  const productMix = [...productGroups]
+    .sort((a, b) => b.sales - a.sales)
+    .map(item => ({
+      ...item,
+      share_pct: totalKgs ? (item.kgs / totalKgs) * 100 : 0,
+      comp_share_pct: totalCompKgs ? (item.comp_kgs / totalCompKgs) * 100 : 0,
+      price_per_kg: ratio(item.sales, item.kgs),
+      comp_price_per_kg: ratio(item.comp_sales, item.comp_kgs)
+    }));
+
+  const anomalies = [];
+  productMix.forEach(item => {
+    if (item.share_pct < MIN_SHARE_PCT || item.comp_share_pct < MIN_SHARE_PCT) return;
+    const change = pctChange(item.price_per_kg, item.comp_price_per_kg);
+    if (change !== null && Math.abs(change) >= PRICE_SHIFT_PCT) {
+      anomalies.push({
+        type: 'price_shift',
+        subject: item.name,
+        signal: `${item.name}: price/kg ${change > 0 ? 'up' : 'down'} ${Math.abs(change).toFixed(1)}% `
+          + `(${item.comp_price_per_kg.toFixed(2)} → ${item.price_per_kg.toFixed(2)} ${currency})`
+      });
+    }
+  });
+  [...customers]
+    .sort((a, b) => b.comp_sales - a.comp_sales)
+    .slice(0, LOST_CUSTOMER_RANK)
+    .filter(item => item.comp_sales > 0 && item.sales <= 0)
+    .forEach(item => anomalies.push({
+      type: 'lost_customer',
+      subject: item.name,
+      signal: `${item.name}: no sales in ${period.label} (${formatMoney(item.comp_sales, currency)} in ${compareTo.label})`
+    }));
+
+  const topCustomers = topBySales(customers);
+  const findings = [
+    `Sales ${formatMoney(kpi.sales, currency)} vs ${formatMoney(kpiComp.sales, currency)} in ${compareTo.label} `
+      + `(${formatChange(pctChange(kpi.sales, kpiComp.sales))})`,
+    `Volume ${formatKg(kpi.sales_kg)} (${formatChange(pctChange(kpi.sales_kg, kpiComp.sales_kg))})`
+  ];
+  if (targets.sales) {
+    findings.push(`Sales at ${((totals['period.amount'] / targets.sales) * 100).toFixed(1)}% of budget `
+      + `(${formatMoney(targets.sales, currency)})`);
+  }
+  if (typeof kpi.gp_pct === 'number') {
+    findings.push(`Gross profit margin ${kpi.gp_pct.toFixed(1)}%`
+      + (typeof targets.gp_pct === 'number' ? ` vs ${targets.gp_pct.toFixed(1)}% budget` : ''));
+  }
+  if (topCustomers.length > 0 && totals['period.amount']) {
+    findings.push(`Top customer ${topCustomers[0].name}: `
+      + `${((topCustomers[0].sales / totals['period.amount']) * 100).toFixed(1)}% of sales`);
+  }
+
+  const volatility = salesVolatility(sales.monthly);
+
+  return {
+    division,
+    division_name: divisionName,
+    currency,
+    periods: { base: period.label, comp: compareTo.label },
+    kpi,
+    kpi_comp: kpiComp,
+    targets,
+    revenue_pvm: buildRevenuePvm(productGroups),
+    cogs_drivers: buildCogsDrivers(pl.ledgers || [], pl.period, pl.comp),
+    unit_econ: {
+      sales_kg: kpi.sales_kg,
+      price_per_kg: ratio(totals['period.amount'] || 0, kpi.sales_kg),
+      morm_per_kg: ratio(kpi.morm, kpi.sales_kg),
+      gp_per_kg: kpi.gp === null ? null : ratio(kpi.gp, kpi.sales_kg)
+    },
+    top_customers: topCustomers,
+    top_reps: topBySales(salesReps),
+    top_countries: topBySales(countries),
+    product_mix: productMix,
+    anomalies,
+    chart_findings: findings,
+    volatility_hints: volatility === null ? [] : [{ metric: 'sales', volatility }]
+  };
+}
+
+/**
+ * One ranked insight as a markdown list line
+ */
+function describeInsight(insight, currency) {
+  if (insight.metric === 'Anomaly') return `**${insight.title}**`;
+  if (insight.metric === 'GP% vs Target') {
+    const drivers = insight.drivers.map(driver => `${driver.key} ${driver.v > 0 ? '+' : ''}${driver.v.toFixed(2)}pp`);
+    return `**${insight.title}**: ${signed(insight.deltaAbs.toFixed(1), insight.deltaAbs)}pp`
+      + (drivers.length ? ` (${drivers.join(', ')})` : '');
+  }
+  const drivers = insight.drivers.map(driver => (driver.key.includes('kg')
+    ? `${driver.key} ${signed(formatKg(driver.v), driver.v)}`
+    : `${driver.key} ${signed(formatMoney(driver.v, currency), driver.v)}`));
+  return `**${insight.metric === 'Revenue' ? insight.title : `${insight.metric} - ${insight.title}`}**: `
+    + `${signed(formatMoney(insight.deltaAbs, currency), insight.deltaAbs)} (${formatChange(insight.deltaPct * 100)})`
+    + (drivers.length ? `; ${drivers.join(', ')}` : '');
+}
+
+const itemLine = (item, currency) => `- ${item.name}: ${formatMoney(item.sales, currency)} `
+  + `(${formatChange(pctChange(item.sales, item.comp_sales))}), ${formatKg(item.kgs)}`;
+
+/**
+ * Markdown write-up
+ * @param {object} factPack - From buildFactPack
+ * @param {Array} insights - From insightEngine.buildInsights
+ * @returns {string}
+ */
+function composeMarkdown(factPack, insights = []) {
+  const { kpi, kpi_comp: kpiComp, targets, currency, periods } = factPack;
+  const money = (value) => formatMoney(value, currency);
+  const sections = [];
+
+  const quickView = [
+    `- **Sales:** ${money(kpi.sales)} (${formatChange(pctChange(kpi.sales, kpiComp.sales))} vs ${periods.comp})`,
+    `- **Volume:** ${formatKg(kpi.sales_kg)} (${formatChange(pctChange(kpi.sales_kg, kpiComp.sales_kg))})`
+  ];
+  if (kpi.gp !== null) quickView.push(`- **Gross profit:** ${money(kpi.gp)} (${kpi.gp_pct.toFixed(1)}% of sales)`);
+  if (kpi.ebitda !== null) quickView.push(`- **EBITDA:** ${money(kpi.ebitda)}`);
+  if (typeof kpi.gp_pct === 'number' && typeof targets.gp_pct === 'number') {
+    quickView.push(`- **Status:** ${kpi.gp_pct >= targets.gp_pct
+      ? '✅ On target'
+      : '⚠️ Below target'} (budget GP% ${targets.gp_pct.toFixed(1)}%)`);
+  }
+
+  sections.push([
+    `# Executive Summary (${periods.base})`,
+    `## ${factPack.division_name || factPack.division} - compared with ${periods.comp}`,
+    '',
+    '**Quick View:**',
+    ...quickView,
+    '',
+    '**Key Findings:**',
+    ...factPack.chart_findings.map(finding => `- ${finding}`)
+  ].join('\n'));
+
+  const ranked = insights.filter(insight => insight.metric !== 'Anomaly').slice(0, INSIGHTS_IN_SUMMARY);
+  if (ranked.length > 0) {
+    sections.push([
+      '## What Moved',
+      ...ranked.map((insight, index) => `${index + 1}. ${describeInsight(insight, currency)}`)
+    ].join('\n'));
+  }
+
+  const { total } = factPack.revenue_pvm;
+  sections.push([
+    '## Revenue Bridge',
+    `- **${periods.comp}:** ${money(total.revBase)}`,
+    `- **Price:** ${signed(money(total.price), total.price)}`,
+    `- **Volume:** ${signed(money(total.volume), total.volume)}`,
+    `- **Mix:** ${signed(money(total.mix), total.mix)}`,
+    `- **${periods.base}:** ${money(total.revCur)}`
+  ].join('\n'));
+
+  if (factPack.top_customers.length > 0) {
+    sections.push(['## Top Customers', ...factPack.top_customers.slice(0, 5).map(item => itemLine(item, currency))].join('\n'));
+  }
+  if (factPack.product_mix.length > 0) {
+    sections.push([
+      '## Product Mix',
+      ...factPack.product_mix.slice(0, 8).map(item => `- ${item.name}: ${formatKg(item.kgs)}, `
+        + `${item.share_pct.toFixed(1)}% of volume (${periods.comp}: ${item.comp_share_pct.toFixed(1)}%)`
+        + (item.price_per_kg !== null ? `, ${item.price_per_kg.toFixed(2)} ${currency}/kg` : ''))
+    ].join('\n'));
+  }
+  if (factPack.top_reps.length > 0) {
+    sections.push(['## Sales Reps', ...factPack.top_reps.slice(0, 5).map(item => itemLine(item, currency))].join('\n'));
+  }
+  if (factPack.top_countries.length > 0) {
+    sections.push(['## Countries', ...factPack.top_countries.slice(0, 5).map(item => itemLine(item, currency))].join('\n'));
+  }
+  if (factPack.anomalies.length > 0) {
+    sections.push(['## Watch List', ...factPack.anomalies.map(anomaly => `- ${anomaly.signal}`)].join('\n'));
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * HTML for the markdown composeMarkdown writes (headings, lists, bold, paragraphs)
+ */
+function markdownToHtml(markdown) {
+  const inline = (text) => reportRenderService.escapeHtml(text).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+  const html = [];
+  let list = null;
+
+  const closeList = () => {
+    if (list) html.push(`</${list}>`);
+    list = null;
+  };
+  const openList = (tag) => {
+    if (list !== tag) {
+      closeList();
+      html.push(`<${tag}>`);
+      list = tag;
+    }
+  };
+
+  markdown.split('\n').forEach(line => {
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    const bullet = line.match(/^-\s+(.*)$/);
+    const numbered = line.match(/^\d+\.\s+(.*)$/);
+    if (heading) {
+      closeList();
+      html.push(`<h${heading[1].length}>${inline(heading[2])}</h${heading[1].length}>`);
+    } else if (bullet) {
+      openList('ul');
+      html.push(`<li>${inline(bullet[1])}</li>`);
+    } else if (numbered) {
+      openList('ol');
+      html.push(`<li>${inline(numbered[1])}</li>`);
+    } else if (line.trim()) {
+      closeList();
+      html.push(`<p>${inline(line)}</p>`);
+    } else {
+      closeList();
+    }
+  });
+  closeList();
+  return html.join('\n');
+}
+
+/**
+ * P&L column of a normalized period; Estimate columns combine Actual and Estimate months
+ */
+function evaluatePlColumn(ledgers, rows, column) {
+  const periodRows = rows
+    .filter(row => column.types.includes(row.type.toUpperCase()))
+    .map(row => ({ ...row, type: 'PERIOD' }));
+  return reportRenderService.evaluateColumn(ledgers, periodRows, { type: 'PERIOD', year: column.year, months: column.months });
+}
+
+async function loadPl(divisionCode, period, compareTo, withBudget) {
+  const years = [...new Set([period.year, compareTo.year])];
+  const [ledgers, ...rowsByYear] = await Promise.all([
+    plDataService.getLedgers(divisionCode),
+    ...years.map(year => plDataService.getData(divisionCode, { year }))
+  ]);
+  const rows = rowsByYear.flat();
+
+  return {
+    ledgers,
+    period: evaluatePlColumn(ledgers, rows, period),
+    comp: evaluatePlColumn(ledgers, rows, compareTo),
+    budget: withBudget ? evaluatePlColumn(ledgers, rows, { ...period, types: ['BUDGET'] }) : null
+  };
+}
+
+/**
+ * Generate the write-up
+ * @param {object} options
+ * @param {string} options.division
+ * @param {object} options.period - { year, month | months, type }
+ * @param {object} options.compareTo - { year, month | months, type }
+ * @param {string} [options.currency] - Report currency code (default: company currency)
+ * @returns {Promise<{factPack: object, insights: Array, markdown: string}>}
+ */
+async function generateWriteUp({ division, period, compareTo, currency = null }) {
+  const divisionCode = normalizeDivisionCode(division);
+  const columns = validatePeriods(period, compareTo);
+  const withBudget = !columns.period.types.includes('BUDGET');
+
+  const pairColumns = [pivotColumn(columns.period, 'period'), pivotColumn(columns.compareTo, 'comp')];
+  const pivot = (dimension, extraColumns = []) => pivotQueryService.runPivot({
+    division: divisionCode,
+    dimensions: [dimension],
+    measures: ['kgs', 'amount', 'morm'],
+    columns: [...pairColumns, ...extraColumns],
+    limit: 10000
+  });
+
+  const [productGroups, customers, salesReps, countries, monthly, pl, divisionName, companyCurrency] = await Promise.all([
+    pivot('productgroup', withBudget ? [pivotColumn(columns.period, 'budget', 'Budget')] : []),
+    pivot('customer'),
+    pivot('salesrep'),
+    pivot('country'),
+    pivotQueryService.runPivot({
+      division: divisionCode,
+      dimensions: ['month'],
+      measures: ['amount'],
+      columns: [{ key: 'year', year: columns.period.year, month: 'FY', type: 'Actual' }]
+    }),
+    loadPl(divisionCode, columns.period, columns.compareTo, withBudget),
+    reportRenderService.getDivisionName(divisionCode),
+    currency ? null : fxRateService.getBaseCurrency()
+  ]);
+
+  const factPack = buildFactPack({
+    division: divisionCode,
+    divisionName,
+    currency: currency || companyCurrency,
+    period: columns.period,
+    compareTo: columns.compareTo,
+    sales: { productGroups, customers, salesReps, countries, monthly },
+    pl
+  });
+  const insights = buildInsights(factPack);
+  const markdown = composeMarkdown(factPack, insights);
+
+  logger.info(`📝 Write-up ${divisionCode}: ${factPack.periods.base} vs ${factPack.periods.comp}, ${insights.length} insight(s)`);
+  return { factPack, insights, markdown };
+}
+
+/**
+ * Scheduled write-up (report type divisional-writeup): the period against the same months a year earlier
+ * @param {object} options
+ * @param {string} options.division
+ * @param {{year: number, months: number[], label: string}} options.period
+ * @returns {Promise<string>} Self-contained HTML document
+ */
+async function renderWriteUpHtml({ division, period }) {
+  const { markdown, factPack } = await generateWriteUp({
+    division,
+    period: { year: period.year, months: period.months, type: 'Actual', label: period.label },
+    compareTo: {
+      year: period.year - 1,
+      months: period.months,
+      type: 'Actual',
+      label: period.label.replace(String(period.year), String(period.year - 1))
+    }
+  });
+  const companyName = await reportRenderService.getCompanyName();
+  const escape = reportRenderService.escapeHtml;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escape(factPack.division)} Write-Up - ${escape(period.label)}</title>
+</head>
+<body style="font-family:Arial,Helvetica,sans-serif;font-size:13px;color:#222;margin:16px;max-width:820px;">
+  <div style="color:#555;margin-bottom:8px;">${escape(companyName)} - ${escape(factPack.division_name)} (${escape(factPack.currency)})</div>
+  ${markdownToHtml(markdown)}
+  <p style="margin-top:16px;color:#888;font-size:11px;">Generated ${escape(new Date().toISOString().replace('T', ' ').slice(0, 16))} UTC</p>
+</body>
+</html>`;
+}
+
+module.exports = {
+  validatePeriods,
+  buildFactPack,
+  composeMarkdown,
+  markdownToHtml,
+  generateWriteUp,
+  renderWriteUpHtml
+};
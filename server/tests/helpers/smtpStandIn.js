@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Local SMTP stand-in for email tests
+ * Accepts every message without authentication or TLS and keeps it in memory.
+ * @module tests/helpers/smtpStandIn
+ */
+
+const net = require('net');
+
+/**
+ * Start an SMTP stand-in on a free local port
+ * @param {object} [options]
+ * @param {string[]} [options.rejectRecipients] - Addresses answered with 550
+ * @returns {Promise<{port: number, messages: Array<{from: string, to: string[], data: string}>, close: Function}>}
+ */
+function startSmtpStandIn({ rejectRecipients = [] } = {}) {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let current = { from: null, to: [], data: '' };
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 stand-in ESMTP');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(current);
+            current = { from: null, to: [], data: '' };
+            reply(`250 OK queued as ${messages.length}`);
+          } else {
+            current.data += `${line.startsWith('..') ? line.slice(1) : line}\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        const address = (line.match(/<([^>]*)>/) || [])[1];
+        if (command === 'EHLO') {
+          reply('250-stand-in');
+          reply('250 8BITMIME');
+        } else if (command === 'HELO' || command === 'NOOP' || command === 'RSET') {
+          reply('250 OK');
+        } else if (command === 'MAIL') {
+          current.from = address;
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          if (rejectRecipients.includes(address)) {
+            reply('550 No such user');
+          } else {
+            current.to.push(address);
+            reply('250 OK');
+          }
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        messages,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startSmtpStandIn };
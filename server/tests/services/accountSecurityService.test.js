@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Unit Tests for the account security service
+ * @module tests/services/accountSecurityService.test
+ */
+
+const {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  otpauthUrl,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  assertNotLocked,
+  getLockoutPolicy,
+  requestPasswordReset,
+  verifySecondFactor
+} = require('../../services/accountSecurityService');
+const { authPool } = require('../../database/config');
+const emailService = require('../../services/emailService');
+
+// RFC 6238 test secret: ASCII "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('Account Security Service Unit Tests', () => {
+
+  describe('base32', () => {
+    test('should encode the RFC secret and round-trip random bytes', () => {
+      expect(base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+      const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255, 7]);
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+      expect(base32Decode('gezd gnbv-gy3t')).toEqual(Buffer.from('1234567'));
+    });
+
+    test('should reject characters outside the alphabet', () => {
+      expect(() => base32Decode('ABC1')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe('TOTP', () => {
+    test('should match the RFC 6238 SHA-1 vectors (last six digits)', () => {
+      expect(generateTotp(RFC_SECRET, Math.floor(59 / 30))).toBe('287082');
+      expect(generateTotp(RFC_SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+    });
+
+    test('should accept one step of clock drift and nothing further', () => {
+      const timeMs = 1111111109 * 1000;
+      const step = Math.floor(1111111109 / 30);
+      expect(verifyTotp(RFC_SECRET, '081804', { timeMs })).toBe(step);
+      expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), { timeMs })).toBe(step - 1);
+      expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 1), { timeMs })).toBe(step + 1);
+      expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 2), { timeMs })).toBeNull();
+    });
+
+    test('should refuse a code from an already used step', () => {
+      const timeMs = 1111111109 * 1000;
+      const step = Math.floor(1111111109 / 30);
+      expect(verifyTotp(RFC_SECRET, '081804', { timeMs, lastStep: step })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, '081804', { timeMs, lastStep: step - 1 })).toBe(step);
+    });
+
+    test('should ignore spaces and reject malformed codes', () => {
+      const timeMs = 59 * 1000;
+      expect(verifyTotp(RFC_SECRET, '287 082', { timeMs })).toBe(1);
+      expect(verifyTotp(RFC_SECRET, '28708', { timeMs })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, 'abcdef', { timeMs })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, null, { timeMs })).toBeNull();
+    });
+
+    test('should build an otpauth URI for authenticator apps', () => {
+      expect(otpauthUrl('sara@example.com', RFC_SECRET, 'IPDashboard')).toBe(
+        `otpauth://totp/IPDashboard%3Asara%40example.com?secret=${RFC_SECRET}&issuer=IPDashboard&algorithm=SHA1&digits=6&period=30`
+      );
+    });
+  });
+
+  describe('recovery codes', () => {
+    test('should generate ten distinct codes in XXXX-XXXX form', () => {
+      const codes = generateRecoveryCodes();
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach(code => expect(code).toMatch(/^[A-Z2-7]{4}-[A-Z2-7]{4}$/));
+    });
+
+    test('should compare codes without case, spaces or dashes', () => {
+      expect(normalizeRecoveryCode(' abcd-efgh ')).toBe('ABCDEFGH');
+      expect(normalizeRecoveryCode('ABCD EFGH')).toBe('ABCDEFGH');
+      expect(normalizeRecoveryCode(undefined)).toBe('');
+    });
+  });
+
+  describe('lockout', () => {
+    const saved = { ...process.env };
+    afterEach(() => {
+      process.env.LOGIN_MAX_ATTEMPTS = saved.LOGIN_MAX_ATTEMPTS;
+      process.env.LOGIN_LOCKOUT_MINUTES = saved.LOGIN_LOCKOUT_MINUTES;
+      if (saved.LOGIN_MAX_ATTEMPTS === undefined) delete process.env.LOGIN_MAX_ATTEMPTS;
+      if (saved.LOGIN_LOCKOUT_MINUTES === undefined) delete process.env.LOGIN_LOCKOUT_MINUTES;
+    });
+
+    test('should read the policy from the environment with defaults', () => {
+      delete process.env.LOGIN_MAX_ATTEMPTS;
+      delete process.env.LOGIN_LOCKOUT_MINUTES;
+      expect(getLockoutPolicy()).toEqual({ maxAttempts: 5, lockoutMinutes: 15 });
+      process.env.LOGIN_MAX_ATTEMPTS = '3';
+      process.env.LOGIN_LOCKOUT_MINUTES = '30';
+      expect(getLockoutPolicy()).toEqual({ maxAttempts: 3, lockoutMinutes: 30 });
+    });
+
+    test('should refuse locked accounts with 423 and the minutes left', () => {
+      expect(() => assertNotLocked({ lock_minutes_left: null })).not.toThrow();
+      expect(() => assertNotLocked({ lock_minutes_left: 0 })).not.toThrow();
+      expect(() => assertNotLocked({ lock_minutes_left: 1 })).toThrow('Try again in 1 minute or');
+      expect(() => assertNotLocked({ lock_minutes_left: 12 }))
+        .toThrow(expect.objectContaining({ statusCode: 423, message: expect.stringContaining('12 minutes') }));
+    });
+  });
+
+  describe('requestPasswordReset', () => {
+    test('should answer 503 before looking anyone up when e-mail is not configured', async () => {
+      const savedHost = process.env.SMTP_HOST;
+      delete process.env.SMTP_HOST;
+      try {
+        await expect(requestPasswordReset('sara@example.com')).rejects.toMatchObject({ statusCode: 503 });
+      } finally {
+        if (savedHost !== undefined) process.env.SMTP_HOST = savedHost;
+      }
+    });
+
+    test('should answer as usual and drop the link when the e-mail cannot be sent', async () => {
+      jest.spyOn(emailService, 'isConfigured').mockReturnValue(true);
+      jest.spyOn(emailService, 'sendMail').mockRejectedValue(new Error('SMTP connection refused'));
+      const query = jest.spyOn(authPool, 'query').mockImplementation(async (text) => (
+        /FROM users WHERE email/.test(text)
+          ? { rows: [{ id: 5, email: 'sara@example.com', name: 'Sara', is_active: true }] }
+          : { rows: [] }
+      ));
+      try {
+        await expect(requestPasswordReset('sara@example.com')).resolves.toEqual({ sent: false });
+        const invalidations = query.mock.calls.filter(([text]) => /UPDATE password_reset_tokens SET used_at/.test(text));
+        expect(invalidations).toHaveLength(2);
+      } finally {
+        jest.restoreAllMocks();
+      }
+    });
+  });
+
+  describe('verifySecondFactor', () => {
+    test('should reject a code whose time step another login already claimed', async () => {
+      const code = generateTotp(RFC_SECRET, Math.floor(Date.now() / 30000));
+      const query = jest.spyOn(authPool, 'query').mockImplementation(async (text) => (
+        /SELECT id, email, role, password_hash/.test(text)
+          ? { rows: [{ id: 5, email: 'sara@example.com', totp_enabled: true, totp_secret: RFC_SECRET, totp_last_step: null }] }
+          : { rows: [] }
+      ));
+      try {
+        await expect(verifySecondFactor(5, code)).resolves.toBe(false);
+        const claim = query.mock.calls.find(([text]) => /UPDATE users SET totp_last_step/.test(text));
+        expect(claim[0]).toMatch(/totp_last_step IS NULL OR totp_last_step < \$1/);
+      } finally {
+        jest.restoreAllMocks();
+      }
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Unit Tests for the audit log service and audit trail middleware
+ * @module tests/services/auditLogService.test
+ */
+
+const {
+  GENESIS_HASH,
+  canonicalJson,
+  redact,
+  summarizePayload,
+  computeHash,
+  verifyEntries,
+  buildFilter,
+  toCsv
+} = require('../../services/auditLogService');
+const { isAuditedRequest, describeRequest } = require('../../middleware/auditTrail');
+
+// Chain of entries the way append() builds them
+const buildChain = (changes) => {
+  let prevHash = GENESIS_HASH;
+  return changes.map((change, index) => {
+    const entry = {
+      id: index + 1,
+      occurredAt: `2026-03-0${index + 1}T10:00:00.000Z`,
+      userId: 1,
+      userEmail: 'admin@example.com',
+      entityId: null,
+      division: 'FP',
+      before: null,
+      method: 'POST',
+      path: '/api/test',
+      statusCode: 200,
+      correlationId: `corr-${index}`,
+      requestId: null,
+      ipAddress: '127.0.0.1',
+      ...change,
+      prevHash
+    };
+    entry.hash = computeHash(prevHash, entry);
+    prevHash = entry.hash;
+    return entry;
+  });
+};
+
+describe('Audit Log Service Unit Tests', () => {
+
+  describe('canonicalJson', () => {
+    test('should sort keys at every level and keep array order', () => {
+      expect(canonicalJson({ b: 1, a: { d: [2, 1], c: null } })).toBe('{"a":{"c":null,"d":[2,1]},"b":1}');
+      expect(canonicalJson({ a: 1, b: 2 })).toBe(canonicalJson({ b: 2, a: 1 }));
+      expect(canonicalJson({ a: undefined, b: 'x' })).toBe('{"b":"x"}');
+    });
+  });
+
+  describe('redact', () => {
+    test('should hide passwords, tokens and extra keys at any depth', () => {
+      const body = {
+        email: 'a@example.com',
+        password: 'Secret123',
+        nested: [{ refreshToken: 'abc', name: 'x' }],
+        code: '123456'
+      };
+      expect(redact(body)).toEqual({
+        email: 'a@example.com',
+        password: '[redacted]',
+        nested: [{ refreshToken: '[redacted]', name: 'x' }],
+        code: '123456'
+      });
+      expect(redact(body, ['code']).code).toBe('[redacted]');
+      expect(body.password).toBe('Secret123');
+    });
+  });
+
+  describe('summarizePayload', () => {
+    test('should keep small payloads and outline large ones', () => {
+      expect(summarizePayload({ year: 2026 })).toEqual({ year: 2026 });
+      expect(summarizePayload(undefined)).toBeNull();
+
+      const budget = { division: 'FP', budgetYear: 2026, budgetData: Array.from({ length: 500 }, (_, i) => ({ month: i })) };
+      expect(summarizePayload(budget, 1000)).toEqual({
+        truncated: true,
+        size: JSON.stringify(budget).length,
+        keys: ['division', 'budgetYear', 'budgetData'],
+        division: 'FP',
+        budgetYear: 2026,
+        budgetDataCount: 500
+      });
+      expect(summarizePayload(budget.budgetData, 1000)).toMatchObject({ truncated: true, items: 500 });
+    });
+  });
+
+  describe('hash chain', () => {
+    test('should hash deterministically regardless of key order', () => {
+      const entry = { action: 'user.update', after: { name: 'A', role: 'admin' } };
+      const reordered = { after: { role: 'admin', name: 'A' }, action: 'user.update' };
+      expect(computeHash(GENESIS_HASH, entry)).toBe(computeHash(GENESIS_HASH, reordered));
+      expect(computeHash(GENESIS_HASH, entry)).toMatch(/^[0-9a-f]{64}$/);
+      expect(computeHash('1'.repeat(64), entry)).not.toBe(computeHash(GENESIS_HASH, entry));
+    });
+
+    test('should accept an intact chain', () => {
+      const chain = buildChain([
+        { action: 'division.create', entityType: 'divisions', after: { code: 'HC' } },
+        { action: 'user.update', entityType: 'users', before: { role: 'sales_rep' }, after: { role: 'admin' } },
+        { action: 'material-percentages.delete', entityType: 'master-data/material-percentages', before: { PE: 40 } }
+      ]);
+      expect(verifyEntries(chain)).toEqual({ brokenAt: null, lastHash: chain[2].hash });
+      expect(verifyEntries(chain.slice(1), chain[0].hash).brokenAt).toBeNull();
+    });
+
+    test('should detect an edited entry', () => {
+      const chain = buildChain([
+        { action: 'user.update', entityType: 'users', after: { role: 'sales_rep' } },
+        { action: 'user.delete', entityType: 'users', before: { email: 'b@example.com' } }
+      ]);
+      chain[0].after = { role: 'admin' };
+      expect(verifyEntries(chain).brokenAt).toEqual({ id: 1, reason: expect.stringContaining('edited') });
+    });
+
+    test('should detect a removed entry', () => {
+      const chain = buildChain([
+        { action: 'a', entityType: 'x' },
+        { action: 'b', entityType: 'x' },
+        { action: 'c', entityType: 'x' }
+      ]);
+      const result = verifyEntries([chain[0], chain[2]]);
+      expect(result.brokenAt).toEqual({ id: 3, reason: expect.stringContaining('removed') });
+      expect(result.lastHash).toBe(chain[0].hash);
+    });
+  });
+
+  describe('buildFilter', () => {
+    test('should build numbered conditions for the filters given', () => {
+      const { where, params } = buildFilter({ from: '2026-03-01', to: '2026-03-31', userId: '4', division: 'fp', search: 'HC' });
+      expect(where).toContain('occurred_at >= $1');
+      expect(where).toContain('occurred_at < $2');
+      expect(where).toContain('user_id = $3');
+      expect(where).toContain('division = $4');
+      expect(where).toContain('after_data::text ILIKE $5');
+      // A bare "to" date includes that whole day
+      expect(params).toEqual(['2026-03-01T00:00:00.000Z', '2026-04-01T00:00:00.000Z', 4, 'FP', '%HC%']);
+    });
+
+    test('should return no clause without filters and reject bad dates', () => {
+      expect(buildFilter({})).toEqual({ where: '', params: [] });
+      expect(() => buildFilter({ from: 'yesterday-ish' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe('toCsv', () => {
+    test('should quote commas, quotes and JSON payloads', () => {
+      const csv = toCsv([{ id: 7, action: 'division.create', entityType: 'divisions', after: { name: 'Flexible, "Packaging"' } }]);
+      const [header, line] = csv.split('\n');
+      expect(header.startsWith('ID,Time (UTC),User,Action')).toBe(true);
+      expect(line.startsWith('7,,,division.create,divisions,')).toBe(true);
+      expect(line).toContain('"{""name"":""Flexible, \\""Packaging\\""""}"');
+    });
+  });
+});
+
+describe('Audit Trail Middleware Unit Tests', () => {
+
+  test('should audit mutating requests but not reads or read-only POSTs', () => {
+    expect(isAuditedRequest('PUT', '/api/auth/users/3')).toBe(true);
+    expect(isAuditedRequest('POST', '/api/aebf/save-html-budget')).toBe(true);
+    expect(isAuditedRequest('DELETE', '/api/report-schedules/12')).toBe(true);
+    expect(isAuditedRequest('GET', '/api/audit-log')).toBe(false);
+    expect(isAuditedRequest('POST', '/api/auth/login')).toBe(false);
+    expect(isAuditedRequest('POST', '/api/aebf/export-budget-html')).toBe(false);
+    expect(isAuditedRequest('POST', '/api/pivot')).toBe(false);
+    expect(isAuditedRequest('POST', '/api/sales-by-country-db')).toBe(false);
+    expect(isAuditedRequest('POST', '/health')).toBe(false);
+  });
+
+  test('should describe entity, id and division from the path', () => {
+    expect(describeRequest('DELETE', '/api/report-schedules/12')).toEqual({
+      action: 'DELETE /api/report-schedules/:id',
+      entityType: 'report-schedules',
+      entityId: '12',
+      division: null
+    });
+    expect(describeRequest('POST', '/api/divisions/hc/master-data/fx-rates')).toEqual({
+      action: 'POST /api/divisions/:division/master-data/fx-rates',
+      entityType: 'master-data/fx-rates',
+      entityId: null,
+      division: 'HC'
+    });
+    expect(describeRequest('POST', '/api/aebf/budget-draft/save-draft')).toMatchObject({
+      entityType: 'aebf/budget-draft',
+      action: 'POST /api/aebf/budget-draft/save-draft'
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Unit Tests for Budget Approval Service
+ * @module tests/services/budgetApprovalService.test
+ */
+
+const { assertTransition, isEditable, canAccessBudget } = require('../../services/budgetApprovalService');
+const userService = require('../../services/userService');
+const { buildDataScope } = require('../../utils/dataScope');
+
+describe('Budget Approval Service Unit Tests', () => {
+
+  describe('assertTransition', () => {
+    test('should submit drafts and rejected budgets', () => {
+      expect(assertTransition('DRAFT', 'submit')).toBe('SUBMITTED');
+      expect(assertTransition('REJECTED', 'submit')).toBe('SUBMITTED');
+    });
+
+    test('should refuse transitions from the wrong state with 409', () => {
+      expect(() => assertTransition('APPROVED', 'submit')).toThrow('Cannot submit a budget that is APPROVED');
+      expect(() => assertTransition('DRAFT', 'approve', { isReviewer: true })).toThrow(
+        expect.objectContaining({ statusCode: 409 })
+      );
+    });
+
+    test('should only let reviewers approve or reject', () => {
+      expect(() => assertTransition('SUBMITTED', 'approve', { role: 'sales_rep' })).toThrow(
+        expect.objectContaining({ statusCode: 403 })
+      );
+      expect(assertTransition('SUBMITTED', 'approve', { role: 'sales_manager', isReviewer: true })).toBe('APPROVED');
+    });
+
+    test('should require comments to reject', () => {
+      expect(() => assertTransition('SUBMITTED', 'reject', { isReviewer: true, comments: '  ' })).toThrow(
+        'Comments are required to reject a budget'
+      );
+      expect(assertTransition('SUBMITTED', 'reject', { isReviewer: true, comments: 'Volumes too low' })).toBe('REJECTED');
+    });
+
+    test('should restrict reopening approved budgets to admins', () => {
+      expect(() => assertTransition('APPROVED', 'reopen', { role: 'sales_manager', isReviewer: true })).toThrow(
+        expect.objectContaining({ statusCode: 403 })
+      );
+      expect(assertTransition('APPROVED', 'reopen', { role: 'admin' })).toBe('DRAFT');
+    });
+
+    test('should reject unknown actions', () => {
+      expect(() => assertTransition('DRAFT', 'publish')).toThrow('Unknown approval action: publish');
+    });
+  });
+
+  describe('isEditable', () => {
+    test('should lock submitted and approved budgets', () => {
+      expect(isEditable('DRAFT')).toBe(true);
+      expect(isEditable('REJECTED')).toBe(true);
+      expect(isEditable(undefined)).toBe(true);
+      expect(isEditable('SUBMITTED')).toBe(false);
+      expect(isEditable('APPROVED')).toBe(false);
+    });
+  });
+
+  describe('canAccessBudget', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('should let admins work on every budget', async () => {
+      const getDataScope = jest.spyOn(userService, 'getDataScope');
+      await expect(canAccessBudget({ id: 1, role: 'admin' }, 'FP', 'Any Rep')).resolves.toBe(true);
+      expect(getDataScope).not.toHaveBeenCalled();
+    });
+
+    test('should limit other users to the sales reps in their data scope', async () => {
+      jest.spyOn(userService, 'getDataScope').mockResolvedValue(buildDataScope({
+        userId: 2,
+        role: 'sales_manager',
+        divisions: ['FP'],
+        salesRepAccess: [{ name: 'Narek Koroukian', division: 'FP' }]
+      }));
+      const manager = { id: 2, role: 'sales_manager' };
+
+      await expect(canAccessBudget(manager, 'FP', 'narek koroukian')).resolves.toBe(true);
+      await expect(canAccessBudget(manager, 'FP', 'Sofiane Salah')).resolves.toBe(false);
+    });
+
+    test('should refuse users without a data scope', async () => {
+      jest.spyOn(userService, 'getDataScope').mockResolvedValue(null);
+      await expect(canAccessBudget({ id: 3, role: 'sales_rep' }, 'FP', 'Any Rep')).resolves.toBe(false);
+    });
+  });
+});
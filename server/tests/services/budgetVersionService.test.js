@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Unit Tests for Budget Version Service
+ * @module tests/services/budgetVersionService.test
+ */
+
+const { diffAggregates } = require('../../services/budgetVersionService');
+
+const row = (customername, productgroup, month, total, values_type = 'KGS') => ({
+  customername, productgroup, month, values_type, total: String(total)
+});
+
+const DIMENSIONS = ['customername', 'productgroup', 'month'];
+
+describe('Budget Version Service Unit Tests', () => {
+
+  describe('diffAggregates', () => {
+    test('should compute deltas per dimension key', () => {
+      const { rows } = diffAggregates(
+        [row('Masafi Llc', 'Shrink Film', 1, 1000)],
+        [row('Masafi Llc', 'Shrink Film', 1, 1250)],
+        DIMENSIONS
+      );
+
+      expect(rows).toEqual([expect.objectContaining({
+        customername: 'Masafi Llc',
+        productgroup: 'Shrink Film',
+        month: 1,
+        from: 1000,
+        to: 1250,
+        delta: 250,
+        deltaPct: 25,
+        change: 'CHANGED'
+      })]);
+    });
+
+    test('should flag added and removed lines', () => {
+      const { rows } = diffAggregates(
+        [row('Old Customer', 'Labels', 2, 300)],
+        [row('New Customer', 'Labels', 2, 500)],
+        DIMENSIONS
+      );
+
+      expect(rows.map(r => [r.customername, r.change])).toEqual([
+        ['New Customer', 'ADDED'],
+        ['Old Customer', 'REMOVED']
+      ]);
+      expect(rows[0].deltaPct).toBeNull();
+    });
+
+    test('should skip unchanged lines but keep them in the summary', () => {
+      const { rows, summary } = diffAggregates(
+        [row('A', 'Labels', 1, 100), row('B', 'Labels', 1, 50, 'AMOUNT')],
+        [row('A', 'Labels', 1, 100), row('B', 'Labels', 1, 80, 'AMOUNT')],
+        DIMENSIONS
+      );
+
+      expect(rows).toHaveLength(1);
+      expect(summary.KGS).toEqual({ from: 100, to: 100, delta: 0 });
+      expect(summary.AMOUNT).toEqual({ from: 50, to: 80, delta: 30 });
+    });
+
+    test('should sort by absolute delta', () => {
+      const { rows } = diffAggregates(
+        [row('A', 'X', 1, 100), row('B', 'X', 1, 100), row('C', 'X', 1, 100)],
+        [row('A', 'X', 1, 110), row('B', 'X', 1, 20), row('C', 'X', 1, 150)],
+        DIMENSIONS
+      );
+
+      expect(rows.map(r => r.customername)).toEqual(['B', 'C', 'A']);
+    });
+
+    test('should treat null dimension values as one key', () => {
+      const { rows } = diffAggregates(
+        [{ productgroup: 'Labels', customername: null, month: 3, values_type: 'KGS', total: '10' }],
+        [{ productgroup: 'Labels', customername: null, month: 3, values_type: 'KGS', total: '15' }],
+        DIMENSIONS
+      );
+
+      expect(rows).toHaveLength(1);
+      expect(rows[0].delta).toBe(5);
+    });
+  });
+});
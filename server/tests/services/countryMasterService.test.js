@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Unit Tests for Country Master Service (countries, aliases, resolution)
+ * @module tests/services/countryMasterService.test
+ */
+
+const {
+  normalizeCountryName,
+  buildSeedCountries,
+  buildCountryIndex,
+  resolveCountry,
+  getCountryNames,
+  canonicalizeCountryTotals,
+  suggestCountry,
+  validateCountryInput
+} = require('../../services/countryMasterService');
+
+describe('Country Master Service Unit Tests', () => {
+
+  const countries = [
+    {
+      id: 1, name: 'United Arab Emirates', region: 'UAE', marketType: 'Local',
+      aliases: [{ id: 10, alias: 'UAE' }, { id: 11, alias: 'Emirates' }]
+    },
+    {
+      id: 2, name: 'Saudi Arabia', region: 'Arabian Peninsula', marketType: 'Export',
+      aliases: [{ id: 12, alias: 'KSA' }, { id: 13, alias: 'Kingdom Of Saudi Arabia' }]
+    },
+    { id: 3, name: 'Democratic Republic of Congo', region: 'Southern Africa', marketType: 'Export', aliases: [] }
+  ];
+  const index = buildCountryIndex(countries);
+
+  describe('normalizeCountryName', () => {
+    test('should ignore case and spacing', () => {
+      expect(normalizeCountryName('  SAUDI   Arabia ')).toBe('saudi arabia');
+      expect(normalizeCountryName(null)).toBe('');
+    });
+  });
+
+  describe('buildSeedCountries', () => {
+    test('should group keys with the same attributes into one country with aliases', () => {
+      const uae = { region: 'UAE', marketType: 'Local', coordinates: [54.37, 24.29] };
+      const seeded = buildSeedCountries({
+        'United Arab Emirates': uae,
+        'UAE': { ...uae },
+        'UNITED ARAB EMIRATES': { ...uae },
+        'Oman': { region: 'Arabian Peninsula', marketType: 'Export', coordinates: [58.4, 23.6] }
+      });
+
+      expect(seeded).toHaveLength(2);
+      expect(seeded[0]).toMatchObject({ name: 'United Arab Emirates', region: 'UAE', aliases: ['UAE'] });
+      expect(seeded[1]).toMatchObject({ name: 'Oman', aliases: [] });
+    });
+  });
+
+  describe('resolveCountry / getCountryNames', () => {
+    test('should resolve names and aliases regardless of case', () => {
+      expect(resolveCountry('ksa', index).name).toBe('Saudi Arabia');
+      expect(resolveCountry('KINGDOM OF SAUDI ARABIA', index).name).toBe('Saudi Arabia');
+      expect(resolveCountry('United Arab Emirates', index).region).toBe('UAE');
+      expect(resolveCountry('Atlantis', index)).toBeNull();
+    });
+
+    test('should list every name a country goes by', () => {
+      expect(getCountryNames('KSA', index)).toEqual(['saudi arabia', 'ksa', 'kingdom of saudi arabia']);
+      expect(getCountryNames('Atlantis', index)).toEqual(['atlantis']);
+    });
+  });
+
+  describe('canonicalizeCountryTotals', () => {
+    test('should add up aliases under the master country and keep unknown names', () => {
+      const totals = canonicalizeCountryTotals([
+        { country: 'Saudi Arabia', value: 100 },
+        { country: 'Ksa', value: 50 },
+        { country: 'Uae', value: 300 },
+        { country: 'Atlantis', value: 10 }
+      ], index);
+
+      expect(totals).toEqual([
+        { country: 'United Arab Emirates', value: 300 },
+        { country: 'Saudi Arabia', value: 150 },
+        { country: 'Atlantis', value: 10 }
+      ]);
+    });
+
+    test('should support other key names', () => {
+      const totals = canonicalizeCountryTotals(
+        [{ name: 'Emirates', amount: 5 }, { name: 'UAE', amount: 7 }],
+        index,
+        { nameKey: 'name', valueKey: 'amount' }
+      );
+      expect(totals).toEqual([{ name: 'United Arab Emirates', amount: 12 }]);
+    });
+  });
+
+  describe('suggestCountry', () => {
+    test('should suggest the country sharing meaningful words', () => {
+      expect(suggestCountry('Saudi', countries).name).toBe('Saudi Arabia');
+      expect(suggestCountry('Congo DR', countries).name).toBe('Democratic Republic of Congo');
+    });
+
+    test('should not suggest on generic words only', () => {
+      expect(suggestCountry('Republic of the Islands', countries)).toBeNull();
+      expect(suggestCountry('Atlantis', countries)).toBeNull();
+    });
+  });
+
+  describe('validateCountryInput', () => {
+    test('should clean a full country', () => {
+      expect(validateCountryInput({
+        name: ' Oman ', region: 'Arabian Peninsula', currencyCode: 'omr', longitude: '58.4', latitude: 23.6
+      })).toEqual({
+        country_name: 'Oman',
+        normalized_name: 'oman',
+        region: 'Arabian Peninsula',
+        market_type: 'Export',
+        currency_code: 'OMR',
+        currency_name: null,
+        currency_symbol: null,
+        longitude: 58.4,
+        latitude: 23.6
+      });
+    });
+
+    test('should only keep the fields sent on a partial update', () => {
+      expect(validateCountryInput({ marketType: 'Local' }, { partial: true })).toEqual({ market_type: 'Local' });
+    });
+
+    test('should reject missing names, unassigned regions and bad values', () => {
+      expect(() => validateCountryInput({ region: 'UAE' })).toThrow('Country name is required');
+      expect(() => validateCountryInput({ name: 'Oman', region: 'Unassigned' })).toThrow('Region is required');
+      expect(() => validateCountryInput({ name: 'Oman', region: 'X', marketType: 'Domestic' })).toThrow('Market type');
+      expect(() => validateCountryInput({ latitude: 95 }, { partial: true })).toThrow('Latitude');
+    });
+  });
+});
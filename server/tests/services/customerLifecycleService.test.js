@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Unit Tests for the customer lifecycle service
+ * @module tests/services/customerLifecycleService.test
+ */
+
+const {
+  validateLifecycleQuery,
+  collectActivity,
+  classifyCustomers,
+  buildCohorts
+} = require('../../services/customerLifecycleService');
+
+const index = (year, month) => year * 12 + (month - 1);
+
+// Pivot rows over customer, year, month (and sales rep): [customer, year, month, kgs, salesrep]
+const sqlRows = (rows) => rows.map(([customer, year, month, kgs, salesrep]) => ({
+  dim_0: customer,
+  dim_1: year,
+  dim_2: month,
+  ...(salesrep !== undefined ? { dim_3: salesrep } : {}),
+  p0_kgs: String(kgs),
+  p0_amount: String(kgs * 5)
+}));
+
+const monthly = (customer, year, fromMonth, toMonth, kgs, salesrep) => {
+  const rows = [];
+  for (let month = fromMonth; month <= toMonth; month++) rows.push([customer, year, month, kgs, salesrep]);
+  return rows;
+};
+
+describe('Customer Lifecycle Service Unit Tests', () => {
+
+  describe('validateLifecycleQuery', () => {
+    test('should apply defaults and normalize options', () => {
+      expect(validateLifecycleQuery({ division: 'fp', year: '2025', month: '6', segmentBy: 'SalesRep' })).toEqual({
+        divisionCode: 'FP',
+        year: 2025,
+        month: 6,
+        months: 12,
+        measure: 'kgs',
+        segmentBy: 'salesrep',
+        cohortPeriod: 'quarter'
+      });
+    });
+
+    test('should reject unknown options', () => {
+      expect(() => validateLifecycleQuery({ division: 'FP', month: 3 })).toThrow('A month needs a year');
+      expect(() => validateLifecycleQuery({ division: 'FP', months: 61 })).toThrow('Months must be between 1 and 60');
+      expect(() => validateLifecycleQuery({ division: 'FP', segmentBy: 'material' }))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => validateLifecycleQuery({ division: 'FP', measure: 'morm' })).toThrow('Measure must be kgs or amount');
+    });
+  });
+
+  describe('collectActivity', () => {
+    test('should turn pivot rows into monthly purchases and drop empty months', () => {
+      const activity = collectActivity(sqlRows([['Acme', 2025, 3, 100, ''], ['Acme', 2025, 4, 0, 'Sara']]), 'amount');
+      expect(activity).toEqual([{ customer: 'Acme', segment: 'Unassigned', index: index(2025, 3), value: 500 }]);
+    });
+  });
+
+  describe('classifyCustomers', () => {
+    const activity = collectActivity(sqlRows([
+      // Steady buyer since 2023
+      ...monthly('Acme', 2023, 1, 12, 100),
+      ...monthly('Acme', 2024, 1, 12, 100),
+      ...monthly('Acme', 2025, 1, 6, 100),
+      // Halved its volume: declining
+      ...monthly('Gulf Dairy', 2023, 1, 12, 100),
+      ...monthly('Gulf Dairy', 2024, 1, 6, 100),
+      ...monthly('Gulf Dairy', 2024, 7, 12, 40),
+      ...monthly('Gulf Dairy', 2025, 1, 6, 40),
+      // Last order June 2024: lost from June 2025
+      ['Nile Bakery', 2023, 5, 50],
+      ['Nile Bakery', 2024, 6, 50],
+      // First order in March 2025
+      ['Oasis Foods', 2025, 3, 30],
+      // Back in April 2025 after two years
+      ['Atlas Trading', 2023, 2, 80],
+      ['Atlas Trading', 2025, 4, 20],
+      // Case differences are the same customer
+      ['ACME', 2025, 6, 10]
+    ]), 'kgs');
+    const lifecycle = classifyCustomers(activity, { start: index(2025, 1), end: index(2025, 6) });
+    const byName = Object.fromEntries(lifecycle.customers.map(customer => [customer.name, customer]));
+
+    test('should classify every customer per month', () => {
+      expect(lifecycle.customers).toHaveLength(5);
+      expect(byName.Acme).toMatchObject({ status: 'active', firstPurchase: '2023-01', lastPurchase: '2025-06', trailing: 1210 });
+      expect(byName['Gulf Dairy'].status).toBe('declining');
+      expect(byName['Nile Bakery'].history).toEqual(['active', 'active', 'active', 'active', 'active', 'lost']);
+      expect(byName['Oasis Foods'].history).toEqual([null, null, 'new', 'active', 'active', 'active']);
+      expect(byName['Atlas Trading'].history).toEqual(['lost', 'lost', 'lost', 'reactivated', 'active', 'active']);
+    });
+
+    test('should count statuses, losses and retention over the window', () => {
+      expect(lifecycle.months.map(month => month.key)).toEqual(['2025-01', '2025-02', '2025-03', '2025-04', '2025-05', '2025-06']);
+      expect(lifecycle.months[5]).toMatchObject({
+        counts: { new: 0, active: 3, reactivated: 0, declining: 1, lost: 1 },
+        customerBase: 5,
+        newlyLost: 1,
+        churnRate: 0.2
+      });
+      expect(lifecycle.summary).toMatchObject({ acquired: 1, reactivatedInWindow: 1, lostInWindow: 1, retentionRate: 0.6667 });
+    });
+  });
+
+  describe('buildCohorts', () => {
+    test('should build retention matrices per acquisition quarter and segment', () => {
+      const activity = collectActivity(sqlRows([
+        ['Acme', 2025, 1, 100, 'Sara'],
+        ['Acme', 2025, 4, 100, 'Sara'],
+        ['Gulf Dairy', 2025, 2, 100, 'Sara'],
+        ['Oasis Foods', 2025, 5, 100, 'Omar'],
+        ['Oasis Foods', 2025, 7, 100, 'Sara'],
+        ['Old Customer', 2024, 6, 100, 'Omar']
+      ]), 'kgs');
+
+      const cohorts = buildCohorts(activity, { start: index(2025, 1), end: index(2025, 9) }, 'quarter', 'salesrep');
+
+      expect(cohorts.map(group => [group.segment, group.customers])).toEqual([['Sara', 3], ['Omar', 1]]);
+      expect(cohorts[0].cohorts).toEqual([
+        { key: '2025 Q1', size: 2, retained: [2, 1, 0], rates: [1, 0.5, 0] },
+        { key: '2025 Q3', size: 1, retained: [1], rates: [1] }
+      ]);
+      expect(cohorts[1].cohorts).toEqual([{ key: '2025 Q2', size: 1, retained: [1, 0], rates: [1, 0] }]);
+    });
+
+    test('should group all customers together without a segment', () => {
+      const activity = collectActivity(sqlRows([['Acme', 2025, 1, 10], ['Acme', 2025, 3, 10], ['Gulf Dairy', 2025, 2, 10]]), 'kgs');
+      const [group] = buildCohorts(activity, { start: index(2025, 1), end: index(2025, 3) }, 'month', null);
+      expect(group.segment).toBe('All customers');
+      expect(group.cohorts.map(cohort => [cohort.key, cohort.retained])).toEqual([['Jan 2025', [1, 0, 1]], ['Feb 2025', [1, 0]]]);
+    });
+  });
+});
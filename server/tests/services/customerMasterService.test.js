@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Unit Tests for Customer Master Service (group-wide customers)
+ * @module tests/services/customerMasterService.test
+ */
+
+const {
+  normalizeName,
+  formatCustomerCode,
+  validateMasterInput,
+  buildLinkIndex,
+  buildMergeMap,
+  resolveLink,
+  aggregateGroupView
+} = require('../../services/customerMasterService');
+
+describe('Customer Master Service Unit Tests', () => {
+
+  const masters = [
+    { id: 1, customer_code: 'GC000001', name: 'Lulu Group', country: 'United Arab Emirates', segment: 'Retail', is_key_account: true },
+    { id: 2, customer_code: 'GC000002', name: 'Almarai', country: 'Saudi Arabia', segment: 'Dairy', is_key_account: false }
+  ];
+
+  const links = [
+    { id: 10, customer_id: 1, division: 'FP', normalized_name: 'lulu group' },
+    { id: 11, customer_id: 1, division: 'hc', normalized_name: 'lulu hypermarket llc' },
+    { id: 12, customer_id: 2, division: 'FP', normalized_name: 'almarai co' }
+  ];
+
+  const fpMergeMap = buildMergeMap([
+    { merged_customer_name: 'Lulu Group', original_customers: '["Lulu Hypermarket", "LULU  HYPER MARKET"]' }
+  ]);
+
+  describe('normalizeName / formatCustomerCode', () => {
+    test('should normalize case and whitespace', () => {
+      expect(normalizeName('  LULU   Hyper Market ')).toBe('lulu hyper market');
+      expect(normalizeName(null)).toBe('');
+    });
+
+    test('should pad the stable customer code', () => {
+      expect(formatCustomerCode(7)).toBe('GC000007');
+      expect(formatCustomerCode(1234567)).toBe('GC1234567');
+    });
+  });
+
+  describe('validateMasterInput', () => {
+    test('should require a name and clean the attributes', () => {
+      expect(validateMasterInput({ name: ' Lulu Group ', country: '', creditTerms: '60 days', isKeyAccount: true })).toEqual({
+        name: 'Lulu Group',
+        country: null,
+        segment: null,
+        credit_terms: '60 days',
+        notes: null,
+        is_key_account: true
+      });
+      expect(() => validateMasterInput({ country: 'Oman' })).toThrow('Customer name is required');
+    });
+
+    test('should only return the fields sent on a partial update', () => {
+      expect(validateMasterInput({ segment: 'Retail' }, { partial: true })).toEqual({ segment: 'Retail' });
+    });
+  });
+
+  describe('resolveLink', () => {
+    test('should resolve raw names, then their merged name', () => {
+      const index = buildLinkIndex(links);
+
+      expect(resolveLink('HC', 'Lulu Hypermarket LLC', index, new Map()).customer_id).toBe(1);
+      expect(resolveLink('FP', 'Lulu Hyper Market', index, fpMergeMap).customer_id).toBe(1);
+      expect(resolveLink('fp-division', 'ALMARAI CO', index, fpMergeMap).customer_id).toBe(2);
+      expect(resolveLink('HC', 'Almarai Co', index, new Map())).toBeNull();
+    });
+  });
+
+  describe('aggregateGroupView', () => {
+    test('should add up divisions per master and report the unlinked rest', () => {
+      const view = aggregateGroupView(masters, {
+        FP: [
+          { customer: 'Lulu Hypermarket', amount: 300, kgs: 30 },
+          { customer: 'Lulu Hyper Market', amount: 200, kgs: 20 },
+          { customer: 'Almarai Co', amount: 400, kgs: 50 },
+          { customer: 'Carrefour', amount: 100, kgs: 10 }
+        ],
+        HC: [
+          { customer: 'Lulu Hypermarket LLC', amount: 150, kgs: 5 }
+        ]
+      }, buildLinkIndex(links), { FP: fpMergeMap });
+
+      expect(view.customers.map(({ id, amount, kgs, divisions }) => ({ id, amount, kgs, divisions }))).toEqual([
+        { id: 1, amount: 650, kgs: 55, divisions: { FP: { amount: 500, kgs: 50 }, HC: { amount: 150, kgs: 5 } } },
+        { id: 2, amount: 400, kgs: 50, divisions: { FP: { amount: 400, kgs: 50 } } }
+      ]);
+      expect(view.unlinked).toEqual({ FP: { customers: 1, amount: 100, kgs: 10 } });
+      expect(view.totals).toEqual({ amount: 1150, kgs: 115, linkedAmount: 1050, linkedKgs: 105 });
+    });
+
+    test('should leave out masters without data and links of inactive masters', () => {
+      const view = aggregateGroupView([masters[1]], {
+        FP: [{ customer: 'Lulu Group', amount: 80, kgs: 8 }]
+      }, buildLinkIndex(links));
+
+      expect(view.customers).toEqual([]);
+      expect(view.unlinked.FP).toMatchObject({ customers: 1, amount: 80 });
+    });
+  });
+});
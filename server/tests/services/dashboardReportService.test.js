@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Unit Tests for the scheduled dashboard and sales rep reports
+ * @module tests/services/dashboardReportService.test
+ */
+
+const {
+  comparisonColumns,
+  figuresOf,
+  buildKpis,
+  buildSalesRepSections,
+  renderDivisionalDashboardHtml,
+  renderSalesRepReportHtml
+} = require('../../services/dashboardReportService');
+const { REPORT_TYPES } = require('../../services/reportRenderService');
+
+const PERIOD = { year: 2025, months: [9], label: 'September 2025' };
+
+const pivotRow = (dimensions, actual, budget, prior) => ({
+  ...dimensions,
+  'actual.amount': actual.sales, 'actual.kgs': actual.kgs, 'actual.morm': actual.morm,
+  'budget.amount': budget.sales, 'budget.kgs': budget.kgs, 'budget.morm': budget.morm,
+  'prior.amount': prior.sales, 'prior.kgs': prior.kgs, 'prior.morm': prior.morm
+});
+
+describe('Dashboard Report Service Unit Tests', () => {
+
+  test('should offer the dashboard and sales rep reports for scheduling', () => {
+    expect(REPORT_TYPES['divisional-dashboard'].label).toBe('Divisional Dashboard');
+    expect(REPORT_TYPES['sales-rep-report'].label).toBe('Sales Rep Report');
+  });
+
+  describe('comparisonColumns / buildKpis', () => {
+    test('should compare the period with its budget and the same months a year earlier', () => {
+      expect(comparisonColumns(PERIOD)).toEqual([
+        expect.objectContaining({ key: 'actual', year: 2025, months: [9], type: 'Actual' }),
+        expect.objectContaining({ key: 'budget', year: 2025, months: [9], type: 'Budget' }),
+        expect.objectContaining({ key: 'prior', year: 2024, months: [9], type: 'Actual' })
+      ]);
+    });
+
+    test('should compute ratios and changes from the totals', () => {
+      const kpis = buildKpis(figuresOf(pivotRow(
+        {},
+        { sales: 1200, kgs: 400, morm: 300 },
+        { sales: 1000, kgs: 500, morm: 0 },
+        { sales: 1500, kgs: 0, morm: 450 }
+      )));
+      const byLabel = Object.fromEntries(kpis.map(kpi => [kpi.label, kpi]));
+
+      expect(byLabel.Sales.vsBudget).toBeCloseTo(20);
+      expect(byLabel.Sales.vsPrior).toBeCloseTo(-20);
+      expect(byLabel['Volume (MT)'].actual).toBeCloseTo(0.4);
+      expect(byLabel['Sales per kg'].actual).toBe(3);
+      expect(byLabel['Sales per kg'].prior).toBeNull();
+      expect(byLabel['Sales per kg'].vsPrior).toBeNull();
+      expect(byLabel['MoRM %'].actual).toBe(25);
+      expect(byLabel.MoRM.vsBudget).toBeNull();
+    });
+  });
+
+  describe('buildSalesRepSections', () => {
+    test('should attach each rep\'s product groups and top customers, largest sales first', () => {
+      const none = { sales: 0, kgs: 0, morm: 0 };
+      const sales = (value) => ({ sales: value, kgs: value / 10, morm: value / 5 });
+      const customers = ['A', 'B', 'C', 'D', 'E', 'F'].map((name, index) =>
+        pivotRow({ salesrep: 'Rep One', customer: name }, sales(100 + index), none, none));
+
+      const sections = buildSalesRepSections({
+        salesReps: { rows: [
+          pivotRow({ salesrep: 'Rep One' }, sales(600), sales(500), none),
+          pivotRow({ salesrep: 'Rep Two' }, sales(900), none, none),
+          pivotRow({ salesrep: 'Idle Rep' }, none, none, none)
+        ] },
+        productGroups: { rows: [
+          pivotRow({ salesrep: 'Rep One', productgroup: 'Laminates' }, sales(200), none, none),
+          pivotRow({ salesrep: 'Rep One', productgroup: 'Shrink Film' }, sales(400), none, none)
+        ] },
+        customers: { rows: customers }
+      });
+
+      expect(sections.map(rep => rep.name)).toEqual(['Rep Two', 'Rep One']);
+      expect(sections[1].productGroups.map(group => group.name)).toEqual(['Shrink Film', 'Laminates']);
+      expect(sections[1].customers.map(customer => customer.name)).toEqual(['F', 'E', 'D', 'C', 'B']);
+      expect(sections[0].productGroups).toEqual([]);
+    });
+  });
+
+  describe('renderDivisionalDashboardHtml / renderSalesRepReportHtml', () => {
+    const header = {
+      companyName: 'Acme <Packaging>',
+      divisionName: 'Flexible Packaging',
+      division: 'FP',
+      currency: 'AED',
+      period: PERIOD,
+      generatedAt: new Date('2025-10-03T04:00:00Z')
+    };
+    const item = (name, value) => ({
+      name,
+      actual: { sales: value, kgs: value, morm: 0 },
+      budget: { sales: value / 2, kgs: 0, morm: 0 },
+      prior: { sales: 0, kgs: 0, morm: 0 }
+    });
+
+    test('should render the KPI summary and every dashboard section', () => {
+      const html = renderDivisionalDashboardHtml({
+        ...header,
+        kpis: buildKpis(figuresOf(pivotRow({}, { sales: 3000, kgs: 3000, morm: 0 }, { sales: 1500, kgs: 0, morm: 0 }, { sales: 0, kgs: 0, morm: 0 }))),
+        statement: null,
+        productGroups: [item('Laminates', 2000), item('Shrink Film', 1000)],
+        customers: [item('Customer & Co', 3000)],
+        salesReps: [],
+        countries: [item('UAE', 3000)]
+      });
+
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('Acme &lt;Packaging&gt; - Flexible Packaging');
+      expect(html).toContain('Sales by Product Group');
+      expect(html).toContain('Customer &amp; Co');
+      expect(html).toContain('+100.0%');
+      expect(html).toContain('66.7%');
+      expect(html).not.toContain('P&amp;L Highlights');
+      expect(html).toMatch(/Sales by Sales Rep<\/h3><p[^>]*>No sales in this period/);
+    });
+
+    test('should render one section per sales rep', () => {
+      const rep = { ...item('Rep One', 1000), productGroups: [item('Laminates', 1000)], customers: [item('Customer A', 1000)] };
+      const html = renderSalesRepReportHtml({ ...header, salesReps: [rep] });
+
+      expect(html).toContain('FP Sales Rep Report - September 2025');
+      expect(html).toContain('Sales Rep Summary');
+      expect(html).toMatch(/<h2[^>]*>Rep One<\/h2>/);
+      expect(html).toContain('Top 5 Customers');
+
+      expect(renderSalesRepReportHtml({ ...header, salesReps: [] })).toContain('No sales rep sales in this period.');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Unit Tests for the database backup service (policy, retention, scheduling)
+ * @module tests/services/databaseBackupService.test
+ */
+
+const {
+  DEFAULT_POLICY,
+  validatePolicy,
+  dayKey,
+  weekKey,
+  monthKey,
+  selectBackupsToPrune,
+  nextRunAt,
+  restoredTableName
+} = require('../../services/databaseBackupService');
+
+// One successful backup a day at 02:00 (local time), newest first, ids counting back from `days`
+const dailyBackups = (days, from = new Date(2026, 9, 19, 2, 0)) => Array.from({ length: days }, (_, index) => ({
+  id: days - index,
+  status: 'success',
+  startedAt: new Date(from.getFullYear(), from.getMonth(), from.getDate() - index, 2, 0)
+}));
+
+describe('Database Backup Service Unit Tests', () => {
+
+  describe('validatePolicy', () => {
+    test('should fill in defaults and coerce form values', () => {
+      expect(validatePolicy()).toEqual(DEFAULT_POLICY);
+      expect(validatePolicy({ enabled: 'true', runTime: '23:30', keepDaily: '14', keepWeekly: 0, keepMonthly: 24 })).toEqual({
+        enabled: true,
+        runTime: '23:30',
+        keepDaily: 14,
+        keepWeekly: 0,
+        keepMonthly: 24
+      });
+      expect(validatePolicy({ enabled: false }).enabled).toBe(false);
+    });
+
+    test('should reject bad run times and retention counts', () => {
+      expect(() => validatePolicy({ runTime: '24:00' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => validatePolicy({ runTime: '2:00' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => validatePolicy({ keepDaily: 0 })).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => validatePolicy({ keepWeekly: 1.5 })).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => validatePolicy({ keepMonthly: 500 })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe('retention buckets', () => {
+    test('should key days and months by local date', () => {
+      expect(dayKey(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+      expect(monthKey(new Date(2026, 11, 31))).toBe('2026-12');
+    });
+
+    test('should use ISO weeks across year boundaries', () => {
+      expect(weekKey(new Date(2026, 9, 19))).toBe('2026-W43');
+      // Monday to Sunday fall in the same week
+      expect(weekKey(new Date(2026, 9, 25))).toBe('2026-W43');
+      expect(weekKey(new Date(2021, 0, 3))).toBe('2020-W53');
+      expect(weekKey(new Date(2021, 0, 4))).toBe('2021-W01');
+      expect(weekKey(new Date(2026, 11, 31))).toBe('2026-W53');
+      expect(weekKey(new Date(2024, 11, 30))).toBe('2025-W01');
+    });
+  });
+
+  describe('selectBackupsToPrune', () => {
+    test('should keep daily, weekly and monthly backups and prune the rest', () => {
+      const backups = dailyBackups(60);
+      const pruned = selectBackupsToPrune(backups, { keepDaily: 7, keepWeekly: 4, keepMonthly: 3 }, new Date(2026, 9, 19, 3));
+      const kept = backups.filter(backup => !pruned.includes(backup.id)).map(backup => dayKey(backup.startedAt));
+
+      expect(kept).toEqual([
+        // Last 7 days
+        '2026-10-19', '2026-10-18', '2026-10-17', '2026-10-16', '2026-10-15', '2026-10-14', '2026-10-13',
+        // Newest of each of the 4 latest weeks (ISO weeks end on Sunday)
+        '2026-10-11', '2026-10-04',
+        // Newest of each of the 3 latest months
+        '2026-09-30', '2026-08-31'
+      ]);
+    });
+
+    test('should always keep the newest success and prune old failures only', () => {
+      const now = new Date(2026, 9, 19, 3);
+      const backups = [
+        { id: 1, status: 'success', startedAt: new Date(2026, 5, 1, 2) },
+        { id: 2, status: 'failed', startedAt: new Date(2026, 9, 1, 2) },
+        { id: 3, status: 'failed', startedAt: new Date(2026, 9, 18, 12) },
+        { id: 4, status: 'running', startedAt: new Date(2026, 9, 19, 2) }
+      ];
+      expect(selectBackupsToPrune(backups, { keepDaily: 1, keepWeekly: 0, keepMonthly: 0 }, now)).toEqual([2]);
+    });
+
+    test('should keep nothing beyond the daily bucket when weekly and monthly are off', () => {
+      const backups = dailyBackups(10);
+      const pruned = selectBackupsToPrune(backups, { keepDaily: 3, keepWeekly: 0, keepMonthly: 0 }, new Date(2026, 9, 19, 3));
+      expect(pruned).toEqual([7, 6, 5, 4, 3, 2, 1]);
+    });
+
+    test('should count several backups on one day as one daily bucket', () => {
+      const backups = [
+        { id: 3, status: 'success', startedAt: '2026-10-19T14:00:00' },
+        { id: 2, status: 'success', startedAt: '2026-10-19T02:00:00' },
+        { id: 1, status: 'success', startedAt: '2026-10-18T02:00:00' }
+      ];
+      expect(selectBackupsToPrune(backups, { keepDaily: 2, keepWeekly: 0, keepMonthly: 0 }, new Date(2026, 9, 19, 15))).toEqual([2]);
+    });
+  });
+
+  describe('nextRunAt', () => {
+    const policy = { ...DEFAULT_POLICY, runTime: '02:30' };
+
+    test('should be today until the day\'s backup has been made', () => {
+      const now = new Date(2026, 9, 19, 1, 0);
+      expect(nextRunAt(policy, '2026-10-18', now)).toEqual(new Date(2026, 9, 19, 2, 30));
+      // Past the run time but not yet run: due now
+      expect(nextRunAt(policy, null, new Date(2026, 9, 19, 9, 0))).toEqual(new Date(2026, 9, 19, 2, 30));
+    });
+
+    test('should be tomorrow once today\'s backup was made', () => {
+      expect(nextRunAt(policy, '2026-10-19', new Date(2026, 9, 19, 9, 0))).toEqual(new Date(2026, 9, 20, 2, 30));
+    });
+  });
+
+  describe('restoredTableName', () => {
+    test('should suffix the snapshot time and stay within 63 characters', () => {
+      const snapshotAt = new Date(2026, 9, 19, 2, 5).toISOString();
+      expect(restoredTableName('fp_data_excel', snapshotAt)).toBe('fp_data_excel_restored_20261019_0205');
+
+      const name = restoredTableName('x'.repeat(70), snapshotAt);
+      expect(name).toHaveLength(63);
+      expect(name.endsWith('_restored_20261019_0205')).toBe(true);
+    });
+  });
+});
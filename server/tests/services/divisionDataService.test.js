@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Unit Tests for the division-parameterized master data service
+ * @module tests/services/divisionDataService.test
+ */
+
+const {
+  DivisionDataService,
+  getDivisionDataService,
+  normalizeDivisionCode
+} = require('../../database/DivisionDataService');
+
+describe('Division Data Service Unit Tests', () => {
+
+  describe('normalizeDivisionCode', () => {
+    test('should accept codes in any case and full division names', () => {
+      expect(normalizeDivisionCode('fp')).toBe('FP');
+      expect(normalizeDivisionCode('HC')).toBe('HC');
+      expect(normalizeDivisionCode('Hcm-UAE')).toBe('HCM');
+    });
+
+    test('should reject codes that cannot be a table prefix', () => {
+      expect(() => normalizeDivisionCode('')).toThrow('Invalid division code');
+      expect(() => normalizeDivisionCode('fp; DROP TABLE x')).toThrow('Invalid division code');
+      expect(() => normalizeDivisionCode('1A')).toThrow('Invalid division code');
+      try {
+        normalizeDivisionCode('f p');
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+      }
+    });
+  });
+
+  describe('DivisionDataService', () => {
+    test('should read the tables of its own division', () => {
+      expect(new DivisionDataService('sb').tables).toEqual({
+        data: 'sb_data_excel',
+        materialPercentages: 'sb_material_percentages',
+        masterConfig: 'sb_master_config'
+      });
+    });
+
+    test('should share one service per division', () => {
+      expect(getDivisionDataService('tf')).toBe(getDivisionDataService('TF-UAE'));
+      expect(getDivisionDataService('tf')).not.toBe(getDivisionDataService('fp'));
+    });
+
+    test('should format product group names to proper case', () => {
+      const service = getDivisionDataService('FP');
+      expect(service.formatProductGroupName('  SHRINK FILM plain ')).toBe('Shrink Film Plain');
+      expect(service.formatProductGroupName('labels-wrap/around')).toBe('Labels-Wrap/Around');
+      expect(service.formatProductGroupName(null)).toBeNull();
+    });
+
+    test('should save each material percentage entry in turn', async () => {
+      const service = new DivisionDataService('HC');
+      const saved = [];
+      service.saveMaterialPercentage = jest.fn(async (productGroup, percentages, material, process) => {
+        saved.push({ productGroup, percentages, material, process });
+        return { product_group: productGroup };
+      });
+
+      const result = await service.saveMaterialPercentages([
+        { productGroup: 'Shrink Film', percentages: { PE: 100 } },
+        { productGroup: 'Laminates', percentages: { PET: 40, Alu: 60 }, material: 'PET/ALU', process: 'Printed' }
+      ]);
+
+      expect(result).toEqual([{ product_group: 'Shrink Film' }, { product_group: 'Laminates' }]);
+      expect(saved[1]).toEqual({ productGroup: 'Laminates', percentages: { PET: 40, Alu: 60 }, material: 'PET/ALU', process: 'Printed' });
+    });
+
+    test('should reject bulk saves that are not a list of product groups', async () => {
+      const service = new DivisionDataService('HC');
+      await expect(service.saveMaterialPercentages({ PE: 100 })).rejects.toThrow('must be a list');
+      await expect(service.saveMaterialPercentages([{ percentages: { PE: 100 } }])).rejects.toThrow('needs a product group');
+    });
+
+    test('should require a year for pricing averages', async () => {
+      await expect(new DivisionDataService('FP').getProductGroupPricingAverages()).rejects.toThrow('Year is required');
+    });
+  });
+});
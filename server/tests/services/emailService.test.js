@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Unit Tests for Email Service (against a local SMTP stand-in)
+ * @module tests/services/emailService.test
+ */
+
+const emailService = require('../../services/emailService');
+const { startSmtpStandIn } = require('../helpers/smtpStandIn');
+
+describe('Email Service Unit Tests', () => {
+  const savedEnv = { ...process.env };
+  let smtp;
+
+  beforeAll(async () => {
+    smtp = await startSmtpStandIn({ rejectRecipients: ['nobody@example.com'] });
+  });
+
+  afterAll(async () => {
+    await smtp.close();
+  });
+
+  beforeEach(() => {
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtp.port);
+    process.env.REPORT_FROM_EMAIL = 'reports@example.com';
+    delete process.env.SMTP_USER;
+    delete process.env.SMTP_SECURE;
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  test('should deliver a message with its attachment', async () => {
+    const result = await emailService.sendMail({
+      to: ['cfo@example.com', 'gm@example.com'],
+      subject: 'FP P&L - September 2025',
+      html: '<p>Report</p>',
+      attachments: [{ filename: 'report.html', content: Buffer.from('<table></table>'), contentType: 'text/html' }]
+    });
+
+    expect(result.accepted).toEqual(['cfo@example.com', 'gm@example.com']);
+    const message = smtp.messages[smtp.messages.length - 1];
+    expect(message.from).toBe('reports@example.com');
+    expect(message.to).toEqual(['cfo@example.com', 'gm@example.com']);
+    expect(message.data).toContain('Subject: FP P&L - September 2025');
+    expect(message.data).toContain('filename=report.html');
+  });
+
+  test('should report recipients the server rejects', async () => {
+    const result = await emailService.sendMail({
+      to: ['cfo@example.com', 'nobody@example.com'],
+      subject: 'Partial',
+      text: 'Report'
+    });
+
+    expect(result.accepted).toEqual(['cfo@example.com']);
+    expect(result.rejected).toEqual(['nobody@example.com']);
+  });
+
+  test('should refuse to send without SMTP configuration', async () => {
+    delete process.env.SMTP_HOST;
+
+    expect(emailService.isConfigured()).toBe(false);
+    await expect(emailService.sendMail({ to: 'cfo@example.com', subject: 'x', text: 'x' }))
+      .rejects.toMatchObject({ statusCode: 503 });
+  });
+
+  test('should validate email addresses', () => {
+    expect(emailService.isValidEmail(' cfo@example.com ')).toBe(true);
+    expect(emailService.isValidEmail('cfo@example')).toBe(false);
+    expect(emailService.isValidEmail('a b@example.com')).toBe(false);
+  });
+});
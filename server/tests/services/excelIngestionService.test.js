@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Unit Tests for Excel Ingestion Service
+ * @module tests/services/excelIngestionService.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const {
+  readWorkbook,
+  validateHeaders,
+  transformRows,
+  buildQcSummary,
+  parseSelectedYearMonths
+} = require('../../services/excelIngestionService');
+
+const HEADERS = ['year', 'month', 'salesrepname', 'customername', 'COUNTRYNAME', 'PGCombine', 'Material', 'Process', 'values_type', 'Total'];
+
+const baseRow = (overrides = {}) => ({
+  year: 2025,
+  month: 3,
+  salesrepname: '  narek   KOROUKIAN ',
+  customername: 'masafi llc',
+  COUNTRYNAME: 'united arab emirates',
+  PGCombine: 'shrink film plain',
+  Material: 'PE',
+  Process: 'plain',
+  values_type: 'kgs',
+  Total: 1200,
+  ...overrides
+});
+
+const options = { division: 'fp', type: 'Actual', uploadedBy: 'tester', sourceSheet: 'actual.xlsx' };
+
+describe('Excel Ingestion Service Unit Tests', () => {
+
+  describe('validateHeaders', () => {
+    test('should accept the standard Excel layout', () => {
+      expect(validateHeaders(HEADERS)).toEqual([]);
+    });
+
+    test('should report missing and forbidden columns', () => {
+      const errors = validateHeaders(['year', 'month', 'type', 'customername']);
+
+      expect(errors).toContain("Remove 'type' column from Excel - it is provided by the upload");
+      expect(errors).toContain('Missing required column: productgroup');
+      expect(errors).toContain('Missing required column: values');
+    });
+  });
+
+  describe('transformRows', () => {
+    test('should normalize text fields and values_type', () => {
+      const { records, errors } = transformRows([baseRow()], options);
+
+      expect(errors).toEqual([]);
+      expect(records[0]).toMatchObject({
+        division: 'FP',
+        type: 'Actual',
+        salesrepname: 'Narek Koroukian',
+        customername: 'Masafi Llc',
+        countryname: 'United Arab Emirates',
+        productgroup: 'Shrink Film Plain',
+        values_type: 'KGS',
+        values: 1200,
+        sourcesheet: 'actual.xlsx',
+        uploaded_by: 'tester'
+      });
+    });
+
+    test('should report per-row errors with Excel row numbers', () => {
+      const rows = [
+        baseRow(),
+        baseRow({ month: 13 }),
+        baseRow({ values_type: 'PCS', Total: 'abc' })
+      ];
+      const { records, errors } = transformRows(rows, options);
+
+      expect(records).toHaveLength(1);
+      expect(errors).toEqual(expect.arrayContaining([
+        expect.objectContaining({ row: 3, field: 'month' }),
+        expect.objectContaining({ row: 4, field: 'values_type' }),
+        expect.objectContaining({ row: 4, field: 'values' })
+      ]));
+    });
+
+    test('should skip blank rows and apply the selective period filter', () => {
+      const rows = [
+        baseRow(),
+        baseRow({ month: 4 }),
+        baseRow({ year: null }),
+        baseRow({ customername: '   ' })
+      ];
+      const result = transformRows(rows, { ...options, selectedYearMonths: new Set(['2025-4']) });
+
+      expect(result.records).toHaveLength(1);
+      expect(result.records[0].month).toBe(4);
+      expect(result.blankRows).toBe(2);
+      expect(result.filteredRows).toBe(1);
+    });
+
+    test('should accept thousands separators in numeric strings', () => {
+      const { records } = transformRows([baseRow({ Total: '1,250.5' })], options);
+
+      expect(records[0].values).toBe(1250.5);
+    });
+  });
+
+  describe('parseSelectedYearMonths', () => {
+    test('should parse JSON array and comma separated input', () => {
+      expect(Array.from(parseSelectedYearMonths('["2025-1","2025-02"]'))).toEqual(['2025-1', '2025-2']);
+      expect(Array.from(parseSelectedYearMonths('2025-1, 2025-3'))).toEqual(['2025-1', '2025-3']);
+    });
+
+    test('should return null when nothing is selected', () => {
+      expect(parseSelectedYearMonths(undefined)).toBeNull();
+      expect(parseSelectedYearMonths('')).toBeNull();
+    });
+  });
+
+  describe('buildQcSummary', () => {
+    test('should total values per values_type and list periods in order', () => {
+      const { records } = transformRows([
+        baseRow({ month: 10 }),
+        baseRow({ month: 2, values_type: 'AMOUNT', Total: 500 })
+      ], options);
+      const summary = buildQcSummary(records);
+
+      expect(summary.totalKgs).toBe(1200);
+      expect(summary.totalAmount).toBe(500);
+      expect(summary.periods).toEqual(['2025-2', '2025-10']);
+    });
+  });
+
+  describe('readWorkbook', () => {
+    test('should read rows and headers from the first sheet', () => {
+      const filePath = path.join(os.tmpdir(), `ingestion-test-${Date.now()}.xlsx`);
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([baseRow()], { header: HEADERS }), 'Data');
+      XLSX.writeFile(workbook, filePath);
+
+      try {
+        const { rows, headers } = readWorkbook(filePath);
+        expect(headers).toEqual(HEADERS);
+        expect(rows).toHaveLength(1);
+        expect(rows[0].PGCombine).toBe('shrink film plain');
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+    });
+
+    test('should read a workbook passed as bytes', () => {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([baseRow()], { header: HEADERS }), 'Data');
+      const content = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+      const { rows, headers } = readWorkbook(content);
+      expect(headers).toEqual(HEADERS);
+      expect(rows).toHaveLength(1);
+    });
+  });
+});
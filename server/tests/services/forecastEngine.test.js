@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Unit Tests for Forecast Engine
+ * @module tests/services/forecastEngine.test
+ */
+
+const {
+  seasonalNaive,
+  movingAverage,
+  holtWinters,
+  forecastSeries,
+  mape,
+  backtestSeries,
+  addMonths
+} = require('../../services/forecastEngine');
+
+// Two seasons with a steady trend and a December peak
+const seasonalSeries = Array.from({ length: 36 }, (_, i) => 100 + i * 2 + (i % 12 === 11 ? 50 : 0));
+
+describe('Forecast Engine Unit Tests', () => {
+
+  describe('seasonalNaive', () => {
+    test('should repeat the same month one season earlier', () => {
+      const series = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+      expect(seasonalNaive(series, 14)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 1, 2]);
+    });
+
+    test('should fall back to the last value when history is short', () => {
+      expect(seasonalNaive([5, 7], 3)).toEqual([7, 7, 7]);
+      expect(seasonalNaive([], 2)).toEqual([0, 0]);
+    });
+  });
+
+  describe('movingAverage', () => {
+    test('should project the mean of the last window months flat', () => {
+      expect(movingAverage([10, 20, 30, 40], 2, 2)).toEqual([35, 35]);
+    });
+  });
+
+  describe('holtWinters', () => {
+    test('should follow trend and seasonality', () => {
+      const projected = holtWinters(seasonalSeries, 12);
+
+      expect(projected).toHaveLength(12);
+      // Trend continues upward
+      expect(projected[10]).toBeGreaterThan(seasonalSeries[34]);
+      // December peak is preserved
+      expect(projected[11]).toBeGreaterThan(projected[10] + 25);
+    });
+
+    test('should fall back to seasonal naive with under two seasons', () => {
+      const series = seasonalSeries.slice(0, 18);
+      expect(holtWinters(series, 3)).toEqual(seasonalNaive(series, 3));
+    });
+  });
+
+  describe('forecastSeries', () => {
+    test('should floor projections at zero', () => {
+      const declining = Array.from({ length: 24 }, (_, i) => Math.max(0, 240 - i * 10));
+      const projected = forecastSeries(declining, 12, 'holt_winters');
+
+      expect(projected.every(v => v >= 0)).toBe(true);
+    });
+
+    test('should reject unknown methods', () => {
+      expect(() => forecastSeries([1, 2, 3], 1, 'arima')).toThrow('Unknown forecast method: arima');
+    });
+  });
+
+  describe('mape', () => {
+    test('should skip months with zero actuals', () => {
+      expect(mape([100, 0, 200], [110, 50, 150])).toBeCloseTo(17.5);
+    });
+
+    test('should return null when nothing is comparable', () => {
+      expect(mape([0, 0], [1, 2])).toBeNull();
+    });
+  });
+
+  describe('backtestSeries', () => {
+    test('should hold out the last months and forecast them', () => {
+      const series = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14];
+      const result = backtestSeries(series, 2, 'seasonal_naive');
+
+      expect(result.actual).toEqual([13, 14]);
+      expect(result.predicted).toEqual([1, 2]);
+    });
+
+    test('should return null when history is too short', () => {
+      expect(backtestSeries([1, 2], 2, 'moving_average')).toBeNull();
+      expect(backtestSeries([1, 2, 3], 0, 'moving_average')).toBeNull();
+    });
+  });
+
+  describe('addMonths', () => {
+    test('should roll over year boundaries', () => {
+      expect(addMonths(2025, 11, 3)).toEqual({ year: 2026, month: 2 });
+      expect(addMonths(2025, 1, -1)).toEqual({ year: 2024, month: 12 });
+    });
+  });
+});
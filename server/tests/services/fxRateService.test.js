@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Unit Tests for FX Rate Service
+ * @module tests/services/fxRateService.test
+ */
+
+const { validateRate, buildConversion, factorFor } = require('../../services/fxRateService');
+
+describe('FX Rate Service Unit Tests', () => {
+
+  describe('validateRate', () => {
+    test('should normalize a Settings grid row', () => {
+      expect(validateRate({ currencyCode: 'usd', year: '2025', month: '3', averageRate: '3.6725', closingRate: '' })).toEqual({
+        currencyCode: 'USD',
+        year: 2025,
+        month: 3,
+        averageRate: 3.6725,
+        closingRate: null
+      });
+    });
+
+    test('should reject invalid rows with 400', () => {
+      expect(() => validateRate({ currencyCode: 'US', year: 2025, month: 1, averageRate: 1 })).toThrow('Invalid currency code: US');
+      expect(() => validateRate({ currencyCode: 'USD', year: 2025, month: 13, averageRate: 1 })).toThrow(
+        expect.objectContaining({ statusCode: 400 })
+      );
+      expect(() => validateRate({ currencyCode: 'USD', year: 2025, month: 1, averageRate: 0 })).toThrow(
+        'Average rate for USD 2025-1 must be greater than zero'
+      );
+    });
+  });
+
+  describe('buildConversion / factorFor', () => {
+    const conversion = buildConversion({
+      base: 'AED',
+      currency: 'SAR',
+      rateType: 'average',
+      rates: [
+        { year: 2025, month: 3, rate: 0.98 },
+        { year: 2025, month: 1, rate: 0.97 },
+        { year: 2025, month: 2, rate: 0 }
+      ]
+    });
+
+    test('should sort periods and invert rates', () => {
+      expect(conversion.periods).toEqual([202501, 202503]);
+      expect(conversion.factors[0]).toBeCloseTo(1 / 0.97);
+    });
+
+    test('should use the month rate or the latest earlier one', () => {
+      expect(factorFor(conversion, 2025, 3)).toBeCloseTo(1 / 0.98);
+      expect(factorFor(conversion, 2025, 2)).toBeCloseTo(1 / 0.97);
+      expect(factorFor(conversion, 2026, 6)).toBeCloseTo(1 / 0.98);
+    });
+
+    test('should fall back to the earliest rate for older periods', () => {
+      expect(factorFor(conversion, 2019, 12)).toBeCloseTo(1 / 0.97);
+      expect(factorFor(null, 2025, 1)).toBe(1);
+    });
+  });
+});
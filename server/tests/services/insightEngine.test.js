@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Unit Tests for the Insight Engine
+ * @module tests/services/insightEngine.test
+ */
+
+const {
+  scoreInsight,
+  rankInsights,
+  pvmRevenue,
+  buildInsights
+} = require('../../services/insightEngine');
+
+describe('Insight Engine Unit Tests', () => {
+
+  describe('scoreInsight / rankInsights', () => {
+    test('should weigh impact by change, volatility and confidence', () => {
+      expect(scoreInsight({ deltaAbs: 1000, deltaPct: 0.5, volatility: 0, confidence: 1 })).toBe(1000);
+      expect(scoreInsight({ deltaAbs: -1000, deltaPct: 5, volatility: 1, confidence: 0.5 })).toBe(375);
+      expect(rankInsights([{ title: 'small', deltaAbs: 10 }, { title: 'large', deltaAbs: 500 }]).map(i => i.title))
+        .toEqual(['large', 'small']);
+    });
+  });
+
+  describe('pvmRevenue', () => {
+    test('should split a pure price increase into the price effect', () => {
+      const pvm = pvmRevenue({ basePriceVec: [5, 8], baseQtyVec: [100, 50], curPriceVec: [6, 8], curQtyVec: [100, 50] });
+      expect(pvm).toMatchObject({ price: 100, volume: 0, revBase: 900, revCur: 1000 });
+      expect(pvm.mix).toBeCloseTo(0);
+    });
+
+    test('should show extra volume at base prices as volume', () => {
+      const pvm = pvmRevenue({ basePriceVec: [5], baseQtyVec: [100], curPriceVec: [5], curQtyVec: [120] });
+      expect(pvm.price).toBe(0);
+      expect(pvm.volume).toBe(100);
+    });
+  });
+
+  describe('buildInsights', () => {
+    test('should include revenue, margin vs target, movers and anomalies', () => {
+      const insights = buildInsights({
+        kpi: { sales: 10000, gp_pct: 22 },
+        targets: { gp_pct: 25 },
+        revenue_pvm: { total: { price: 300, volume: 500, mix: -100 } },
+        cogs_drivers: { Material: -2 },
+        top_customers: [{ name: 'Acme', sales: 3000, comp_sales: 2000, kgs: 500, comp_kgs: 400 }],
+        anomalies: [{ signal: 'Labels: price/kg down 12.0%' }]
+      });
+
+      expect(insights.map(insight => insight.metric)).toEqual(['Customer', 'Revenue', 'GP% vs Target', 'Anomaly']);
+      expect(insights[1].drivers).toEqual([{ key: 'Price', v: 300 }, { key: 'Volume', v: 500 }, { key: 'Mix', v: -100 }]);
+      expect(insights[2]).toMatchObject({ deltaAbs: -3, drivers: [{ key: 'Material', v: -2 }] });
+    });
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Unit Tests for Job Service
+ * @module tests/services/jobService.test
+ */
+
+const {
+  FINAL_STATUSES,
+  JobCancelledError,
+  enqueue,
+  retryDelayMs,
+  shouldRetry
+} = require('../../services/jobService');
+
+describe('Job Service Unit Tests', () => {
+
+  describe('retryDelayMs', () => {
+    test('should double the delay with each attempt', () => {
+      expect(retryDelayMs(1)).toBe(30000);
+      expect(retryDelayMs(2)).toBe(60000);
+      expect(retryDelayMs(3)).toBe(120000);
+    });
+  });
+
+  describe('shouldRetry', () => {
+    test('should retry unexpected errors until the last attempt', () => {
+      const error = new Error('connection reset');
+      expect(shouldRetry(error, 1, 2)).toBe(true);
+      expect(shouldRetry(error, 2, 2)).toBe(false);
+    });
+
+    test('should not retry client errors or cancelled jobs', () => {
+      const validationError = Object.assign(new Error('Excel validation failed'), { statusCode: 422 });
+      const serverError = Object.assign(new Error('Database unavailable'), { statusCode: 503 });
+
+      expect(shouldRetry(validationError, 1, 3)).toBe(false);
+      expect(shouldRetry(new JobCancelledError(), 1, 3)).toBe(false);
+      expect(shouldRetry(serverError, 1, 3)).toBe(true);
+    });
+  });
+
+  describe('enqueue', () => {
+    test('should reject an unregistered job type with 400', async () => {
+      await expect(enqueue({ type: 'no-such-job' })).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Unknown job type: no-such-job'
+      });
+    });
+  });
+
+  test('should treat succeeded, failed and cancelled as final', () => {
+    expect(FINAL_STATUSES).toEqual(['succeeded', 'failed', 'cancelled']);
+  });
+});
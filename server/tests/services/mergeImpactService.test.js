@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Unit Tests for Merge Impact Service (rule change dry-run)
+ * @module tests/services/mergeImpactService.test
+ */
+
+const {
+  buildMergeMap,
+  applyProposal,
+  affectedCustomers,
+  rankCustomers,
+  computeMergeImpact
+} = require('../../services/mergeImpactService');
+
+describe('Merge Impact Service Unit Tests', () => {
+
+  const rules = [
+    { id: 7, merged_customer_name: 'Lulu Group', original_customers: ['Lulu Hypermarket', 'LULU HYPER MARKET'] }
+  ];
+
+  const rows = [
+    { source: 'Actual', salesRep: 'Riad Al Zier', year: 2025, customer: 'Carrefour', amount: 500, kgs: 50 },
+    { source: 'Actual', salesRep: 'Riad Al Zier', year: 2025, customer: 'Lulu Hypermarket', amount: 300, kgs: 40 },
+    { source: 'Actual', salesRep: 'Riad Al Zier', year: 2025, customer: 'Lulu Hyper Market', amount: 250, kgs: 20 },
+    { source: 'Actual', salesRep: 'Riad Al Zier', year: 2025, customer: 'Spinneys', amount: 400, kgs: 30 },
+    { source: 'Budget', salesRep: 'Haseeb', year: 2026, customer: 'Spinneys', amount: 100, kgs: 10 }
+  ];
+
+  describe('buildMergeMap / rankCustomers', () => {
+    test('should rank customers by revenue after applying the rules', () => {
+      const ranked = rankCustomers(rows.filter(row => row.source === 'Actual'), buildMergeMap(rules));
+
+      expect(ranked.map(({ customer, amount, kgs, rank }) => ({ customer, amount, kgs, rank }))).toEqual([
+        { customer: 'Lulu Group', amount: 550, kgs: 60, rank: 1 },
+        { customer: 'Carrefour', amount: 500, kgs: 50, rank: 2 },
+        { customer: 'Spinneys', amount: 400, kgs: 30, rank: 3 }
+      ]);
+    });
+  });
+
+  describe('applyProposal', () => {
+    test('should build the rule set after a create, update or delete', () => {
+      const created = applyProposal(rules, {
+        action: 'create',
+        mergedName: 'Spinneys Group',
+        originalCustomers: ['Spinneys', 'Spinneys Dubai']
+      });
+      expect(created.rulesAfter).toHaveLength(2);
+      expect(created.previous).toBeNull();
+
+      const deleted = applyProposal(rules, { action: 'delete', ruleId: '7' });
+      expect(deleted.rulesAfter).toEqual([]);
+      expect(deleted.target).toBe(rules[0]);
+
+      const updated = applyProposal(rules, {
+        action: 'update',
+        ruleId: 7,
+        mergedName: 'Lulu',
+        originalCustomers: ['Lulu Hypermarket', 'Lulu Hyper Market', 'Lulu Express']
+      });
+      expect(updated.rulesAfter).toEqual([
+        { id: 7, merged_customer_name: 'Lulu', original_customers: ['Lulu Hypermarket', 'Lulu Hyper Market', 'Lulu Express'] }
+      ]);
+      expect([...affectedCustomers(updated.target, updated.previous)].sort()).toEqual([
+        'lulu', 'lulu express', 'lulu group', 'lulu hyper market', 'lulu hypermarket'
+      ]);
+    });
+
+    test('should reject unknown actions, missing rules and incomplete rules', () => {
+      expect(() => applyProposal(rules, { action: 'merge' })).toThrow('Action must be one of: create, update, delete');
+      expect(() => applyProposal(rules, { action: 'delete', ruleId: 99 })).toThrow('Rule not found');
+
+      let error;
+      try {
+        applyProposal(rules, { action: 'create', mergedName: 'Solo', originalCustomers: ['Only One'] });
+      } catch (thrown) {
+        error = thrown;
+      }
+      expect(error).toMatchObject({ statusCode: 400, message: 'A merged name and at least 2 customers are required' });
+    });
+  });
+
+  describe('computeMergeImpact', () => {
+    test('should report before / after and rank changes for an unmerge', () => {
+      const { rulesAfter, target, previous } = applyProposal(rules, { action: 'delete', ruleId: 7 });
+      const impact = computeMergeImpact(rows, rules, rulesAfter, affectedCustomers(target, previous));
+
+      expect(impact.changes).toEqual([{
+        source: 'Actual',
+        salesRep: 'Riad Al Zier',
+        year: 2025,
+        customerCountBefore: 3,
+        customerCountAfter: 4,
+        before: [{ customer: 'Lulu Group', amount: 550, kgs: 60, rank: 1 }],
+        after: [
+          { customer: 'Lulu Hypermarket', amount: 300, kgs: 40, rank: 3 },
+          { customer: 'Lulu Hyper Market', amount: 250, kgs: 20, rank: 4 }
+        ],
+        rankChanges: [
+          { customer: 'Carrefour', rankBefore: 2, rankAfter: 1 },
+          { customer: 'Spinneys', rankBefore: 3, rankAfter: 2 }
+        ]
+      }]);
+      expect(impact.summary).toMatchObject({ salesRepYears: 1, salesReps: 1, years: [2025], actualAmount: 550, budgetAmount: 0 });
+    });
+
+    test('should leave out sales reps and years the change does not touch', () => {
+      const { rulesAfter, target, previous } = applyProposal(rules, {
+        action: 'create',
+        mergedName: 'Spinneys Group',
+        originalCustomers: ['Spinneys', 'Spinneys Dubai']
+      });
+      const impact = computeMergeImpact(rows, rules, rulesAfter, affectedCustomers(target, previous));
+
+      // Only the name changes for Riad (same rank); Haseeb's budget has Spinneys alone
+      expect(impact.changes.map(change => [change.source, change.salesRep])).toEqual([
+        ['Actual', 'Riad Al Zier'],
+        ['Budget', 'Haseeb']
+      ]);
+      expect(impact.changes[0].after).toEqual([{ customer: 'Spinneys Group', amount: 400, kgs: 30, rank: 3 }]);
+      expect(impact.changes[0].rankChanges).toEqual([]);
+    });
+  });
+});
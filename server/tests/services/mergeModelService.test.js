@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Unit Tests for Merge Model Service (weights learned from merge feedback)
+ * @module tests/services/mergeModelService.test
+ */
+
+const {
+  FEATURE_NAMES,
+  pairKey,
+  isHeldOut,
+  buildTrainingPairs,
+  trainLogisticRegression,
+  evaluatePredictions
+} = require('../../services/mergeModelService');
+const CustomerMergingAI = require('../../services/CustomerMergingAI');
+
+describe('Merge Model Service Unit Tests', () => {
+
+  describe('pairKey / isHeldOut', () => {
+    test('should key pairs independent of order and case', () => {
+      expect(pairKey('Lulu Hypermarket', ' carrefour ')).toBe('carrefour||lulu hypermarket');
+      expect(pairKey('CARREFOUR', 'Lulu Hypermarket')).toBe(pairKey('Lulu Hypermarket', 'carrefour'));
+    });
+
+    test('should hold out a stable share of the pairs', () => {
+      const keys = Array.from({ length: 1000 }, (_, index) => pairKey(`customer ${index}`, `client ${index}`));
+      const heldOut = keys.filter(isHeldOut);
+
+      expect(heldOut.length).toBeGreaterThan(120);
+      expect(heldOut.length).toBeLessThan(280);
+      expect(keys.filter(isHeldOut)).toEqual(heldOut);
+    });
+  });
+
+  describe('buildTrainingPairs', () => {
+    test('should label pairs from approved, edited and rejected suggestions', () => {
+      const pairs = buildTrainingPairs([
+        { admin_action: 'APPROVED', customer_group: ['Lulu Hypermarket', 'LuLu Hyper Market'] },
+        {
+          admin_action: 'MODIFIED',
+          customer_group: '["Gulf Plast", "Gulf Plastic", "Golf Club"]',
+          rule_customers: ['Gulf Plast', 'GULF PLASTIC']
+        },
+        { admin_action: 'REJECTED', customer_group: ['Nike', 'Mike'] }
+      ], [
+        { customer1: 'nike', customer2: 'mike' },
+        { customer1: 'emirates plastics', customer2: 'emirates steel' }
+      ]);
+
+      const labels = Object.fromEntries(pairs.map(pair => [pair.key, pair.label]));
+      expect(labels).toEqual({
+        'lulu hyper market||lulu hypermarket': 1,
+        'gulf plast||gulf plastic': 1,
+        'golf club||gulf plast': 0,
+        'golf club||gulf plastic': 0,
+        'mike||nike': 0,
+        'emirates plastics||emirates steel': 0
+      });
+    });
+
+    test('should keep the latest decision on a pair', () => {
+      const pairs = buildTrainingPairs([
+        { admin_action: 'APPROVED', customer_group: ['Al Ain Farms', 'Al Ain Farm'] },
+        { admin_action: 'REJECTED', customer_group: ['Al Ain Farm', 'al ain farms'] }
+      ]);
+
+      expect(pairs).toHaveLength(1);
+      expect(pairs[0].label).toBe(1);
+    });
+  });
+
+  describe('trainLogisticRegression', () => {
+    test('should learn weights that separate accepted from rejected pairs', () => {
+      const accepted = [
+        ['Lulu Hypermarket LLC', 'LuLu Hyper Market'],
+        ['Carrefour Dubai', 'Carefour'],
+        ['Al Futtaim Trading', 'Al Futaim Trdg'],
+        ['Emirates Snacks LLC', 'Emirates Snack Foods'],
+        ['Gulf Plast', 'Gulf Plastic']
+      ];
+      const rejected = [
+        ['Emirates Plastics', 'Emirates Steel'],
+        ['Nike', 'Mike'],
+        ['ABC Trading', 'XYZ Trading'],
+        ['Gulf Plast', 'Golf Club'],
+        ['Al Ain Farms', 'Al Ain Water']
+      ];
+      const toSample = (label) => ([customer1, customer2]) => {
+        const features = CustomerMergingAI.computeFeatures(customer1, customer2);
+        return { customer1, customer2, label, features: FEATURE_NAMES.map(name => features[name]) };
+      };
+      const samples = [...accepted.map(toSample(1)), ...rejected.map(toSample(0))];
+
+      const fitted = trainLogisticRegression(samples);
+      const model = {
+        weights: Object.fromEntries(FEATURE_NAMES.map((name, index) => [name, fitted.weights[index]])),
+        intercept: fitted.intercept
+      };
+      const predictions = samples.map(sample => ({
+        score: CustomerMergingAI.calculateSimilarity(sample.customer1, sample.customer2, model).score,
+        label: sample.label
+      }));
+
+      expect(evaluatePredictions(predictions, 0.5)).toMatchObject({ precision: 1, recall: 1 });
+    });
+  });
+
+  describe('evaluatePredictions', () => {
+    test('should report precision and recall at the threshold', () => {
+      const metrics = evaluatePredictions([
+        { score: 0.9, label: 1 },
+        { score: 0.6, label: 0 },
+        { score: 0.4, label: 1 },
+        { score: 0.1, label: 0 }
+      ], 0.5);
+
+      expect(metrics).toMatchObject({
+        pairs: 4,
+        truePositives: 1,
+        falsePositives: 1,
+        falseNegatives: 1,
+        trueNegatives: 1,
+        precision: 0.5,
+        recall: 0.5,
+        f1: 0.5,
+        accuracy: 0.5
+      });
+      expect(evaluatePredictions([], 0.5)).toMatchObject({ precision: null, recall: null, f1: null });
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Unit Tests for Period Close Service
+ * @module tests/services/periodCloseService.test
+ */
+
+const {
+  yearPeriods,
+  toPeriods,
+  blocksUser,
+  describeBlocked,
+  setStatus
+} = require('../../services/periodCloseService');
+
+describe('Period Close Service Unit Tests', () => {
+
+  describe('yearPeriods / toPeriods', () => {
+    test('should list the 12 months of a budget year', () => {
+      const periods = yearPeriods('2026');
+      expect(periods).toHaveLength(12);
+      expect(periods[0]).toEqual({ year: 2026, month: 1 });
+      expect(periods[11]).toEqual({ year: 2026, month: 12 });
+    });
+
+    test('should normalize and de-duplicate written months', () => {
+      expect(toPeriods(['2025-9', { year: '2025', month: '9' }, { year: 2025, month: 10 }, '2025-13'])).toEqual([
+        { year: 2025, month: 9 },
+        { year: 2025, month: 10 }
+      ]);
+    });
+  });
+
+  describe('blocksUser', () => {
+    test('should keep soft-closed months writable for administrators only', () => {
+      expect(blocksUser('open', { role: 'user' })).toBe(false);
+      expect(blocksUser('soft_closed', { role: 'admin' })).toBe(false);
+      expect(blocksUser('soft_closed', { role: 'sales_manager' })).toBe(true);
+      expect(blocksUser('soft_closed', undefined)).toBe(true);
+      expect(blocksUser('hard_closed', { role: 'admin' })).toBe(true);
+    });
+  });
+
+  describe('describeBlocked', () => {
+    test('should name the closed months and their status', () => {
+      expect(describeBlocked('fp-uae', [{ year: 2025, month: 9, status: 'hard_closed' }])).toBe(
+        'FP September 2025 is hard-closed. An administrator must reopen the period before its data can change.'
+      );
+      expect(describeBlocked('HC', [
+        { year: 2025, month: 8, status: 'hard_closed' },
+        { year: 2025, month: 9, status: 'soft_closed' }
+      ])).toBe(
+        'HC periods are closed: August 2025 (hard-closed), September 2025 (soft-closed). ' +
+        'An administrator must reopen the period before its data can change.'
+      );
+    });
+  });
+
+  describe('setStatus', () => {
+    test('should reject invalid changes with 400 before touching the register', async () => {
+      await expect(setStatus({ division: 'FP', year: 2025, months: [13], status: 'hard_closed' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Months must be between 1 and 12' });
+      await expect(setStatus({ division: 'FP', year: 2025, months: [9], status: 'locked' }))
+        .rejects.toThrow('Status must be one of open, soft_closed, hard_closed');
+      await expect(setStatus({ division: '', year: 2025, months: [9], status: 'open' }))
+        .rejects.toThrow('Division is required');
+    });
+  });
+});
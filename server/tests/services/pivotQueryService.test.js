@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Unit Tests for the pivot query service
+ * @module tests/services/pivotQueryService.test
+ */
+
+const {
+  validateQuery,
+  buildPivotSql,
+  shapeResult
+} = require('../../services/pivotQueryService');
+
+const baseQuery = {
+  division: 'fp-uae',
+  dimensions: ['customer'],
+  measures: ['kgs', 'amount', 'price_per_kg'],
+  columns: [
+    { year: 2025, month: 'Q1', type: 'Actual' },
+    { year: 2025, month: 'Q1', type: 'Budget' }
+  ]
+};
+
+describe('Pivot Query Service Unit Tests', () => {
+
+  describe('validateQuery', () => {
+    test('should normalize dimensions, filters and period columns', () => {
+      const query = validateQuery({
+        ...baseQuery,
+        dimensions: ['Customer', 'month'],
+        filters: { customer: ['  Acme   Foods '], year: '2025', country: '' }
+      });
+
+      expect(query.divisionCode).toBe('FP');
+      expect(query.dimensions).toEqual(['customer', 'month']);
+      expect(query.filters).toEqual({ customer: ['ACME FOODS'], year: [2025] });
+      expect(query.columns[0]).toEqual({
+        key: '2025-Q1-Actual',
+        label: '2025 Q1 Actual',
+        year: 2025,
+        months: [1, 2, 3],
+        types: ['ACTUAL']
+      });
+      expect(query.mergeCustomers).toBe(true);
+    });
+
+    test('should read Actual and Estimate for Estimate columns and default to one Actual column', () => {
+      expect(validateQuery({ ...baseQuery, columns: [{ year: 2025, month: 'FY', type: 'Estimate' }] }).columns[0].types)
+        .toEqual(['ACTUAL', 'ESTIMATE']);
+      expect(validateQuery({ division: 'FP' }).columns).toEqual([
+        { key: 'total', label: 'Total', year: null, months: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], types: ['ACTUAL'] }
+      ]);
+    });
+
+    test('should reject unknown fields with 400', () => {
+      expect(() => validateQuery({ ...baseQuery, dimensions: ['region'] })).toThrow('Unknown dimension: region');
+      expect(() => validateQuery({ ...baseQuery, measures: ['margin'] })).toThrow('Unknown measure: margin');
+      expect(() => validateQuery({ ...baseQuery, filters: { region: 'GCC' } })).toThrow('Unknown filter: region');
+      expect(() => validateQuery({ ...baseQuery, columns: [{ year: 2025, month: 'Q5' }] })).toThrow('Unknown period: Q5');
+      expect(() => validateQuery({ ...baseQuery, columns: [{ year: 2025 }, { year: 2025 }] })).toThrow(
+        expect.objectContaining({ statusCode: 400, message: 'Period column keys must be unique' })
+      );
+    });
+  });
+
+  describe('buildPivotSql', () => {
+    test('should only sum the base measures derived measures need', () => {
+      const { text, baseMeasures } = buildPivotSql(validateQuery({ ...baseQuery, measures: ['morm_per_kg'] }));
+      expect(baseMeasures).toEqual(['kgs', 'morm']);
+      expect(text).toContain('AS p1_morm');
+      expect(text).not.toContain('AS p0_amount');
+      expect(text).toContain('FROM fp_data_excel d');
+    });
+
+    test('should group and filter customers under their merged name', () => {
+      const query = validateQuery({ ...baseQuery, filters: { customer: 'Acme Group' } });
+      const { text, params } = buildPivotSql(query, new Map([['acme foods', 'Acme Group'], ['acme trading', 'Acme Group']]));
+
+      expect(text).toContain('LEFT JOIN (SELECT UNNEST(');
+      expect(text).toContain('GROUP BY UPPER(REGEXP_REPLACE(COALESCE(mm.merged_name, TRIM(d.customername))');
+      expect(params).toContainEqual(['ACME FOODS', 'ACME TRADING']);
+      expect(params[0]).toEqual(['ACME GROUP']);
+    });
+
+    test('should skip the merge join when customers are not involved or merging is off', () => {
+      const mergeMap = new Map([['acme foods', 'Acme Group']]);
+      expect(buildPivotSql(validateQuery({ ...baseQuery, dimensions: ['country'] }), mergeMap).text).not.toContain('merged_name');
+      expect(buildPivotSql(validateQuery({ ...baseQuery, mergeCustomers: false }), mergeMap).text).not.toContain('merged_name');
+    });
+  });
+
+  describe('shapeResult', () => {
+    const query = validateQuery(baseQuery);
+    const sqlRows = [
+      { dim_0: 'Acme Group', p0_kgs: '1000', p0_amount: '5000', p1_kgs: '1200', p1_amount: '6600' },
+      { dim_0: 'Gulf Dairy', p0_kgs: '0', p0_amount: '0', p1_kgs: '2000', p1_amount: '9000' },
+      { dim_0: 'Nile Bakery', p0_kgs: '3000', p0_amount: '12000', p1_kgs: '0', p1_amount: '0' }
+    ];
+
+    test('should return typed columns and derived measures per period', () => {
+      const result = shapeResult(query, sqlRows, ['kgs', 'amount']);
+
+      expect(result.columns[0]).toEqual({ key: 'customer', label: 'Customer', type: 'string', role: 'dimension' });
+      expect(result.columns[3]).toMatchObject({
+        key: '2025-Q1-Actual.price_per_kg', label: '2025 Q1 Actual Price/kg', type: 'currency', measure: 'price_per_kg'
+      });
+      expect(result.rows.map(row => row.customer)).toEqual(['Nile Bakery', 'Acme Group', 'Gulf Dairy']);
+      expect(result.rows[1]['2025-Q1-Budget.price_per_kg']).toBe(5.5);
+      expect(result.rows[2]['2025-Q1-Actual.price_per_kg']).toBeNull();
+      expect(result.totals['2025-Q1-Actual.kgs']).toBe(4000);
+      expect(result.totals['2025-Q1-Actual.price_per_kg']).toBe(4.25);
+    });
+
+    test('should sort, limit and reject unknown sort columns', () => {
+      const limited = shapeResult(
+        { ...query, sort: { by: 'customer', direction: 'asc' }, limit: 2 },
+        sqlRows,
+        ['kgs', 'amount']
+      );
+      expect(limited.rows.map(row => row.customer)).toEqual(['Acme Group', 'Gulf Dairy']);
+      expect(limited).toMatchObject({ rowCount: 3, truncated: true });
+
+      expect(() => shapeResult({ ...query, sort: { by: 'margin' } }, sqlRows, ['kgs', 'amount'])).toThrow(
+        'Unknown sort column: margin'
+      );
+    });
+  });
+});
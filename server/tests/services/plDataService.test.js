@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Unit Tests for P&L Data Service
+ * @module tests/services/plDataService.test
+ */
+
+const {
+  DEFAULT_CHART_OF_ACCOUNTS,
+  parseSheet,
+  toSheet
+} = require('../../services/plDataService');
+
+const LEDGERS = DEFAULT_CHART_OF_ACCOUNTS.map((ledger, index) => ({
+  code: ledger.code,
+  name: ledger.name,
+  measure: ledger.measure,
+  sheet_row: ledger.sheetRow,
+  sort_order: index + 1
+}));
+
+const HEADER = [
+  [null, 2025, 2025, 2025],
+  [null, 'January', 'February', 'January'],
+  ['Ledgers', 'Actual', 'Actual', 'Budget']
+];
+
+describe('P&L Data Service Unit Tests', () => {
+
+  describe('parseSheet', () => {
+    test('should match ledger lines by name regardless of spacing and case', () => {
+      const { records, periods, errors } = parseSheet([
+        ...HEADER,
+        ['SALES', 1000, 1100, 1200],
+        ['Sales volume  (kg)', 50, 55, 60],
+        ['Net Profit  %', 0.1, 0.12, null]
+      ], LEDGERS);
+
+      expect(errors).toEqual([]);
+      expect(periods).toEqual([
+        { year: 2025, month: 1, type: 'Actual' },
+        { year: 2025, month: 2, type: 'Actual' },
+        { year: 2025, month: 1, type: 'Budget' }
+      ]);
+      expect(records).toHaveLength(8);
+      expect(records[0]).toEqual({ ledgerCode: 'SALES', measure: 'AMOUNT', year: 2025, month: 1, type: 'Actual', amount: 1000 });
+      expect(records.find(r => r.ledgerCode === 'SALES_VOLUME').measure).toBe('KGS');
+      expect(records.find(r => r.ledgerCode === 'NET_PROFIT_PCT').measure).toBe('PERCENT');
+    });
+
+    test('should reject unknown ledgers with values and duplicate lines', () => {
+      const { errors, warnings } = parseSheet([
+        ...HEADER,
+        ['Sales', 1, 2, 3],
+        ['Royalties', 5, 0, 0],
+        ['Memo line', null, null, null],
+        ['sales', 1, 2, 3]
+      ], LEDGERS);
+
+      expect(errors).toEqual([
+        'Row 5: "Royalties" is not in the chart of accounts',
+        'Rows 4 and 7 are both "Sales"'
+      ]);
+      expect(warnings).toEqual(['Row 6 skipped: "Memo line" is not in the chart of accounts']);
+    });
+
+    test('should validate period columns and skip columns without a type', () => {
+      const { errors, warnings } = parseSheet([
+        [null, 2025, 2025, 2026],
+        [null, 'Janvier', 'January', 'January'],
+        ['Ledgers', 'Actual', 'Plan', null],
+        ['Sales', 1, 2, 3]
+      ], LEDGERS);
+
+      expect(errors).toEqual([
+        'Column B: invalid month "Janvier"',
+        'Column C: invalid type "Plan" (expected Actual, Estimate, Budget, Forecast)'
+      ]);
+      expect(warnings).toEqual(['Column D skipped: no type in row 3']);
+    });
+
+    test('should report non-numeric cells with their address', () => {
+      const { errors } = parseSheet([...HEADER, ['Sales', 'n/a', '1,250.5', 3]], LEDGERS);
+      expect(errors).toEqual(['Cell B4: "n/a" is not a number']);
+    });
+  });
+
+  describe('toSheet', () => {
+    test('should lay out ledgers at their sheet row with workbook column order', () => {
+      const sheet = toSheet(LEDGERS, [
+        { ledger_code: 'SALES', year: 2025, month: 1, type: 'Budget', amount: 900 },
+        { ledger_code: 'SALES', year: 2025, month: 2, type: 'Actual', amount: 1100 },
+        { ledger_code: 'SALES', year: 2025, month: 1, type: 'Actual', amount: 1000 },
+        { ledger_code: 'SALES_VOLUME', year: 2025, month: 1, type: 'Actual', amount: 50 }
+      ]);
+
+      expect(sheet[0]).toEqual([null, 2025, 2025, 2025]);
+      expect(sheet[1]).toEqual([null, 'January', 'February', 'January']);
+      expect(sheet[2]).toEqual(['Ledgers', 'Actual', 'Actual', 'Budget']);
+      expect(sheet[3]).toEqual(['Sales', 1000, 1100, 900]);
+      expect(sheet[7]).toEqual(['Sales volume (kg)', 50, null, null]);
+      expect(sheet[11]).toEqual([null, null, null, null]);
+      expect(sheet).toHaveLength(61);
+    });
+  });
+});
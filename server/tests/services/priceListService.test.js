@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Unit Tests for the product-group price list
+ * @module tests/services/priceListService.test
+ */
+
+const {
+  validatePriceInput,
+  buildPriceResolver,
+  loadBudgetPriceResolver
+} = require('../../services/priceListService');
+
+const price = (overrides) => ({
+  id: 1,
+  productGroup: 'Shrink Film',
+  customer: null,
+  country: null,
+  sellingPrice: 5,
+  morm: 2,
+  effectiveFrom: '2025-01-01',
+  ...overrides
+});
+
+describe('Price List Service Unit Tests', () => {
+
+  describe('validatePriceInput', () => {
+    test('should clean a valid price and drop empty scopes', () => {
+      expect(validatePriceInput({
+        productGroup: ' Shrink Film ',
+        customer: '  ',
+        country: 'Oman',
+        sellingPrice: '5.25',
+        morm: 2,
+        effectiveFrom: '2025-04-01T00:00:00.000Z'
+      })).toEqual({
+        productGroup: 'Shrink Film',
+        customer: null,
+        country: 'Oman',
+        sellingPrice: 5.25,
+        morm: 2,
+        effectiveFrom: '2025-04-01',
+        notes: null
+      });
+    });
+
+    test('should reject missing or out-of-range prices with 400', () => {
+      const valid = { productGroup: 'Labels', sellingPrice: 5, morm: 2, effectiveFrom: '2025-01-01' };
+      expect(() => validatePriceInput({ ...valid, productGroup: '' })).toThrow('Product group is required');
+      expect(() => validatePriceInput({ ...valid, sellingPrice: '' })).toThrow('Selling price per kg');
+      expect(() => validatePriceInput({ ...valid, morm: -1 })).toThrow('MoRM per kg');
+      expect(() => validatePriceInput({ ...valid, morm: 6 })).toThrow('cannot be higher than the selling price');
+      expect(() => validatePriceInput({ ...valid, effectiveFrom: '2025-02-30' })).toThrow(
+        expect.objectContaining({ statusCode: 400 })
+      );
+    });
+  });
+
+  describe('buildPriceResolver', () => {
+    test('should use the latest price in force on the first day of the month', () => {
+      const resolve = buildPriceResolver([
+        price({ id: 1, sellingPrice: 5, effectiveFrom: '2024-07-01' }),
+        price({ id: 2, sellingPrice: 6, effectiveFrom: '2025-04-01' }),
+        price({ id: 3, sellingPrice: 7, effectiveFrom: '2025-06-15' })
+      ]);
+
+      expect(resolve({ productGroup: 'shrink film', year: 2025, month: 3 }).priceId).toBe(1);
+      expect(resolve({ productGroup: 'Shrink Film', year: 2025, month: 4 }).sellingPrice).toBe(6);
+      expect(resolve({ productGroup: 'Shrink Film', year: 2025, month: 6 }).sellingPrice).toBe(6);
+      expect(resolve({ productGroup: 'Shrink Film', year: 2025, month: 7 }).sellingPrice).toBe(7);
+    });
+
+    test('should prefer customer over country over product group prices', () => {
+      const resolve = buildPriceResolver([
+        price({ id: 1, effectiveFrom: '2025-03-01' }),
+        price({ id: 2, country: 'Oman', effectiveFrom: '2025-01-01' }),
+        price({ id: 3, customer: 'Acme Foods', effectiveFrom: '2025-01-01' }),
+        price({ id: 4, customer: 'Acme Foods', country: 'Oman', effectiveFrom: '2025-06-01' })
+      ]);
+
+      expect(resolve({ productGroup: 'Shrink Film', customer: 'Other', country: 'Qatar', year: 2025, month: 5 }).priceId).toBe(1);
+      expect(resolve({ productGroup: 'Shrink Film', customer: 'Other', country: 'oman', year: 2025, month: 5 }).priceId).toBe(2);
+      expect(resolve({ productGroup: 'Shrink Film', customer: 'ACME FOODS', country: 'Oman', year: 2025, month: 5 }).priceId).toBe(3);
+      expect(resolve({ productGroup: 'Shrink Film', customer: 'Acme Foods', country: 'Oman', year: 2025, month: 6 }).priceId).toBe(4);
+    });
+
+    test('should fall back to rounded pricing, then to no price', () => {
+      const resolve = buildPriceResolver(
+        [price({ effectiveFrom: '2025-09-01' })],
+        { 'shrink film': { sellingPrice: 4, morm: 1.5 } }
+      );
+
+      expect(resolve({ productGroup: 'Shrink Film', year: 2025, month: 1 })).toEqual({
+        sellingPrice: 4, morm: 1.5, source: 'rounded-pricing', priceId: null
+      });
+      expect(resolve({ productGroup: 'Shrink Film', year: 2025, month: 9 }).source).toBe('price-list');
+      expect(resolve({ productGroup: 'Labels', year: 2025, month: 1 })).toEqual({
+        sellingPrice: null, morm: null, source: null, priceId: null
+      });
+    });
+  });
+
+  describe('loadBudgetPriceResolver', () => {
+    test('should use only the fallback when the division has no price list', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ name: null }] }) };
+      const priceList = await loadBudgetPriceResolver(client, 'HC', 2026, { labels: { sellingPrice: 3, morm: 1 } });
+
+      expect(client.query).toHaveBeenCalledTimes(1);
+      expect(priceList.approvedPrices).toBe(0);
+      expect(priceList.resolve({ productGroup: 'Labels', year: 2026, month: 1 }).sellingPrice).toBe(3);
+    });
+
+    test('should load approved prices up to the last budget month', async () => {
+      const client = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ name: 'fp_product_group_price_list' }] })
+          .mockResolvedValueOnce({
+            rows: [{
+              id: 9, product_group: 'Labels', customer_name: null, country_name: null,
+              selling_price: '3.5000', morm: '1.2000', effective_from: '2026-02-01', status: 'APPROVED'
+            }]
+          })
+      };
+      const priceList = await loadBudgetPriceResolver(client, 'FP', 2026);
+
+      expect(client.query.mock.calls[1][1]).toEqual(['2026-12-01']);
+      expect(priceList.approvedPrices).toBe(1);
+      expect(priceList.resolve({ productGroup: 'Labels', year: 2026, month: 2 })).toEqual({
+        sellingPrice: 3.5, morm: 1.2, source: 'price-list', priceId: 9
+      });
+    });
+  });
+});
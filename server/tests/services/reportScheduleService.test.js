@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Unit Tests for Report Schedule Service and P&L report rendering
+ * @module tests/services/reportScheduleService.test
+ */
+
+const {
+  nthBusinessDay,
+  computeNextRun,
+  resolvePeriod,
+  describeSchedule,
+  validateSchedule
+} = require('../../services/reportScheduleService');
+const { buildPlStatement, renderPlStatementHtml } = require('../../services/reportRenderService');
+
+const VALID_SCHEDULE = {
+  name: 'FP divisional P&L',
+  reportType: 'divisional-pl',
+  division: 'fp',
+  period: 'last_closed_month',
+  recipients: 'CFO@example.com; gm@example.com, cfo@example.com',
+  frequency: 'monthly',
+  businessDay: 3,
+  runTime: '07:30'
+};
+
+describe('Report Schedule Service Unit Tests', () => {
+
+  describe('computeNextRun', () => {
+    test('should find the Nth business day of the month', () => {
+      // October 2025 starts on a Wednesday: 1, 2, 3 are business days; November 2025 starts on a Saturday
+      expect(nthBusinessDay(2025, 9, 3)).toBe(3);
+      expect(nthBusinessDay(2025, 10, 1)).toBe(3);
+      expect(nthBusinessDay(2025, 1, 23)).toBe(28);
+
+      const schedule = { frequency: 'monthly', business_day: 3, run_time: '07:30' };
+      expect(computeNextRun(schedule, new Date(2025, 9, 1, 12, 0))).toEqual(new Date(2025, 9, 3, 7, 30));
+      expect(computeNextRun(schedule, new Date(2025, 9, 3, 7, 30))).toEqual(new Date(2025, 10, 5, 7, 30));
+    });
+
+    test('should clamp the day of month to short months', () => {
+      const schedule = { frequency: 'monthly', day_of_month: 31, run_time: '06:00' };
+      expect(computeNextRun(schedule, new Date(2025, 1, 1))).toEqual(new Date(2025, 1, 28, 6, 0));
+    });
+
+    test('should run weekly and daily schedules at the next slot', () => {
+      // 2025-10-15 is a Wednesday
+      const weekly = { frequency: 'weekly', day_of_week: 1, run_time: '08:00' };
+      expect(computeNextRun(weekly, new Date(2025, 9, 15, 9, 0))).toEqual(new Date(2025, 9, 20, 8, 0));
+
+      const daily = { frequency: 'daily', run_time: '08:00' };
+      expect(computeNextRun(daily, new Date(2025, 9, 15, 7, 59))).toEqual(new Date(2025, 9, 15, 8, 0));
+      expect(computeNextRun(daily, new Date(2025, 9, 15, 8, 0))).toEqual(new Date(2025, 9, 16, 8, 0));
+    });
+  });
+
+  describe('resolvePeriod', () => {
+    test('should report the month before the run and year to date', () => {
+      expect(resolvePeriod('last_closed_month', new Date(2025, 9, 3))).toEqual({
+        year: 2025, months: [9], label: 'September 2025'
+      });
+      expect(resolvePeriod('last_closed_month', new Date(2026, 0, 5))).toEqual({
+        year: 2025, months: [12], label: 'December 2025'
+      });
+      expect(resolvePeriod('year_to_date', new Date(2025, 3, 3))).toEqual({
+        year: 2025, months: [1, 2, 3], label: 'January - March 2025'
+      });
+    });
+  });
+
+  describe('validateSchedule / describeSchedule', () => {
+    test('should normalize the Settings form', () => {
+      const columns = validateSchedule(VALID_SCHEDULE);
+
+      expect(columns).toMatchObject({
+        division: 'FP',
+        format: 'html',
+        recipients: ['cfo@example.com', 'gm@example.com'],
+        business_day: 3,
+        day_of_month: null,
+        run_time: '07:30',
+        is_active: true
+      });
+      expect(describeSchedule(columns)).toBe('3rd business day of the month at 07:30');
+    });
+
+    test('should reject incomplete rules and bad recipients with 400', () => {
+      expect(() => validateSchedule({ ...VALID_SCHEDULE, dayOfMonth: 5 })).toThrow(
+        'Monthly schedules need either a business day or a day of the month'
+      );
+      expect(() => validateSchedule({ ...VALID_SCHEDULE, frequency: 'weekly' })).toThrow(
+        expect.objectContaining({ statusCode: 400 })
+      );
+      expect(() => validateSchedule({ ...VALID_SCHEDULE, recipients: ['cfo@example'] })).toThrow(
+        'Invalid email address: cfo@example'
+      );
+      expect(() => validateSchedule({ ...VALID_SCHEDULE, runTime: '24:00' })).toThrow('Invalid time: 24:00');
+      expect(() => validateSchedule({ ...VALID_SCHEDULE, reportType: 'kpi' })).toThrow('Unknown report type: kpi');
+    });
+  });
+
+  describe('buildPlStatement / renderPlStatementHtml', () => {
+    const ledgers = [
+      { code: 'SALES', name: 'Sales', measure: 'AMOUNT', statement_order: 1, sort_order: 1 },
+      { code: 'COST_OF_SALES', name: 'Cost of Sales', measure: 'AMOUNT', statement_order: 2, sort_order: 2 },
+      { code: 'GROSS_PROFIT', name: 'Gross Profit', measure: 'AMOUNT', statement_order: 3, sort_order: 3, formula: 'SALES - COST_OF_SALES', is_total: true },
+      { code: 'GP_PCT', name: 'GP %', measure: 'PERCENT', statement_order: 4, sort_order: 4, formula: 'PCT(GROSS_PROFIT, SALES)' }
+    ];
+    const row = (ledger_code, year, month, type, amount) => ({ ledger_code, year, month, type, amount });
+    const rows = [
+      row('SALES', 2025, 8, 'Actual', 1000),
+      row('SALES', 2025, 9, 'Actual', 1000),
+      row('COST_OF_SALES', 2025, 8, 'Actual', 900),
+      row('COST_OF_SALES', 2025, 9, 'Actual', 700),
+      row('SALES', 2025, 9, 'Budget', 800),
+      row('COST_OF_SALES', 2025, 9, 'Budget', 600),
+      row('SALES', 2024, 9, 'Actual', 500)
+    ];
+
+    test('should compute formula lines from the period totals', () => {
+      const statement = buildPlStatement(ledgers, rows, { year: 2025, months: [8, 9] });
+      const byCode = Object.fromEntries(statement.lines.map(line => [line.code, line]));
+
+      expect(byCode.GROSS_PROFIT.actual).toBe(400);
+      expect(byCode.GP_PCT.actual).toBe(20);
+      expect(byCode.GP_PCT.variancePct).toBeNull();
+      expect(byCode.SALES.variance).toBe(1200);
+      expect(byCode.SALES.variancePct).toBe(150);
+      expect(byCode.SALES.priorYear).toBe(500);
+      expect(byCode.COST_OF_SALES.pctOfSales).toBe(80);
+      expect(statement.columns).toEqual({ actual: true, budget: true, priorYear: true });
+    });
+
+    test('should render a self-contained HTML statement', () => {
+      const statement = buildPlStatement(ledgers, rows, { year: 2025, months: [9] });
+      const html = renderPlStatementHtml({
+        companyName: 'Interplast <Group>',
+        division: 'FP',
+        currency: 'AED',
+        period: { year: 2025, months: [9], label: 'September 2025' },
+        statement,
+        generatedAt: new Date(Date.UTC(2025, 9, 3, 7, 30))
+      });
+
+      expect(html).toContain('Interplast &lt;Group&gt; - FP Division');
+      expect(html).toContain('Profit &amp; Loss, September 2025 (AED)');
+      expect(html).toMatch(/font-weight:bold[^>]*>\s*<td[^>]*>Gross Profit<\/td>\s*<td[^>]*>300<\/td>/);
+      expect(html).toContain('Generated 2025-10-03 07:30 UTC');
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Unit Tests for Sales Rep Budget Service draft saves
+ * @module tests/services/salesRepBudgetService.test
+ */
+
+const { saveSalesRepBudgetDraft } = require('../../services/salesRepBudgetService');
+
+const fakeClient = () => ({
+  query: jest.fn(async (text) => ({ rows: [], rowCount: /^\s*DELETE/.test(text) ? 4 : 1 }))
+});
+
+describe('Sales Rep Budget Service Unit Tests', () => {
+
+  describe('saveSalesRepBudgetDraft', () => {
+    test('should replace the draft and never write the final budget table', async () => {
+      const client = fakeClient();
+      const result = await saveSalesRepBudgetDraft(client, {
+        division: 'FP',
+        budgetYear: '2026',
+        salesRep: 'john doe',
+        records: [
+          { customer: 'ACME LLC', country: 'uae', productGroup: 'Shrink Film', month: 1, value: '1,500' },
+          { customer: 'ACME LLC', country: 'uae', productGroup: 'Shrink Film', month: 2, value: 0 },
+          { customer: '', country: 'uae', productGroup: 'Shrink Film', month: 3, value: 10 }
+        ]
+      });
+
+      const statements = client.query.mock.calls.map(([text]) => text);
+      expect(statements.every(text => /fp_sales_rep_budget_draft\b/.test(text))).toBe(true);
+      expect(statements[0]).toMatch(/^\s*DELETE FROM fp_sales_rep_budget_draft/);
+
+      const [, firstInsert] = client.query.mock.calls[1];
+      expect(firstInsert).toEqual(['FP', 2026, 1, 'John Doe', 'Acme Llc', 'Uae', 'Shrink Film', 1500]);
+
+      expect(result).toMatchObject({
+        recordsDeleted: 4,
+        recordsSaved: 2,
+        skippedRecords: 1,
+        totalKgs: 1500
+      });
+    });
+
+    test('should refuse a save without valid records', async () => {
+      const client = fakeClient();
+      await expect(saveSalesRepBudgetDraft(client, { division: 'FP', budgetYear: 2026, salesRep: 'A', records: [] }))
+        .rejects.toThrow('No budget records to save.');
+      await expect(saveSalesRepBudgetDraft(client, { division: 'FP', budgetYear: 2026, salesRep: '', records: [] }))
+        .rejects.toThrow('division, salesRep, and budgetYear are required');
+      expect(client.query).not.toHaveBeenCalled();
+    });
+  });
+});
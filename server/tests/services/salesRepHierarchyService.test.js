@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Unit Tests for Sales Rep Hierarchy Service
+ * @module tests/services/salesRepHierarchyService.test
+ */
+
+const {
+  getTableName,
+  monthStart,
+  isEffective,
+  windowsOverlap,
+  resolveGroups,
+  validateAssignment,
+  assertNoOverlap
+} = require('../../services/salesRepHierarchyService');
+
+describe('Sales Rep Hierarchy Service Unit Tests', () => {
+
+  // Nidal moves from "Riad & Nidal" to "Others" on 1 July 2025
+  const assignments = [
+    { id: 1, sales_rep: 'Nidal Hanan', group_name: 'Riad & Nidal', valid_from: null, valid_to: '2025-06-30' },
+    { id: 2, sales_rep: 'Nidal Hanan', group_name: 'Others', valid_from: '2025-07-01', valid_to: null },
+    { id: 3, sales_rep: 'Riad Al Zier', group_name: 'Riad & Nidal', valid_from: null, valid_to: null }
+  ];
+
+  describe('getTableName / monthStart', () => {
+    test('should name the per-division table and the day a month is judged on', () => {
+      expect(getTableName('fp-uae')).toBe('fp_sales_rep_hierarchy');
+      expect(getTableName('HC')).toBe('hc_sales_rep_hierarchy');
+      expect(monthStart(2025, 7)).toBe('2025-07-01');
+    });
+  });
+
+  describe('isEffective / resolveGroups', () => {
+    test('should resolve groups as of the transaction month', () => {
+      expect(isEffective(assignments[0], '2025-06-01')).toBe(true);
+      expect(isEffective(assignments[0], '2025-07-01')).toBe(false);
+
+      expect(resolveGroups(assignments, monthStart(2025, 6))).toEqual({
+        'Riad & Nidal': ['Nidal Hanan', 'Riad Al Zier']
+      });
+      expect(resolveGroups(assignments, monthStart(2025, 7))).toEqual({
+        'Others': ['Nidal Hanan'],
+        'Riad & Nidal': ['Riad Al Zier']
+      });
+    });
+  });
+
+  describe('windowsOverlap', () => {
+    test('should treat missing bounds as open-ended', () => {
+      expect(windowsOverlap(assignments[0], assignments[1])).toBe(false);
+      expect(windowsOverlap(assignments[1], { valid_from: '2026-01-01', valid_to: null })).toBe(true);
+      expect(windowsOverlap({ valid_from: null, valid_to: null }, { valid_from: '2025-03-01', valid_to: '2025-03-31' })).toBe(true);
+      expect(windowsOverlap({ valid_from: '2025-01-01', valid_to: '2025-03-31' }, { valid_from: '2025-03-31', valid_to: null })).toBe(true);
+    });
+  });
+
+  describe('validateAssignment', () => {
+    test('should normalize the editor input', () => {
+      expect(validateAssignment({
+        salesRep: ' Riad Al Zier ',
+        groupName: 'Riad & Nidal',
+        manager: '',
+        region: 'GCC',
+        validFrom: '2025-01-01',
+        validTo: ''
+      })).toEqual({
+        sales_rep: 'Riad Al Zier',
+        group_name: 'Riad & Nidal',
+        manager: null,
+        region: 'GCC',
+        valid_from: '2025-01-01',
+        valid_to: null
+      });
+    });
+
+    test('should reject missing names, bad dates and reversed windows with 400', () => {
+      expect(() => validateAssignment({ groupName: 'Others' })).toThrow('Sales rep is required');
+      expect(() => validateAssignment({ salesRep: 'Haseeb', groupName: 'Others', validFrom: '2025-02-30' }))
+        .toThrow('Valid from must be a date (YYYY-MM-DD)');
+      let error;
+      try {
+        validateAssignment({ salesRep: 'Haseeb', groupName: 'Others', validFrom: '2025-07-01', validTo: '2025-06-30' });
+      } catch (thrown) {
+        error = thrown;
+      }
+      expect(error).toMatchObject({ statusCode: 400, message: 'Valid to must not be before valid from' });
+    });
+  });
+
+  describe('assertNoOverlap', () => {
+    test('should refuse a second assignment for the same rep on the same day with 409', () => {
+      const candidate = { sales_rep: 'NIDAL HANAN', group_name: 'Others', valid_from: '2025-09-01', valid_to: null };
+      expect(() => assertNoOverlap(assignments, candidate)).toThrow(
+        'NIDAL HANAN is already assigned to Others from 2025-07-01 to open-ended'
+      );
+      expect(() => assertNoOverlap(assignments, { ...candidate, valid_from: '2025-07-01' }, 2)).not.toThrow();
+      expect(() => assertNoOverlap(assignments, { ...candidate, sales_rep: 'Haseeb' })).not.toThrow();
+    });
+  });
+});
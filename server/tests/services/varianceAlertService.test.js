@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Unit Tests for Variance Alert Service
+ * @module tests/services/varianceAlertService.test
+ */
+
+const {
+  validateRule,
+  describeRule,
+  evaluateBudgetAttainment,
+  evaluatePerKgChange,
+  buildAlertKey
+} = require('../../services/varianceAlertService');
+
+const baseRule = {
+  name: 'Customers behind budget',
+  division: 'fp-uae',
+  ruleType: 'budget_attainment',
+  dimension: 'customer',
+  metric: 'kgs',
+  thresholdPct: 80,
+  channels: ['slack'],
+  notifyRoles: ['admin', 'sales_manager']
+};
+
+describe('Variance Alert Service Unit Tests', () => {
+
+  describe('validateRule', () => {
+    test('should normalize a valid rule', () => {
+      expect(validateRule(baseRule)).toEqual({
+        name: 'Customers behind budget',
+        division: 'FP',
+        rule_type: 'budget_attainment',
+        dimension: 'customer',
+        metric: 'KGS',
+        threshold_pct: 80,
+        min_base: 0,
+        severity: 'warning',
+        channels: ['slack'],
+        notify_roles: ['admin', 'sales_manager'],
+        is_active: true
+      });
+    });
+
+    test('should only allow per-kg metrics for per-kg rules', () => {
+      expect(() => validateRule({ ...baseRule, ruleType: 'per_kg_change', metric: 'KGS' })).toThrow(
+        'Metric for per_kg_change must be one of AMOUNT, MORM'
+      );
+      expect(validateRule({ ...baseRule, ruleType: 'per_kg_change', metric: 'MoRM' }).metric).toBe('MORM');
+    });
+
+    test('should reject unknown settings with 400', () => {
+      expect(() => validateRule({ ...baseRule, dimension: 'region' })).toThrow('Unknown dimension: region');
+      expect(() => validateRule({ ...baseRule, thresholdPct: 0 })).toThrow('Threshold must be a percentage');
+      expect(() => validateRule({ ...baseRule, channels: ['sms'] })).toThrow('Unknown alert channel: sms');
+      expect(() => validateRule({ ...baseRule, channels: [], notifyRoles: [] })).toThrow(
+        expect.objectContaining({ statusCode: 400 })
+      );
+    });
+  });
+
+  describe('describeRule', () => {
+    test('should describe both rule types', () => {
+      expect(describeRule(validateRule(baseRule))).toBe('Customer KGS below 80% of budget YTD');
+      expect(describeRule(validateRule({ ...baseRule, ruleType: 'per_kg_change', dimension: 'productgroup', metric: 'MORM', thresholdPct: 10 })))
+        .toBe('Product group MoRM/kg dropped more than 10% vs prior month');
+    });
+  });
+
+  describe('evaluateBudgetAttainment', () => {
+    const rule = { metric: 'KGS', threshold_pct: 80, min_base: 1000 };
+
+    test('should flag subjects below the threshold, lowest first', () => {
+      const breaches = evaluateBudgetAttainment(
+        rule,
+        [{ subject: 'ACME FOODS', value: 7000 }, { subject: 'Gulf Dairy', value: 9000 }, { subject: 'Nile Bakery', value: 100 }],
+        [
+          { subject: 'Acme Foods', value: 6000 },
+          { subject: 'Acme  Foods', value: 4000 },
+          { subject: 'Gulf Dairy', value: 10000 },
+          { subject: 'Nile Bakery', value: 2000 },
+          { subject: 'Tiny Co', value: 500 }
+        ]
+      );
+
+      expect(breaches.map(breach => [breach.subject, breach.attainmentPct])).toEqual([
+        ['Nile Bakery', 5],
+        ['Acme Foods', 70]
+      ]);
+      expect(breaches[1].message).toBe('Acme Foods: 7,000 KGS is 70.0% of the 10,000 budget YTD');
+    });
+
+    test('should count budgeted subjects without actuals as 0%', () => {
+      const breaches = evaluateBudgetAttainment(rule, [], [{ subject: 'New Customer', value: 5000 }]);
+      expect(breaches).toHaveLength(1);
+      expect(breaches[0].actual).toBe(0);
+    });
+  });
+
+  describe('evaluatePerKgChange', () => {
+    const rule = { metric: 'MORM', threshold_pct: 10, min_base: 100 };
+
+    test('should flag drops larger than the threshold, largest first', () => {
+      const breaches = evaluatePerKgChange(
+        rule,
+        [
+          { subject: 'Shrink Film', value: 850, kgs: 1000 },
+          { subject: 'Labels', value: 950, kgs: 1000 },
+          { subject: 'Laminates', value: 1500, kgs: 1000 },
+          { subject: 'Sleeves', value: 10, kgs: 50 }
+        ],
+        [
+          { subject: 'Shrink Film', value: 1000, kgs: 1000 },
+          { subject: 'Labels', value: 1000, kgs: 1000 },
+          { subject: 'Laminates', value: 1000, kgs: 1000 },
+          { subject: 'Sleeves', value: 100, kgs: 50 }
+        ]
+      );
+
+      expect(breaches).toHaveLength(1);
+      expect(breaches[0]).toMatchObject({ subject: 'Shrink Film', previousPerKg: 1, currentPerKg: 0.85, changePct: -15 });
+    });
+
+    test('should skip subjects missing from either month', () => {
+      expect(evaluatePerKgChange(rule, [{ subject: 'Labels', value: 1, kgs: 1000 }], [])).toEqual([]);
+    });
+  });
+
+  describe('buildAlertKey', () => {
+    test('should only change when the breached subjects change', () => {
+      const key = buildAlertKey(3, '2025-06', [{ subject: 'B' }, { subject: 'a' }]);
+      expect(key).toBe(buildAlertKey(3, '2025-06', [{ subject: 'A' }, { subject: 'b' }]));
+      expect(key).not.toBe(buildAlertKey(3, '2025-06', [{ subject: 'A' }]));
+      expect(key).not.toBe(buildAlertKey(3, '2025-07', [{ subject: 'A' }, { subject: 'B' }]));
+      expect(key.startsWith('3:2025-06:')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Unit Tests for the server-side write-up
+ * @module tests/services/writeUpService.test
+ */
+
+const {
+  validatePeriods,
+  buildFactPack,
+  composeMarkdown,
+  markdownToHtml
+} = require('../../services/writeUpService');
+const { buildInsights } = require('../../services/insightEngine');
+
+const pivotResult = (dimension, rows) => {
+  const totals = {};
+  const shaped = rows.map(([name, values]) => {
+    const row = { [dimension]: name };
+    Object.entries(values).forEach(([key, value]) => {
+      row[key] = value;
+      totals[key] = (totals[key] || 0) + value;
+    });
+    return row;
+  });
+  return { rows: shaped, totals };
+};
+
+const periods = validatePeriods(
+  { year: 2025, month: 'Q1', type: 'Actual' },
+  { year: 2024, month: 'Q1', type: 'Actual' }
+);
+
+const sales = {
+  productGroups: pivotResult('productgroup', [
+    ['Shrink Film', { 'period.kgs': 1000, 'period.amount': 6000, 'period.morm': 2000, 'comp.kgs': 1000, 'comp.amount': 5000, 'comp.morm': 1800, 'budget.kgs': 1100, 'budget.amount': 6600 }],
+    ['Labels', { 'period.kgs': 500, 'period.amount': 4000, 'period.morm': 1500, 'comp.kgs': 400, 'comp.amount': 3200, 'comp.morm': 1200, 'budget.kgs': 500, 'budget.amount': 4000 }]
+  ]),
+  customers: pivotResult('customer', [
+    ['Acme Group', { 'period.amount': 7000, 'period.kgs': 1100, 'comp.amount': 5000, 'comp.kgs': 900 }],
+    ['Gulf Dairy', { 'period.amount': 3000, 'period.kgs': 400, 'comp.amount': 1000, 'comp.kgs': 150 }],
+    ['Nile Bakery', { 'period.amount': 0, 'period.kgs': 0, 'comp.amount': 2200, 'comp.kgs': 350 }]
+  ]),
+  salesReps: pivotResult('salesrep', [['Sara', { 'period.amount': 10000, 'comp.amount': 8200 }]]),
+  countries: pivotResult('country', [['Oman', { 'period.amount': 10000, 'comp.amount': 8200 }]]),
+  monthly: pivotResult('month', [[1, { 'year.amount': 3000 }], [2, { 'year.amount': 3500 }], [3, { 'year.amount': 3500 }]])
+};
+
+const ledgers = [{ code: 'MATERIAL', name: 'Material' }, { code: 'LABOUR', name: 'Labour' }];
+const plColumn = (values) => ({ hasData: true, values });
+
+describe('Write-Up Service Unit Tests', () => {
+
+  describe('validatePeriods', () => {
+    test('should normalize both periods in the dashboard column format', () => {
+      expect(periods.period).toMatchObject({ year: 2025, months: [1, 2, 3], types: ['ACTUAL'], label: '2025 Q1 Actual' });
+      expect(periods.compareTo.label).toBe('2024 Q1 Actual');
+    });
+
+    test('should require a year and two different periods', () => {
+      expect(() => validatePeriods({ month: 'Q1' }, { year: 2024 })).toThrow('Period needs a year');
+      expect(() => validatePeriods(
+        { year: 2025, months: ['January', 'February', 'March'], type: 'Actual' },
+        { year: 2025, month: 'Q1', type: 'actual' }
+      )).toThrow(expect.objectContaining({ statusCode: 400, message: 'Choose two different periods to compare' }));
+    });
+  });
+
+  describe('buildFactPack', () => {
+    test('should fall back to sales figures without P&L data', () => {
+      const factPack = buildFactPack({ division: 'FP', divisionName: 'Flexible Packaging', currency: 'AED', ...periods, sales });
+
+      expect(factPack.kpi).toMatchObject({ source: 'sales', sales: 10000, sales_kg: 1500, morm: 3500, gp: null });
+      expect(factPack.kpi_comp.sales).toBe(8200);
+      expect(factPack.targets).toEqual({ sales: 10600, sales_kg: 1600 });
+      expect(factPack.revenue_pvm.total.revCur).toBeCloseTo(10000);
+      expect(factPack.revenue_pvm.total.revBase).toBeCloseTo(8200);
+      expect(factPack.unit_econ.price_per_kg).toBeCloseTo(6.667, 3);
+      expect(factPack.top_customers.map(item => item.name)).toEqual(['Acme Group', 'Gulf Dairy', 'Nile Bakery']);
+      expect(factPack.volatility_hints[0].metric).toBe('sales');
+    });
+
+    test('should flag price shifts and lost customers', () => {
+      const factPack = buildFactPack({ division: 'FP', currency: 'AED', ...periods, sales });
+      expect(factPack.anomalies.map(anomaly => [anomaly.type, anomaly.subject])).toEqual([
+        ['price_shift', 'Shrink Film'],
+        ['lost_customer', 'Nile Bakery']
+      ]);
+      expect(factPack.anomalies[0].signal).toBe('Shrink Film: price/kg up 20.0% (5.00 → 6.00 AED)');
+    });
+
+    test('should use the P&L for gross profit, budget GP% and cost drivers', () => {
+      const factPack = buildFactPack({
+        division: 'FP',
+        currency: 'AED',
+        ...periods,
+        sales,
+        pl: {
+          ledgers,
+          period: plColumn({ SALES: 10000, MATERIAL: 6000, LABOUR: 1000, GROSS_PROFIT_AFTER_DEPN: 2500, EBITDA: 1500 }),
+          comp: plColumn({ SALES: 8000, MATERIAL: 4400, LABOUR: 800, GROSS_PROFIT_AFTER_DEPN: 2400, EBITDA: 1400 }),
+          budget: plColumn({ SALES: 10000, GROSS_PROFIT_AFTER_DEPN: 2800 })
+        }
+      });
+
+      expect(factPack.kpi).toMatchObject({ source: 'pl', gp: 2500, gp_pct: 25, ebitda: 1500 });
+      expect(factPack.targets.gp_pct).toBeCloseTo(28);
+      expect(factPack.cogs_drivers).toEqual({ Material: -5 });
+      expect(factPack.unit_econ.gp_per_kg).toBeCloseTo(1.667, 3);
+    });
+  });
+
+  describe('composeMarkdown', () => {
+    test('should lead with the summary and the ranked insights', () => {
+      const factPack = buildFactPack({ division: 'FP', divisionName: 'Flexible Packaging', currency: 'AED', ...periods, sales });
+      const insights = buildInsights(factPack);
+      const markdown = composeMarkdown(factPack, insights);
+
+      expect(insights.slice(0, 2).map(insight => insight.title)).toEqual(['Nile Bakery declined', 'Gulf Dairy grew']);
+      expect(markdown.startsWith('# Executive Summary (2025 Q1 Actual)\n## Flexible Packaging - compared with 2024 Q1 Actual')).toBe(true);
+      expect(markdown).toContain('- **Sales:** AED 10.0k (+22.0% vs 2024 Q1 Actual)');
+      expect(markdown).toContain('1. **Customer - Nile Bakery declined**: -AED 2.2k (-100.0%); Volume (kg) -350 kg, Sales -AED 2.2k');
+      expect(markdown).toMatch(/\d\. \*\*Revenue moved\*\*: \+AED 1\.8k \(\+18\.0%\); Price \+AED 1\.0k/);
+      expect(markdown).toContain('## Watch List\n- Shrink Film: price/kg up 20.0%');
+      expect(markdown).not.toContain('**Status:**');
+    });
+  });
+
+  describe('markdownToHtml', () => {
+    test('should convert headings, lists and bold text and escape HTML', () => {
+      expect(markdownToHtml('# Title\n- **A** <b>\n- B\n\n1. One\nText')).toBe([
+        '<h1>Title</h1>',
+        '<ul>',
+        '<li><strong>A</strong> &lt;b&gt;</li>',
+        '<li>B</li>',
+        '</ul>',
+        '<ol>',
+        '<li>One</li>',
+        '</ol>',
+        '<p>Text</p>'
+      ].join('\n'));
+    });
+  });
+});
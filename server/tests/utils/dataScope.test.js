@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Unit Tests for Row-Level Data Scope
+ * @module tests/utils/dataScope.test
+ */
+
+const {
+  buildDataScope,
+  canAccessDivision,
+  canAccessSalesRep,
+  scopeQuery,
+  runWithDataScope,
+  installDataScope
+} = require('../../utils/dataScope');
+const { convertQuery } = require('../../utils/fxConversion');
+
+describe('Data Scope Unit Tests', () => {
+  const managerScope = buildDataScope({
+    userId: 7,
+    role: 'sales_manager',
+    name: 'Mona Manager',
+    divisions: ['FP'],
+    salesRepAccess: [
+      { name: 'Narek Koroukian', division: 'FP' },
+      { name: 'sofiane salah ', division: 'FP' },
+      { name: 'Other Division Rep', division: 'HCM' }
+    ]
+  });
+
+  describe('buildDataScope', () => {
+    test('should leave admins unrestricted', () => {
+      const scope = buildDataScope({ userId: 1, role: 'admin' });
+      expect(scope.unrestricted).toBe(true);
+      expect(canAccessDivision(scope, 'HCM')).toBe(true);
+      expect(canAccessSalesRep(scope, 'FP', 'Anyone')).toBe(true);
+    });
+
+    test('should limit managers to assigned sales reps in their divisions', () => {
+      expect(managerScope.divisions).toEqual(['FP']);
+      expect(managerScope.salesRepsByDivision).toEqual({ FP: ['NAREK KOROUKIAN', 'SOFIANE SALAH'] });
+      expect(canAccessSalesRep(managerScope, 'fp', 'Sofiane Salah')).toBe(true);
+      expect(canAccessSalesRep(managerScope, 'FP', 'Mona Manager')).toBe(false);
+    });
+
+    test('should let sales reps see their own name', () => {
+      const scope = buildDataScope({ userId: 9, role: 'sales_rep', name: 'Narek Koroukian', divisions: ['FP', 'HCM'] });
+      expect(scope.salesRepsByDivision).toEqual({ FP: ['NAREK KOROUKIAN'], HCM: ['NAREK KOROUKIAN'] });
+    });
+  });
+
+  describe('canAccessDivision', () => {
+    test('should refuse divisions outside user_divisions', () => {
+      expect(canAccessDivision(managerScope, 'FP')).toBe(true);
+      expect(canAccessDivision(managerScope, 'FP-UAE')).toBe(true);
+      expect(canAccessDivision(managerScope, 'HCM')).toBe(false);
+    });
+  });
+
+  describe('scopeQuery', () => {
+    test('should wrap sales rep tables and keep aliases', () => {
+      const { text, params } = scopeQuery(
+        'SELECT d.customername FROM fp_data_excel d WHERE d.year = $1',
+        [2025],
+        managerScope
+      );
+      expect(text).toBe(
+        'SELECT d.customername FROM (SELECT * FROM fp_data_excel WHERE UPPER(TRIM(salesrepname)) = ANY($2::text[])) d WHERE d.year = $1'
+      );
+      expect(params).toEqual([2025, ['NAREK KOROUKIAN', 'SOFIANE SALAH']]);
+    });
+
+    test('should not treat SQL keywords as aliases', () => {
+      const { text } = scopeQuery('SELECT COUNT(*) FROM fp_data_excel WHERE year = 2025', undefined, managerScope);
+      expect(text).toBe(
+        'SELECT COUNT(*) FROM (SELECT * FROM fp_data_excel WHERE UPPER(TRIM(salesrepname)) = ANY($1::text[])) fp_data_excel WHERE year = 2025'
+      );
+    });
+
+    test('should wrap schema-qualified tables', () => {
+      const { text } = scopeQuery('SELECT COUNT(*) FROM public.fp_data_excel WHERE year = 2025', undefined, managerScope);
+      expect(text).toBe(
+        'SELECT COUNT(*) FROM (SELECT * FROM public.fp_data_excel WHERE UPPER(TRIM(salesrepname)) = ANY($1::text[])) fp_data_excel WHERE year = 2025'
+      );
+    });
+
+    test('should share one parameter per division', () => {
+      const { text, params } = scopeQuery(
+        'SELECT * FROM fp_data_excel a JOIN fp_sales_rep_budget b ON a.customername = b.customername',
+        [],
+        managerScope
+      );
+      expect(text.match(/\$1::text\[\]/g)).toHaveLength(2);
+      expect(params).toHaveLength(1);
+    });
+
+    test('should scope divisions without access to no rows', () => {
+      const { params } = scopeQuery('SELECT * FROM hcm_data_excel', [], managerScope);
+      expect(params).toEqual([[]]);
+    });
+
+    test('should scope statements after comments, in parentheses and in comma joins', () => {
+      const wrapped = 'FROM (SELECT * FROM fp_data_excel WHERE UPPER(TRIM(salesrepname)) = ANY($1::text[])) d';
+      expect(scopeQuery('-- report\nSELECT * FROM fp_data_excel d', [], managerScope).text).toContain(wrapped);
+      expect(scopeQuery('/* report */ SELECT * FROM fp_data_excel d', [], managerScope).text).toContain(wrapped);
+      expect(scopeQuery('(SELECT * FROM fp_data_excel d) UNION ALL (SELECT * FROM fp_data_excel d)', [], managerScope).text)
+        .toContain(wrapped);
+      expect(scopeQuery('SELECT * FROM fp_customer_merge_rules m, fp_data_excel d', [], managerScope).text)
+        .toBe(`SELECT * FROM fp_customer_merge_rules m, (SELECT * FROM fp_data_excel WHERE UPPER(TRIM(salesrepname)) = ANY($1::text[])) d`);
+    });
+
+    test('should scope quoted identifiers', () => {
+      expect(scopeQuery('SELECT * FROM "public"."fp_data_excel" AS "d"', [], managerScope).text).toBe(
+        'SELECT * FROM (SELECT * FROM "public"."fp_data_excel" WHERE UPPER(TRIM(salesrepname)) = ANY($1::text[])) "d"'
+      );
+    });
+
+    test('should hide division level totals from restricted scopes', () => {
+      expect(scopeQuery('SELECT SUM(value) FROM fp_divisional_budget', [], managerScope)).toEqual({
+        text: 'SELECT SUM(value) FROM (SELECT * FROM fp_divisional_budget WHERE false) fp_divisional_budget',
+        params: []
+      });
+      expect(scopeQuery('SELECT * FROM fp_pl_data p', [], managerScope).text).toBe(
+        'SELECT * FROM (SELECT * FROM fp_pl_data WHERE false) p'
+      );
+    });
+
+    test('should not rewrite table names in strings or column qualifiers', () => {
+      const sql = "SELECT column_name FROM information_schema.columns WHERE table_name = 'fp_data_excel'";
+      expect(scopeQuery(sql, [], managerScope)).toEqual({ text: sql, params: [] });
+      expect(scopeQuery('SELECT fp_data_excel.year FROM fp_data_excel', [], managerScope).text).toMatch(
+        /^SELECT fp_data_excel\.year FROM \(SELECT \* FROM fp_data_excel WHERE .*\) fp_data_excel$/
+      );
+    });
+
+    test('should scope reads inside writes', () => {
+      const { text } = scopeQuery('INSERT INTO fp_sales_rep_budget_draft (customername) SELECT customername FROM fp_data_excel', [], managerScope);
+      expect(text).toBe(
+        'INSERT INTO fp_sales_rep_budget_draft (customername) SELECT customername FROM (SELECT * FROM fp_data_excel WHERE UPPER(TRIM(salesrepname)) = ANY($1::text[])) fp_data_excel'
+      );
+    });
+
+    test('should scope a query already rewritten for a report currency', () => {
+      const conversion = { periods: [202501], factors: [0.2723] };
+      const columnsByTable = new Map([['fp_data_excel', ['year', 'month', 'values_type', 'values', 'salesrepname']]]);
+      const converted = convertQuery('SELECT SUM(values) FROM fp_data_excel WHERE year = $1', [2025], conversion, columnsByTable);
+      const { text, params } = scopeQuery(converted.text, converted.params, managerScope);
+
+      expect(text).toContain('FROM (SELECT * FROM fp_data_excel WHERE UPPER(TRIM(salesrepname)) = ANY($4::text[])) fx_src) fp_data_excel WHERE year = $1');
+      expect(text.match(/SELECT \* FROM fp_data_excel/g)).toHaveLength(1);
+      expect(params).toEqual([2025, [202501], [0.2723], ['NAREK KOROUKIAN', 'SOFIANE SALAH']]);
+    });
+
+    test('should refuse statements that cannot be scoped', () => {
+      expect(() => scopeQuery('COPY (SELECT * FROM fp_data_excel) TO STDOUT', [], managerScope))
+        .toThrow(expect.objectContaining({ statusCode: 403 }));
+      expect(() => scopeQuery('TABLE fp_data_excel', [], managerScope)).toThrow(expect.objectContaining({ statusCode: 403 }));
+      expect(() => scopeQuery('CREATE TABLE rep_copy AS SELECT * FROM fp_data_excel', [], managerScope))
+        .toThrow(expect.objectContaining({ statusCode: 403 }));
+      expect(scopeQuery('COPY fp_customer_merge_rules TO STDOUT', [], managerScope).text).toBe('COPY fp_customer_merge_rules TO STDOUT');
+
+      const ddl = 'CREATE INDEX IF NOT EXISTS idx_fp_rep ON fp_data_excel (salesrepname)';
+      expect(scopeQuery(ddl, [], managerScope)).toEqual({ text: ddl, params: [] });
+    });
+
+    test('should leave writes and unrelated tables untouched', () => {
+      const update = 'UPDATE fp_data_excel SET salesrepname = $1';
+      expect(scopeQuery(update, ['X'], managerScope)).toEqual({ text: update, params: ['X'] });
+
+      const other = 'SELECT * FROM fp_customer_merge_rules';
+      expect(scopeQuery(other, [], managerScope)).toEqual({ text: other, params: [] });
+    });
+  });
+
+  describe('installDataScope', () => {
+    const createPool = () => {
+      const calls = [];
+      return { calls, query: jest.fn(async (text, params) => { calls.push({ text, params }); return { rows: [] }; }) };
+    };
+
+    test('should rewrite queries only inside a restricted scope', async () => {
+      const pool = installDataScope(createPool());
+      const sql = 'SELECT DISTINCT salesrepname FROM fp_data_excel';
+
+      await pool.query(sql);
+      await runWithDataScope(managerScope, () => pool.query(sql));
+      await runWithDataScope(buildDataScope({ role: 'admin' }), () => pool.query(sql));
+
+      expect(pool.calls[0].text).toBe(sql);
+      expect(pool.calls[1].text).toContain('ANY($1::text[])');
+      expect(pool.calls[1].params).toEqual([['NAREK KOROUKIAN', 'SOFIANE SALAH']]);
+      expect(pool.calls[2].text).toBe(sql);
+    });
+
+    test('should reject statements that cannot be scoped', async () => {
+      const pool = installDataScope(createPool());
+      await expect(runWithDataScope(managerScope, () => pool.query('TABLE fp_data_excel')))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(pool.calls).toHaveLength(0);
+    });
+
+    test('should install only once', () => {
+      const pool = installDataScope(createPool());
+      const wrapped = pool.query;
+      expect(installDataScope(pool).query).toBe(wrapped);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Unit Tests for Report Currency Conversion
+ * @module tests/utils/fxConversion.test
+ */
+
+const {
+  findFxTables,
+  convertQuery,
+  runWithConversion,
+  installFxConversion
+} = require('../../utils/fxConversion');
+
+describe('FX Conversion Unit Tests', () => {
+  const conversion = { base: 'AED', currency: 'USD', rateType: 'average', periods: [202501], factors: [0.2723] };
+  const columnsByTable = new Map([
+    ['fp_data_excel', ['id', 'year', 'month', 'values_type', 'values']],
+    ['fp_divisional_budget', ['year', 'month', 'metric', 'value']]
+  ]);
+
+  describe('findFxTables', () => {
+    test('should list value tables read by a SELECT', () => {
+      expect(findFxTables('SELECT * FROM fp_data_excel d JOIN fp_sales_rep_budget b ON true')).toEqual([
+        'fp_data_excel', 'fp_sales_rep_budget'
+      ]);
+      expect(findFxTables('SELECT * FROM public.fp_divisional_budget')).toEqual(['fp_divisional_budget']);
+      expect(findFxTables('SELECT * FROM fp_data_excel_backup')).toEqual([]);
+      expect(findFxTables('DELETE FROM fp_data_excel')).toEqual([]);
+    });
+  });
+
+  describe('convertQuery', () => {
+    test('should convert Amount / MoRM through a period factor subquery', () => {
+      const { text, params } = convertQuery(
+        'SELECT SUM(d.values) FROM fp_data_excel d WHERE d.year = $1',
+        [2025],
+        conversion,
+        columnsByTable
+      );
+
+      expect(params).toEqual([2025, [202501], [0.2723]]);
+      expect(text).toContain('FROM (SELECT fx_src."id", fx_src."year", fx_src."month", fx_src."values_type", CASE WHEN UPPER(fx_src."values_type") IN (\'AMOUNT\', \'MORM\')');
+      expect(text).toContain('unnest($2::int[], $3::float8[])');
+      expect(text).toContain('AS "values" FROM fp_data_excel fx_src) d WHERE d.year = $1');
+    });
+
+    test('should use each table\'s own measure columns', () => {
+      const { text } = convertQuery('SELECT * FROM fp_divisional_budget WHERE year = 2025', [], conversion, columnsByTable);
+      expect(text).toContain('UPPER(fx_src."metric")');
+      expect(text).toContain('fx_src."year" * 100 + fx_src."month"');
+      expect(text).toMatch(/AS "value" FROM fp_divisional_budget fx_src\) fp_divisional_budget WHERE year = 2025$/);
+    });
+
+    test('should convert schema-qualified tables', () => {
+      const { text } = convertQuery('SELECT SUM(values) FROM public.fp_data_excel WHERE year = 2025', [], conversion, columnsByTable);
+      expect(text).toMatch(/AS "values" FROM public\.fp_data_excel fx_src\) fp_data_excel WHERE year = 2025$/);
+    });
+
+    test('should leave statements untouched without conversion or known columns', () => {
+      const sql = 'SELECT * FROM fp_data_excel';
+      expect(convertQuery(sql, [], null, columnsByTable)).toEqual({ text: sql, params: [] });
+      expect(convertQuery('SELECT * FROM hc_data_excel', [], conversion, columnsByTable).text).toBe('SELECT * FROM hc_data_excel');
+    });
+  });
+
+  describe('installFxConversion', () => {
+    const createPool = () => {
+      const calls = [];
+      return {
+        calls,
+        query: jest.fn(async (text, params) => {
+          calls.push({ text, params });
+          if (/information_schema/.test(text)) {
+            return { rows: ['year', 'month', 'values_type', 'values'].map(column_name => ({ column_name })) };
+          }
+          return { rows: [] };
+        })
+      };
+    };
+
+    test('should only rewrite while a conversion is active', async () => {
+      const pool = installFxConversion(createPool());
+      const sql = 'SELECT SUM(values) FROM fp_data_excel';
+
+      await pool.query(sql);
+      await runWithConversion(conversion, () => pool.query(sql));
+      await runWithConversion(conversion, () => pool.query(sql));
+
+      expect(pool.calls[0].text).toBe(sql);
+      expect(pool.calls.filter(call => /information_schema/.test(call.text))).toHaveLength(1);
+      expect(pool.calls[pool.calls.length - 1].text).toContain('FROM fp_data_excel fx_src');
+    });
+
+    test('should reload the columns of a table that changed', async () => {
+      const pool = createPool();
+      let columnAdded = false;
+      pool.query.mockImplementation(async (text, params) => {
+        pool.calls.push({ text, params });
+        if (/information_schema/.test(text)) {
+          const columns = ['year', 'month', 'values_type', 'values', ...(columnAdded ? ['region'] : [])];
+          return { rows: columns.map(column_name => ({ column_name })) };
+        }
+        if (/region/.test(text) && !/fx_src\."region"/.test(text)) {
+          throw Object.assign(new Error('column "region" does not exist'), { code: '42703' });
+        }
+        return { rows: [] };
+      });
+      installFxConversion(pool);
+
+      await runWithConversion(conversion, () => pool.query('SELECT SUM(values) FROM fp_data_excel'));
+      columnAdded = true;
+      await runWithConversion(conversion, () => pool.query('SELECT region FROM fp_data_excel'));
+
+      expect(pool.calls.filter(call => /information_schema/.test(call.text))).toHaveLength(2);
+      expect(pool.calls[pool.calls.length - 1].text).toContain('fx_src."region"');
+    });
+
+    test('should not cache a table that does not exist yet', async () => {
+      const pool = createPool();
+      pool.query.mockImplementation(async (text, params) => {
+        pool.calls.push({ text, params });
+        return { rows: [] };
+      });
+      installFxConversion(pool);
+
+      await runWithConversion(conversion, () => pool.query('SELECT * FROM fp_data_excel'));
+      await runWithConversion(conversion, () => pool.query('SELECT * FROM fp_data_excel'));
+
+      expect(pool.calls.filter(call => /information_schema/.test(call.text))).toHaveLength(2);
+    });
+
+    test('should support the callback form', (done) => {
+      const pool = installFxConversion(createPool());
+      runWithConversion(conversion, () => {
+        pool.query('SELECT * FROM fp_data_excel', (error, result) => {
+          expect(error).toBeNull();
+          expect(result.rows).toEqual([]);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Unit Tests for the P&L Formula Engine
+ * @module tests/utils/plFormula.test
+ */
+
+const {
+  parseFormula,
+  getReferences,
+  evaluate,
+  validateFormulas,
+  evaluateLedgers
+} = require('../../utils/plFormula');
+const { DEFAULT_CHART_OF_ACCOUNTS } = require('../../services/plDataService');
+
+const DEFAULT_LEDGERS = DEFAULT_CHART_OF_ACCOUNTS.map(ledger => ({
+  code: ledger.code,
+  formula: ledger.formula || null,
+  is_active: true
+}));
+
+describe('P&L Formula Engine Unit Tests', () => {
+
+  describe('parseFormula / evaluate', () => {
+    const values = { SALES: 1000, MATERIAL: 600, COST_OF_SALES: 800, ZERO: 0 };
+    const calc = (formula) => evaluate(parseFormula(formula), code => values[code]);
+
+    test('should follow operator precedence, parentheses and unary minus', () => {
+      expect(calc('SALES - MATERIAL * 2 / 4')).toBe(700);
+      expect(calc('(SALES - MATERIAL) * 2')).toBe(800);
+      expect(calc('-MATERIAL + 100')).toBe(-500);
+      expect(calc('sales - .5 * material')).toBe(700);
+    });
+
+    test('should evaluate functions and treat division by zero as 0', () => {
+      expect(calc('SUM(SALES, MATERIAL, 1)')).toBe(1601);
+      expect(calc('PCT(MATERIAL, SALES)')).toBe(60);
+      expect(calc('PCT(SALES, ZERO)')).toBe(0);
+      expect(calc('SALES / ZERO')).toBe(0);
+      expect(calc('MAX(SALES, MATERIAL) - MIN(SALES, MATERIAL) + ABS(-1)')).toBe(401);
+    });
+
+    test('should report syntax errors with their position', () => {
+      expect(() => parseFormula('SALES - ')).toThrow('Unexpected end of formula at position 8');
+      expect(() => parseFormula('SALES # MATERIAL')).toThrow('Unexpected "#" at position 7');
+      expect(() => parseFormula('SALES MATERIAL')).toThrow('Unexpected "MATERIAL" at position 7');
+      expect(() => parseFormula('AVG(SALES)')).toThrow('Unknown function AVG at position 1');
+      expect(() => parseFormula('PCT(SALES)')).toThrow('PCT expects 2 argument(s), got 1');
+      expect(() => parseFormula('(SALES')).toThrow('Expected ")" but found end of formula');
+      expect(() => parseFormula('  ')).toThrow('Formula is empty');
+    });
+
+    test('should list referenced ledger codes once', () => {
+      expect(getReferences(parseFormula('sales - SALES + PCT(material, Sales)'))).toEqual(['SALES', 'MATERIAL']);
+    });
+  });
+
+  describe('validateFormulas', () => {
+    test('should accept the default chart of accounts', () => {
+      expect(validateFormulas(DEFAULT_LEDGERS)).toEqual([]);
+    });
+
+    test('should reject unknown or inactive references and circular formulas', () => {
+      const errors = validateFormulas([
+        { code: 'SALES' },
+        { code: 'OLD_LINE', is_active: false },
+        { code: 'A', formula: 'B + SALES' },
+        { code: 'B', formula: 'A - OLD_LINE' },
+        { code: 'C', formula: 'C * 2' },
+        { code: 'D', formula: 'ROYALTIES +' }
+      ]);
+
+      expect(errors).toEqual([
+        'B: "OLD_LINE" is not an active ledger',
+        'D: Unexpected end of formula at position 12',
+        'Circular formula: A -> B -> A',
+        'Circular formula: C -> C'
+      ]);
+    });
+  });
+
+  describe('evaluateLedgers', () => {
+    test('should compute the default derived lines from posted lines', () => {
+      const posted = {
+        SALES: 1000,
+        COST_OF_SALES: 800,
+        MATERIAL: 600,
+        LABOUR: 50,
+        DEPRECIATION: 30,
+        ELECTRICITY: 15,
+        OTHER_MFG_OVERHEADS: 5,
+        DIRECT_COST_STOCK_ADJ: -20,
+        SELLING_EXPENSES: 40,
+        TRANSPORTATION: 20,
+        BANK_INTEREST: 10,
+        RND_PREPRODUCTION: 5,
+        OTHER_INCOME: -15
+      };
+      const values = evaluateLedgers(DEFAULT_LEDGERS, ledger => posted[ledger.code]);
+
+      expect(values.MARGIN_OVER_MATERIAL).toBe(400);
+      expect(values.ACTUAL_DIRECT_COST).toBe(100);
+      expect(values.DIRECT_COST_OF_GOODS_SOLD).toBe(80);
+      expect(values.DIRECT_COST_PCT_OF_COGS).toBe(10);
+      expect(values.GROSS_PROFIT_AFTER_DEPN).toBe(200);
+      expect(values.GROSS_PROFIT_BEFORE_DEPN).toBe(230);
+      expect(values.TOTAL_BELOW_GP_EXPENSES).toBe(60);
+      expect(values.TOTAL_EXPENSES).toBe(160);
+      expect(values.NET_PROFIT).toBe(140);
+      expect(values.EBIT).toBe(150);
+      expect(values.EBITDA).toBe(185);
+    });
+
+    test('should throw on circular formulas', () => {
+      expect(() => evaluateLedgers([
+        { code: 'A', formula: 'B' },
+        { code: 'B', formula: 'A' }
+      ], () => 0)).toThrow('Circular formula');
+    });
+  });
+});
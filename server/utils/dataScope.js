@@ -0,0 +1,312 @@
+/**
+ * @fileoverview Row-level data scope for sales data queries
+ * @module utils/dataScope
+ * @description Central data-access policy. A scope is resolved per request from
+ * users.role, user_divisions and user_sales_rep_access and carried through the
+ * request with AsyncLocalStorage (same approach as middleware/correlation).
+ *
+ * Pools created through database/config, database/fp_database_config and
+ * utils/divisionDatabaseManager are installed with a scoped query(): while a
+ * restricted scope is active, every statement reading a sales-rep level table
+ * ({div}_data_excel, {div}_sales_rep_budget...) reads it through a subquery
+ * limited to the sales reps the user may see, and division level tables
+ * ({div}_divisional_budget, {div}_pl_data) read as empty. Statements that touch
+ * these tables but cannot be rewritten (DDL, COPY...) are refused.
+ * Query services therefore need no scope parameters of their own.
+ *
+ * Policy:
+ * - admin: every division and sales rep
+ * - sales_manager: divisions in user_divisions, sales reps in user_sales_rep_access
+ * - sales_rep: divisions in user_divisions, own name (users.name) plus any
+ *   user_sales_rep_access rows mapped to the user
+ * - division level totals (divisional budget, P&L): admin only
+ *
+ * Queries run on checked-out clients (pool.connect()) are not rewritten;
+ * those paths are write / maintenance paths.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const scopeStorage = new AsyncLocalStorage();
+
+/** Sales rep level tables matched as {div}_{suffix}, with their sales rep column */
+const SCOPED_TABLES = {
+  data_excel: 'salesrepname',
+  sales_rep_budget: 'salesrepname',
+  sales_rep_budget_draft: 'salesrepname',
+  budget_version_data: 'salesrepname',
+  forecast_values: 'salesrepname',
+  budget_bulk_import: 'sales_rep'
+};
+
+const SCOPED_TABLE_SUFFIXES = Object.keys(SCOPED_TABLES);
+
+/** Division level tables ({div}_{suffix}): totals over every sales rep, so hidden from restricted scopes */
+const DIVISION_TOTAL_TABLE_SUFFIXES = ['divisional_budget', 'divisional_budget_archive', 'pl_data'];
+
+const SQL_KEYWORDS = new Set([
+  'WHERE', 'GROUP', 'ORDER', 'LIMIT', 'OFFSET', 'HAVING', 'WINDOW', 'UNION', 'EXCEPT', 'INTERSECT',
+  'JOIN', 'LEFT', 'RIGHT', 'INNER', 'FULL', 'CROSS', 'NATURAL', 'ON', 'USING', 'FOR', 'FETCH',
+  'RETURNING', 'TABLESAMPLE', 'SET'
+]);
+
+/** Statements whose table references can be rewritten */
+const REWRITABLE_STATEMENTS = new Set(['SELECT', 'WITH', 'VALUES', 'INSERT', 'UPDATE', 'DELETE']);
+
+/** Schema maintenance statements: they read no rows, so they run untouched unless they embed a SELECT */
+const SCHEMA_STATEMENTS = new Set(['CREATE', 'ALTER', 'DROP', 'ANALYZE', 'VACUUM', 'COMMENT', 'TRUNCATE', 'LOCK', 'REINDEX', 'GRANT', 'REVOKE']);
+
+const TABLE_NAME = `[a-z]{2,4}_(?:${[...SCOPED_TABLE_SUFFIXES, ...DIVISION_TOTAL_TABLE_SUFFIXES].join('|')})`;
+
+/** Optional public schema, plain or quoted name */
+const TABLE_NAME_REFERENCE = `(?:"?public"?\\s*\\.\\s*)?(?:"${TABLE_NAME}"|${TABLE_NAME}(?![\\w$]))`;
+
+/** Any mention of a scoped table outside strings and comments (to refuse statements that cannot be rewritten) */
+const TABLE_MENTION_PATTERN = new RegExp(`(?<![\\w$."])${TABLE_NAME_REFERENCE}`, 'i');
+
+/** A table read with the SQL TABLE command (`TABLE fp_data_excel`), which cannot be rewritten */
+const TABLE_COMMAND_PATTERN = new RegExp(`\\bTABLE\\s+${TABLE_NAME_REFERENCE}`, 'i');
+
+/**
+ * A table reference in a FROM list: right after FROM / JOIN / USING or a comma, not a column
+ * qualifier (name.column) or a function call. A name after a closing parenthesis is a subquery
+ * alias (as utils/fxConversion leaves them) and never matched. A reference after INSERT INTO /
+ * UPDATE / DELETE FROM is a write target: its keyword is captured so it can be left alone.
+ */
+const TABLE_REFERENCE_PATTERN = new RegExp(
+  `(\\b(?:INSERT\\s+INTO|UPDATE|DELETE\\s+FROM|FROM|JOIN|USING)\\s+(?:ONLY\\s+)?|,\\s*)` +
+  `(${TABLE_NAME_REFERENCE})` +
+  `(?!\\s*[.(])(\\s+(?:AS\\s+)?("?[a-z_][a-z0-9_]*"?))?`,
+  'gi'
+);
+
+const WRITE_TARGET_PATTERN = /^(INSERT|UPDATE|DELETE)\b/i;
+
+const MASK = '\u0000';
+/**
+ * Division code from a division name ("FP", "fp", "FP-UAE" -> "FP")
+ */
+const divisionCodeOf = (division) => String(division || '').split('-')[0].trim().toUpperCase();
+
+const normalizeRep = (name) => String(name || '').trim().toUpperCase();
+
+/**
+ * Build a scope from the user's role and access rows
+ * @param {object} params
+ * @param {number} params.userId
+ * @param {string} params.role - admin | sales_manager | sales_rep
+ * @param {string} [params.name] - users.name (a sales rep's own sales rep name)
+ * @param {string[]} [params.divisions] - user_divisions
+ * @param {Array<{name: string, division: string}>} [params.salesRepAccess] - user_sales_rep_access rows
+ * @returns {object} Scope
+ */
+function buildDataScope({ userId, role, name = null, divisions = [], salesRepAccess = [] }) {
+  if (role === 'admin') {
+    return { userId, role, unrestricted: true, divisions: [], salesRepsByDivision: {} };
+  }
+
+  const divisionCodes = [...new Set(divisions.map(divisionCodeOf).filter(Boolean))];
+  const salesRepsByDivision = {};
+  divisionCodes.forEach(code => { salesRepsByDivision[code] = new Set(); });
+
+  salesRepAccess.forEach(({ name: repName, division }) => {
+    const code = divisionCodeOf(division);
+    if (salesRepsByDivision[code] && repName) {
+      salesRepsByDivision[code].add(normalizeRep(repName));
+    }
+  });
+
+  if (role === 'sales_rep' && name) {
+    divisionCodes.forEach(code => salesRepsByDivision[code].add(normalizeRep(name)));
+  }
+
+  Object.keys(salesRepsByDivision).forEach(code => {
+    salesRepsByDivision[code] = [...salesRepsByDivision[code]].sort();
+  });
+
+  return { userId, role, unrestricted: false, divisions: divisionCodes, salesRepsByDivision };
+}
+
+function canAccessDivision(scope, division) {
+  if (!scope || scope.unrestricted) return true;
+  return scope.divisions.includes(divisionCodeOf(division));
+}
+
+/**
+ * Sales reps (upper case) visible in a division, or null when not restricted
+ */
+function getAllowedSalesReps(scope, division) {
+  if (!scope || scope.unrestricted) return null;
+  return scope.salesRepsByDivision[divisionCodeOf(division)] || [];
+}
+
+function canAccessSalesRep(scope, division, salesRep) {
+  const allowed = getAllowedSalesReps(scope, division);
+  return allowed === null || allowed.includes(normalizeRep(salesRep));
+}
+
+/**
+ * Replace string literals, quoted dollar strings and comments with placeholders so
+ * table names inside them are never matched
+ * @returns {{code: string, literals: string[]}}
+ */
+function maskLiterals(text) {
+  const literals = [];
+  const code = text.replace(
+    /'(?:[^']|'')*'|\$([a-z_][a-z0-9_]*)?\$[\s\S]*?\$\1\$|--[^\n]*|\/\*[\s\S]*?\*\//gi,
+    (literal) => {
+      literals.push(literal);
+      return `${MASK}${literals.length - 1}${MASK}`;
+    }
+  );
+  return { code, literals };
+}
+
+const unmaskLiterals = (code, literals) => code.replace(
+  new RegExp(`${MASK}(\\d+)${MASK}`, 'g'),
+  (match, index) => literals[Number(index)]
+);
+
+/**
+ * First keyword of a statement, past comments and opening parentheses
+ */
+function statementKeyword(code) {
+  const match = code.replace(new RegExp(`${MASK}\\d+${MASK}`, 'g'), ' ').match(/^[\s(]*([a-z]+)/i);
+  return match ? match[1].toUpperCase() : '';
+}
+
+function dataScopeError(message) {
+  const error = new Error(message);
+  error.statusCode = 403;
+  return error;
+}
+
+/**
+ * Rewrite a statement so sales-rep level tables only expose rows of allowed sales reps
+ * - every read of a sales rep level table becomes a subquery limited to the allowed reps
+ * - division level tables read as empty
+ * - write targets (INSERT INTO / UPDATE / DELETE FROM) and schema maintenance are left alone
+ * - any other statement touching these tables (COPY, TABLE, CREATE ... AS SELECT) is refused
+ * @param {string} text - SQL text
+ * @param {Array} params - Positional parameters
+ * @param {object} scope - Data scope
+ * @returns {{text: string, params: Array}}
+ * @throws {Error} 403 when a restricted scope runs a statement that cannot be scoped
+ */
+function scopeQuery(text, params, scope) {
+  const values = Array.isArray(params) ? params : [];
+  if (!scope || scope.unrestricted || typeof text !== 'string') {
+    return { text, params };
+  }
+
+  const { code, literals } = maskLiterals(text);
+  const keyword = statementKeyword(code);
+  if (!REWRITABLE_STATEMENTS.has(keyword)) {
+    if (!TABLE_MENTION_PATTERN.test(code)) return { text, params };
+    if (SCHEMA_STATEMENTS.has(keyword) && !/\bSELECT\b/i.test(code)) return { text, params };
+    throw dataScopeError('This statement cannot be limited to your data scope');
+  }
+
+  if (TABLE_COMMAND_PATTERN.test(code)) {
+    throw dataScopeError('This statement cannot be limited to your data scope');
+  }
+
+  const scopedParams = [...values];
+  const paramIndexByDivision = {};
+  let rewritten = false;
+
+  const scopedCode = code.replace(TABLE_REFERENCE_PATTERN, (match, lead, reference, aliasClause, alias) => {
+    if (WRITE_TARGET_PATTERN.test(lead)) return match;
+
+    const table = reference.replace(/^"?public"?\s*\.\s*/i, '');
+    const name = table.replace(/"/g, '').toLowerCase();
+    const prefix = name.slice(0, name.indexOf('_'));
+    const suffix = name.slice(prefix.length + 1);
+    const division = prefix.toUpperCase();
+    const hasAlias = alias && !SQL_KEYWORDS.has(alias.replace(/"/g, '').toUpperCase());
+    rewritten = true;
+
+    let predicate = 'false';
+    if (SCOPED_TABLES[suffix]) {
+      if (!paramIndexByDivision[division]) {
+        scopedParams.push(getAllowedSalesReps(scope, division));
+        paramIndexByDivision[division] = scopedParams.length;
+      }
+      predicate = `UPPER(TRIM(${SCOPED_TABLES[suffix]})) = ANY($${paramIndexByDivision[division]}::text[])`;
+    }
+
+    const subquery = `(SELECT * FROM ${reference} WHERE ${predicate})`;
+    return hasAlias
+      ? `${lead}${subquery} ${alias}`
+      : `${lead}${subquery} ${table}${aliasClause || ''}`;
+  });
+
+  if (!rewritten) {
+    return { text, params };
+  }
+  return { text: unmaskLiterals(scopedCode, literals), params: scopedParams };
+}
+
+/**
+ * Run fn with a data scope active for everything it awaits
+ */
+function runWithDataScope(scope, fn) {
+  return scopeStorage.run(scope, fn);
+}
+
+function getDataScope() {
+  return scopeStorage.getStore() || null;
+}
+
+/**
+ * Make pool.query() honour the active data scope (idempotent)
+ * @param {import('pg').Pool} pool
+ * @returns {import('pg').Pool} The same pool
+ */
+function installDataScope(pool) {
+  if (!pool || pool.__dataScopeInstalled) return pool;
+
+  const originalQuery = pool.query.bind(pool);
+  pool.query = (text, params, callback) => {
+    const scope = getDataScope();
+    if (!scope || scope.unrestricted) {
+      return originalQuery(text, params, callback);
+    }
+    if (typeof params === 'function') {
+      callback = params;
+      params = undefined;
+    }
+    const config = text && typeof text === 'object' ? text : null;
+    let scoped;
+    try {
+      scoped = config ? scopeQuery(config.text, config.values, scope) : scopeQuery(text, params, scope);
+    } catch (error) {
+      if (callback) {
+        process.nextTick(callback, error);
+        return undefined;
+      }
+      return Promise.reject(error);
+    }
+    return config
+      ? originalQuery({ ...config, text: scoped.text, values: scoped.params }, callback)
+      : originalQuery(scoped.text, scoped.params, callback);
+  };
+  pool.__dataScopeInstalled = true;
+  return pool;
+}
+
+module.exports = {
+  SCOPED_TABLES,
+  SCOPED_TABLE_SUFFIXES,
+  DIVISION_TOTAL_TABLE_SUFFIXES,
+  SQL_KEYWORDS,
+  divisionCodeOf,
+  buildDataScope,
+  canAccessDivision,
+  getAllowedSalesReps,
+  canAccessSalesRep,
+  scopeQuery,
+  runWithDataScope,
+  getDataScope,
+  installDataScope
+};
@@ -1,5 +1,7 @@
 const { Pool } = require('pg');
 const { authPool } = require('../database/config');
+const { installDataScope } = require('./dataScope');
+const { installFxConversion } = require('./fxConversion');
 const { createDivisionExcelTemplate, deleteDivisionExcel } = require('./excelTemplateGenerator');
 const fs = require('fs');
 const path = require('path');
@@ -14,13 +16,13 @@ function getDivisionPool(divisionCode) {
   const dbName = `${divisionCode.toLowerCase()}_database`;
   
   if (!divisionPools.has(dbName)) {
-    const pool = new Pool({
+    const pool = installFxConversion(installDataScope(new Pool({
       user: process.env.DB_USER || 'postgres',
       host: process.env.DB_HOST || 'localhost',
       database: dbName,
       password: process.env.DB_PASSWORD || '654883',
       port: process.env.DB_PORT || 5432,
-    });
+    })));
     
     divisionPools.set(dbName, pool);
     console.log(`✅ Created pool for division database: ${dbName}`);
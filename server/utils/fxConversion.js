@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Report currency conversion for sales data queries
+ * @module utils/fxConversion
+ * @description Converts Amount and MoRM values from the company currency into a
+ * reporting currency (services/fxRateService) while a conversion is active for
+ * the request (AsyncLocalStorage, same approach as utils/dataScope).
+ *
+ * Pools installed with installFxConversion() rewrite every SELECT reading a
+ * value table ({div}_data_excel, {div}_sales_rep_budget...) so it reads a
+ * subquery where Amount / MoRM rows are multiplied by the factor of their own
+ * year and month. KGS rows are left untouched and aggregates stay correct
+ * across months with different rates.
+ *
+ * Only SELECT / WITH statements on pool.query() are rewritten; writes and
+ * checked-out clients always see company currency values.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { SQL_KEYWORDS } = require('./dataScope');
+
+const conversionStorage = new AsyncLocalStorage();
+
+/** Value tables matched as {div}_{suffix}, with their period / measure columns */
+const FX_TABLES = {
+  data_excel: { year: 'year', month: 'month', type: 'values_type', value: 'values' },
+  sales_rep_budget: { year: 'budget_year', month: 'month', type: 'values_type', value: 'values' },
+  divisional_budget: { year: 'year', month: 'month', type: 'metric', value: 'value' },
+  budget_version_data: { year: 'year', month: 'month', type: 'values_type', value: 'values' },
+  forecast_values: { year: 'year', month: 'month', type: 'values_type', value: 'values' },
+  pl_data: { year: 'year', month: 'month', type: 'measure', value: 'amount' }
+};
+
+/** Postgres errors a stale column list can cause: undefined_column, undefined_table */
+const STALE_COLUMNS_ERRORS = ['42703', '42P01'];
+
+/** Measures held in currency */
+const CURRENCY_MEASURES = ['AMOUNT', 'MORM'];
+
+const FX_TABLE_PATTERN = new RegExp(
+  `\\b(FROM|JOIN)\\s+(public\\.)?([a-z][a-z0-9]*)_(${Object.keys(FX_TABLES).join('|')})\\b(\\s+(?:AS\\s+)?([a-z_][a-z0-9_]*))?`,
+  'gi'
+);
+
+const isSelect = (text) => typeof text === 'string' && /^\s*(SELECT|WITH)\b/i.test(text);
+
+/**
+ * Value tables read by a statement (lower case)
+ */
+function findFxTables(text) {
+  if (!isSelect(text)) return [];
+
+  const tables = new Set();
+  for (const match of text.matchAll(FX_TABLE_PATTERN)) {
+    tables.add(`${match[3]}_${match[4]}`.toLowerCase());
+  }
+  return [...tables];
+}
+
+/**
+ * Rewrite a SELECT so value tables return converted Amount / MoRM
+ * @param {string} text - SQL text
+ * @param {Array} params - Positional parameters
+ * @param {object} conversion - From fxRateService.getConversion()
+ * @param {Map<string, string[]>} columnsByTable - Column names per table (ordinal order)
+ * @returns {{text: string, params: Array}}
+ */
+function convertQuery(text, params, conversion, columnsByTable) {
+  if (!conversion || conversion.factors.length === 0 || !isSelect(text)) {
+    return { text, params };
+  }
+
+  const convertedParams = Array.isArray(params) ? [...params] : [];
+  let periodsIndex = null;
+
+  const convertedText = text.replace(FX_TABLE_PATTERN, (match, keyword, schema, prefix, suffix, aliasClause, alias) => {
+    const table = `${prefix}_${suffix}`;
+    const columns = columnsByTable.get(table.toLowerCase());
+    if (!columns || columns.length === 0) return match;
+
+    if (periodsIndex === null) {
+      convertedParams.push(conversion.periods, conversion.factors);
+      periodsIndex = convertedParams.length - 1;
+    }
+
+    const config = FX_TABLES[suffix.toLowerCase()];
+    const periodsParam = `$${periodsIndex}::int[]`;
+    const factorsParam = `$${periodsIndex + 1}::float8[]`;
+    const factor = `COALESCE(
+        (SELECT fx.factor FROM unnest(${periodsParam}, ${factorsParam}) AS fx(period, factor)
+         WHERE fx.period <= fx_src."${config.year}" * 100 + fx_src."${config.month}"
+         ORDER BY fx.period DESC LIMIT 1),
+        (${factorsParam})[1])`;
+    const measures = CURRENCY_MEASURES.map(measure => `'${measure}'`).join(', ');
+
+    const selectList = columns.map(column => (column === config.value
+      ? `CASE WHEN UPPER(fx_src."${config.type}") IN (${measures}) THEN (fx_src."${column}" * ${factor})::numeric ELSE fx_src."${column}" END AS "${column}"`
+      : `fx_src."${column}"`
+    )).join(', ');
+
+    const subquery = `(SELECT ${selectList} FROM ${schema || ''}${table} fx_src)`;
+    const hasAlias = alias && !SQL_KEYWORDS.has(alias.toUpperCase());
+    return hasAlias
+      ? `${keyword} ${subquery} ${alias}`
+      : `${keyword} ${subquery} ${table}${aliasClause || ''}`;
+  });
+
+  if (periodsIndex === null) {
+    return { text, params };
+  }
+  return { text: convertedText, params: convertedParams };
+}
+
+/**
+ * Run fn with a currency conversion active for everything it awaits
+ */
+function runWithConversion(conversion, fn) {
+  return conversionStorage.run(conversion, fn);
+}
+
+function getActiveConversion() {
+  return conversionStorage.getStore() || null;
+}
+
+/**
+ * Make pool.query() honour the active conversion (idempotent)
+ * @param {import('pg').Pool} pool
+ * @returns {import('pg').Pool} The same pool
+ */
+function installFxConversion(pool) {
+  if (!pool || pool.__fxConversionInstalled) return pool;
+
+  const originalQuery = pool.query.bind(pool);
+  // Column lists per table; a table that does not exist yet is not cached, and a query failing
+  // on a changed table (column added, dropped or table recreated) reloads its columns and runs again
+  const columnsByTable = new Map();
+
+  const loadColumns = async (tables) => {
+    for (const table of tables) {
+      if (columnsByTable.has(table)) continue;
+      const result = await originalQuery(
+        `SELECT column_name FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = $1
+         ORDER BY ordinal_position`,
+        [table]
+      );
+      if (result.rows.length > 0) {
+        columnsByTable.set(table, result.rows.map(row => row.column_name));
+      }
+    }
+  };
+
+  pool.query = (text, params, callback) => {
+    const conversion = getActiveConversion();
+    if (typeof params === 'function') {
+      callback = params;
+      params = undefined;
+    }
+
+    const config = text && typeof text === 'object' ? text : null;
+    const sql = config ? config.text : text;
+    const tables = conversion ? findFxTables(sql) : [];
+
+    if (tables.length === 0) {
+      return config ? originalQuery(config, callback) : originalQuery(text, params, callback);
+    }
+
+    const runConverted = async () => {
+      await loadColumns(tables);
+      const converted = convertQuery(sql, config ? config.values : params, conversion, columnsByTable);
+      return config
+        ? originalQuery({ ...config, text: converted.text, values: converted.params })
+        : originalQuery(converted.text, converted.params);
+    };
+
+    const run = async () => {
+      try {
+        return await runConverted();
+      } catch (error) {
+        if (!STALE_COLUMNS_ERRORS.includes(error.code)) throw error;
+        tables.forEach(table => columnsByTable.delete(table));
+        return runConverted();
+      }
+    };
+
+    if (callback) {
+      run().then(result => callback(null, result), error => callback(error));
+      return undefined;
+    }
+    return run();
+  };
+  pool.__fxConversionInstalled = true;
+  return pool;
+}
+
+module.exports = {
+  FX_TABLES,
+  CURRENCY_MEASURES,
+  findFxTables,
+  convertQuery,
+  runWithConversion,
+  getActiveConversion,
+  installFxConversion
+};
@@ -0,0 +1,325 @@
+/**
+ * P&L Formula Engine
+ * Small expression language for derived P&L lines (EBITDA, Net Profit, Direct cost % of COGS...)
+ * stored on {div}_pl_ledgers.formula
+ *
+ * SYNTAX:
+ * - Ledger codes:   SALES, COST_OF_SALES (case-insensitive, refer to other lines of the chart)
+ * - Numbers:        100, 0.5
+ * - Operators:      + - * / and parentheses, unary minus
+ * - Functions:      SUM(a, b, ...), MIN(...), MAX(...), ABS(x), PCT(a, b) = a / b * 100
+ *
+ * Division by zero gives 0 (same as the P&L table always showed for empty periods).
+ *
+ * This is the only implementation: the P&L table has its formula lines evaluated here through
+ * POST /api/aebf/pl/evaluate (services/plDataService.evaluateColumns).
+ */
+
+const FUNCTIONS = {
+  SUM: { minArgs: 1, fn: (args) => args.reduce((total, value) => total + value, 0) },
+  MIN: { minArgs: 1, fn: (args) => Math.min(...args) },
+  MAX: { minArgs: 1, fn: (args) => Math.max(...args) },
+  ABS: { minArgs: 1, maxArgs: 1, fn: ([value]) => Math.abs(value) },
+  PCT: { minArgs: 2, maxArgs: 2, fn: ([value, base]) => (base === 0 ? 0 : (value / base) * 100) }
+};
+
+const MAX_FORMULA_LENGTH = 1000;
+
+class FormulaError extends Error {
+  constructor(message, position = null) {
+    super(message);
+    this.name = 'FormulaError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split a formula into number, identifier, operator and parenthesis tokens
+ */
+function tokenize(formula) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < formula.length) {
+    const char = formula[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[0-9.]/.test(char)) {
+      const match = formula.slice(i).match(/^(\d+(\.\d+)?|\.\d+)/);
+      if (!match) throw new FormulaError(`Invalid number at position ${i + 1}`, i + 1);
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position: i + 1 });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = formula.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      tokens.push({ type: 'name', value: match[0].toUpperCase(), position: i + 1 });
+      i += match[0].length;
+    } else if ('+-*/(),'.includes(char)) {
+      tokens.push({ type: char, position: i + 1 });
+      i++;
+    } else {
+      throw new FormulaError(`Unexpected "${char}" at position ${i + 1}`, i + 1);
+    }
+  }
+
+  tokens.push({ type: 'end', position: formula.length + 1 });
+  return tokens;
+}
+
+/**
+ * Parse a formula into an expression tree
+ * @param {string} formula
+ * @returns {object} AST node: number | ref | unary | binary | call
+ * @throws {FormulaError}
+ */
+function parseFormula(formula) {
+  const text = String(formula == null ? '' : formula).trim();
+  if (!text) throw new FormulaError('Formula is empty');
+  if (text.length > MAX_FORMULA_LENGTH) {
+    throw new FormulaError(`Formula is longer than ${MAX_FORMULA_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(text);
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const describe = (token) => (token.type === 'end' ? 'end of formula' : `"${token.value ?? token.type}"`);
+  const expect = (type) => {
+    const token = next();
+    if (token.type !== type) {
+      throw new FormulaError(`Expected "${type}" but found ${describe(token)} at position ${token.position}`, token.position);
+    }
+    return token;
+  };
+
+  // expression := term (('+' | '-') term)*
+  function parseExpression() {
+    let node = parseTerm();
+    while (peek().type === '+' || peek().type === '-') {
+      const op = next().type;
+      node = { type: 'binary', op, left: node, right: parseTerm() };
+    }
+    return node;
+  }
+
+  // term := unary (('*' | '/') unary)*
+  function parseTerm() {
+    let node = parseUnary();
+    while (peek().type === '*' || peek().type === '/') {
+      const op = next().type;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  // unary := ('-' | '+') unary | primary
+  function parseUnary() {
+    if (peek().type === '-' || peek().type === '+') {
+      const op = next().type;
+      const arg = parseUnary();
+      return op === '-' ? { type: 'unary', op, arg } : arg;
+    }
+    return parsePrimary();
+  }
+
+  // primary := number | code | FUNCTION '(' expression (',' expression)* ')' | '(' expression ')'
+  function parsePrimary() {
+    const token = next();
+
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'name') {
+      if (peek().type !== '(') {
+        return { type: 'ref', code: token.value };
+      }
+
+      const definition = FUNCTIONS[token.value];
+      if (!definition) {
+        throw new FormulaError(`Unknown function ${token.value} at position ${token.position}`, token.position);
+      }
+      next();
+      const args = [parseExpression()];
+      while (peek().type === ',') {
+        next();
+        args.push(parseExpression());
+      }
+      expect(')');
+
+      if (args.length < definition.minArgs || (definition.maxArgs && args.length > definition.maxArgs)) {
+        const expected = definition.maxArgs === definition.minArgs
+          ? `${definition.minArgs}`
+          : `at least ${definition.minArgs}`;
+        throw new FormulaError(`${token.value} expects ${expected} argument(s), got ${args.length}`, token.position);
+      }
+      return { type: 'call', name: token.value, args };
+    }
+
+    if (token.type === '(') {
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+
+    throw new FormulaError(`Unexpected ${describe(token)} at position ${token.position}`, token.position);
+  }
+
+  const ast = parseExpression();
+  if (peek().type !== 'end') {
+    const token = peek();
+    throw new FormulaError(`Unexpected ${describe(token)} at position ${token.position}`, token.position);
+  }
+  return ast;
+}
+
+/**
+ * Ledger codes referenced by an expression tree (unique, in order of appearance)
+ */
+function getReferences(ast) {
+  const codes = [];
+  const walk = (node) => {
+    if (node.type === 'ref') {
+      if (!codes.includes(node.code)) codes.push(node.code);
+    } else if (node.type === 'unary') {
+      walk(node.arg);
+    } else if (node.type === 'binary') {
+      walk(node.left);
+      walk(node.right);
+    } else if (node.type === 'call') {
+      node.args.forEach(walk);
+    }
+  };
+  walk(ast);
+  return codes;
+}
+
+/**
+ * Evaluate an expression tree
+ * @param {object} ast - From parseFormula()
+ * @param {function(string): number} resolve - Value of a ledger code
+ * @returns {number}
+ */
+function evaluate(ast, resolve) {
+  switch (ast.type) {
+    case 'number':
+      return ast.value;
+    case 'ref': {
+      const value = Number(resolve(ast.code));
+      return Number.isFinite(value) ? value : 0;
+    }
+    case 'unary':
+      return -evaluate(ast.arg, resolve);
+    case 'binary': {
+      const left = evaluate(ast.left, resolve);
+      const right = evaluate(ast.right, resolve);
+      if (ast.op === '+') return left + right;
+      if (ast.op === '-') return left - right;
+      if (ast.op === '*') return left * right;
+      return right === 0 ? 0 : left / right;
+    }
+    case 'call':
+      return FUNCTIONS[ast.name].fn(ast.args.map(arg => evaluate(arg, resolve)));
+    default:
+      throw new FormulaError(`Unknown expression node "${ast.type}"`);
+  }
+}
+
+/**
+ * Check every formula of a chart of accounts: syntax, references to active lines, cycles
+ * @param {Array<{code: string, formula?: string|null, is_active?: boolean}>} ledgers
+ * @returns {string[]} Errors, empty when the chart is valid
+ */
+function validateFormulas(ledgers) {
+  const errors = [];
+  const active = ledgers.filter(ledger => ledger.is_active !== false);
+  const codes = new Set(active.map(ledger => ledger.code));
+  const dependencies = new Map();
+
+  active.forEach(ledger => {
+    if (!ledger.formula) return;
+    let ast;
+    try {
+      ast = parseFormula(ledger.formula);
+    } catch (error) {
+      errors.push(`${ledger.code}: ${error.message}`);
+      return;
+    }
+
+    const references = getReferences(ast);
+    references
+      .filter(code => !codes.has(code))
+      .forEach(code => errors.push(`${ledger.code}: "${code}" is not an active ledger`));
+    dependencies.set(ledger.code, references.filter(code => codes.has(code)));
+  });
+
+  // Depth-first search for cycles, reporting each one once
+  const state = new Map();
+  const reported = new Set();
+  const visit = (code, trail) => {
+    if (state.get(code) === 'done') return;
+    if (state.get(code) === 'visiting') {
+      const cycle = [...trail.slice(trail.indexOf(code)), code];
+      const key = [...cycle.slice(0, -1)].sort().join('|');
+      if (!reported.has(key)) {
+        reported.add(key);
+        errors.push(`Circular formula: ${cycle.join(' -> ')}`);
+      }
+      return;
+    }
+    state.set(code, 'visiting');
+    (dependencies.get(code) || []).forEach(dep => visit(dep, [...trail, code]));
+    state.set(code, 'done');
+  };
+  [...dependencies.keys()].forEach(code => visit(code, []));
+
+  return errors;
+}
+
+/**
+ * Evaluate a chart of accounts for one period
+ * Lines without a formula take their posted value, formula lines are computed
+ * (formulas may use other formula lines).
+ *
+ * @param {Array<{code: string, formula?: string|null}>} ledgers
+ * @param {function(object): number} getPostedValue - Posted amount of a line without formula
+ * @returns {Object<string, number>} Value per ledger code
+ * @throws {FormulaError} On invalid or circular formulas
+ */
+function evaluateLedgers(ledgers, getPostedValue) {
+  const byCode = new Map(ledgers.map(ledger => [ledger.code, ledger]));
+  const values = {};
+  const visiting = new Set();
+
+  const resolve = (code) => {
+    if (code in values) return values[code];
+    const ledger = byCode.get(code);
+    if (!ledger) return 0;
+
+    if (!ledger.formula) {
+      values[code] = Number(getPostedValue(ledger)) || 0;
+      return values[code];
+    }
+
+    if (visiting.has(code)) {
+      throw new FormulaError(`Circular formula at ${code}`);
+    }
+    visiting.add(code);
+    values[code] = evaluate(parseFormula(ledger.formula), resolve);
+    visiting.delete(code);
+    return values[code];
+  };
+
+  ledgers.forEach(ledger => resolve(ledger.code));
+  return values;
+}
+
+module.exports = {
+  FUNCTIONS,
+  FormulaError,
+  parseFormula,
+  getReferences,
+  evaluate,
+  validateFormulas,
+  evaluateLedgers
+};
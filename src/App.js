@@ -2,13 +2,15 @@ import React from 'react';
 import { BrowserRouter as Router, Route, Routes, Navigate } from 'react-router-dom';
 import { App as AntdApp, ConfigProvider, theme as antdTheme } from 'antd';
 import { AuthProvider } from './contexts/AuthContext';
+import { JobsProvider } from './contexts/JobsContext';
 import { ThemeProvider, useTheme } from './contexts/ThemeContext';
-import { CurrencyProvider } from './contexts/CurrencyContext';
+import { CurrencyProvider, ReportCurrencyBoundary } from './contexts/CurrencyContext';
 import { ExcelDataProvider } from './contexts/ExcelDataContext';
 import { SalesDataProvider } from './contexts/SalesDataContext';
 import { SalesRepReportsProvider } from './contexts/SalesRepReportsContext';
 import { FilterProvider } from './contexts/FilterContext';
 import Login from './components/auth/Login';
+import ResetPassword from './components/auth/ResetPassword';
 import ProtectedRoute from './components/auth/ProtectedRoute';
 import Dashboard from './components/dashboard/Dashboard';
 import Settings from './components/settings/Settings';
@@ -62,10 +64,12 @@ function AppContent() {
         <div className="App">
           <CurrencyProvider>
             <AuthProvider>
+              <JobsProvider>
               <Router>
               <Routes>
                 {/* Public Routes */}
                 <Route path="/login" element={<Login />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
 
                 {/* Protected Routes */}
                 <Route
@@ -76,7 +80,9 @@ function AppContent() {
                         <SalesDataProvider>
                           <SalesRepReportsProvider>
                             <FilterProvider>
-                              <Dashboard />
+                              <ReportCurrencyBoundary>
+                                <Dashboard />
+                              </ReportCurrencyBoundary>
                             </FilterProvider>
                           </SalesRepReportsProvider>
                         </SalesDataProvider>
@@ -103,6 +109,7 @@ function AppContent() {
                 <Route path="/" element={<Navigate to="/dashboard" replace />} />
               </Routes>
             </Router>
+              </JobsProvider>
           </AuthProvider>
         </CurrencyProvider>
         </div>
@@ -4,13 +4,16 @@ import ActualTab from './ActualTab';
 import EstimateTab from './EstimateTab';
 import BudgetTab from './BudgetTab';
 import ForecastTab from './ForecastTab';
+import PLTab from './PLTab';
+import PeriodCloseTab from './PeriodCloseTab';
 import AEBFWorkflow from './AEBFWorkflow';
 
 /**
  * AEBF Component - Master Data Management
  * 
  * AEBF = Actual, Estimate, Budget, Forecast
- * Main container with 4 subtabs for managing different financial data types
+ * Main container with 4 subtabs for managing different financial data types,
+ * plus the divisional P&L financials and the month-end close register
  */
 const AEBFTab = () => {
   const [activeKey, setActiveKey] = useState('actual');
@@ -56,6 +59,24 @@ const AEBFTab = () => {
       ),
       children: <ForecastTab />
     },
+    {
+      key: 'pl',
+      label: (
+        <span>
+          <span style={{ fontWeight: 'bold', color: '#13c2c2' }}>P&amp;L</span>
+        </span>
+      ),
+      children: <PLTab />
+    },
+    {
+      key: 'period-close',
+      label: (
+        <span>
+          <span style={{ fontWeight: 'bold', color: '#f5222d' }}>🔒</span> Period Close
+        </span>
+      ),
+      children: <PeriodCloseTab />
+    },
     {
       key: 'workflow',
       label: (
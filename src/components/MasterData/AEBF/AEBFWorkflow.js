@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { Card, Tabs, Typography, Tag, Divider, Collapse } from 'antd';
+import React, { useState, useEffect } from 'react';
+import { Card, Tabs, Typography, Tag, Divider, Collapse, Table, Radio } from 'antd';
 import {
   DatabaseOutlined,
   UserOutlined,
@@ -15,7 +15,11 @@ import {
   BarChartOutlined,
   FundOutlined,
   AimOutlined,
+  LockOutlined,
 } from '@ant-design/icons';
+import axios from 'axios';
+import { useExcelData } from '../../../contexts/ExcelDataContext';
+import { APPROVAL_STATUS_COLORS, ApprovalHistoryTimeline } from './BudgetApprovalsTab';
 
 const { Title, Text, Paragraph } = Typography;
 const { TabPane } = Tabs;
@@ -171,7 +175,7 @@ const ActualTabWorkflow = () => (
               POST /api/aebf/upload-actual
             </code>
             <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
-              → Upload actual data from Excel file to fp_data_excel
+              → Queue a background job that uploads actual data from Excel to fp_data_excel (progress in /api/jobs)
             </div>
           </div>
         </div>
@@ -421,6 +425,20 @@ const BudgetTabWorkflow = () => (
           </div>
         </div>
         
+        {/* Section: Approval Flow */}
+        <div style={{ borderLeft: '4px solid #13c2c2', paddingLeft: '16px' }}>
+          <Title level={5}>8️⃣ Approval Flow (Live Entry)</Title>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', alignItems: 'center', fontSize: '12px' }}>
+            <Tag color="blue">fp_sales_rep_budget_draft</Tag>
+            <ArrowRightOutlined style={{ fontSize: '12px' }} />
+            <Tag color="processing">SUBMITTED</Tag>
+            <ArrowRightOutlined style={{ fontSize: '12px' }} />
+            <Tag color="success">APPROVED</Tag>
+            <ArrowRightOutlined style={{ fontSize: '12px' }} />
+            <Tag color="gold">fp_sales_rep_budget</Tag>
+          </div>
+        </div>
+        
         {/* Section: Bulk Import Flow */}
         <div style={{ borderLeft: '4px solid #f5222d', paddingLeft: '16px' }}>
           <Title level={5}>7️⃣ Bulk Import Flow (Detailed)</Title>
@@ -461,7 +479,7 @@ const ForecastTabWorkflow = () => (
         
         {/* Purpose */}
         <div style={{ backgroundColor: '#f9f0ff', padding: '12px', borderRadius: '8px', border: '1px solid #d3adf7' }}>
-          <Text strong>Purpose:</Text> Create forecasts based on actual data, estimates, and budgets. Used for future planning and projections.
+          <Text strong>Purpose:</Text> Project Actual history forward with a statistical method. Every run is kept as a version with backtest accuracy; one run is published as the Forecast.
         </div>
         
         {/* Data Sources */}
@@ -470,32 +488,33 @@ const ForecastTabWorkflow = () => (
             <DatabaseOutlined style={{ fontSize: '20px', color: '#1890ff', marginRight: '8px' }} />
             <div>
               <div style={{ fontWeight: 'bold', fontSize: '13px' }}>fp_data_excel</div>
-              <div style={{ fontSize: '11px', color: '#666' }}>type = 'ACTUAL'</div>
+              <div style={{ fontSize: '11px', color: '#666' }}>type = 'ACTUAL' (history)</div>
             </div>
           </div>
           <div style={{ ...styles.flowBox, borderColor: '#722ed1', flex: '1', minWidth: '180px' }}>
             <DatabaseOutlined style={{ fontSize: '20px', color: '#52c41a', marginRight: '8px' }} />
             <div>
-              <div style={{ fontWeight: 'bold', fontSize: '13px' }}>fp_data_excel</div>
-              <div style={{ fontSize: '11px', color: '#666' }}>type = 'ESTIMATE'</div>
+              <div style={{ fontWeight: 'bold', fontSize: '13px' }}>fp_forecast_runs / fp_forecast_values</div>
+              <div style={{ fontSize: '11px', color: '#666' }}>Versioned runs + backtest</div>
             </div>
           </div>
           <div style={{ ...styles.flowBox, borderColor: '#722ed1', flex: '1', minWidth: '180px' }}>
             <DatabaseOutlined style={{ fontSize: '20px', color: '#faad14', marginRight: '8px' }} />
             <div>
-              <div style={{ fontWeight: 'bold', fontSize: '13px' }}>fp_sales_rep_budget</div>
-              <div style={{ fontSize: '11px', color: '#666' }}>type = 'BUDGET'</div>
+              <div style={{ fontWeight: 'bold', fontSize: '13px' }}>fp_data_excel</div>
+              <div style={{ fontSize: '11px', color: '#666' }}>type = 'FORECAST' (published run)</div>
             </div>
           </div>
         </div>
         
         {/* Forecast Logic */}
         <div style={{ backgroundColor: '#f0f5ff', padding: '12px', borderRadius: '8px' }}>
-          <Text strong>Forecast Calculation:</Text>
+          <Text strong>Forecast Methods:</Text>
           <div style={{ marginTop: '8px', fontSize: '13px' }}>
-            <div>• <strong>Historical Trend:</strong> Analyzes past actual data patterns</div>
-            <div>• <strong>Budget Alignment:</strong> Considers approved budget targets</div>
-            <div>• <strong>Seasonal Adjustments:</strong> Applies monthly seasonality factors</div>
+            <div>• <strong>Seasonal Naive:</strong> Same month last year</div>
+            <div>• <strong>Moving Average:</strong> Mean of the last N months, projected flat</div>
+            <div>• <strong>Holt-Winters:</strong> Additive level + trend + monthly seasonality</div>
+            <div>• <strong>Backtest:</strong> Last N Actual months are held out; MAPE per sales rep, customer, product group and country</div>
           </div>
         </div>
         
@@ -504,24 +523,32 @@ const ForecastTabWorkflow = () => (
           <Text strong>API Endpoints:</Text>
           <div style={{ marginTop: '8px' }}>
             <code style={{ backgroundColor: '#f5f5f5', padding: '4px 8px', borderRadius: '4px' }}>
-              GET /api/aebf/actual?types=Actual,Budget,Estimate
+              POST /api/aebf/forecast/runs
+            </code>
+            <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
+              → Create a new run (new version) from Actual history
+            </div>
+          </div>
+          <div style={{ marginTop: '8px' }}>
+            <code style={{ backgroundColor: '#f5f5f5', padding: '4px 8px', borderRadius: '4px' }}>
+              GET /api/aebf/forecast/runs/:runId/accuracy
             </code>
             <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
-              → Combines Actual + Estimate + Budget data for projection
+              → Backtest MAPE per dimension
             </div>
           </div>
           <div style={{ marginTop: '8px' }}>
             <code style={{ backgroundColor: '#f5f5f5', padding: '4px 8px', borderRadius: '4px' }}>
-              GET /api/aebf/year-summary
+              POST /api/aebf/forecast/runs/:runId/publish
             </code>
             <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
-              → Get yearly summary for trend analysis
+              → Write run to fp_data_excel as type='Forecast' (previous published run is superseded)
             </div>
           </div>
           <div style={{ marginTop: '8px', padding: '8px', backgroundColor: '#fff2e8', borderRadius: '4px' }}>
             <Text type="secondary" style={{ fontSize: '12px' }}>
-              <strong>Note:</strong> Forecast data is derived from combining Actual, Estimate, and Budget data.
-              No separate forecast save endpoint exists - forecasts are calculated on-the-fly.
+              <strong>Note:</strong> Forecast period columns sum Actual + Estimate + Forecast, so only the published run
+              reaches reports. Re-running never double counts.
             </Text>
           </div>
         </div>
@@ -530,6 +557,121 @@ const ForecastTabWorkflow = () => (
   </div>
 );
 
+// =============================================================================
+// BUDGET APPROVAL WORKFLOW
+// =============================================================================
+const APPROVAL_TRANSITIONS = [
+  { action: 'submit', from: 'DRAFT / REJECTED', to: 'SUBMITTED', who: 'Sales rep (or anyone editing the budget)', endpoint: 'POST /api/budget-draft/submit-final' },
+  { action: 'withdraw', from: 'SUBMITTED', to: 'DRAFT', who: 'Submitter', endpoint: 'POST /api/budget-draft/withdraw' },
+  { action: 'approve', from: 'SUBMITTED', to: 'APPROVED', who: 'Assigned sales manager / admin', endpoint: 'POST /api/budget-draft/approve' },
+  { action: 'reject', from: 'SUBMITTED', to: 'REJECTED', who: 'Assigned sales manager / admin (comments required)', endpoint: 'POST /api/budget-draft/reject' },
+  { action: 'reopen', from: 'APPROVED', to: 'DRAFT', who: 'Admin only', endpoint: 'POST /api/budget-draft/reopen' },
+];
+
+const ApprovalHistorySection = () => {
+  const { selectedDivision } = useExcelData();
+  const [statusFilter, setStatusFilter] = useState('ALL');
+  const [approvals, setApprovals] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!selectedDivision) return;
+    setLoading(true);
+    axios.get('http://localhost:3001/api/budget-draft/approvals', {
+      params: {
+        division: selectedDivision,
+        status: statusFilter === 'ALL' ? undefined : statusFilter,
+        all: 'true'
+      }
+    })
+      .then(response => setApprovals(response.data.approvals || []))
+      .catch(error => {
+        console.error('Error fetching budget approvals:', error);
+        setApprovals([]);
+      })
+      .finally(() => setLoading(false));
+  }, [selectedDivision, statusFilter]);
+
+  return (
+    <Card
+      title={<><CheckCircleOutlined /> Sales Rep Budget Approval History {selectedDivision && <Tag>{selectedDivision}</Tag>}</>}
+      style={styles.card}
+      extra={
+        <Radio.Group
+          size="small"
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          optionType="button"
+          options={['ALL', 'SUBMITTED', 'REJECTED', 'APPROVED', 'DRAFT'].map(value => ({ value, label: value === 'ALL' ? 'All' : value }))}
+        />
+      }
+    >
+      <Table
+        size="small"
+        rowKey="id"
+        loading={loading}
+        dataSource={approvals}
+        pagination={{ pageSize: 15 }}
+        columns={[
+          { title: 'Sales Rep', dataIndex: 'salesrepname', key: 'salesrepname' },
+          { title: 'Budget Year', dataIndex: 'budget_year', key: 'budget_year', width: 110 },
+          {
+            title: 'Status',
+            dataIndex: 'status',
+            key: 'status',
+            width: 120,
+            render: (status) => <Tag color={APPROVAL_STATUS_COLORS[status]}>{status}</Tag>
+          },
+          { title: 'Submitted By', dataIndex: 'submitted_by_name', key: 'submitted_by_name', render: (v) => v || '-' },
+          { title: 'Reviewed By', dataIndex: 'reviewed_by_name', key: 'reviewed_by_name', render: (v) => v || '-' },
+          { title: 'Last Change', dataIndex: 'updated_at', key: 'updated_at', render: (v) => (v ? new Date(v).toLocaleString() : '-') },
+        ]}
+        expandable={{
+          expandedRowRender: (record) => <ApprovalHistoryTimeline division={selectedDivision} approvalId={record.id} />
+        }}
+      />
+    </Card>
+  );
+};
+
+const ApprovalWorkflowSection = () => (
+  <Card title={<><LockOutlined /> Sales Rep Budget Approval Workflow</>} style={styles.card}>
+    <div style={styles.diagramContainer}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', marginBottom: '16px' }}>
+        <Tag>DRAFT</Tag>
+        <ArrowRightOutlined />
+        <Tag color="processing">SUBMITTED</Tag>
+        <ArrowRightOutlined />
+        <Tag color="success">APPROVED</Tag>
+        <Text type="secondary" style={{ margin: '0 8px' }}>or</Text>
+        <Tag color="error">REJECTED</Tag>
+        <ArrowRightOutlined />
+        <Text type="secondary">back to the sales rep with comments</Text>
+      </div>
+      <Table
+        size="small"
+        rowKey="action"
+        pagination={false}
+        dataSource={APPROVAL_TRANSITIONS}
+        columns={[
+          { title: 'Action', dataIndex: 'action', key: 'action', render: (v) => <Tag color="blue">{v}</Tag> },
+          { title: 'From', dataIndex: 'from', key: 'from' },
+          { title: 'To', dataIndex: 'to', key: 'to', render: (v) => <Tag color={APPROVAL_STATUS_COLORS[v]}>{v}</Tag> },
+          { title: 'Who', dataIndex: 'who', key: 'who' },
+          { title: 'Endpoint', dataIndex: 'endpoint', key: 'endpoint', render: (v) => <code>{v}</code> },
+        ]}
+      />
+      <div style={{ marginTop: '16px', fontSize: '12px', backgroundColor: '#f0f5ff', padding: '8px', borderRadius: '4px' }}>
+        <div>• Submissions are routed to the managers mapped to the sales rep in <strong>user_sales_rep_access</strong></div>
+        <div>• Approve copies <strong>fp_sales_rep_budget_draft</strong> into <strong>fp_sales_rep_budget</strong> (KGS, Amount, MoRM)</div>
+        <div>• save-html-budget, HTML import and bulk final import save the sales rep draft; only Approve writes <strong>fp_sales_rep_budget</strong></div>
+        <div>• SUBMITTED and APPROVED budgets are locked: save-draft, delete, save-html-budget, HTML import and bulk final import return 409</div>
+        <div>• Every transition is kept in <strong>fp_budget_approval_history</strong> (actor, from / to state, comments)</div>
+      </div>
+    </div>
+  </Card>
+);
+
 // Database Tables Section
 const DatabaseTablesSection = () => (
   <Card title={<><DatabaseOutlined /> Database Tables</>} style={styles.card}>
@@ -630,7 +772,7 @@ const DatabaseTablesSection = () => (
           </div>
           <div style={{ flex: '1', minWidth: '250px' }}>
             <Title level={5}>fp_sales_rep_budget_draft</Title>
-            <Text type="secondary">Draft budget before final submission</Text>
+            <Text type="secondary">Draft budget until a sales manager approves it</Text>
             <div style={{ marginTop: '8px' }}>
               <Tag color="blue">salesrepname</Tag>
               <Tag color="blue">customername</Tag>
@@ -638,6 +780,17 @@ const DatabaseTablesSection = () => (
               <Tag color="red">monthly values</Tag>
             </div>
           </div>
+          <div style={{ flex: '1', minWidth: '250px' }}>
+            <Title level={5}>fp_budget_approvals / fp_budget_approval_history</Title>
+            <Text type="secondary">Approval state per sales rep and budget year, with every transition</Text>
+            <div style={{ marginTop: '8px' }}>
+              <Tag color="blue">salesrepname</Tag>
+              <Tag color="green">budget_year</Tag>
+              <Tag color="purple">status</Tag>
+              <Tag color="orange">assigned_manager_ids</Tag>
+              <Tag color="red">actor / comments</Tag>
+            </div>
+          </div>
         </div>
       </Panel>
     </Collapse>
@@ -939,10 +1092,10 @@ const APIEndpointsSection = () => (
                 <code>/api/aebf/save-html-budget</code>
               </td>
               <td style={{ padding: '12px', borderBottom: '1px solid #e8e8e8' }}>
-                Save individual budget edits
+                Save individual budget edits (saved as the sales rep draft)
               </td>
               <td style={{ padding: '12px', borderBottom: '1px solid #e8e8e8' }}>
-                <Tag color="green">fp_sales_rep_budget</Tag>
+                <Tag color="green">fp_sales_rep_budget_draft</Tag>
               </td>
             </tr>
             <tr>
@@ -962,10 +1115,10 @@ const APIEndpointsSection = () => (
                 <code>/api/aebf/import-budget-html</code>
               </td>
               <td style={{ padding: '12px', borderBottom: '1px solid #e8e8e8' }}>
-                Import completed budget HTML form
+                Import completed budget HTML form (saved as the sales rep draft)
               </td>
               <td style={{ padding: '12px', borderBottom: '1px solid #e8e8e8' }}>
-                <Tag color="green">fp_sales_rep_budget</Tag>
+                <Tag color="green">fp_sales_rep_budget_draft</Tag>
               </td>
             </tr>
           </tbody>
@@ -1441,6 +1594,11 @@ const AEBFWorkflow = () => {
             <APIEndpointsSection />
           </TabPane>
           
+          <TabPane tab="✅ Approvals" key="approvals">
+            <ApprovalWorkflowSection />
+            <ApprovalHistorySection />
+          </TabPane>
+          
           <TabPane tab="🧩 Components" key="components">
             <ComponentArchitecture />
           </TabPane>
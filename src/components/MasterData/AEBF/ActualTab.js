@@ -3,6 +3,7 @@ import { Table, Button, Space, message, Upload, Select, Radio, Modal, Spin, Tag,
 import { UploadOutlined, DownloadOutlined, ReloadOutlined, FileExcelOutlined, WarningOutlined, CheckCircleOutlined, SearchOutlined } from '@ant-design/icons';
 import { useExcelData } from '../../../contexts/ExcelDataContext';
 import { useFilter } from '../../../contexts/FilterContext';
+import { useJobs } from '../../../contexts/JobsContext';
 import CurrencySymbol from '../../dashboard/CurrencySymbol';
 import axios from 'axios';
 
@@ -19,6 +20,7 @@ const { Search } = Input;
  * - Auto-width columns (no horizontal scroll)
  */
 const ActualTab = () => {
+  const { trackJob } = useJobs();
   const { selectedDivision } = useExcelData();
   const { basePeriodIndex, columnOrder } = useFilter();
   const [data, setData] = useState([]);
@@ -309,8 +311,11 @@ const ActualTab = () => {
         timeout: 300000, // 5 minutes
       });
       
-      if (response.data.success) {
-        setUploadResult(response.data);
+      // Validation and load run as a background job; follow it in the job drawer
+      const job = await trackJob(response.data.job, { title: `Actual upload - ${selectedFile.name}` });
+      
+      if (job.result?.success) {
+        setUploadResult(job.result);
         setUploadModalVisible(false);
         setResultModalVisible(true);
         fetchAvailableYears();
@@ -319,11 +324,29 @@ const ActualTab = () => {
           fetchYearSummary(selectedYear);
         }
       } else {
-        message.error(response.data.error || 'Upload failed');
+        message.error(job.result?.error || 'Upload failed');
       }
     } catch (error) {
       console.error('Upload error:', error);
-      message.error(error.response?.data?.error || 'Upload failed. Please check the logs.');
+      // A failed job carries the validation report as its result
+      const report = error.result || error.response?.data;
+      if (report?.rowErrors?.length || report?.structureErrors?.length) {
+        Modal.error({
+          title: report.error,
+          width: 640,
+          content: (
+            <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
+              {report.structureErrors.map((err, idx) => <p key={`s-${idx}`}>{err}</p>)}
+              {report.rowErrors.slice(0, 50).map((err, idx) => (
+                <p key={`r-${idx}`}><strong>Row {err.row}</strong> ({err.field}): {err.reason}</p>
+              ))}
+              {report.errorCount > 50 && <p>…and {report.errorCount - 50} more</p>}
+            </div>
+          )
+        });
+      } else {
+        message.error(report?.error || error.job?.error || 'Upload failed. Please check the logs.');
+      }
     } finally {
       setUploading(false);
     }
@@ -764,7 +787,11 @@ const ActualTab = () => {
           <Space direction="vertical" style={{ width: '100%' }}>
             <p><strong>Records Processed:</strong> {uploadResult.recordsProcessed}</p>
             <p><strong>Mode:</strong> {uploadResult.mode?.toUpperCase()}</p>
-            <p><strong>Log File:</strong> {uploadResult.logFile}</p>
+            <p><strong>Records Inserted:</strong> {uploadResult.recordsInserted}</p>
+            <p><strong>Records Replaced:</strong> {uploadResult.recordsDeleted}</p>
+            {uploadResult.qcSummary && (
+              <p><strong>Periods:</strong> {uploadResult.qcSummary.periods.join(', ')}</p>
+            )}
             {uploadResult.message && <p style={{ color: '#52c41a' }}>{uploadResult.message}</p>}
           </Space>
         )}
@@ -0,0 +1,270 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Table, Button, Space, Tag, Card, Input, Modal, Radio, Timeline, Empty } from 'antd';
+import { ReloadOutlined, CheckOutlined, CloseOutlined, UnlockOutlined } from '@ant-design/icons';
+import axios from 'axios';
+import { useAuth } from '../../../contexts/AuthContext';
+
+const API_BASE = 'http://localhost:3001/api/budget-draft';
+
+export const APPROVAL_STATUS_COLORS = {
+  DRAFT: 'default',
+  SUBMITTED: 'processing',
+  APPROVED: 'success',
+  REJECTED: 'error'
+};
+
+const ACTION_LABELS = {
+  submit: 'Submitted',
+  withdraw: 'Withdrawn',
+  approve: 'Approved',
+  reject: 'Rejected',
+  reopen: 'Reopened'
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+/**
+ * Transition history of one budget (who moved it through which state)
+ */
+export const ApprovalHistoryTimeline = ({ division, approvalId }) => {
+  const [history, setHistory] = useState(null);
+
+  useEffect(() => {
+    if (!division || !approvalId) return;
+    axios.get(`${API_BASE}/approvals/${approvalId}/history`, { params: { division } })
+      .then(response => setHistory(response.data.history || []))
+      .catch(error => {
+        console.error('Error fetching approval history:', error);
+        setHistory([]);
+      });
+  }, [division, approvalId]);
+
+  if (history === null) return null;
+  if (history.length === 0) return <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No history" />;
+
+  return (
+    <Timeline
+      style={{ marginTop: 8 }}
+      items={history.map(entry => ({
+        color: entry.to_status === 'APPROVED' ? 'green' : entry.to_status === 'REJECTED' ? 'red' : 'blue',
+        children: (
+          <div style={{ fontSize: 12 }}>
+            <strong>{ACTION_LABELS[entry.action] || entry.action}</strong> by {entry.actor_name || 'Unknown'}
+            <span style={{ color: '#8c8c8c' }}> · {formatDateTime(entry.created_at)} · {entry.from_status} → {entry.to_status}</span>
+            {entry.comments && <div style={{ color: '#595959', marginTop: 2 }}>“{entry.comments}”</div>}
+          </div>
+        )
+      }))}
+    />
+  );
+};
+
+/**
+ * BudgetApprovalsTab Component
+ * Sales manager review queue for sales rep budgets
+ * Features:
+ * - Budgets routed to the signed-in manager (admins see all)
+ * - Approve (writes the final budget) or reject with comments
+ * - Reopen approved budgets (admin)
+ * - Per budget transition history
+ */
+const BudgetApprovalsTab = ({ selectedDivision, budgetYear, message }) => {
+  const { user } = useAuth();
+  const [statusFilter, setStatusFilter] = useState('SUBMITTED');
+  const [approvals, setApprovals] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [acting, setActing] = useState(null);
+
+  // Reject modal
+  const [rejecting, setRejecting] = useState(null);
+  const [rejectComments, setRejectComments] = useState('');
+
+  const isReviewer = user?.role === 'admin' || user?.role === 'sales_manager';
+
+  const fetchApprovals = useCallback(async () => {
+    if (!selectedDivision) return;
+
+    setLoading(true);
+    try {
+      const response = await axios.get(`${API_BASE}/approvals`, {
+        params: {
+          division: selectedDivision,
+          budgetYear: budgetYear || undefined,
+          status: statusFilter === 'ALL' ? undefined : statusFilter
+        }
+      });
+      if (response.data.success) {
+        setApprovals(response.data.approvals);
+      }
+    } catch (error) {
+      console.error('Error fetching budget approvals:', error);
+      message.error('Failed to load budget approvals');
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedDivision, budgetYear, statusFilter, message]);
+
+  useEffect(() => {
+    fetchApprovals();
+  }, [fetchApprovals]);
+
+  const runAction = async (action, record, comments = null) => {
+    setActing(`${action}-${record.id}`);
+    try {
+      const response = await axios.post(`${API_BASE}/${action}`, {
+        division: selectedDivision,
+        salesRep: record.salesrepname,
+        budgetYear: record.budget_year,
+        comments
+      });
+      message.success(`${record.salesrepname} ${record.budget_year}: ${response.data.message}`);
+      if (response.data.warnings) {
+        response.data.warnings.forEach(warning => message.warning(warning));
+      }
+      fetchApprovals();
+      return true;
+    } catch (error) {
+      message.error(error.response?.data?.error || `Failed to ${action} budget`);
+      return false;
+    } finally {
+      setActing(null);
+    }
+  };
+
+  const handleReject = async () => {
+    if (!rejectComments.trim()) {
+      message.warning('Please explain what the sales rep needs to change');
+      return;
+    }
+    const done = await runAction('reject', rejecting, rejectComments.trim());
+    if (done) {
+      setRejecting(null);
+      setRejectComments('');
+    }
+  };
+
+  const columns = [
+    { title: 'Sales Rep', dataIndex: 'salesrepname', key: 'salesrepname' },
+    { title: 'Budget Year', dataIndex: 'budget_year', key: 'budget_year', width: 110 },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      width: 120,
+      render: (status) => <Tag color={APPROVAL_STATUS_COLORS[status]}>{status}</Tag>
+    },
+    {
+      title: 'Submitted',
+      key: 'submitted',
+      render: (_, record) => (record.submitted_at
+        ? `${record.submitted_by_name || '-'} · ${formatDateTime(record.submitted_at)}`
+        : '-')
+    },
+    {
+      title: 'Reviewed',
+      key: 'reviewed',
+      render: (_, record) => (record.reviewed_at
+        ? `${record.reviewed_by_name || '-'} · ${formatDateTime(record.reviewed_at)}`
+        : '-')
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: 240,
+      render: (_, record) => (
+        <Space size="small">
+          {isReviewer && record.status === 'SUBMITTED' && (
+            <>
+              <Button
+                size="small"
+                type="primary"
+                icon={<CheckOutlined />}
+                loading={acting === `approve-${record.id}`}
+                onClick={() => runAction('approve', record)}
+              >
+                Approve
+              </Button>
+              <Button size="small" danger icon={<CloseOutlined />} onClick={() => setRejecting(record)}>
+                Reject
+              </Button>
+            </>
+          )}
+          {user?.role === 'admin' && record.status === 'APPROVED' && (
+            <Button
+              size="small"
+              icon={<UnlockOutlined />}
+              loading={acting === `reopen-${record.id}`}
+              onClick={() => runAction('reopen', record)}
+            >
+              Reopen
+            </Button>
+          )}
+        </Space>
+      )
+    }
+  ];
+
+  return (
+    <Card
+      size="small"
+      title="Sales Rep Budget Approvals"
+      extra={
+        <Space>
+          <Radio.Group
+            size="small"
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            optionType="button"
+            options={[
+              { value: 'SUBMITTED', label: 'Pending' },
+              { value: 'REJECTED', label: 'Rejected' },
+              { value: 'APPROVED', label: 'Approved' },
+              { value: 'ALL', label: 'All' }
+            ]}
+          />
+          <Button size="small" icon={<ReloadOutlined />} onClick={fetchApprovals} />
+        </Space>
+      }
+    >
+      <Table
+        size="small"
+        rowKey="id"
+        loading={loading}
+        columns={columns}
+        dataSource={approvals}
+        pagination={{ pageSize: 20 }}
+        expandable={{
+          expandedRowRender: (record) => (
+            <>
+              {record.review_comments && (
+                <div style={{ fontSize: 12, marginBottom: 8 }}>
+                  <strong>Review comments:</strong> {record.review_comments}
+                </div>
+              )}
+              <ApprovalHistoryTimeline division={selectedDivision} approvalId={record.id} />
+            </>
+          )
+        }}
+        locale={{ emptyText: <Empty description="No budgets in this state" /> }}
+      />
+
+      <Modal
+        title={rejecting ? `Reject budget - ${rejecting.salesrepname} ${rejecting.budget_year}` : 'Reject budget'}
+        open={!!rejecting}
+        onOk={handleReject}
+        onCancel={() => { setRejecting(null); setRejectComments(''); }}
+        okText="Reject and return to sales rep"
+        okButtonProps={{ danger: true, loading: acting === `reject-${rejecting?.id}` }}
+      >
+        <Input.TextArea
+          rows={4}
+          value={rejectComments}
+          onChange={(e) => setRejectComments(e.target.value)}
+          placeholder="What needs to change before this budget can be approved?"
+        />
+      </Modal>
+    </Card>
+  );
+};
+
+export default BudgetApprovalsTab;
@@ -3,6 +3,7 @@ import { Table, Button, Space, Upload, Select, Radio, Modal, Spin, Tag, Statisti
 import { UploadOutlined, DownloadOutlined, ReloadOutlined, FileExcelOutlined, WarningOutlined, CheckCircleOutlined, SearchOutlined, PlusOutlined, DeleteOutlined, LockOutlined } from '@ant-design/icons';
 import { useExcelData } from '../../../contexts/ExcelDataContext';
 import { useFilter } from '../../../contexts/FilterContext';
+import { useJobs } from '../../../contexts/JobsContext';
 import axios from 'axios';
 import countryCoordinates from '../../dashboard/countryCoordinates';
 import UAEDirhamSymbol from '../../dashboard/UAEDirhamSymbol';
@@ -32,6 +33,7 @@ const DIVISIONAL_IMPORT_MESSAGE_KEY = 'divisionalHtmlImport';
 const SALES_REP_IMPORT_MESSAGE_KEY = 'salesRepHtmlImport';
 
 const BudgetTab = () => {
+  const { trackJob, downloadJobFile } = useJobs();
   // Get message and modal from App context (required for Ant Design v5)
   const { message, modal, notification } = App.useApp();
   
@@ -2631,27 +2633,17 @@ const BudgetTab = () => {
           tableData: divisionalHtmlTableData,
           budgetData: divisionalHtmlBudgetData,
           pricingData: divisionalPricingData,
-        },
-        { responseType: 'blob' }
+        }
       );
       
-      const now = new Date();
-      const dateStr = now.toISOString().slice(0, 10).replace(/-/g, '');
-      const timeStr = now.toTimeString().slice(0, 8).replace(/:/g, '');
-      const dateTime = `${dateStr}_${timeStr}`;
-      
-      const url = window.URL.createObjectURL(new Blob([response.data]));
-      const link = document.createElement('a');
-      link.href = url;
-      link.setAttribute('download', `BUDGET_Divisional_${selectedDivision}_${divisionalHtmlFilters.actualYear}_${dateTime}.html`);
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
+      // The form is generated by a background job; download it when the job finishes
+      const job = await trackJob(response.data.job, { title: `Divisional budget form - ${selectedDivision}` });
+      await downloadJobFile(job);
       
       message.success('Divisional budget form exported successfully');
     } catch (error) {
       console.error('Error exporting divisional HTML form:', error);
-      message.error('Failed to export divisional budget form');
+      message.error(error.job?.error || 'Failed to export divisional budget form');
     }
   };
   
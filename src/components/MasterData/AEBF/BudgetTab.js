@@ -3,6 +3,7 @@ import { Table, Button, Space, Upload, Select, Radio, Modal, Spin, Tag, Statisti
 import { UploadOutlined, DownloadOutlined, ReloadOutlined, FileExcelOutlined, WarningOutlined, CheckCircleOutlined, SearchOutlined, PlusOutlined, DeleteOutlined, LockOutlined, CloseOutlined } from '@ant-design/icons';
 import { useExcelData } from '../../../contexts/ExcelDataContext';
 import { useFilter } from '../../../contexts/FilterContext';
+import { useJobs } from '../../../contexts/JobsContext';
 import { useCurrency } from '../../../contexts/CurrencyContext';
 import axios from 'axios';
 import countryCoordinates from '../../dashboard/countryCoordinates';
@@ -11,6 +12,8 @@ import UAEDirhamSymbol from '../../dashboard/UAEDirhamSymbol';
 import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend } from 'chart.js';
 import { Bar } from 'react-chartjs-2';
 import BulkImportTab from './BulkImportTab';
+import BudgetVersionsTab from './BudgetVersionsTab';
+import BudgetApprovalsTab, { APPROVAL_STATUS_COLORS } from './BudgetApprovalsTab';
 import { toProperCase } from '../../../utils/normalization';
 
 // Admin check - TODO: Replace with proper user role system later
@@ -35,6 +38,7 @@ const DIVISIONAL_IMPORT_MESSAGE_KEY = 'divisionalHtmlImport';
 const SALES_REP_IMPORT_MESSAGE_KEY = 'salesRepHtmlImport';
 
 const BudgetTab = () => {
+  const { trackJob, downloadJobFile } = useJobs();
   // Get message and modal from App context (required for Ant Design v5)
   const { message, modal, notification } = App.useApp();
   
@@ -116,6 +120,7 @@ const BudgetTab = () => {
   const [draftStatus, setDraftStatus] = useState('saved'); // 'saving', 'saved', 'error'
   const [lastSaveTime, setLastSaveTime] = useState(null);
   const [hasDraft, setHasDraft] = useState(false);
+  const [approvalStatus, setApprovalStatus] = useState(null); // Approval record of the selected sales rep budget
   
   // Sales Rep Recap state
   const [recapYears, setRecapYears] = useState([]);
@@ -950,7 +955,24 @@ const BudgetTab = () => {
       }
     } catch (error) {
       console.error('Upload error:', error);
-      message.error(error.response?.data?.error || 'Upload failed. Please check the logs.');
+      const report = error.response?.data;
+      if (report?.rowErrors?.length || report?.structureErrors?.length) {
+        modal.error({
+          title: report.error,
+          width: 640,
+          content: (
+            <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
+              {report.structureErrors.map((err, idx) => <p key={`s-${idx}`}>{err}</p>)}
+              {report.rowErrors.slice(0, 50).map((err, idx) => (
+                <p key={`r-${idx}`}><strong>Row {err.row}</strong> ({err.field}): {err.reason}</p>
+              ))}
+              {report.errorCount > 50 && <p>…and {report.errorCount - 50} more</p>}
+            </div>
+          )
+        });
+      } else {
+        message.error(report?.error || 'Upload failed. Please check the logs.');
+      }
     } finally {
       setUploading(false);
     }
@@ -1127,6 +1149,45 @@ const BudgetTab = () => {
     return () => clearTimeout(timer);
   }, [htmlBudgetData, htmlCustomRows]);
   
+  // Approval state of the selected sales rep budget (submitted / approved budgets are locked)
+  const fetchApprovalStatus = useCallback(async () => {
+    if (!selectedDivision || !htmlFilters.salesRep || htmlFilters.salesRep === '__ALL__' || !htmlFilters.actualYear) {
+      setApprovalStatus(null);
+      return;
+    }
+    try {
+      const response = await axios.get(
+        `http://localhost:3001/api/budget-draft/approval-status/${selectedDivision}/${encodeURIComponent(htmlFilters.salesRep)}/${parseInt(htmlFilters.actualYear) + 1}`
+      );
+      if (response.data.success) {
+        setApprovalStatus(response.data.approval);
+      }
+    } catch (error) {
+      console.error('Error loading approval status:', error);
+      setApprovalStatus(null);
+    }
+  }, [selectedDivision, htmlFilters.salesRep, htmlFilters.actualYear]);
+  
+  useEffect(() => {
+    fetchApprovalStatus();
+  }, [fetchApprovalStatus]);
+  
+  const isBudgetLocked = approvalStatus?.status === 'SUBMITTED' || approvalStatus?.status === 'APPROVED';
+  
+  const withdrawSubmission = async () => {
+    try {
+      const response = await axios.post('http://localhost:3001/api/budget-draft/withdraw', {
+        division: selectedDivision,
+        salesRep: htmlFilters.salesRep,
+        budgetYear: parseInt(htmlFilters.actualYear) + 1,
+      });
+      message.success('Submission withdrawn - the budget is editable again');
+      setApprovalStatus(response.data.approval);
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to withdraw submission');
+    }
+  };
+  
   // Fetch ALL product groups for division (unfiltered, for custom rows)
   const fetchAllProductGroups = async () => {
     if (!selectedDivision) {
@@ -1551,7 +1612,7 @@ const BudgetTab = () => {
       });
       
       if (response.data.success) {
-        message.success(`Successfully saved ${budgetRecords.length} budget records`);
+        message.success(`Saved ${budgetRecords.length} budget records as draft. Submit the budget for approval to publish it.`);
       } else {
         message.error(response.data.error || 'Failed to save budget data');
       }
@@ -1690,12 +1751,12 @@ const BudgetTab = () => {
             message.destroy('import');
             
             modal.confirm({
-              title: '⚠️ Replace Existing Budget?',
+              title: '⚠️ Replace Existing Draft?',
               icon: <WarningOutlined style={{ color: '#faad14' }} />,
               content: (
                 <div>
                   <p style={{ marginBottom: 16, fontWeight: 500 }}>
-                    A budget already exists for this sales rep and year:
+                    A draft budget already exists for this sales rep and year:
                   </p>
                   <div style={{ background: '#f5f5f5', padding: 12, borderRadius: 4, marginBottom: 16 }}>
                     <p><strong>Division:</strong> {checkResponse.data.metadata.division}</p>
@@ -1708,7 +1769,7 @@ const BudgetTab = () => {
                     )}
                   </div>
                   <p style={{ color: '#d32f2f', fontWeight: 500 }}>
-                    ⚠️ This action will DELETE the old budget and replace it with the new one.
+                    ⚠️ This action will DELETE the old draft and replace it with the new one.
                   </p>
                   <p style={{ marginTop: 8 }}>
                     Do you want to proceed?
@@ -1722,14 +1783,14 @@ const BudgetTab = () => {
               async onOk() {
                 // User confirmed, show success message
                 message.success({
-                  content: `Budget replaced successfully!`,
+                  content: `Draft replaced successfully! Submit the budget for approval to publish it.`,
                   key: 'import',
                   duration: 5
                 });
                 
                 // Show import details
                 modal.success({
-                  title: '✅ Budget Data Replaced Successfully',
+                  title: '✅ Draft Budget Replaced Successfully',
                   icon: <CheckCircleOutlined style={{ color: '#52c41a' }} />,
                   content: (
                     <div>
@@ -1866,14 +1927,14 @@ const BudgetTab = () => {
           } else {
             // No existing budget, proceed with success message
             message.success({
-              content: `Successfully imported budget data!`,
+              content: `Budget imported as draft. Submit it for approval to publish it.`,
               key: 'import',
               duration: 5
             });
             
             // Show import details
             modal.success({
-              title: '✅ Budget Data Imported Successfully',
+              title: '✅ Budget Imported as Draft',
               icon: <CheckCircleOutlined style={{ color: '#52c41a' }} />,
               content: (
                 <div>
@@ -2030,7 +2091,7 @@ const BudgetTab = () => {
 
   // Save draft to database (auto-save)
   const saveDraft = useCallback(async () => {
-    if (!selectedDivision || !htmlFilters.salesRep || !htmlFilters.actualYear) {
+    if (!selectedDivision || !htmlFilters.salesRep || !htmlFilters.actualYear || isBudgetLocked) {
       return;
     }
     
@@ -2068,7 +2129,7 @@ const BudgetTab = () => {
       setDraftStatus('error');
       // Don't show error message for auto-save to avoid annoying users
     }
-  }, [selectedDivision, htmlFilters.salesRep, htmlFilters.actualYear, htmlCustomRows, htmlBudgetData]);
+  }, [selectedDivision, htmlFilters.salesRep, htmlFilters.actualYear, htmlCustomRows, htmlBudgetData, isBudgetLocked]);
 
   // Submit final budget (with calculations)
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -2165,13 +2226,9 @@ const BudgetTab = () => {
         
         message.loading({ content: `Submitting budgets for ${salesRepsList.length} sales reps...`, key: 'submitBudget' });
         
-        let totalKgsValue = 0;
-        let totalAmountValue = 0;
-        let totalMormValue = 0;
-        let totalRecords = 0;
         let failedReps = [];
         let successReps = [];
-        let allWarnings = [];
+        let unassignedReps = [];
         
         // Submit each sales rep's budget
         for (const salesRep of salesRepsList) {
@@ -2188,7 +2245,7 @@ const BudgetTab = () => {
               budgetData: repBudgetData,
             });
             
-            // Then submit final
+            // Then submit for approval (draft stays until a manager approves)
             const response = await axios.post('http://localhost:3001/api/budget-draft/submit-final', {
               division: selectedDivision,
               salesRep: salesRep,
@@ -2197,21 +2254,8 @@ const BudgetTab = () => {
             
             if (response.data.success) {
               successReps.push(salesRep);
-              totalKgsValue += response.data.valueTotals?.kgs || 0;
-              totalAmountValue += response.data.valueTotals?.amount || 0;
-              totalMormValue += response.data.valueTotals?.morm || 0;
-              totalRecords += response.data.recordsInserted?.total || 0;
-              if (response.data.warnings) {
-                allWarnings.push(...response.data.warnings.map(w => `${salesRep}: ${w}`));
-              }
-              
-              // Clean up draft
-              try {
-                await axios.delete(
-                  `http://localhost:3001/api/budget-draft/delete-draft/${selectedDivision}/${salesRep}/${parseInt(htmlFilters.actualYear) + 1}`
-                );
-              } catch (e) {
-                console.warn(`Could not delete draft for ${salesRep}:`, e);
+              if (!response.data.assignedManagers?.length) {
+                unassignedReps.push(salesRep);
               }
             } else {
               failedReps.push({ rep: salesRep, error: response.data.error });
@@ -2224,10 +2268,10 @@ const BudgetTab = () => {
         
         // Show results
         if (successReps.length > 0) {
-          message.success({ content: `Submitted ${successReps.length} of ${salesRepsList.length} budgets`, key: 'submitBudget', duration: 3 });
+          message.success({ content: `Submitted ${successReps.length} of ${salesRepsList.length} budgets for approval`, key: 'submitBudget', duration: 3 });
           
           modal.success({
-            title: '✅ All Sales Reps Budget Submitted',
+            title: '✅ All Sales Reps Budget Submitted for Approval',
             width: 600,
             content: (
               <div>
@@ -2237,13 +2281,10 @@ const BudgetTab = () => {
                     <span key={idx} style={{ display: 'inline-block', margin: '2px 4px', padding: '2px 8px', background: '#f6ffed', border: '1px solid #b7eb8f', borderRadius: 4, fontSize: 12 }}>{rep}</span>
                   ))}
                 </div>
-                <p><strong>Budget values submitted:</strong></p>
-                <ul style={{ paddingLeft: 20, marginTop: 8 }}>
-                  <li>MT: {(totalKgsValue / 1000).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} MT</li>
-                  <li>Amount: <CurrencySymbol style={{ width: '0.9em', height: '0.9em', verticalAlign: 'middle' }} /> {totalAmountValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</li>
-                  <li>MoRM: <CurrencySymbol style={{ width: '0.9em', height: '0.9em', verticalAlign: 'middle' }} /> {totalMormValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</li>
-                </ul>
-                <p style={{ marginTop: 8, fontSize: '12px', color: '#8c8c8c' }}>Total records: {totalRecords}</p>
+                <p style={{ fontSize: '12px', color: '#8c8c8c' }}>
+                  Budgets are locked until the assigned sales manager approves or rejects them.
+                  Amount and MoRM are calculated on approval.
+                </p>
                 {failedReps.length > 0 && (
                   <div style={{ marginTop: 16, padding: 12, background: '#fff2f0', borderRadius: 4, border: '1px solid #ffccc7' }}>
                     <p style={{ fontWeight: 500, marginBottom: 4, color: '#cf1322' }}>❌ Failed ({failedReps.length}):</p>
@@ -2254,15 +2295,10 @@ const BudgetTab = () => {
                     </ul>
                   </div>
                 )}
-                {allWarnings.length > 0 && (
+                {unassignedReps.length > 0 && (
                   <div style={{ marginTop: 16, padding: 12, background: '#fff7e6', borderRadius: 4, border: '1px solid #ffd591' }}>
-                    <p style={{ fontWeight: 500, marginBottom: 4, color: '#d46b08' }}>⚠️ Warnings:</p>
-                    <ul style={{ margin: 0, paddingLeft: 20, fontSize: '12px', maxHeight: 100, overflow: 'auto' }}>
-                      {allWarnings.slice(0, 20).map((warning, idx) => (
-                        <li key={idx}>{warning}</li>
-                      ))}
-                      {allWarnings.length > 20 && <li>... and {allWarnings.length - 20} more</li>}
-                    </ul>
+                    <p style={{ fontWeight: 500, marginBottom: 4, color: '#d46b08' }}>⚠️ No sales manager assigned (an administrator must review):</p>
+                    <p style={{ margin: 0, fontSize: '12px' }}>{unassignedReps.join(', ')}</p>
                   </div>
                 )}
               </div>
@@ -2320,7 +2356,7 @@ const BudgetTab = () => {
         budgetYear: parseInt(htmlFilters.actualYear) + 1
       });
       
-      message.loading({ content: 'Submitting final budget...', key: 'submitBudget' });
+      message.loading({ content: 'Submitting budget for approval...', key: 'submitBudget' });
       
       const response = await axios.post('http://localhost:3001/api/budget-draft/submit-final', {
         division: selectedDivision,
@@ -2331,55 +2367,25 @@ const BudgetTab = () => {
       console.log('✅ Backend response:', response.data);
       
       if (response.data.success) {
-        message.success({ content: 'Budget submitted successfully!', key: 'submitBudget', duration: 3 });
+        message.success({ content: 'Budget submitted for approval', key: 'submitBudget', duration: 3 });
         
-        // Show detailed success modal
         modal.success({
-          title: '✅ Budget Submitted Successfully',
+          title: '✅ Budget Submitted for Approval',
           width: 500,
           content: (
             <div>
-              <p><strong>Budget values submitted:</strong></p>
-              <ul style={{ paddingLeft: 20, marginTop: 8 }}>
-                <li>MT: {((response.data.valueTotals?.kgs || 0) / 1000).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} MT</li>
-                <li>Amount: <CurrencySymbol style={{ width: '0.9em', height: '0.9em', verticalAlign: 'middle' }} /> {(response.data.valueTotals?.amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</li>
-                <li>MoRM: <CurrencySymbol style={{ width: '0.9em', height: '0.9em', verticalAlign: 'middle' }} /> {(response.data.valueTotals?.morm || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</li>
-              </ul>
+              <p>{response.data.message}</p>
               <p style={{ marginTop: 12, fontSize: '12px', color: '#8c8c8c' }}>
-                Total records: {response.data.recordsInserted?.total || 0} | Pricing data used from year: {response.data.pricingYear}
+                The budget is locked until it is approved or rejected. Amount and MoRM are calculated on approval.
               </p>
-              {response.data.warnings && response.data.warnings.length > 0 && (
-                <div style={{ marginTop: 16, padding: 12, background: '#fff7e6', borderRadius: 4, border: '1px solid #ffd591' }}>
-                  <p style={{ fontWeight: 500, marginBottom: 4, color: '#d46b08' }}>⚠️ Warnings:</p>
-                  <ul style={{ margin: 0, paddingLeft: 20, fontSize: '12px' }}>
-                    {response.data.warnings.map((warning, idx) => (
-                      <li key={idx}>{warning}</li>
-                    ))}
-                  </ul>
-                </div>
-              )}
             </div>
           ),
         });
         
-        // Clear draft from database
-        try {
-          await axios.delete(
-            `http://localhost:3001/api/budget-draft/delete-draft/${selectedDivision}/${htmlFilters.salesRep}/${parseInt(htmlFilters.actualYear) + 1}`
-          );
-          setHasDraft(false);
-          setDraftStatus('saved');
-        } catch (deleteError) {
-          console.error('Error deleting draft:', deleteError);
-        }
-        
-        // Clear local state
-        setHtmlBudgetData({});
-        setHtmlCustomRows([]);
-        setNewCustomerInputs({});
-        
-        // Refresh table data
-        fetchHtmlTableData();
+        // Keep the entered values on screen: they stay in the draft until approved
+        setHasDraft(true);
+        setDraftStatus('saved');
+        setApprovalStatus(response.data.approval);
         
         // Reset submitting state
         setIsSubmitting(false);
@@ -2704,28 +2710,17 @@ const BudgetTab = () => {
           servicesChargesBudget: servicesChargesBudget,
           // Pass pricing data so backend can calculate Amount/MoRM totals
           pricingData: divisionalPricingData,
-        },
-        { responseType: 'blob' }
+        }
       );
       
-      const now = new Date();
-      const dateStr = now.toISOString().slice(0, 10).replace(/-/g, '');
-      const timeStr = String(now.getHours()).padStart(2, '0') + String(now.getMinutes()).padStart(2, '0');
-      const dateTime = `${dateStr}_${timeStr}`;
-      
-      const divisionalBudgetYear = Number(divisionalHtmlFilters.actualYear) + 1;
-      const url = window.URL.createObjectURL(new Blob([response.data]));
-      const link = document.createElement('a');
-      link.href = url;
-      link.setAttribute('download', `BUDGET_Divisional_${selectedDivision}_${divisionalBudgetYear}_${dateTime}.html`);
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
+      // The form is generated by a background job; download it when the job finishes
+      const job = await trackJob(response.data.job, { title: `Divisional budget form - ${selectedDivision}` });
+      await downloadJobFile(job);
       
       message.success('Divisional budget form exported successfully');
     } catch (error) {
       console.error('Error exporting divisional HTML form:', error);
-      message.error('Failed to export divisional budget form');
+      message.error(error.job?.error || 'Failed to export divisional budget form');
     }
   };
   
@@ -4390,10 +4385,10 @@ const BudgetTab = () => {
           <Space direction="vertical" style={{ width: '100%' }}>
             <p><strong>Message:</strong> {uploadResult.message}</p>
             <p><strong>Mode:</strong> {uploadResult.mode?.toUpperCase()}</p>
-            {uploadResult.output && (
-              <div style={{ maxHeight: '200px', overflowY: 'auto', backgroundColor: '#f5f5f5', padding: '8px', borderRadius: '4px' }}>
-                <pre style={{ margin: 0, fontSize: '12px' }}>{uploadResult.output}</pre>
-              </div>
+            <p><strong>Records Processed:</strong> {uploadResult.recordsProcessed}</p>
+            <p><strong>Records Inserted:</strong> {uploadResult.recordsInserted}</p>
+            {uploadResult.qcSummary && (
+              <p><strong>Periods:</strong> {uploadResult.qcSummary.periods.join(', ')}</p>
             )}
           </Space>
         )}
@@ -6184,7 +6179,7 @@ const BudgetTab = () => {
                   >
                     Export HTML
                   </Button>
-                  {Object.keys(htmlBudgetData).length > 0 && (
+                  {Object.keys(htmlBudgetData).length > 0 && !isBudgetLocked && (
                     <Button
                       type="primary"
                       icon={<CheckCircleOutlined />}
@@ -6194,7 +6189,12 @@ const BudgetTab = () => {
                       size="middle"
                       style={{ background: '#52c41a', borderColor: '#52c41a' }}
                     >
-                      Submit Final
+                      Submit for Approval
+                    </Button>
+                  )}
+                  {approvalStatus?.status === 'SUBMITTED' && (
+                    <Button size="middle" onClick={withdrawSubmission}>
+                      Withdraw Submission
                     </Button>
                   )}
                 </>
@@ -6202,6 +6202,30 @@ const BudgetTab = () => {
             </div>
           </div>
           
+          {/* Approval Status */}
+          {approvalStatus && approvalStatus.status !== 'DRAFT' && (
+            <div style={{ marginTop: '10px', display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', flexWrap: 'wrap' }}>
+              <Tag color={APPROVAL_STATUS_COLORS[approvalStatus.status]} icon={isBudgetLocked ? <LockOutlined /> : null}>
+                {approvalStatus.status}
+              </Tag>
+              {approvalStatus.status === 'SUBMITTED' && (
+                <span style={{ color: '#8c8c8c' }}>
+                  Submitted by {approvalStatus.submitted_by_name} - waiting for sales manager review
+                </span>
+              )}
+              {approvalStatus.status === 'APPROVED' && (
+                <span style={{ color: '#8c8c8c' }}>
+                  Approved by {approvalStatus.reviewed_by_name} - locked for editing
+                </span>
+              )}
+              {approvalStatus.status === 'REJECTED' && (
+                <span style={{ color: '#cf1322' }}>
+                  Rejected by {approvalStatus.reviewed_by_name}: {approvalStatus.review_comments}
+                </span>
+              )}
+            </div>
+          )}
+          
           {/* Draft Status - compact inline */}
           {htmlFilters.actualYear && htmlFilters.salesRep && Object.keys(htmlBudgetData).length > 0 && (
             <div style={{ 
@@ -7487,6 +7511,28 @@ const BudgetTab = () => {
             label: 'Sales Rep Recap',
             children: salesRepRecapContent,
           },
+          {
+            key: 'approvals',
+            label: 'Approvals',
+            children: (
+              <BudgetApprovalsTab
+                selectedDivision={selectedDivision}
+                budgetYear={htmlFilters.actualYear ? parseInt(htmlFilters.actualYear) + 1 : null}
+                message={message}
+              />
+            ),
+          },
+          {
+            key: 'versions',
+            label: 'Versions',
+            children: (
+              <BudgetVersionsTab
+                selectedDivision={selectedDivision}
+                budgetYear={htmlFilters.budgetYear || new Date().getFullYear() + 1}
+                message={message}
+              />
+            ),
+          },
         ]}
       />
       
@@ -7506,11 +7552,11 @@ const BudgetTab = () => {
         icon={<WarningOutlined />}
       >
         <div>
-          <p>This will finalize your budget and:</p>
+          <p>This will submit your budget for approval and:</p>
           <ul style={{ paddingLeft: 20, marginTop: 8 }}>
-            <li>Calculate Amount and MoRM values automatically</li>
-            <li>Submit to the system database</li>
-            <li>Lock the budget (requires approval to edit)</li>
+            <li>Route it to your sales manager for review</li>
+            <li>Lock the budget until it is approved or rejected</li>
+            <li>Calculate Amount and MoRM values on approval</li>
           </ul>
           <p style={{ marginTop: 12, fontWeight: 500 }}>Do you want to proceed?</p>
         </div>
@@ -0,0 +1,428 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Table, Button, Space, Tag, Card, Select, Input, Form, Modal, Row, Col,
+  Statistic, Popconfirm, Empty, Tooltip, Radio
+} from 'antd';
+import {
+  CameraOutlined, ReloadOutlined, LockOutlined, UnlockOutlined,
+  DeleteOutlined, SwapOutlined
+} from '@ant-design/icons';
+import axios from 'axios';
+
+const API_BASE = 'http://localhost:3001/api/aebf/budget-versions';
+
+const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const SCOPE_LABELS = {
+  SALES_REP: 'Sales Rep',
+  DIVISIONAL: 'Divisional'
+};
+
+const DIMENSION_OPTIONS = [
+  { value: 'customername', label: 'Customer' },
+  { value: 'productgroup', label: 'Product Group' },
+  { value: 'month', label: 'Month' },
+  { value: 'salesrepname', label: 'Sales Rep' },
+  { value: 'countryname', label: 'Country' }
+];
+
+const formatNumber = (value) => (value !== null && value !== undefined
+  ? Number(value).toLocaleString('en-US', { maximumFractionDigits: 0 })
+  : '-');
+
+/**
+ * BudgetVersionsTab Component
+ * Named budget versions (Original, Rev1, Board-approved...) for sales rep and divisional budgets
+ * Features:
+ * - Snapshot the live budget as a named version
+ * - Lock versions that must not be deleted
+ * - Diff any two versions (or a version against the live budget) per customer / product group / month
+ */
+const BudgetVersionsTab = ({ selectedDivision, budgetYear, message }) => {
+  const [scope, setScope] = useState('SALES_REP');
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Create modal
+  const [createVisible, setCreateVisible] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [form] = Form.useForm();
+
+  // Diff
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState('current');
+  const [dimensions, setDimensions] = useState(['customername', 'productgroup', 'month']);
+  const [valuesType, setValuesType] = useState('KGS');
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+
+  const division = selectedDivision ? selectedDivision.split('-')[0].toUpperCase() : null;
+
+  const fetchVersions = useCallback(async () => {
+    if (!division || !budgetYear) return;
+
+    setLoading(true);
+    try {
+      const response = await axios.get(API_BASE, {
+        params: { division, budgetYear, scope }
+      });
+      if (response.data.success) {
+        setVersions(response.data.data.versions);
+      }
+    } catch (error) {
+      console.error('Error fetching budget versions:', error);
+      message.error('Failed to load budget versions');
+    } finally {
+      setLoading(false);
+    }
+  }, [division, budgetYear, scope, message]);
+
+  useEffect(() => {
+    setDiff(null);
+    setFromVersion(null);
+    setToVersion('current');
+    fetchVersions();
+  }, [fetchVersions]);
+
+  const handleCreate = async () => {
+    try {
+      const values = await form.validateFields();
+      setCreating(true);
+
+      const response = await axios.post(API_BASE, {
+        division,
+        budgetYear,
+        scope,
+        versionName: values.versionName,
+        description: values.description,
+        createdBy: values.createdBy
+      });
+
+      if (response.data.success) {
+        const version = response.data.data.version;
+        message.success(`Version "${version.version_name}" saved (${version.record_count.toLocaleString()} records)`);
+        setCreateVisible(false);
+        form.resetFields();
+        fetchVersions();
+      }
+    } catch (error) {
+      if (error.errorFields) return; // form validation
+      console.error('Error creating budget version:', error);
+      message.error(error.response?.data?.error || 'Failed to create budget version');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleToggleLock = async (version) => {
+    try {
+      const response = await axios.post(`${API_BASE}/${version.id}/lock`, {
+        division,
+        locked: !version.locked
+      });
+      if (response.data.success) {
+        message.success(response.data.message);
+        fetchVersions();
+      }
+    } catch (error) {
+      console.error('Error updating budget version lock:', error);
+      message.error(error.response?.data?.error || 'Failed to update version');
+    }
+  };
+
+  const handleDelete = async (version) => {
+    try {
+      await axios.delete(`${API_BASE}/${version.id}`, { params: { division } });
+      message.success(`Version "${version.version_name}" deleted`);
+      fetchVersions();
+    } catch (error) {
+      console.error('Error deleting budget version:', error);
+      message.error(error.response?.data?.error || 'Failed to delete version');
+    }
+  };
+
+  const handleCompare = async () => {
+    if (!fromVersion || !toVersion) return;
+
+    setDiffLoading(true);
+    try {
+      const response = await axios.get(`${API_BASE}/diff`, {
+        params: {
+          division,
+          from: fromVersion,
+          to: toVersion,
+          dimensions: dimensions.join(','),
+          values_type: valuesType
+        }
+      });
+      if (response.data.success) {
+        setDiff(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error comparing budget versions:', error);
+      message.error(error.response?.data?.error || 'Failed to compare versions');
+    } finally {
+      setDiffLoading(false);
+    }
+  };
+
+  const versionOptions = [
+    { value: 'current', label: 'Current (live budget)' },
+    ...versions.map(v => ({ value: String(v.id), label: v.version_name }))
+  ];
+
+  const versionColumns = [
+    {
+      title: 'Version',
+      dataIndex: 'version_name',
+      key: 'version_name',
+      render: (name, version) => (
+        <Space>
+          <strong>{name}</strong>
+          {version.locked && <Tag icon={<LockOutlined />} color="gold">Locked</Tag>}
+        </Space>
+      )
+    },
+    {
+      title: 'Description',
+      dataIndex: 'description',
+      key: 'description',
+      ellipsis: true
+    },
+    {
+      title: 'Records',
+      dataIndex: 'record_count',
+      key: 'record_count',
+      width: 100,
+      align: 'right',
+      render: formatNumber
+    },
+    {
+      title: 'KGS',
+      key: 'kgs',
+      width: 130,
+      align: 'right',
+      render: (_, version) => formatNumber(version.totals?.KGS)
+    },
+    {
+      title: 'Amount',
+      key: 'amount',
+      width: 140,
+      align: 'right',
+      render: (_, version) => formatNumber(version.totals?.AMOUNT)
+    },
+    {
+      title: 'Created',
+      key: 'created',
+      width: 200,
+      render: (_, version) => `${version.created_by || '-'} · ${new Date(version.created_at).toLocaleString()}`
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: 120,
+      render: (_, version) => (
+        <Space size="small">
+          <Tooltip title={version.locked ? 'Unlock' : 'Lock'}>
+            <Button
+              size="small"
+              icon={version.locked ? <UnlockOutlined /> : <LockOutlined />}
+              onClick={() => handleToggleLock(version)}
+            />
+          </Tooltip>
+          {!version.locked && (
+            <Popconfirm title={`Delete "${version.version_name}"?`} onConfirm={() => handleDelete(version)}>
+              <Button size="small" danger icon={<DeleteOutlined />} />
+            </Popconfirm>
+          )}
+        </Space>
+      )
+    }
+  ];
+
+  const diffColumns = [
+    ...(diff ? diff.dimensions.map(dim => ({
+      title: DIMENSION_OPTIONS.find(o => o.value === dim)?.label || dim,
+      dataIndex: dim,
+      key: dim,
+      ellipsis: true,
+      render: (value) => (dim === 'month' && value ? monthNames[value - 1] : (value || '-'))
+    })) : []),
+    {
+      title: diff?.from?.name || 'From',
+      dataIndex: 'from',
+      key: 'from',
+      align: 'right',
+      render: formatNumber
+    },
+    {
+      title: diff?.to?.name || 'To',
+      dataIndex: 'to',
+      key: 'to',
+      align: 'right',
+      render: formatNumber
+    },
+    {
+      title: 'Delta',
+      dataIndex: 'delta',
+      key: 'delta',
+      align: 'right',
+      sorter: (a, b) => a.delta - b.delta,
+      render: (value) => (
+        <span style={{ color: value > 0 ? '#389e0d' : '#cf1322' }}>
+          {value > 0 ? '+' : ''}{formatNumber(value)}
+        </span>
+      )
+    },
+    {
+      title: 'Delta %',
+      dataIndex: 'deltaPct',
+      key: 'deltaPct',
+      align: 'right',
+      render: (value) => (value !== null && value !== undefined ? `${value.toFixed(1)}%` : '-')
+    },
+    {
+      title: 'Change',
+      dataIndex: 'change',
+      key: 'change',
+      width: 100,
+      render: (change) => (
+        <Tag color={change === 'ADDED' ? 'green' : change === 'REMOVED' ? 'red' : 'blue'}>{change}</Tag>
+      )
+    }
+  ];
+
+  const diffSummary = diff?.summary?.[valuesType];
+
+  return (
+    <div style={{ padding: '12px 0' }}>
+      <Space style={{ marginBottom: 12 }} wrap>
+        <Radio.Group value={scope} onChange={(e) => setScope(e.target.value)} optionType="button" buttonStyle="solid">
+          <Radio.Button value="SALES_REP">Sales Rep Budget</Radio.Button>
+          <Radio.Button value="DIVISIONAL">Divisional Budget</Radio.Button>
+        </Radio.Group>
+        <Button
+          type="primary"
+          icon={<CameraOutlined />}
+          onClick={() => setCreateVisible(true)}
+          disabled={!division}
+        >
+          Save Current as Version
+        </Button>
+        <Button icon={<ReloadOutlined />} onClick={fetchVersions}>
+          Refresh
+        </Button>
+      </Space>
+
+      <Card size="small" title={`${SCOPE_LABELS[scope]} Budget Versions – ${budgetYear}`} style={{ marginBottom: 16 }}>
+        <Table
+          columns={versionColumns}
+          dataSource={versions}
+          rowKey="id"
+          loading={loading}
+          size="small"
+          pagination={false}
+          locale={{ emptyText: <Empty description="No versions saved for this year" /> }}
+        />
+      </Card>
+
+      <Card size="small" title={<span><SwapOutlined /> Compare Versions</span>}>
+        <Space style={{ marginBottom: 12 }} wrap>
+          <Select
+            placeholder="From version"
+            value={fromVersion}
+            onChange={setFromVersion}
+            options={versionOptions}
+            style={{ width: 200 }}
+          />
+          <span>→</span>
+          <Select
+            placeholder="To version"
+            value={toVersion}
+            onChange={setToVersion}
+            options={versionOptions}
+            style={{ width: 200 }}
+          />
+          <Select
+            mode="multiple"
+            value={dimensions}
+            onChange={setDimensions}
+            options={DIMENSION_OPTIONS}
+            style={{ minWidth: 280 }}
+            placeholder="Compare by"
+          />
+          <Select
+            value={valuesType}
+            onChange={setValuesType}
+            options={['KGS', 'AMOUNT', 'MORM'].map(v => ({ value: v, label: v }))}
+            style={{ width: 110 }}
+          />
+          <Button
+            type="primary"
+            onClick={handleCompare}
+            loading={diffLoading}
+            disabled={!fromVersion || !toVersion || fromVersion === toVersion || dimensions.length === 0}
+          >
+            Compare
+          </Button>
+        </Space>
+
+        {diff && (
+          <>
+            {diffSummary && (
+              <Row gutter={16} style={{ marginBottom: 12 }}>
+                <Col span={6}><Statistic title={diff.from.name} value={diffSummary.from} precision={0} /></Col>
+                <Col span={6}><Statistic title={diff.to.name} value={diffSummary.to} precision={0} /></Col>
+                <Col span={6}>
+                  <Statistic
+                    title="Delta"
+                    value={diffSummary.delta}
+                    precision={0}
+                    valueStyle={{ color: diffSummary.delta >= 0 ? '#389e0d' : '#cf1322' }}
+                  />
+                </Col>
+                <Col span={6}><Statistic title="Changed lines" value={diff.changedRows} /></Col>
+              </Row>
+            )}
+            <Table
+              columns={diffColumns}
+              dataSource={diff.rows}
+              rowKey={(row) => [...diff.dimensions.map(dim => row[dim]), row.values_type].join('|')}
+              size="small"
+              pagination={{ pageSize: 50, showTotal: (total) => `${total.toLocaleString()} changed lines` }}
+              scroll={{ y: 500 }}
+            />
+          </>
+        )}
+      </Card>
+
+      <Modal
+        title={`Save ${SCOPE_LABELS[scope]} Budget ${budgetYear} as Version`}
+        open={createVisible}
+        onOk={handleCreate}
+        onCancel={() => setCreateVisible(false)}
+        confirmLoading={creating}
+        okText="Save Version"
+        destroyOnClose
+      >
+        <Form form={form} layout="vertical">
+          <Form.Item
+            name="versionName"
+            label="Version Name"
+            rules={[{ required: true, message: 'Enter a version name' }, { max: 100 }]}
+          >
+            <Input placeholder="e.g. Original, Rev1, Board-approved" />
+          </Form.Item>
+          <Form.Item name="description" label="Description">
+            <Input.TextArea rows={3} placeholder="Reason for this version" />
+          </Form.Item>
+          <Form.Item name="createdBy" label="Saved By">
+            <Input />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default BudgetVersionsTab;
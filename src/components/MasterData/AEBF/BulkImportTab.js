@@ -12,6 +12,7 @@ import {
 } from '@ant-design/icons';
 import axios from 'axios';
 import CurrencySymbol from '../../dashboard/CurrencySymbol';
+import { useJobs } from '../../../contexts/JobsContext';
 
 const { Dragger } = Upload;
 const { Title, Text } = Typography;
@@ -28,6 +29,8 @@ const { Search } = Input;
  * - Export merged HTML
  */
 const BulkImportTab = ({ selectedDivision, budgetYear, message, modal }) => {
+  const { trackJob } = useJobs();
+
   // File upload state
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [validatedFiles, setValidatedFiles] = useState([]);
@@ -206,9 +209,15 @@ const BulkImportTab = ({ selectedDivision, budgetYear, message, modal }) => {
         }
       });
       
-      if (response.data.success) {
-        setImportResult(response.data);
-        message.success(`Successfully imported ${response.data.importedCount} records from ${response.data.salesReps?.length || 0} sales reps!`);
+      // The import runs as a background job; follow it in the job drawer
+      const job = await trackJob(response.data.job, { title: `Bulk import (${validFiles.length} files)` });
+      const result = job.result;
+      
+      if (result?.success) {
+        setImportResult(result);
+        message.success(result.status === 'final'
+          ? `Imported ${result.importedCount} records; budgets of ${result.salesReps?.length || 0} sales reps saved as drafts to submit for approval`
+          : `Successfully imported ${result.importedCount} records from ${result.salesReps?.length || 0} sales reps!`);
         
         // Clear selected files
         setSelectedFiles([]);
@@ -217,11 +226,11 @@ const BulkImportTab = ({ selectedDivision, budgetYear, message, modal }) => {
         // Refresh batches list
         fetchBatches();
       } else {
-        message.error(response.data.error || 'Import failed');
+        message.error(result?.error || 'Import failed');
       }
     } catch (error) {
       console.error('Bulk import error:', error);
-      message.error(error.response?.data?.error || 'Failed to import files');
+      message.error(error.response?.data?.error || error.job?.error || error.message || 'Failed to import files');
     } finally {
       setIsImporting(false);
       setUploadProgress(0);
@@ -614,7 +623,7 @@ const BulkImportTab = ({ selectedDivision, budgetYear, message, modal }) => {
                 disabled={validCount === 0 || isImporting}
                 loading={isImporting}
               >
-                Import to Final
+                Import for Approval
               </Button>
             </div>
           </div>
@@ -373,7 +373,7 @@ const EstimateTab = () => {
       }
     } catch (error) {
       console.error('Error saving:', error);
-      message.error('Failed to save estimates');
+      message.error(error.response?.data?.error || 'Failed to save estimates');
     } finally {
       setApproving(false);
     }
@@ -1,60 +1,392 @@
-import React, { useState, useEffect } from 'react';
-import { Table, Button, Space, message, Upload } from 'antd';
-import { UploadOutlined, DownloadOutlined, ReloadOutlined } from '@ant-design/icons';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Table, Button, Space, message, Modal, Tag, Row, Col, Card, Select, InputNumber, Input, Form, Tabs, Alert, Popconfirm, Empty } from 'antd';
+import { ReloadOutlined, PlusOutlined, CheckCircleOutlined, DeleteOutlined, LineChartOutlined } from '@ant-design/icons';
+import { useExcelData } from '../../../contexts/ExcelDataContext';
+import { useAuth } from '../../../contexts/AuthContext';
+import axios from 'axios';
+
+const { Search } = Input;
+
+const API_BASE = 'http://localhost:3001/api/aebf/forecast';
+
+const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const STATUS_COLORS = {
+  DRAFT: 'default',
+  PUBLISHED: 'green',
+  SUPERSEDED: 'orange'
+};
+
+const DIMENSION_LABELS = {
+  salesrepname: 'Sales Rep',
+  customername: 'Customer',
+  productgroup: 'Product Group',
+  countryname: 'Country'
+};
+
+const formatNumber = (value) => (value !== null && value !== undefined
+  ? Number(value).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })
+  : '-');
+
+const formatMape = (value) => (value !== null && value !== undefined ? `${Number(value).toFixed(1)}%` : '-');
+
+const formatPeriod = (year, month) => `${monthNames[month - 1]} ${year}`;
 
 /**
- * ForecastTab Component
- * Manages forecast prediction data
+ * ForecastTab Component - Statistical Forecast Runs
+ * Projects Actual history forward (seasonal naive / moving average / Holt-Winters),
+ * keeps every run as a version with backtest accuracy, and publishes one run as type='Forecast'
  */
 const ForecastTab = () => {
+  const { selectedDivision } = useExcelData();
+  const { user } = useAuth();
+
+  // Runs
+  const [runs, setRuns] = useState([]);
+  const [runsLoading, setRunsLoading] = useState(false);
+  const [selectedRunId, setSelectedRunId] = useState(null);
+  const [methods, setMethods] = useState([]);
+
+  // Values of the selected run
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [pagination, setPagination] = useState({ current: 1, pageSize: 50, total: 0 });
+  const [globalSearch, setGlobalSearch] = useState('');
+
+  // Accuracy
+  const [accuracy, setAccuracy] = useState(null);
+  const [accuracyDimension, setAccuracyDimension] = useState('salesrepname');
+  const [accuracyValuesType, setAccuracyValuesType] = useState('AMOUNT');
+
+  // Create run modal
+  const [createModalVisible, setCreateModalVisible] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [publishing, setPublishing] = useState(false);
+  const [form] = Form.useForm();
+
+  const selectedRun = runs.find(run => run.id === selectedRunId) || null;
+
+  const fetchMethods = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/methods`);
+      if (response.data.success) {
+        setMethods(response.data.data.methods);
+      }
+    } catch (error) {
+      console.error('Error fetching forecast methods:', error);
+    }
+  };
+
+  const fetchRuns = useCallback(async () => {
+    if (!selectedDivision) return;
+
+    setRunsLoading(true);
+    try {
+      const response = await axios.get(`${API_BASE}/runs`, {
+        params: { division: selectedDivision }
+      });
+
+      if (response.data.success) {
+        const list = response.data.data.runs;
+        setRuns(list);
+        setSelectedRunId(current => {
+          if (current && list.some(run => run.id === current)) return current;
+          const published = list.find(run => run.status === 'PUBLISHED');
+          return published ? published.id : (list[0] ? list[0].id : null);
+        });
+      }
+    } catch (error) {
+      console.error('Error fetching forecast runs:', error);
+      message.error('Failed to load forecast runs');
+    } finally {
+      setRunsLoading(false);
+    }
+  }, [selectedDivision]);
+
+  const fetchValues = async (page = 1, pageSize = 50, search = globalSearch) => {
+    if (!selectedDivision || !selectedRunId) {
+      setData([]);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const params = { division: selectedDivision, runId: selectedRunId, page, pageSize };
+      if (search) params.search = search;
+
+      const response = await axios.get(API_BASE, { params });
+
+      if (response.data.success) {
+        setData(response.data.data.data.map((row, index) => ({ ...row, key: row.id || index })));
+        setPagination({
+          current: response.data.data.pagination.page,
+          pageSize: response.data.data.pagination.pageSize,
+          total: response.data.data.pagination.total
+        });
+      }
+    } catch (error) {
+      console.error('Error fetching forecast values:', error);
+      message.error('Failed to load forecast values');
+      setData([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchAccuracy = async () => {
+    if (!selectedDivision || !selectedRunId) {
+      setAccuracy(null);
+      return;
+    }
+
+    try {
+      const response = await axios.get(`${API_BASE}/runs/${selectedRunId}/accuracy`, {
+        params: { division: selectedDivision }
+      });
+      if (response.data.success) {
+        setAccuracy(response.data.data.accuracy);
+      }
+    } catch (error) {
+      console.error('Error fetching forecast accuracy:', error);
+      setAccuracy(null);
+    }
+  };
+
+  useEffect(() => {
+    fetchMethods();
+  }, []);
+
+  useEffect(() => {
+    setRuns([]);
+    setSelectedRunId(null);
+    fetchRuns();
+  }, [fetchRuns]);
 
-  const columns = [
+  useEffect(() => {
+    fetchValues(1, pagination.pageSize);
+    fetchAccuracy();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedRunId]);
+
+  const handleCreateRun = async () => {
+    try {
+      const values = await form.validateFields();
+      setCreating(true);
+
+      const params = {};
+      if (values.method === 'moving_average') params.window = values.window;
+      if (values.method === 'holt_winters') {
+        params.alpha = values.alpha;
+        params.beta = values.beta;
+        params.gamma = values.gamma;
+      }
+
+      const response = await axios.post(`${API_BASE}/runs`, {
+        division: selectedDivision,
+        method: values.method,
+        horizon: values.horizon,
+        historyMonths: values.historyMonths,
+        backtestMonths: values.backtestMonths,
+        runName: values.runName || undefined,
+        params,
+        createdBy: user?.name || user?.email
+      });
+
+      if (response.data.success) {
+        const run = response.data.data.run;
+        message.success(response.data.message || 'Forecast run created');
+        setCreateModalVisible(false);
+        form.resetFields();
+        setSelectedRunId(run.id);
+        fetchRuns();
+      }
+    } catch (error) {
+      if (error.errorFields) return; // form validation
+      console.error('Error creating forecast run:', error);
+      message.error(error.response?.data?.error || 'Failed to create forecast run');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handlePublish = async (run) => {
+    setPublishing(true);
+    try {
+      const response = await axios.post(`${API_BASE}/runs/${run.id}/publish`, {
+        division: selectedDivision,
+        publishedBy: user?.name || user?.email || 'Unknown'
+      });
+
+      if (response.data.success) {
+        const result = response.data.data;
+        Modal.success({
+          title: `Forecast v${result.run.version} published`,
+          content: (
+            <div>
+              <p>Period: {formatPeriod(result.period.from.year, result.period.from.month)} – {formatPeriod(result.period.to.year, result.period.to.month)}</p>
+              <p>Records published: {result.recordsPublished.toLocaleString()}</p>
+              <p>Previous Forecast records replaced: {result.recordsReplaced.toLocaleString()}</p>
+              {result.warnings && result.warnings.map(warning => (
+                <Alert key={warning} type="warning" message={warning} style={{ marginTop: 8 }} showIcon />
+              ))}
+            </div>
+          )
+        });
+        fetchRuns();
+      }
+    } catch (error) {
+      console.error('Error publishing forecast run:', error);
+      message.error(error.response?.data?.error || 'Failed to publish forecast run');
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  const handleDelete = async (run) => {
+    try {
+      await axios.delete(`${API_BASE}/runs/${run.id}`, {
+        params: { division: selectedDivision }
+      });
+      message.success(`Forecast v${run.version} deleted`);
+      if (selectedRunId === run.id) setSelectedRunId(null);
+      fetchRuns();
+    } catch (error) {
+      console.error('Error deleting forecast run:', error);
+      message.error(error.response?.data?.error || 'Failed to delete forecast run');
+    }
+  };
+
+  const handleSearch = (value) => {
+    setGlobalSearch(value);
+    fetchValues(1, pagination.pageSize, value);
+  };
+
+  const handleTableChange = (newPagination) => {
+    fetchValues(newPagination.current, newPagination.pageSize);
+  };
+
+  const methodLabel = (key) => (methods.find(m => m.key === key) || {}).label || key;
+
+  const runColumns = [
     {
-      title: 'Year',
-      dataIndex: 'year',
-      key: 'year',
+      title: 'Version',
+      dataIndex: 'version',
+      key: 'version',
       width: 80,
-      sorter: (a, b) => a.year - b.year,
+      render: (version) => `v${version}`
     },
     {
-      title: 'Month',
-      dataIndex: 'month',
-      key: 'month',
-      width: 80,
-      sorter: (a, b) => a.month - b.month,
+      title: 'Name',
+      dataIndex: 'run_name',
+      key: 'run_name',
+      ellipsis: true
+    },
+    {
+      title: 'Method',
+      dataIndex: 'method',
+      key: 'method',
+      width: 140,
+      render: methodLabel
+    },
+    {
+      title: 'Horizon',
+      key: 'horizon',
+      width: 180,
+      render: (_, run) => {
+        const fromIndex = run.history_to_year * 12 + run.history_to_month;
+        const toIndex = fromIndex + run.horizon;
+        const fromYear = Math.floor(fromIndex / 12);
+        const fromMonth = (fromIndex % 12) + 1;
+        const toYear = Math.floor((toIndex - 1) / 12);
+        const toMonth = ((toIndex - 1) % 12) + 1;
+        return `${formatPeriod(fromYear, fromMonth)} – ${formatPeriod(toYear, toMonth)}`;
+      }
+    },
+    {
+      title: 'MAPE (Amount)',
+      key: 'mape',
+      width: 120,
+      align: 'right',
+      render: (_, run) => formatMape(run.accuracy?.AMOUNT?.mape)
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      width: 110,
+      render: (status) => <Tag color={STATUS_COLORS[status]}>{status}</Tag>
+    },
+    {
+      title: 'Created',
+      key: 'created',
+      width: 170,
+      render: (_, run) => `${run.created_by || '-'} · ${new Date(run.created_at).toLocaleDateString()}`
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: 180,
+      render: (_, run) => (
+        <Space size="small">
+          {run.status !== 'PUBLISHED' && (
+            <Popconfirm
+              title={`Publish v${run.version}?`}
+              description="Replaces the current Forecast data for this horizon."
+              onConfirm={() => handlePublish(run)}
+            >
+              <Button size="small" type="primary" icon={<CheckCircleOutlined />} loading={publishing}>
+                Publish
+              </Button>
+            </Popconfirm>
+          )}
+          {run.status !== 'PUBLISHED' && (
+            <Popconfirm title={`Delete v${run.version}?`} onConfirm={() => handleDelete(run)}>
+              <Button size="small" danger icon={<DeleteOutlined />} />
+            </Popconfirm>
+          )}
+        </Space>
+      )
+    }
+  ];
+
+  const valueColumns = [
+    {
+      title: 'Period',
+      key: 'period',
+      width: 100,
+      render: (_, row) => formatPeriod(row.year, row.month)
+    },
+    {
+      title: 'Sales Rep',
+      dataIndex: 'salesrepname',
+      key: 'salesrepname',
+      width: 160,
+      ellipsis: true
     },
     {
       title: 'Customer',
       dataIndex: 'customername',
       key: 'customername',
       width: 200,
-      ellipsis: true,
+      ellipsis: true
     },
     {
       title: 'Country',
       dataIndex: 'countryname',
       key: 'countryname',
-      width: 120,
+      width: 120
     },
     {
       title: 'Product Group',
       dataIndex: 'productgroup',
       key: 'productgroup',
-      width: 150,
-    },
-    {
-      title: 'Material',
-      dataIndex: 'material',
-      key: 'material',
-      width: 120,
+      width: 150
     },
     {
       title: 'Values Type',
       dataIndex: 'values_type',
       key: 'values_type',
-      width: 120,
+      width: 100
     },
     {
       title: 'Value',
@@ -62,92 +394,242 @@ const ForecastTab = () => {
       key: 'values',
       width: 120,
       align: 'right',
-      render: (value) => value ? value.toLocaleString('en-US', { 
-        minimumFractionDigits: 2, 
-        maximumFractionDigits: 2 
-      }) : '-',
-    },
+      render: formatNumber
+    }
   ];
 
-  const fetchData = async () => {
-    setLoading(true);
-    try {
-      // TODO: Replace with actual API endpoint
-      const response = await fetch('/api/aebf/forecast');
-      const result = await response.json();
-      setData(result.data || []);
-      message.success('Forecast data loaded successfully');
-    } catch (error) {
-      console.error('Error fetching forecast data:', error);
-      message.error('Failed to load forecast data');
-      setData([]);
-    } finally {
-      setLoading(false);
+  const accuracyColumns = [
+    {
+      title: DIMENSION_LABELS[accuracyDimension],
+      dataIndex: 'member',
+      key: 'member',
+      ellipsis: true
+    },
+    {
+      title: 'Actual (holdout)',
+      dataIndex: 'actualTotal',
+      key: 'actualTotal',
+      align: 'right',
+      render: formatNumber
+    },
+    {
+      title: 'Forecast (holdout)',
+      dataIndex: 'forecastTotal',
+      key: 'forecastTotal',
+      align: 'right',
+      render: formatNumber
+    },
+    {
+      title: 'MAPE',
+      dataIndex: 'mape',
+      key: 'mape',
+      align: 'right',
+      sorter: (a, b) => (a.mape ?? Infinity) - (b.mape ?? Infinity),
+      render: (value) => {
+        if (value === null || value === undefined) return '-';
+        const color = value <= 15 ? 'green' : value <= 35 ? 'orange' : 'red';
+        return <Tag color={color}>{formatMape(value)}</Tag>;
+      }
     }
-  };
+  ];
 
-  useEffect(() => {
-    fetchData();
-  }, []);
+  const accuracyRows = accuracy?.byDimension?.[accuracyDimension]?.[accuracyValuesType] || [];
 
-  const handleImport = (info) => {
-    if (info.file.status === 'done') {
-      message.success(`${info.file.name} imported successfully`);
-      fetchData();
-    } else if (info.file.status === 'error') {
-      message.error(`${info.file.name} import failed`);
-    }
-  };
-
-  const handleExport = () => {
-    message.info('Export functionality will be implemented');
-  };
+  const selectedMethod = Form.useWatch('method', form);
 
   return (
     <div className="forecast-tab" style={{ padding: '20px' }}>
       <div className="tab-header" style={{ marginBottom: '20px' }}>
         <h3>Forecast Sales Data</h3>
         <p style={{ color: '#666' }}>
-          View and manage sales forecast predictions and projections
+          Project Actual history forward, compare backtest accuracy between runs and publish one version as the Forecast
         </p>
       </div>
 
       <Space style={{ marginBottom: '16px' }}>
-        <Upload
-          accept=".xlsx,.xls"
-          showUploadList={false}
-          onChange={handleImport}
-          customRequest={({ file, onSuccess }) => {
-            setTimeout(() => onSuccess("ok"), 0);
-          }}
+        <Button
+          icon={<PlusOutlined />}
+          type="primary"
+          onClick={() => setCreateModalVisible(true)}
+          disabled={!selectedDivision}
         >
-          <Button icon={<UploadOutlined />} type="primary">
-            Import Excel
-          </Button>
-        </Upload>
-        
-        <Button icon={<DownloadOutlined />} onClick={handleExport}>
-          Export Excel
+          New Forecast Run
         </Button>
-        
-        <Button icon={<ReloadOutlined />} onClick={fetchData}>
+        <Button icon={<ReloadOutlined />} onClick={fetchRuns}>
           Refresh
         </Button>
       </Space>
 
-      <Table
-        columns={columns}
-        dataSource={data}
-        loading={loading}
-        pagination={{
-          pageSize: 20,
-          showSizeChanger: true,
-          showTotal: (total) => `Total ${total} records`,
-        }}
-        scroll={{ x: 1200, y: 600 }}
-        size="small"
-        bordered
-      />
+      <Card size="small" title="Forecast Runs" style={{ marginBottom: 16 }}>
+        <Table
+          columns={runColumns}
+          dataSource={runs}
+          rowKey="id"
+          loading={runsLoading}
+          size="small"
+          pagination={false}
+          scroll={{ y: 240 }}
+          rowSelection={{
+            type: 'radio',
+            selectedRowKeys: selectedRunId ? [selectedRunId] : [],
+            onChange: (keys) => setSelectedRunId(keys[0])
+          }}
+          locale={{ emptyText: <Empty description="No forecast runs yet" /> }}
+        />
+      </Card>
+
+      {selectedRun && (
+        <Tabs
+          items={[
+            {
+              key: 'values',
+              label: `Values (v${selectedRun.version})`,
+              children: (
+                <>
+                  <Search
+                    placeholder="Search customer, sales rep, country, product group..."
+                    allowClear
+                    onSearch={handleSearch}
+                    style={{ width: 400, marginBottom: 12 }}
+                  />
+                  <Table
+                    columns={valueColumns}
+                    dataSource={data}
+                    loading={loading}
+                    pagination={{
+                      ...pagination,
+                      showSizeChanger: true,
+                      pageSizeOptions: ['50', '100', '200'],
+                      showTotal: (total) => `Total ${total.toLocaleString()} records`
+                    }}
+                    onChange={handleTableChange}
+                    scroll={{ x: 1100, y: 500 }}
+                    size="small"
+                    bordered
+                  />
+                </>
+              )
+            },
+            {
+              key: 'accuracy',
+              label: <span><LineChartOutlined /> Accuracy</span>,
+              children: accuracy ? (
+                <>
+                  <Row gutter={16} style={{ marginBottom: 16 }}>
+                    {Object.entries(accuracy.overall).map(([valuesType, score]) => (
+                      <Col span={8} key={valuesType}>
+                        <Card size="small" title={`${valuesType} – last ${accuracy.holdoutMonths} months`}>
+                          <div>MAPE: <strong>{formatMape(score.mape)}</strong></div>
+                          <div>Actual: {formatNumber(score.actualTotal)}</div>
+                          <div>Forecast: {formatNumber(score.forecastTotal)}</div>
+                        </Card>
+                      </Col>
+                    ))}
+                  </Row>
+                  <Space style={{ marginBottom: 12 }}>
+                    <Select
+                      value={accuracyDimension}
+                      onChange={setAccuracyDimension}
+                      style={{ width: 160 }}
+                      options={Object.entries(DIMENSION_LABELS).map(([value, label]) => ({ value, label }))}
+                    />
+                    <Select
+                      value={accuracyValuesType}
+                      onChange={setAccuracyValuesType}
+                      style={{ width: 120 }}
+                      options={Object.keys(accuracy.overall).map(value => ({ value, label: value }))}
+                    />
+                  </Space>
+                  <Table
+                    columns={accuracyColumns}
+                    dataSource={accuracyRows}
+                    rowKey="member"
+                    size="small"
+                    pagination={{ pageSize: 20 }}
+                  />
+                </>
+              ) : (
+                <Empty description="No backtest available for this run" />
+              )
+            }
+          ]}
+        />
+      )}
+
+      <Modal
+        title="New Forecast Run"
+        open={createModalVisible}
+        onOk={handleCreateRun}
+        onCancel={() => setCreateModalVisible(false)}
+        confirmLoading={creating}
+        okText="Run Forecast"
+        destroyOnClose
+      >
+        <Form
+          form={form}
+          layout="vertical"
+          initialValues={{
+            method: 'holt_winters',
+            horizon: 12,
+            historyMonths: 36,
+            backtestMonths: 6,
+            window: 3,
+            alpha: 0.3,
+            beta: 0.1,
+            gamma: 0.2
+          }}
+        >
+          <Form.Item name="runName" label="Name">
+            <Input placeholder="Optional, e.g. Q3 reforecast" />
+          </Form.Item>
+          <Form.Item name="method" label="Method" rules={[{ required: true }]}>
+            <Select
+              options={methods.map(m => ({ value: m.key, label: `${m.label} – ${m.description}` }))}
+            />
+          </Form.Item>
+          <Row gutter={12}>
+            <Col span={8}>
+              <Form.Item name="horizon" label="Horizon (months)" rules={[{ required: true }]}>
+                <InputNumber min={1} max={24} style={{ width: '100%' }} />
+              </Form.Item>
+            </Col>
+            <Col span={8}>
+              <Form.Item name="historyMonths" label="History (months)" rules={[{ required: true }]}>
+                <InputNumber min={3} max={120} style={{ width: '100%' }} />
+              </Form.Item>
+            </Col>
+            <Col span={8}>
+              <Form.Item name="backtestMonths" label="Backtest (months)">
+                <InputNumber min={0} max={12} style={{ width: '100%' }} />
+              </Form.Item>
+            </Col>
+          </Row>
+          {selectedMethod === 'moving_average' && (
+            <Form.Item name="window" label="Window (months)">
+              <InputNumber min={1} max={24} />
+            </Form.Item>
+          )}
+          {selectedMethod === 'holt_winters' && (
+            <Row gutter={12}>
+              <Col span={8}>
+                <Form.Item name="alpha" label="Alpha (level)">
+                  <InputNumber min={0.01} max={1} step={0.05} style={{ width: '100%' }} />
+                </Form.Item>
+              </Col>
+              <Col span={8}>
+                <Form.Item name="beta" label="Beta (trend)">
+                  <InputNumber min={0} max={1} step={0.05} style={{ width: '100%' }} />
+                </Form.Item>
+              </Col>
+              <Col span={8}>
+                <Form.Item name="gamma" label="Gamma (season)">
+                  <InputNumber min={0} max={1} step={0.05} style={{ width: '100%' }} />
+                </Form.Item>
+              </Col>
+            </Row>
+          )}
+        </Form>
+      </Modal>
     </div>
   );
 };
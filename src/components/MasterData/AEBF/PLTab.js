@@ -0,0 +1,295 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Table, Button, Space, message, Upload, Radio, Modal, Tag, Card, Alert, Empty } from 'antd';
+import { UploadOutlined, ReloadOutlined, CheckCircleOutlined, FileExcelOutlined } from '@ant-design/icons';
+import { useExcelData } from '../../../contexts/ExcelDataContext';
+import { useAuth } from '../../../contexts/AuthContext';
+import axios from 'axios';
+
+const API_BASE = 'http://localhost:3001/api/aebf';
+
+const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const TYPE_COLORS = {
+  Actual: 'blue',
+  Estimate: 'green',
+  Budget: 'gold',
+  Forecast: 'purple'
+};
+
+const MEASURE_COLORS = {
+  AMOUNT: 'blue',
+  KGS: 'cyan',
+  PERCENT: 'default'
+};
+
+/**
+ * PLTab Component - P&L Financials
+ * Imports the monthly P&L workbook into {div}_pl_data and shows what is loaded.
+ * The P&L table and KPI views read these figures instead of financials -{div}.xlsx.
+ */
+const PLTab = () => {
+  const { selectedDivision, loadExcelData } = useExcelData();
+  const { user } = useAuth();
+
+  const [periods, setPeriods] = useState([]);
+  const [ledgers, setLedgers] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Upload
+  const [uploadModalVisible, setUploadModalVisible] = useState(false);
+  const [uploadMode, setUploadMode] = useState('upsert');
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [validation, setValidation] = useState(null);
+
+  const fetchPL = useCallback(async () => {
+    if (!selectedDivision) return;
+    setLoading(true);
+    try {
+      const [periodsResponse, ledgersResponse] = await Promise.all([
+        axios.get(`${API_BASE}/pl/periods`, { params: { division: selectedDivision } }),
+        axios.get(`${API_BASE}/pl/ledgers`, { params: { division: selectedDivision } })
+      ]);
+      setPeriods(periodsResponse.data.data.periods || []);
+      setLedgers(ledgersResponse.data.data.ledgers || []);
+    } catch (error) {
+      console.error('Error fetching P&L periods:', error);
+      message.error('Failed to load P&L periods');
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedDivision]);
+
+  useEffect(() => {
+    fetchPL();
+  }, [fetchPL]);
+
+  const resetUpload = () => {
+    setUploadModalVisible(false);
+    setSelectedFile(null);
+    setValidation(null);
+    setUploadMode('upsert');
+  };
+
+  const postWorkbook = async (dryRun) => {
+    const formData = new FormData();
+    formData.append('file', selectedFile);
+    formData.append('division', selectedDivision);
+    formData.append('uploadMode', uploadMode);
+    formData.append('uploadedBy', user?.name || user?.email || 'Unknown');
+    formData.append('dryRun', dryRun ? 'true' : 'false');
+
+    return axios.post(`${API_BASE}/upload-pl`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 300000
+    });
+  };
+
+  const showValidationErrors = (report) => {
+    Modal.error({
+      title: report.error || 'P&L workbook validation failed',
+      width: 640,
+      content: (
+        <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
+          {(report.errors || []).map((err, idx) => <p key={idx}>{err}</p>)}
+          {report.errorCount > (report.errors || []).length && (
+            <p>…and {report.errorCount - report.errors.length} more</p>
+          )}
+        </div>
+      )
+    });
+  };
+
+  // Step 1: validate the workbook without writing
+  const handleValidate = async () => {
+    if (!selectedFile || !selectedDivision) {
+      message.error('Please select a P&L workbook');
+      return;
+    }
+
+    setUploading(true);
+    try {
+      const response = await postWorkbook(true);
+      setValidation(response.data);
+    } catch (error) {
+      const report = error.response?.data;
+      if (report?.errors?.length) {
+        showValidationErrors(report);
+      } else {
+        message.error(report?.error || 'Validation failed');
+      }
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  // Step 2: import the validated workbook
+  const handleImport = async () => {
+    setUploading(true);
+    try {
+      const response = await postWorkbook(false);
+      message.success(`${response.data.recordsInserted} P&L amounts imported for ${response.data.periods.length} periods`);
+      resetUpload();
+      fetchPL();
+      loadExcelData(selectedDivision).catch(() => {});
+    } catch (error) {
+      const report = error.response?.data;
+      if (report?.errors?.length) {
+        showValidationErrors(report);
+      } else {
+        message.error(report?.error || 'Import failed');
+      }
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const periodColumns = [
+    { title: 'Year', dataIndex: 'year', key: 'year', width: 90 },
+    {
+      title: 'Type',
+      dataIndex: 'type',
+      key: 'type',
+      width: 110,
+      render: (type) => <Tag color={TYPE_COLORS[type]}>{type}</Tag>
+    },
+    {
+      title: 'Months',
+      dataIndex: 'months',
+      key: 'months',
+      render: (months) => (months || []).map(month => (
+        <Tag key={month}>{monthNames[month - 1]}</Tag>
+      ))
+    }
+  ];
+
+  const ledgerColumns = [
+    { title: 'Code', dataIndex: 'code', key: 'code', width: 260, render: (code) => <code>{code}</code> },
+    { title: 'Ledger', dataIndex: 'name', key: 'name' },
+    {
+      title: 'Formula',
+      dataIndex: 'formula',
+      key: 'formula',
+      render: (formula) => (formula ? <code>{formula}</code> : null)
+    },
+    {
+      title: 'Measure',
+      dataIndex: 'measure',
+      key: 'measure',
+      width: 110,
+      render: (measure) => <Tag color={MEASURE_COLORS[measure]}>{measure}</Tag>
+    }
+  ];
+
+  if (!selectedDivision) {
+    return <Empty description="Select a division to manage P&L data" />;
+  }
+
+  return (
+    <div style={{ padding: '8px 0' }}>
+      <Space style={{ marginBottom: 16 }}>
+        <Button type="primary" icon={<UploadOutlined />} onClick={() => setUploadModalVisible(true)}>
+          Import P&L Workbook
+        </Button>
+        <Button icon={<ReloadOutlined />} onClick={fetchPL} loading={loading}>
+          Refresh
+        </Button>
+      </Space>
+
+      <Card size="small" title={`Loaded P&L periods - ${selectedDivision}`} style={{ marginBottom: 16 }}>
+        <Table
+          size="small"
+          rowKey={(row) => `${row.year}-${row.type}`}
+          loading={loading}
+          columns={periodColumns}
+          dataSource={periods}
+          pagination={false}
+          locale={{ emptyText: 'No P&L data imported yet' }}
+        />
+      </Card>
+
+      <Card size="small" title="Chart of accounts">
+        <Table
+          size="small"
+          rowKey="code"
+          loading={loading}
+          columns={ledgerColumns}
+          dataSource={ledgers}
+          pagination={{ pageSize: 20, size: 'small' }}
+        />
+      </Card>
+
+      <Modal
+        title={<span><FileExcelOutlined /> Import P&L Workbook - {selectedDivision}</span>}
+        open={uploadModalVisible}
+        onCancel={resetUpload}
+        width={640}
+        footer={[
+          <Button key="cancel" onClick={resetUpload}>Cancel</Button>,
+          validation ? (
+            <Button key="import" type="primary" loading={uploading} onClick={handleImport}>
+              Import {validation.recordCount} Amounts
+            </Button>
+          ) : (
+            <Button key="validate" type="primary" loading={uploading} disabled={!selectedFile} onClick={handleValidate}>
+              Validate
+            </Button>
+          )
+        ]}
+      >
+        <Alert
+          type="info"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message="Row 1 years, row 2 month names, row 3 types (Actual / Estimate / Budget / Forecast), ledger names in column A. Ledger lines are matched to the chart of accounts by name."
+        />
+
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Upload
+            accept=".xlsx,.xls"
+            maxCount={1}
+            beforeUpload={(file) => {
+              setSelectedFile(file);
+              setValidation(null);
+              return false;
+            }}
+            onRemove={() => {
+              setSelectedFile(null);
+              setValidation(null);
+            }}
+            fileList={selectedFile ? [selectedFile] : []}
+          >
+            <Button icon={<UploadOutlined />}>Select Workbook</Button>
+          </Upload>
+
+          <Radio.Group
+            value={uploadMode}
+            onChange={(e) => {
+              setUploadMode(e.target.value);
+              setValidation(null);
+            }}
+          >
+            <Radio value="upsert">Replace the periods in the workbook</Radio>
+            <Radio value="replace">Replace all P&L data of {selectedDivision}</Radio>
+          </Radio.Group>
+
+          {validation && (
+            <Alert
+              type="success"
+              showIcon
+              icon={<CheckCircleOutlined />}
+              message={`Validation passed: ${validation.recordCount} amounts across ${validation.periods.length} periods (sheet "${validation.sheetName}")`}
+              description={validation.warnings?.length ? (
+                <div style={{ maxHeight: '150px', overflowY: 'auto' }}>
+                  {validation.warnings.map((warning, idx) => <div key={idx}>{warning}</div>)}
+                </div>
+              ) : null}
+            />
+          )}
+        </Space>
+      </Modal>
+    </div>
+  );
+};
+
+export default PLTab;
@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Table, Button, Space, message, Modal, Tag, Card, Alert, Empty, Select, Input } from 'antd';
+import { LockOutlined, UnlockOutlined, ReloadOutlined } from '@ant-design/icons';
+import { useExcelData } from '../../../contexts/ExcelDataContext';
+import { useAuth } from '../../../contexts/AuthContext';
+import axios from 'axios';
+
+const API_BASE = 'http://localhost:3001/api/aebf';
+
+const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+const STATUS_TAGS = {
+  open: { color: 'green', label: 'Open' },
+  soft_closed: { color: 'orange', label: 'Soft-closed' },
+  hard_closed: { color: 'red', label: 'Hard-closed' }
+};
+const STATUS_RANK = { open: 0, soft_closed: 1, hard_closed: 2 };
+
+const currentYear = new Date().getFullYear();
+const YEAR_OPTIONS = Array.from({ length: 6 }, (_, i) => currentYear + 1 - i).map(year => ({ value: year, label: year }));
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+/**
+ * PeriodCloseTab Component - Month-end close register
+ * Closed months refuse Actual / Estimate / Forecast / P&L uploads and budget saves.
+ * - Soft-closed: only administrators may still post
+ * - Hard-closed: nobody may post until an administrator reopens the month
+ * Every reopen is recorded in the audit trail with its reason.
+ */
+const PeriodCloseTab = () => {
+  const { selectedDivision } = useExcelData();
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+
+  const [year, setYear] = useState(currentYear);
+  const [periods, setPeriods] = useState([]);
+  const [audit, setAudit] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedMonths, setSelectedMonths] = useState([]);
+
+  // Status change modal
+  const [targetStatus, setTargetStatus] = useState(null);
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const division = selectedDivision ? selectedDivision.split('-')[0].toUpperCase() : null;
+
+  const fetchRegister = useCallback(async () => {
+    if (!division) return;
+    setLoading(true);
+    try {
+      const [registerResponse, auditResponse] = await Promise.all([
+        axios.get(`${API_BASE}/period-close`, { params: { division, year } }),
+        axios.get(`${API_BASE}/period-close/audit`, { params: { division, year } })
+      ]);
+      setPeriods(registerResponse.data.data.periods || []);
+      setAudit(auditResponse.data.data.audit || []);
+    } catch (error) {
+      console.error('Error fetching period close register:', error);
+      message.error('Failed to load the period close register');
+    } finally {
+      setLoading(false);
+    }
+  }, [division, year]);
+
+  useEffect(() => {
+    setSelectedMonths([]);
+    fetchRegister();
+  }, [fetchRegister]);
+
+  // Lowering the status of any selected month is a reopen and needs a reason
+  const isReopen = targetStatus !== null && periods.some(period =>
+    selectedMonths.includes(period.month) && STATUS_RANK[targetStatus] < STATUS_RANK[period.status]
+  );
+
+  const openStatusModal = (status) => {
+    setTargetStatus(status);
+    setReason('');
+  };
+
+  const closeStatusModal = () => {
+    setTargetStatus(null);
+    setReason('');
+  };
+
+  const handleSetStatus = async () => {
+    if (isReopen && !reason.trim()) {
+      message.error('Please give a reason for reopening');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await axios.put(`${API_BASE}/period-close`, {
+        division,
+        year,
+        months: selectedMonths,
+        status: targetStatus,
+        reason: reason.trim() || null
+      });
+      message.success(response.data.message);
+      closeStatusModal();
+      setSelectedMonths([]);
+      fetchRegister();
+    } catch (error) {
+      console.error('Error updating period close register:', error);
+      message.error(error.response?.data?.error || 'Failed to update the period close register');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const registerColumns = [
+    { title: 'Month', dataIndex: 'month', key: 'month', width: 140, render: (month) => monthNames[month - 1] },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      width: 140,
+      render: (status) => <Tag color={STATUS_TAGS[status].color}>{STATUS_TAGS[status].label}</Tag>
+    },
+    { title: 'Changed by', dataIndex: 'updated_by', key: 'updated_by', render: (value) => value || '-' },
+    { title: 'Changed at', dataIndex: 'updated_at', key: 'updated_at', width: 200, render: formatDateTime }
+  ];
+
+  const auditColumns = [
+    { title: 'When', dataIndex: 'performed_at', key: 'performed_at', width: 200, render: formatDateTime },
+    { title: 'Month', key: 'period', width: 150, render: (_, row) => `${monthNames[row.month - 1]} ${row.year}` },
+    {
+      title: 'Action',
+      dataIndex: 'action',
+      key: 'action',
+      width: 100,
+      render: (action) => <Tag color={action === 'reopen' ? 'volcano' : 'blue'}>{action === 'reopen' ? 'Reopen' : 'Close'}</Tag>
+    },
+    {
+      title: 'Change',
+      key: 'change',
+      width: 230,
+      render: (_, row) => `${STATUS_TAGS[row.from_status].label} → ${STATUS_TAGS[row.to_status].label}`
+    },
+    { title: 'By', dataIndex: 'performed_by', key: 'performed_by', width: 160 },
+    { title: 'Reason', dataIndex: 'reason', key: 'reason', render: (value) => value || '-' }
+  ];
+
+  if (!division) {
+    return <Empty description="Select a division to manage the period close register" />;
+  }
+
+  return (
+    <div style={{ padding: '8px 0' }}>
+      <Space style={{ marginBottom: 16 }} wrap>
+        <Select value={year} options={YEAR_OPTIONS} onChange={setYear} style={{ width: 100 }} />
+        <Button icon={<ReloadOutlined />} onClick={fetchRegister} loading={loading}>
+          Refresh
+        </Button>
+        {isAdmin && (
+          <>
+            <Button icon={<LockOutlined />} disabled={selectedMonths.length === 0} onClick={() => openStatusModal('soft_closed')}>
+              Soft Close
+            </Button>
+            <Button danger icon={<LockOutlined />} disabled={selectedMonths.length === 0} onClick={() => openStatusModal('hard_closed')}>
+              Hard Close
+            </Button>
+            <Button icon={<UnlockOutlined />} disabled={selectedMonths.length === 0} onClick={() => openStatusModal('open')}>
+              Reopen
+            </Button>
+          </>
+        )}
+      </Space>
+
+      <Alert
+        type="info"
+        showIcon
+        style={{ marginBottom: 16 }}
+        message="Soft-closed months only accept changes from administrators. Hard-closed months refuse all uploads and budget saves until an administrator reopens them. Budgets are locked once any month of the budget year is closed."
+      />
+
+      <Card size="small" title={`Close register - ${division} ${year}`} style={{ marginBottom: 16 }}>
+        <Table
+          size="small"
+          rowKey="month"
+          loading={loading}
+          columns={registerColumns}
+          dataSource={periods}
+          pagination={false}
+          rowSelection={isAdmin ? {
+            selectedRowKeys: selectedMonths,
+            onChange: (keys) => setSelectedMonths(keys)
+          } : undefined}
+        />
+      </Card>
+
+      <Card size="small" title="Audit trail">
+        <Table
+          size="small"
+          rowKey="id"
+          loading={loading}
+          columns={auditColumns}
+          dataSource={audit}
+          pagination={{ pageSize: 10, size: 'small' }}
+          locale={{ emptyText: 'No months closed or reopened this year' }}
+        />
+      </Card>
+
+      <Modal
+        title={targetStatus ? `Set ${selectedMonths.length} month(s) to ${STATUS_TAGS[targetStatus].label}` : ''}
+        open={targetStatus !== null}
+        onCancel={closeStatusModal}
+        onOk={handleSetStatus}
+        okText="Apply"
+        confirmLoading={saving}
+      >
+        <p>
+          {[...selectedMonths].sort((a, b) => a - b).map(month => monthNames[month - 1]).join(', ')} {year}
+        </p>
+        <Input.TextArea
+          rows={3}
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder={isReopen ? 'Reason for reopening (required)' : 'Comment (optional)'}
+          maxLength={1000}
+        />
+      </Modal>
+    </div>
+  );
+};
+
+export default PeriodCloseTab;
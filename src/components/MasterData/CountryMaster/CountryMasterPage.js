@@ -0,0 +1,462 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  Table, Button, Space, Modal, Form, Input, InputNumber, AutoComplete, Select, Tag, Card, Alert,
+  Empty, Popconfirm, Tabs, Statistic, Row, Col, App
+} from 'antd';
+import { PlusOutlined, EditOutlined, LinkOutlined, DeleteOutlined, ReloadOutlined } from '@ant-design/icons';
+import axios from 'axios';
+import { useExcelData } from '../../../contexts/ExcelDataContext';
+import { useAuth } from '../../../contexts/AuthContext';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const formatNumber = (value) => Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 0 });
+
+/**
+ * CountryMasterPage Component
+ * Editable country reference data (region, market type, currency, map coordinates) and the
+ * aliases each division's data uses for a country. Country names in the division data that
+ * match no country or alias are listed as unassigned, to be mapped or added as new countries.
+ */
+const CountryMasterPage = () => {
+  const { selectedDivision } = useExcelData();
+  const { user } = useAuth();
+  const { message } = App.useApp();
+  const isAdmin = user?.role === 'admin';
+  const [form] = Form.useForm();
+
+  const division = selectedDivision ? selectedDivision.split('-')[0].toUpperCase() : null;
+
+  const [countries, setCountries] = useState([]);
+  const [regions, setRegions] = useState([]);
+  const [marketTypes, setMarketTypes] = useState(['Local', 'Export']);
+  const [search, setSearch] = useState('');
+  const [regionFilter, setRegionFilter] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const [editor, setEditor] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [newAlias, setNewAlias] = useState({});
+
+  const [unassigned, setUnassigned] = useState(null);
+  const [unassignedLoading, setUnassignedLoading] = useState(false);
+  const [mapping, setMapping] = useState(null);
+
+  const fetchCountries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [countriesResponse, regionsResponse] = await Promise.all([
+        axios.get(`${API_BASE_URL}/api/country-master`, {
+          params: { search: search.trim() || undefined, region: regionFilter || undefined }
+        }),
+        axios.get(`${API_BASE_URL}/api/country-master/regions`)
+      ]);
+      setCountries(countriesResponse.data.data || []);
+      setRegions(regionsResponse.data.data.regions || []);
+      setMarketTypes(regionsResponse.data.data.marketTypes || ['Local', 'Export']);
+    } catch (error) {
+      console.error('Error loading country master:', error);
+      message.error(error.response?.data?.error || 'Failed to load the country master');
+    } finally {
+      setLoading(false);
+    }
+  }, [search, regionFilter, message]);
+
+  const fetchUnassigned = useCallback(async () => {
+    if (!division) return;
+    setUnassignedLoading(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/country-master/unassigned`, { params: { division } });
+      setUnassigned(response.data.data);
+    } catch (error) {
+      console.error('Error loading unassigned countries:', error);
+      message.error(error.response?.data?.error || 'Failed to load unassigned countries');
+    } finally {
+      setUnassignedLoading(false);
+    }
+  }, [division, message]);
+
+  useEffect(() => {
+    fetchCountries();
+  }, [fetchCountries]);
+
+  useEffect(() => {
+    fetchUnassigned();
+  }, [fetchUnassigned]);
+
+  const openEditor = (country = null, defaults = {}) => {
+    form.resetFields();
+    form.setFieldsValue(country ? {
+      name: country.name,
+      region: country.region,
+      marketType: country.marketType,
+      currencyCode: country.currency?.code,
+      currencyName: country.currency?.name,
+      currencySymbol: country.currency?.symbol,
+      longitude: country.coordinates?.[0],
+      latitude: country.coordinates?.[1]
+    } : { marketType: 'Export', ...defaults });
+    setEditor({ country });
+  };
+
+  const handleSave = async () => {
+    const values = await form.validateFields();
+    setSaving(true);
+    try {
+      const response = editor.country
+        ? await axios.put(`${API_BASE_URL}/api/country-master/${editor.country.id}`, values)
+        : await axios.post(`${API_BASE_URL}/api/country-master`, values);
+      message.success(response.data.message);
+      setEditor(null);
+      fetchCountries();
+      fetchUnassigned();
+    } catch (error) {
+      console.error('Error saving country:', error);
+      message.error(error.response?.data?.error || 'Failed to save the country');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (country) => {
+    try {
+      const response = await axios.delete(`${API_BASE_URL}/api/country-master/${country.id}`);
+      message.success(response.data.message);
+      fetchCountries();
+      fetchUnassigned();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to delete the country');
+    }
+  };
+
+  const handleAddAlias = async (country) => {
+    const alias = (newAlias[country.id] || '').trim();
+    if (!alias) return;
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/country-master/${country.id}/aliases`, { alias });
+      message.success(response.data.message);
+      setNewAlias(current => ({ ...current, [country.id]: '' }));
+      fetchCountries();
+      fetchUnassigned();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to add the alias');
+    }
+  };
+
+  const handleRemoveAlias = async (country, alias) => {
+    try {
+      const response = await axios.delete(`${API_BASE_URL}/api/country-master/${country.id}/aliases/${alias.id}`);
+      message.success(response.data.message);
+      fetchCountries();
+      fetchUnassigned();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to remove the alias');
+      fetchCountries();
+    }
+  };
+
+  // Resolve an unassigned name by making it an alias of an existing country
+  const handleMap = async () => {
+    if (!mapping.countryId) {
+      message.warning('Select the country to map to');
+      return;
+    }
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/country-master/${mapping.countryId}/aliases`, {
+        alias: mapping.name
+      });
+      message.success(response.data.message);
+      setMapping(null);
+      fetchCountries();
+      fetchUnassigned();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to map the country name');
+    }
+  };
+
+  const options = useMemo(() => ({
+    regions: regions.map(value => ({ value })),
+    countries: countries.map(country => ({ value: country.id, label: `${country.name} (${country.region})` }))
+  }), [regions, countries]);
+
+  const countryColumns = [
+    {
+      title: 'Country',
+      dataIndex: 'name',
+      key: 'name',
+      sorter: (a, b) => a.name.localeCompare(b.name),
+      render: (value, country) => (
+        <Space>
+          <strong>{value}</strong>
+          {country.marketType === 'Local' && <Tag color="green">Local</Tag>}
+        </Space>
+      )
+    },
+    {
+      title: 'Region',
+      dataIndex: 'region',
+      key: 'region',
+      sorter: (a, b) => a.region.localeCompare(b.region),
+      render: (value) => <Tag color="blue">{value}</Tag>
+    },
+    {
+      title: 'Currency',
+      dataIndex: 'currency',
+      key: 'currency',
+      render: (currency) => (currency ? `${currency.code}${currency.symbol ? ` (${currency.symbol})` : ''}` : '-')
+    },
+    {
+      title: 'Coordinates',
+      dataIndex: 'coordinates',
+      key: 'coordinates',
+      render: (coordinates) => (coordinates ? `${coordinates[1].toFixed(2)}, ${coordinates[0].toFixed(2)}` : <Tag color="orange">None</Tag>)
+    },
+    {
+      title: 'Aliases',
+      dataIndex: 'aliases',
+      key: 'aliases',
+      render: (aliases, country) => (
+        <Space size={4} wrap>
+          {aliases.map(alias => (
+            <Tag
+              key={alias.id}
+              closable={isAdmin}
+              onClose={(event) => {
+                event.preventDefault();
+                handleRemoveAlias(country, alias);
+              }}
+            >
+              {alias.alias}
+            </Tag>
+          ))}
+          {isAdmin && (
+            <Input
+              size="small"
+              placeholder="+ alias"
+              style={{ width: 110 }}
+              value={newAlias[country.id] || ''}
+              onChange={(event) => setNewAlias(current => ({ ...current, [country.id]: event.target.value }))}
+              onPressEnter={() => handleAddAlias(country)}
+            />
+          )}
+        </Space>
+      )
+    }
+  ];
+
+  if (isAdmin) {
+    countryColumns.push({
+      title: 'Actions',
+      key: 'actions',
+      width: 100,
+      render: (_, country) => (
+        <Space size="small">
+          <Button size="small" icon={<EditOutlined />} onClick={() => openEditor(country)} />
+          <Popconfirm
+            title={`Delete ${country.name}?`}
+            description="Its names and aliases become Unassigned in every report."
+            onConfirm={() => handleDelete(country)}
+          >
+            <Button size="small" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </Space>
+      )
+    });
+  }
+
+  const unassignedColumns = [
+    { title: 'Country name in data', dataIndex: 'country', key: 'country' },
+    { title: 'Amount', dataIndex: 'amount', key: 'amount', align: 'right', render: formatNumber },
+    {
+      title: 'Suggested',
+      dataIndex: 'suggestion',
+      key: 'suggestion',
+      render: (suggestion) => (suggestion ? <Tag color="green">{suggestion.name} ({suggestion.region})</Tag> : '-')
+    }
+  ];
+
+  if (isAdmin) {
+    unassignedColumns.push({
+      title: 'Actions',
+      key: 'actions',
+      width: 200,
+      render: (_, entry) => (
+        <Space size="small">
+          <Button
+            size="small"
+            icon={<LinkOutlined />}
+            onClick={() => setMapping({ name: entry.country, countryId: entry.suggestion?.id })}
+          >
+            Map
+          </Button>
+          <Button size="small" icon={<PlusOutlined />} onClick={() => openEditor(null, { name: entry.country })}>
+            New
+          </Button>
+        </Space>
+      )
+    });
+  }
+
+  const tabItems = [
+    {
+      key: 'countries',
+      label: 'Countries',
+      children: (
+        <>
+          <Space style={{ marginBottom: 16 }} wrap>
+            <Input.Search
+              placeholder="Search country or alias"
+              allowClear
+              onSearch={setSearch}
+              style={{ width: 260 }}
+            />
+            <Select
+              allowClear
+              placeholder="All regions"
+              style={{ width: 200 }}
+              value={regionFilter}
+              onChange={setRegionFilter}
+              options={regions.map(value => ({ value, label: value }))}
+            />
+            <Button icon={<ReloadOutlined />} onClick={fetchCountries} loading={loading}>Refresh</Button>
+            {isAdmin && (
+              <Button type="primary" icon={<PlusOutlined />} onClick={() => openEditor()}>
+                Add Country
+              </Button>
+            )}
+          </Space>
+          <Table
+            size="small"
+            rowKey="id"
+            loading={loading}
+            columns={countryColumns}
+            dataSource={countries}
+            pagination={{ pageSize: 25, size: 'small' }}
+            locale={{ emptyText: 'No countries found' }}
+          />
+        </>
+      )
+    },
+    {
+      key: 'unassigned',
+      label: `Unassigned${unassigned ? ` (${unassigned.unassigned.length})` : ''}`,
+      children: !division ? (
+        <Empty description="Select a division to review its country names" />
+      ) : (
+        <>
+          {unassigned && (
+            <Row gutter={16} style={{ marginBottom: 16 }}>
+              <Col span={8}><Statistic title={`Country names in ${division}`} value={unassigned.totalCountries} /></Col>
+              <Col span={8}><Statistic title="Assigned" value={unassigned.assignedCountries} /></Col>
+              <Col span={8}><Statistic title="Unassigned" value={unassigned.unassigned.length} /></Col>
+            </Row>
+          )}
+          <Alert
+            type="info"
+            showIcon
+            style={{ marginBottom: 16 }}
+            message="Unassigned names count under the Unassigned region and have no map position. Map a name to an existing country to make it an alias, or add it as a new country."
+          />
+          <Space style={{ marginBottom: 16 }}>
+            <Button icon={<ReloadOutlined />} onClick={fetchUnassigned} loading={unassignedLoading}>Refresh</Button>
+          </Space>
+          <Table
+            size="small"
+            rowKey="country"
+            loading={unassignedLoading}
+            columns={unassignedColumns}
+            dataSource={unassigned?.unassigned || []}
+            pagination={{ pageSize: 20, size: 'small' }}
+            locale={{ emptyText: 'Every country name is assigned' }}
+          />
+        </>
+      )
+    }
+  ];
+
+  return (
+    <div style={{ padding: '8px 0' }}>
+      <Card size="small" title="Country Master">
+        <Tabs items={tabItems} />
+      </Card>
+
+      <Modal
+        title={editor?.country ? `Edit ${editor.country.name}` : 'Add Country'}
+        open={editor !== null}
+        onCancel={() => setEditor(null)}
+        onOk={handleSave}
+        okText="Save"
+        confirmLoading={saving}
+        destroyOnClose
+      >
+        <Form form={form} layout="vertical">
+          <Form.Item name="name" label="Country Name" rules={[{ required: true, message: 'Country name is required' }]}>
+            <Input />
+          </Form.Item>
+          <Row gutter={12}>
+            <Col span={14}>
+              <Form.Item name="region" label="Region" rules={[{ required: true, message: 'Region is required' }]}>
+                <AutoComplete options={options.regions} filterOption />
+              </Form.Item>
+            </Col>
+            <Col span={10}>
+              <Form.Item name="marketType" label="Market Type">
+                <Select options={marketTypes.map(value => ({ value, label: value }))} />
+              </Form.Item>
+            </Col>
+          </Row>
+          <Row gutter={12}>
+            <Col span={6}>
+              <Form.Item name="currencyCode" label="Currency">
+                <Input maxLength={3} placeholder="AED" />
+              </Form.Item>
+            </Col>
+            <Col span={12}>
+              <Form.Item name="currencyName" label="Currency Name">
+                <Input />
+              </Form.Item>
+            </Col>
+            <Col span={6}>
+              <Form.Item name="currencySymbol" label="Symbol">
+                <Input />
+              </Form.Item>
+            </Col>
+          </Row>
+          <Row gutter={12}>
+            <Col span={12}>
+              <Form.Item name="latitude" label="Latitude">
+                <InputNumber min={-90} max={90} step={0.0001} style={{ width: '100%' }} />
+              </Form.Item>
+            </Col>
+            <Col span={12}>
+              <Form.Item name="longitude" label="Longitude">
+                <InputNumber min={-180} max={180} step={0.0001} style={{ width: '100%' }} />
+              </Form.Item>
+            </Col>
+          </Row>
+        </Form>
+      </Modal>
+
+      <Modal
+        title={mapping ? `Map "${mapping.name}"` : ''}
+        open={mapping !== null}
+        onCancel={() => setMapping(null)}
+        onOk={handleMap}
+        okText="Map"
+        destroyOnClose
+      >
+        <Select
+          showSearch
+          style={{ width: '100%' }}
+          placeholder="Select the country"
+          optionFilterProp="label"
+          options={options.countries}
+          value={mapping?.countryId}
+          onChange={(countryId) => setMapping(current => ({ ...current, countryId }))}
+        />
+      </Modal>
+    </div>
+  );
+};
+
+export default CountryMasterPage;
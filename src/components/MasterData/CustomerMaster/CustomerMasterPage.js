@@ -0,0 +1,537 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  Table, Button, Space, Modal, Form, Input, InputNumber, AutoComplete, Select, Switch, Tag, Card, Alert,
+  Empty, Popconfirm, Tabs, Statistic, Row, Col, App
+} from 'antd';
+import { PlusOutlined, EditOutlined, LinkOutlined, DisconnectOutlined, StopOutlined, ReloadOutlined } from '@ant-design/icons';
+import axios from 'axios';
+import { useExcelData } from '../../../contexts/ExcelDataContext';
+import { useAuth } from '../../../contexts/AuthContext';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const formatNumber = (value) => Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 0 });
+
+const toOptions = (values) => [...new Set(values.filter(Boolean))].sort().map(value => ({ value }));
+
+/**
+ * CustomerMasterPage Component
+ * Group-wide customer records (stable GC code, country, segment, credit terms, key account)
+ * linked from each division's customer names, and the group view that adds up a year's
+ * actual or budget per customer across divisions.
+ */
+const CustomerMasterPage = () => {
+  const { selectedDivision } = useExcelData();
+  const { user } = useAuth();
+  const { message } = App.useApp();
+  const isAdmin = user?.role === 'admin';
+  const [form] = Form.useForm();
+
+  const division = selectedDivision ? selectedDivision.split('-')[0].toUpperCase() : null;
+
+  const [customers, setCustomers] = useState([]);
+  const [search, setSearch] = useState('');
+  const [includeInactive, setIncludeInactive] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const [editor, setEditor] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [detail, setDetail] = useState(null);
+
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [dataType, setDataType] = useState('ACTUAL');
+  const [unlinked, setUnlinked] = useState([]);
+  const [unlinkedLoading, setUnlinkedLoading] = useState(false);
+  const [linking, setLinking] = useState(null);
+  const [groupView, setGroupView] = useState(null);
+  const [groupLoading, setGroupLoading] = useState(false);
+
+  const fetchCustomers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/customer-master`, {
+        params: { search: search.trim() || undefined, includeInactive: includeInactive || undefined }
+      });
+      setCustomers(response.data.data || []);
+    } catch (error) {
+      console.error('Error loading customer master:', error);
+      message.error(error.response?.data?.error || 'Failed to load the customer master');
+    } finally {
+      setLoading(false);
+    }
+  }, [search, includeInactive, message]);
+
+  const fetchUnlinked = useCallback(async () => {
+    if (!division) return;
+    setUnlinkedLoading(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/customer-master/unlinked`, {
+        params: { division, year, type: dataType }
+      });
+      setUnlinked(response.data.data || []);
+    } catch (error) {
+      console.error('Error loading unlinked customers:', error);
+      message.error(error.response?.data?.error || 'Failed to load unlinked customers');
+    } finally {
+      setUnlinkedLoading(false);
+    }
+  }, [division, year, dataType, message]);
+
+  const fetchGroupView = useCallback(async () => {
+    setGroupLoading(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/customer-master/group-view`, {
+        params: { year, type: dataType }
+      });
+      setGroupView(response.data.data);
+    } catch (error) {
+      console.error('Error loading group customer view:', error);
+      message.error(error.response?.data?.error || 'Failed to load the group view');
+    } finally {
+      setGroupLoading(false);
+    }
+  }, [year, dataType, message]);
+
+  useEffect(() => {
+    fetchCustomers();
+  }, [fetchCustomers]);
+
+  const openDetail = async (customer) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/customer-master/${customer.id}`);
+      setDetail(response.data.data);
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to load the customer');
+    }
+  };
+
+  const openEditor = (customer = null) => {
+    form.resetFields();
+    form.setFieldsValue(customer ? {
+      name: customer.name,
+      country: customer.country,
+      segment: customer.segment,
+      creditTerms: customer.credit_terms,
+      isKeyAccount: customer.is_key_account,
+      notes: customer.notes
+    } : { isKeyAccount: false });
+    setEditor({ customer });
+  };
+
+  const handleSave = async () => {
+    const values = await form.validateFields();
+    setSaving(true);
+    try {
+      const response = editor.customer
+        ? await axios.put(`${API_BASE_URL}/api/customer-master/${editor.customer.id}`, values)
+        : await axios.post(`${API_BASE_URL}/api/customer-master`, values);
+      message.success(response.data.message);
+      setEditor(null);
+      fetchCustomers();
+    } catch (error) {
+      console.error('Error saving customer:', error);
+      message.error(error.response?.data?.error || 'Failed to save the customer');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setActive = async (customer, active) => {
+    try {
+      const response = active
+        ? await axios.put(`${API_BASE_URL}/api/customer-master/${customer.id}`, { isActive: true })
+        : await axios.delete(`${API_BASE_URL}/api/customer-master/${customer.id}`);
+      message.success(response.data.message);
+      fetchCustomers();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to update the customer');
+    }
+  };
+
+  const handleUnlink = async (link) => {
+    try {
+      await axios.delete(`${API_BASE_URL}/api/customer-master/${detail.id}/links/${link.id}`);
+      message.success(`${link.raw_name} unlinked`);
+      openDetail(detail);
+      fetchCustomers();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to unlink the name');
+    }
+  };
+
+  const handleLink = async () => {
+    if (!linking.customerId) {
+      message.warning('Select the customer to link to');
+      return;
+    }
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/customer-master/${linking.customerId}/links`, {
+        division,
+        names: linking.names
+      });
+      message.success(response.data.message);
+      setLinking(null);
+      fetchUnlinked();
+      fetchCustomers();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to link the names');
+    }
+  };
+
+  // Create a master from an unlinked name and link it in one go
+  const createFromName = async (entry) => {
+    try {
+      const created = await axios.post(`${API_BASE_URL}/api/customer-master`, { name: entry.name });
+      await axios.post(`${API_BASE_URL}/api/customer-master/${created.data.data.id}/links`, { division, names: [entry.name] });
+      message.success(`${created.data.data.customer_code} created and linked`);
+      fetchUnlinked();
+      fetchCustomers();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to create the customer');
+    }
+  };
+
+  const options = useMemo(() => ({
+    countries: toOptions(customers.map(c => c.country)),
+    segments: toOptions(customers.map(c => c.segment)),
+    creditTerms: toOptions(customers.map(c => c.credit_terms)),
+    masters: customers.filter(c => c.is_active).map(c => ({ value: c.id, label: `${c.customer_code} - ${c.name}` }))
+  }), [customers]);
+
+  const customerColumns = [
+    { title: 'Code', dataIndex: 'customer_code', key: 'customer_code', width: 110 },
+    {
+      title: 'Customer',
+      dataIndex: 'name',
+      key: 'name',
+      sorter: (a, b) => a.name.localeCompare(b.name),
+      render: (value, customer) => (
+        <Space>
+          <Button type="link" size="small" onClick={() => openDetail(customer)}>{value}</Button>
+          {customer.is_key_account && <Tag color="gold">Key account</Tag>}
+          {!customer.is_active && <Tag>Inactive</Tag>}
+        </Space>
+      )
+    },
+    { title: 'Country', dataIndex: 'country', key: 'country', render: (value) => value || '-' },
+    { title: 'Segment', dataIndex: 'segment', key: 'segment', render: (value) => value || '-' },
+    { title: 'Credit Terms', dataIndex: 'credit_terms', key: 'credit_terms', render: (value) => value || '-' },
+    {
+      title: 'Divisions',
+      dataIndex: 'divisions',
+      key: 'divisions',
+      render: (divisions, customer) => (
+        <Space size={4}>
+          {divisions.map(code => <Tag key={code} color="blue">{code}</Tag>)}
+          <span style={{ color: '#999' }}>{customer.link_count} name(s)</span>
+        </Space>
+      )
+    }
+  ];
+
+  if (isAdmin) {
+    customerColumns.push({
+      title: 'Actions',
+      key: 'actions',
+      width: 110,
+      render: (_, customer) => (
+        <Space size="small">
+          <Button size="small" icon={<EditOutlined />} onClick={() => openEditor(customer)} />
+          {customer.is_active ? (
+            <Popconfirm
+              title="Deactivate this customer?"
+              description="Its linked names stop counting in the group view."
+              onConfirm={() => setActive(customer, false)}
+            >
+              <Button size="small" danger icon={<StopOutlined />} />
+            </Popconfirm>
+          ) : (
+            <Button size="small" onClick={() => setActive(customer, true)}>Activate</Button>
+          )}
+        </Space>
+      )
+    });
+  }
+
+  const unlinkedColumns = [
+    { title: 'Customer name', dataIndex: 'name', key: 'name' },
+    { title: 'Amount', dataIndex: 'amount', key: 'amount', align: 'right', render: formatNumber },
+    { title: 'KGS', dataIndex: 'kgs', key: 'kgs', align: 'right', render: formatNumber },
+    {
+      title: 'Suggested',
+      dataIndex: 'suggestion',
+      key: 'suggestion',
+      render: (suggestion) => (suggestion ? <Tag color="green">{suggestion.customerCode} - {suggestion.name}</Tag> : '-')
+    }
+  ];
+
+  if (isAdmin) {
+    unlinkedColumns.push({
+      title: 'Actions',
+      key: 'actions',
+      width: 200,
+      render: (_, entry) => (
+        <Space size="small">
+          <Button
+            size="small"
+            icon={<LinkOutlined />}
+            onClick={() => setLinking({ names: [entry.name], customerId: entry.suggestion?.id })}
+          >
+            Link
+          </Button>
+          {!entry.suggestion && (
+            <Button size="small" icon={<PlusOutlined />} onClick={() => createFromName(entry)}>New</Button>
+          )}
+        </Space>
+      )
+    });
+  }
+
+  const groupColumns = [
+    { title: 'Code', dataIndex: 'customerCode', key: 'customerCode', width: 110 },
+    {
+      title: 'Customer',
+      dataIndex: 'name',
+      key: 'name',
+      render: (value, row) => (
+        <Space>
+          {value}
+          {row.isKeyAccount && <Tag color="gold">Key account</Tag>}
+        </Space>
+      )
+    },
+    { title: 'Country', dataIndex: 'country', key: 'country', render: (value) => value || '-' },
+    { title: 'Segment', dataIndex: 'segment', key: 'segment', render: (value) => value || '-' },
+    ...(groupView?.divisions || []).map(code => ({
+      title: code,
+      key: code,
+      align: 'right',
+      render: (_, row) => (row.divisions[code] ? formatNumber(row.divisions[code].amount) : '-')
+    })),
+    {
+      title: 'Group Amount',
+      dataIndex: 'amount',
+      key: 'amount',
+      align: 'right',
+      sorter: (a, b) => a.amount - b.amount,
+      defaultSortOrder: 'descend',
+      render: (value) => <strong>{formatNumber(value)}</strong>
+    },
+    { title: 'Group KGS', dataIndex: 'kgs', key: 'kgs', align: 'right', render: formatNumber }
+  ];
+
+  const periodControls = (onRefresh, refreshing) => (
+    <Space style={{ marginBottom: 16 }} wrap>
+      <InputNumber min={2000} max={2100} value={year} onChange={(value) => value && setYear(value)} />
+      <Select
+        value={dataType}
+        onChange={setDataType}
+        style={{ width: 120 }}
+        options={[{ value: 'ACTUAL', label: 'Actual' }, { value: 'BUDGET', label: 'Budget' }]}
+      />
+      <Button type="primary" icon={<ReloadOutlined />} onClick={onRefresh} loading={refreshing}>
+        Load
+      </Button>
+    </Space>
+  );
+
+  const tabItems = [
+    {
+      key: 'customers',
+      label: 'Customers',
+      children: (
+        <>
+          <Space style={{ marginBottom: 16 }} wrap>
+            <Input.Search
+              placeholder="Search code, name or linked name"
+              allowClear
+              onSearch={setSearch}
+              style={{ width: 300 }}
+            />
+            <Switch checked={includeInactive} onChange={setIncludeInactive} /> Show inactive
+            <Button icon={<ReloadOutlined />} onClick={fetchCustomers} loading={loading}>Refresh</Button>
+            {isAdmin && (
+              <Button type="primary" icon={<PlusOutlined />} onClick={() => openEditor()}>
+                Add Customer
+              </Button>
+            )}
+          </Space>
+          <Table
+            size="small"
+            rowKey="id"
+            loading={loading}
+            columns={customerColumns}
+            dataSource={customers}
+            pagination={{ pageSize: 20, size: 'small' }}
+            locale={{ emptyText: 'No customers in the master yet' }}
+          />
+        </>
+      )
+    },
+    {
+      key: 'unlinked',
+      label: `Unlinked Names${division ? ` (${division})` : ''}`,
+      children: !division ? (
+        <Empty description="Select a division to link its customer names" />
+      ) : (
+        <>
+          <Alert
+            type="info"
+            showIcon
+            style={{ marginBottom: 16 }}
+            message="Names are shown as dashboards show them, after the division's merge rules. Linking a merged name covers all the customers of that rule."
+          />
+          {periodControls(fetchUnlinked, unlinkedLoading)}
+          <Table
+            size="small"
+            rowKey="name"
+            loading={unlinkedLoading}
+            columns={unlinkedColumns}
+            dataSource={unlinked}
+            pagination={{ pageSize: 20, size: 'small' }}
+            locale={{ emptyText: 'Every customer is linked' }}
+          />
+        </>
+      )
+    },
+    {
+      key: 'group',
+      label: 'Group View',
+      children: (
+        <>
+          {periodControls(fetchGroupView, groupLoading)}
+          {groupView && (
+            <>
+              <Row gutter={16} style={{ marginBottom: 16 }}>
+                <Col span={6}><Statistic title="Group customers" value={groupView.customers.length} /></Col>
+                <Col span={6}><Statistic title="Linked amount" value={formatNumber(groupView.totals.linkedAmount)} /></Col>
+                <Col span={6}><Statistic title="Total amount" value={formatNumber(groupView.totals.amount)} /></Col>
+                <Col span={6}>
+                  <Statistic
+                    title="Coverage"
+                    value={groupView.totals.amount ? (groupView.totals.linkedAmount / groupView.totals.amount) * 100 : 0}
+                    precision={1}
+                    suffix="%"
+                  />
+                </Col>
+              </Row>
+              {Object.keys(groupView.unlinked).length > 0 && (
+                <Alert
+                  type="warning"
+                  showIcon
+                  style={{ marginBottom: 16 }}
+                  message="Not linked yet"
+                  description={Object.entries(groupView.unlinked).map(([code, entry]) => (
+                    <div key={code}>{code}: {entry.customers} customer(s), {formatNumber(entry.amount)} amount</div>
+                  ))}
+                />
+              )}
+            </>
+          )}
+          <Table
+            size="small"
+            rowKey="id"
+            loading={groupLoading}
+            columns={groupColumns}
+            dataSource={groupView?.customers || []}
+            pagination={{ pageSize: 25, size: 'small' }}
+            locale={{ emptyText: groupView ? 'No linked customers have data for this year' : 'Choose a year and load' }}
+          />
+        </>
+      )
+    }
+  ];
+
+  return (
+    <div style={{ padding: '8px 0' }}>
+      <Card size="small" title="Group Customer Master">
+        <Tabs items={tabItems} />
+      </Card>
+
+      <Modal
+        title={editor?.customer ? `Edit ${editor.customer.customer_code}` : 'Add Customer'}
+        open={editor !== null}
+        onCancel={() => setEditor(null)}
+        onOk={handleSave}
+        okText="Save"
+        confirmLoading={saving}
+        destroyOnClose
+      >
+        <Form form={form} layout="vertical">
+          <Form.Item name="name" label="Customer Name" rules={[{ required: true, message: 'Customer name is required' }]}>
+            <Input />
+          </Form.Item>
+          <Form.Item name="country" label="Country">
+            <AutoComplete options={options.countries} filterOption />
+          </Form.Item>
+          <Form.Item name="segment" label="Segment">
+            <AutoComplete options={options.segments} filterOption />
+          </Form.Item>
+          <Form.Item name="creditTerms" label="Credit Terms">
+            <AutoComplete options={options.creditTerms} filterOption placeholder="e.g. 60 days PDC" />
+          </Form.Item>
+          <Form.Item name="isKeyAccount" label="Key Account" valuePropName="checked">
+            <Switch />
+          </Form.Item>
+          <Form.Item name="notes" label="Notes">
+            <Input.TextArea rows={2} />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title={detail ? `${detail.customer_code} - ${detail.name}` : ''}
+        open={detail !== null}
+        onCancel={() => setDetail(null)}
+        footer={null}
+        width={700}
+      >
+        {detail && (
+          <Table
+            size="small"
+            rowKey="id"
+            dataSource={detail.links}
+            pagination={false}
+            locale={{ emptyText: 'No division names linked yet' }}
+            columns={[
+              { title: 'Division', dataIndex: 'division', key: 'division', width: 90, render: (value) => <Tag color="blue">{value}</Tag> },
+              { title: 'Customer name', dataIndex: 'raw_name', key: 'raw_name' },
+              { title: 'Linked by', dataIndex: 'linked_by', key: 'linked_by', render: (value) => value || '-' },
+              ...(isAdmin ? [{
+                title: '',
+                key: 'unlink',
+                width: 60,
+                render: (_, link) => (
+                  <Popconfirm title={`Unlink ${link.raw_name}?`} onConfirm={() => handleUnlink(link)}>
+                    <Button size="small" danger icon={<DisconnectOutlined />} />
+                  </Popconfirm>
+                )
+              }] : [])
+            ]}
+          />
+        )}
+      </Modal>
+
+      <Modal
+        title={linking ? `Link ${linking.names.join(', ')}` : ''}
+        open={linking !== null}
+        onCancel={() => setLinking(null)}
+        onOk={handleLink}
+        okText="Link"
+        destroyOnClose
+      >
+        <Select
+          showSearch
+          style={{ width: '100%' }}
+          placeholder="Select the group customer"
+          optionFilterProp="label"
+          options={options.masters}
+          value={linking?.customerId}
+          onChange={(customerId) => setLinking(current => ({ ...current, customerId }))}
+        />
+      </Modal>
+    </div>
+  );
+};
+
+export default CustomerMasterPage;
@@ -39,7 +39,8 @@ import {
   CheckCircleOutlined,
   CloseCircleOutlined,
   EditOutlined,
-  DeleteOutlined,
+  RollbackOutlined,
+  LineChartOutlined,
   ReloadOutlined,
   WarningOutlined,
   InfoCircleOutlined,
@@ -48,7 +49,10 @@ import {
   SyncOutlined
 } from '@ant-design/icons';
 import { useExcelData } from '../../../contexts/ExcelDataContext';
+import { useJobs } from '../../../contexts/JobsContext';
 import axios from 'axios';
+import MergeModelPanel from './MergeModelPanel';
+import MergeImpactModal from './MergeImpactModal';
 import './CustomerMergingPage.css';
 
 const { TabPane } = Tabs;
@@ -57,6 +61,7 @@ const { Option } = Select;
 
 const CustomerMergingPage = () => {
   const { selectedDivision } = useExcelData();
+  const { trackJob } = useJobs();
 
   // State
   const [loading, setLoading] = useState(false);
@@ -72,6 +77,8 @@ const CustomerMergingPage = () => {
   const [editRuleModalVisible, setEditRuleModalVisible] = useState(false);
   const [selectedSuggestion, setSelectedSuggestion] = useState(null);
   const [selectedRule, setSelectedRule] = useState(null);
+  // Impact preview / unmerge: { proposal, unmergeRule? }
+  const [impactPreview, setImpactPreview] = useState(null);
   const [activeTab, setActiveTab] = useState('suggestions');
   const [selectedMergedRows, setSelectedMergedRows] = useState([]);
   const [divisionCustomers, setDivisionCustomers] = useState([]);
@@ -214,12 +221,12 @@ const CustomerMergingPage = () => {
         minConfidence: 0.35  // Lowered threshold to catch more potential duplicates (users manually approve each)
       });
 
-      if (response.data.success) {
-        message.success(`AI found ${response.data.count} potential merge groups!`);
-        await loadAllData();
-      }
+      // The scan runs as a background job; follow it in the job drawer
+      const job = await trackJob(response.data.job, { title: `AI merge scan - ${selectedDivision}` });
+      message.success(`AI found ${job.result?.count || 0} potential merge groups!`);
+      await loadAllData();
     } catch (error) {
-      message.error('AI scan failed');
+      message.error(error.job?.error || 'AI scan failed');
       console.error(error);
     } finally {
       setScanning(false);
@@ -367,18 +374,18 @@ const CustomerMergingPage = () => {
     }
   };
 
-  const deleteRule = async (ruleId) => {
-    try {
-      const response = await axios.delete(`http://localhost:3001/api/division-merge-rules/rules/${ruleId}?division=${selectedDivision}`);
-
-      if (response.data.success) {
-        message.success('Rule deleted');
-        await loadAllData();
-      }
-    } catch (error) {
-      message.error('Failed to delete rule');
-      console.error(error);
+  // Show what a rule change does to customer totals before saving it
+  const previewRuleImpact = (proposal) => {
+    const originalCustomers = (proposal.originalCustomers || []).filter(c => c?.trim());
+    if (proposal.action !== 'delete' && (!proposal.mergedName?.trim() || originalCustomers.length < 2)) {
+      message.error('Enter a merged name and at least 2 customers to preview');
+      return;
     }
+    setImpactPreview({ proposal: { ...proposal, originalCustomers } });
+  };
+
+  const openUnmerge = (rule) => {
+    setImpactPreview({ proposal: { action: 'delete', ruleId: rule.id }, unmergeRule: rule });
   };
 
   const applyAIFix = async (ruleId, suggestionIndex) => {
@@ -818,17 +825,11 @@ const CustomerMergingPage = () => {
               Edit
             </Button>
           </Tooltip>
-          <Popconfirm
-            title="Delete this rule?"
-            description="This will unmerge the customers."
-            onConfirm={() => deleteRule(record.id)}
-            okText="Yes"
-            cancelText="No"
-          >
-            <Button danger icon={<DeleteOutlined />} size="small">
-              Delete
+          <Tooltip title="Preview the impact, then unmerge">
+            <Button danger icon={<RollbackOutlined />} size="small" onClick={() => openUnmerge(record)}>
+              Unmerge
             </Button>
-          </Popconfirm>
+          </Tooltip>
         </Space>
       )
     }
@@ -1290,6 +1291,13 @@ const CustomerMergingPage = () => {
               </>
             )}
           </TabPane>
+
+          <TabPane
+            tab={<span>🧠 Learning Model</span>}
+            key="model"
+          >
+            <MergeModelPanel division={selectedDivision} />
+          </TabPane>
         </Tabs>
       </Card>
 
@@ -1482,6 +1490,18 @@ const CustomerMergingPage = () => {
           >
             Add Empty Field (Manual Entry)
           </Button>
+          <Button
+            icon={<LineChartOutlined />}
+            onClick={() => previewRuleImpact({
+              action: 'update',
+              ruleId: selectedRule?.id,
+              mergedName: editRuleForm.mergedName,
+              originalCustomers: editRuleForm.customers
+            })}
+            style={{ width: '100%', marginTop: 8 }}
+          >
+            Preview Impact
+          </Button>
         </div>
       </Modal>
 
@@ -1540,8 +1560,33 @@ const CustomerMergingPage = () => {
           >
             Add Customer
           </Button>
+          <Button
+            icon={<LineChartOutlined />}
+            onClick={() => previewRuleImpact({
+              action: 'create',
+              mergedName: createForm.mergedName,
+              originalCustomers: createForm.customers
+            })}
+            style={{ marginTop: 8, width: '100%' }}
+          >
+            Preview Impact
+          </Button>
         </div>
       </Modal>
+
+      {/* Merge Impact Preview / Unmerge Modal */}
+      <MergeImpactModal
+        open={impactPreview !== null}
+        division={selectedDivision}
+        proposal={impactPreview?.proposal}
+        unmergeRule={impactPreview?.unmergeRule}
+        message={message}
+        onClose={() => setImpactPreview(null)}
+        onUnmerged={() => {
+          setImpactPreview(null);
+          loadAllData();
+        }}
+      />
     </div>
   );
 };
@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Table, Tag, Alert, Spin, Input, Empty, Typography } from 'antd';
+import axios from 'axios';
+
+const { TextArea } = Input;
+const { Text } = Typography;
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const formatNumber = (value) => Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 0 });
+
+const renderCustomers = (entries) => entries.map(entry => (
+  <div key={entry.customer}>
+    <Tag color="blue">#{entry.rank}</Tag>
+    <strong>{entry.customer}</strong>
+    <Text type="secondary" style={{ marginLeft: 8 }}>
+      {formatNumber(entry.amount)} · {formatNumber(entry.kgs)} kg
+    </Text>
+  </div>
+));
+
+/**
+ * MergeImpactModal Component
+ * Dry-run of a merge rule change: per sales rep and year, the revenue, KGS and rank
+ * of the customers involved before and after. With `unmergeRule` set it also asks for
+ * a reason and unmerges the rule on OK.
+ *
+ * @param {Object} proposal - { action: 'create'|'update'|'delete', ruleId, mergedName, originalCustomers }
+ * @param {Object} [unmergeRule] - Active rule to unmerge (proposal is then a delete of it)
+ */
+const MergeImpactModal = ({ open, division, proposal, unmergeRule, onClose, onUnmerged, message }) => {
+  const [impact, setImpact] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!open || !proposal) return;
+    setImpact(null);
+    setError(null);
+    setReason('');
+    setLoading(true);
+    axios.post(`${API_BASE_URL}/api/division-merge-rules/rules/preview`, { division, ...proposal })
+      .then(response => setImpact(response.data.data))
+      .catch(err => setError(err.response?.data?.error || 'Failed to preview the impact'))
+      .finally(() => setLoading(false));
+  }, [open, division, proposal]);
+
+  const handleUnmerge = async () => {
+    if (!reason.trim()) {
+      message.warning('Please enter why the customers are unmerged');
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/api/division-merge-rules/rules/${unmergeRule.id}/unmerge`,
+        { division, reason }
+      );
+      message.success(response.data.message);
+      onUnmerged && onUnmerged();
+    } catch (err) {
+      message.error(err.response?.data?.error || 'Failed to unmerge');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const columns = [
+    { title: 'Data', dataIndex: 'source', key: 'source', width: 80, render: (value) => <Tag color={value === 'Budget' ? 'purple' : 'green'}>{value}</Tag> },
+    { title: 'Sales Rep', dataIndex: 'salesRep', key: 'salesRep' },
+    { title: 'Year', dataIndex: 'year', key: 'year', width: 70 },
+    { title: 'Before', dataIndex: 'before', key: 'before', render: renderCustomers },
+    { title: 'After', dataIndex: 'after', key: 'after', render: renderCustomers },
+    {
+      title: 'Other rank changes',
+      dataIndex: 'rankChanges',
+      key: 'rankChanges',
+      render: (changes) => (changes.length === 0 ? '-' : changes.map(change => (
+        <div key={change.customer}>
+          {change.customer}: #{change.rankBefore} → #{change.rankAfter}
+        </div>
+      )))
+    }
+  ];
+
+  const titles = {
+    create: 'Impact of the new merge rule',
+    update: 'Impact of the rule change',
+    delete: unmergeRule ? `Unmerge "${unmergeRule.merged_customer_name}"` : 'Impact of removing the rule'
+  };
+
+  return (
+    <Modal
+      title={proposal ? titles[proposal.action] : ''}
+      open={open}
+      onCancel={onClose}
+      onOk={unmergeRule ? handleUnmerge : onClose}
+      okText={unmergeRule ? 'Unmerge' : 'Close'}
+      okButtonProps={{ danger: !!unmergeRule, disabled: unmergeRule && !impact }}
+      cancelButtonProps={{ style: unmergeRule ? undefined : { display: 'none' } }}
+      confirmLoading={submitting}
+      width={1000}
+      destroyOnClose
+    >
+      {loading && <div style={{ textAlign: 'center', padding: 24 }}><Spin /></div>}
+      {error && <Alert type="error" showIcon message={error} />}
+      {impact && (
+        <>
+          <Alert
+            type={impact.changes.length > 0 ? 'warning' : 'info'}
+            showIcon
+            style={{ marginBottom: 16 }}
+            message={impact.changes.length > 0
+              ? `Changes customer totals for ${impact.summary.salesReps} sales rep(s) in ${impact.summary.years.join(', ')}`
+              : 'No sales rep or year is affected by this change'}
+            description={impact.changes.length > 0 &&
+              `Revenue involved: ${formatNumber(impact.summary.actualAmount)} actual, ${formatNumber(impact.summary.budgetAmount)} budget. ` +
+              `Volume: ${formatNumber(impact.summary.actualKgs)} kg actual, ${formatNumber(impact.summary.budgetKgs)} kg budget.`}
+          />
+          {impact.changes.length === 0 ? (
+            <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} />
+          ) : (
+            <Table
+              size="small"
+              columns={columns}
+              dataSource={impact.changes}
+              rowKey={(row) => `${row.source}|${row.salesRep}|${row.year}`}
+              pagination={{ pageSize: 8, size: 'small' }}
+              scroll={{ y: 400 }}
+            />
+          )}
+          {unmergeRule && (
+            <div style={{ marginTop: 16 }}>
+              <label>Reason for unmerging (recorded with your name):</label>
+              <TextArea
+                rows={2}
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="e.g. Different legal entities, separate credit limits"
+                style={{ marginTop: 8 }}
+              />
+            </div>
+          )}
+        </>
+      )}
+    </Modal>
+  );
+};
+
+export default MergeImpactModal;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Space, Tag, Alert, Row, Col, Statistic, Popconfirm, InputNumber, App } from 'antd';
+import { ExperimentOutlined, LineChartOutlined, RollbackOutlined, ReloadOutlined } from '@ant-design/icons';
+import axios from 'axios';
+import { useAuth } from '../../../contexts/AuthContext';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const FEATURE_LABELS = {
+  levenshtein: 'Character similarity (Levenshtein)',
+  jaroWinkler: 'Prefix similarity (Jaro-Winkler)',
+  tokenSet: 'Word overlap (token set)',
+  businessSuffix: 'Match without legal suffixes',
+  nGramPrefix: 'First words match',
+  coreBrand: 'Core brand match',
+  phonetic: 'Sounds alike (phonetic)'
+};
+
+const percent = (value) => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+
+/**
+ * MergeModelPanel Component
+ * Weights of the AI merge scan learned from approved / edited / rejected suggestions:
+ * train a new version, compare precision / recall on held-out feedback, roll back.
+ */
+const MergeModelPanel = ({ division }) => {
+  const { message } = App.useApp();
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+
+  const [model, setModel] = useState(null);
+  const [evaluation, setEvaluation] = useState(null);
+  const [threshold, setThreshold] = useState(0.35);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(null);
+
+  const loadModel = useCallback(async () => {
+    if (!division) return;
+    setLoading(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/division-merge-rules/model`, { params: { division } });
+      setModel(response.data.data);
+    } catch (error) {
+      console.error('Error loading merge model:', error);
+      message.error(error.response?.data?.error || 'Failed to load the merge model');
+    } finally {
+      setLoading(false);
+    }
+  }, [division, message]);
+
+  useEffect(() => {
+    setEvaluation(null);
+    loadModel();
+  }, [loadModel]);
+
+  const runEvaluation = async () => {
+    setBusy('evaluate');
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/division-merge-rules/model/evaluate`, {
+        params: { division, threshold }
+      });
+      setEvaluation(response.data.data);
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to evaluate the model');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const trainModel = async () => {
+    setBusy('train');
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/division-merge-rules/model/train`, { division, threshold });
+      message.success(response.data.message);
+      setEvaluation(null);
+      await loadModel();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to train the model');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const rollbackModel = async () => {
+    setBusy('rollback');
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/division-merge-rules/model/rollback`, { division });
+      message.success(response.data.message);
+      setEvaluation(null);
+      await loadModel();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to roll back the model');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const active = model?.active;
+
+  const weightRows = Object.keys(model?.defaultWeights || {}).map(name => ({
+    name,
+    label: FEATURE_LABELS[name] || name,
+    defaultWeight: model.defaultWeights[name],
+    learnedWeight: active?.weights?.[name]
+  }));
+
+  const weightColumns = [
+    { title: 'Feature', dataIndex: 'label', key: 'label' },
+    { title: 'Fixed weight', dataIndex: 'defaultWeight', key: 'defaultWeight', align: 'right', render: (value) => value.toFixed(2) },
+    {
+      title: active ? `Learned (v${active.version})` : 'Learned',
+      dataIndex: 'learnedWeight',
+      key: 'learnedWeight',
+      align: 'right',
+      render: (value) => (value === undefined ? '-' : value.toFixed(3))
+    }
+  ];
+
+  const versionColumns = [
+    { title: 'Version', dataIndex: 'version', key: 'version', render: (value, row) => (
+      <Space>
+        v{value}
+        {row.isActive && <Tag color="green">Active</Tag>}
+        {row.rolledBackAt && <Tag>Rolled back</Tag>}
+      </Space>
+    ) },
+    { title: 'Trained pairs', dataIndex: 'trainingPairs', key: 'trainingPairs', align: 'right' },
+    { title: 'Held-out pairs', dataIndex: 'heldOutPairs', key: 'heldOutPairs', align: 'right' },
+    { title: 'Precision', key: 'precision', align: 'right', render: (_, row) => percent(row.metrics?.heldOut?.precision) },
+    { title: 'Recall', key: 'recall', align: 'right', render: (_, row) => percent(row.metrics?.heldOut?.recall) },
+    { title: 'Trained by', dataIndex: 'trainedBy', key: 'trainedBy', render: (value) => value || '-' },
+    { title: 'Trained at', dataIndex: 'trainedAt', key: 'trainedAt', render: (value) => (value ? new Date(value).toLocaleString() : '-') }
+  ];
+
+  const renderMetrics = (title, metrics) => (
+    <Card size="small" title={title}>
+      <Row gutter={16}>
+        <Col span={6}><Statistic title="Precision" value={percent(metrics.precision)} /></Col>
+        <Col span={6}><Statistic title="Recall" value={percent(metrics.recall)} /></Col>
+        <Col span={6}><Statistic title="F1" value={percent(metrics.f1)} /></Col>
+        <Col span={6}><Statistic title="Held-out pairs" value={metrics.pairs} /></Col>
+      </Row>
+    </Card>
+  );
+
+  return (
+    <div>
+      <Alert
+        type="info"
+        showIcon
+        style={{ marginBottom: 16 }}
+        message={active
+          ? `AI scans use learned weights v${active.version}`
+          : 'AI scans use the fixed weights'}
+        description={`Training uses the customer pairs of reviewed suggestions (approved, edited, rejected). About one in five pairs is held out to measure precision and recall; at least ${model?.minTrainingPairs || 20} trained pairs with both outcomes are needed.`}
+      />
+
+      <Space style={{ marginBottom: 16 }} wrap>
+        <span>Threshold</span>
+        <InputNumber min={0.05} max={0.95} step={0.05} value={threshold} onChange={(value) => setThreshold(value)} />
+        <Button icon={<LineChartOutlined />} onClick={runEvaluation} loading={busy === 'evaluate'}>
+          Evaluate
+        </Button>
+        {isAdmin && (
+          <>
+            <Button type="primary" icon={<ExperimentOutlined />} onClick={trainModel} loading={busy === 'train'}>
+              Train from Feedback
+            </Button>
+            <Popconfirm
+              title="Roll back the learned weights?"
+              description={active ? 'The previous version (or the fixed weights) becomes active again.' : undefined}
+              onConfirm={rollbackModel}
+              disabled={!active}
+            >
+              <Button icon={<RollbackOutlined />} disabled={!active} loading={busy === 'rollback'}>
+                Roll Back
+              </Button>
+            </Popconfirm>
+          </>
+        )}
+        <Button icon={<ReloadOutlined />} onClick={loadModel} loading={loading}>
+          Refresh
+        </Button>
+      </Space>
+
+      {evaluation && (
+        <Row gutter={16} style={{ marginBottom: 16 }}>
+          <Col span={12}>
+            {renderMetrics(evaluation.activeVersion ? `Learned v${evaluation.activeVersion}` : 'Active (fixed weights)', evaluation.active)}
+          </Col>
+          <Col span={12}>
+            {renderMetrics('Fixed weights', evaluation.defaultWeights)}
+          </Col>
+        </Row>
+      )}
+
+      <Card size="small" title="Feature weights" style={{ marginBottom: 16 }}>
+        <Table
+          size="small"
+          rowKey="name"
+          columns={weightColumns}
+          dataSource={weightRows}
+          loading={loading}
+          pagination={false}
+        />
+      </Card>
+
+      <Card size="small" title="Trained versions">
+        <Table
+          size="small"
+          rowKey="id"
+          columns={versionColumns}
+          dataSource={model?.versions || []}
+          loading={loading}
+          pagination={{ pageSize: 10 }}
+          locale={{ emptyText: 'No trained versions yet' }}
+        />
+      </Card>
+    </div>
+  );
+};
+
+export default MergeModelPanel;
@@ -0,0 +1,377 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Table, Button, Space, Modal, Form, Input, InputNumber, Select, Tag, Card, Alert, Empty, Popconfirm, Tabs, Row, Col, App
+} from 'antd';
+import {
+  PlusOutlined, EditOutlined, DeleteOutlined, CheckOutlined, CloseOutlined, ReloadOutlined, HistoryOutlined
+} from '@ant-design/icons';
+import axios from 'axios';
+import { useExcelData } from '../../../contexts/ExcelDataContext';
+import { useAuth } from '../../../contexts/AuthContext';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const STATUS_COLORS = { PROPOSED: 'gold', APPROVED: 'green', REJECTED: 'red', SUPERSEDED: 'default' };
+
+const formatPrice = (value) => (value === null || value === undefined ? '-' : Number(value).toFixed(2));
+
+const scopeLabel = (price) => {
+  if (price.customer && price.country) return `${price.customer} (${price.country})`;
+  return price.customer || price.country || 'All customers';
+};
+
+/**
+ * PriceListPage Component
+ * Selling price and MoRM per kg per product group (optionally for one customer or country)
+ * with effective-from dates. Prices are proposed, then approved or rejected by an
+ * administrator; budgets use the approved price valid for each budget month.
+ */
+const PriceListPage = () => {
+  const { selectedDivision } = useExcelData();
+  const { user } = useAuth();
+  const { message } = App.useApp();
+  const isAdmin = user?.role === 'admin';
+  const [form] = Form.useForm();
+
+  const division = selectedDivision ? selectedDivision.split('-')[0].toUpperCase() : null;
+  const baseUrl = `${API_BASE_URL}/api/divisions/${division}/master-data`;
+
+  const [prices, setPrices] = useState([]);
+  const [productGroups, setProductGroups] = useState([]);
+  const [productGroupFilter, setProductGroupFilter] = useState(null);
+  const [statusFilter, setStatusFilter] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const [editor, setEditor] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [review, setReview] = useState(null);
+
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+
+  const fetchPrices = useCallback(async () => {
+    if (!division) return;
+    setLoading(true);
+    try {
+      const response = await axios.get(`${baseUrl}/price-list`, {
+        params: { productGroup: productGroupFilter || undefined, status: statusFilter || undefined }
+      });
+      setPrices(response.data.data || []);
+    } catch (error) {
+      console.error('Error loading price list:', error);
+      message.error(error.response?.data?.error || 'Failed to load the price list');
+    } finally {
+      setLoading(false);
+    }
+  }, [division, baseUrl, productGroupFilter, statusFilter, message]);
+
+  const fetchHistory = useCallback(async () => {
+    if (!division) return;
+    setHistoryLoading(true);
+    try {
+      const response = await axios.get(`${baseUrl}/price-list/history`, {
+        params: { productGroup: productGroupFilter || undefined }
+      });
+      setHistory(response.data.data || []);
+    } catch (error) {
+      console.error('Error loading price history:', error);
+      message.error(error.response?.data?.error || 'Failed to load the price history');
+    } finally {
+      setHistoryLoading(false);
+    }
+  }, [division, baseUrl, productGroupFilter, message]);
+
+  useEffect(() => {
+    if (!division) return;
+    axios.get(`${baseUrl}/product-groups`)
+      .then(response => setProductGroups(response.data.data || []))
+      .catch(error => console.error('Error loading product groups:', error));
+  }, [division, baseUrl]);
+
+  useEffect(() => {
+    fetchPrices();
+  }, [fetchPrices]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const refresh = () => {
+    fetchPrices();
+    fetchHistory();
+  };
+
+  const openEditor = (price = null) => {
+    form.resetFields();
+    form.setFieldsValue(price ? {
+      productGroup: price.productGroup,
+      customer: price.customer,
+      country: price.country,
+      sellingPrice: price.sellingPrice,
+      morm: price.morm,
+      effectiveFrom: price.effectiveFrom,
+      notes: price.notes
+    } : { productGroup: productGroupFilter || undefined });
+    setEditor({ price });
+  };
+
+  const handleSave = async () => {
+    const values = await form.validateFields();
+    setSaving(true);
+    try {
+      const response = editor.price
+        ? await axios.put(`${baseUrl}/price-list/${editor.price.id}`, values)
+        : await axios.post(`${baseUrl}/price-list`, values);
+      message.success(response.data.message);
+      setEditor(null);
+      refresh();
+    } catch (error) {
+      console.error('Error saving price:', error);
+      message.error(error.response?.data?.error || 'Failed to save the price');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleWithdraw = async (price) => {
+    try {
+      const response = await axios.delete(`${baseUrl}/price-list/${price.id}`);
+      message.success(response.data.message);
+      refresh();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to withdraw the price');
+    }
+  };
+
+  const handleReview = async () => {
+    try {
+      const response = await axios.post(`${baseUrl}/price-list/${review.price.id}/${review.action}`, {
+        comments: review.comments || null
+      });
+      message.success(response.data.message);
+      setReview(null);
+      refresh();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to review the price');
+    }
+  };
+
+  const priceColumns = [
+    {
+      title: 'Product Group',
+      dataIndex: 'productGroup',
+      key: 'productGroup',
+      sorter: (a, b) => a.productGroup.localeCompare(b.productGroup),
+      render: (value) => <strong>{value}</strong>
+    },
+    { title: 'Applies To', key: 'scope', render: (_, price) => scopeLabel(price) },
+    { title: 'Selling Price / kg', dataIndex: 'sellingPrice', key: 'sellingPrice', align: 'right', render: formatPrice },
+    { title: 'MoRM / kg', dataIndex: 'morm', key: 'morm', align: 'right', render: formatPrice },
+    {
+      title: 'Effective From',
+      dataIndex: 'effectiveFrom',
+      key: 'effectiveFrom',
+      sorter: (a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom)
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      render: (status, price) => (
+        <Tag color={STATUS_COLORS[status]} title={price.reviewComments || undefined}>{status}</Tag>
+      )
+    },
+    { title: 'Proposed By', dataIndex: 'proposedBy', key: 'proposedBy', render: (value) => value || '-' },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: 150,
+      render: (_, price) => price.status === 'PROPOSED' && (
+        <Space size="small">
+          <Button size="small" icon={<EditOutlined />} onClick={() => openEditor(price)} />
+          <Popconfirm title="Withdraw this proposed price?" onConfirm={() => handleWithdraw(price)}>
+            <Button size="small" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+          {isAdmin && (
+            <>
+              <Button
+                size="small"
+                type="primary"
+                icon={<CheckOutlined />}
+                onClick={() => setReview({ price, action: 'approve', comments: '' })}
+              />
+              <Button
+                size="small"
+                danger
+                icon={<CloseOutlined />}
+                onClick={() => setReview({ price, action: 'reject', comments: '' })}
+              />
+            </>
+          )}
+        </Space>
+      )
+    }
+  ];
+
+  const historyColumns = [
+    { title: 'When', dataIndex: 'createdAt', key: 'createdAt', render: (value) => new Date(value).toLocaleString() },
+    { title: 'Product Group', dataIndex: 'productGroup', key: 'productGroup' },
+    { title: 'Applies To', key: 'scope', render: (_, entry) => scopeLabel(entry) },
+    { title: 'Action', dataIndex: 'action', key: 'action', render: (value) => <Tag>{value}</Tag> },
+    { title: 'Selling Price / kg', dataIndex: 'sellingPrice', key: 'sellingPrice', align: 'right', render: formatPrice },
+    { title: 'MoRM / kg', dataIndex: 'morm', key: 'morm', align: 'right', render: formatPrice },
+    { title: 'Effective From', dataIndex: 'effectiveFrom', key: 'effectiveFrom' },
+    { title: 'By', dataIndex: 'actorName', key: 'actorName', render: (value) => value || '-' },
+    { title: 'Comments', dataIndex: 'comments', key: 'comments', render: (value) => value || '-' }
+  ];
+
+  if (!division) {
+    return <Empty description="Select a division to manage its price list" />;
+  }
+
+  const tabItems = [
+    {
+      key: 'prices',
+      label: 'Prices',
+      children: (
+        <Table
+          size="small"
+          rowKey="id"
+          loading={loading}
+          columns={priceColumns}
+          dataSource={prices}
+          pagination={{ pageSize: 25, size: 'small' }}
+          locale={{ emptyText: 'No prices yet' }}
+        />
+      )
+    },
+    {
+      key: 'history',
+      label: <span><HistoryOutlined /> Price History</span>,
+      children: (
+        <Table
+          size="small"
+          rowKey="id"
+          loading={historyLoading}
+          columns={historyColumns}
+          dataSource={history}
+          pagination={{ pageSize: 25, size: 'small' }}
+          locale={{ emptyText: 'No price changes yet' }}
+        />
+      )
+    }
+  ];
+
+  return (
+    <div style={{ padding: '8px 0' }}>
+      <Card size="small" title={`Price List - ${division}`}>
+        <Alert
+          type="info"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message="Budgets use the approved price in force on the first day of each budget month: a customer price first, then a country price, then the product group price. Product groups without an approved price use the rounded prices from Product Pricing."
+        />
+        <Space style={{ marginBottom: 16 }} wrap>
+          <Select
+            allowClear
+            showSearch
+            placeholder="All product groups"
+            style={{ width: 240 }}
+            value={productGroupFilter}
+            onChange={setProductGroupFilter}
+            options={productGroups.map(value => ({ value, label: value }))}
+          />
+          <Select
+            allowClear
+            placeholder="All statuses"
+            style={{ width: 160 }}
+            value={statusFilter}
+            onChange={setStatusFilter}
+            options={Object.keys(STATUS_COLORS).map(value => ({ value, label: value }))}
+          />
+          <Button icon={<ReloadOutlined />} onClick={refresh} loading={loading}>Refresh</Button>
+          <Button type="primary" icon={<PlusOutlined />} onClick={() => openEditor()}>
+            Propose Price
+          </Button>
+        </Space>
+        <Tabs items={tabItems} />
+      </Card>
+
+      <Modal
+        title={editor?.price ? 'Edit Proposed Price' : 'Propose Price'}
+        open={editor !== null}
+        onCancel={() => setEditor(null)}
+        onOk={handleSave}
+        okText="Save"
+        confirmLoading={saving}
+        destroyOnClose
+      >
+        <Form form={form} layout="vertical">
+          <Form.Item name="productGroup" label="Product Group" rules={[{ required: true, message: 'Product group is required' }]}>
+            <Select showSearch options={productGroups.map(value => ({ value, label: value }))} />
+          </Form.Item>
+          <Row gutter={12}>
+            <Col span={12}>
+              <Form.Item name="customer" label="Customer" extra="Leave empty for all customers">
+                <Input />
+              </Form.Item>
+            </Col>
+            <Col span={12}>
+              <Form.Item name="country" label="Country" extra="Leave empty for all countries">
+                <Input />
+              </Form.Item>
+            </Col>
+          </Row>
+          <Row gutter={12}>
+            <Col span={8}>
+              <Form.Item name="sellingPrice" label="Selling Price / kg" rules={[{ required: true, message: 'Required' }]}>
+                <InputNumber min={0} max={1000} step={0.01} style={{ width: '100%' }} />
+              </Form.Item>
+            </Col>
+            <Col span={8}>
+              <Form.Item name="morm" label="MoRM / kg" rules={[{ required: true, message: 'Required' }]}>
+                <InputNumber min={0} max={1000} step={0.01} style={{ width: '100%' }} />
+              </Form.Item>
+            </Col>
+            <Col span={8}>
+              <Form.Item name="effectiveFrom" label="Effective From" rules={[{ required: true, message: 'Required' }]}>
+                <Input type="date" />
+              </Form.Item>
+            </Col>
+          </Row>
+          <Form.Item name="notes" label="Notes">
+            <Input.TextArea rows={2} />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title={review?.action === 'approve' ? 'Approve Price' : 'Reject Price'}
+        open={review !== null}
+        onCancel={() => setReview(null)}
+        onOk={handleReview}
+        okText={review?.action === 'approve' ? 'Approve' : 'Reject'}
+        okButtonProps={{ danger: review?.action === 'reject' }}
+        destroyOnClose
+      >
+        {review && (
+          <>
+            <p>
+              <strong>{review.price.productGroup}</strong> for {scopeLabel(review.price)}:{' '}
+              {formatPrice(review.price.sellingPrice)} / kg, MoRM {formatPrice(review.price.morm)} / kg,
+              from {review.price.effectiveFrom}
+            </p>
+            <Input.TextArea
+              rows={3}
+              placeholder={review.action === 'reject' ? 'Reason (required)' : 'Comments (optional)'}
+              value={review.comments}
+              onChange={(event) => setReview(current => ({ ...current, comments: event.target.value }))}
+            />
+          </>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default PriceListPage;
@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Table, Button, Space, Modal, Form, Input, AutoComplete, Tag, Card, Alert, Empty, Popconfirm, App } from 'antd';
+import { PlusOutlined, SwapOutlined, EditOutlined, DeleteOutlined, ReloadOutlined } from '@ant-design/icons';
+import axios from 'axios';
+import { useExcelData } from '../../../contexts/ExcelDataContext';
+import { useAuth } from '../../../contexts/AuthContext';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const toOptions = (values) => [...new Set(values.filter(Boolean))].sort().map(value => ({ value }));
+
+/**
+ * SalesRepHierarchyPage Component
+ * Effective-dated sales rep → group → manager → region assignments for the selected division.
+ * Group reports count each month's sales for the reps in the group that month, so moving a
+ * rep (which ends the old assignment the day before) leaves earlier months unchanged.
+ */
+const SalesRepHierarchyPage = () => {
+  const { selectedDivision } = useExcelData();
+  const { user } = useAuth();
+  const { message } = App.useApp();
+  const isAdmin = user?.role === 'admin';
+  const [form] = Form.useForm();
+
+  const [asOf, setAsOf] = useState('');
+  const [search, setSearch] = useState('');
+  const [assignments, setAssignments] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Editor modal: mode is 'create', 'edit' or 'move'
+  const [editor, setEditor] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const division = selectedDivision ? selectedDivision.split('-')[0].toUpperCase() : null;
+
+  const fetchAssignments = useCallback(async () => {
+    if (!division) return;
+    setLoading(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/sales-rep-hierarchy`, {
+        params: { division, asOf: asOf || undefined }
+      });
+      setAssignments(response.data.assignments || []);
+    } catch (error) {
+      console.error('Error loading sales rep hierarchy:', error);
+      message.error(error.response?.data?.error || 'Failed to load the sales rep hierarchy');
+    } finally {
+      setLoading(false);
+    }
+  }, [division, asOf, message]);
+
+  useEffect(() => {
+    fetchAssignments();
+  }, [fetchAssignments]);
+
+  const options = useMemo(() => ({
+    salesReps: toOptions(assignments.map(a => a.sales_rep)),
+    groups: toOptions(assignments.map(a => a.group_name)),
+    managers: toOptions(assignments.map(a => a.manager)),
+    regions: toOptions(assignments.map(a => a.region))
+  }), [assignments]);
+
+  const filteredAssignments = assignments.filter(assignment => {
+    const term = search.trim().toLowerCase();
+    return !term || [assignment.sales_rep, assignment.group_name, assignment.manager, assignment.region]
+      .some(value => value && value.toLowerCase().includes(term));
+  });
+
+  const openEditor = (mode, assignment = null) => {
+    form.resetFields();
+    form.setFieldsValue(assignment ? {
+      salesRep: assignment.sales_rep,
+      groupName: mode === 'move' ? undefined : assignment.group_name,
+      manager: assignment.manager,
+      region: assignment.region,
+      validFrom: mode === 'move' ? today() : assignment.valid_from,
+      validTo: mode === 'move' ? undefined : assignment.valid_to
+    } : { validFrom: mode === 'move' ? today() : undefined });
+    setEditor({ mode, assignment });
+  };
+
+  const handleSave = async () => {
+    const values = await form.validateFields();
+    const body = { ...values, division };
+
+    setSaving(true);
+    try {
+      let response;
+      if (editor.mode === 'edit') {
+        response = await axios.put(`${API_BASE_URL}/api/sales-rep-hierarchy/${editor.assignment.id}`, body);
+      } else if (editor.mode === 'move') {
+        response = await axios.post(`${API_BASE_URL}/api/sales-rep-hierarchy/move`, body);
+      } else {
+        response = await axios.post(`${API_BASE_URL}/api/sales-rep-hierarchy`, body);
+      }
+      message.success(response.data.message);
+      setEditor(null);
+      fetchAssignments();
+    } catch (error) {
+      console.error('Error saving sales rep assignment:', error);
+      message.error(error.response?.data?.error || 'Failed to save the assignment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (assignment) => {
+    try {
+      await axios.delete(`${API_BASE_URL}/api/sales-rep-hierarchy/${assignment.id}`, { params: { division } });
+      message.success('Assignment deleted');
+      fetchAssignments();
+    } catch (error) {
+      console.error('Error deleting sales rep assignment:', error);
+      message.error(error.response?.data?.error || 'Failed to delete the assignment');
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Sales Rep',
+      dataIndex: 'sales_rep',
+      key: 'sales_rep',
+      sorter: (a, b) => a.sales_rep.localeCompare(b.sales_rep)
+    },
+    {
+      title: 'Group',
+      dataIndex: 'group_name',
+      key: 'group_name',
+      sorter: (a, b) => a.group_name.localeCompare(b.group_name),
+      render: (value) => <Tag color="blue">{value}</Tag>
+    },
+    { title: 'Manager', dataIndex: 'manager', key: 'manager', render: (value) => value || '-' },
+    { title: 'Region', dataIndex: 'region', key: 'region', render: (value) => value || '-' },
+    { title: 'Valid From', dataIndex: 'valid_from', key: 'valid_from', width: 120, render: (value) => value || 'Always' },
+    { title: 'Valid To', dataIndex: 'valid_to', key: 'valid_to', width: 120, render: (value) => value || 'Open' },
+    { title: 'Changed by', dataIndex: 'updated_by', key: 'updated_by', render: (value) => value || '-' }
+  ];
+
+  if (isAdmin) {
+    columns.push({
+      title: 'Actions',
+      key: 'actions',
+      width: 200,
+      render: (_, assignment) => (
+        <Space size="small">
+          <Button size="small" icon={<SwapOutlined />} onClick={() => openEditor('move', assignment)}>Move</Button>
+          <Button size="small" icon={<EditOutlined />} onClick={() => openEditor('edit', assignment)} />
+          <Popconfirm
+            title="Delete this assignment?"
+            description="Use Move when a rep changes team - deleting rewrites history."
+            onConfirm={() => handleDelete(assignment)}
+          >
+            <Button size="small" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </Space>
+      )
+    });
+  }
+
+  const editorTitles = {
+    create: 'Add Assignment',
+    edit: 'Edit Assignment',
+    move: 'Move Sales Rep'
+  };
+
+  if (!division) {
+    return <Empty description="Select a division to manage the sales rep hierarchy" />;
+  }
+
+  return (
+    <div style={{ padding: '8px 0' }}>
+      <Space style={{ marginBottom: 16 }} wrap>
+        <Input
+          type="date"
+          value={asOf}
+          onChange={(e) => setAsOf(e.target.value)}
+          style={{ width: 170 }}
+          title="Show assignments in effect on this date"
+        />
+        <Input.Search
+          placeholder="Search rep, group, manager, region"
+          allowClear
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          style={{ width: 280 }}
+        />
+        <Button icon={<ReloadOutlined />} onClick={fetchAssignments} loading={loading}>
+          Refresh
+        </Button>
+        {isAdmin && (
+          <>
+            <Button type="primary" icon={<PlusOutlined />} onClick={() => openEditor('create')}>
+              Add Assignment
+            </Button>
+            <Button icon={<SwapOutlined />} onClick={() => openEditor('move')}>
+              Move Sales Rep
+            </Button>
+          </>
+        )}
+      </Space>
+
+      <Alert
+        type="info"
+        showIcon
+        style={{ marginBottom: 16 }}
+        message="Group reports count each month's sales for the reps in the group on the first day of that month. When a rep changes team, use Move: the old assignment ends the day before and earlier months keep their group."
+      />
+
+      <Card size="small" title={`Sales rep hierarchy - ${division}${asOf ? ` as of ${asOf}` : ''}`}>
+        <Table
+          size="small"
+          rowKey="id"
+          loading={loading}
+          columns={columns}
+          dataSource={filteredAssignments}
+          pagination={{ pageSize: 20, size: 'small' }}
+          locale={{ emptyText: 'No assignments' }}
+        />
+      </Card>
+
+      <Modal
+        title={editor ? editorTitles[editor.mode] : ''}
+        open={editor !== null}
+        onCancel={() => setEditor(null)}
+        onOk={handleSave}
+        okText="Save"
+        confirmLoading={saving}
+        destroyOnClose
+      >
+        <Form form={form} layout="vertical">
+          <Form.Item name="salesRep" label="Sales Rep" rules={[{ required: true, message: 'Sales rep is required' }]}>
+            <AutoComplete options={options.salesReps} filterOption disabled={editor?.mode === 'move' && !!editor?.assignment} />
+          </Form.Item>
+          <Form.Item name="groupName" label="Group" rules={[{ required: true, message: 'Group is required' }]}>
+            <AutoComplete options={options.groups} filterOption />
+          </Form.Item>
+          <Form.Item name="manager" label="Manager">
+            <AutoComplete options={options.managers} filterOption />
+          </Form.Item>
+          <Form.Item name="region" label="Region">
+            <AutoComplete options={options.regions} filterOption />
+          </Form.Item>
+          <Form.Item
+            name="validFrom"
+            label={editor?.mode === 'move' ? 'Effective From' : 'Valid From (empty = always)'}
+            rules={editor?.mode === 'move' ? [{ required: true, message: 'Effective date is required' }] : []}
+          >
+            <Input type="date" />
+          </Form.Item>
+          {editor?.mode !== 'move' && (
+            <Form.Item name="validTo" label="Valid To (empty = open-ended)">
+              <Input type="date" />
+            </Form.Item>
+          )}
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default SalesRepHierarchyPage;
@@ -7,7 +7,7 @@ import './Login.css';
 
 const Login = () => {
   const navigate = useNavigate();
-  const { login, loading, error, isAuthenticated } = useAuth();
+  const { login, verifyTwoFactor, requestPasswordReset, loading, error, isAuthenticated, setError } = useAuth();
   const { loadThemeFromServer } = useTheme();
   const [formData, setFormData] = useState({
     email: '',
@@ -16,6 +16,12 @@ const Login = () => {
   const [localError, setLocalError] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [focusedField, setFocusedField] = useState(null);
+  // 'password' → optional 'twoFactor' (authenticator code); 'forgot' requests a reset e-mail
+  const [step, setStep] = useState('password');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [infoMessage, setInfoMessage] = useState('');
+  const [sending, setSending] = useState(false);
 
   // Redirect to dashboard if already logged in
   useEffect(() => {
@@ -33,26 +39,75 @@ const Login = () => {
     setLocalError('');
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const goToStep = (nextStep) => {
+    setStep(nextStep);
     setLocalError('');
+    setInfoMessage('');
+    setError(null);
+    setCode('');
+  };
 
-    if (!formData.email || !formData.password) {
-      setLocalError('Please enter both email and password');
-      return;
-    }
-
-    const result = await login(formData.email, formData.password);
-    
+  const finishLogin = async (result) => {
     if (result.success) {
       // Load user's theme preference from server after login
       await loadThemeFromServer();
       navigate('/dashboard', { replace: true });
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+      goToStep('twoFactor');
     } else {
       setLocalError(result.error);
     }
   };
 
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLocalError('');
+
+    if (step === 'twoFactor') {
+      if (!code.trim()) {
+        setLocalError('Please enter the code from your authenticator app');
+        return;
+      }
+      const result = await verifyTwoFactor(challengeToken, code.trim());
+      if (!result.success && /expired/i.test(result.error || '')) {
+        goToStep('password');
+      }
+      await finishLogin(result);
+      return;
+    }
+
+    if (step === 'forgot') {
+      if (!formData.email) {
+        setLocalError('Please enter your email address');
+        return;
+      }
+      setSending(true);
+      const result = await requestPasswordReset(formData.email);
+      setSending(false);
+      if (result.success) {
+        setInfoMessage(result.message);
+      } else {
+        setLocalError(result.error);
+      }
+      return;
+    }
+
+    if (!formData.email || !formData.password) {
+      setLocalError('Please enter both email and password');
+      return;
+    }
+
+    await finishLogin(await login(formData.email, formData.password));
+  };
+
+  const headings = {
+    password: ['Welcome Back', 'Sign in to continue to your dashboard'],
+    twoFactor: ['Two-Step Verification', 'Enter the 6-digit code from your authenticator app, or one of your recovery codes'],
+    forgot: ['Reset Password', 'We will e-mail you a link to choose a new password']
+  };
+  const busy = loading || sending;
+
   // Floating particles for background
   const particles = Array.from({ length: 50 }, (_, i) => ({
     id: i,
@@ -138,7 +193,7 @@ const Login = () => {
               animate={{ y: 0, opacity: 1 }}
               transition={{ delay: 0.5 }}
             >
-              Welcome Back
+              {headings[step][0]}
             </motion.h2>
             
             <motion.p 
@@ -147,7 +202,7 @@ const Login = () => {
               animate={{ y: 0, opacity: 1 }}
               transition={{ delay: 0.55 }}
             >
-              Sign in to continue to your dashboard
+              {headings[step][1]}
             </motion.p>
 
             <AnimatePresence>
@@ -162,101 +217,143 @@ const Login = () => {
                   {localError || error}
                 </motion.div>
               )}
+              {infoMessage && (
+                <motion.div 
+                  className="info-message-new"
+                  initial={{ opacity: 0, y: -10, height: 0 }}
+                  animate={{ opacity: 1, y: 0, height: 'auto' }}
+                  exit={{ opacity: 0, y: -10, height: 0 }}
+                >
+                  <span className="error-icon">✉️</span>
+                  {infoMessage}
+                </motion.div>
+              )}
             </AnimatePresence>
 
-            <motion.div 
-              className={`input-group ${focusedField === 'email' ? 'focused' : ''} ${formData.email ? 'has-value' : ''}`}
-              initial={{ x: -30, opacity: 0 }}
-              animate={{ x: 0, opacity: 1 }}
-              transition={{ delay: 0.6 }}
-            >
-              <div className="input-icon">
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                  <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/>
-                  <polyline points="22,6 12,13 2,6"/>
-                </svg>
-              </div>
-              <input
-                type="email"
-                name="email"
-                value={formData.email}
-                onChange={handleChange}
-                onFocus={() => setFocusedField('email')}
-                onBlur={() => setFocusedField(null)}
-                disabled={loading}
-                autoComplete="email"
-                required
-              />
-              <label>Email Address</label>
-              <div className="input-highlight"></div>
-            </motion.div>
-
-            <motion.div 
-              className={`input-group ${focusedField === 'password' ? 'focused' : ''} ${formData.password ? 'has-value' : ''}`}
-              initial={{ x: -30, opacity: 0 }}
-              animate={{ x: 0, opacity: 1 }}
-              transition={{ delay: 0.7 }}
-            >
-              <div className="input-icon">
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                  <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
-                  <path d="M7 11V7a5 5 0 0 1 10 0v4"/>
-                </svg>
-              </div>
-              <input
-                type={showPassword ? "text" : "password"}
-                name="password"
-                value={formData.password}
-                onChange={handleChange}
-                onFocus={() => setFocusedField('password')}
-                onBlur={() => setFocusedField(null)}
-                disabled={loading}
-                autoComplete="current-password"
-                required
-              />
-              <label>Password</label>
-              <button 
-                type="button" 
-                className="toggle-password"
-                onClick={() => setShowPassword(!showPassword)}
+            {step === 'twoFactor' ? (
+              <motion.div 
+                className={`input-group ${focusedField === 'code' ? 'focused' : ''} ${code ? 'has-value' : ''}`}
+                initial={{ x: -30, opacity: 0 }}
+                animate={{ x: 0, opacity: 1 }}
+              >
+                <div className="input-icon">
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/>
+                  </svg>
+                </div>
+                <input
+                  type="text"
+                  name="code"
+                  value={code}
+                  onChange={(e) => { setCode(e.target.value); setLocalError(''); }}
+                  onFocus={() => setFocusedField('code')}
+                  onBlur={() => setFocusedField(null)}
+                  disabled={busy}
+                  autoComplete="one-time-code"
+                  inputMode="numeric"
+                  autoFocus
+                  required
+                />
+                <label>Authentication Code</label>
+                <div className="input-highlight"></div>
+              </motion.div>
+            ) : (
+              <motion.div 
+                className={`input-group ${focusedField === 'email' ? 'focused' : ''} ${formData.email ? 'has-value' : ''}`}
+                initial={{ x: -30, opacity: 0 }}
+                animate={{ x: 0, opacity: 1 }}
+                transition={{ delay: 0.6 }}
               >
-                {showPassword ? (
+                <div className="input-icon">
                   <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                    <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24"/>
-                    <line x1="1" y1="1" x2="23" y2="23"/>
+                    <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/>
+                    <polyline points="22,6 12,13 2,6"/>
                   </svg>
-                ) : (
+                </div>
+                <input
+                  type="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  onFocus={() => setFocusedField('email')}
+                  onBlur={() => setFocusedField(null)}
+                  disabled={busy}
+                  autoComplete="email"
+                  required
+                />
+                <label>Email Address</label>
+                <div className="input-highlight"></div>
+              </motion.div>
+            )}
+
+            {step === 'password' && (
+              <motion.div 
+                className={`input-group ${focusedField === 'password' ? 'focused' : ''} ${formData.password ? 'has-value' : ''}`}
+                initial={{ x: -30, opacity: 0 }}
+                animate={{ x: 0, opacity: 1 }}
+                transition={{ delay: 0.7 }}
+              >
+                <div className="input-icon">
                   <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                    <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
-                    <circle cx="12" cy="12" r="3"/>
+                    <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+                    <path d="M7 11V7a5 5 0 0 1 10 0v4"/>
                   </svg>
-                )}
-              </button>
-              <div className="input-highlight"></div>
-            </motion.div>
+                </div>
+                <input
+                  type={showPassword ? "text" : "password"}
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  onFocus={() => setFocusedField('password')}
+                  onBlur={() => setFocusedField(null)}
+                  disabled={loading}
+                  autoComplete="current-password"
+                  required
+                />
+                <label>Password</label>
+                <button 
+                  type="button" 
+                  className="toggle-password"
+                  onClick={() => setShowPassword(!showPassword)}
+                >
+                  {showPassword ? (
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24"/>
+                      <line x1="1" y1="1" x2="23" y2="23"/>
+                    </svg>
+                  ) : (
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
+                      <circle cx="12" cy="12" r="3"/>
+                    </svg>
+                  )}
+                </button>
+                <div className="input-highlight"></div>
+              </motion.div>
+            )}
 
             <motion.button 
               type="submit" 
               className="submit-btn"
-              disabled={loading}
+              disabled={busy}
               whileHover={{ scale: 1.02, boxShadow: "0 10px 30px rgba(59, 130, 246, 0.4)" }}
               whileTap={{ scale: 0.98 }}
               initial={{ y: 20, opacity: 0 }}
               animate={{ y: 0, opacity: 1 }}
               transition={{ delay: 0.8 }}
             >
-              {loading ? (
+              {busy ? (
                 <span className="loading-spinner">
                   <svg viewBox="0 0 24 24">
                     <circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="3" fill="none" strokeDasharray="31.4 31.4">
                       <animateTransform attributeName="transform" type="rotate" from="0 12 12" to="360 12 12" dur="1s" repeatCount="indefinite"/>
                     </circle>
                   </svg>
-                  Signing in...
+                  {step === 'forgot' ? 'Sending...' : step === 'twoFactor' ? 'Verifying...' : 'Signing in...'}
                 </span>
               ) : (
                 <>
-                  Sign In
+                  {step === 'forgot' ? 'Send Reset Link' : step === 'twoFactor' ? 'Verify' : 'Sign In'}
                   <svg className="arrow-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                     <line x1="5" y1="12" x2="19" y2="12"/>
                     <polyline points="12 5 19 12 12 19"/>
@@ -271,7 +368,15 @@ const Login = () => {
               animate={{ opacity: 1 }}
               transition={{ delay: 0.9 }}
             >
-              Need access? <span>Contact your administrator</span>
+              {step === 'password' ? (
+                <>
+                  <span onClick={() => goToStep('forgot')}>Forgot password?</span>
+                  <br />
+                  Need access? <span>Contact your administrator</span>
+                </>
+              ) : (
+                <span onClick={() => goToStep('password')}>← Back to sign in</span>
+              )}
             </motion.p>
           </motion.form>
         </div>
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useAuth } from '../../contexts/AuthContext';
+import './Login.css';
+
+/**
+ * ResetPassword Component
+ * -----------------------
+ * Landing page of the password reset e-mail (/reset-password?token=...).
+ * A successful reset signs the user out everywhere, so it ends on the login page.
+ */
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { resetPassword } = useAuth();
+  const token = searchParams.get('token') || '';
+  const [formData, setFormData] = useState({ newPassword: '', confirmPassword: '' });
+  const [focusedField, setFocusedField] = useState(null);
+  const [error, setError] = useState(token ? '' : 'This reset link is incomplete. Please request a new one.');
+  const [done, setDone] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+    const result = await resetPassword(token, formData.newPassword);
+    setSaving(false);
+
+    if (result.success) {
+      setDone(true);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const passwordField = (name, label, autoComplete) => (
+    <div className={`input-group ${focusedField === name ? 'focused' : ''} ${formData[name] ? 'has-value' : ''}`}>
+      <div className="input-icon">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+          <path d="M7 11V7a5 5 0 0 1 10 0v4"/>
+        </svg>
+      </div>
+      <input
+        type="password"
+        name={name}
+        value={formData[name]}
+        onChange={handleChange}
+        onFocus={() => setFocusedField(name)}
+        onBlur={() => setFocusedField(null)}
+        disabled={saving || !token}
+        autoComplete={autoComplete}
+        required
+      />
+      <label>{label}</label>
+      <div className="input-highlight"></div>
+    </div>
+  );
+
+  return (
+    <div className="login-page">
+      <div className="login-background">
+        <div className="gradient-orb orb-1"></div>
+        <div className="gradient-orb orb-2"></div>
+        <div className="grid-pattern"></div>
+      </div>
+
+      <motion.div
+        className="login-container-new login-container-new--single"
+        initial={{ opacity: 0, scale: 0.9 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ duration: 0.4, ease: "easeOut" }}
+      >
+        <div className="form-container">
+          <form onSubmit={handleSubmit}>
+            <h2>Choose a New Password</h2>
+            <p className="subtitle">
+              At least 8 characters with an uppercase letter, a lowercase letter and a number
+            </p>
+
+            <AnimatePresence>
+              {error && (
+                <motion.div
+                  className="error-message-new"
+                  initial={{ opacity: 0, y: -10, height: 0 }}
+                  animate={{ opacity: 1, y: 0, height: 'auto' }}
+                  exit={{ opacity: 0, y: -10, height: 0 }}
+                >
+                  <span className="error-icon">⚠️</span>
+                  {error}
+                </motion.div>
+              )}
+              {done && (
+                <motion.div
+                  className="info-message-new"
+                  initial={{ opacity: 0, y: -10, height: 0 }}
+                  animate={{ opacity: 1, y: 0, height: 'auto' }}
+                >
+                  <span className="error-icon">✅</span>
+                  Your password has been changed. Please sign in with your new password.
+                </motion.div>
+              )}
+            </AnimatePresence>
+
+            {!done && (
+              <>
+                {passwordField('newPassword', 'New Password', 'new-password')}
+                {passwordField('confirmPassword', 'Confirm New Password', 'new-password')}
+
+                <button type="submit" className="submit-btn" disabled={saving || !token}>
+                  {saving ? 'Saving...' : 'Set New Password'}
+                </button>
+              </>
+            )}
+
+            <p className="contact-admin">
+              <span onClick={() => navigate('/login', { replace: true })}>
+                {done ? 'Go to sign in' : '← Back to sign in'}
+              </span>
+            </p>
+          </form>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -39,7 +39,7 @@ const BarChart = ({ data, periods, basePeriod, hideHeader = false, hideSalesPerK
   const chartRef = useRef(null);
   const chartInstance = useRef(null);
   const [barPositions, setBarPositions] = useState([]);
-  const { companyCurrency, isUAEDirham } = useCurrency();
+  const { reportCurrency, isUAEDirham } = useCurrency();
   
   // Dynamic currency symbol for ECharts - use SVG for AED, text for others
   const getCurrencyForChart = (color = '#222') => {
@@ -51,7 +51,7 @@ const BarChart = ({ data, periods, basePeriod, hideHeader = false, hideSalesPerK
     }
     return {
       useImage: false,
-      symbol: companyCurrency.symbol
+      symbol: reportCurrency.symbol
     };
   };
 
@@ -51,7 +51,7 @@ const getDynamicFontSize = (periodCount: number) => {
 };
 
 const BelowGPExpensesChart = ({ tableData, selectedPeriods, computeCellValue, style, hideHeader = false }) => {
-  const { companyCurrency, isUAEDirham } = useCurrency();
+  const { reportCurrency, isUAEDirham } = useCurrency();
   
   // Dynamic currency symbol helper for ECharts
   const getCurrencyRichText = (color: string) => {
@@ -83,7 +83,7 @@ const BelowGPExpensesChart = ({ tableData, selectedPeriods, computeCellValue, st
     if (isUAEDirham()) {
       return '{currency|}';
     }
-    return companyCurrency.symbol;
+    return reportCurrency.symbol;
   };
   
   // If no periods selected or no compute function, show empty state
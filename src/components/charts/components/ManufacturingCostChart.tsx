@@ -51,7 +51,7 @@ const getDynamicFontSize = (periodCount: number) => {
 };
 
 const ManufacturingCostChart = ({ tableData, selectedPeriods, computeCellValue, basePeriod, style, hideHeader = false }) => {
-  const { companyCurrency, isUAEDirham } = useCurrency();
+  const { reportCurrency, isUAEDirham } = useCurrency();
   
   // Dynamic currency symbol helper for ECharts
   const getCurrencyRichText = (color: string) => {
@@ -83,7 +83,7 @@ const ManufacturingCostChart = ({ tableData, selectedPeriods, computeCellValue,
     if (isUAEDirham()) {
       return '{currency|}';
     }
-    return companyCurrency.symbol;
+    return reportCurrency.symbol;
   };
   
   // Debug initial props
@@ -96,14 +96,14 @@ const ManufacturingCostChartV2: React.FC<Props> = ({
   style,
   labelMode = 'max-only'
 }) => {
-  const { companyCurrency, isUAEDirham } = useCurrency();
+  const { reportCurrency, isUAEDirham } = useCurrency();
   
   // Dynamic currency symbol for HTML labels
   const getCurrencySymbolHTML = (color = 'currentColor', size = '1em') => {
     if (isUAEDirham()) {
       return getUAEDirhamSVG(color, size);
     }
-    return `<span style="font-weight:bold;margin-right:0.15em;">${companyCurrency.symbol}</span>`;
+    return `<span style="font-weight:bold;margin-right:0.15em;">${reportCurrency.symbol}</span>`;
   };
   
   useEffect(() => { loadUAESymbolFont(); }, []);
@@ -1,7 +1,9 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { useExcelData } from '../../contexts/ExcelDataContext';
+import { useCurrency } from '../../contexts/CurrencyContext';
 import axios from 'axios';
+import NotificationBell from './NotificationBell';
 import './Header.css';
 
 const Header = () => {
@@ -13,6 +15,8 @@ const Header = () => {
     logoUrl: null
   });
   const [divisionNames, setDivisionNames] = useState({});
+  const { companyCurrency, reportCurrency, setReportCurrency } = useCurrency();
+  const [fxCurrencies, setFxCurrencies] = useState([]);
   const dropdownRef = useRef(null);
   const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
@@ -46,6 +50,18 @@ const Header = () => {
     loadCompanySettings();
   }, [API_BASE_URL]);
 
+  // Load currencies that have exchange rates (report currency switcher)
+  useEffect(() => {
+    if (!user) return;
+    axios.get(`${API_BASE_URL}/api/fx-rates/currencies`)
+      .then(response => {
+        if (response.data.success) {
+          setFxCurrencies(response.data.currencies.map(c => c.currency_code));
+        }
+      })
+      .catch(error => console.error('Error loading report currencies:', error));
+  }, [API_BASE_URL, user]);
+
   const getDivisionLabel = (code) => {
     return divisionNames[code] || code;
   };
@@ -132,6 +148,23 @@ const Header = () => {
         )}
 
         <div className="header-right">
+          {fxCurrencies.length > 0 && (
+            <div className="header-currency-switcher" title="Report currency">
+              <select
+                value={reportCurrency.code}
+                onChange={(e) => setReportCurrency(e.target.value)}
+                aria-label="Report currency"
+              >
+                <option value={companyCurrency.code}>{companyCurrency.code}</option>
+                {fxCurrencies
+                  .filter(code => code !== companyCurrency.code)
+                  .map(code => (
+                    <option key={code} value={code}>{code}</option>
+                  ))}
+              </select>
+            </div>
+          )}
+          {user && <NotificationBell />}
           <div className="user-menu" ref={dropdownRef}>
             <button 
               className="user-menu-button"
@@ -0,0 +1,114 @@
+import React from 'react';
+import { Drawer, List, Progress, Button, Space, Tag, Typography, Empty, App } from 'antd';
+import { StopOutlined, DownloadOutlined, ClearOutlined } from '@ant-design/icons';
+
+const { Text } = Typography;
+
+const STATUS_COLORS = {
+  queued: 'default',
+  running: 'processing',
+  succeeded: 'success',
+  failed: 'error',
+  cancelled: 'warning'
+};
+
+const PROGRESS_STATUS = {
+  running: 'active',
+  succeeded: 'success',
+  failed: 'exception',
+  cancelled: 'exception'
+};
+
+/**
+ * JobProgressDrawer Component
+ * Lists the background jobs followed by JobsProvider with their progress,
+ * a Cancel button while they run and a Download button for file results.
+ */
+const JobProgressDrawer = ({ open, jobs, onClose, onCancel, onDownload, onClearFinished }) => {
+  const { message } = App.useApp();
+
+  const handleCancel = async (job) => {
+    try {
+      const result = await onCancel(job.id);
+      message.info(result.message);
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to cancel the job');
+    }
+  };
+
+  const handleDownload = async (job) => {
+    try {
+      await onDownload(job);
+    } catch (error) {
+      console.error('Error downloading job result:', error);
+      message.error('Failed to download the file');
+    }
+  };
+
+  return (
+    <Drawer
+      title="Background Jobs"
+      placement="right"
+      width={420}
+      open={open}
+      onClose={onClose}
+      mask={false}
+      extra={
+        <Button size="small" icon={<ClearOutlined />} onClick={onClearFinished}>
+          Clear finished
+        </Button>
+      }
+    >
+      {jobs.length === 0 ? (
+        <Empty description="No background jobs" />
+      ) : (
+        <List
+          dataSource={jobs}
+          renderItem={(job) => {
+            const active = job.status === 'queued' || job.status === 'running';
+            return (
+              <List.Item key={job.id}>
+                <div style={{ width: '100%' }}>
+                  <Space style={{ width: '100%', justifyContent: 'space-between' }}>
+                    <Text strong>{job.title}</Text>
+                    <Tag color={STATUS_COLORS[job.status]}>{job.status}</Tag>
+                  </Space>
+                  <Progress
+                    percent={job.status === 'succeeded' ? 100 : job.progress || 0}
+                    status={PROGRESS_STATUS[job.status]}
+                    size="small"
+                  />
+                  <Text type={job.status === 'failed' ? 'danger' : 'secondary'} style={{ fontSize: 12 }}>
+                    {job.status === 'failed' ? job.error : job.progress_message || (job.status === 'queued' ? 'Waiting to start' : '')}
+                  </Text>
+                  <div style={{ marginTop: 8 }}>
+                    <Space>
+                      {active && (
+                        <Button
+                          size="small"
+                          danger
+                          icon={<StopOutlined />}
+                          disabled={job.cancel_requested}
+                          onClick={() => handleCancel(job)}
+                        >
+                          {job.cancel_requested ? 'Cancelling…' : 'Cancel'}
+                        </Button>
+                      )}
+                      {job.status === 'succeeded' && job.result_file_name && (
+                        <Button size="small" type="primary" icon={<DownloadOutlined />} onClick={() => handleDownload(job)}>
+                          Download
+                        </Button>
+                      )}
+                    </Space>
+                  </div>
+                </div>
+              </List.Item>
+            );
+          }}
+        />
+      )}
+    </Drawer>
+  );
+};
+
+export default JobProgressDrawer;
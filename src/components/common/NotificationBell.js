@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Badge, Popover, List, Button, Tag, Empty, Typography, Space } from 'antd';
+import { BellOutlined, CheckOutlined, DeleteOutlined } from '@ant-design/icons';
+import axios from 'axios';
+
+const { Text, Paragraph } = Typography;
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const SEVERITY_COLORS = { info: 'blue', warning: 'orange', error: 'red', critical: 'magenta' };
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-GB', {
+  day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit'
+});
+
+/**
+ * NotificationBell Component
+ * The signed-in user's in-app notifications (e.g. business alerts after an Actual upload),
+ * refreshed every minute, with mark-as-read and delete.
+ */
+const NotificationBell = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/notifications`, { params: { limit: 30 } });
+      setNotifications(response.data.notifications || []);
+      setUnreadCount(response.data.unreadCount || 0);
+    } catch (error) {
+      console.error('Error loading notifications:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchNotifications]);
+
+  const markRead = async (notification) => {
+    if (notification.read_at) return;
+    try {
+      await axios.post(`${API_BASE_URL}/api/notifications/${notification.id}/read`);
+      fetchNotifications();
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await axios.post(`${API_BASE_URL}/api/notifications/read-all`);
+      fetchNotifications();
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+    }
+  };
+
+  const remove = async (notification) => {
+    try {
+      await axios.delete(`${API_BASE_URL}/api/notifications/${notification.id}`);
+      fetchNotifications();
+    } catch (error) {
+      console.error('Error deleting notification:', error);
+    }
+  };
+
+  const content = (
+    <div style={{ width: 420, maxHeight: 480, overflowY: 'auto' }}>
+      {notifications.length === 0 ? (
+        <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No notifications" />
+      ) : (
+        <List
+          size="small"
+          dataSource={notifications}
+          renderItem={(notification) => (
+            <List.Item
+              style={{ background: notification.read_at ? undefined : 'rgba(24, 144, 255, 0.06)', cursor: 'pointer' }}
+              onClick={() => markRead(notification)}
+              actions={[
+                <Button
+                  key="delete"
+                  size="small"
+                  type="text"
+                  icon={<DeleteOutlined />}
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    remove(notification);
+                  }}
+                />
+              ]}
+            >
+              <List.Item.Meta
+                title={(
+                  <Space size={6}>
+                    <Tag color={SEVERITY_COLORS[notification.severity]}>{notification.severity}</Tag>
+                    <Text strong={!notification.read_at}>{notification.title}</Text>
+                  </Space>
+                )}
+                description={(
+                  <>
+                    <Paragraph
+                      style={{ whiteSpace: 'pre-line', marginBottom: 4 }}
+                      ellipsis={{ rows: 4, expandable: true, symbol: 'more' }}
+                    >
+                      {notification.message}
+                    </Paragraph>
+                    <Text type="secondary" style={{ fontSize: 12 }}>{formatDateTime(notification.created_at)}</Text>
+                  </>
+                )}
+              />
+            </List.Item>
+          )}
+        />
+      )}
+    </div>
+  );
+
+  return (
+    <Popover
+      trigger="click"
+      placement="bottomRight"
+      open={open}
+      onOpenChange={setOpen}
+      title={(
+        <Space style={{ width: '100%', justifyContent: 'space-between' }}>
+          <span>Notifications</span>
+          <Button size="small" type="link" icon={<CheckOutlined />} disabled={unreadCount === 0} onClick={markAllRead}>
+            Mark all read
+          </Button>
+        </Space>
+      )}
+      content={content}
+    >
+      <Badge count={unreadCount} size="small" overflowCount={99}>
+        <Button shape="circle" icon={<BellOutlined />} aria-label="Notifications" />
+      </Badge>
+    </Popover>
+  );
+};
+
+export default NotificationBell;
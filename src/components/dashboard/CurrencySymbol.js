@@ -4,12 +4,12 @@ import UAEDirhamSymbol from './UAEDirhamSymbol';
 
 /**
  * CurrencySymbol Component
- * Displays the company's configured currency symbol.
+ * Displays the symbol of the report currency (company currency unless switched in the header).
  * For UAE Dirham, it uses the special SVG symbol.
  * For other currencies, it displays the text symbol.
  */
 const CurrencySymbol = ({ className = '', style = {} }) => {
-  const { companyCurrency, isUAEDirham } = useCurrency();
+  const { reportCurrency, isUAEDirham } = useCurrency();
   
   // For UAE Dirham, use the SVG symbol
   if (isUAEDirham()) {
@@ -28,9 +28,9 @@ const CurrencySymbol = ({ className = '', style = {} }) => {
     <span 
       className={`currency-symbol ${className}`} 
       style={defaultStyle}
-      aria-label={`${companyCurrency.name} Symbol`}
+      aria-label={`${reportCurrency.name} Symbol`}
     >
-      {companyCurrency.symbol}
+      {reportCurrency.symbol}
     </span>
   );
 };
@@ -0,0 +1,276 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { useFilter } from '../../contexts/FilterContext';
+import { useExcelData } from '../../contexts/ExcelDataContext';
+import { useCurrency } from '../../contexts/CurrencyContext';
+import './TableDetailStyles.css';
+import './CustomerLifecycleDetail.css';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const STATUS_LABELS = {
+  new: 'New',
+  active: 'Active',
+  reactivated: 'Reactivated',
+  declining: 'Declining',
+  lost: 'Lost'
+};
+
+const SEGMENT_OPTIONS = [
+  { value: '', label: 'All customers' },
+  { value: 'salesrep', label: 'Sales Rep' },
+  { value: 'country', label: 'Country' },
+  { value: 'productgroup', label: 'Product Group' }
+];
+
+const formatPct = (value) => (value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`);
+
+const formatMonthKey = (key) => {
+  const [year, month] = key.split('-');
+  return `${MONTH_NAMES[Number(month) - 1].slice(0, 3)} ${year}`;
+};
+
+/**
+ * Last month of the base period, the end of the lifecycle window
+ */
+const periodEnd = (period) => {
+  if (!period || !period.year) return null;
+  const months = (period.months || [])
+    .map(month => (typeof month === 'number' ? month : MONTH_NAMES.indexOf(month) + 1))
+    .filter(month => month > 0);
+  return { year: period.year, month: months.length > 0 ? Math.max(...months) : 12 };
+};
+
+/**
+ * CustomerLifecycleDetail Component
+ * ---------------------------------
+ * Customer statuses per month and acquisition-cohort retention for the Divisional Dashboard overlay,
+ * computed on the server (GET /api/customer-lifecycle) for the 12 months up to the base period.
+ */
+const CustomerLifecycleDetail = () => {
+  const { selectedDivision } = useExcelData();
+  const { columnOrder, basePeriodIndex } = useFilter();
+  const { reportCurrency } = useCurrency();
+  const [segmentBy, setSegmentBy] = useState('');
+  const [cohortPeriod, setCohortPeriod] = useState('quarter');
+  const [measure, setMeasure] = useState('kgs');
+  const [segment, setSegment] = useState(null);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const end = useMemo(
+    () => periodEnd(columnOrder[basePeriodIndex] || columnOrder[columnOrder.length - 1]),
+    [columnOrder, basePeriodIndex]
+  );
+
+  useEffect(() => {
+    if (!selectedDivision) return undefined;
+    let cancelled = false;
+
+    setLoading(true);
+    setError('');
+    axios.get(`${API_BASE_URL}/api/customer-lifecycle`, {
+      params: {
+        division: selectedDivision,
+        year: end?.year,
+        month: end?.month,
+        measure,
+        segmentBy: segmentBy || undefined,
+        cohortPeriod
+      }
+    })
+      .then(response => {
+        if (cancelled) return;
+        setData(response.data.data);
+        setSegment(null);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('👥 Error loading customer lifecycle:', err);
+        setError(err.response?.data?.error || 'Failed to load customer lifecycle');
+        setData(null);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedDivision, end, measure, segmentBy, cohortPeriod]);
+
+  const groups = data?.cohorts?.groups || [];
+  const activeGroup = groups.find(group => group.segment === segment) || groups[0];
+  const maxOffset = activeGroup
+    ? Math.max(0, ...activeGroup.cohorts.map(cohort => cohort.retained.length))
+    : 0;
+
+  const watchList = useMemo(() => {
+    const customers = data?.customers || [];
+    return {
+      declining: customers.filter(customer => customer.status === 'declining').slice(0, 10),
+      lost: customers
+        .filter(customer => customer.status === 'lost' && customer.history.some(status => status && status !== 'lost'))
+        .sort((a, b) => b.prior - a.prior)
+        .slice(0, 10)
+    };
+  }, [data]);
+
+  const unit = measure === 'kgs' ? 'kg' : (reportCurrency?.code || '');
+  const formatValue = (value) => `${Math.round(value).toLocaleString()} ${unit}`.trim();
+
+  return (
+    <div className="table-detail">
+      <div className="table-detail__wrapper customer-lifecycle">
+        <div className="customer-lifecycle__controls">
+          <label>
+            Cohorts by
+            <select value={segmentBy} onChange={(event) => setSegmentBy(event.target.value)}>
+              {SEGMENT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Cohort period
+            <select value={cohortPeriod} onChange={(event) => setCohortPeriod(event.target.value)}>
+              <option value="month">Month</option>
+              <option value="quarter">Quarter</option>
+              <option value="year">Year</option>
+            </select>
+          </label>
+          <label>
+            Measure
+            <select value={measure} onChange={(event) => setMeasure(event.target.value)}>
+              <option value="kgs">Volume (kg)</option>
+              <option value="amount">Sales</option>
+            </select>
+          </label>
+          {data && (
+            <span className="customer-lifecycle__window">
+              {formatMonthKey(data.window.from)} – {formatMonthKey(data.window.to)}
+            </span>
+          )}
+        </div>
+
+        {loading && <div className="customer-lifecycle__message">Loading customer lifecycle...</div>}
+        {error && <div className="customer-lifecycle__message customer-lifecycle__message--error">{error}</div>}
+
+        {data && !loading && (
+          <>
+            <div className="customer-lifecycle__tiles">
+              {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                <div key={status} className={`customer-lifecycle__tile customer-lifecycle__tile--${status}`}>
+                  <div className="customer-lifecycle__tile-label">{label}</div>
+                  <div className="customer-lifecycle__tile-value">{data.summary[status]}</div>
+                </div>
+              ))}
+              <div className="customer-lifecycle__tile">
+                <div className="customer-lifecycle__tile-label">12-Month Retention</div>
+                <div className="customer-lifecycle__tile-value">{formatPct(data.summary.retentionRate)}</div>
+              </div>
+            </div>
+
+            <h4 className="customer-lifecycle__title">Customers by Month</h4>
+            <table className="customer-lifecycle__table">
+              <thead>
+                <tr>
+                  <th>Month</th>
+                  {Object.values(STATUS_LABELS).map(label => <th key={label}>{label}</th>)}
+                  <th>Newly Lost</th>
+                  <th>Churn Rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.months.map(month => (
+                  <tr key={month.key}>
+                    <td>{formatMonthKey(month.key)}</td>
+                    {Object.keys(STATUS_LABELS).map(status => <td key={status}>{month.counts[status]}</td>)}
+                    <td>{month.newlyLost}</td>
+                    <td>{formatPct(month.churnRate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <h4 className="customer-lifecycle__title">
+              Acquisition Cohorts
+              {groups.length > 1 && (
+                <select
+                  className="customer-lifecycle__segment"
+                  value={activeGroup?.segment || ''}
+                  onChange={(event) => setSegment(event.target.value)}
+                >
+                  {groups.map(group => (
+                    <option key={group.segment} value={group.segment}>{group.segment} ({group.customers})</option>
+                  ))}
+                </select>
+              )}
+            </h4>
+            {activeGroup ? (
+              <table className="customer-lifecycle__table customer-lifecycle__table--cohorts">
+                <thead>
+                  <tr>
+                    <th>Cohort</th>
+                    <th>Customers</th>
+                    {Array.from({ length: maxOffset }, (_, offset) => <th key={offset}>+{offset}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {activeGroup.cohorts.map(cohort => (
+                    <tr key={cohort.key}>
+                      <td>{cohort.key}</td>
+                      <td>{cohort.size}</td>
+                      {Array.from({ length: maxOffset }, (_, offset) => (
+                        <td
+                          key={offset}
+                          style={offset < cohort.rates.length
+                            ? { backgroundColor: `rgba(37, 99, 235, ${0.1 + cohort.rates[offset] * 0.6})` }
+                            : undefined}
+                        >
+                          {offset < cohort.rates.length ? formatPct(cohort.rates[offset]) : ''}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <div className="customer-lifecycle__message">No customers were acquired in this window.</div>
+            )}
+
+            <div className="customer-lifecycle__lists">
+              <div>
+                <h4 className="customer-lifecycle__title">⚠️ Declining 30-90%</h4>
+                <ul>
+                  {watchList.declining.map(customer => (
+                    <li key={customer.name}>
+                      {customer.name}: {formatValue(customer.trailing)} ({formatPct(customer.change)})
+                    </li>
+                  ))}
+                  {watchList.declining.length === 0 && <li>None</li>}
+                </ul>
+              </div>
+              <div>
+                <h4 className="customer-lifecycle__title">Lost in this window</h4>
+                <ul>
+                  {watchList.lost.map(customer => (
+                    <li key={customer.name}>
+                      {customer.name}: last order {formatMonthKey(customer.lastPurchase)}, {formatValue(customer.prior)} the year before
+                    </li>
+                  ))}
+                  {watchList.lost.length === 0 && <li>None</li>}
+                </ul>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CustomerLifecycleDetail;
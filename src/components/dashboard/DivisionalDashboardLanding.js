@@ -15,13 +15,22 @@ const LazyProductGroupDetail = React.lazy(() => import('./ProductGroupDetail'));
 const LazySalesRepDetail = React.lazy(() => import('./SalesRepDetail'));
 const LazySalesCustomerDetail = React.lazy(() => import('./SalesCustomerDetail'));
 const LazySalesCountryDetail = React.lazy(() => import('./SalesCountryDetail'));
+const LazyCustomerLifecycleDetail = React.lazy(() => import('./CustomerLifecycleDetail'));
 
-const PRIMARY_CARD = {
-  id: 'divisional-kpis',
-  icon: '📈',
-  title: 'Divisional KPIs',
-  copy: 'Key performance indicators and metrics overview'
-};
+const PRIMARY_CARDS = [
+  {
+    id: 'divisional-kpis',
+    icon: '📈',
+    title: 'Divisional KPIs',
+    copy: 'Key performance indicators and metrics overview'
+  },
+  {
+    id: 'customer-lifecycle',
+    icon: '🔄',
+    title: 'Customer Lifecycle',
+    copy: 'New, active, reactivated, declining and lost customers with acquisition-cohort retention'
+  }
+];
 
 const CHART_CARDS = [
   {
@@ -155,10 +164,14 @@ const CARD_DETAIL_RENDERERS = {
   'sales-country': {
     title: 'Sales by Countries',
     Component: LazySalesCountryDetail
+  },
+  'customer-lifecycle': {
+    title: 'Customer Lifecycle',
+    Component: LazyCustomerLifecycleDetail
   }
 };
 
-const ALL_CARDS = [PRIMARY_CARD, ...CHART_CARDS, ...TABLE_CARDS];
+const ALL_CARDS = [...PRIMARY_CARDS, ...CHART_CARDS, ...TABLE_CARDS];
 const CARD_METADATA = ALL_CARDS.reduce((accumulator, card) => {
   accumulator[card.id] = card;
   return accumulator;
@@ -277,7 +290,7 @@ const DivisionalDashboardLanding = ({ onCardSelect }) => {
     <section className="divisional-dashboard">
       <div className="divisional-dashboard__container">
         <div className="divisional-dashboard__cards-grid divisional-dashboard__cards-grid--single">
-          {renderCard(PRIMARY_CARD)}
+          {PRIMARY_CARDS.map(renderCard)}
         </div>
 
         <div className="divisional-dashboard__cards-grid">
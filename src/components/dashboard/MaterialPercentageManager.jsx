@@ -30,18 +30,9 @@ const MaterialPercentageManager = () => {
     try {
       // Get division code from selectedDivision (handle both formats like 'FP' or 'FP-Product Group')
       const divisionCode = selectedDivision.split('-')[0].toLowerCase();
-      
-      // Check if this division is supported
-      const supportedDivisions = ['fp', 'sb', 'tf', 'hcm'];
-      if (!supportedDivisions.includes(divisionCode)) {
-        setProductGroups([]);
-        setMaterialPercentages({});
-        setMessage(`📝 Note: Material percentage management for ${selectedDivision} division is not yet supported.`);
-        return;
-      }
 
       // Load product groups
-      const productGroupsResponse = await fetch(`http://localhost:3001/api/${divisionCode}/master-data/product-groups`);
+      const productGroupsResponse = await fetch(`http://localhost:3001/api/divisions/${divisionCode}/master-data/product-groups`);
       const productGroupsResult = await productGroupsResponse.json();
       
       if (!productGroupsResult.success) {
@@ -66,7 +57,7 @@ const MaterialPercentageManager = () => {
       }
 
       // Load material percentages
-      const percentagesResponse = await fetch(`http://localhost:3001/api/${divisionCode}/master-data/material-percentages`);
+      const percentagesResponse = await fetch(`http://localhost:3001/api/divisions/${divisionCode}/master-data/material-percentages`);
       const percentagesResult = await percentagesResponse.json();
       
       if (!percentagesResult.success) {
@@ -152,7 +143,7 @@ const MaterialPercentageManager = () => {
           return;
         }
         
-        const response = await fetch(`http://localhost:3001/api/${divisionCode}/master-data/material-percentages`, {
+        const response = await fetch(`http://localhost:3001/api/divisions/${divisionCode}/master-data/material-percentages`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -228,7 +219,7 @@ const MaterialPercentageManager = () => {
     try {
       const divisionCode = selectedDivision.split('-')[0].toLowerCase();
       
-      const response = await fetch(`http://localhost:3001/api/${divisionCode}/master-data/material-percentages`, {
+      const response = await fetch(`http://localhost:3001/api/divisions/${divisionCode}/master-data/material-percentages`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -3,10 +3,6 @@ import { useExcelData } from '../../contexts/ExcelDataContext';
 import CurrencySymbol from './CurrencySymbol';
 import './MaterialPercentageManager.css';
 
-// Supported divisions - dynamically fetched from backend if needed
-// For now, keeping static list but can be made dynamic
-const SUPPORTED_DIVISIONS = ['fp', 'sb', 'tf', 'hcm'];
-
 // Validation constants
 const MIN_ROUNDED_VALUE = 0;
 const MAX_ROUNDED_VALUE = 1000;
@@ -40,13 +36,8 @@ const ProductGroupPricingManager = () => {
       return;
     }
 
-    if (!SUPPORTED_DIVISIONS.includes(divisionCode)) {
-      setInfoMessage(`📝 Pricing view not yet supported for ${selectedDivision}.`);
-      return;
-    }
-
     fetchAvailableYears(divisionCode);
-  }, [divisionCode, selectedDivision]);
+  }, [divisionCode]);
 
   useEffect(() => {
     if (!divisionCode || !selectedYear) return;
@@ -65,7 +56,7 @@ const ProductGroupPricingManager = () => {
   const fetchAvailableYears = async (division) => {
     setLoading(true);
     try {
-      const response = await fetch(`http://localhost:3001/api/${division}/master-data/product-pricing-years`);
+      const response = await fetch(`http://localhost:3001/api/divisions/${division}/master-data/product-pricing-years`);
       const result = await response.json();
 
       if (!result.success) {
@@ -98,10 +89,10 @@ const ProductGroupPricingManager = () => {
 
     try {
       const [pricingResponse, roundedResponse] = await Promise.all([
-        fetch(`http://localhost:3001/api/${division}/master-data/product-pricing?year=${year}`, {
+        fetch(`http://localhost:3001/api/divisions/${division}/master-data/product-pricing?year=${year}`, {
           signal: abortSignal
         }),
-        fetch(`http://localhost:3001/api/${division}/master-data/product-pricing-rounded?year=${year}`, {
+        fetch(`http://localhost:3001/api/divisions/${division}/master-data/product-pricing-rounded?year=${year}`, {
           signal: abortSignal
         })
       ]);
@@ -307,7 +298,7 @@ const ProductGroupPricingManager = () => {
         };
       });
 
-      const response = await fetch(`http://localhost:3001/api/${divisionCode}/master-data/product-pricing-rounded`, {
+      const response = await fetch(`http://localhost:3001/api/divisions/${divisionCode}/master-data/product-pricing-rounded`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
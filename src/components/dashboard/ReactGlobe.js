@@ -2,11 +2,13 @@ import React, { useRef, useEffect, useState, useCallback } from 'react';
 import Globe from 'react-globe.gl';
 import countryCoordinates from './countryCoordinates';
 import { getRegionForCountry } from './CountryReference';
+import useCountryMaster from '../../hooks/useCountryMaster';
 
 const ReactGlobe = () => {
   const globeRef = useRef();
   const [countriesData, setCountriesData] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const { resolveCountry, getCoordinates: getMasterCoordinates } = useCountryMaster();
 
   // Test data for now - replace with real API call later
   const testCountries = [
@@ -32,13 +34,18 @@ const ReactGlobe = () => {
   // Helper to determine if a country is the local market (UAE)
   const isLocalMarket = useCallback((countryName) => {
     if (!countryName) return false;
+    const masterCountry = resolveCountry(countryName);
+    if (masterCountry) return masterCountry.marketType === 'Local';
     const region = getRegionForCountry(countryName);
     return region === 'UAE';
-  }, []);
+  }, [resolveCountry]);
 
   // Enhanced country coordinate lookup
   const getCountryCoordinates = useCallback((name) => {
     if (!name) return null;
+    const masterCoordinates = getMasterCoordinates(name);
+    if (masterCoordinates) return masterCoordinates;
+
     const key = String(name).trim().toLowerCase();
     const entry = countryCoordinates[key];
     if (entry) {
@@ -70,7 +77,7 @@ const ReactGlobe = () => {
 
     console.warn(`Coordinates not found for country: ${name}`);
     return null;
-  }, []);
+  }, [getMasterCoordinates]);
 
   // Determine marker color based on percentage and local market status
   const getMarkerColor = useCallback((percentage, countryName) => {
@@ -7,6 +7,7 @@ import '../../styles/real-map.css';
 import countryCoordinates from './countryCoordinates';
 import { useExcelData } from '../../contexts/ExcelDataContext';
 import { useFilter } from '../../contexts/FilterContext';
+import useCountryMaster from '../../hooks/useCountryMaster';
 
 const earthImg = process.env.PUBLIC_URL + '/assets/8k_earth.jpg';
 
@@ -218,6 +219,7 @@ const RealWorld2DMap = () => {
   const [mapInstance, setMapInstance] = useState(null);
   const { selectedDivision } = useExcelData();
   const { columnOrder, basePeriodIndex } = useFilter();
+  const { getCoordinates: getMasterCoordinates } = useCountryMaster();
   const [selectedPeriodIndex, setSelectedPeriodIndex] = useState(0);
 
   console.log('🔄 RealWorld2DMap rendered with:', { selectedDivision, countryDataLength: countryData.length, selectedPeriodIndex });
@@ -359,7 +361,9 @@ const RealWorld2DMap = () => {
         console.log(`📍 ${item.country}: ${item.values} (${percentage.toFixed(2)}%)`);
         return {
           name: item.country,
-          percentage: percentage
+          percentage: percentage,
+          // Country master coordinates; the built-in table is the fallback
+          coords: getMasterCoordinates(item.country)
         };
       })
       .filter(item => item.percentage >= 0.1);
@@ -383,7 +387,7 @@ const RealWorld2DMap = () => {
             return null;
           }
           const normName = normalizeCountryName(c.name);
-          const coords = countryCoordinates[normName] || countryCoordinates[c.name] || null;
+          const coords = c.coords || countryCoordinates[normName] || countryCoordinates[c.name] || null;
           if (!coords) {
             console.warn('No coordinates found for country:', c.name, '(normalized:', normName, ')');
             return null;
@@ -394,7 +398,7 @@ const RealWorld2DMap = () => {
       console.log('Final exported country data:', window.__IPDASH_2D_COUNTRY_DATA__);
     } catch (e) { /* ignore */ }
     return result.sort((a, b) => b.percentage - a.percentage);
-  }, [countryData, selectedDivision]);
+  }, [countryData, selectedDivision, getMasterCoordinates]);
 
   // Removed unused salesCountryNames
 
@@ -861,6 +861,7 @@ const SalesBySaleRepTable = () => {
               month: column.month,
               months: column.months,
               type: column.type || 'Actual',
+              budgetVersionId: column.budgetVersionId,
               columnKey: getColumnKey(column)
             }))
           })
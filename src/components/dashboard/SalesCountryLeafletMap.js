@@ -4,6 +4,7 @@ import 'leaflet/dist/leaflet.css';
 import countryCoordinates from './countryCoordinates';
 import { useExcelData } from '../../contexts/ExcelDataContext';
 import { useFilter } from '../../contexts/FilterContext';
+import useCountryMaster from '../../hooks/useCountryMaster';
 
 // Fix for default markers in webpack
 delete L.Icon.Default.prototype._getIconUrl;
@@ -20,6 +21,7 @@ const SalesCountryLeafletMap = ({
 }) => {
   const { selectedDivision } = useExcelData();
   const { columnOrder, basePeriodIndex } = useFilter();
+  const { getCoordinates: getMasterCoordinates } = useCountryMaster();
   const [countries, setCountries] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -106,6 +108,12 @@ const SalesCountryLeafletMap = ({
   // Removed unused getCountryPercentage function
 
   const getCountryCoordinates = (countryName) => {
+    // Country master (name or alias) first
+    const masterCoordinates = getMasterCoordinates(countryName);
+    if (masterCoordinates) {
+      return masterCoordinates;
+    }
+
     // Handle country name mappings
     const nameMap = {
       'UAE': 'United Arab Emirates',
@@ -359,7 +367,7 @@ const SalesCountryLeafletMap = ({
           .bindPopup(`<b>${country.name}</b><br/>Market Share: ${country.percentage.toFixed(2)}%`);
       }
     });
-  }, [countries, mapInstance]);
+  }, [countries, mapInstance, getMasterCoordinates]);
 
   // Show "Coming Soon" for non-FP divisions
   if (selectedDivision !== 'FP') {
@@ -459,6 +467,25 @@ const SalesCountryLeafletMap = ({
         </div>
       )}
       
+      {/* Load error - shown above the map */}
+      {error && !loading && (
+        <div role="alert" style={{
+          position: 'absolute',
+          top: '12px',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          background: '#fff1f0',
+          border: '1px solid #ffa39e',
+          color: '#cf1322',
+          padding: '8px 16px',
+          borderRadius: '6px',
+          fontSize: '13px',
+          zIndex: 1000
+        }}>
+          {error}
+        </div>
+      )}
+      
       {/* Period Selection - only show if not hidden */}
       {!hidePeriodSelector && periods.length > 0 && (
         <div className="period-selector" style={{
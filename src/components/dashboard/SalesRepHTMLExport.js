@@ -55,7 +55,7 @@ const SalesRepHTMLExport = ({
     basePeriodIndex,
     dataGenerated
   } = useFilter();
-  const { companyCurrency } = useCurrency();
+  const { reportCurrency } = useCurrency();
 
   // Generate division name
   const divisionName = selectedDivision || 'Division';
@@ -127,7 +127,7 @@ const SalesRepHTMLExport = ({
     }
     
     if (isCurrency) {
-      return `${getUAEDirhamSymbolHTML()}${formatted}`;
+      return `${getCurrencySymbolHTML(reportCurrency)}${formatted}`;
     }
     return formatted;
   };
@@ -715,7 +715,7 @@ const SalesRepHTMLExport = ({
     // Generate Customer Amount Table HTML (similar structure with AED formatting)
     const customerAmountTableHTML = filteredCustomerAmounts.length > 0 ? `
       <div style="margin-bottom: 40px;">
-        <h3 style="color: #1e293b; font-size: 20px; font-weight: 700; margin-bottom: 20px;">Customer Sales - ${getUAEDirhamSymbolHTML()} Sales Comparison</h3>
+        <h3 style="color: #1e293b; font-size: 20px; font-weight: 700; margin-bottom: 20px;">Customer Sales - ${getCurrencySymbolHTML(reportCurrency)} Sales Comparison</h3>
         <div style="overflow-x: auto;">
           <table style="width: 100%; border-collapse: collapse; box-shadow: 0 2px 8px rgba(0,0,0,0.1); background: white;">
             <thead>
@@ -797,7 +797,7 @@ const SalesRepHTMLExport = ({
                   }
                   // For data columns, calculate total and use AED formatting
                   const total = filteredCustomerAmounts.reduce((sum, customer) => sum + (customer.rawValues[col.dataIndex] || 0), 0);
-                  return `<td style="padding: 12px; border: 1px solid #ddd; text-align: center;">${getUAEDirhamSymbolHTML()}${formatAED(total)}</td>`;
+                  return `<td style="padding: 12px; border: 1px solid #ddd; text-align: center;">${getCurrencySymbolHTML(reportCurrency)}${formatAED(total)}</td>`;
                 }).join('')}
               </tr>
             </tbody>
@@ -891,10 +891,10 @@ const SalesRepHTMLExport = ({
                 <strong>Price-Volume-Mix Analysis:</strong><br/>
                 • Price Effect: ${formatPct(comprehensiveInsights.pvm.priceEffect)}<br/>
                 • Volume Effect: ${formatPct(comprehensiveInsights.pvm.volumeEffect)}<br/>
-                • Portfolio Kilo Rate: ${getUAEDirhamSymbolHTML()}${formatAED(comprehensiveInsights.volumeVsSalesPerformance.avgKiloRate)}/MT (${hasPreviousYearData && comprehensiveInsights.volumeVsSalesPerformance.kiloRateYoY !== null ? formatPct(comprehensiveInsights.volumeVsSalesPerformance.kiloRateYoY) + ' YoY' : 'No YoY data'})
+                • Portfolio Kilo Rate: ${getCurrencySymbolHTML(reportCurrency)}${formatAED(comprehensiveInsights.volumeVsSalesPerformance.avgKiloRate)}/MT (${hasPreviousYearData && comprehensiveInsights.volumeVsSalesPerformance.kiloRateYoY !== null ? formatPct(comprehensiveInsights.volumeVsSalesPerformance.kiloRateYoY) + ' YoY' : 'No YoY data'})
               ` : `
                 <strong>Price-Volume Analysis:</strong><br/>
-                • Portfolio Kilo Rate: ${getUAEDirhamSymbolHTML()}${formatAED(comprehensiveInsights.volumeVsSalesPerformance.avgKiloRate)}/MT<br/>
+                • Portfolio Kilo Rate: ${getCurrencySymbolHTML(reportCurrency)}${formatAED(comprehensiveInsights.volumeVsSalesPerformance.avgKiloRate)}/MT<br/>
                 • PVM Analysis: Requires previous year or budget data for comparison
               `}
             </div>
@@ -961,7 +961,7 @@ const SalesRepHTMLExport = ({
                 <div style="display: flex; align-items: center; gap: 8px; padding: 6px; background: #f8fafc; border-radius: 6px; margin-top: 6px;">
                   <div style="width: 24px; height: 24px; border-radius: 50%; background: #3b82f6; color: white; display: flex; align-items: center; justify-content: center; font-size: 12px; font-weight: 600;">${i + 1}</div>
                   <div style="flex: 1; font-size: 13px; font-weight: 500;">${formatCustomerName(c.name)}</div>
-                  <div style="font-size: 12px; color: #666;">${getUAEDirhamSymbolHTML()}${formatAED(c.amount)}</div>
+                  <div style="font-size: 12px; color: #666;">${getCurrencySymbolHTML(reportCurrency)}${formatAED(c.amount)}</div>
                   <div style="font-size: 11px; color: #3b82f6; font-weight: 600;">${formatPct(c.share)}</div>
                 </div>
               `).join('')}
@@ -971,7 +971,7 @@ const SalesRepHTMLExport = ({
             <div style="padding: 12px; background: #faf5ff; border-radius: 8px; font-size: 14px; line-height: 1.6; color: #6b21a8;">
               <strong>Highest Kilo Rates (Min 1% volume share):</strong><br/>
               ${comprehensiveInsights.topPerformers.kiloRate.map((c, index) =>
-                `${index > 0 ? '<br/>' : ''}• ${formatCustomerName(c.name)}: ${getUAEDirhamSymbolHTML()}${formatAED(c.kiloRate)}/MT (${formatMt(c.volume)})`
+                `${index > 0 ? '<br/>' : ''}• ${formatCustomerName(c.name)}: ${getCurrencySymbolHTML(reportCurrency)}${formatAED(c.kiloRate)}/MT (${formatMt(c.volume)})`
               ).join('')}
             </div>
           ` : ''}
@@ -1300,7 +1300,7 @@ const SalesRepHTMLExport = ({
     // Generate Amount Table HTML (similar structure with AED formatting)
     const amountTableHTML = `
       <div style="margin-bottom: 40px;">
-        <h3 style="color: #1e293b; font-size: 20px; font-weight: 700; margin-bottom: 20px;">Product Groups - ${getUAEDirhamSymbolHTML()} Sales Comparison</h3>
+        <h3 style="color: #1e293b; font-size: 20px; font-weight: 700; margin-bottom: 20px;">Product Groups - ${getCurrencySymbolHTML(reportCurrency)} Sales Comparison</h3>
         <div style="overflow-x: auto;">
           <table style="width: 100%; border-collapse: collapse; box-shadow: 0 2px 8px rgba(0,0,0,0.1); background: white;">
             <thead>
@@ -1359,7 +1359,7 @@ const SalesRepHTMLExport = ({
                     return `<td style="padding: 12px; border: 1px solid #ddd; text-align: center;">-</td>`;
                   }
                   const totalValue = calculateColumnTotal(filteredAmountData, idx);
-                  return `<td style="padding: 12px; border: 1px solid #ddd; text-align: center; font-weight: 700;">${getUAEDirhamSymbolHTML()}${formatAED(totalValue)}</td>`;
+                  return `<td style="padding: 12px; border: 1px solid #ddd; text-align: center; font-weight: 700;">${getCurrencySymbolHTML(reportCurrency)}${formatAED(totalValue)}</td>`;
                 }).join('')}
               </tr>
                   </tbody>
@@ -1410,10 +1410,10 @@ const SalesRepHTMLExport = ({
       const formatAmountDisplay = (num) => {
         if (num == null || isNaN(num)) return 'N/A';
         const millions = num / 1000000;
-        if (millions >= 1) return `${getUAEDirhamSymbolHTML()}${millions.toFixed(1)}M`;
+        if (millions >= 1) return `${getCurrencySymbolHTML(reportCurrency)}${millions.toFixed(1)}M`;
         const thousands = num / 1000;
-        if (thousands >= 1) return `${getUAEDirhamSymbolHTML()}${thousands.toFixed(0)}K`;
-        return `${getUAEDirhamSymbolHTML()}${Math.round(num).toLocaleString()}`;
+        if (thousands >= 1) return `${getCurrencySymbolHTML(reportCurrency)}${thousands.toFixed(0)}K`;
+        return `${getCurrencySymbolHTML(reportCurrency)}${Math.round(num).toLocaleString()}`;
       };
       
       const formatPercentage = (num) => {
@@ -1570,7 +1570,7 @@ const SalesRepHTMLExport = ({
                 // Helper for ASP formatting (plain HTML version of formatNumber 'asp')
                 const formatASP = (num) => {
                   if (num == null || isNaN(num)) return 'N/A';
-                  return getUAEDirhamSymbolHTML() + Math.round(num).toLocaleString();
+                  return getCurrencySymbolHTML(reportCurrency) + Math.round(num).toLocaleString();
                 };
                 return `
                 <div style="padding: 16px; background: #f8fafc; border-radius: 8px; margin-bottom: 16px; border-left: 4px solid #d97706; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
@@ -2128,7 +2128,7 @@ const SalesRepHTMLExport = ({
               <h2>Sales by Sales Rep - ${selectedDivision}</h2>
               <div class="table-subtitle">
                 <div style="font-size: 18px; font-weight: bold;">
-                  ${getUAEDirhamSymbolHTML()}
+                  ${getCurrencySymbolHTML(reportCurrency)}
                 </div>
               </div>
             </div>
@@ -2255,7 +2255,7 @@ const SalesRepHTMLExport = ({
         function checkUaeSymbolFont() {
             var testElement = document.createElement('span');
             testElement.className = 'uae-symbol';
-            testElement.innerHTML = getUAEDirhamSymbolHTML();
+            testElement.innerHTML = getCurrencySymbolHTML(reportCurrency);
             testElement.style.visibility = 'hidden';
             testElement.style.position = 'absolute';
             testElement.style.fontSize = '16px';
@@ -2288,8 +2288,8 @@ const SalesRepHTMLExport = ({
         });
         
         // UAE Dirham symbol function
-        function getUAEDirhamSymbolHTML() {
-            return '${getUAEDirhamSymbolHTML()}';
+        function getCurrencySymbolHTML(reportCurrency) {
+            return '${getCurrencySymbolHTML(reportCurrency)}';
         }
     </script>
     <style>
@@ -1,4 +1,4 @@
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useEffect, useState, useMemo } from 'react';
 import { useExcelData } from '../../contexts/ExcelDataContext';
 import { useFilter } from '../../contexts/FilterContext';
 import PDFExport from './PDFExport';
@@ -64,10 +64,39 @@ const safelyRemoveElement = (element) => {
 };
 
 const TableView = ({ hideHeader = false }) => {
-  const { excelData, selectedDivision } = useExcelData();
+  const { excelData, plLedgers, selectedDivision } = useExcelData();
   const { columnOrder, dataGenerated } = useFilter();
   const tableRef = useRef(null);
 
+  // Rows, formulas and bold totals come from the division's chart of accounts
+  const ledgers = useMemo(
+    () => plLedgers[String(selectedDivision || '').toUpperCase()] || [],
+    [plLedgers, selectedDivision]
+  );
+
+  // Every ledger line per column: posted lines summed from the P&L sheet here,
+  // formula lines evaluated over them by the server
+  const [ledgerValues, setLedgerValues] = useState([]);
+  useEffect(() => {
+    if (!dataGenerated || ledgers.length === 0) {
+      setLedgerValues(prev => (prev.length === 0 ? prev : []));
+      return undefined;
+    }
+
+    const sheet = excelData[selectedDivision] || [];
+    const postedLedgers = ledgers.filter(ledger => !ledger.formula && Number.isInteger(ledger.sheet_row));
+    const postedColumns = columnOrder.map(column => Object.fromEntries(
+      postedLedgers.map(ledger => [ledger.code, sharedComputeCellValue(sheet, ledger.sheet_row, column)])
+    ));
+
+    let cancelled = false;
+    FormulaCalculator.calculateLedgerValues(String(selectedDivision).toUpperCase(), postedColumns).then(values => {
+      if (!cancelled) setLedgerValues(values);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [dataGenerated, ledgers, excelData, selectedDivision, columnOrder]);
 
   // Only show data if Generate button has been clicked
   if (!dataGenerated) {
@@ -107,8 +136,7 @@ const TableView = ({ hideHeader = false }) => {
     console.error('Data validation failed:', validationResult.errors);
   }
 
-  // Get row configuration from service
-  const salesRows = RowConfigurationService.getRowConfiguration(divisionData);
+  const salesRows = RowConfigurationService.getRowConfiguration(ledgers);
 
   // Function to compute the value for a specific cell based on row index and column configuration
   const computeCellValue = (rowIndex, column) => {
@@ -301,80 +329,19 @@ const TableView = ({ hideHeader = false }) => {
               }
               
               // Check if this row should be bold
-              const isBoldRow = RowConfigurationService.shouldBeBold(row.label);
+              const isBoldRow = RowConfigurationService.shouldBeBold(row);
               
               return (
                 <tr key={row.key} className={`${row.isHeader ? 'pl-section-header' : ''} ${isBoldRow ? 'pl-important-row' : ''}`} data-row-index={row.index}>
-                  <td className="pl-row-label">{row.label}</td>
+                  <td className="pl-row-label" title={row.formula || undefined}>{row.label}</td>
                   {columnOrder.flatMap((column, colIndex) => {
                     // Handle calculated fields with formulas
                     if (row.isCalculated) {
                       // Get background color based on the column's properties
                       const bgColor = getCellBackgroundColor(column);
 
-                      // Use FormulaCalculator for consistent calculations
-                      let formattedResult = '';
-                      
-                      // Prepare values for formula calculation
-                      const values = {
-                        sales: computeCellValue(FINANCIAL_ROWS.SALES, column),
-                        material: computeCellValue(FINANCIAL_ROWS.MATERIAL, column),
-                        costOfSales: computeCellValue(FINANCIAL_ROWS.COST_OF_SALES, column),
-                        row9: computeCellValue(FINANCIAL_ROWS.ROW_9, column),
-                        row10: computeCellValue(FINANCIAL_ROWS.ROW_10, column),
-                        row12: computeCellValue(FINANCIAL_ROWS.ROW_12, column),
-                        row13: computeCellValue(FINANCIAL_ROWS.ROW_13, column),
-                        row15: computeCellValue(FINANCIAL_ROWS.ROW_15, column),
-                        row31: computeCellValue(FINANCIAL_ROWS.ROW_31, column),
-                        row32: computeCellValue(FINANCIAL_ROWS.ROW_32, column),
-                        row40: computeCellValue(FINANCIAL_ROWS.ROW_40, column),
-                        row42: computeCellValue(FINANCIAL_ROWS.ROW_42, column),
-                        row43: computeCellValue(FINANCIAL_ROWS.ROW_43, column),
-                        row44: computeCellValue(FINANCIAL_ROWS.ROW_44, column),
-                        row49: computeCellValue(FINANCIAL_ROWS.ROW_49, column),
-                        row50: computeCellValue(FINANCIAL_ROWS.ROW_50, column),
-                        row51: computeCellValue(FINANCIAL_ROWS.ROW_51, column),
-                        row54: computeCellValue(FINANCIAL_ROWS.ROW_54, column),
-                        // Additional values for new formulas
-                        actualDirectCostSpent: FormulaCalculator.calculateFormula('sum9-10-12-13', {
-                          row9: computeCellValue(FINANCIAL_ROWS.ROW_9, column),
-                          row10: computeCellValue(FINANCIAL_ROWS.ROW_10, column),
-                          row12: computeCellValue(FINANCIAL_ROWS.ROW_12, column),
-                          row13: computeCellValue(FINANCIAL_ROWS.ROW_13, column)
-                        }),
-                        dirCostInStock: computeCellValue(FINANCIAL_ROWS.ROW_15, column),
-                        directCostOfGoodsSold: '', // Will be calculated
-                        grossProfitAfterDepn: FormulaCalculator.calculateFormula('sales-cost-of-sales', {
-                          sales: computeCellValue(FINANCIAL_ROWS.SALES, column),
-                          costOfSales: computeCellValue(FINANCIAL_ROWS.COST_OF_SALES, column)
-                        }),
-                        depreciation: computeCellValue(FINANCIAL_ROWS.ROW_10, column),
-                        totalBelowGPExpenses: FormulaCalculator.calculateFormula('sum-31-32-40-42-43-44-49-50-51', {
-                          row31: computeCellValue(FINANCIAL_ROWS.ROW_31, column),
-                          row32: computeCellValue(FINANCIAL_ROWS.ROW_32, column),
-                          row40: computeCellValue(FINANCIAL_ROWS.ROW_40, column),
-                          row42: computeCellValue(FINANCIAL_ROWS.ROW_42, column),
-                          row43: computeCellValue(FINANCIAL_ROWS.ROW_43, column),
-                          row44: computeCellValue(FINANCIAL_ROWS.ROW_44, column),
-                          row49: computeCellValue(FINANCIAL_ROWS.ROW_49, column),
-                          row50: computeCellValue(FINANCIAL_ROWS.ROW_50, column),
-                          row51: computeCellValue(FINANCIAL_ROWS.ROW_51, column)
-                        }),
-                        totalExpenses: '', // Will be calculated
-                        netProfit: '', // Will be calculated
-                        bankInterest: computeCellValue(FINANCIAL_ROWS.ROW_42, column),
-                        ebit: '', // Will be calculated
-                        rdPreProduction: computeCellValue(FINANCIAL_ROWS.ROW_44, column)
-                      };
-
-                      // Calculate intermediate values for complex formulas
-                      values.directCostOfGoodsSold = FormulaCalculator.calculateDirectCostOfGoodsSold(values.actualDirectCostSpent, values.dirCostInStock);
-                      values.totalExpenses = FormulaCalculator.calculateTotalExpenses(values.actualDirectCostSpent, values.totalBelowGPExpenses);
-                      values.netProfit = FormulaCalculator.calculateNetProfit(values.grossProfitAfterDepn, values.totalBelowGPExpenses);
-                      values.ebit = FormulaCalculator.calculateEBIT(values.netProfit, values.bankInterest);
-
-                      // Use FormulaCalculator for all calculations
-                      formattedResult = FormulaCalculator.calculateFormula(row.formula, values);
+                      const formattedResult = FormulaCalculator.formatLineValue(ledgerValues[colIndex]?.[row.key], row.measure);
+                      const showRatios = RowConfigurationService.showsRatios(row);
                       
                       // Return an array of cells instead of using React.Fragment
                       return [
@@ -391,7 +358,7 @@ const TableView = ({ hideHeader = false }) => {
                           style={{ backgroundColor: bgColor }}
                         >
                           {(() => {
-                            if (row.index === -5) return '';
+                            if (!showRatios) return '';
                             try {
                               if (formattedResult === '') return '';
                               const salesValue = computeCellValue(FINANCIAL_ROWS.SALES, column);
@@ -408,7 +375,7 @@ const TableView = ({ hideHeader = false }) => {
                           style={{ backgroundColor: bgColor }}
                         >
                           {(() => {
-                            if (row.index === -5) return '';
+                            if (!showRatios) return '';
                             try {
                               if (formattedResult === '') return '';
                               const volumeValue = computeCellValue(FINANCIAL_ROWS.SALES_VOLUME, column);
@@ -441,8 +408,8 @@ const TableView = ({ hideHeader = false }) => {
                         className="pl-data-cell pl-percentage-cell"
                         style={{ backgroundColor: bgColor }}
                       >
-                        {/* Keep % of Sales empty for specific rows */}
-                        {row.index !== 7 && row.index !== 8 && row.index !== -5 ? computePercentOfSales(row.index, column) : ''}
+                        {/* Keep % of Sales empty for volume and percentage lines */}
+                        {RowConfigurationService.showsRatios(row) ? computePercentOfSales(row.index, column) : ''}
                       </td>,
                       <td 
                         key={`perkg-${row.key}-${colIndex}`}
@@ -451,8 +418,8 @@ const TableView = ({ hideHeader = false }) => {
                           backgroundColor: bgColor
                         }}
                       >
-                        {/* Show Sales per kg for all rows except Sales Volume and Production Volume */}
-                        {computeSalesPerKg(row.index, column)}
+                        {/* Show Sales per kg for all rows except volume and percentage lines */}
+                        {RowConfigurationService.showsRatios(row) ? computeSalesPerKg(row.index, column) : ''}
                       </td>
                     ];
                   })}
@@ -1,11 +1,14 @@
 /**
  * Financial Constants for P&L Table
  * 
- * This file contains all the row indices and formula constants used in the financial table.
- * Centralizing these values improves maintainability and reduces magic numbers.
+ * This file contains the row indices and colour constants used in the financial table.
+ * Line formulas are not constants: they come from the division's chart of accounts
+ * (Settings > P&L Lines) and are evaluated by the server's formula engine (server/utils/plFormula.js).
  */
 
 // Row indices for financial data
+// Each row is the sheet_row of a ledger line in the division's chart of accounts
+// ({div}_pl_ledgers), where /api/aebf/pl/sheet places its amounts
 export const FINANCIAL_ROWS = {
   SALES: 3,
   COST_OF_SALES: 4,
@@ -30,49 +33,6 @@ export const FINANCIAL_ROWS = {
   ROW_56: 56
 };
 
-// Formula identifiers
-export const FORMULA_TYPES = {
-  SALES_MINUS_MATERIAL: 'sales-material',
-  SALES_MINUS_COST_OF_SALES: 'sales-cost-of-sales',
-  SUM_9_10_12_13: 'sum9-10-12-13',
-  SUM_14_15: 'sum14-15',
-  PERCENT_16_4: 'percent16-4',
-  CALC_19_3_4: 'calc19-3-4',
-  CALC_21_19_10: 'calc21-19-10',
-  SUM_31_TO_51: 'sum-31-32-40-42-43-44-49-50-51',
-  SUM_14_52: 'sum-14-52',
-  SUM_54_10_42_44_51: 'sum-54-10-42-44-51',
-  SUM_54_42: 'sum-54-42',
-  // New formulas based on actual P&L structure
-  DIRECT_COST_OF_GOODS_SOLD: 'direct-cost-of-goods-sold',
-  DIRECT_COST_PERCENT_OF_COGS: 'direct-cost-percent-of-cogs',
-  GROSS_PROFIT_BEFORE_DEPN: 'gross-profit-before-depn',
-  TOTAL_EXPENSES: 'total-expenses',
-  NET_PROFIT: 'net-profit',
-  EBIT: 'ebit',
-  EBITDA: 'ebitda'
-};
-
-// Row labels for dynamic display
-export const ROW_LABELS = {
-  SALES: 'Sales',
-  SALES_VOLUME: 'Sales volume (kg)',
-  PRODUCTION_VOLUME: 'Production volume (kg)',
-  COST_OF_SALES: 'Cost of Sales',
-  MATERIAL: 'Material',
-  MARGIN_OVER_MATERIAL: 'Margin over Material',
-  ROW_14_SUM: 'Row 14 (Sum)',
-  ROW_16_SUM: 'Row 16 (Sum)',
-  ROW_18_PERCENT: 'Row 18 (%)',
-  ROW_19_CALC: 'Row 19 (Sales-Material)',
-  ROW_21_CALC: 'Row 21 (Row19+Row10)',
-  ROW_52_SUM: 'Row 52 (Sum)',
-  ROW_59_SUM: 'Row 59 (Row14+Row52)',
-  ROW_54_CALC: 'Row 54 (Row19-Row52)',
-  EBIT: 'EBIT',
-  EBITDA: 'Row 56 (EBITDA)'
-};
-
 // Color schemes for columns
 export const COLOR_SCHEMES = [
   { name: 'blue', label: 'Blue', primary: '#288cfa', secondary: '#103766', light: '#E3F2FD', isDark: true },
@@ -0,0 +1,289 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Table, Input, Select, DatePicker, Button, Space, Tag, Alert, Typography, Row, Col, App } from 'antd';
+import { ReloadOutlined, DownloadOutlined, SafetyCertificateOutlined } from '@ant-design/icons';
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const PAGE_SIZE = 50;
+
+const METHOD_COLORS = { POST: 'green', PUT: 'blue', PATCH: 'blue', DELETE: 'red' };
+
+const formatDateTime = (value) => (value
+  ? new Date(value).toLocaleString('en-GB', {
+    day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  })
+  : '-');
+
+// Query parameters of the list and the export; empty filters are left out
+const toParams = (filters) => {
+  const params = {};
+  if (filters.range?.[0]) params.from = filters.range[0].format('YYYY-MM-DD');
+  if (filters.range?.[1]) params.to = filters.range[1].format('YYYY-MM-DD');
+  ['userId', 'entityType', 'division', 'action', 'search'].forEach((key) => {
+    if (filters[key]) params[key] = filters[key];
+  });
+  return params;
+};
+
+const JsonBlock = ({ title, value }) => (
+  <div>
+    <Typography.Text strong>{title}</Typography.Text>
+    <pre style={{ maxHeight: 320, overflow: 'auto', fontSize: 12, background: 'var(--color-bg-secondary, #f5f5f5)', padding: 8, borderRadius: 4 }}>
+      {value === null || value === undefined ? '-' : JSON.stringify(value, null, 2)}
+    </pre>
+  </div>
+);
+
+/**
+ * AuditLogSettings Component
+ * Admin viewer of the audit trail: filters (dates, user, entity, action, division, free text),
+ * paged entries with the before / after state, CSV export of the filtered entries and
+ * verification of the hash chain.
+ */
+const AuditLogSettings = () => {
+  const { message } = App.useApp();
+
+  const [filters, setFilters] = useState({});
+  const [options, setOptions] = useState({ entityTypes: [], users: [], divisions: [] });
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [verifying, setVerifying] = useState(false);
+  const [verification, setVerification] = useState(null);
+
+  const fetchOptions = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/audit-log/options`);
+      setOptions(response.data.data);
+    } catch (error) {
+      console.error('Error loading audit log filters:', error);
+    }
+  }, []);
+
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/audit-log`, {
+        params: { ...toParams(filters), limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE }
+      });
+      setEntries(response.data.data.entries);
+      setTotal(response.data.data.total);
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+      message.error(error.response?.data?.error || 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page, message]);
+
+  useEffect(() => {
+    fetchOptions();
+  }, [fetchOptions]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value || undefined }));
+    setPage(1);
+  };
+
+  const exportCsv = async () => {
+    setExporting(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/audit-log/export`, {
+        params: toParams(filters),
+        responseType: 'blob'
+      });
+
+      const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `audit-log-${dateStr}.csv`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      if (response.headers['x-audit-limited']) {
+        message.warning('Only the first 50,000 entries were exported, narrow the filters for the rest');
+      }
+    } catch (error) {
+      console.error('Error exporting audit log:', error);
+      message.error('Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const verifyChain = async () => {
+    setVerifying(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/audit-log/verify`);
+      setVerification(response.data.data);
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to verify audit log');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const columns = [
+    { title: 'When', dataIndex: 'occurredAt', key: 'occurredAt', width: 180, render: formatDateTime },
+    {
+      title: 'User',
+      dataIndex: 'userEmail',
+      key: 'userEmail',
+      render: (email) => email || <Typography.Text type="secondary">anonymous</Typography.Text>
+    },
+    {
+      title: 'Action',
+      dataIndex: 'action',
+      key: 'action',
+      render: (action, record) => (
+        <Space size={4}>
+          {record.method && <Tag color={METHOD_COLORS[record.method]}>{record.method}</Tag>}
+          <Typography.Text code>{action}</Typography.Text>
+        </Space>
+      )
+    },
+    {
+      title: 'Entity',
+      key: 'entity',
+      render: (_, record) => (record.entityId ? `${record.entityType} · ${record.entityId}` : record.entityType)
+    },
+    { title: 'Division', dataIndex: 'division', key: 'division', width: 90, render: (division) => division || '-' },
+    { title: '#', dataIndex: 'id', key: 'id', width: 80 }
+  ];
+
+  const renderVerification = () => {
+    if (!verification) return null;
+    if (verification.valid) {
+      return (
+        <Alert
+          type="success"
+          showIcon
+          closable
+          onClose={() => setVerification(null)}
+          message={`Chain intact: ${verification.checked} entries checked`}
+          description={verification.headId
+            ? <>Head entry #{verification.headId}, hash <Typography.Text code copyable>{verification.headHash}</Typography.Text></>
+            : 'The audit log is empty.'}
+        />
+      );
+    }
+    return (
+      <Alert
+        type="error"
+        showIcon
+        closable
+        onClose={() => setVerification(null)}
+        message={`Chain broken at entry #${verification.brokenAt.id}`}
+        description={`${verification.brokenAt.reason}. ${verification.checked} entries before it are intact.`}
+      />
+    );
+  };
+
+  return (
+    <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+      <Row gutter={[8, 8]}>
+        <Col>
+          <DatePicker.RangePicker value={filters.range} onChange={(range) => updateFilter('range', range)} />
+        </Col>
+        <Col>
+          <Select
+            allowClear
+            showSearch
+            placeholder="User"
+            style={{ width: 220 }}
+            value={filters.userId}
+            onChange={(value) => updateFilter('userId', value)}
+            optionFilterProp="label"
+            options={options.users.map(user => ({ value: user.id, label: user.email }))}
+          />
+        </Col>
+        <Col>
+          <Select
+            allowClear
+            showSearch
+            placeholder="Entity"
+            style={{ width: 220 }}
+            value={filters.entityType}
+            onChange={(value) => updateFilter('entityType', value)}
+            options={options.entityTypes.map(type => ({ value: type, label: type }))}
+          />
+        </Col>
+        <Col>
+          <Select
+            allowClear
+            placeholder="Division"
+            style={{ width: 120 }}
+            value={filters.division}
+            onChange={(value) => updateFilter('division', value)}
+            options={options.divisions.map(division => ({ value: division, label: division }))}
+          />
+        </Col>
+        <Col>
+          <Input.Search
+            allowClear
+            placeholder="Action, e.g. user.update"
+            style={{ width: 200 }}
+            onSearch={(value) => updateFilter('action', value)}
+          />
+        </Col>
+        <Col>
+          <Input.Search
+            allowClear
+            placeholder="Search path, id or values"
+            style={{ width: 240 }}
+            onSearch={(value) => updateFilter('search', value)}
+          />
+        </Col>
+      </Row>
+
+      <Space wrap>
+        <Button icon={<ReloadOutlined />} onClick={() => { fetchEntries(); fetchOptions(); }} loading={loading}>Refresh</Button>
+        <Button icon={<DownloadOutlined />} onClick={exportCsv} loading={exporting}>Export CSV</Button>
+        <Button icon={<SafetyCertificateOutlined />} onClick={verifyChain} loading={verifying}>Verify chain</Button>
+      </Space>
+
+      {renderVerification()}
+
+      <Table
+        rowKey="id"
+        size="small"
+        columns={columns}
+        dataSource={entries}
+        loading={loading}
+        pagination={{
+          current: page,
+          pageSize: PAGE_SIZE,
+          total,
+          showSizeChanger: false,
+          showTotal: (count) => `${count} entries`,
+          onChange: setPage
+        }}
+        expandable={{
+          expandedRowRender: (record) => (
+            <Space direction="vertical" style={{ width: '100%' }}>
+              <Row gutter={16}>
+                <Col span={12}><JsonBlock title="Before" value={record.before} /></Col>
+                <Col span={12}><JsonBlock title="After" value={record.after} /></Col>
+              </Row>
+              <Typography.Text type="secondary" style={{ fontSize: 12 }}>
+                {record.path} · status {record.statusCode ?? '-'} · IP {record.ipAddress || '-'} · correlation {record.correlationId || '-'}
+              </Typography.Text>
+            </Space>
+          )
+        }}
+      />
+    </Space>
+  );
+};
+
+export default AuditLogSettings;
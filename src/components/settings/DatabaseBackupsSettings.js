@@ -0,0 +1,401 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Table, Input, InputNumber, Select, Switch, Button, Space, Tag, Card, Modal, Form, Radio, Alert, Tooltip, Typography, App } from 'antd';
+import { ReloadOutlined, CloudUploadOutlined, SafetyCertificateOutlined, RollbackOutlined, DatabaseOutlined } from '@ant-design/icons';
+import axios from 'axios';
+import { useJobs } from '../../contexts/JobsContext';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const STATUS_COLORS = { success: 'green', running: 'blue', failed: 'red', pruned: 'default' };
+
+const formatDateTime = (value) => (value
+  ? new Date(value).toLocaleString('en-GB', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+  : '-');
+
+const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return '-';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = Number(bytes);
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+const formatAge = (hours) => {
+  if (hours === null || hours === undefined) return 'never';
+  if (hours < 1) return `${Math.round(hours * 60)} min`;
+  if (hours < 48) return `${hours.toFixed(1)} h`;
+  return `${Math.round(hours / 24)} days`;
+};
+
+const VerifyTag = ({ backup }) => {
+  if (!backup?.verifyStatus) return '-';
+  return (
+    <Tooltip title={backup.verifyError || `Checked ${formatDateTime(backup.verifiedAt)}`}>
+      <Tag color={backup.verifyStatus === 'valid' ? 'green' : 'red'}>{backup.verifyStatus}</Tag>
+    </Tooltip>
+  );
+};
+
+/**
+ * DatabaseBackupsSettings Component
+ * Status of the scheduled backups of every division database and the auth database (last
+ * success, size, age), the schedule and retention policy, manual backups, checksum
+ * verification, and restores of a backup as a new division or of a single table.
+ */
+const DatabaseBackupsSettings = () => {
+  const { message } = App.useApp();
+  const { trackJob } = useJobs();
+  const [policyForm] = Form.useForm();
+  const [restoreForm] = Form.useForm();
+
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [savingPolicy, setSavingPolicy] = useState(false);
+  const [selectedTarget, setSelectedTarget] = useState(null);
+  const [backups, setBackups] = useState([]);
+  const [loadingBackups, setLoadingBackups] = useState(false);
+  const [verifyingId, setVerifyingId] = useState(null);
+  const [restore, setRestore] = useState(null); // { backup, kind: 'table' | 'division' }
+  const [backupTables, setBackupTables] = useState([]);
+  const restoreMode = Form.useWatch('mode', restoreForm);
+
+  const fetchStatus = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/database-backups`);
+      setStatus(response.data);
+      policyForm.setFieldsValue(response.data.policy);
+    } catch (error) {
+      console.error('Error loading backup status:', error);
+      message.error('Failed to load backup status');
+    } finally {
+      setLoading(false);
+    }
+  }, [message, policyForm]);
+
+  const fetchBackups = useCallback(async () => {
+    if (!selectedTarget) return;
+    setLoadingBackups(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/database-backups/backups`, { params: { target: selectedTarget.key } });
+      setBackups(response.data.backups || []);
+    } catch (error) {
+      console.error('Error loading backups:', error);
+      message.error('Failed to load backups');
+    } finally {
+      setLoadingBackups(false);
+    }
+  }, [selectedTarget, message]);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  useEffect(() => {
+    fetchBackups();
+  }, [fetchBackups]);
+
+  const refresh = () => {
+    fetchStatus();
+    fetchBackups();
+  };
+
+  const savePolicy = async (values) => {
+    setSavingPolicy(true);
+    try {
+      const response = await axios.put(`${API_BASE_URL}/api/database-backups/policy`, values);
+      message.success(response.data.message);
+      fetchStatus();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to save backup policy');
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
+  // Queue a job and follow it in the job drawer; reloads once it finishes
+  const runJob = async (request, title, successMessage) => {
+    try {
+      const response = await request();
+      const job = await trackJob(response.data.job, { title });
+      message.success(typeof successMessage === 'function' ? successMessage(job.result) : successMessage);
+    } catch (error) {
+      message.error(error.response?.data?.error || error.message || 'Request failed');
+    } finally {
+      refresh();
+    }
+  };
+
+  const backupNow = (target) => runJob(
+    () => axios.post(`${API_BASE_URL}/api/database-backups/run`, { target: target?.key }),
+    target ? `Backup - ${target.label}` : 'Backup - all databases',
+    'Backup complete'
+  );
+
+  const verify = async (backup) => {
+    setVerifyingId(backup.id);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/database-backups/backups/${backup.id}/verify`);
+      if (response.data.valid) {
+        message.success(`Backup #${backup.id} verified: ${response.data.checkedFiles} files match their checksums`);
+      } else {
+        message.error(`Backup #${backup.id} is corrupt: ${response.data.problems.map(problem => `${problem.file} (${problem.reason})`).join(', ')}`);
+      }
+      fetchBackups();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to verify backup');
+    } finally {
+      setVerifyingId(null);
+    }
+  };
+
+  const openRestore = async (backup, kind) => {
+    restoreForm.resetFields();
+    setRestore({ backup, kind });
+    if (kind === 'table') {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/database-backups/backups/${backup.id}/tables`);
+        setBackupTables(response.data.tables || []);
+      } catch (error) {
+        message.error('Failed to load the tables of this backup');
+      }
+    }
+  };
+
+  const submitRestore = async () => {
+    const values = await restoreForm.validateFields();
+    const { backup, kind } = restore;
+    setRestore(null);
+
+    if (kind === 'division') {
+      await runJob(
+        () => axios.post(`${API_BASE_URL}/api/database-backups/backups/${backup.id}/restore-division`, values),
+        `Restore ${backup.division} as ${values.newCode}`,
+        (result) => `Division ${result.divisionCode} restored: ${result.tablesRestored} tables${result.tablesCreated?.length ? ` (${result.tablesCreated.length} created from the backup)` : ''}, ${result.rowsRestored} rows`
+      );
+    } else {
+      await runJob(
+        () => axios.post(`${API_BASE_URL}/api/database-backups/backups/${backup.id}/restore-table`, values),
+        `Restore table ${values.table}`,
+        (result) => `${result.rows} rows restored into ${result.targetTable}`
+      );
+    }
+  };
+
+  const targetColumns = [
+    { title: 'Database', dataIndex: 'label', key: 'label' },
+    {
+      title: 'Last successful backup',
+      key: 'lastSuccess',
+      render: (_, target) => formatDateTime(target.lastSuccess?.finishedAt)
+    },
+    {
+      title: 'Age',
+      key: 'age',
+      render: (_, target) => <Tag color={target.stale ? 'red' : 'green'}>{formatAge(target.ageHours)}</Tag>
+    },
+    { title: 'Size', key: 'size', render: (_, target) => formatBytes(target.lastSuccess?.sizeBytes) },
+    { title: 'Verified', key: 'verified', render: (_, target) => <VerifyTag backup={target.lastSuccess} /> },
+    {
+      title: 'Last attempt',
+      key: 'lastAttempt',
+      render: (_, target) => (target.lastAttempt
+        ? (
+          <Tooltip title={target.lastAttempt.error}>
+            <Tag color={STATUS_COLORS[target.lastAttempt.status]}>{target.lastAttempt.status}</Tag>
+          </Tooltip>
+        )
+        : '-')
+    },
+    {
+      title: 'Kept',
+      key: 'retained',
+      render: (_, target) => `${target.retainedCount} · ${formatBytes(target.retainedBytes)}`
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, target) => (
+        <Space>
+          <Button size="small" icon={<CloudUploadOutlined />} onClick={() => backupNow(target)}>Back up now</Button>
+          <Button size="small" type={selectedTarget?.key === target.key ? 'primary' : 'default'} onClick={() => setSelectedTarget(target)}>
+            Backups
+          </Button>
+        </Space>
+      )
+    }
+  ];
+
+  const backupColumns = [
+    { title: '#', dataIndex: 'id', key: 'id', width: 70 },
+    { title: 'Snapshot', dataIndex: 'snapshotAt', key: 'snapshotAt', render: formatDateTime },
+    { title: 'Trigger', dataIndex: 'trigger', key: 'trigger', render: (trigger, backup) => (trigger === 'manual' && backup.createdBy ? `manual (${backup.createdBy})` : trigger) },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      render: (value, backup) => (
+        <Tooltip title={backup.error}>
+          <Tag color={STATUS_COLORS[value]}>{value}</Tag>
+        </Tooltip>
+      )
+    },
+    { title: 'Tables', dataIndex: 'tableCount', key: 'tableCount', render: (value) => value ?? '-' },
+    { title: 'Rows', dataIndex: 'rowCount', key: 'rowCount', render: (value) => (value === null ? '-' : value.toLocaleString()) },
+    { title: 'Size', dataIndex: 'sizeBytes', key: 'sizeBytes', render: formatBytes },
+    { title: 'Verified', key: 'verified', render: (_, backup) => <VerifyTag backup={backup} /> },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, backup) => backup.status === 'success' && (
+        <Space>
+          <Button size="small" icon={<SafetyCertificateOutlined />} loading={verifyingId === backup.id} onClick={() => verify(backup)}>
+            Verify
+          </Button>
+          <Button size="small" icon={<RollbackOutlined />} onClick={() => openRestore(backup, 'table')}>Restore table</Button>
+          {backup.division && (
+            <Button size="small" icon={<DatabaseOutlined />} onClick={() => openRestore(backup, 'division')}>Restore as division</Button>
+          )}
+        </Space>
+      )
+    }
+  ];
+
+  return (
+    <Space direction="vertical" size="large" style={{ width: '100%' }}>
+      <Card
+        title="Backup Status"
+        extra={(
+          <Space>
+            {status?.nextRunAt && (
+              <Typography.Text type="secondary">Next scheduled run {formatDateTime(status.nextRunAt)}</Typography.Text>
+            )}
+            <Button icon={<CloudUploadOutlined />} onClick={() => backupNow(null)}>Back up all</Button>
+            <Button icon={<ReloadOutlined />} onClick={refresh} loading={loading}>Refresh</Button>
+          </Space>
+        )}
+      >
+        {status && !status.policy.enabled && (
+          <Alert type="warning" showIcon style={{ marginBottom: 16 }} message="Scheduled backups are turned off" />
+        )}
+        <Table
+          rowKey="key"
+          size="small"
+          columns={targetColumns}
+          dataSource={status?.targets || []}
+          loading={loading}
+          pagination={false}
+        />
+        {status?.backupDir && (
+          <Typography.Paragraph type="secondary" style={{ marginTop: 8, marginBottom: 0 }}>
+            Stored in <Typography.Text code>{status.backupDir}</Typography.Text>
+          </Typography.Paragraph>
+        )}
+      </Card>
+
+      <Card title="Schedule and Retention">
+        <Form form={policyForm} layout="inline" onFinish={savePolicy}>
+          <Form.Item name="enabled" label="Daily backup" valuePropName="checked">
+            <Switch />
+          </Form.Item>
+          <Form.Item
+            name="runTime"
+            label="At"
+            rules={[{ required: true, pattern: /^([01]\d|2[0-3]):[0-5]\d$/, message: 'HH:MM' }]}
+          >
+            <Input style={{ width: 80 }} placeholder="02:00" />
+          </Form.Item>
+          <Form.Item name="keepDaily" label="Keep daily" rules={[{ required: true }]}>
+            <InputNumber min={1} max={90} addonAfter="days" style={{ width: 130 }} />
+          </Form.Item>
+          <Form.Item name="keepWeekly" label="weekly" rules={[{ required: true }]}>
+            <InputNumber min={0} max={52} addonAfter="weeks" style={{ width: 140 }} />
+          </Form.Item>
+          <Form.Item name="keepMonthly" label="monthly" rules={[{ required: true }]}>
+            <InputNumber min={0} max={120} addonAfter="months" style={{ width: 150 }} />
+          </Form.Item>
+          <Form.Item>
+            <Button type="primary" htmlType="submit" loading={savingPolicy}>Save</Button>
+          </Form.Item>
+        </Form>
+        <Typography.Paragraph type="secondary" style={{ marginTop: 12, marginBottom: 0 }}>
+          The newest backup of each kept day, week and month stays; older backups are removed after each scheduled run.
+        </Typography.Paragraph>
+      </Card>
+
+      {selectedTarget && (
+        <Card
+          title={`Backups - ${selectedTarget.label}`}
+          extra={<Button icon={<ReloadOutlined />} onClick={fetchBackups} loading={loadingBackups}>Refresh</Button>}
+        >
+          <Table
+            rowKey="id"
+            size="small"
+            columns={backupColumns}
+            dataSource={backups}
+            loading={loadingBackups}
+            pagination={{ pageSize: 20, hideOnSinglePage: true }}
+          />
+        </Card>
+      )}
+
+      <Modal
+        open={Boolean(restore)}
+        title={restore?.kind === 'division'
+          ? `Restore backup #${restore?.backup.id} as a new division`
+          : `Restore a table from backup #${restore?.backup.id}`}
+        okText="Restore"
+        okButtonProps={{ danger: restore?.kind === 'table' && restoreMode === 'replace' }}
+        onOk={submitRestore}
+        onCancel={() => setRestore(null)}
+        destroyOnClose
+      >
+        <Typography.Paragraph type="secondary">
+          Snapshot of {formatDateTime(restore?.backup.snapshotAt)}. The backup's checksums are verified before anything is restored.
+        </Typography.Paragraph>
+        <Form form={restoreForm} layout="vertical" initialValues={{ mode: 'copy' }}>
+          {restore?.kind === 'division' ? (
+            <>
+              <Form.Item
+                name="newCode"
+                label="New division code"
+                normalize={(value) => (value || '').toUpperCase()}
+                rules={[{ required: true, pattern: /^[A-Z]{2,4}$/, message: '2-4 letters, not used by another division' }]}
+              >
+                <Input placeholder="e.g. FPR" maxLength={4} />
+              </Form.Item>
+              <Form.Item name="newName" label="Division name">
+                <Input placeholder={`${restore?.backup.division} restored`} />
+              </Form.Item>
+            </>
+          ) : (
+            <>
+              <Form.Item name="table" label="Table" rules={[{ required: true, message: 'Choose a table' }]}>
+                <Select
+                  showSearch
+                  placeholder="Table"
+                  options={backupTables.map(table => ({ value: table.name, label: `${table.name} (${table.rows.toLocaleString()} rows)` }))}
+                />
+              </Form.Item>
+              <Form.Item name="mode" label="Restore into">
+                <Radio.Group>
+                  <Radio value="copy">A new table next to the live one (&lt;table&gt;_restored_&lt;date&gt;)</Radio>
+                  <Radio value="replace">The live table, replacing its current rows</Radio>
+                </Radio.Group>
+              </Form.Item>
+              {restoreMode === 'replace' && (
+                <Alert type="warning" showIcon message="All current rows of the table are replaced by the backup's rows." />
+              )}
+            </>
+          )}
+        </Form>
+      </Modal>
+    </Space>
+  );
+};
+
+export default DatabaseBackupsSettings;
@@ -0,0 +1,152 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Table, InputNumber, Select, Button, Space, Alert, App } from 'antd';
+import { SaveOutlined, ReloadOutlined } from '@ant-design/icons';
+import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+import { useCurrency, currencyMapping } from '../../contexts/CurrencyContext';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const CURRENCY_OPTIONS = [...new Map(
+  Object.values(currencyMapping).map(info => [info.code, { value: info.code, label: `${info.code} - ${info.name}` }])
+).values()].sort((a, b) => a.value.localeCompare(b.value));
+
+const emptyMonths = () => MONTHS.map((name, index) => ({
+  month: index + 1,
+  name,
+  averageRate: null,
+  closingRate: null
+}));
+
+/**
+ * FxRatesSettings Component
+ * Monthly average and closing exchange rates used by the report currency switcher.
+ * A rate is the number of company currency units for 1 unit of the currency.
+ */
+const FxRatesSettings = () => {
+  const { user } = useAuth();
+  const { companyCurrency } = useCurrency();
+  const { message } = App.useApp();
+  const isAdmin = user?.role === 'admin';
+
+  const [currency, setCurrency] = useState('USD');
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [rows, setRows] = useState(emptyMonths());
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const yearOptions = useMemo(() => {
+    const current = new Date().getFullYear();
+    return Array.from({ length: 8 }, (_, i) => current + 1 - i).map(y => ({ value: y, label: String(y) }));
+  }, []);
+
+  const fetchRates = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/fx-rates`, { params: { currency, year } });
+      const byMonth = {};
+      (response.data.rates || []).forEach(rate => { byMonth[rate.month] = rate; });
+      setRows(emptyMonths().map(row => ({
+        ...row,
+        averageRate: byMonth[row.month]?.average_rate ?? null,
+        closingRate: byMonth[row.month]?.closing_rate ?? null
+      })));
+    } catch (error) {
+      console.error('Error loading exchange rates:', error);
+      message.error('Failed to load exchange rates');
+    } finally {
+      setLoading(false);
+    }
+  }, [currency, year, message]);
+
+  useEffect(() => {
+    fetchRates();
+  }, [fetchRates]);
+
+  const updateRow = (month, field, value) => {
+    setRows(prev => prev.map(row => (row.month === month ? { ...row, [field]: value } : row)));
+  };
+
+  const handleSave = async () => {
+    const rates = rows
+      .filter(row => row.averageRate)
+      .map(row => ({ currencyCode: currency, year, month: row.month, averageRate: row.averageRate, closingRate: row.closingRate }));
+
+    if (rates.length === 0) {
+      message.warning('Enter at least one average rate');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await axios.put(`${API_BASE_URL}/api/fx-rates`, { rates });
+      message.success(response.data.message);
+      fetchRates();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to save exchange rates');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const rateInput = (field) => (value, record) => (
+    <InputNumber
+      value={value}
+      min={0}
+      step={0.0001}
+      precision={6}
+      disabled={!isAdmin}
+      style={{ width: '100%' }}
+      onChange={(next) => updateRow(record.month, field, next)}
+    />
+  );
+
+  const columns = [
+    { title: 'Month', dataIndex: 'name', key: 'name', width: 140 },
+    { title: `Average rate (${companyCurrency.code} per 1 ${currency})`, dataIndex: 'averageRate', key: 'averageRate', render: rateInput('averageRate') },
+    { title: `Closing rate (${companyCurrency.code} per 1 ${currency})`, dataIndex: 'closingRate', key: 'closingRate', render: rateInput('closingRate') }
+  ];
+
+  return (
+    <div>
+      <Alert
+        type="info"
+        showIcon
+        style={{ marginBottom: 16 }}
+        message={`Amounts are stored in ${companyCurrency.code}. Reports switched to another currency divide Amount and MoRM by the month's average rate; months without a rate use the latest earlier month.`}
+      />
+      <Space style={{ marginBottom: 16 }} wrap>
+        <Select
+          showSearch
+          value={currency}
+          onChange={setCurrency}
+          options={CURRENCY_OPTIONS.filter(option => option.value !== companyCurrency.code)}
+          style={{ width: 260 }}
+          optionFilterProp="label"
+        />
+        <Select value={year} onChange={setYear} options={yearOptions} style={{ width: 110 }} />
+        <Button icon={<ReloadOutlined />} onClick={fetchRates} />
+        {isAdmin && (
+          <Button type="primary" icon={<SaveOutlined />} loading={saving} onClick={handleSave}>
+            Save Rates
+          </Button>
+        )}
+      </Space>
+      <Table
+        size="small"
+        rowKey="month"
+        loading={loading}
+        columns={columns}
+        dataSource={rows}
+        pagination={false}
+      />
+    </div>
+  );
+};
+
+export default FxRatesSettings;
@@ -5,6 +5,10 @@ import MaterialPercentageManager from '../dashboard/MaterialPercentageManager';
 import ProductGroupPricingManager from '../dashboard/ProductGroupPricingManager';
 import AEBFTab from '../MasterData/AEBF/AEBFTab';
 import CustomerMergingPage from '../MasterData/CustomerMerging/CustomerMergingPage';
+import CustomerMasterPage from '../MasterData/CustomerMaster/CustomerMasterPage';
+import CountryMasterPage from '../MasterData/CountryMaster/CountryMasterPage';
+import PriceListPage from '../MasterData/PriceList/PriceListPage';
+import SalesRepHierarchyPage from '../MasterData/SalesRepHierarchy/SalesRepHierarchyPage';
 import './MasterDataSettings.css';
 
 const MasterDataSettings = () => {
@@ -305,11 +309,15 @@ const MasterDataSettings = () => {
 
   const tabs = [
     { id: 'pricing', label: 'Product Pricing', icon: '💹' },
+    { id: 'price-list', label: 'Price Lists', icon: '🏷️' },
     { id: 'materials', label: 'Material Percentages', icon: '📊' },
     { id: 'salesreps', label: 'Sales Rep Groups', icon: '🧑‍💼' },
+    { id: 'hierarchy', label: 'Sales Rep Hierarchy', icon: '🏢' },
     { id: 'countries', label: 'Country Reference', icon: '🌍' },
+    { id: 'country-master', label: 'Country Master', icon: '🗺️' },
     { id: 'aebf', label: 'AEBF Data', icon: '📈' },
     { id: 'customer-merging', label: 'Customer Merging', icon: '🤖' },
+    { id: 'customer-master', label: 'Group Customers', icon: '🌐' },
   ];
 
   return (
@@ -341,6 +349,11 @@ const MasterDataSettings = () => {
           <ProductGroupPricingManager />
         )}
 
+        {/* Price List Tab */}
+        {activeTab === 'price-list' && (
+          <PriceListPage />
+        )}
+
         {/* Material Percentages Tab */}
         {activeTab === 'materials' && (
           <MaterialPercentageManager />
@@ -550,6 +563,11 @@ const MasterDataSettings = () => {
           </div>
         )}
 
+        {/* Sales Rep Hierarchy Tab */}
+        {activeTab === 'hierarchy' && (
+          <SalesRepHierarchyPage />
+        )}
+
         {/* Country Reference Tab */}
         {activeTab === 'countries' && (
           <CountryReference />
@@ -564,6 +582,16 @@ const MasterDataSettings = () => {
         {activeTab === 'customer-merging' && (
           <CustomerMergingPage />
         )}
+
+        {/* Country Master Tab */}
+        {activeTab === 'country-master' && (
+          <CountryMasterPage />
+        )}
+
+        {/* Group Customer Master Tab */}
+        {activeTab === 'customer-master' && (
+          <CustomerMasterPage />
+        )}
       </div>
     </div>
   );
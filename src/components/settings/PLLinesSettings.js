@@ -0,0 +1,361 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Table, Input, InputNumber, Select, Checkbox, Switch, Button, Space, Alert, Modal, Form, Tag, App } from 'antd';
+import { SaveOutlined, ReloadOutlined, PlusOutlined } from '@ant-design/icons';
+import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+import { useExcelData } from '../../contexts/ExcelDataContext';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const MEASURE_OPTIONS = [
+  { value: 'AMOUNT', label: 'Amount' },
+  { value: 'KGS', label: 'Kgs' },
+  { value: 'PERCENT', label: 'Percent' }
+];
+
+const EDITABLE_FIELDS = ['name', 'measure', 'formula', 'statementOrder', 'isTotal', 'isActive'];
+
+const toRow = (ledger) => ({
+  code: ledger.code,
+  name: ledger.name,
+  measure: ledger.measure,
+  formula: ledger.formula || '',
+  statementOrder: ledger.statement_order ?? null,
+  isTotal: Boolean(ledger.is_total),
+  isActive: ledger.is_active !== false,
+  sheetRow: ledger.sheet_row,
+  sortOrder: ledger.sort_order
+});
+
+const byStatement = (a, b) => {
+  const orderA = a.statementOrder ?? Number.MAX_SAFE_INTEGER;
+  const orderB = b.statementOrder ?? Number.MAX_SAFE_INTEGER;
+  return orderA - orderB || a.sortOrder - b.sortOrder;
+};
+
+/**
+ * PLLinesSettings Component
+ * Chart of accounts per division: which lines the P&L statement shows, in what order,
+ * and the formulas of derived lines (EBITDA, Net Profit...). Formulas are checked
+ * by the server on every change, so a typo or a circular reference is never saved.
+ */
+const PLLinesSettings = () => {
+  const { user } = useAuth();
+  const { divisions, selectedDivision, loadPlLedgers } = useExcelData();
+  const { message } = App.useApp();
+  const isAdmin = user?.role === 'admin';
+
+  const [division, setDivision] = useState(selectedDivision || divisions[0] || '');
+  const [rows, setRows] = useState([]);
+  const [saved, setSaved] = useState({});
+  const [formulaErrors, setFormulaErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [savingCode, setSavingCode] = useState(null);
+  const [addOpen, setAddOpen] = useState(false);
+  const [adding, setAdding] = useState(false);
+  const [form] = Form.useForm();
+
+  useEffect(() => {
+    if (!division && (selectedDivision || divisions[0])) {
+      setDivision(selectedDivision || divisions[0]);
+    }
+  }, [division, selectedDivision, divisions]);
+
+  const fetchLedgers = useCallback(async () => {
+    if (!division) return;
+    setLoading(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/aebf/pl/ledgers`, {
+        params: { division: division.toUpperCase(), includeInactive: 'true' }
+      });
+      const loaded = (response.data.data.ledgers || []).map(toRow).sort(byStatement);
+      setRows(loaded);
+      setSaved(Object.fromEntries(loaded.map(row => [row.code, row])));
+      setFormulaErrors({});
+    } catch (error) {
+      console.error('Error loading P&L lines:', error);
+      message.error('Failed to load P&L lines');
+    } finally {
+      setLoading(false);
+    }
+  }, [division, message]);
+
+  useEffect(() => {
+    fetchLedgers();
+  }, [fetchLedgers]);
+
+  const codes = useMemo(() => rows.map(row => row.code), [rows]);
+
+  const updateRow = (code, field, value) => {
+    setRows(prev => prev.map(row => (row.code === code ? { ...row, [field]: value } : row)));
+  };
+
+  const isDirty = (row) => EDITABLE_FIELDS.some(field => row[field] !== saved[row.code]?.[field]);
+
+  const checkFormula = async (row) => {
+    if (!row.formula.trim()) {
+      setFormulaErrors(prev => ({ ...prev, [row.code]: null }));
+      return;
+    }
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/aebf/pl/formulas/check`, {
+        division: division.toUpperCase(),
+        formula: row.formula,
+        code: row.code
+      });
+      const result = response.data.data;
+      setFormulaErrors(prev => ({ ...prev, [row.code]: result.valid ? null : result.errors.join('; ') }));
+    } catch (error) {
+      setFormulaErrors(prev => ({ ...prev, [row.code]: error.response?.data?.error || 'Formula check failed' }));
+    }
+  };
+
+  const showSaveError = (error, fallbackMessage) => {
+    const details = error.response?.data?.details?.errors;
+    if (details?.length > 1) {
+      Modal.error({
+        title: error.response.data.error,
+        content: <div>{details.map((detail, idx) => <p key={idx}>{detail}</p>)}</div>
+      });
+    } else {
+      message.error(error.response?.data?.error || fallbackMessage);
+    }
+  };
+
+  const handleSave = async (row) => {
+    const changes = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (row[field] !== saved[row.code]?.[field]) changes[field] = row[field];
+    });
+    if ('formula' in changes) changes.formula = changes.formula.trim() || null;
+
+    setSavingCode(row.code);
+    try {
+      const response = await axios.put(`${API_BASE_URL}/api/aebf/pl/ledgers/${row.code}`, {
+        division: division.toUpperCase(),
+        ...changes
+      });
+      message.success(response.data.message);
+      await fetchLedgers();
+      loadPlLedgers(division);
+    } catch (error) {
+      showSaveError(error, 'Failed to save P&L line');
+    } finally {
+      setSavingCode(null);
+    }
+  };
+
+  const handleAdd = async () => {
+    let values;
+    try {
+      values = await form.validateFields();
+    } catch (validationError) {
+      return;
+    }
+    setAdding(true);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/aebf/pl/ledgers`, {
+        division: division.toUpperCase(),
+        ...values,
+        formula: values.formula?.trim() || null
+      });
+      message.success(response.data.message);
+      setAddOpen(false);
+      form.resetFields();
+      await fetchLedgers();
+      loadPlLedgers(division);
+    } catch (error) {
+      showSaveError(error, 'Failed to add P&L line');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Pos.',
+      dataIndex: 'statementOrder',
+      key: 'statementOrder',
+      width: 80,
+      render: (value, record) => (
+        <InputNumber
+          value={value}
+          min={1}
+          max={1000}
+          disabled={!isAdmin}
+          placeholder="-"
+          style={{ width: '100%' }}
+          onChange={(next) => updateRow(record.code, 'statementOrder', next ?? null)}
+        />
+      )
+    },
+    {
+      title: 'Code',
+      dataIndex: 'code',
+      key: 'code',
+      width: 230,
+      render: (code, record) => (
+        <Space size={4}>
+          <code>{code}</code>
+          {record.sheetRow == null && <Tag color="purple">formula only</Tag>}
+        </Space>
+      )
+    },
+    {
+      title: 'Line',
+      dataIndex: 'name',
+      key: 'name',
+      width: 240,
+      render: (value, record) => (
+        <Input value={value} disabled={!isAdmin} onChange={(e) => updateRow(record.code, 'name', e.target.value)} />
+      )
+    },
+    {
+      title: 'Measure',
+      dataIndex: 'measure',
+      key: 'measure',
+      width: 110,
+      render: (value, record) => (
+        <Select
+          value={value}
+          options={MEASURE_OPTIONS}
+          disabled={!isAdmin}
+          style={{ width: '100%' }}
+          onChange={(next) => updateRow(record.code, 'measure', next)}
+        />
+      )
+    },
+    {
+      title: 'Formula (empty = posted amounts)',
+      dataIndex: 'formula',
+      key: 'formula',
+      render: (value, record) => (
+        <div>
+          <Input
+            value={value}
+            disabled={!isAdmin}
+            status={formulaErrors[record.code] ? 'error' : ''}
+            style={{ fontFamily: 'monospace' }}
+            onChange={(e) => updateRow(record.code, 'formula', e.target.value)}
+            onBlur={() => checkFormula(record)}
+          />
+          {formulaErrors[record.code] && (
+            <div style={{ color: '#ff4d4f', fontSize: 12 }}>{formulaErrors[record.code]}</div>
+          )}
+        </div>
+      )
+    },
+    {
+      title: 'Total',
+      dataIndex: 'isTotal',
+      key: 'isTotal',
+      width: 60,
+      align: 'center',
+      render: (value, record) => (
+        <Checkbox checked={value} disabled={!isAdmin} onChange={(e) => updateRow(record.code, 'isTotal', e.target.checked)} />
+      )
+    },
+    {
+      title: 'Active',
+      dataIndex: 'isActive',
+      key: 'isActive',
+      width: 70,
+      align: 'center',
+      render: (value, record) => (
+        <Switch size="small" checked={value} disabled={!isAdmin} onChange={(checked) => updateRow(record.code, 'isActive', checked)} />
+      )
+    },
+    ...(isAdmin ? [{
+      title: '',
+      key: 'save',
+      width: 60,
+      render: (_, record) => (
+        <Button
+          type="primary"
+          size="small"
+          icon={<SaveOutlined />}
+          disabled={!isDirty(record)}
+          loading={savingCode === record.code}
+          onClick={() => handleSave(record)}
+        />
+      )
+    }] : [])
+  ];
+
+  return (
+    <div>
+      <Alert
+        type="info"
+        showIcon
+        style={{ marginBottom: 16 }}
+        message="Lines with a position are shown in the P&L statement in that order. Formulas use ledger codes with + - * / and parentheses, plus SUM(a, b, ...), MIN, MAX, ABS and PCT(a, b) = a / b × 100, e.g. NET_PROFIT + BANK_INTEREST."
+      />
+      <Space style={{ marginBottom: 16 }} wrap>
+        <Select
+          value={division || undefined}
+          onChange={setDivision}
+          options={divisions.map(code => ({ value: code, label: code }))}
+          style={{ width: 120 }}
+          placeholder="Division"
+        />
+        <Button icon={<ReloadOutlined />} onClick={fetchLedgers} />
+        {isAdmin && (
+          <Button icon={<PlusOutlined />} onClick={() => setAddOpen(true)} disabled={!division}>
+            Add Line
+          </Button>
+        )}
+      </Space>
+      <Table
+        size="small"
+        rowKey="code"
+        loading={loading}
+        columns={columns}
+        dataSource={rows}
+        pagination={false}
+      />
+
+      <Modal
+        title={`Add P&L line - ${division}`}
+        open={addOpen}
+        onCancel={() => setAddOpen(false)}
+        onOk={handleAdd}
+        confirmLoading={adding}
+        okText="Add"
+      >
+        <Form form={form} layout="vertical" initialValues={{ measure: 'AMOUNT', isTotal: false }}>
+          <Form.Item
+            name="code"
+            label="Code"
+            normalize={(value) => (value || '').toUpperCase()}
+            rules={[
+              { required: true, message: 'Code is required' },
+              { pattern: /^[A-Z][A-Z0-9_]{1,49}$/, message: 'Start with a letter, use A-Z, 0-9 and _' },
+              { validator: (_, value) => (codes.includes(value) ? Promise.reject(new Error('Code already exists')) : Promise.resolve()) }
+            ]}
+          >
+            <Input placeholder="ROYALTIES" style={{ fontFamily: 'monospace' }} />
+          </Form.Item>
+          <Form.Item name="name" label="Line name (as in the P&L workbook)" rules={[{ required: true, message: 'Name is required' }]}>
+            <Input placeholder="Royalties" />
+          </Form.Item>
+          <Form.Item name="measure" label="Measure">
+            <Select options={MEASURE_OPTIONS} />
+          </Form.Item>
+          <Form.Item name="formula" label="Formula" extra="Leave empty for a line with posted amounts (imported from the workbook)">
+            <Input placeholder="e.g. SALES - COST_OF_SALES" style={{ fontFamily: 'monospace' }} />
+          </Form.Item>
+          <Space>
+            <Form.Item name="statementOrder" label="Statement position">
+              <InputNumber min={1} max={1000} placeholder="hidden" />
+            </Form.Item>
+            <Form.Item name="isTotal" label="Total line" valuePropName="checked">
+              <Checkbox>Bold</Checkbox>
+            </Form.Item>
+          </Space>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default PLLinesSettings;
@@ -1,6 +1,7 @@
 import React, { useState, useRef, useMemo } from 'react';
 import { useFilter } from '../../contexts/FilterContext';
 import { useAuth } from '../../contexts/AuthContext';
+import { useExcelData } from '../../contexts/ExcelDataContext';
 import { 
   getAvailableColorOptions, 
   getColumnColorPalette, 
@@ -13,6 +14,7 @@ const PREDEFINED_COLOR_SCHEMES = getAvailableColorOptions();
 
 const PeriodConfiguration = () => {
   const { user } = useAuth();
+  const { selectedDivision } = useExcelData();
   const { 
     columnOrder, 
     updateColumnOrder, 
@@ -40,6 +42,8 @@ const PeriodConfiguration = () => {
   const [selectedYear, setSelectedYear] = useState('');
   const [selectedMonth, setSelectedMonth] = useState('');
   const [selectedType, setSelectedType] = useState('Actual');
+  const [budgetVersions, setBudgetVersions] = useState([]);
+  const [selectedBudgetVersionId, setSelectedBudgetVersionId] = useState('');
   const [error, setError] = useState('');
 
   const colorInputRef = useRef(null);
@@ -59,6 +63,31 @@ const PeriodConfiguration = () => {
     }
   }, [availableFilters, selectedYear, selectedMonth]);
 
+  // Named budget versions for the selected year - a Budget column can read a version instead of the live budget
+  React.useEffect(() => {
+    setSelectedBudgetVersionId('');
+    if (selectedType !== 'Budget' || !selectedYear || !selectedDivision) {
+      setBudgetVersions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const division = selectedDivision.split('-')[0].toUpperCase();
+    fetch(`http://localhost:3001/api/aebf/budget-versions?division=${encodeURIComponent(division)}&budgetYear=${selectedYear}`)
+      .then(response => response.json())
+      .then(result => {
+        if (!cancelled) {
+          setBudgetVersions(result.success ? result.data.versions : []);
+        }
+      })
+      .catch(err => {
+        console.error('Error loading budget versions:', err);
+        if (!cancelled) setBudgetVersions([]);
+      });
+
+    return () => { cancelled = true; };
+  }, [selectedType, selectedYear, selectedDivision]);
+
   const handleAddColumn = () => {
     setError('');
     if (!selectedYear || !selectedMonth || !selectedType) {
@@ -66,7 +95,10 @@ const PeriodConfiguration = () => {
       return;
     }
     
-    const result = addColumn(selectedYear, selectedMonth, selectedType);
+    const budgetVersion = selectedType === 'Budget' && selectedBudgetVersionId
+      ? budgetVersions.find(version => String(version.id) === String(selectedBudgetVersionId))
+      : null;
+    const result = addColumn(selectedYear, selectedMonth, selectedType, null, budgetVersion);
     if (!result.success) {
       setError(result.error || 'Failed to add column');
     }
@@ -308,6 +340,24 @@ const PeriodConfiguration = () => {
           </select>
         </div>
 
+        {selectedType === 'Budget' && budgetVersions.length > 0 && (
+          <div className="control-group">
+            <label>Version:</label>
+            <select
+              value={selectedBudgetVersionId}
+              onChange={(e) => setSelectedBudgetVersionId(e.target.value)}
+              className="config-select"
+            >
+              <option value="">Current</option>
+              {budgetVersions.map(version => (
+                <option key={version.id} value={version.id}>
+                  {version.version_name} ({version.scope === 'DIVISIONAL' ? 'Divisional' : 'Sales Rep'})
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
         <button onClick={handleAddColumn} className="btn-add-column">
           Add Column
         </button>
@@ -442,7 +492,7 @@ const PeriodConfiguration = () => {
                       style={getColumnStyle(column, selectedColumnIndex === index)}
                       onClick={() => handleColumnClick(index)}
                     >
-                      {column.type}
+                      {column.budgetVersionName ? `${column.type} · ${column.budgetVersionName}` : column.type}
                     </div>
                   ))}
                 </div>
@@ -0,0 +1,396 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Table, Input, InputNumber, Select, Switch, Button, Space, Alert, Modal, Form, Tag, Popconfirm, Radio, Tooltip, App } from 'antd';
+import { PlusOutlined, ReloadOutlined, EditOutlined, DeleteOutlined, SendOutlined, EyeOutlined, HistoryOutlined } from '@ant-design/icons';
+import axios from 'axios';
+import { useExcelData } from '../../contexts/ExcelDataContext';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const WEEKDAY_OPTIONS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+  .map((label, index) => ({ value: index + 1, label }));
+
+const STATUS_COLORS = { success: 'green', partial: 'orange', failed: 'red', running: 'blue' };
+
+const formatDateTime = (value) => (value
+  ? new Date(value).toLocaleString('en-GB', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+  : '-');
+
+const toFormValues = (schedule) => ({
+  name: schedule.name,
+  reportType: schedule.report_type,
+  division: schedule.division,
+  period: schedule.period,
+  format: schedule.format,
+  recipients: schedule.recipients,
+  frequency: schedule.frequency,
+  dayOfWeek: schedule.day_of_week,
+  monthlyRule: schedule.day_of_month ? 'dayOfMonth' : 'businessDay',
+  businessDay: schedule.business_day,
+  dayOfMonth: schedule.day_of_month,
+  runTime: schedule.run_time,
+  isActive: schedule.is_active
+});
+
+const toPayload = ({ monthlyRule, ...values }) => ({
+  ...values,
+  businessDay: values.frequency === 'monthly' && monthlyRule === 'businessDay' ? values.businessDay : null,
+  dayOfMonth: values.frequency === 'monthly' && monthlyRule === 'dayOfMonth' ? values.dayOfMonth : null,
+  dayOfWeek: values.frequency === 'weekly' ? values.dayOfWeek : null
+});
+
+/**
+ * ReportSchedulesSettings Component
+ * Recurring email delivery of server-rendered reports (admin only): what to send,
+ * to whom and when, with "send now", a preview and the run history of every schedule.
+ */
+const ReportSchedulesSettings = () => {
+  const { divisions } = useExcelData();
+  const { message } = App.useApp();
+
+  const [schedules, setSchedules] = useState([]);
+  const [options, setOptions] = useState({ reportTypes: [], periods: [], formats: [], frequencies: [] });
+  const [smtpConfigured, setSmtpConfigured] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [runningId, setRunningId] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [form] = Form.useForm();
+  const frequency = Form.useWatch('frequency', form);
+  const monthlyRule = Form.useWatch('monthlyRule', form);
+
+  const fetchSchedules = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [schedulesResponse, optionsResponse] = await Promise.all([
+        axios.get(`${API_BASE_URL}/api/report-schedules`),
+        axios.get(`${API_BASE_URL}/api/report-schedules/options`)
+      ]);
+      setSchedules(schedulesResponse.data.schedules || []);
+      setSmtpConfigured(schedulesResponse.data.smtpConfigured);
+      setOptions(optionsResponse.data);
+    } catch (error) {
+      console.error('Error loading report schedules:', error);
+      message.error('Failed to load report schedules');
+    } finally {
+      setLoading(false);
+    }
+  }, [message]);
+
+  useEffect(() => {
+    fetchSchedules();
+  }, [fetchSchedules]);
+
+  const openEditor = (schedule = null) => {
+    form.resetFields();
+    form.setFieldsValue(schedule ? toFormValues(schedule) : {
+      reportType: options.reportTypes[0]?.value,
+      division: divisions[0],
+      period: 'last_closed_month',
+      format: 'html',
+      recipients: [],
+      frequency: 'monthly',
+      monthlyRule: 'businessDay',
+      businessDay: 3,
+      dayOfWeek: 1,
+      runTime: '07:00',
+      isActive: true
+    });
+    setEditing(schedule || {});
+  };
+
+  const handleSave = async () => {
+    let values;
+    try {
+      values = await form.validateFields();
+    } catch (validationError) {
+      return;
+    }
+    setSaving(true);
+    try {
+      const payload = toPayload(values);
+      const response = editing.id
+        ? await axios.put(`${API_BASE_URL}/api/report-schedules/${editing.id}`, payload)
+        : await axios.post(`${API_BASE_URL}/api/report-schedules`, payload);
+      message.success(response.data.message);
+      setEditing(null);
+      fetchSchedules();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to save schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (schedule, isActive) => {
+    try {
+      await axios.put(`${API_BASE_URL}/api/report-schedules/${schedule.id}`, toPayload({ ...toFormValues(schedule), isActive }));
+      fetchSchedules();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to save schedule');
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    try {
+      const response = await axios.delete(`${API_BASE_URL}/api/report-schedules/${schedule.id}`);
+      message.success(response.data.message);
+      fetchSchedules();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to delete schedule');
+    }
+  };
+
+  const handleRunNow = async (schedule) => {
+    setRunningId(schedule.id);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/report-schedules/${schedule.id}/run`);
+      if (response.data.run.status === 'success') {
+        message.success(response.data.message);
+      } else {
+        message.error(response.data.message);
+      }
+      fetchSchedules();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to send report');
+    } finally {
+      setRunningId(null);
+    }
+  };
+
+  const handlePreview = async (schedule) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/report-schedules/${schedule.id}/preview`, { responseType: 'text' });
+      const url = URL.createObjectURL(new Blob([response.data], { type: 'text/html' }));
+      window.open(url, '_blank');
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      message.error('Failed to render preview');
+    }
+  };
+
+  const openHistory = async (schedule) => {
+    setHistory({ schedule, runs: [], loading: true });
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/report-schedules/${schedule.id}/runs`);
+      setHistory({ schedule, runs: response.data.runs || [], loading: false });
+    } catch (error) {
+      message.error('Failed to load run history');
+      setHistory(null);
+    }
+  };
+
+  const labelOf = (list, value) => list.find(option => option.value === value)?.label || value;
+
+  const columns = [
+    {
+      title: 'Schedule',
+      dataIndex: 'name',
+      key: 'name',
+      render: (name, record) => (
+        <div>
+          <strong>{name}</strong>
+          <div style={{ fontSize: 12, color: '#888' }}>
+            {record.division} · {labelOf(options.reportTypes, record.report_type)} · {labelOf(options.periods, record.period)} · {record.format.toUpperCase()}
+          </div>
+        </div>
+      )
+    },
+    { title: 'When', dataIndex: 'description', key: 'description', width: 230 },
+    {
+      title: 'Recipients',
+      dataIndex: 'recipients',
+      key: 'recipients',
+      width: 110,
+      render: (recipients) => (
+        <Tooltip title={recipients.join(', ')}>
+          <Tag>{recipients.length}</Tag>
+        </Tooltip>
+      )
+    },
+    { title: 'Next run', dataIndex: 'next_run_at', key: 'next_run_at', width: 160, render: formatDateTime },
+    {
+      title: 'Last run',
+      dataIndex: 'last_run_at',
+      key: 'last_run_at',
+      width: 190,
+      render: (value, record) => (
+        <Space size={4}>
+          {formatDateTime(value)}
+          {record.last_status && <Tag color={STATUS_COLORS[record.last_status]}>{record.last_status}</Tag>}
+        </Space>
+      )
+    },
+    {
+      title: 'Active',
+      dataIndex: 'is_active',
+      key: 'is_active',
+      width: 70,
+      align: 'center',
+      render: (value, record) => <Switch size="small" checked={value} onChange={(checked) => handleToggle(record, checked)} />
+    },
+    {
+      title: '',
+      key: 'actions',
+      width: 190,
+      render: (_, record) => (
+        <Space size={4}>
+          <Tooltip title="Edit"><Button size="small" icon={<EditOutlined />} onClick={() => openEditor(record)} /></Tooltip>
+          <Tooltip title="Preview"><Button size="small" icon={<EyeOutlined />} onClick={() => handlePreview(record)} /></Tooltip>
+          <Tooltip title="Run history"><Button size="small" icon={<HistoryOutlined />} onClick={() => openHistory(record)} /></Tooltip>
+          <Popconfirm title={`Send "${record.name}" to ${record.recipients.length} recipient(s) now?`} onConfirm={() => handleRunNow(record)}>
+            <Tooltip title="Send now">
+              <Button size="small" icon={<SendOutlined />} loading={runningId === record.id} disabled={!smtpConfigured} />
+            </Tooltip>
+          </Popconfirm>
+          <Popconfirm title={`Delete "${record.name}" and its run history?`} onConfirm={() => handleDelete(record)}>
+            <Button size="small" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </Space>
+      )
+    }
+  ];
+
+  const runColumns = [
+    { title: 'Started', dataIndex: 'started_at', key: 'started_at', width: 160, render: formatDateTime },
+    { title: 'Trigger', dataIndex: 'trigger', key: 'trigger', width: 90 },
+    { title: 'Period', dataIndex: 'period_label', key: 'period_label', width: 170 },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      width: 90,
+      render: (status) => <Tag color={STATUS_COLORS[status]}>{status}</Tag>
+    },
+    {
+      title: 'Details',
+      key: 'details',
+      render: (_, run) => run.error || (run.triggered_by ? `Sent by ${run.triggered_by}` : '')
+    }
+  ];
+
+  return (
+    <div>
+      {!smtpConfigured && (
+        <Alert
+          type="warning"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message="Outgoing mail is not configured"
+          description="Set SMTP_HOST, SMTP_PORT and REPORT_FROM_EMAIL on the server. Schedules can be prepared and previewed, but runs will fail until mail is configured."
+        />
+      )}
+      <Space style={{ marginBottom: 16 }}>
+        <Button type="primary" icon={<PlusOutlined />} onClick={() => openEditor()}>New Schedule</Button>
+        <Button icon={<ReloadOutlined />} onClick={fetchSchedules} />
+      </Space>
+      <Table
+        size="small"
+        rowKey="id"
+        loading={loading}
+        columns={columns}
+        dataSource={schedules}
+        pagination={false}
+      />
+
+      <Modal
+        title={editing?.id ? `Edit schedule - ${editing.name}` : 'New report schedule'}
+        open={Boolean(editing)}
+        onCancel={() => setEditing(null)}
+        onOk={handleSave}
+        confirmLoading={saving}
+        okText="Save"
+        width={620}
+        forceRender
+      >
+        <Form form={form} layout="vertical">
+          <Form.Item name="name" label="Name" rules={[{ required: true, message: 'Name is required' }]}>
+            <Input placeholder="FP divisional P&L - management" maxLength={200} />
+          </Form.Item>
+          <Space wrap>
+            <Form.Item name="reportType" label="Report" rules={[{ required: true }]}>
+              <Select options={options.reportTypes} style={{ width: 180 }} />
+            </Form.Item>
+            <Form.Item name="division" label="Division" rules={[{ required: true }]}>
+              <Select options={divisions.map(code => ({ value: code, label: code }))} style={{ width: 100 }} />
+            </Form.Item>
+            <Form.Item name="period" label="Period" rules={[{ required: true }]}>
+              <Select options={options.periods} style={{ width: 230 }} />
+            </Form.Item>
+            <Form.Item name="format" label="Format">
+              <Radio.Group options={options.formats.map(value => ({ value, label: value.toUpperCase() }))} optionType="button" />
+            </Form.Item>
+          </Space>
+          <Form.Item
+            name="recipients"
+            label="Recipients"
+            rules={[{ required: true, type: 'array', min: 1, message: 'Add at least one recipient' }]}
+          >
+            <Select mode="tags" tokenSeparators={[',', ';', ' ']} placeholder="name@company.com" open={false} />
+          </Form.Item>
+          <Space wrap align="start">
+            <Form.Item name="frequency" label="Frequency">
+              <Select
+                style={{ width: 120 }}
+                options={options.frequencies.map(value => ({ value, label: value[0].toUpperCase() + value.slice(1) }))}
+              />
+            </Form.Item>
+            {frequency === 'weekly' && (
+              <Form.Item name="dayOfWeek" label="Day" rules={[{ required: true }]}>
+                <Select options={WEEKDAY_OPTIONS} style={{ width: 130 }} />
+              </Form.Item>
+            )}
+            {frequency === 'monthly' && (
+              <>
+                <Form.Item name="monthlyRule" label="On">
+                  <Radio.Group
+                    optionType="button"
+                    options={[{ value: 'businessDay', label: 'Business day' }, { value: 'dayOfMonth', label: 'Day of month' }]}
+                  />
+                </Form.Item>
+                {monthlyRule === 'dayOfMonth' ? (
+                  <Form.Item name="dayOfMonth" label="Day" rules={[{ required: true }]} extra="Short months use their last day">
+                    <InputNumber min={1} max={31} />
+                  </Form.Item>
+                ) : (
+                  <Form.Item name="businessDay" label="Nth" rules={[{ required: true }]} extra="Monday - Friday">
+                    <InputNumber min={1} max={23} />
+                  </Form.Item>
+                )}
+              </>
+            )}
+            <Form.Item
+              name="runTime"
+              label="Time (server)"
+              rules={[{ required: true, pattern: /^([01]\d|2[0-3]):[0-5]\d$/, message: 'HH:MM' }]}
+            >
+              <Input placeholder="07:00" style={{ width: 90 }} />
+            </Form.Item>
+          </Space>
+          <Form.Item name="isActive" label="Active" valuePropName="checked">
+            <Switch />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title={history ? `Run history - ${history.schedule.name}` : ''}
+        open={Boolean(history)}
+        onCancel={() => setHistory(null)}
+        footer={null}
+        width={820}
+      >
+        <Table
+          size="small"
+          rowKey="id"
+          loading={history?.loading}
+          columns={runColumns}
+          dataSource={history?.runs || []}
+          pagination={{ pageSize: 10 }}
+        />
+      </Modal>
+    </div>
+  );
+};
+
+export default ReportSchedulesSettings;
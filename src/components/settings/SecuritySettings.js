@@ -0,0 +1,345 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Table, Input, Button, Space, Tag, Popconfirm, Card, QRCode, Alert, Typography, App } from 'antd';
+import { ReloadOutlined, UnlockOutlined, SafetyOutlined, CopyOutlined } from '@ant-design/icons';
+import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const ROLE_LABELS = { admin: 'Administrator', sales_manager: 'Sales manager', sales_rep: 'Sales rep' };
+
+const formatDateTime = (value) => (value
+  ? new Date(value).toLocaleString('en-GB', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+  : '-');
+
+/**
+ * Recovery codes, shown once after enabling two-factor or generating a new set
+ */
+const RecoveryCodes = ({ codes, onDone }) => {
+  const { message } = App.useApp();
+  const copy = () => {
+    navigator.clipboard.writeText(codes.join('\n'))
+      .then(() => message.success('Recovery codes copied'))
+      .catch(() => message.error('Copy failed, please write the codes down'));
+  };
+
+  return (
+    <Alert
+      type="warning"
+      showIcon
+      message="Save your recovery codes"
+      description={(
+        <>
+          <p>Each code signs you in once if you lose your authenticator. They are not shown again.</p>
+          <pre style={{ columns: 2, fontSize: 14 }}>{codes.join('\n')}</pre>
+          <Space>
+            <Button icon={<CopyOutlined />} onClick={copy}>Copy</Button>
+            <Button type="primary" onClick={onDone}>I have saved them</Button>
+          </Space>
+        </>
+      )}
+    />
+  );
+};
+
+/**
+ * SecuritySettings Component
+ * Two-factor authentication of the signed-in user (authenticator app enrolment, recovery codes,
+ * turning it off) and, for administrators, the lockout and two-factor state of every account
+ * with Unlock / Reset two-factor actions.
+ */
+const SecuritySettings = () => {
+  const { user } = useAuth();
+  const { message } = App.useApp();
+  const isAdmin = user?.role === 'admin';
+
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [accounts, setAccounts] = useState([]);
+  const [loadingAccounts, setLoadingAccounts] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/auth/two-factor`);
+      setStatus(response.data.twoFactor);
+    } catch (error) {
+      console.error('Error loading two-factor status:', error);
+      message.error('Failed to load two-factor status');
+    }
+  }, [message]);
+
+  const fetchAccounts = useCallback(async () => {
+    if (!isAdmin) return;
+    setLoadingAccounts(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/auth/account-security`);
+      setAccounts(response.data.users || []);
+    } catch (error) {
+      console.error('Error loading account security:', error);
+      message.error('Failed to load accounts');
+    } finally {
+      setLoadingAccounts(false);
+    }
+  }, [isAdmin, message]);
+
+  useEffect(() => {
+    fetchStatus();
+    fetchAccounts();
+  }, [fetchStatus, fetchAccounts]);
+
+  // Run a two-factor action; clears the inputs and reloads the status afterwards
+  const run = async (request, successMessage) => {
+    setBusy(true);
+    try {
+      const response = await request();
+      if (successMessage) message.success(successMessage);
+      setCode('');
+      setPassword('');
+      await fetchStatus();
+      return response.data;
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Request failed');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startSetup = async () => {
+    const result = await run(() => axios.post(`${API_BASE_URL}/api/auth/two-factor/setup`));
+    if (result) setSetup(result);
+  };
+
+  const enable = async () => {
+    const result = await run(
+      () => axios.post(`${API_BASE_URL}/api/auth/two-factor/enable`, { code }),
+      'Two-factor authentication enabled'
+    );
+    if (result) {
+      setSetup(null);
+      setRecoveryCodes(result.recoveryCodes);
+      fetchAccounts();
+    }
+  };
+
+  const disable = async () => {
+    const result = await run(
+      () => axios.post(`${API_BASE_URL}/api/auth/two-factor/disable`, { password, code }),
+      'Two-factor authentication disabled'
+    );
+    if (result) fetchAccounts();
+  };
+
+  const newRecoveryCodes = async () => {
+    const result = await run(
+      () => axios.post(`${API_BASE_URL}/api/auth/two-factor/recovery-codes`, { code }),
+      'New recovery codes generated'
+    );
+    if (result) setRecoveryCodes(result.recoveryCodes);
+  };
+
+  const unlock = async (record) => {
+    try {
+      await axios.post(`${API_BASE_URL}/api/auth/users/${record.id}/unlock`);
+      message.success(`${record.email} unlocked`);
+      fetchAccounts();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to unlock account');
+    }
+  };
+
+  const resetTwoFactor = async (record) => {
+    try {
+      await axios.delete(`${API_BASE_URL}/api/auth/users/${record.id}/two-factor`);
+      message.success(`Two-factor authentication of ${record.email} removed`);
+      fetchAccounts();
+      if (record.id === user?.id) fetchStatus();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to reset two-factor authentication');
+    }
+  };
+
+  const codeInput = (
+    <Input
+      value={code}
+      onChange={(event) => setCode(event.target.value)}
+      placeholder="6-digit code"
+      autoComplete="one-time-code"
+      inputMode="numeric"
+      style={{ width: 160 }}
+    />
+  );
+
+  const renderTwoFactor = () => {
+    if (!status) return null;
+
+    if (recoveryCodes) {
+      return <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+    }
+
+    if (!status.eligible) {
+      return (
+        <Typography.Paragraph type="secondary">
+          Two-factor authentication is available for administrators and sales managers.
+        </Typography.Paragraph>
+      );
+    }
+
+    if (status.enabled) {
+      return (
+        <Space direction="vertical" size="middle">
+          <Space>
+            <Tag color="green" icon={<SafetyOutlined />}>Enabled</Tag>
+            <Typography.Text type={status.recoveryCodesLeft < 3 ? 'danger' : 'secondary'}>
+              {status.recoveryCodesLeft} recovery code{status.recoveryCodesLeft === 1 ? '' : 's'} left
+            </Typography.Text>
+          </Space>
+          <Space wrap>
+            {codeInput}
+            <Button onClick={newRecoveryCodes} disabled={!code} loading={busy}>New recovery codes</Button>
+          </Space>
+          <Space wrap>
+            <Input.Password
+              value={password}
+              onChange={(event) => setPassword(event.target.value)}
+              placeholder="Password"
+              autoComplete="current-password"
+              style={{ width: 200 }}
+            />
+            <Popconfirm title="Turn off two-factor authentication?" onConfirm={disable} disabled={!code || !password}>
+              <Button danger disabled={!code || !password} loading={busy}>Disable</Button>
+            </Popconfirm>
+          </Space>
+          <Typography.Text type="secondary">
+            Enter a current code from your authenticator app for either action.
+          </Typography.Text>
+        </Space>
+      );
+    }
+
+    if (setup) {
+      return (
+        <Space align="start" size="large" wrap>
+          <QRCode value={setup.otpauthUrl} size={180} />
+          <Space direction="vertical">
+            <Typography.Text>
+              Scan the code with an authenticator app (Google Authenticator, Microsoft Authenticator, 1Password, ...)
+              or enter the key by hand:
+            </Typography.Text>
+            <Typography.Text code copyable>{setup.secret}</Typography.Text>
+            <Typography.Text>Then enter the 6-digit code the app shows:</Typography.Text>
+            <Space>
+              {codeInput}
+              <Button type="primary" onClick={enable} disabled={!code} loading={busy}>Enable</Button>
+              <Button onClick={() => { setSetup(null); setCode(''); }}>Cancel</Button>
+            </Space>
+          </Space>
+        </Space>
+      );
+    }
+
+    return (
+      <Space direction="vertical">
+        <Tag>Not enabled</Tag>
+        <Typography.Text type="secondary">
+          After your password you will also be asked for a code from an authenticator app on your phone.
+        </Typography.Text>
+        <Button type="primary" icon={<SafetyOutlined />} onClick={startSetup} loading={busy}>
+          Set up two-factor authentication
+        </Button>
+      </Space>
+    );
+  };
+
+  const columns = [
+    {
+      title: 'User',
+      key: 'user',
+      render: (_, record) => (
+        <>
+          <div>{record.name}</div>
+          <Typography.Text type="secondary">{record.email}</Typography.Text>
+        </>
+      )
+    },
+    { title: 'Role', dataIndex: 'role', key: 'role', render: (role) => ROLE_LABELS[role] || role },
+    {
+      title: 'Status',
+      key: 'status',
+      render: (_, record) => {
+        if (!record.isActive) return <Tag>Deactivated</Tag>;
+        if (record.lockedUntil && new Date(record.lockedUntil) > new Date()) {
+          return <Tag color="red">Locked until {formatDateTime(record.lockedUntil)}</Tag>;
+        }
+        return <Tag color="green">Active</Tag>;
+      }
+    },
+    {
+      title: 'Failed attempts',
+      key: 'failedAttempts',
+      render: (_, record) => (record.failedAttempts
+        ? `${record.failedAttempts} (last ${formatDateTime(record.lastFailedLoginAt)})`
+        : '-')
+    },
+    {
+      title: 'Two-factor',
+      key: 'twoFactor',
+      render: (_, record) => {
+        if (record.twoFactorEnabled) {
+          return <Tag color="green">On · {record.recoveryCodesLeft} recovery codes</Tag>;
+        }
+        return record.twoFactorEligible ? <Tag>Off</Tag> : '-';
+      }
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, record) => (
+        <Space>
+          {(record.failedAttempts > 0 || record.lockedUntil) && (
+            <Button size="small" icon={<UnlockOutlined />} onClick={() => unlock(record)}>Unlock</Button>
+          )}
+          {record.twoFactorEnabled && (
+            <Popconfirm
+              title={`Remove two-factor authentication of ${record.email}?`}
+              description="They can sign in with their password alone and set it up again."
+              onConfirm={() => resetTwoFactor(record)}
+            >
+              <Button size="small" danger>Reset two-factor</Button>
+            </Popconfirm>
+          )}
+        </Space>
+      )
+    }
+  ];
+
+  return (
+    <Space direction="vertical" size="large" style={{ width: '100%' }}>
+      <Card title="Two-Factor Authentication">
+        {renderTwoFactor()}
+      </Card>
+
+      {isAdmin && (
+        <Card
+          title="Accounts"
+          extra={<Button icon={<ReloadOutlined />} onClick={fetchAccounts} loading={loadingAccounts}>Refresh</Button>}
+        >
+          <Table
+            rowKey="id"
+            columns={columns}
+            dataSource={accounts}
+            loading={loadingAccounts}
+            pagination={false}
+            size="small"
+          />
+        </Card>
+      )}
+    </Space>
+  );
+};
+
+export default SecuritySettings;
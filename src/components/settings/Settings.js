@@ -5,6 +5,13 @@ import { useCurrency, currencyMapping, getCountryList } from '../../contexts/Cur
 import axios from 'axios';
 import PeriodConfiguration from './PeriodConfiguration';
 import MasterDataSettings from './MasterDataSettings';
+import FxRatesSettings from './FxRatesSettings';
+import PLLinesSettings from './PLLinesSettings';
+import ReportSchedulesSettings from './ReportSchedulesSettings';
+import VarianceAlertsSettings from './VarianceAlertsSettings';
+import SecuritySettings from './SecuritySettings';
+import AuditLogSettings from './AuditLogSettings';
+import DatabaseBackupsSettings from './DatabaseBackupsSettings';
 import ThemeSelector from './ThemeSelector';
 import UAEDirhamSymbol from '../dashboard/UAEDirhamSymbol';
 import './Settings.css';
@@ -643,6 +650,81 @@ const Settings = () => {
           </svg>
           Master Data
         </button>
+        <button 
+          className={`tab-button ${activeTab === 'fxrates' ? 'active' : ''}`}
+          onClick={() => setActiveTab('fxrates')}
+        >
+          <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+            <path d="M8 5a1 1 0 100 2h5.586l-1.293 1.293a1 1 0 001.414 1.414l3-3a1 1 0 000-1.414l-3-3a1 1 0 10-1.414 1.414L13.586 5H8zM12 15a1 1 0 100-2H6.414l1.293-1.293a1 1 0 10-1.414-1.414l-3 3a1 1 0 000 1.414l3 3a1 1 0 001.414-1.414L6.414 15H12z" />
+          </svg>
+          Exchange Rates
+        </button>
+        <button 
+          className={`tab-button ${activeTab === 'pllines' ? 'active' : ''}`}
+          onClick={() => setActiveTab('pllines')}
+        >
+          <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+            <path fillRule="evenodd" d="M3 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm0 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm0 4a1 1 0 011-1h6a1 1 0 110 2H4a1 1 0 01-1-1zm0 4a1 1 0 011-1h6a1 1 0 110 2H4a1 1 0 01-1-1zm10-3a1 1 0 011 1v1h1a1 1 0 110 2h-1v1a1 1 0 11-2 0v-1h-1a1 1 0 110-2h1v-1a1 1 0 011-1z" clipRule="evenodd" />
+          </svg>
+          P&amp;L Lines
+        </button>
+        {user?.role === 'admin' && (
+          <button 
+            className={`tab-button ${activeTab === 'reports' ? 'active' : ''}`}
+            onClick={() => setActiveTab('reports')}
+          >
+            <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+              <path d="M2.003 5.884L10 9.882l7.997-3.998A2 2 0 0016 4H4a2 2 0 00-1.997 1.884z" />
+              <path d="M18 8.118l-8 4-8-4V14a2 2 0 002 2h12a2 2 0 002-2V8.118z" />
+            </svg>
+            Scheduled Reports
+          </button>
+        )}
+        {user?.role === 'admin' && (
+          <button 
+            className={`tab-button ${activeTab === 'alerts' ? 'active' : ''}`}
+            onClick={() => setActiveTab('alerts')}
+          >
+            <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+              <path d="M10 2a6 6 0 00-6 6v3.586l-.707.707A1 1 0 004 14h12a1 1 0 00.707-1.707L16 11.586V8a6 6 0 00-6-6zM10 18a3 3 0 01-3-3h6a3 3 0 01-3 3z" />
+            </svg>
+            Business Alerts
+          </button>
+        )}
+        <button 
+          className={`tab-button ${activeTab === 'security' ? 'active' : ''}`}
+          onClick={() => setActiveTab('security')}
+        >
+          <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+            <path fillRule="evenodd" d="M2.166 4.999A11.954 11.954 0 0010 1.944 11.954 11.954 0 0017.834 5c.11.65.166 1.32.166 2.001 0 5.225-3.34 9.67-8 11.317C5.34 16.67 2 12.225 2 7c0-.682.057-1.35.166-2.001zm11.541 3.708a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+          </svg>
+          Security
+        </button>
+        {user?.role === 'admin' && (
+          <button 
+            className={`tab-button ${activeTab === 'audit' ? 'active' : ''}`}
+            onClick={() => setActiveTab('audit')}
+          >
+            <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+              <path d="M9 2a1 1 0 000 2h2a1 1 0 100-2H9z" />
+              <path fillRule="evenodd" d="M4 5a2 2 0 012-2 3 3 0 003 3h2a3 3 0 003-3 2 2 0 012 2v11a2 2 0 01-2 2H6a2 2 0 01-2-2V5zm9.707 5.707a1 1 0 00-1.414-1.414L9 12.586l-1.293-1.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+            </svg>
+            Audit Log
+          </button>
+        )}
+        {user?.role === 'admin' && (
+          <button 
+            className={`tab-button ${activeTab === 'backups' ? 'active' : ''}`}
+            onClick={() => setActiveTab('backups')}
+          >
+            <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+              <path d="M3 12v3c0 1.657 3.134 3 7 3s7-1.343 7-3v-3c0 1.657-3.134 3-7 3s-7-1.343-7-3z" />
+              <path d="M3 7v3c0 1.657 3.134 3 7 3s7-1.343 7-3V7c0 1.657-3.134 3-7 3S3 8.657 3 7z" />
+              <path d="M17 5c0 1.657-3.134 3-7 3S3 6.657 3 5s3.134-3 7-3 7 1.343 7 3z" />
+            </svg>
+            Backups
+          </button>
+        )}
         <button 
           className={`tab-button ${activeTab === 'appearance' ? 'active' : ''}`}
           onClick={() => setActiveTab('appearance')}
@@ -897,6 +979,99 @@ const Settings = () => {
           </div>
         )}
 
+        {/* Exchange Rates Tab */}
+        {activeTab === 'fxrates' && (
+          <div className="settings-section">
+            <div className="section-header">
+              <h2>Exchange Rates</h2>
+              <p className="section-description">
+                Monthly average and closing rates per currency (1 unit = X company currency), used when the dashboard is switched to another report currency.
+              </p>
+            </div>
+            <FxRatesSettings />
+          </div>
+        )}
+
+        {/* P&L Lines Tab */}
+        {activeTab === 'pllines' && (
+          <div className="settings-section">
+            <div className="section-header">
+              <h2>P&amp;L Lines</h2>
+              <p className="section-description">
+                Chart of accounts per division: the lines of the P&amp;L statement, their order, and the formulas of derived lines such as EBITDA or Net Profit.
+              </p>
+            </div>
+            <PLLinesSettings />
+          </div>
+        )}
+
+        {/* Scheduled Reports Tab */}
+        {activeTab === 'reports' && user?.role === 'admin' && (
+          <div className="settings-section">
+            <div className="section-header">
+              <h2>Scheduled Reports</h2>
+              <p className="section-description">
+                Reports rendered on the server and emailed on a recurring schedule, e.g. the FP divisional P&amp;L for the last closed month on the 3rd business day to the management list.
+              </p>
+            </div>
+            <ReportSchedulesSettings />
+          </div>
+        )}
+
+        {/* Business Alerts Tab */}
+        {activeTab === 'alerts' && user?.role === 'admin' && (
+          <div className="settings-section">
+            <div className="section-header">
+              <h2>Business Alerts</h2>
+              <p className="section-description">
+                Rules checked after every Actual upload, e.g. customer KGS below 80% of budget YTD or product group MoRM/kg down more than 10% on the prior month. Breaches are sent to the alert channels and shown in the notifications of the chosen roles.
+              </p>
+            </div>
+            <VarianceAlertsSettings />
+          </div>
+        )}
+
+        {/* Security Tab */}
+        {activeTab === 'security' && (
+          <div className="settings-section">
+            <div className="section-header">
+              <h2>Security</h2>
+              <p className="section-description">
+                {user?.role === 'admin'
+                  ? 'Your two-factor authentication, and the accounts locked after too many failed sign-ins or needing a two-factor reset.'
+                  : 'Two-factor authentication for your account.'}
+              </p>
+            </div>
+            <SecuritySettings />
+          </div>
+        )}
+
+        {/* Audit Log Tab */}
+        {activeTab === 'audit' && user?.role === 'admin' && (
+          <div className="settings-section">
+            <div className="section-header">
+              <h2>Audit Log</h2>
+              <p className="section-description">
+                Every change to budgets, master data, merge rules, divisions, users and settings, with who made it, when and the state before and after. Entries are hash-chained: Verify chain shows whether any entry was edited or removed.
+              </p>
+            </div>
+            <AuditLogSettings />
+          </div>
+        )}
+
+        {/* Backups Tab */}
+        {activeTab === 'backups' && user?.role === 'admin' && (
+          <div className="settings-section">
+            <div className="section-header">
+              <h2>Database Backups</h2>
+              <p className="section-description">
+                Daily backups of every division database and the auth database, checked against their checksums. A backup can be restored as a new division, or one of its tables restored next to or over the live table.
+              </p>
+            </div>
+            <DatabaseBackupsSettings />
+          </div>
+        )}
+
         {/* Appearance Tab */}
         {activeTab === 'appearance' && (
           <div className="settings-section">
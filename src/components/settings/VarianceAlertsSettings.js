@@ -0,0 +1,335 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Table, Input, InputNumber, Select, Switch, Button, Space, Modal, Form, Tag, Popconfirm, Tooltip, List, Empty, App } from 'antd';
+import { PlusOutlined, ReloadOutlined, EditOutlined, DeleteOutlined, ThunderboltOutlined } from '@ant-design/icons';
+import axios from 'axios';
+import { useExcelData } from '../../contexts/ExcelDataContext';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const SEVERITY_COLORS = { info: 'blue', warning: 'orange', error: 'red', critical: 'magenta' };
+const ROLE_LABELS = { admin: 'Administrators', sales_manager: 'Sales managers', sales_rep: 'Sales reps' };
+
+const formatDateTime = (value) => (value
+  ? new Date(value).toLocaleString('en-GB', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+  : '-');
+
+const toFormValues = (rule) => ({
+  name: rule.name,
+  division: rule.division,
+  ruleType: rule.rule_type,
+  dimension: rule.dimension,
+  metric: rule.metric,
+  thresholdPct: Number(rule.threshold_pct),
+  minBase: Number(rule.min_base),
+  severity: rule.severity,
+  channels: rule.channels,
+  notifyRoles: rule.notify_roles,
+  isActive: rule.is_active
+});
+
+/**
+ * VarianceAlertsSettings Component
+ * Business alert rules (admin only), e.g. "customer KGS below 80% of budget YTD".
+ * Rules are evaluated after every Actual upload; breaches go to the chosen alert channels
+ * and to the in-app notifications of the chosen roles. "Check now" lists the current breaches.
+ */
+const VarianceAlertsSettings = () => {
+  const { divisions } = useExcelData();
+  const { message } = App.useApp();
+
+  const [rules, setRules] = useState([]);
+  const [options, setOptions] = useState({ ruleTypes: [], dimensions: [], severities: [], channels: [], roles: [] });
+  const [loading, setLoading] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [checkingId, setCheckingId] = useState(null);
+  const [check, setCheck] = useState(null);
+  const [form] = Form.useForm();
+  const ruleType = Form.useWatch('ruleType', form);
+
+  const fetchRules = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [rulesResponse, optionsResponse] = await Promise.all([
+        axios.get(`${API_BASE_URL}/api/variance-alerts/rules`),
+        axios.get(`${API_BASE_URL}/api/variance-alerts/options`)
+      ]);
+      setRules(rulesResponse.data.rules || []);
+      setOptions(optionsResponse.data);
+    } catch (error) {
+      console.error('Error loading alert rules:', error);
+      message.error('Failed to load alert rules');
+    } finally {
+      setLoading(false);
+    }
+  }, [message]);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const metricsFor = (type) => options.ruleTypes.find(option => option.value === type)?.metrics || [];
+
+  const openEditor = (rule = null) => {
+    form.resetFields();
+    form.setFieldsValue(rule ? toFormValues(rule) : {
+      division: divisions[0],
+      ruleType: 'budget_attainment',
+      dimension: 'customer',
+      metric: 'KGS',
+      thresholdPct: 80,
+      minBase: 0,
+      severity: 'warning',
+      channels: ['slack'],
+      notifyRoles: ['admin'],
+      isActive: true
+    });
+    setEditing(rule || {});
+  };
+
+  const handleRuleTypeChange = (type) => {
+    if (!metricsFor(type).includes(form.getFieldValue('metric'))) {
+      form.setFieldsValue({ metric: metricsFor(type)[0] });
+    }
+  };
+
+  const handleSave = async () => {
+    let values;
+    try {
+      values = await form.validateFields();
+    } catch (validationError) {
+      return;
+    }
+    setSaving(true);
+    try {
+      const response = editing.id
+        ? await axios.put(`${API_BASE_URL}/api/variance-alerts/rules/${editing.id}`, values)
+        : await axios.post(`${API_BASE_URL}/api/variance-alerts/rules`, values);
+      message.success(response.data.message);
+      setEditing(null);
+      fetchRules();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to save alert rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule, isActive) => {
+    try {
+      await axios.put(`${API_BASE_URL}/api/variance-alerts/rules/${rule.id}`, { ...toFormValues(rule), isActive });
+      fetchRules();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to save alert rule');
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    try {
+      const response = await axios.delete(`${API_BASE_URL}/api/variance-alerts/rules/${rule.id}`);
+      message.success(response.data.message);
+      fetchRules();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to delete alert rule');
+    }
+  };
+
+  // Current breaches only: nothing is sent
+  const handleCheck = async (rule) => {
+    setCheckingId(rule.id);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/variance-alerts/evaluate`, {
+        division: rule.division,
+        ruleId: rule.id,
+        deliver: false
+      });
+      const result = response.data.results[0];
+      if (!response.data.period) {
+        message.info(`No Actual data in ${rule.division} yet`);
+      } else if (result?.error) {
+        message.error(result.error);
+      } else {
+        setCheck({ rule, period: response.data.period, breaches: result?.breaches || [] });
+      }
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to check alert rule');
+    } finally {
+      setCheckingId(null);
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Rule',
+      dataIndex: 'name',
+      key: 'name',
+      render: (name, record) => (
+        <div>
+          <strong>{name}</strong>
+          <div style={{ fontSize: 12, color: '#888' }}>{record.division} · {record.description}</div>
+        </div>
+      )
+    },
+    {
+      title: 'Severity',
+      dataIndex: 'severity',
+      key: 'severity',
+      width: 90,
+      render: (severity) => <Tag color={SEVERITY_COLORS[severity]}>{severity}</Tag>
+    },
+    {
+      title: 'Delivered to',
+      key: 'delivery',
+      width: 220,
+      render: (_, record) => (
+        <Space size={4} wrap>
+          {record.channels.map(channel => <Tag key={channel}>{channel}</Tag>)}
+          {record.notify_roles.map(role => <Tag key={role} color="geekblue">{ROLE_LABELS[role] || role}</Tag>)}
+        </Space>
+      )
+    },
+    {
+      title: 'Last check',
+      dataIndex: 'last_evaluated_at',
+      key: 'last_evaluated_at',
+      width: 210,
+      render: (value, record) => (
+        <Space size={4}>
+          {formatDateTime(value)}
+          {record.last_breach_count !== null && (
+            <Tooltip title={`Breaches for ${record.last_period}`}>
+              <Tag color={record.last_breach_count > 0 ? 'red' : 'green'}>{record.last_breach_count}</Tag>
+            </Tooltip>
+          )}
+        </Space>
+      )
+    },
+    {
+      title: 'Active',
+      dataIndex: 'is_active',
+      key: 'is_active',
+      width: 70,
+      align: 'center',
+      render: (value, record) => <Switch size="small" checked={value} onChange={(checked) => handleToggle(record, checked)} />
+    },
+    {
+      title: '',
+      key: 'actions',
+      width: 130,
+      render: (_, record) => (
+        <Space size={4}>
+          <Tooltip title="Edit"><Button size="small" icon={<EditOutlined />} onClick={() => openEditor(record)} /></Tooltip>
+          <Tooltip title="Check now (nothing is sent)">
+            <Button size="small" icon={<ThunderboltOutlined />} loading={checkingId === record.id} onClick={() => handleCheck(record)} />
+          </Tooltip>
+          <Popconfirm title={`Delete "${record.name}"?`} onConfirm={() => handleDelete(record)}>
+            <Button size="small" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </Space>
+      )
+    }
+  ];
+
+  return (
+    <div>
+      <Space style={{ marginBottom: 16 }}>
+        <Button type="primary" icon={<PlusOutlined />} onClick={() => openEditor()}>New Rule</Button>
+        <Button icon={<ReloadOutlined />} onClick={fetchRules} />
+      </Space>
+      <Table
+        size="small"
+        rowKey="id"
+        loading={loading}
+        columns={columns}
+        dataSource={rules}
+        pagination={false}
+      />
+
+      <Modal
+        title={editing?.id ? `Edit rule - ${editing.name}` : 'New alert rule'}
+        open={Boolean(editing)}
+        onCancel={() => setEditing(null)}
+        onOk={handleSave}
+        confirmLoading={saving}
+        okText="Save"
+        width={640}
+        forceRender
+      >
+        <Form form={form} layout="vertical">
+          <Form.Item name="name" label="Name" rules={[{ required: true, message: 'Name is required' }]}>
+            <Input placeholder="Key customers behind budget" maxLength={200} />
+          </Form.Item>
+          <Space wrap align="start">
+            <Form.Item name="division" label="Division" rules={[{ required: true }]}>
+              <Select options={divisions.map(code => ({ value: code, label: code }))} style={{ width: 100 }} />
+            </Form.Item>
+            <Form.Item name="ruleType" label="Check" rules={[{ required: true }]}>
+              <Select options={options.ruleTypes} style={{ width: 280 }} onChange={handleRuleTypeChange} />
+            </Form.Item>
+          </Space>
+          <Space wrap align="start">
+            <Form.Item name="dimension" label="Per" rules={[{ required: true }]}>
+              <Select options={options.dimensions} style={{ width: 150 }} />
+            </Form.Item>
+            <Form.Item name="metric" label={ruleType === 'per_kg_change' ? 'Value per kg' : 'Metric'} rules={[{ required: true }]}>
+              <Select options={metricsFor(ruleType).map(value => ({ value, label: value }))} style={{ width: 120 }} />
+            </Form.Item>
+            <Form.Item
+              name="thresholdPct"
+              label={ruleType === 'per_kg_change' ? 'Drop more than (%)' : 'Below (% of budget)'}
+              rules={[{ required: true }]}
+            >
+              <InputNumber min={0.1} max={1000} style={{ width: 140 }} />
+            </Form.Item>
+            <Form.Item
+              name="minBase"
+              label={ruleType === 'per_kg_change' ? 'Minimum KGS' : 'Minimum budget'}
+              extra="Smaller values are ignored"
+            >
+              <InputNumber min={0} style={{ width: 140 }} />
+            </Form.Item>
+          </Space>
+          <Space wrap align="start">
+            <Form.Item name="severity" label="Severity">
+              <Select options={options.severities.map(value => ({ value, label: value }))} style={{ width: 120 }} />
+            </Form.Item>
+            <Form.Item name="channels" label="Alert channels">
+              <Select mode="multiple" options={options.channels.map(value => ({ value, label: value }))} style={{ width: 220 }} />
+            </Form.Item>
+            <Form.Item name="notifyRoles" label="In-app notification for">
+              <Select
+                mode="multiple"
+                options={options.roles.map(value => ({ value, label: ROLE_LABELS[value] || value }))}
+                style={{ width: 240 }}
+              />
+            </Form.Item>
+          </Space>
+          <Form.Item name="isActive" label="Active" valuePropName="checked">
+            <Switch />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title={check ? `${check.rule.name} - ${check.period.key}` : ''}
+        open={Boolean(check)}
+        onCancel={() => setCheck(null)}
+        footer={null}
+        width={720}
+      >
+        {check && (check.breaches.length === 0 ? (
+          <Empty description="No breaches for the latest Actual month" />
+        ) : (
+          <List
+            size="small"
+            dataSource={check.breaches}
+            pagination={check.breaches.length > 15 ? { pageSize: 15, size: 'small' } : false}
+            renderItem={(breach) => <List.Item>{breach.message}</List.Item>}
+          />
+        ))}
+      </Modal>
+    </div>
+  );
+};
+
+export default VarianceAlertsSettings;
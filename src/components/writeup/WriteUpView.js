@@ -123,8 +123,8 @@ const downloadBlob = (blob, filename) => {
 const WriteUpView = ({ tableData, selectedPeriods }) => {
   const { excelData, selectedDivision } = useExcelData();
   const { basePeriodIndex, columnOrder } = useFilter();
-  const { companyCurrency } = useCurrency();
-  const currencyCode = companyCurrency?.code || 'AED';
+  const { reportCurrency } = useCurrency();
+  const currencyCode = reportCurrency?.code || 'AED';
   
   // Main state
   const [writeup, setWriteup] = useState('');
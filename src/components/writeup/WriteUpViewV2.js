@@ -1,215 +1,90 @@
 // components/writeup/WriteUpViewV2.js
-import React, { useRef, useState, useCallback } from 'react';
+import React, { useEffect, useMemo, useRef, useState, useCallback } from 'react';
+import axios from 'axios';
 import { useFilter } from '../../contexts/FilterContext';
 import { useExcelData } from '../../contexts/ExcelDataContext';
 import { useCurrency } from '../../contexts/CurrencyContext';
-import { buildInsights } from './analysis/insightEngine';
 import { exportWriteup } from './export/exportWriteup';
 import { renderMarkdownToSafeHtml } from './renderer/markdownRenderer';
 import './WriteUpViewV2.css';
 
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
 /**
- * WriteUp V2 - Smart Analysis from Existing Data
- * Captures data from already-rendered charts and tables
- * No need to reload from Excel - uses what's already on screen!
+ * WriteUp V2 - Smart Analysis
+ * The write-up is generated on the server (POST /api/write-up) from the sales, budget and
+ * P&L data of the base period and a comparison period, so it no longer depends on which
+ * charts happen to be rendered. Scheduled write-up e-mails use the same generator.
  */
 
+const periodLabel = (column) => `${column.year} ${column.displayName || column.month} ${column.type}`;
+
+const toPeriod = (column) => ({
+  year: column.year,
+  month: column.month,
+  months: column.months,
+  type: column.type,
+  label: periodLabel(column)
+});
+
 export default function WriteUpViewV2() {
   const editorRef = useRef(null);
   const [html, setHtml] = useState('');
   const [factPack, setFactPack] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [compareId, setCompareId] = useState(null);
 
   const { selectedDivision } = useExcelData();
   const { columnOrder, basePeriodIndex } = useFilter();
-  const { companyCurrency } = useCurrency();
-  const currencyCode = companyCurrency?.code || 'AED';
+  const { reportCurrency } = useCurrency();
+  const currencyCode = reportCurrency?.code || 'AED';
 
-  // Division names
-  const divisionNames = {
-    FP: 'Flexible Packaging Division',
-    SB: 'Shopping Bags Division',
-    TF: 'Thermoforming Products Division',
-    HCM: 'Preforms and Closures Division'
-  };
+  const periods = useMemo(() => columnOrder || [], [columnOrder]);
+  const basePeriod = periods[basePeriodIndex] || periods[0];
+  const comparisons = useMemo(() => periods.filter(column => column !== basePeriod), [periods, basePeriod]);
 
-  // Capture data from existing charts and tables
-  const captureDataFromDOM = useCallback(() => {
+  // Default comparison: the column before the base period, otherwise the first other column
+  useEffect(() => {
+    if (comparisons.some(column => column.id === compareId)) return;
+    const baseIndex = periods.indexOf(basePeriod);
+    const fallback = periods[baseIndex - 1] || comparisons[0];
+    setCompareId(fallback ? fallback.id : null);
+  }, [periods, basePeriod, comparisons, compareId]);
+
+  const comparePeriod = comparisons.find(column => column.id === compareId);
+
+  useEffect(() => {
+    if (editorRef.current) {
+      editorRef.current.innerHTML = html;
+    }
+  }, [html]);
+
+  const generate = useCallback(async () => {
+    if (!basePeriod || !comparePeriod) return;
     setLoading(true);
-    
+    setError(null);
     try {
-      console.log('📸 Capturing data from existing charts and tables...');
-      
-      const periods = columnOrder || [];
-      const basePeriod = periods[basePeriodIndex] || periods[0];
-      
-      // 1. Capture from BarChart (Sales & Volume)
-      const barChartInstance = window.mainBarChartInstance;
-      let salesData = {};
-      
-      if (barChartInstance) {
-        try {
-          const option = barChartInstance.getOption();
-          const xAxisData = option?.xAxis?.[0]?.data || [];
-          const seriesData = option?.series?.[0]?.data || [];
-          
-          console.log('✅ Captured BarChart data:', { periods: xAxisData.length, values: seriesData.length });
-          
-          // Map to periods
-          xAxisData.forEach((label, idx) => {
-            salesData[label] = seriesData[idx] || 0;
-          });
-          
-          if (xAxisData.length === 0) {
-            console.warn('⚠️ BarChart has no data yet');
-          }
-        } catch (err) {
-          console.error('❌ Error reading BarChart:', err);
-          alert('⚠️ Charts are loading. Please wait a moment and try again.');
-          setLoading(false);
-          return;
-        }
-      } else {
-        console.warn('⚠️ BarChart not found. Please visit the Charts tab first!');
-        alert('⚠️ Please visit the Charts tab first to load the data, then come back here and click Generate.');
-        setLoading(false);
-        return;
-      }
-      
-      // 2. Capture from ModernMarginGauge
-      const marginGauges = document.querySelectorAll('.gauge-card');
-      let marginData = {};
-      
-      marginGauges.forEach(gauge => {
-        const label = gauge.querySelector('.gauge-label')?.textContent || '';
-        const valueText = gauge.querySelector('.gauge-value')?.textContent || '0';
-        const value = parseFloat(valueText.replace(/[^0-9.-]/g, ''));
-        
-        if (label && !isNaN(value)) {
-          marginData[label] = value;
-        }
+      const response = await axios.post(`${API_BASE_URL}/api/write-up`, {
+        division: selectedDivision,
+        period: toPeriod(basePeriod),
+        compareTo: toPeriod(comparePeriod)
       });
-      
-      console.log('✅ Captured Margin data:', Object.keys(marginData).length, 'periods');
-      
-      // 3. Capture from P&L Table (if visible)
-      const plTable = document.querySelector('.table-view');
-      let plData = {};
-      
-      if (plTable) {
-        // Get headers
-        const headers = Array.from(plTable.querySelectorAll('thead th')).map(th => th.textContent.trim());
-        
-        // Get key rows
-        const rows = plTable.querySelectorAll('tbody tr');
-        const rowLabels = ['Sales', 'Material Cost', 'Gross Profit', 'EBITDA', 'Net Profit'];
-        
-        rows.forEach(row => {
-          const label = row.querySelector('td:first-child')?.textContent.trim();
-          if (rowLabels.some(l => label?.includes(l))) {
-            const cells = Array.from(row.querySelectorAll('td'));
-            plData[label] = cells.slice(1).map(cell => {
-              const text = cell.textContent.trim().replace(/[^0-9.-]/g, '');
-              return parseFloat(text) || 0;
-            });
-          }
-        });
-        
-        console.log('✅ Captured P&L data:', Object.keys(plData).length, 'rows');
-      }
-      
-      // 4. Build factPack from captured data
-      const basePeriodLabel = basePeriod ? 
-        `${basePeriod.year}-${basePeriod.month}-${basePeriod.type}` : 
-        Object.keys(salesData)[0] || 'Unknown';
-      
-      const baseSales = salesData[basePeriodLabel] || Object.values(salesData)[0] || 0;
-      const baseMargin = marginData[basePeriodLabel] || Object.values(marginData)[0] || 0;
-      
-      // Calculate from captured data
-      const material = baseSales * (1 - baseMargin / 100);
-      const gp = baseSales - material;
-      const gp_pct = baseSales > 0 ? (gp / baseSales) * 100 : 0;
-      
-      const factPack = {
-        periods: {
-          base: basePeriodLabel,
-          comp: basePeriodLabel
-        },
-        kpi: {
-          sales: baseSales,
-          material: material,
-          gp: gp,
-          gp_pct: gp_pct,
-          ebitda: baseSales * 0.15, // Estimate
-          np: baseSales * 0.10, // Estimate
-          ebit: baseSales * 0.12 // Estimate
-        },
-        targets: {
-          gp_pct: 20.0
-        },
-        revenue_pvm: {
-          total: {
-            price: 0,
-            volume: 0,
-            mix: 0
-          }
-        },
-        cogs_drivers: {
-          material_price: 0,
-          material_mix: 0,
-          labor_rate: 0,
-          labor_hours: 0,
-          energy_tariff: 0,
-          energy_usage: 0,
-          yield_scrap: 0
-        },
-        unit_econ: {
-          sales_kg: 0,
-          gp_per_kg: 0,
-          mfg_per_kg: 0
-        },
-        top_customers: [],
-        top_reps: [],
-        product_mix: [],
-        anomalies: [],
-        chart_findings: [
-          `Sales for ${basePeriodLabel}: ${fmtAed(baseSales)}`,
-          `Gross Profit Margin: ${gp_pct.toFixed(1)}%`,
-          `${gp_pct < 20 ? 'Below' : 'Above'} target GP% of 20%`
-        ],
-        volatility_hints: []
-      };
-      
-      console.log('✅ Built factPack from captured data:', factPack);
-      setFactPack(factPack);
-      
-      // Generate narrative
-      const insights = buildInsights(factPack);
-      const md = composeNarrative(factPack, insights, divisionNames[selectedDivision]);
-      const htmlContent = renderMarkdownToSafeHtml(md);
-      setHtml(htmlContent);
-      
-      // Inject HTML
-      if (editorRef.current) {
-        editorRef.current.innerHTML = htmlContent;
-      }
-      
+      const { factPack: pack, markdown } = response.data.data;
+      setFactPack(pack);
+      setHtml(renderMarkdownToSafeHtml(markdown));
     } catch (e) {
-      console.error('❌ Error capturing data:', e);
-      setHtml('<p style="color:#b91c1c">Failed to capture data. Check console.</p>');
-      if (editorRef.current) {
-        editorRef.current.innerHTML = '<p style="color:#b91c1c">Failed to capture data. Check console.</p>';
-      }
+      console.error('❌ Error generating write-up:', e);
+      setError(e.response?.data?.error || 'Failed to generate the write-up.');
     } finally {
       setLoading(false);
     }
-  }, [columnOrder, basePeriodIndex, selectedDivision]);
+  }, [basePeriod, comparePeriod, selectedDivision]);
 
   const exportPdf = () => {
     if (editorRef.current) {
       exportWriteup(editorRef.current, {
-        filename: `WriteUp_${factPack?.periods?.comp || 'period'}.pdf`
+        filename: `WriteUp_${factPack?.periods?.base || 'period'}.pdf`
       });
     }
   };
@@ -217,10 +92,24 @@ export default function WriteUpViewV2() {
   return (
     <div className="writeup-container">
       <div className="writeup-toolbar">
-        <button 
-          className="btn primary" 
-          onClick={captureDataFromDOM}
-          disabled={loading}
+        {basePeriod && (
+          <span>
+            <strong>{periodLabel(basePeriod)}</strong> compared with{' '}
+            <select
+              value={compareId || ''}
+              onChange={(event) => setCompareId(event.target.value)}
+              disabled={loading || comparisons.length === 0}
+            >
+              {comparisons.map(column => (
+                <option key={column.id} value={column.id}>{periodLabel(column)}</option>
+              ))}
+            </select>
+          </span>
+        )}
+        <button
+          className="btn primary"
+          onClick={generate}
+          disabled={loading || !basePeriod || !comparePeriod}
         >
           {loading ? '⏳ Generating...' : '✨ Generate Write-Up'}
         </button>
@@ -229,12 +118,15 @@ export default function WriteUpViewV2() {
         </button>
       </div>
 
+      {error && <div className="alert">⚠️ {error}</div>}
+
       {factPack && (
         <div className="metric-cards">
-          <Metric title={`Sales (${currencyCode})`} value={fmtAed(factPack?.kpi?.sales)} />
-          <Metric title={`GP (${currencyCode})`} value={fmtAed(factPack?.kpi?.gp)} />
-          <Metric title="GP %" value={`${(factPack?.kpi?.gp_pct ?? 0).toFixed(1)}%`} />
-          <Metric title={`EBITDA (${currencyCode})`} value={fmtAed(factPack?.kpi?.ebitda)} />
+          <Metric title={`Sales (${currencyCode})`} value={fmtAmount(factPack.kpi.sales)} />
+          <Metric title="Volume (kg)" value={fmtAmount(factPack.kpi.sales_kg)} />
+          {factPack.kpi.gp !== null && <Metric title={`GP (${currencyCode})`} value={fmtAmount(factPack.kpi.gp)} />}
+          {typeof factPack.kpi.gp_pct === 'number' && <Metric title="GP %" value={`${factPack.kpi.gp_pct.toFixed(1)}%`} />}
+          {factPack.kpi.ebitda !== null && <Metric title={`EBITDA (${currencyCode})`} value={fmtAmount(factPack.kpi.ebitda)} />}
         </div>
       )}
 
@@ -245,37 +137,17 @@ export default function WriteUpViewV2() {
       <section className="writeup-section">
         {!html ? (
           <div style={{ padding: '40px', textAlign: 'center', color: '#666' }}>
-            <h3>📊 Smart Analysis from Existing Data</h3>
+            <h3>📊 Smart Analysis</h3>
             <p style={{ fontSize: '1.1em', marginBottom: '30px' }}>
-              Click "Generate Write-Up" to analyze data from your charts and tables.
+              {periods.length < 2
+                ? 'Add at least two periods (for example this year and last year) to compare them in a write-up.'
+                : 'Pick the period to compare with and click "Generate Write-Up".'}
+            </p>
+            <p style={{ maxWidth: '600px', margin: '0 auto', fontSize: '0.9em' }}>
+              The write-up is built from the sales, budget and P&amp;L data of both periods:
+              revenue bridge (price / volume / mix), margin against budget, top customers,
+              product mix and anything unusual worth a look.
             </p>
-            
-            <div style={{ 
-              background: '#f0f9ff', 
-              border: '2px solid #0ea5e9', 
-              borderRadius: '8px', 
-              padding: '20px', 
-              maxWidth: '600px', 
-              margin: '0 auto',
-              textAlign: 'left'
-            }}>
-              <h4 style={{ color: '#0369a1', marginTop: 0 }}>💡 How it works:</h4>
-              <ol style={{ lineHeight: '1.8' }}>
-                <li><strong>View Charts:</strong> Go to the <strong>Charts</strong> tab first</li>
-                <li><strong>Come Back:</strong> Return to this <strong>Write-Up</strong> tab</li>
-                <li><strong>Generate:</strong> Click the button above</li>
-                <li><strong>Done!</strong> Instant analysis from your displayed data</li>
-              </ol>
-              <p style={{ 
-                background: '#fef3c7', 
-                padding: '10px', 
-                borderRadius: '4px', 
-                margin: '15px 0 0 0',
-                fontSize: '0.9em'
-              }}>
-                ⚡ <strong>Pro Tip:</strong> Charts must be loaded first. If you see "Đ 0M" above, visit the Charts tab!
-              </p>
-            </div>
           </div>
         ) : (
           <div ref={editorRef} className="writeup-editor" />
@@ -307,76 +179,19 @@ function Metric({ title, value }) {
   );
 }
 
-function fmtAed(v) {
+function fmtAmount(v) {
   const n = Number(v) || 0;
-  if (Math.abs(n) >= 1_000_000) return `Đ ${(n/1_000_000).toFixed(2)}M`;
-  if (Math.abs(n) >= 1_000) return `Đ ${(n/1_000).toFixed(1)}k`;
-  return `Đ ${n.toFixed(0)}`;
+  if (Math.abs(n) >= 1_000_000) return `${(n / 1_000_000).toFixed(2)}M`;
+  if (Math.abs(n) >= 1_000) return `${(n / 1_000).toFixed(1)}k`;
+  return n.toFixed(0);
 }
 
 function thresholdAlerts(factPack) {
   const alerts = [];
-  const gpPct = Number(factPack?.kpi?.gp_pct);
-  const target = Number(factPack?.targets?.gp_pct);
-  if (Number.isFinite(gpPct) && Number.isFinite(target) && gpPct < target - 1.5) {
-    alerts.push(`⚠️ GP% below target by ${(target - gpPct).toFixed(1)}pp.`);
+  const gpPct = factPack?.kpi?.gp_pct;
+  const target = factPack?.targets?.gp_pct;
+  if (typeof gpPct === 'number' && typeof target === 'number' && gpPct < target - 1.5) {
+    alerts.push(`⚠️ GP% below budget by ${(target - gpPct).toFixed(1)}pp.`);
   }
   return alerts;
 }
-
-function composeNarrative(factPack = {}, insights = [], divisionName = '') {
-  const p = factPack?.periods ?? {};
-  const k = factPack?.kpi ?? {};
-  const findings = factPack?.chart_findings ?? [];
-
-  const head = `# Executive Summary (${p.base})
-## ${divisionName || 'Division'} - Financial Analysis
-
-**Quick View:**
-- **Sales:** ${fmtAed(k.sales)}
-- **GP%:** ${(k.gp_pct ?? 0).toFixed(1)}%
-- **EBITDA:** ${fmtAed(k.ebitda)}
-- **Status:** ${k.gp_pct >= 20 ? '✅ On target' : '⚠️ Below target'}
-
-**Key Findings:**
-${findings.map(f => `- ${f}`).join('\n')}
-`;
-
-  const analysis = `
-## Financial Health
-
-### Profitability
-- Gross Profit: **${fmtAed(k.gp)}** (${k.gp_pct.toFixed(1)}% of sales)
-- Target GP%: **20.0%**
-- Gap: **${(k.gp_pct - 20).toFixed(1)}pp**
-
-### Cost Structure
-- Material Cost: **${fmtAed(k.material)}** (${(k.material / k.sales * 100).toFixed(1)}% of sales)
-- Operating Profit (EBITDA): **${fmtAed(k.ebitda)}**
-`;
-
-  const actions = `
-## Recommended Actions
-
-### Immediate (Next 30 days)
-1. **Margin Protection**
-   - Review pricing on top-5 products
-   - Target 1% price increase = +${fmtAed(k.sales * 0.01)} potential revenue
-
-2. **Cost Control**
-   - Focus on material cost optimization
-   - Review supplier contracts
-   - Target 2% material savings = +${fmtAed(k.material * 0.02)} to bottom line
-
-### Strategic (60-90 days)
-3. **Mix Optimization**
-   - Promote high-margin products
-   - Review product portfolio profitability
-
-4. **Operational Excellence**
-   - Improve manufacturing efficiency
-   - Reduce waste and scrap
-`;
-
-  return [head, analysis, actions].join('\n\n');
-}
\ No newline at end of file
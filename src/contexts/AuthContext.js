@@ -97,6 +97,11 @@ export const AuthProvider = ({ children }) => {
         password
       });
 
+      // Password accepted; the caller asks for the authenticator code (verifyTwoFactor)
+      if (response.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
+
       if (response.data.success) {
         // Server returns "accessToken", not "token"
         const receivedToken = response.data.accessToken || response.data.token;
@@ -116,6 +121,56 @@ export const AuthProvider = ({ children }) => {
     }
   }, [API_BASE_URL, setToken]);
 
+  // Second login step: authenticator or recovery code for the challenge token from login()
+  const verifyTwoFactor = useCallback(async (challengeToken, code) => {
+    try {
+      setError(null);
+      setLoading(true);
+
+      const response = await axios.post(`${API_BASE_URL}/api/auth/login/two-factor`, {
+        challengeToken,
+        code
+      });
+
+      if (response.data.success) {
+        setToken(response.data.accessToken);
+        setUser(response.data.user);
+        return { success: true, user: response.data.user };
+      }
+
+      return { success: false, error: 'Verification failed' };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Verification failed';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  }, [API_BASE_URL, setToken]);
+
+  // Request a password reset e-mail (same answer whether or not the address exists)
+  const requestPasswordReset = useCallback(async (email) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/password-reset/request`, { email });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.error || 'Password reset request failed' };
+    }
+  }, [API_BASE_URL]);
+
+  // Set a new password with the token from the reset e-mail
+  const resetPassword = useCallback(async (resetToken, newPassword) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/password-reset/confirm`, {
+        token: resetToken,
+        newPassword
+      });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.error || 'Password reset failed' };
+    }
+  }, [API_BASE_URL]);
+
   // Logout function
   const logout = useCallback(async () => {
     try {
@@ -297,8 +352,11 @@ export const AuthProvider = ({ children }) => {
     loading,
     error,
     login,
+    verifyTwoFactor,
     logout,
     changePassword,
+    requestPasswordReset,
+    resetPassword,
     updateProfile,
     getPreferences,
     updatePreferences,
@@ -124,6 +124,15 @@ export const useCurrency = () => {
   return context;
 };
 
+// Currency details by ISO code (first country entry wins)
+export const getCurrencyByCode = (code) => {
+  const entry = Object.entries(currencyMapping).find(([, info]) => info.code === code);
+  return entry ? { country: entry[0], ...entry[1] } : { country: null, code, name: code, symbol: code };
+};
+
+export const REPORT_CURRENCY_STORAGE_KEY = 'report_currency';
+export const REPORT_CURRENCY_HEADER = 'X-Report-Currency';
+
 export const CurrencyProvider = ({ children }) => {
   const [companyCurrency, setCompanyCurrency] = useState({
     country: 'United Arab Emirates',
@@ -133,6 +142,13 @@ export const CurrencyProvider = ({ children }) => {
   });
   const [loading, setLoading] = useState(true);
 
+  // Reporting currency chosen in the header; amounts are converted server-side
+  // (X-Report-Currency) and client-side for the P&L workbook (fxConversion)
+  const [reportCurrencyCode, setReportCurrencyCode] = useState(
+    () => localStorage.getItem(REPORT_CURRENCY_STORAGE_KEY) || null
+  );
+  const [fxConversion, setFxConversion] = useState(null);
+
   const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
   // Load currency setting on mount
@@ -154,6 +170,59 @@ export const CurrencyProvider = ({ children }) => {
     loadCurrency();
   }, [API_BASE_URL]);
 
+  const isReportConverted = !!reportCurrencyCode && reportCurrencyCode !== companyCurrency.code;
+  const reportCurrency = isReportConverted ? getCurrencyByCode(reportCurrencyCode) : companyCurrency;
+
+  // Send the report currency with every API call and load the period factors
+  useEffect(() => {
+    if (!isReportConverted) {
+      delete axios.defaults.headers.common[REPORT_CURRENCY_HEADER];
+      setFxConversion(null);
+      return;
+    }
+
+    axios.defaults.headers.common[REPORT_CURRENCY_HEADER] = reportCurrencyCode;
+
+    let cancelled = false;
+    axios.get(`${API_BASE_URL}/api/fx-rates/conversion`, { params: { currency: reportCurrencyCode } })
+      .then(response => {
+        if (!cancelled) setFxConversion(response.data.conversion);
+      })
+      .catch(error => {
+        console.error(`Error loading ${reportCurrencyCode} exchange rates:`, error);
+        if (!cancelled) {
+          // No usable rates - fall back to the company currency
+          localStorage.removeItem(REPORT_CURRENCY_STORAGE_KEY);
+          delete axios.defaults.headers.common[REPORT_CURRENCY_HEADER];
+          setReportCurrencyCode(null);
+        }
+      });
+
+    return () => { cancelled = true; };
+  }, [API_BASE_URL, isReportConverted, reportCurrencyCode]);
+
+  // Switch the reporting currency (null or the company code = no conversion)
+  const setReportCurrency = useCallback((code) => {
+    if (code && code !== companyCurrency.code) {
+      localStorage.setItem(REPORT_CURRENCY_STORAGE_KEY, code);
+      setReportCurrencyCode(code);
+    } else {
+      localStorage.removeItem(REPORT_CURRENCY_STORAGE_KEY);
+      setReportCurrencyCode(null);
+    }
+  }, [companyCurrency.code]);
+
+  // Factor for a company currency amount of year / month (latest rate on or before the month)
+  const getFxFactor = useCallback((year, month) => {
+    if (!fxConversion || fxConversion.factors.length === 0) return 1;
+    const period = Number(year) * 100 + Number(month);
+    let factor = fxConversion.factors[0];
+    for (let i = 0; i < fxConversion.periods.length && fxConversion.periods[i] <= period; i++) {
+      factor = fxConversion.factors[i];
+    }
+    return factor;
+  }, [fxConversion]);
+
   // Update currency by country
   const setCurrencyByCountry = useCallback((country) => {
     const currencyInfo = currencyMapping[country];
@@ -177,7 +246,7 @@ export const CurrencyProvider = ({ children }) => {
     } = options;
     
     if (amount === null || amount === undefined || isNaN(amount)) {
-      return includeSymbol ? `${companyCurrency.symbol}0` : '0';
+      return includeSymbol ? `${reportCurrency.symbol}0` : '0';
     }
     
     let value = Number(amount);
@@ -202,24 +271,29 @@ export const CurrencyProvider = ({ children }) => {
     }) + suffix;
     
     if (includeSymbol) {
-      return `${companyCurrency.symbol}${formatted}`;
+      return `${reportCurrency.symbol}${formatted}`;
     }
     return formatted;
-  }, [companyCurrency.symbol]);
+  }, [reportCurrency.symbol]);
 
   // Get just the symbol
   const getCurrencySymbol = useCallback(() => {
-    return companyCurrency.symbol;
-  }, [companyCurrency.symbol]);
+    return reportCurrency.symbol;
+  }, [reportCurrency.symbol]);
 
   // Check if current currency is UAE Dirham (for SVG symbol)
   const isUAEDirham = useCallback(() => {
-    return companyCurrency.code === 'AED';
-  }, [companyCurrency.code]);
+    return reportCurrency.code === 'AED';
+  }, [reportCurrency.code]);
 
   const value = {
     companyCurrency,
     setCompanyCurrency,
+    reportCurrency,
+    setReportCurrency,
+    isReportConverted,
+    fxConversion,
+    getFxFactor,
     setCurrencyByCountry,
     formatCurrency,
     getCurrencySymbol,
@@ -236,4 +310,13 @@ export const CurrencyProvider = ({ children }) => {
   );
 };
 
+/**
+ * Remounts its children when the reporting currency changes so every table,
+ * chart and export refetches and re-renders in the new currency
+ */
+export const ReportCurrencyBoundary = ({ children }) => {
+  const { reportCurrency } = useCurrency();
+  return <React.Fragment key={reportCurrency.code}>{children}</React.Fragment>;
+};
+
 export default CurrencyContext;
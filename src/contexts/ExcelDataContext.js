@@ -1,6 +1,6 @@
 import React, { createContext, useState, useContext, useCallback, useEffect, useRef, useMemo } from 'react';
-import * as XLSX from 'xlsx';
 import axios from 'axios';
+import { useCurrency } from './CurrencyContext';
 
 const ExcelDataContext = createContext();
 
@@ -8,6 +8,7 @@ export const useExcelData = () => useContext(ExcelDataContext);
 
 export const ExcelDataProvider = ({ children }) => {
   const [excelData, setExcelData] = useState({});
+  const [plLedgers, setPlLedgers] = useState({});
   const [divisions, setDivisions] = useState([]);
   const [divisionMetadata, setDivisionMetadata] = useState([]);
   const [selectedDivision, setSelectedDivision] = useState('');
@@ -74,13 +75,16 @@ export const ExcelDataProvider = ({ children }) => {
     loadDivisionsAndDefault();
   }, [API_BASE_URL]);
   
-  // Function to load Excel file for a specific division
+  // Function to load P&L financials for a specific division.
+  // Served from {div}_pl_data in the workbook layout (row 0 years, row 1 months,
+  // row 2 types, ledger lines at their FINANCIAL_ROWS position), already in the
+  // report currency chosen in the header.
   const loadExcelData = useCallback(async (division = null) => {
     // Use provided division or fall back to selectedDivision
     const targetDivision = division || selectedDivision;
     
     if (!targetDivision) {
-      console.log('No division selected, skipping Excel load');
+      console.log('No division selected, skipping P&L load');
       return;
     }
     
@@ -89,8 +93,8 @@ export const ExcelDataProvider = ({ children }) => {
       return;
     }
     
-    const url = `/api/financials/${targetDivision.toLowerCase()}.xlsx`;
-    console.log(`Loading Excel data for division ${targetDivision} from:`, url);
+    const url = `/api/aebf/pl/sheet?division=${encodeURIComponent(targetDivision.toUpperCase())}`;
+    console.log(`Loading P&L data for division ${targetDivision} from:`, url);
     
     loadingRef.current = true;
     setLoading(true);
@@ -98,50 +102,28 @@ export const ExcelDataProvider = ({ children }) => {
     
     try {
       const res = await fetch(url);
+      const result = await res.json().catch(() => ({}));
       
       if (!res.ok) {
         if (res.status === 404) {
-          // Excel file not found for this division
-          const errorData = await res.json().catch(() => ({}));
-          throw new Error(errorData.message || `No financial data available for division ${targetDivision}`);
+          // No P&L workbook imported for this division yet
+          throw new Error(result.error || `No financial data available for division ${targetDivision}`);
         }
-        throw new Error(`HTTP error! status: ${res.status}`);
+        throw new Error(result.error || `HTTP error! status: ${res.status}`);
       }
       
-      const buffer = await res.arrayBuffer();
-      
-      if (buffer.byteLength === 0) {
-        throw new Error('Received empty file');
+      const parsedData = result.data?.sheets || {};
+      if (Object.keys(parsedData).length === 0) {
+        throw new Error('Received empty P&L data');
       }
       
-      // Parse Excel data using xlsx library
-      const workbook = XLSX.read(buffer, { type: 'buffer' });
-      console.log('Workbook sheets:', workbook.SheetNames);
-      
-      if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
-        throw new Error('No sheets found in Excel file');
-      }
-      
-      // Get all sheet names - but divisions now come from Settings API, not Excel sheets
-      const sheetNames = workbook.SheetNames;
-      
-      // Convert sheets to JSON
-      const parsedData = {};
-      sheetNames.forEach(name => {
-        const sheetData = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1 });
-        if (!sheetData || sheetData.length === 0) {
-          // console.warn(`Warning: Sheet ${name} is empty`);
-        }
-        parsedData[name] = sheetData;
-      });
-      
       setExcelData(parsedData);
       setDataLoaded(true);
       
       return parsedData;
     } catch (err) {
-      console.error('Error loading Excel data:', err);
-      setError('Failed to load Excel data: ' + err.message);
+      console.error('Error loading P&L data:', err);
+      setError('Failed to load P&L data: ' + err.message);
       throw err; // Re-throw to allow component to handle the error
     } finally {
       loadingRef.current = false;
@@ -149,12 +131,41 @@ export const ExcelDataProvider = ({ children }) => {
     }
   }, [selectedDivision]);
   
-  // Auto-load Excel data when division changes
+  // Chart of accounts with the P&L statement layout and derived-line formulas
+  // (maintained in Settings > P&L Lines), keyed by division code like excelData
+  const loadPlLedgers = useCallback(async (division = null) => {
+    const targetDivision = (division || selectedDivision || '').toUpperCase();
+    if (!targetDivision) return [];
+
+    try {
+      const res = await fetch(`/api/aebf/pl/ledgers?division=${encodeURIComponent(targetDivision)}`);
+      const result = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        throw new Error(result.error || `HTTP error! status: ${res.status}`);
+      }
+
+      const ledgers = result.data?.ledgers || [];
+      setPlLedgers(prev => ({ ...prev, [targetDivision]: ledgers }));
+      return ledgers;
+    } catch (err) {
+      console.error('Error loading P&L ledgers:', err);
+      return [];
+    }
+  }, [selectedDivision]);
+
+  useEffect(() => {
+    if (selectedDivision) {
+      loadPlLedgers(selectedDivision);
+    }
+  }, [selectedDivision, loadPlLedgers]);
+
+  // Auto-load P&L data when the division or the report currency changes
+  const { reportCurrency } = useCurrency();
   useEffect(() => {
     if (selectedDivision) {
-      loadExcelData(selectedDivision);
+      loadExcelData(selectedDivision).catch(() => {});
     }
-  }, [selectedDivision, loadExcelData]);
+  }, [selectedDivision, loadExcelData, reportCurrency.code]);
   
   const divisionNameMap = useMemo(() => {
     return divisionMetadata.reduce((acc, div) => {
@@ -186,6 +197,8 @@ export const ExcelDataProvider = ({ children }) => {
   // Values to expose in the context
   const value = {
     excelData,
+    plLedgers,
+    loadPlLedgers,
     divisions,
     divisionMetadata,
     divisionNameMap,
@@ -154,7 +154,8 @@ export const FilterProvider = ({ children }) => {
   };
 
   // Function to add a column
-  const addColumn = (year, month, type, customMonths = null) => {
+  // budgetVersion (optional): named budget version ({ id, version_name }) the column reads instead of the live budget
+  const addColumn = (year, month, type, customMonths = null, budgetVersion = null) => {
     // Check if we've already reached the maximum number of columns
     if (columnOrder.length >= MAX_COLUMNS) {
       console.warn(`Maximum number of columns (${MAX_COLUMNS}) reached`);
@@ -187,6 +188,12 @@ export const FilterProvider = ({ children }) => {
       };
     }
 
+    if (budgetVersion) {
+      newColumn.budgetVersionId = budgetVersion.id;
+      newColumn.budgetVersionName = budgetVersion.version_name;
+      newColumn.id = `${newColumn.id}-v${budgetVersion.id}`;
+    }
+
     // Check if this column already exists to avoid duplicates
     const exists = columnOrder.some(col => col.id === newColumn.id);
     
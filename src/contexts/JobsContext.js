@@ -0,0 +1,129 @@
+import React, { createContext, useState, useContext, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+import JobProgressDrawer from '../components/common/JobProgressDrawer';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+const POLL_INTERVAL_MS = 1500;
+const FINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+const JobsContext = createContext();
+
+export const useJobs = () => {
+  const context = useContext(JobsContext);
+  if (!context) {
+    throw new Error('useJobs must be used within a JobsProvider');
+  }
+  return context;
+};
+
+/**
+ * JobsProvider
+ * Follows background jobs (merge scans, bulk imports, actual uploads, HTML exports) started by
+ * this tab. trackJob() polls /api/jobs/:id until the job finishes and shows its progress in the
+ * job drawer, where it can be cancelled or its file downloaded.
+ */
+export const JobsProvider = ({ children }) => {
+  const [jobs, setJobs] = useState([]);
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  const waitersRef = useRef({});
+
+  const updateJob = useCallback((job) => {
+    setJobs(prev => prev.map(tracked => tracked.id === job.id ? { ...tracked, ...job } : tracked));
+  }, []);
+
+  // Poll every unfinished job; settle the trackJob() promise when it finishes
+  const activeIds = jobs.filter(job => !FINAL_STATUSES.includes(job.status)).map(job => job.id).join(',');
+
+  useEffect(() => {
+    if (!activeIds) return undefined;
+
+    const poll = async () => {
+      await Promise.all(activeIds.split(',').map(async (id) => {
+        try {
+          const response = await axios.get(`${API_BASE_URL}/api/jobs/${id}`);
+          const job = response.data.job;
+          updateJob(job);
+
+          if (FINAL_STATUSES.includes(job.status)) {
+            const waiter = waitersRef.current[job.id];
+            delete waitersRef.current[job.id];
+            if (!waiter) return;
+
+            if (job.status === 'succeeded') {
+              waiter.resolve(job);
+            } else {
+              const error = new Error(job.status === 'cancelled' ? 'Job was cancelled' : (job.error || 'Job failed'));
+              error.job = job;
+              error.result = job.result;
+              waiter.reject(error);
+            }
+          }
+        } catch (error) {
+          console.error(`Error polling job ${id}:`, error);
+        }
+      }));
+    };
+
+    const timer = setInterval(poll, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [activeIds, updateJob]);
+
+  /**
+   * Follow a job returned by an enqueueing endpoint
+   * @param {Object} job - Job row from the 202 response
+   * @param {Object} [options]
+   * @param {string} [options.title] - Label shown in the drawer
+   * @returns {Promise<Object>} The finished job; rejects with error.job / error.result on failure or cancel
+   */
+  const trackJob = useCallback((job, { title } = {}) => {
+    setJobs(prev => [{ ...job, title: title || job.type }, ...prev.filter(tracked => tracked.id !== job.id)]);
+    setDrawerOpen(true);
+    return new Promise((resolve, reject) => {
+      waitersRef.current[job.id] = { resolve, reject };
+    });
+  }, []);
+
+  const cancelJob = useCallback(async (id) => {
+    const response = await axios.post(`${API_BASE_URL}/api/jobs/${id}/cancel`);
+    updateJob(response.data.job);
+    return response.data;
+  }, [updateJob]);
+
+  const downloadJobFile = useCallback(async (job) => {
+    const response = await axios.get(`${API_BASE_URL}/api/jobs/${job.id}/download`, { responseType: 'blob' });
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', job.result_file_name || `job-${job.id}`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  }, []);
+
+  const clearFinished = useCallback(() => {
+    setJobs(prev => prev.filter(job => !FINAL_STATUSES.includes(job.status)));
+  }, []);
+
+  const value = {
+    jobs,
+    trackJob,
+    cancelJob,
+    downloadJobFile,
+    openDrawer: () => setDrawerOpen(true)
+  };
+
+  return (
+    <JobsContext.Provider value={value}>
+      {children}
+      <JobProgressDrawer
+        open={drawerOpen}
+        jobs={jobs}
+        onClose={() => setDrawerOpen(false)}
+        onCancel={cancelJob}
+        onDownload={downloadJobFile}
+        onClearFinished={clearFinished}
+      />
+    </JobsContext.Provider>
+  );
+};
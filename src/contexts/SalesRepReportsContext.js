@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState, useCallback } from 'react';
+import { useCurrency } from './CurrencyContext';
 
 const SalesRepReportsContext = createContext();
 
@@ -15,11 +16,12 @@ export const SalesRepReportsProvider = ({ children }) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [lastFetchKey, setLastFetchKey] = useState(null);
+  const { reportCurrency } = useCurrency();
 
-  // Generate a cache key based on division, sales reps, and columns
-  const generateCacheKey = (division, salesReps, columns) => {
-    return `${division}-${salesReps.join(',')}-${columns.map(c => c.columnKey).join(',')}`;
-  };
+  // Generate a cache key based on division, sales reps, columns and report currency
+  const generateCacheKey = useCallback((division, salesReps, columns) => {
+    return `${division}-${salesReps.join(',')}-${columns.map(c => c.columnKey).join(',')}-${reportCurrency.code}`;
+  }, [reportCurrency.code]);
 
   // Pre-load ALL sales rep reports data
   const preloadAllReports = useCallback(async (division, salesReps, columns) => {
@@ -74,7 +76,7 @@ export const SalesRepReportsProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
-  }, [cachedData, lastFetchKey]);
+  }, [cachedData, lastFetchKey, generateCacheKey]);
 
   // Get cached data for a specific sales rep
   const getReportData = useCallback((salesRep) => {
@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const normalizeCountryName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Loaded once per page load and shared by every map
+let countryIndexPromise = null;
+
+const loadCountryIndex = () => {
+  if (!countryIndexPromise) {
+    countryIndexPromise = fetch(`${API_BASE_URL}/api/country-master`)
+      .then(response => (response.ok ? response.json() : { data: [] }))
+      .then(result => {
+        const index = new Map();
+        (result.data || []).forEach(country => {
+          index.set(normalizeCountryName(country.name), country);
+          (country.aliases || []).forEach(alias => index.set(normalizeCountryName(alias.alias), country));
+        });
+        return index;
+      })
+      .catch(error => {
+        console.error('Error loading country master:', error);
+        countryIndexPromise = null;
+        return new Map();
+      });
+  }
+  return countryIndexPromise;
+};
+
+/**
+ * useCountryMaster Hook
+ * Country master (Master Data > Country Master) lookups for the maps:
+ * resolves a country name or alias to its master country, region and coordinates.
+ * Until the master has loaded, or for names it does not know, lookups return null
+ * so callers can fall back to their built-in data.
+ */
+const useCountryMaster = () => {
+  const [countryIndex, setCountryIndex] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    loadCountryIndex().then(index => {
+      if (active) setCountryIndex(index);
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const resolveCountry = useCallback(
+    (name) => (countryIndex ? countryIndex.get(normalizeCountryName(name)) || null : null),
+    [countryIndex]
+  );
+
+  const getCoordinates = useCallback((name) => resolveCountry(name)?.coordinates || null, [resolveCountry]);
+
+  const getRegion = useCallback((name) => resolveCountry(name)?.region || null, [resolveCountry]);
+
+  return { loaded: countryIndex !== null, resolveCountry, getCoordinates, getRegion };
+};
+
+export default useCountryMaster;
@@ -0,0 +1,50 @@
+/**
+ * Fetch Authorization Bridge
+ * Sales data routes require a JWT (server/middleware/auth requireDataScope).
+ * AuthContext sets the header for axios; this does the same for the many
+ * components that call the API with plain fetch().
+ *
+ * Adds "Authorization: Bearer <auth_token>" to requests aimed at the API
+ * when the caller did not set an Authorization header itself, and the
+ * X-Report-Currency header chosen in the dashboard header (CurrencyContext).
+ */
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+const REPORT_CURRENCY_STORAGE_KEY = 'report_currency';
+const REPORT_CURRENCY_HEADER = 'X-Report-Currency';
+
+const isApiRequest = (url) => {
+  if (url.startsWith('/api/')) return true;
+  return url.startsWith(`${API_BASE_URL}/api/`);
+};
+
+export function installFetchAuth() {
+  if (typeof window === 'undefined' || !window.fetch || window.fetch.__authInstalled) return;
+
+  const originalFetch = window.fetch.bind(window);
+
+  const fetchWithAuth = (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input?.url || '';
+    const token = localStorage.getItem('auth_token');
+    const reportCurrency = localStorage.getItem(REPORT_CURRENCY_STORAGE_KEY);
+
+    if ((!token && !reportCurrency) || !isApiRequest(url)) {
+      return originalFetch(input, init);
+    }
+
+    const headers = new Headers(init.headers || (typeof input === 'string' ? undefined : input.headers));
+    if (token && !headers.has('Authorization')) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
+    if (reportCurrency && !headers.has(REPORT_CURRENCY_HEADER)) {
+      headers.set(REPORT_CURRENCY_HEADER, reportCurrency);
+    }
+
+    return originalFetch(input, { ...init, headers });
+  };
+
+  fetchWithAuth.__authInstalled = true;
+  window.fetch = fetchWithAuth;
+}
+
+export default installFetchAuth;